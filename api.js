@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Homey Web API (SDK v3) — läsvy över trackerns levande tillstånd.
+ *
+ * Rutterna deklareras under "api" i app.json och är AUTENTISERADE (ingen
+ * "public": true): anroparen behöver en Homey-token, samma behörighet som
+ * inställningssidan (Homey.api('GET', '/health', …)).
+ *
+ *   GET /vessels   spårade fartyg (status, målbro, ETA, källa)
+ *   GET /bridges   per-bro-aggregat i kanalordning
+ *   GET /openings  öppningsvarningarnas armar/händelser + getStats()
+ *   GET /health    muxens getConnectionStats() (perFeed, fusion, skugga)
+ *   GET /speed-profiles  inlärda fartprofiler per fartyg och broavsnitt
+ *   GET /captures        AIS-inspelningens gzip-segment (ais_capture_enabled)
+ *   GET /captures/:id    ett segment uppackat som replayRunner-jsonl
+ *
+ * Skalet är medvetet tunt — formningen bor i app.js (getApi*-metoderna)
+ * så den kan enhetstestas utan Homeys HTTP-lager.
+ */
+module.exports = {
+  async getVessels({ homey }) {
+    return homey.app.getApiVessels();
+  },
+
+  async getBridges({ homey }) {
+    return homey.app.getApiBridges();
+  },
+
+  async getOpenings({ homey }) {
+    return homey.app.getApiOpenings();
+  },
+
+  async getHealth({ homey }) {
+    return homey.app.getApiHealth();
+  },
+
+  async getSpeedProfiles({ homey }) {
+    return homey.app.getApiSpeedProfiles();
+  },
+
+  async getCaptures({ homey }) {
+    return homey.app.getApiCaptures();
+  },
+
+  async getCapture({ homey, params }) {
+    return homey.app.getApiCapture(params && params.id);
+  },
+};
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { promisify } = require('util');
 const Homey = require('homey');
 
 // =============================================================================
@@ -24,6 +25,12 @@ const StatusService = require('./lib/services/StatusService'); // Båtstatus (wa
 
 // PROAKTIVA VARNINGAR: bro-centrerade öppningshändelser (etapp 6, 2026-08-03)
 const BridgeOpeningService = require('./lib/services/BridgeOpeningService'); // Beväpning + deadline-motor
+const QuietHoursService = require('./lib/services/QuietHoursService'); // Tysta timmar, snooze, sammanfattning
+const LockComplexService = require('./lib/services/LockComplexService'); // Slusstrappan: kö, kammare, cykeltid
+const BridgeRestrictionService = require('./lib/services/BridgeRestrictionService'); // Spärrfönster: rusning, säsong, helgdagar
+const DeadReckoningService = require('./lib/services/DeadReckoningService'); // Prognosposition för tysta fartyg
+const SpeedProfileService = require('./lib/services/SpeedProfileService'); // Inlärd fart per fartyg och broavsnitt
+const AISCaptureService = require('./lib/services/AISCaptureService'); // Opt-in-inspelning av replay-rader (gzip-segment)
 
 // KOORDINATION: Hanterar GPS-hopp och systemkoordinering
 const SystemCoordinator = require('./lib/services/SystemCoordinator');
@@ -33,10 +40,20 @@ const RouteOrderValidator = require('./lib/services/RouteOrderValidator'); // Va
 
 // CONNECTION: Hanterar WebSocket-anslutning till AISstream.io
 const AISSourceMultiplexer = require('./lib/connection/AISSourceMultiplexer'); // äger AISStreamClient + ev. AISHubClient
+const ReplayFeedClient = require('./lib/connection/ReplayFeedClient'); // Simuleringskällans korpustolkning
 
 // UTILITIES: Hjälpfunktioner
 const { etaDisplay, formatETABroOpeningClause, etaMinutesForDisplay } = require('./lib/utils/etaValidation');
 const geometry = require('./lib/utils/geometry');
+const staticDataUtil = require('./lib/utils/staticData');
+const bridgeTextLocale = require('./lib/utils/bridgeTextLocale');
+const vesselWatchlist = require('./lib/utils/vesselWatchlist');
+const waterwayProfile = require('./lib/utils/waterwayProfile');
+const simulationClock = require('./lib/utils/simulationClock');
+const {
+  activateProfile: activateWaterwayProfile,
+  promoteTargetBridges,
+} = require('./lib/utils/waterwayActivation');
 
 // =============================================================================
 // CONSTANTS: Centraliserade konfigurations-värden
@@ -58,6 +75,17 @@ const {
   CONNECTION_ALERT, // B2: eskalerande källdödslarm (1h/4h-trappan)
   AIS_CONFIG, // Etapp 2: AISHub-vaktens trösklar (AIS_CONFIG.AISHUB)
   BRIDGE_OPENING, // Etapp 6: öppningsvarningarnas trösklar (konvojfönster m.m.)
+  BRIDGE_DEVICE, // Per-bro-enheterna (drivers/bridge)
+  BRIDGE_SEQUENCE, // Alla broar i kanalordning (vessel_passed_bridge)
+  WATCHLIST, // Bevakningslistan (watched_vessel_event)
+  QUIET_HOURS, // Tysta timmar/snooze (quiet_hours_digest)
+  WATERWAY, // Aktiv vattenvägsprofil (waterway_profile)
+  WARM_RESTART, // Varmstartens snapshot (tracking_snapshot)
+  SIMULATION, // Simuleringskällan (ais_source='simulation')
+  DEAD_RECKONING, // Dödräkningens grindar (boat_near på prognos)
+  MOORING_ZONES, // Statiska förtöjningszoner (prognosens sträcka)
+  WATERWAY_ENDS, // Vattenvägens yttersta broar och sydändans trigger-punkt
+  STALLBACKABRON_SPECIAL, // Profilens höga bro (öppnar aldrig)
 } = require('./lib/constants');
 
 // Lägsta fart (knop) där COG är tillförlitlig för riktningsbestämning. Under
@@ -68,7 +96,7 @@ const MIN_VIABLE_SPEED_KN = PASSAGE_TIMING.MINIMUM_VIABLE_SPEED;
 // (BT-F5, 2026-07-01) så RC-B-fallbacken kan känna igen och EXKLUDERA den —
 // annars kunde frånkopplingstexten sparas som _lastBridgeText och
 // återpubliceras som "validated fallback" EFTER reconnect.
-const STALE_DATA_OVERRIDE_TEXT = 'AIS-anslutning saknas — data kan vara inaktuell';
+const STALE_DATA_OVERRIDE_TEXT = bridgeTextLocale.getStrings('sv').staleMessage;
 
 /**
  * =============================================================================
@@ -137,6 +165,16 @@ class AISBridgeApp extends Homey.App {
 
     // --- SETTINGS OCH KONFIGURATION ---
     this.debugLevel = this.homey.settings.get('debug_level') || 'basic';
+    // Publiceringsspråk för bridge_text (bridgeTextLocale). Pipelinen är
+    // kanoniskt svensk; översättningen sker bara i publiceringsgränsen.
+    this._bridgeTextLocale = this._resolveBridgeTextLocale();
+    // Intervalläget för bridge_text ("om 4–7 minuter"); av som standard.
+    this._bridgeTextEtaRange = this.homey.settings.get('bridge_text_eta_range') === true;
+    // Vattenvägsprofilen (broar, zoner, AIS-box) MÅSTE vara aktiv innan
+    // tjänsterna skapas — de läser geografin ur constants vid konstruktion.
+    this._activateWaterwayProfile();
+    // Befordrade målbroar (opening_target_bridges) ovanpå profilens — samma skäl.
+    this._applyOpeningTargetBridges();
     const replayCapturePath = process.env.AIS_REPLAY_CAPTURE_FILE
       || process.env.AIS_REPLAY_FILE
       || (this.homey?.env ? (this.homey.env.AIS_REPLAY_CAPTURE_FILE || this.homey.env.AIS_REPLAY_FILE) : null);
@@ -171,6 +209,14 @@ class AISBridgeApp extends Homey.App {
     // --- HOMEY DEVICES ---
     // Set med alla registrerade enheter (används för capability updates)
     this._devices = new Set();
+    // Per-bro-enheterna (drivers/bridge): bro-id → Set<device>. Hålls
+    // SEPARAT från _devices — de bär andra capabilities och per-bro-värden,
+    // och den kombinerade textens skrivningar får aldrig nå dem.
+    this._bridgeDevices = new Map();
+    // Värde-dedup per "broId:capability" (samma cache-före-skrivning-mönster
+    // som _lastBridgeAlarm). En SAKNAD nyckel betyder "skriv om" — så tvingar
+    // både nyparade enheter och misslyckade skrivningar fram en omskrivning.
+    this._lastBridgeDeviceValues = new Map();
 
     // --- UI STATE CACHING ---
     // SYFTE: Undvika onödiga UI-uppdateringar genom att cacha senaste värden
@@ -219,6 +265,16 @@ class AISBridgeApp extends Homey.App {
     this._VESSEL_NAME_MAX_ENTRIES = 200; // äldst-först-eviction vid taket
     this._loadVesselNames();
 
+    // Statiska uppgifter per mmsi (typ, längd/bredd, djupgående,
+    // destination, anropssignal, IMO) — samma cachemönster som namnen:
+    // typ 5/24 sänds var 6:e minut, så en återkommande båt ska ha dem från
+    // FÖRSTA positionen och inte först efter nästa statiska rapport.
+    // Format: Map<mmsi, { data, t }> där data är lib/utils/staticData-formen.
+    this._knownVesselStatic = new Map();
+    this._VESSEL_STATIC_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 dagar
+    this._VESSEL_STATIC_MAX_ENTRIES = 200; // äldst-först-eviction vid taket
+    this._loadVesselStatic();
+
     // F2-följdfix (2026-07-03, SPIKEN): sista kända position per mmsi vid
     // removal — begränsar scenario A:s porten-antagande vid återfödelse.
     // Produktionsredo-granskningen: PERSISTERAS över omstart — utan detta
@@ -272,12 +328,11 @@ class AISBridgeApp extends Homey.App {
     // redan EN gång per öppningshändelse; kartan här är app-sidans hängslen
     // (samma filosofi som _triggeredBoatNearKeys mot _persistentRecentTriggers)
     // och gör avfyrningsvägen idempotent även om servicen någon gång skulle
-    // återanropa callbacken. MEDVETET INTE PERSISTERAD: v1-beslutet är att
-    // armarna inte överlever en omstart (boat_near-lagret är oförändrad
-    // fallback), och en dedup-nyckel utan sin arm hade bara kunnat SPÄRRA en
+    // återanropa callbacken. MEDVETET INTE PERSISTERAD: en varmstartad
+    // händelse bär själv sin firedAt (servicen avfyrar den inte igen), och
+    // vid kallstart hade en dedup-nyckel utan sin arm bara kunnat SPÄRRA en
     // varning som den nya sessionen behöver — fel riktning mot produkt-
-    // principen "missad öppning är värre än falsklarm". eventSeq nollställs
-    // vid omstart, så nycklarna vore dessutom tvetydiga.
+    // principen "missad öppning är värre än falsklarm".
     this._firedOpeningEvents = new Map();
     // Städas i _pruneDedupCaches; fönstret är tilltaget mot CONVOY_WINDOW_MS
     // (10 min) så en händelse aldrig kan hinna glömmas medan den lever.
@@ -302,6 +357,34 @@ class AISBridgeApp extends Homey.App {
     this._OPENING_PERSIST_WINDOW_MS = BRIDGE_OPENING.CONVOY_WINDOW_MS;
     this._loadPersistentOpeningWarnings();
 
+    // --- PASSAGEKORTETS DEDUP (vessel_passed_bridge) ---
+    // "mmsi:Bronamn" → { t, dir } — SAMMA format, fönster (2 h), retention
+    // (6 h) och riktningsregler som _persistentRecentTriggers, via samma
+    // _persistentDedupCheck. Egen karta och egen settings-nyckel: en passage-
+    // notis får aldrig spärra (eller spärras av) boat_near för samma bro.
+    this._persistentPassageTriggers = new Map();
+    this._loadPersistentPassageTriggers();
+    // Passager som VDS signalerat under pågående analys; levereras efter
+    // _analyzeVesselPosition (se _deliverBridgePassages).
+    this._pendingBridgePassages = [];
+
+    // --- BEVAKNINGSLISTAN (watched_vessel_event) ---
+    // Tolkad settings-post (vessel_watchlist), omläst vid varje ändring.
+    // "mmsi:händelse:bro" → senaste avfyrning (sessionslokal spärr, se
+    // WATCHLIST.EVENT_COOLDOWN_MS) och mmsi → senast notifierade målbro
+    // (target-händelsen avfyras bara när målbron BYTS).
+    this._watchlist = this._loadWatchlist();
+    this._watchedEventFiredAt = new Map();
+    this._watchedTargets = new Map();
+
+    // --- VARMSTART (tracking_snapshot) ---
+    // Hela spårningstillståndet skrivs periodiskt (watchdogen, strypt) och i
+    // onUninit, och återställs efter att tjänsterna skapats — se
+    // _persistTrackingSnapshot/_restoreTrackingSnapshot. Tom-flaggan låter en
+    // tom kanal skriva EN tom snapshot och sedan tystna (flashen).
+    this._trackingSnapshotPersistedAt = 0;
+    this._trackingSnapshotEmpty = false;
+
     // --- UI UPPDATERINGS-STATE ---
     // SYFTE: Spåra om en UI-uppdatering redan är schemalagd (förhindrar duplikat)
     this._uiUpdateScheduled = false;
@@ -330,9 +413,14 @@ class AISBridgeApp extends Homey.App {
     await this._setupFlowCards(); // Steg 5: Registrera Homey Flow-kort
     await this._initGlobalToken(); // Steg 5b: Skapa global bridge_text token
     this._setupEventHandlers(); // Steg 6: Koppla event listeners mellan services
+    // Steg 6b: varmstart — FÖRE anslutningen, så första fixet fortsätter den
+    // återställda resan i stället för att skapa fartyget på nytt.
+    const warmRestored = this._restoreTrackingSnapshot();
     await this._startConnection(); // Steg 7: Anslut till AISstream.io WebSocket
     this._setupMonitoring(); // Steg 8: Starta monitoring loops
     this._initializeCoalescingSystem(); // Steg 9: Initiera mikro-grace UI-system
+    // Den återställda texten publiceras direkt (inte vid nästa fix).
+    if (warmRestored > 0) this._updateUI('critical', 'warm-restart');
 
     this.log('AIS Bridge initialized successfully with modular architecture');
   }
@@ -443,14 +531,66 @@ class AISBridgeApp extends Homey.App {
       //                    _onBridgeOpeningWarning EFTER onInit för att fånga
       //                    openingWarnings[], och en bind:ad referens hade
       //                    frusit originalet och gjort fångsten blind.
+      //  - getOpeningRestriction → restriktionskalendern (nedan): varningen
+      //                    följer öppningen, inte ankomsten, när bron är spärrad.
+      //
+      // BridgeRestrictionService: spärrfönster per bro (rusningstrafik,
+      // säsongstider, helgdagar) ur settings bridge_restrictions. Skapas
+      // FÖRE öppningslagret och ETA:n som båda frågar den.
+      const getTimeZone = () => (this.homey && this.homey.clock && typeof this.homey.clock.getTimezone === 'function'
+        ? this.homey.clock.getTimezone() : null);
+      this.bridgeRestrictionService = new BridgeRestrictionService({ logger: this, getTimeZone });
+      this._loadBridgeRestrictions();
+      this.statusService.setOpeningRestrictionProvider(
+        (bridgeName, atMs) => this.bridgeRestrictionService.getBlockedUntil(bridgeName, atMs),
+      );
+
       this.bridgeOpeningService = new BridgeOpeningService({
         logger: this,
         onWarning: (payload) => this._onBridgeOpeningWarning(payload),
         onCoverage: (info) => this._onBridgeOpeningCoverage(info),
+        onClear: (payload) => this._onBridgeOpeningClear(payload),
+        onArm: (info) => this._onWatchedVesselEvent('armed', info.mmsi, null, info.bridge),
         getDirection: (vessel) => this._getDirectionString(vessel),
         isQuayWobbler: (vessel) => this._isBridgeOpeningQuayWobbler(vessel),
         getVesselName: (mmsi) => this._lookupVesselName(mmsi),
+        getOpeningRestriction: (bridgeName, atMs) => this.bridgeRestrictionService.getBlockedUntil(bridgeName, atMs),
+      });
+
+      // QuietHoursService: tysta timmar + snooze framför boat_near och
+      // bridge_opening_soon (se _suppressFlowTrigger). Ren service utan
+      // timers — leveransen av sammanfattningen drivs av 30 s-watchdogen.
+      this.quietHoursService = new QuietHoursService({ logger: this, getTimeZone });
+      this._loadQuietHours();
+
+      // LockComplexService: slusstrappan som egen waypoint-typ (kö, kammare,
+      // utträde) med cykeltiden ur observerade genomgångar. Matas från
+      // _analyzeVesselPosition FÖRE ETA:n; ETA-kalkylatorn frågar den om
+      // slussväntan för båtar på väg upp.
+      this.lockComplexService = new LockComplexService({ logger: this, bridgeRegistry: this.bridgeRegistry });
+      this.statusService.setLockPassageProvider((vessel) => this.lockComplexService.getPassage(vessel));
+
+      // DeadReckoningService: flyttar tysta båtar längs farleden på senaste
+      // fart/kurs. Körs i omvärderingen (_updateDeadReckoning); prognosen är
+      // ett flaggat sidofält och ersätter aldrig ett fix.
+      this.deadReckoningService = new DeadReckoningService({ logger: this });
+
+      // SpeedProfileService: inlärd effektiv fart per fartyg, broavsnitt och
+      // riktning ur bekräftade passager (_deliverBridgePassages). Persisteras
+      // i speed_profiles; ETA-kalkylatorn blandar in den med live-SOG.
+      this.speedProfileService = new SpeedProfileService({ logger: this });
+      this._loadSpeedProfiles();
+      this.statusService.setSpeedProfileProvider((vessel) => this.speedProfileService.getProfileSpeed(vessel));
+
+      // AISCaptureService: opt-in-inspelning (ais_capture_enabled) av
+      // replay-raderna till roterande gzip-segment i userdata, nedladdningsbara
+      // via GET /captures/:id. AIS_CAPTURE_DIR i env pekar om katalogen
+      // (samma mönster som AIS_REPLAY_CAPTURE_FILE).
+      this.aisCaptureService = new AISCaptureService({
+        logger: this,
+        dir: process.env.AIS_CAPTURE_DIR || (this.homey?.env ? this.homey.env.AIS_CAPTURE_DIR : null) || undefined,
       });
+      this.aisCaptureService.setEnabled(this.homey.settings.get('ais_capture_enabled') === true);
 
       // --- STEG 6: CONNECTION SERVICES ---
       // Etapp 2 (2026-08-02): this.aisClient är ALLTID en AISSourceMultiplexer.
@@ -497,12 +637,52 @@ class AISBridgeApp extends Homey.App {
         } else {
           this.log(`⚠️ Ignoring invalid debug_level value: ${newLevel}`);
         }
+      } else if (key === 'bridge_text_language') {
+        // Språkbyte: dedup-hashen gäller den KANONISKA texten, som inte
+        // ändras — nolla den så nästa cykel skriver om på det nya språket.
+        this._bridgeTextLocale = this._resolveBridgeTextLocale();
+        this.log(`🌐 [SETTINGS] bridge_text_language → ${this._bridgeTextLocale}`);
+        this._lastBridgeTextHash = null;
+        this._updateUI('critical', 'bridge-text-language');
+      } else if (key === 'bridge_text_eta_range') {
+        // Samma skäl som språkbytet: texten ska skrivas om direkt.
+        this._bridgeTextEtaRange = this.homey.settings.get('bridge_text_eta_range') === true;
+        this.log(`📏 [SETTINGS] bridge_text_eta_range → ${this._bridgeTextEtaRange}`);
+        this._lastBridgeTextHash = null;
+        this._updateUI('critical', 'bridge-text-eta-range');
+      } else if (key === 'ais_capture_enabled') {
+        // Av ⇒ bufferten flushas och segmentet stängs; inspelat ligger kvar.
+        if (this.aisCaptureService) this.aisCaptureService.setEnabled(this.homey.settings.get('ais_capture_enabled') === true);
+      } else if (key === 'quiet_hours') {
+        const count = this.quietHoursService ? this.quietHoursService.setSchedules(this.homey.settings.get('quiet_hours')) : 0;
+        this.log(`🌙 [SETTINGS] quiet_hours → ${count} schema(n)`);
+      } else if (key === 'bridge_restrictions') {
+        this.log(`⛔ [SETTINGS] bridge_restrictions → ${this._loadBridgeRestrictions()} spärrfönster`);
+      } else if (key === 'waterway_profile') {
+        // Geografin byts bara vid start: varje tjänst har redan sina broar,
+        // zoner och sin prenumerationsbox.
+        this.log(`🗺️ [SETTINGS] waterway_profile → ${this.homey.settings.get('waterway_profile')} (aktiv: ${WATERWAY.id}) — gäller efter omstart av appen`);
+      } else if (key === 'opening_target_bridges') {
+        // Till skillnad från profilen gäller befordran direkt: listorna skrivs
+        // om på plats, och det som redan byggts på dem följer med.
+        this._applyOpeningTargetBridges();
+        const retargeted = this.vesselDataService ? this.vesselDataService.retargetVessels() : 0;
+        if (this.bridgeOpeningService) this.bridgeOpeningService.setTargetBridges(TARGET_BRIDGES);
+        this.log(`🎯 [SETTINGS] opening_target_bridges → aktiva målbroar: ${TARGET_BRIDGES.join(', ')} (${retargeted} båt(ar) fick ny målbro)`);
+        this._lastBridgeTextHash = null;
+        this._updateUI('critical', 'opening-target-bridges');
+      } else if (key === 'vessel_watchlist') {
+        this._watchlist = this._loadWatchlist();
+        this.log(`👀 [SETTINGS] vessel_watchlist → ${this._watchlist.size} bevakade`);
       } else if (key === 'aishub_last_poll_at') {
         // Etapp 2: AISHub-klientens EGEN rate-limit-bokföring (persisterad
         // poll-spärr, skrivs varje minut). Får ALDRIG trigga någon
         // omkonfiguration — utan detta undantag hade appens listener
         // reagerat på varje poll (V2-C2-följdkravet).
-      } else if (key === 'aishub_username' || key === 'ais_source') {
+      } else if (key === 'aishub_username' || key === 'ais_source' || key === 'nmea_endpoint'
+        || key === 'json_feed_url' || key === 'json_feed_interval_s' || key === 'json_feed_mapping'
+        || key === 'json_feed_time_quality' || key === 'ais_shadow_pairs'
+        || key === 'simulation_capture' || key === 'simulation_speed') {
         // Etapp 2: källkonfiguration ändrad — muxen reder ut omställningen
         // idempotent (identisk effektiv config = no-op; AISHub-start
         // respekterar alltid den persisterade poll-spärren + startjitter).
@@ -544,14 +724,25 @@ class AISBridgeApp extends Homey.App {
   }
 
   /**
-   * Etapp 2 (2026-08-02): läs de tre källinställningarna och applicera dem
-   * på muxen. Fallback-regeln (konfigmatrisen): ett aishub-läge utan
+   * Etapp 2 (2026-08-02): läs källinställningarna och applicera dem
+   * på muxen. nmea_endpoint och json_feed_* (lokala mottagare) är oberoende av ais_source;
+   * ais_shadow_pairs lägger skuggpar ovanpå lägets (muxen validerar). Fallback-regeln (konfigmatrisen): ett aishub-läge utan
    * username faller tillbaka till aisstream MED notis — aldrig tyst död.
    * Degraderingsregeln: 'both' utan aisstream-nyckel kör solo-AISHub med
-   * varningsnotis.
+   * varningsnotis. 'simulation' utan läsbar korpus faller tillbaka till
+   * aisstream med notis; in- och utträde byter spårningstillstånd (se
+   * _switchSimulationSandbox).
+   *
+   * Simuleringskorpusen läses asynkront (AISCaptureService.readSegment);
+   * övriga lägen appliceras synkront innan löftet returneras. En korpus-
+   * läsning som hunnit bli inaktuell (en nyare applicering startade under
+   * väntan) appliceras aldrig.
+   * @returns {Promise<void>}
    * @private
    */
-  _applyAisSourceConfig() {
+  async _applyAisSourceConfig() {
+    this._aisSourceApplySeq = (this._aisSourceApplySeq || 0) + 1;
+    const seq = this._aisSourceApplySeq;
     try {
       if (!this.aisClient || typeof this.aisClient.applySourceConfig !== 'function') {
         return;
@@ -562,10 +753,22 @@ class AISBridgeApp extends Homey.App {
       const apiKey = String(this.homey.settings.get('ais_api_key') || '').trim();
       const aishubUsername = String(this.homey.settings.get('aishub_username') || '').trim();
       const rawSource = String(this.homey.settings.get('ais_source') || 'aisstream');
-      const allowed = ['aisstream', 'shadow', 'both', 'aishub'];
+      const nmeaEndpoint = String(this.homey.settings.get('nmea_endpoint') || '').trim();
+      const jsonFeed = this._readJsonFeedSettings();
+      const shadowPairs = String(this.homey.settings.get('ais_shadow_pairs') || '').trim();
+      const allowed = ['aisstream', 'shadow', 'both', 'aishub', 'simulation'];
       const source = allowed.includes(rawSource) ? rawSource : 'aisstream';
+      const corpus = source === 'simulation' ? await this._loadSimulationCorpus() : null;
+      if (seq !== this._aisSourceApplySeq) return;
 
-      if (source !== 'aisstream' && !aishubUsername) {
+      if (source === 'simulation' && !corpus) {
+        this.log('⚠️ [AIS_SOURCE] ais_source=\'simulation\' utan läsbar korpus — faller tillbaka till aisstream');
+        this._notifyConnectionIssue(
+          'AIS Tracker: simuleringen hittar ingen inspelning att spela upp — '
+          + 'appen kör vidare med AISstream. Välj ett inspelat segment i inställningarna.',
+          'config:simulation',
+        );
+      } else if (source !== 'aisstream' && source !== 'simulation' && !aishubUsername) {
         this.log(`⚠️ [AIS_SOURCE] ais_source='${source}' utan aishub_username — faller tillbaka till aisstream`);
         this._notifyConnectionIssue(
           'AIS Tracker: källvalet kräver ett AISHub-användarnamn — appen kör '
@@ -581,24 +784,203 @@ class AISBridgeApp extends Homey.App {
         );
       }
 
-      this.aisClient.applySourceConfig({ source, apiKey: apiKey || null, aishubUsername: aishubUsername || null });
+      // Sandlådebytet FÖRE omställningen: varje fartyg tas bort i sin egen
+      // klockdomän (den virtuella klockan installeras/rivs synkront i
+      // applySourceConfig).
+      const wasSimulating = this._isSimulationActive();
+      if (wasSimulating !== !!corpus) this._switchSimulationSandbox(!!corpus);
+
+      this.aisClient.applySourceConfig({
+        source,
+        apiKey: apiKey || null,
+        aishubUsername: aishubUsername || null,
+        // undefined (inte null) när fältet är tomt: nyckeln är ändå NÄRVARANDE
+        // och muxen tolkar det som "ingen lokal mottagare".
+        nmeaEndpoint: nmeaEndpoint || undefined,
+        jsonFeed: jsonFeed || undefined,
+        shadowPairs: shadowPairs || undefined,
+        simulation: corpus
+          ? { samples: corpus.samples, speed: this._resolveSimulationSpeed(), label: corpus.label }
+          : undefined,
+      });
+      // Ut ur simuleringen: driftens dedup och minnen tillbaka ur settings
+      // (orörda under simuleringen), nu på verklig klocka.
+      if (wasSimulating && !corpus) this._reloadTrafficStateFromSettings();
+      if (!corpus) this._simulationCorpus = null;
 
       // Etapp 3 (V1-m6): kadensmedvetet gate-fönster — när en pollande
       // källa matar PIPELINEN (both/aishub) måste GPS-gaten spänna över
       // minst en pollcykel, annars är källbytesskyddet en no-op. Skugg-
       // läget rör inte pipelinen ⇒ basfönstret behålls.
       if (this.gpsJumpGateService && typeof this.gpsJumpGateService.setPollCadenceMs === 'function') {
-        const effectiveSource = (source !== 'aisstream' && !aishubUsername) ? 'aisstream' : source;
-        const hubFeedsPipeline = effectiveSource === 'both' || effectiveSource === 'aishub';
-        this.gpsJumpGateService.setPollCadenceMs(
-          hubFeedsPipeline ? AIS_CONFIG.AISHUB.POLL_INTERVAL_MS : null,
-        );
+        const effectiveSource = (source !== 'aisstream' && source !== 'simulation' && !aishubUsername)
+          ? 'aisstream' : source;
+        // Simuleringen: korpusens inspelade AISHub-prov har pollkadensen.
+        const hubFeedsPipeline = effectiveSource === 'both' || effectiveSource === 'aishub'
+          || !!(corpus && corpus.samples.some((sample) => sample.feed === 'aishub'));
+        // JSON-mottagaren är också en pollkälla — den längsta kadensen styr.
+        const cadences = [];
+        if (hubFeedsPipeline) cadences.push(AIS_CONFIG.AISHUB.POLL_INTERVAL_MS);
+        if (jsonFeed && !corpus) cadences.push(jsonFeed.intervalMs);
+        this.gpsJumpGateService.setPollCadenceMs(cadences.length ? Math.max(...cadences) : null);
       }
     } catch (error) {
       this.error('[AIS_SOURCE] Kunde inte applicera källkonfigurationen:', error.message || error);
     }
   }
 
+  /**
+   * JSON-mottagarens inställningar (json_feed_*) i JsonFeedClient-formen,
+   * eller null när ingen URL är satt. Valideringen sker i muxen
+   * (JsonFeedClient.parseConfig) — här bara avläsning och enhetsbyte.
+   * @returns {{url: string, intervalMs: number, mapping: string|null,
+   *            timeQuality: string}|null}
+   * @private
+   */
+  _readJsonFeedSettings() {
+    const url = String(this.homey.settings.get('json_feed_url') || '').trim();
+    if (!url) return null;
+    const cfg = AIS_CONFIG.JSON_FEED;
+    const intervalS = Number(this.homey.settings.get('json_feed_interval_s'));
+    // Klampad som i JsonFeedClient.parseConfig — GPS-gatens kadens läser den.
+    const intervalMs = Number.isFinite(intervalS) && intervalS > 0
+      ? Math.min(cfg.MAX_INTERVAL_MS, Math.max(cfg.MIN_INTERVAL_MS, Math.round(intervalS * 1000)))
+      : cfg.DEFAULT_INTERVAL_MS;
+    const mapping = this.homey.settings.get('json_feed_mapping');
+    return {
+      url,
+      intervalMs,
+      mapping: mapping == null || mapping === '' ? null : mapping,
+      timeQuality: String(this.homey.settings.get('json_feed_time_quality') || 'receipt'),
+    };
+  }
+
+  /**
+   * Spelar simuleringskällan upp en korpus (ais_source='simulation')?
+   *
+   * Medan den gör det går appens klocka på korpusens tidslinje
+   * (simulationClock) och allt trafiktillstånd är en sandlåda: inget som
+   * härleds ur trafiken skrivs till settings (dedup-kartorna, sista kända
+   * positioner, kajbokföringen, varmstarten, fartprofilerna) och
+   * AIS-inspelningen står still. Driftens tillstånd ligger därmed orört i
+   * settings och läses tillbaka när simuleringen stängs av.
+   * @returns {boolean}
+   * @private
+   */
+  _isSimulationActive() {
+    return !!(this.aisClient && typeof this.aisClient.isSimulating === 'function'
+      && this.aisClient.isSimulating());
+  }
+
+  /**
+   * Flow-tokens med simuleringsflaggan: varje trigger bär `simulated` så
+   * riktiga automationer kan filtrera bort en uppspelad natt.
+   * @param {Object} tokens
+   * @returns {Object}
+   * @private
+   */
+  _flowTokens(tokens) {
+    return { ...tokens, simulated: this._isSimulationActive() };
+  }
+
+  /**
+   * simulation_speed → en av SIMULATION.SPEEDS (annars standardhastigheten).
+   * @returns {number}
+   * @private
+   */
+  _resolveSimulationSpeed() {
+    const speed = Number(this.homey.settings.get('simulation_speed'));
+    return SIMULATION.SPEEDS.includes(speed) ? speed : SIMULATION.DEFAULT_SPEED;
+  }
+
+  /**
+   * Simuleringskällans korpus: segmentet simulation_capture ur
+   * AIS-inspelningen eller, för lokala körningar, filen i
+   * AIS_SIMULATION_FILE (env). Cachad per källa — en omkonfiguration som
+   * inte byter korpus läser och tolkar inte segmentet igen.
+   * @returns {Promise<{label: string, samples: Object[]}|null>} null = ingen läsbar korpus
+   * @private
+   */
+  async _loadSimulationCorpus() {
+    const captureId = String(this.homey.settings.get('simulation_capture') || '').trim();
+    const file = process.env.AIS_SIMULATION_FILE
+      || (this.homey?.env ? this.homey.env.AIS_SIMULATION_FILE : null) || null;
+    const label = captureId ? `capture:${captureId}` : (file && `file:${path.basename(file)}`);
+    if (!label) return null;
+    if (this._simulationCorpus && this._simulationCorpus.label === label) return this._simulationCorpus;
+
+    let jsonl = null;
+    try {
+      if (captureId) {
+        const segment = this.aisCaptureService ? await this.aisCaptureService.readSegment(captureId) : null;
+        jsonl = segment ? segment.jsonl : null;
+      } else {
+        jsonl = await promisify(fs.readFile)(file, 'utf8');
+      }
+    } catch (error) {
+      this.error(`[SIMULATION] Kunde inte läsa korpusen ${label}:`, error.message || error);
+      return null;
+    }
+    const samples = ReplayFeedClient.parseJsonl(jsonl);
+    if (samples.length === 0) {
+      this.log(`⚠️ [SIMULATION] Korpusen ${label} saknas eller har inga prov`);
+      return null;
+    }
+    this._simulationCorpus = { label, samples };
+    return this._simulationCorpus;
+  }
+
+  /**
+   * In i eller ut ur simuleringen: fartygen, öppningslagret och de
+   * trafikhärledda kartorna hör till den andra klockdomänen och släpps.
+   * Anropas FÖRE källomställningen så varje fartyg tas bort på sin egen
+   * klocka. Utträdet läser sedan driftens kartor ur settings
+   * (_reloadTrafficStateFromSettings).
+   * @param {boolean} entering
+   * @private
+   */
+  _switchSimulationSandbox(entering) {
+    try {
+      this.log(`🎬 [SIMULATION] ${entering ? 'Startar simuleringen' : 'Avslutar simuleringen'} — spårningstillståndet nollställs`);
+      if (entering) this._persistTrackingSnapshot(true);
+      if (this.vesselDataService) {
+        for (const vessel of this.vesselDataService.getAllVessels()) {
+          this.vesselDataService.removeVessel(vessel.mmsi, 'source-switch');
+        }
+      }
+      if (this.bridgeOpeningService) this.bridgeOpeningService.load(null);
+      for (const entries of [
+        this._triggeredBoatNearKeys,
+        this._persistentRecentTriggers,
+        this._persistentOpeningWarnings,
+        this._persistentPassageTriggers,
+        this._firedOpeningEvents,
+        this._lastKnownPositions,
+        this._quayStableLedger,
+        this._openingQuayLedger,
+      ]) {
+        if (entries) entries.clear();
+      }
+      this._lastBridgeTextHash = null;
+      this._updateUI('critical', entering ? 'simulation-start' : 'simulation-stop');
+    } catch (error) {
+      this.error('[SIMULATION] Kunde inte byta spårningstillstånd:', error.message || error);
+    }
+  }
+
+  /**
+   * Driftens dedup-kartor, sista kända positioner och kajbokföring ur
+   * settings (samma laddare som onInit).
+   * @private
+   */
+  _reloadTrafficStateFromSettings() {
+    this._loadPersistentTriggers();
+    this._loadPersistentOpeningWarnings();
+    this._loadPersistentPassageTriggers();
+    this._loadLastKnownPositions();
+    this._loadQuayLedger();
+  }
+
   /**
    * P2-fix: ladda persisterad 2h-dedup-karta från homey.settings.
    * Poster äldre än dedup-fönstret filtreras bort vid laddning.
@@ -663,12 +1045,15 @@ class AISBridgeApp extends Homey.App {
    *   längre (ELFKUNGEN 117 min; korpus #9-returen ≥66 min). Approach-vägen
    *   (source=current) berörs INTE — HALIFAX äkta U-sväng (10 min) ska
    *   fortsatt släppas där.
+   *   { entries: Map } väljer karta (default _persistentRecentTriggers;
+   *   passagekortet har sin egen, _persistentPassageTriggers).
    * @returns {{blocked: boolean, minutesSince: number}}
    * @private
    */
   _persistentDedupCheck(dedupeKey, vessel, opts = {}) {
-    if (!this._persistentRecentTriggers) return { blocked: false, minutesSince: 0 };
-    const entry = this._persistentRecentTriggers.get(dedupeKey);
+    const entries = opts.entries !== undefined ? opts.entries : this._persistentRecentTriggers;
+    if (!entries) return { blocked: false, minutesSince: 0 };
+    const entry = entries.get(dedupeKey);
     const ts = typeof entry === 'number' ? entry : entry && entry.t;
     if (!Number.isFinite(ts)) return { blocked: false, minutesSince: 0 };
     const windowMs = this._PERSISTENT_DEDUP_WINDOW_MS || 2 * 60 * 60 * 1000;
@@ -724,7 +1109,7 @@ class AISBridgeApp extends Homey.App {
       // zonen tar alltid ≥25 min > gamla 15). Kanalinfarten behåller därför
       // 15-min-gränsen (vobbel-dubbletter vid punkten skyddas ändå av
       // rörelsekravet i currentDir); broarna behåller 60.
-      const isTriggerPoint = dedupeKey.endsWith(':Kanalinfarten');
+      const isTriggerPoint = Object.values(TRIGGER_POINTS).some((tp) => dedupeKey.endsWith(`:${tp.name}`));
       const RETROACTIVE_FLIP_MIN_AGE_MS = isTriggerPoint
         ? 15 * 60 * 1000
         : 60 * 60 * 1000;
@@ -787,6 +1172,7 @@ class AISBridgeApp extends Homey.App {
    */
   _persistRecentTriggers() {
     try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
       if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
         return;
       }
@@ -842,6 +1228,7 @@ class AISBridgeApp extends Homey.App {
    */
   _persistOpeningWarnings() {
     try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
       if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
         return;
       }
@@ -862,6 +1249,57 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * vessel_passed_bridge: ladda passagekortets dedup från settings. Samma
+   * {t, dir}-format och retention som _loadPersistentTriggers.
+   * @private
+   */
+  _loadPersistentPassageTriggers() {
+    try {
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.get !== 'function') {
+        return;
+      }
+      const stored = this.homey.settings.get('persistent_passage_triggers');
+      if (!stored || typeof stored !== 'object') return;
+      const now = Date.now();
+      const retentionMs = this._PERSISTENT_DEDUP_RETENTION_MS || this._PERSISTENT_DEDUP_WINDOW_MS;
+      let loaded = 0;
+      for (const [key, value] of Object.entries(stored)) {
+        if (value && Number.isFinite(value.t) && now - value.t < retentionMs) {
+          this._persistentPassageTriggers.set(key, { t: value.t, dir: value.dir || null });
+          loaded++;
+        }
+      }
+      if (loaded > 0) {
+        this.log(`🔁 [PASSAGE_DEDUP] Restored ${loaded} passage trigger entries from settings (survives restart)`);
+      }
+    } catch (error) {
+      this.error('[PASSAGE_DEDUP] Failed to load passage triggers:', error.message || error);
+    }
+  }
+
+  /**
+   * vessel_passed_bridge: skriv passagekortets dedup till settings. Skrivs
+   * bara vid avfyrning och prune (en gång per passage) — write-through.
+   * @private
+   */
+  _persistPassageTriggers() {
+    try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
+        return;
+      }
+      if (!this._persistentPassageTriggers) return;
+      const serialized = {};
+      for (const [key, entry] of this._persistentPassageTriggers.entries()) {
+        serialized[key] = entry;
+      }
+      this.homey.settings.set('persistent_passage_triggers', serialized);
+    } catch (error) {
+      this.error('[PASSAGE_DEDUP] Failed to persist passage triggers:', error.message || error);
+    }
+  }
+
   /**
    * B1 (2026-07-03): ladda persistent mmsi→namn-cache från settings.
    * Samma defensiva mönster som _loadPersistentTriggers; poster äldre än
@@ -948,6 +1386,112 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Ladda persistent mmsi→statiska uppgifter från settings. Samma defensiva
+   * mönster som _loadVesselNames; poster äldre än TTL:n eller utan ett
+   * enda känt fält filtreras bort, övriga fylls ut till full fältform.
+   * @private
+   */
+  _loadVesselStatic() {
+    try {
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.get !== 'function') {
+        return;
+      }
+      const stored = this.homey.settings.get('known_vessel_static');
+      if (!stored || typeof stored !== 'object') {
+        return;
+      }
+      const now = Date.now();
+      let loaded = 0;
+      for (const [mmsi, entry] of Object.entries(stored)) {
+        const ts = entry && Number.isFinite(entry.t) ? entry.t : null;
+        const data = entry && entry.data ? staticDataUtil.mergeStaticData(null, entry.data) : null;
+        const valid = data && staticDataUtil.FIELDS.some((f) => data[f] != null);
+        if (valid && ts && now - ts < this._VESSEL_STATIC_TTL_MS) {
+          this._knownVesselStatic.set(String(mmsi), { data, t: ts });
+          loaded++;
+        }
+      }
+      if (loaded > 0) {
+        this.log(`🔁 [STATIC_CACHE] Restored static data for ${loaded} vessels from settings`);
+      }
+    } catch (error) {
+      this.error('[STATIC_CACHE] Failed to load vessel static data:', error.message || error);
+    }
+  }
+
+  /**
+   * Skriv cachen för statiska uppgifter till settings (storlekstak med
+   * äldst-först-eviction, som namncachen).
+   * @private
+   */
+  _persistVesselStatic() {
+    try {
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
+        return;
+      }
+      if (!this._knownVesselStatic) {
+        return;
+      }
+      if (this._knownVesselStatic.size > this._VESSEL_STATIC_MAX_ENTRIES) {
+        const sorted = [...this._knownVesselStatic.entries()].sort((a, b) => a[1].t - b[1].t);
+        const excess = this._knownVesselStatic.size - this._VESSEL_STATIC_MAX_ENTRIES;
+        for (let i = 0; i < excess; i++) {
+          this._knownVesselStatic.delete(sorted[i][0]);
+        }
+      }
+      const serialized = {};
+      for (const [mmsi, entry] of this._knownVesselStatic.entries()) {
+        serialized[mmsi] = entry;
+      }
+      this.homey.settings.set('known_vessel_static', serialized);
+    } catch (error) {
+      this.error('[STATIC_CACHE] Failed to persist vessel static data:', error.message || error);
+    }
+  }
+
+  /**
+   * Registrera statiska uppgifter för mmsi. Fältvis sammanslagning (typ 24
+   * del B saknar destination — den får inte radera typ 5:s). Skriver till
+   * settings endast vid ändrat innehåll eller när senaste persisteringen är
+   * >24 h gammal — AISHub levererar fälten i VARJE poll.
+   * @param {string} mmsi
+   * @param {object} data - Normaliserad post (lib/utils/staticData)
+   * @returns {object|null} Den sammanslagna posten
+   * @private
+   */
+  _rememberVesselStatic(mmsi, data) {
+    if (!this._knownVesselStatic || !data) return null;
+    const key = String(mmsi);
+    const existing = this._knownVesselStatic.get(key);
+    const merged = staticDataUtil.mergeStaticData(existing ? existing.data : null, data);
+    const now = Date.now();
+    const changed = !existing || !staticDataUtil.sameStaticData(existing.data, merged);
+    if (changed || now - existing.t > 24 * 60 * 60 * 1000) {
+      this._knownVesselStatic.set(key, { data: merged, t: now });
+      this._persistVesselStatic();
+      if (changed) {
+        this.debug(`🚢 [STATIC_CACHE] ${key}: static data ${JSON.stringify(merged)}`);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Slå upp cachade statiska uppgifter för mmsi (null om okänt/utgånget).
+   * @private
+   */
+  _lookupVesselStatic(mmsi) {
+    if (!this._knownVesselStatic) return null;
+    const entry = this._knownVesselStatic.get(String(mmsi));
+    if (!entry) return null;
+    if (Date.now() - entry.t >= this._VESSEL_STATIC_TTL_MS) {
+      this._knownVesselStatic.delete(String(mmsi));
+      return null;
+    }
+    return entry.data;
+  }
+
   /**
    * SPIKEN-vaktens persistens (2026-07-03): sista kända position per mmsi
    * överlever omstart. Samma defensiva mönster som _loadPersistentTriggers;
@@ -1256,6 +1800,7 @@ class AISBridgeApp extends Homey.App {
    */
   _persistQuayLedger(force = false) {
     try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
       if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
         return;
       }
@@ -1276,6 +1821,93 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Varmstart: skriv hela spårningstillståndet till settings
+   * (tracking_snapshot) — fartygen med sina städdeadlines, passage-latcharna,
+   * ruttordningens historik, ETA-historiken och öppningslagrets armar/
+   * händelser. Versionerad och tidsstämplad; _restoreTrackingSnapshot
+   * kastar den om versionen skiljer eller den är för gammal.
+   *
+   * Strypt skrivtakt (WARM_RESTART.PERSIST_INTERVAL_MS) som kajbokföringen;
+   * en tom kanal skriver en tom snapshot EN gång och tystnar sedan.
+   * @param {boolean} [force] - skriv nu (onUninit)
+   * @private
+   */
+  _persistTrackingSnapshot(force = false) {
+    try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
+        return;
+      }
+      if (!this.vesselDataService || !this.bridgeOpeningService) return;
+      const now = Date.now();
+      if (!force && now - (this._trackingSnapshotPersistedAt || 0) < WARM_RESTART.PERSIST_INTERVAL_MS) {
+        return;
+      }
+      this._trackingSnapshotPersistedAt = now;
+      const empty = this.vesselDataService.getVesselCount() === 0
+        && this.bridgeOpeningService.getStats().armed === 0;
+      if (empty && this._trackingSnapshotEmpty) return;
+      this.homey.settings.set('tracking_snapshot', {
+        version: WARM_RESTART.VERSION,
+        savedAt: now,
+        vessels: this.vesselDataService.toJSON(),
+        latches: this.passageLatchService ? this.passageLatchService.toJSON() : null,
+        routeHistory: this.routeOrderValidator ? this.routeOrderValidator.toJSON() : null,
+        etaHistory: this.statusService ? this.statusService.progressiveETACalculator.toJSON() : null,
+        openings: this.bridgeOpeningService.toJSON(),
+      });
+      this._trackingSnapshotEmpty = empty;
+    } catch (error) {
+      this.error('[WARM_RESTART] Kunde inte skriva spårningssnapshoten:', error.message || error);
+    }
+  }
+
+  /**
+   * Varmstart: återställ tracking_snapshot i de nyskapade tjänsterna. Fel
+   * version, okänd ålder eller ålder över WARM_RESTART.MAX_SNAPSHOT_AGE_MS
+   * ger kallstart (dagens beteende). Anropas i onInit efter händelse-
+   * kopplingen och FÖRE anslutningen.
+   * @returns {number} antal återställda fartyg
+   * @private
+   */
+  _restoreTrackingSnapshot() {
+    try {
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.get !== 'function') {
+        return 0;
+      }
+      const stored = this.homey.settings.get('tracking_snapshot');
+      if (!stored || typeof stored !== 'object') return 0;
+      const now = Date.now();
+      const ageMs = now - stored.savedAt;
+      if (stored.version !== WARM_RESTART.VERSION) {
+        this.log(`♻️ [WARM_RESTART] Snapshot version ${stored.version} ≠ ${WARM_RESTART.VERSION} — kallstart`);
+        return 0;
+      }
+      // Negativ ålder = klockan har gått bakåt (NTP efter strömavbrott) — då
+      // går varken snapshotens eller fartygens tidsstämplar att lita på.
+      if (!Number.isFinite(ageMs) || ageMs < 0 || ageMs > WARM_RESTART.MAX_SNAPSHOT_AGE_MS) {
+        this.log(`♻️ [WARM_RESTART] Snapshot ${Number.isFinite(ageMs) ? `${Math.round(ageMs / 1000)} s gammal` : 'utan tidsstämpel'} — kallstart`);
+        return 0;
+      }
+      const vessels = this.vesselDataService.load(stored.vessels, {
+        now, maxAgeMs: WARM_RESTART.MAX_SNAPSHOT_AGE_MS,
+      });
+      const latches = this.passageLatchService.load(stored.latches, { now });
+      const routes = this.routeOrderValidator.load(stored.routeHistory, { now });
+      const etas = this.statusService.progressiveETACalculator.load(stored.etaHistory, { now });
+      const arms = this.bridgeOpeningService.load(stored.openings);
+      this.log(
+        `♻️ [WARM_RESTART] Snapshot ${Math.round(ageMs / 1000)} s gammal: ${vessels.length} fartyg, `
+        + `${latches} latchar, ${routes} rutthistoriker, ${etas} ETA-historiker, ${arms} öppningsarmar`,
+      );
+      return vessels.length;
+    } catch (error) {
+      this.error('[WARM_RESTART] Kunde inte återställa spårningssnapshoten:', error.message || error);
+      return 0;
+    }
+  }
+
   /**
    * V1: kräver den här kajavgången ännu korroborering vid trigger-punkten?
    * Returnerar null när grinden INTE ska ingripa (ingen färsk kajhistorik,
@@ -1395,6 +2027,21 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Mata LockComplexService (kö/kammare/utträde) med båtens position.
+   * @param {Object} vessel - Fartygsobjekt
+   * @private
+   */
+  _observeLockComplex(vessel) {
+    if (!this.lockComplexService || !vessel) return;
+    try {
+      this.lockComplexService.observeVessel(vessel);
+    } catch (error) {
+      // Slussmodellen får aldrig stoppa positionsanalysen.
+      this.error(`[LOCK] observeVessel misslyckades för ${vessel.mmsi}:`, error.message || error);
+    }
+  }
+
   /**
    * Etapp 6: mata BridgeOpeningService ur det BEFINTLIGA vessel-flödet.
    * Anropas från _onVesselEntered och _onVesselUpdated direkt efter
@@ -1437,6 +2084,93 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Dödräkning för ett tyst fartyg: prognosen läggs i det flaggade
+   * sidofältet vessel._predictedPosition (lat/lon rörs aldrig) och matas
+   * till öppningslagret (beväpning och deadline) och till boat_near-
+   * lagrets 300 m-zon (_triggerPredictedBoatNear). Ett färskt fix ger
+   * null — prognosen släcks.
+   * @param {Object} vessel - Fartygsobjekt
+   * @private
+   */
+  _updateDeadReckoning(vessel) {
+    if (!this.deadReckoningService || !vessel) return;
+    try {
+      const hadPrediction = Boolean(vessel._predictedPosition);
+      vessel._predictedPosition = this.deadReckoningService.predict(vessel);
+      if (vessel._predictedPosition && !hadPrediction) {
+        const p = vessel._predictedPosition;
+        this.debug(
+          `🧭 [DEAD_RECKONING] ${vessel.mmsi}: tyst ${Math.round(p.ageMs / 1000)} s → ${Math.round(p.travelledM)} m ${p.direction} `
+          + `på ${p.sogKn.toFixed(1)} kn (förtroende ${p.confidence.toFixed(2)}${p.heldAtBridge ? ', vid målbron' : ''})`,
+        );
+      }
+      if (this.bridgeOpeningService) this.bridgeOpeningService.observePrediction(vessel);
+      if (vessel._predictedPosition) {
+        this._triggerPredictedBoatNear(vessel, vessel._predictedPosition).catch((error) => {
+          this.error(`[DEAD_RECKONING] boat_near på prognos misslyckades för ${vessel.mmsi}:`, error.message || error);
+        });
+      }
+    } catch (error) {
+      // Prognosen är additiv — den får aldrig stoppa omvärderingen.
+      vessel._predictedPosition = null;
+      this.error(`[DEAD_RECKONING] misslyckades för ${vessel.mmsi}:`, error.message || error);
+    }
+  }
+
+  /**
+   * boat_near på dödräkningens prognos: en båt som tystnar på väg in i
+   * målbrons 300 m-zon får sin notis när PROGNOSEN når zonen, i stället
+   * för först vid nästa fix (som kan komma efter öppningen). Samma grindar
+   * som _triggerBoatNearFlow (förtöjd, rörelsebevis, GPS-håll och F5:s
+   * stale-grind på AIS-mottagningen) — prognosen ersätter bara avståndet.
+   * Bara målbron: prognosen stannar vid dess linje och passerar inga broar.
+   * Dedup-nyckeln är densamma som fixets, så nästa verkliga fix i zonen
+   * ger ingen andra notis.
+   * @param {Object} vessel - Fartygsobjekt
+   * @param {Object} prediction - vessel._predictedPosition
+   * @private
+   */
+  async _triggerPredictedBoatNear(vessel, prediction) {
+    if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) return;
+    if (!this._boatNearTrigger || !prediction || prediction.predicted !== true) return;
+    if (!(prediction.ageMs >= DEAD_RECKONING.BOAT_NEAR_MIN_SILENCE_MS)) return;
+    const bridgeName = typeof vessel.targetBridge === 'string' ? vessel.targetBridge : null;
+    const bridgeId = bridgeName ? BRIDGE_NAME_TO_ID[bridgeName] : null;
+    const bridge = bridgeId ? BRIDGES[bridgeId] : null;
+    if (!bridge || !Number.isFinite(prediction.lat) || !Number.isFinite(prediction.lon)) return;
+    const distance = geometry.calculateDistance(prediction.lat, prediction.lon, bridge.lat, bridge.lon);
+    if (distance === null || distance > FLOW_CONSTANTS.FLOW_TRIGGER_DISTANCE_THRESHOLD) return;
+    if (this._triggeredBoatNearKeys && this._triggeredBoatNearKeys.has(`${vessel.mmsi}:${bridgeName}`)) return;
+    // Förtöjningsplatser längs prognosens sträcka (statiska zoner + färska
+    // inlärda platser): i korpusarna tystnade sydgående båtar vid kajen och
+    // gästhamnen norr om Klaffbron och nådde aldrig zonen.
+    const now = Date.now();
+    const learned = (Array.isArray(this._learnedMooringSpots) ? this._learnedMooringSpots : [])
+      .filter((s) => Number.isFinite(s.t) && now - s.t < this._LEARNED_SPOT_TTL_MS)
+      .map((s) => ({ start: s, end: s, radiusM: 100 }));
+    if (this.deadReckoningService.passesMooring(prediction, [...MOORING_ZONES, ...learned])) {
+      this.debug(`⚓ [FLOW_TRIGGER_PREDICTED] ${vessel.mmsi}: prognosen passerar en förtöjningsplats — ingen notis`);
+      return;
+    }
+
+    if (vessel._moored) return;
+    const provenMoving = vessel._hasMovementProof
+      || (Number.isFinite(vessel.sog) && vessel.sog >= MOORING_DETECTION.MOVEMENT_PROOF_SOG_KN);
+    if (!provenMoving) return;
+    if (this.vesselDataService?.hasGpsJumpHold?.(vessel.mmsi)) return;
+    const lastAisMs = vessel.timestamp || vessel._lastSeen || 0;
+    if (lastAisMs && (Date.now() - lastAisMs) > UI_CONSTANTS.STALE_ETA_HARD_THRESHOLD_MS) return;
+
+    this.log(
+      `🧭 [FLOW_TRIGGER_PREDICTED] ${vessel.mmsi}: ${bridgeName} ${Math.round(distance)} m enligt prognosen `
+      + `(tyst ${Math.round(prediction.ageMs / 1000)} s, förtroende ${prediction.confidence.toFixed(2)})`,
+    );
+    await this._triggerBoatNearFlowForBridge(vessel, {
+      name: bridgeName, id: bridgeId, distance, source: 'predicted',
+    });
+  }
+
   /**
    * Etapp 6: diagnostiksignal från BridgeOpeningService — ett fartyg blev
    * TÄCKT av en öppningsvarning ('fired' = varningen gick ut med båten som
@@ -1487,6 +2221,7 @@ class AISBridgeApp extends Homey.App {
    */
   _persistLastKnownPositions() {
     try {
+      if (this._isSimulationActive()) return; // sandlådan, se _isSimulationActive
       if (!this.homey || !this.homey.settings || typeof this.homey.settings.set !== 'function') {
         return;
       }
@@ -1578,6 +2313,11 @@ class AISBridgeApp extends Homey.App {
     // kontextlös global unhandledRejection i stället för taggad fellogg.
     this.vesselDataService.on('vessel:removed', (e) => this._onVesselRemoved(e).catch((err) => this.error('[VESSEL_REMOVED] Unhandled error:', err)));
 
+    // vessel:passed-bridge: VDS har ankrat en passage (alla vägar går genom
+    // ankringen). Köas bara här — leveransen sker när analysen av fixen är
+    // klar, se _deliverBridgePassages.
+    this.vesselDataService.on('vessel:passed-bridge', (e) => this._queueBridgePassage(e));
+
     // vessel:journey-reset (N1, 2026-07-01): bekräftad U-sväng MITT i resan
     // (Fix D) = ny resa i motsatt riktning. VDS har nollat passedBridges;
     // app-lagret måste spegla NEW_JOURNEY-resetten och rensa dedup-nycklarna
@@ -1683,6 +2423,10 @@ class AISBridgeApp extends Homey.App {
     // Skapar ALDRIG vessel (ingen position att skapa från).
     this.aisClient.on('static-name', this._onStaticName.bind(this));
 
+    // Statiska uppgifter (typ/mått/djupgående/destination/anropssignal/IMO)
+    // — samma väg som namnet: cache + ev. levande vessel, aldrig ny vessel.
+    this.aisClient.on('static-data', this._onStaticData.bind(this));
+
     // error: WebSocket fel
     this.aisClient.on('error', this._onAISError.bind(this));
 
@@ -1728,6 +2472,8 @@ class AISBridgeApp extends Homey.App {
     // STEG 1: INITIERA MÅLBRO
     // Beräknar vilken bro båten är på väg mot baserat på position och COG
     await this._initializeTargetBridge(vessel);
+    this._onWatchedVesselEvent('entered', mmsi, vessel, vessel.targetBridge || null);
+    this._noteWatchedTarget(vessel);
 
     // STEG 2: ANALYSERA INITIAL POSITION
     // Beräknar avstånd till broar och initial status
@@ -1768,6 +2514,7 @@ class AISBridgeApp extends Homey.App {
     // aldrig beväpnats. VILLKORSLÖST (till skillnad från notisvägen ovan) —
     // servicen har sina egna grindar och bryr sig bara om målbroar.
     this._observeBridgeOpening(vessel);
+    this._deliverBridgePassages();
     if (vessel.targetBridge || enteredNearTriggerPoint) {
       await this._triggerBoatNearFlow(vessel);
     }
@@ -1984,6 +2731,7 @@ class AISBridgeApp extends Homey.App {
       // Etapp 6: se _onVesselEntered — samma anrop, samma plats i kedjan
       // (efter _analyzeVesselPosition och kajbokföringen, före notisvägen).
       this._observeBridgeOpening(vessel);
+      this._deliverBridgePassages();
 
       const shouldTriggerProximity = vessel.currentBridge
         || vessel.targetBridge
@@ -2110,6 +2858,7 @@ class AISBridgeApp extends Homey.App {
     this.debug(`🗑️ [VESSEL_REMOVED] Vessel: ${mmsi} (${reason})`);
     // Fältprov 3: städa svep-idempotensposten (en per mmsi)
     if (this._skippedBridgesSweepSeen) this._skippedBridgesSweepSeen.delete(String(mmsi));
+    if (this._watchedTargets) this._watchedTargets.delete(String(mmsi));
 
     // F2-följdfix (körning 2026-07-03, SPIKEN-klassen): minns senaste kända
     // position vid removal. När fartyget återföds behandlas det som "ny båt"
@@ -2204,7 +2953,9 @@ class AISBridgeApp extends Homey.App {
       const hasNotifiedRealBridge = (() => {
         if (!vessel) return false;
         const prefix = `${vessel.mmsi}:`;
-        const isRealBridgeKey = (key) => key.startsWith(prefix) && !key.endsWith(':Kanalinfarten');
+        const exitPoint = TRIGGER_POINTS[WATERWAY_ENDS.south.triggerPoint];
+        const isRealBridgeKey = (key) => key.startsWith(prefix)
+          && !(exitPoint && key.endsWith(`:${exitPoint.name}`));
         for (const key of this._triggeredBoatNearKeys) {
           if (isRealBridgeKey(key)) return true;
         }
@@ -2238,7 +2989,10 @@ class AISBridgeApp extends Homey.App {
           + `${vessel._newJourneyPending ? 'reversal pending' : `sista kursen nordlig (${Math.round(vessel.cog)}°)`} — ingen exit-notis`,
         );
       }
+      // Källbytet (simuleringen in/ut) tar bort fartyg som inte lämnat
+      // kanalen — ingen exit-notis.
       if (vessel
+          && reason !== 'source-switch'
           && Number.isFinite(vessel.lat)
           && Number.isFinite(vessel.lon)
           && !exitContraEvidence
@@ -2304,8 +3058,6 @@ class AISBridgeApp extends Homey.App {
       } else if (remainingVesselCount === 0) {
         // CRITICAL: Force bridge text update to default when no vessels remain
         this.debug('🔄 [VESSEL_REMOVAL_DEBUG] Last vessel removed - forcing bridge text to default');
-        // eslint-disable-next-line global-require
-        const { BRIDGE_TEXT_CONSTANTS } = require('./lib/constants');
         const defaultMessage = BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE;
         this.debug(`🔄 [VESSEL_REMOVAL_DEBUG] Default message: "${defaultMessage}"`);
 
@@ -2388,6 +3140,7 @@ class AISBridgeApp extends Homey.App {
     vessel, oldStatus, newStatus, reason,
   }) {
     this.debug(`🔄 [STATUS_CHANGED] Vessel ${vessel.mmsi}: ${oldStatus} → ${newStatus} (${reason})`);
+    this._noteWatchedTarget(vessel);
 
     // STEG 1: TRIGGA FLOW CARDS VID 300M ZON (WAITING STATUS)
     // När båt kommer inom 300m (waiting status) trigga Homey automation
@@ -2418,12 +3171,15 @@ class AISBridgeApp extends Homey.App {
     // STEG 3: HANTERA FINAL BRIDGE PASSAGE
     // När båt passerat sin sista målbro, schemalägg borttagning
     if (newStatus === 'passed' && vessel.targetBridge) {
-      // BUG 1 FIX: Om terminal-bro (Klaffbron/Stridsbergsbron) just passerats,
+      // BUG 1 FIX: Om terminal-bro (målbrokedjans ände) just passerats,
       // sätt _finalTargetBridge omedelbart — vänta inte på downstream-bekräftelse
       // som kan ta 4+ minuter och orsakar textregression.
-      // BUG 12 FIX: Kontrollera riktning — Klaffbron är terminal bara för sydgående,
-      // Stridsbergsbron bara för nordgående. Utan detta schemaläggs felaktig borttagning
-      // för nordgående fartyg som passerat Klaffbron (som inte är deras sista bro).
+      // BUG 12 FIX: Kontrollera riktning — sydligaste målbron (Klaffbron) är
+      // terminal bara för sydgående, nordligaste (Stridsbergsbron) bara för
+      // nordgående. Utan detta schemaläggs felaktig borttagning för nordgående
+      // fartyg som passerat Klaffbron (som inte är deras sista bro). Ändarna
+      // läses ur de aktiva TARGET_BRIDGES (syd → nord): en befordrad bro
+      // flyttar aldrig ändarna inåt, men en profil med andra målbroar gör det.
       // Helgranskning 2026-07-06 (app-3#1-härdning): föredra riktningslåsen
       // (som syskonen _hasPassedFinalTargetBridge/_calculateNextTargetBridge)
       // och finit-gata rå-cog-fallbacken — null <= 45 gav annars "nord" för
@@ -2434,7 +3190,7 @@ class AISBridgeApp extends Homey.App {
         ? lockedDir === 'north'
         : (Number.isFinite(vessel.cog)
           && (vessel.cog >= COG_DIRECTIONS.NORTH_MIN || vessel.cog <= COG_DIRECTIONS.NORTH_MAX));
-      const terminalBridge = isNorthbound ? 'Stridsbergsbron' : 'Klaffbron';
+      const terminalBridge = isNorthbound ? TARGET_BRIDGES[TARGET_BRIDGES.length - 1] : TARGET_BRIDGES[0];
       const isTerminalTarget = vessel.targetBridge === terminalBridge
         && vessel.passedBridges?.includes(terminalBridge);
       if (isTerminalTarget && !vessel._finalTargetBridge) {
@@ -2455,7 +3211,7 @@ class AISBridgeApp extends Homey.App {
         // visningsfönstret (PASSED_HOLD_MS = 150 s / 2,5 min) — därför tas
         // båten bort först efter denna period
         try {
-          const timerId = setTimeout(() => {
+          const timerId = simulationClock.setTimeout(() => {
             // RACE CONDITION CHECK: Förhindra dubbel-borttagning
             if (!this._processingRemoval || !this._processingRemoval.has(vessel.mmsi)) {
               this.vesselDataService.removeVessel(vessel.mmsi, 'passed-final-bridge');
@@ -2545,6 +3301,9 @@ class AISBridgeApp extends Homey.App {
       // Beräkna avstånd till alla broar och hitta närmaste
       const proximityData = this.proximityService.analyzeVesselProximity(vessel);
 
+      // STEG 2b: SLUSSTRAPPAN — före ETA:n, som läser slussväntan
+      this._observeLockComplex(vessel);
+
       // STEG 3 (ändrad 2026-06-13): referensen för STEG 8-återställningen
       // fångas numera EFTER STEG 5 (targetAfterTransitions) så att gate-
       // bekräftade transitioner inte ångras — se kommentaren vid STEG 8.
@@ -2730,7 +3489,11 @@ class AISBridgeApp extends Homey.App {
           // inte driva publicerade ETA-hopp — behåll värdet tills ett rent
           // sampel kommer (se tvillinggaten i _reevaluateVesselStatuses).
           const freshMsgETA = this.statusService.calculateETA(vessel, proximityData);
-          vessel.etaMinutes = this._reconcilePublishedETA(vessel, freshMsgETA);
+          // Öppningsrestriktionen EFTER clampen: den dämpade siffran är
+          // ankomsten, spärrfönstrets slut är öppningen (BridgeRestrictionService).
+          vessel.etaMinutes = this.statusService.applyOpeningRestriction(
+            vessel, this._reconcilePublishedETA(vessel, freshMsgETA),
+          );
         }
         // else: behåll nuvarande värde — Fix G/HARD-nullify styr presentationen
       } else {
@@ -2803,12 +3566,13 @@ class AISBridgeApp extends Homey.App {
 
     // Require downstream bridge confirmation before cleanup
     if (direction === 'north') {
-      // Northbound journeys must also pass Stallbackabron after Stridsbergsbron
-      return vessel.passedBridges.includes('Stallbackabron');
+      // Northbound journeys must also pass the northernmost bridge
+      // (Stallbackabron) after the last target
+      return vessel.passedBridges.includes(WATERWAY_ENDS.north.bridge);
     }
 
-    // Southbound journeys must also pass Olidebron after Klaffbron
-    return vessel.passedBridges.includes('Olidebron');
+    // Southbound journeys must also pass the southernmost bridge (Olidebron)
+    return vessel.passedBridges.includes(WATERWAY_ENDS.south.bridge);
   }
 
   /**
@@ -2899,6 +3663,28 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Statiska uppgifter från typ 5/19/24 (eller AISHub-posten). Registreras i
+   * cachen och speglas på ett ev. levande vessel-objekt (vessel.staticData)
+   * så nästa notis bär dem direkt. Skapar aldrig vessel.
+   * @param {{mmsi: string, staticData: object}} data
+   * @private
+   */
+  _onStaticData(data) {
+    try {
+      if (!data || !data.mmsi || !data.staticData) return;
+      const merged = this._rememberVesselStatic(data.mmsi, data.staticData);
+      const vessel = this.vesselDataService && this.vesselDataService.getVessel
+        ? this.vesselDataService.getVessel(String(data.mmsi))
+        : null;
+      if (vessel && merged) {
+        vessel.staticData = merged;
+      }
+    } catch (error) {
+      this.error('[STATIC_CACHE] Failed to handle static-data:', error.message || error);
+    }
+  }
+
   /**
    * ==========================================================================
    * AIS FEL-HANTERING
@@ -3187,6 +3973,9 @@ class AISBridgeApp extends Homey.App {
         cog: normalizedCog,
         navStatus: normalizedNavStatus,
         name: effectiveName,
+        // Statiska uppgifter från cachen (null = inget känt ännu) — bärs av
+        // _createVesselObject till vessel.staticData.
+        staticData: this._lookupVesselStatic(mmsiStr),
         fixTs: normalizedFixTs,
         fixFeed: normalizedFixFeed,
         // Etapp 3: källbytesflaggan (F5) — plumbas hela vägen till
@@ -3453,7 +4242,7 @@ class AISBridgeApp extends Homey.App {
       // Start new micro-grace period
       this._microGraceBatches.set(bridgeKey, [{ reason, significance }]);
 
-      const timerId = setTimeout(() => {
+      const timerId = simulationClock.setTimeout(() => {
         const batch = this._microGraceBatches.get(bridgeKey) || [];
         this.debug(`⏰ [COALESCING] Micro-grace period expired for ${bridgeKey}: ${batch.length} events`);
         this._processMicroGraceBatch(bridgeKey, batch);
@@ -3471,7 +4260,7 @@ class AISBridgeApp extends Homey.App {
         clearTimeout(existingTimer);
 
         const reducedGracePeriod = 10; // Immediate processing for high significance
-        const newTimerId = setTimeout(() => {
+        const newTimerId = simulationClock.setTimeout(() => {
           const currentBatch = this._microGraceBatches.get(bridgeKey) || [];
           this.debug(`⚡ [COALESCING] High significance event triggered early processing for ${bridgeKey}: ${currentBatch.length} events`);
           this._processMicroGraceBatch(bridgeKey, currentBatch);
@@ -3505,7 +4294,8 @@ class AISBridgeApp extends Homey.App {
     }
 
     // ENHANCED: Stallbackabron-related updates get high priority
-    if (reason.includes('stallbacka') || reason.includes('Stallbackabron')) {
+    const highBridge = STALLBACKABRON_SPECIAL.BRIDGE_NAME;
+    if (reason.includes('stallbacka') || (highBridge && reason.includes(highBridge))) {
       return 'high';
     }
 
@@ -3704,7 +4494,7 @@ class AISBridgeApp extends Homey.App {
       // Generate bridge text with BULLETPROOF error handling
       let bridgeText;
       try {
-        bridgeText = this.bridgeTextService.generateBridgeText(relevantVessels);
+        bridgeText = this.bridgeTextService.generateBridgeText(relevantVessels, { etaRange: this._bridgeTextEtaRange === true });
         this.debug(`📱 [_actuallyUpdateUI] Generated bridge text: "${bridgeText}"`);
 
         // SAFETY: Ensure we always have a valid string
@@ -3959,6 +4749,9 @@ class AISBridgeApp extends Homey.App {
         }
       }
 
+      // Per-bro-enheterna: samma snapshot, egen värde-dedup per bro.
+      this._updateBridgeDevices(relevantVessels, { staleGuardActive });
+
       return { success: true, bridgeText, vesselCount: relevantVessels.length };
 
     } catch (error) {
@@ -4439,7 +5232,7 @@ class AISBridgeApp extends Homey.App {
     try {
       const vesselSetChanged = sanitizedVessels.length !== vessels.length;
       if (sanitizedVessels.length > 0 && this.bridgeTextService && vesselSetChanged) {
-        const variant1 = this.bridgeTextService.generateBridgeText(sanitizedVessels);
+        const variant1 = this.bridgeTextService.generateBridgeText(sanitizedVessels, { etaRange: this._bridgeTextEtaRange === true });
         if (variant1
             && variant1 !== BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE
             && variant1 !== failedBridgeText) {
@@ -4497,9 +5290,12 @@ class AISBridgeApp extends Homey.App {
     }
 
     // BUG 5 FIX: Include direction and ETA when available for more informative fallback
+    // Formerna bor i språktabellen (kanonisk svenska) så publicerings-
+    // gränsens översättning känner igen även nödfallbackens texter.
+    const sv = bridgeTextLocale.getStrings('sv');
     let dirSuffix = '';
     if (firstVessel._routeDirection) {
-      dirSuffix = firstVessel._routeDirection.startsWith('north') ? ' (nordgående)' : ' (sydgående)';
+      dirSuffix = firstVessel._routeDirection.startsWith('north') ? sv.northbound : sv.southbound;
     }
     // Review fix H2: route ETA clause through SSOT helper so descriptive
     // fallback can never emit "om 106 minuter" for a near-stationary vessel.
@@ -4519,14 +5315,15 @@ class AISBridgeApp extends Homey.App {
       ? `, ${formatETABroOpeningClause(firstVessel.etaMinutes, {
         extrapolated: firstVessel._etaIsExtrapolated === true,
         imminent: firstVessel._isImminentAtTargetBridge === true,
+        deferred: firstVessel._openingRestrictedUntilMs > Date.now(),
       })}`
       : '';
 
     if (vesselCount === 1) {
       if (bridge && Number.isFinite(dist)) {
-        return `En båt ${Math.round(dist)}m från ${bridge}${dirSuffix}${etaSuffix}`;
+        return `${sv.oneBoatFrom(Math.round(dist), bridge)}${dirSuffix}${etaSuffix}`;
       }
-      return `En båt är i närheten av ${bridge || 'broarna'}${dirSuffix}`;
+      return `${sv.oneBoatNear(bridge || sv.theBridges)}${dirSuffix}`;
     }
 
     // Flerfartyg: inkludera bronamn om alla mot samma MÅLBRO (T-1: aldrig
@@ -4537,9 +5334,9 @@ class AISBridgeApp extends Homey.App {
       .map((v) => (v && TARGET_BRIDGES.includes(v.targetBridge) ? v.targetBridge : null))
       .filter(Boolean))];
     if (bridges.length === 1) {
-      return `${vesselCount} båtar är i närheten av ${bridges[0]}`;
+      return sv.boatsNear(vesselCount, bridges[0]);
     }
-    return `${vesselCount} båtar är i närheten av broarna`;
+    return sv.boatsNear(vesselCount, sv.theBridges);
   }
 
   /**
@@ -4583,7 +5380,7 @@ class AISBridgeApp extends Homey.App {
       this.debug(`⚡ [IMMEDIATE] Joining pending immediate batch: ${reason} (${this._immediatePublishReasons.length} events)`);
       return;
     }
-    this._immediatePublishTimer = setTimeout(() => {
+    this._immediatePublishTimer = simulationClock.setTimeout(() => {
       this._immediatePublishTimer = null;
       const reasons = this._immediatePublishReasons;
       this._immediatePublishReasons = [];
@@ -4783,7 +5580,9 @@ class AISBridgeApp extends Homey.App {
             // maskerades tidigare av att distance_fallback felaktigt förklarade
             // ankommande båtar passerade — sidbyteskravet avslöjade den.
             const freshETA = this.statusService.calculateETA(vessel, proximityData);
-            vessel.etaMinutes = this._reconcilePublishedETA(vessel, freshETA);
+            vessel.etaMinutes = this.statusService.applyOpeningRestriction(
+              vessel, this._reconcilePublishedETA(vessel, freshETA),
+            );
             vessel._positionUpdatedSinceLastETA = false;
             vessel._etaIsExtrapolated = false;
             vessel._etaExtrapolationBaseMs = Date.now();
@@ -5027,6 +5826,9 @@ class AISBridgeApp extends Homey.App {
           }
         }
 
+        // Dödräkningen: tysta båtar får en flaggad prognosposition.
+        this._updateDeadReckoning(vessel);
+
         if (statusResult.statusChanged) {
           this.debug(`🔄 [STATUS_UPDATE] ${vessel.mmsi}: ${statusResult.status} (${statusResult.statusReason})`);
         }
@@ -5035,6 +5837,10 @@ class AISBridgeApp extends Homey.App {
         // Continue with next vessel
       }
     });
+
+    // Statusanalysen kan ankra en passage (under-bridge-utträdet) även här,
+    // utan ny fix — leverera den nu i stället för vid nästa båts meddelande.
+    this._deliverBridgePassages();
   }
 
   /**
@@ -5108,6 +5914,12 @@ class AISBridgeApp extends Homey.App {
         // publiceringsvägen.
         _etaIsExtrapolated: vessel._etaIsExtrapolated,
         _isImminentAtTargetBridge: vessel._isImminentAtTargetBridge,
+        // Öppningsrestriktionen: "(uppskjuten av öppningsrestriktion)".
+        _openingRestrictedUntilMs: vessel._openingRestrictedUntilMs,
+        // Dödräkningens flaggade prognos (tyst båt) — bara ledarvalet läser den.
+        _predictedPosition: vessel._predictedPosition || null,
+        // ETA-intervallet (p10/p90) — räknas bara i intervalläget.
+        _etaInterval: this._bridgeTextEtaRange === true ? this._bridgeTextETAInterval(vessel) : null,
         lat: vessel.lat,
         lon: vessel.lon,
         // FP9 (2026-07-18, FIX I1): under-målbron-dominansens färskhetsgate
@@ -5152,11 +5964,104 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Aktivera vattenvägsprofilen i inställningen waterway_profile. En okänd
+   * eller ogiltig profil loggas och standardprofilen (Trollhättekanalen)
+   * behålls. Tillgängliga profiler publiceras som available_waterway_profiles
+   * för inställningssidans lista.
+   * @private
+   */
+  _activateWaterwayProfile() {
+    const settings = this.homey && this.homey.settings ? this.homey.settings : null;
+    if (settings && typeof settings.set === 'function') {
+      const available = waterwayProfile.listProfiles()
+        .map((id) => waterwayProfile.loadProfile(id))
+        .filter(Boolean)
+        .map((profile) => ({ id: profile.id, name: profile.name }));
+      settings.set('available_waterway_profiles', available);
+    }
+
+    const wanted = settings && typeof settings.get === 'function' ? settings.get('waterway_profile') : null;
+    if (!wanted || wanted === WATERWAY.id) {
+      this.log(`🗺️ [WATERWAY] ${WATERWAY.name} (${WATERWAY.id})`);
+      return;
+    }
+    const profile = waterwayProfile.loadProfile(wanted);
+    const result = profile ? waterwayProfile.validateProfile(profile) : { valid: false, errors: ['profile not found'] };
+    if (!result.valid) {
+      this.error(`🗺️ [WATERWAY] Profil '${wanted}' ogiltig — behåller ${WATERWAY.id}:`, result.errors);
+      return;
+    }
+    activateWaterwayProfile(profile);
+    this.log(`🗺️ [WATERWAY] ${WATERWAY.name} (${WATERWAY.id}) aktiverad`);
+  }
+
+  /**
+   * Befordra broarna i inställningen opening_target_bridges (bro-id:n) till
+   * målbroar i den aktiva profilen. Broarna som KAN befordras (alla utom
+   * målbroarna och den höga bron) publiceras som
+   * available_opening_target_bridges för inställningssidans kryssrutor —
+   * samma broar som öppningskortens dropdowner listar.
+   * @private
+   */
+  _applyOpeningTargetBridges() {
+    const settings = this.homey && this.homey.settings ? this.homey.settings : null;
+    if (settings && typeof settings.set === 'function') {
+      const candidates = WATERWAY.profile.sequence
+        .filter((id) => id !== WATERWAY.profile.highBridge)
+        .filter((id) => !WATERWAY.profile.targetBridges.includes(BRIDGES[id].name))
+        .map((id) => ({ id, name: BRIDGES[id].name }));
+      settings.set('available_opening_target_bridges', candidates);
+    }
+
+    const wanted = settings && typeof settings.get === 'function' ? settings.get('opening_target_bridges') : null;
+    const promoted = promoteTargetBridges(wanted);
+    if (promoted.length > 0) {
+      this.log(`🎯 [OPENING_TARGETS] Befordrade till målbro: ${promoted.join(', ')} → ${TARGET_BRIDGES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Läs textspråket: inställningen bridge_text_language ('auto' | 'sv' |
+   * 'en') eller, vid 'auto', Homeys systemspråk.
+   * @returns {string}
+   * @private
+   */
+  _resolveBridgeTextLocale() {
+    const setting = this.homey && this.homey.settings ? this.homey.settings.get('bridge_text_language') : null;
+    let systemLanguage = null;
+    try {
+      if (this.homey && this.homey.i18n && typeof this.homey.i18n.getLanguage === 'function') {
+        systemLanguage = this.homey.i18n.getLanguage();
+      }
+    } catch (error) {
+      systemLanguage = null;
+    }
+    return bridgeTextLocale.resolveLocale(setting, systemLanguage);
+  }
+
+  /**
+   * Publiceringsgränsen för bridge_text: den kanoniska svenska texten
+   * renderas på användarens språk. Anropas ENBART där texten lämnar appen
+   * (capability-skrivningen och den globala token) — alla jämförelser,
+   * hashar och vakter ser fortsatt den svenska texten.
+   * @param {string} text - Kanonisk svensk text
+   * @returns {string}
+   */
+  _localizeBridgeText(text) {
+    if (!this._bridgeTextLocale || this._bridgeTextLocale === bridgeTextLocale.DEFAULT_LOCALE) return text;
+    return bridgeTextLocale.translateBridgeText(text, this._bridgeTextLocale);
+  }
+
   /**
    * Update device capability for all devices (with crash protection)
+   * @param {string} capability
+   * @param {*} value
+   * @param {string|null} [bridgeId] - Per-bro-enhet (drivers/bridge): skriv
+   *   bara till den brons enheter, i en egen kedja per bro och capability.
    * @private
    */
-  _updateDeviceCapability(capability, value) {
+  _updateDeviceCapability(capability, value, bridgeId = null) {
     // ChatGPT-verifieringen 2026-07-10 (C4b): serialisera skrivningarna per
     // capability — två snabba uppdateringar (A→B) var tidigare oawaitade
     // parallella promises som kunde landa i OMVÄND ordning på enheten (B:s
@@ -5165,12 +6070,14 @@ class AISBridgeApp extends Homey.App {
     // A2R2-4 (R2 2026-07-11): efter onUninit ska inget mer skrivas —
     // clear() på Map:en avbokar inte redan registrerade .then-continuations.
     if (this._shuttingDown) return;
+    if (capability === 'bridge_text' && !bridgeId) value = this._localizeBridgeText(value);
     if (!this._capWriteChains) this._capWriteChains = new Map();
-    const prev = this._capWriteChains.get(capability) || Promise.resolve();
-    const next = prev.then(() => this._writeCapabilityWithTimeout(capability, value));
+    const chainKey = bridgeId ? `${bridgeId}:${capability}` : capability;
+    const prev = this._capWriteChains.get(chainKey) || Promise.resolve();
+    const next = prev.then(() => this._writeCapabilityWithTimeout(capability, value, bridgeId));
     // Kedjan får aldrig fastna på ett fel — felen hanteras/loggas i
     // _writeCapabilityToDevices.
-    this._capWriteChains.set(capability, next.catch(() => {}));
+    this._capWriteChains.set(chainKey, next.catch(() => {}));
   }
 
   /**
@@ -5183,13 +6090,14 @@ class AISBridgeApp extends Homey.App {
    * nästa cykel skriver om.
    * @private
    */
-  _writeCapabilityWithTimeout(capability, value) {
+  _writeCapabilityWithTimeout(capability, value, bridgeId = null) {
     if (this._shuttingDown) return Promise.resolve(); // A2R2-4
     const WRITE_TIMEOUT_MS = 30 * 1000;
     let timer = null;
     let timedOut = false;
     const clearSentinel = () => {
-      if (capability === 'bridge_text') this._lastBridgeTextHash = null;
+      if (bridgeId) this._lastBridgeDeviceValues.delete(`${bridgeId}:${capability}`);
+      else if (capability === 'bridge_text') this._lastBridgeTextHash = null;
       else if (capability === 'alarm_generic') this._lastBridgeAlarm = null;
       else if (capability === 'connection_status') this._lastConnectionStatus = null;
     };
@@ -5208,7 +6116,7 @@ class AISBridgeApp extends Homey.App {
     // att någon läkning triggas (hash-dedupen pekar på det nya). Vid sen
     // settling efter timeout: nolla sentinelen IGEN så nästa cykel/heal
     // garanterat skriver om det aktuella värdet.
-    const guarded = this._writeCapabilityToDevices(capability, value).then(
+    const guarded = this._writeCapabilityToDevices(capability, value, bridgeId).then(
       () => {
         clearTimeout(timer);
         if (timedOut) {
@@ -5270,7 +6178,7 @@ class AISBridgeApp extends Homey.App {
       }, 10 * 1000);
       if (timer && typeof timer.unref === 'function') timer.unref();
     });
-    const write = this._globalBridgeTextToken.setValue(text).then(
+    const write = this._globalBridgeTextToken.setValue(this._localizeBridgeText(text)).then(
       () => {
         clearTimeout(timer);
         if (timedOut) this._lastBridgeTextHash = null; // sen landning: omskrivning
@@ -5286,14 +6194,17 @@ class AISBridgeApp extends Homey.App {
     await Promise.race([write, timeout]);
   }
 
-  async _writeCapabilityToDevices(capability, value) {
+  async _writeCapabilityToDevices(capability, value, bridgeId = null) {
     const writes = [];
+    const devices = bridgeId
+      ? (this._bridgeDevices.get(bridgeId) || new Set())
+      : this._devices;
     // Fable-granskningen 2026-07-10b (P1-1-skärpningen): deklareras FÖRE
     // loopen så även ett SYNKRONT kast ur setCapabilityValue räknas som
     // misslyckad skrivning (fångades tidigare i loop-catchen utan att
     // självläkningen nedan såg det).
     let anyRejected = false;
-    for (const device of this._devices) {
+    for (const device of devices) {
       try {
         if (device && device.setCapabilityValue) {
           writes.push(device.setCapabilityValue(capability, value).then(() => {
@@ -5315,7 +6226,9 @@ class AISBridgeApp extends Homey.App {
               // ärligt unavailable tills nästa onInit retar migreringen.
               // (Stubbar utan hasCapability-API behandlas som kompletta —
               // bevarar testlägets I1-beteende.)
-              const REQUIRED_CAPABILITIES = ['alarm_generic', 'bridge_text', 'connection_status'];
+              const REQUIRED_CAPABILITIES = bridgeId
+                ? BRIDGE_DEVICE.CAPABILITIES
+                : ['alarm_generic', 'bridge_text', 'connection_status'];
               const allCapabilitiesPresent = typeof device.hasCapability !== 'function'
                 || REQUIRED_CAPABILITIES.every((cap) => device.hasCapability(cap));
               if (!allCapabilitiesPresent) {
@@ -5360,7 +6273,12 @@ class AISBridgeApp extends Homey.App {
     // (initialvärdena är false/'disconnected') och tvingar omskrivning vid
     // nästa jämförelse.
     if (anyRejected) {
-      if (capability === 'bridge_text') {
+      if (bridgeId) {
+        // Per-bro-enheten: saknad dedup-nyckel = omskrivning nästa cykel
+        // (vakthundens läkningsvillkor ser den via _bridgeDevicesNeedWrite).
+        this._lastBridgeDeviceValues.delete(`${bridgeId}:${capability}`);
+        this.error(`❌ [BRIDGE_DEVICE_WRITE_FAILED] ${bridgeId}:${capability} — skrivs om vid nästa UI-cykel`);
+      } else if (capability === 'bridge_text') {
         this._lastBridgeTextHash = null;
         this.error('❌ [BRIDGE_TEXT_WRITE_FAILED] Hash-dedupen nollställd — texten skrivs om vid nästa UI-cykel');
       } else if (capability === 'alarm_generic') {
@@ -5373,6 +6291,134 @@ class AISBridgeApp extends Homey.App {
     }
   }
 
+  /**
+   * Beräkna per-bro-enheternas värden ur UI-snapshotens projektion
+   * (_findRelevantBoatsForBridgeText) — samma fartygsurval som texten, så en
+   * per-bro-enhet aldrig larmar för en båt den kombinerade texten inte ser.
+   *
+   * En båt räknas till bron när den har bron som målbro ELLER ligger vid den
+   * (currentBridge). Ledbåten är den med lägst ETA mot bron som MÅLBRO —
+   * mellanbroar saknar ETA i projektionen och visar därför bara närvaro.
+   * "Nästa öppning" tas i första hand ur öppningsvarningarnas armar
+   * (expectedArrivalMs), annars ur ledbåtens ETA. Armarna överlever
+   * radiotystnad (BridgeOpeningService: tystnad avväpnar aldrig) och läses
+   * därför även när stale-data-guarden har nollat fartygsurvalet.
+   *
+   * @param {Array<Object>} relevantVessels - Snapshotens projektion
+   * @param {{staleGuardActive?: boolean}} [options]
+   * @returns {Map<string, Object>} bro-id → { capability: värde }
+   * @private
+   */
+  _computeBridgeDeviceStates(relevantVessels, { staleGuardActive = false } = {}) {
+    const now = Date.now();
+    const arms = this.bridgeOpeningService ? this.bridgeOpeningService.getSnapshot().arms : [];
+    // Samma GPS-hold-filter som BRIDGE_TEXT_BUG-kontrollens visibleVessels.
+    const isHeld = (v) => Boolean(this.vesselDataService
+      && typeof this.vesselDataService.hasGpsJumpHold === 'function'
+      && this.vesselDataService.hasGpsJumpHold(v.mmsi));
+
+    const states = new Map();
+    for (const bridgeId of this._bridgeDevices.keys()) {
+      const name = BRIDGE_ID_TO_NAME[bridgeId];
+      const vessels = staleGuardActive ? [] : (relevantVessels || []).filter(
+        (v) => v && (v.targetBridge === name || v.currentBridge === name) && !isHeld(v),
+      );
+      const etas = vessels
+        .filter((v) => v.targetBridge === name && Number.isFinite(v.etaMinutes) && v.etaMinutes >= 0)
+        .map((v) => v.etaMinutes);
+      const leadEta = etas.length > 0 ? Math.min(...etas) : null;
+
+      // En tyst båts dödräknade ankomst (arm.predicted) räknas när den är tidigare.
+      const armTimes = arms
+        .filter((a) => a.bridge === name)
+        .map((a) => Math.min(
+          Number.isFinite(a.expectedArrivalMs) ? a.expectedArrivalMs : Infinity,
+          a.predicted && Number.isFinite(a.predicted.arrivalMs) ? a.predicted.arrivalMs : Infinity,
+        ))
+        .filter((t) => Number.isFinite(t) && t >= now);
+      let nextOpeningMs = null;
+      if (armTimes.length > 0) nextOpeningMs = Math.min(...armTimes);
+      else if (leadEta !== null) nextOpeningMs = now + leadEta * 60 * 1000;
+
+      // Vägavstängningen ur öppningshändelserna — bara målbroar har sådana.
+      const closure = this.bridgeOpeningService ? this.bridgeOpeningService.getRoadClosure(name) : null;
+
+      states.set(bridgeId, {
+        alarm_generic: vessels.length > 0,
+        measure_eta_minutes: leadEta !== null ? Math.round(leadEta) : null,
+        vessel_count: vessels.length,
+        next_opening_at: nextOpeningMs !== null
+          ? this._formatClockTime(nextOpeningMs)
+          : BRIDGE_DEVICE.NO_OPENING_TEXT,
+        road_closes_at: closure ? this._formatClockTime(closure.closesAtMs) : BRIDGE_DEVICE.NO_OPENING_TEXT,
+        road_reopens_at: closure ? this._formatClockTime(closure.reopensAtMs) : BRIDGE_DEVICE.NO_OPENING_TEXT,
+      });
+    }
+    return states;
+  }
+
+  /**
+   * Skriv per-bro-enheternas värden genom den serialiserade skrivkedjan
+   * (_updateDeviceCapability med bro-id). Bara ÄNDRADE värden skrivs; en
+   * saknad dedup-nyckel (nyparad enhet, misslyckad skrivning) skrivs alltid.
+   * @param {Array<Object>} relevantVessels
+   * @param {{staleGuardActive?: boolean}} [options]
+   * @private
+   */
+  _updateBridgeDevices(relevantVessels, options = {}) {
+    if (!this._bridgeDevices || this._bridgeDevices.size === 0) return;
+    const states = this._computeBridgeDeviceStates(relevantVessels, options);
+    for (const [bridgeId, state] of states) {
+      for (const capability of BRIDGE_DEVICE.CAPABILITIES) {
+        const key = `${bridgeId}:${capability}`;
+        const value = state[capability];
+        if (this._lastBridgeDeviceValues.has(key) && this._lastBridgeDeviceValues.get(key) === value) continue;
+        this._lastBridgeDeviceValues.set(key, value);
+        this._updateDeviceCapability(capability, value, bridgeId);
+      }
+    }
+  }
+
+  /**
+   * Sant om någon registrerad per-bro-enhet saknar ett skrivet värde —
+   * vakthundens läkningsvillkor (samma roll som null-sentinelerna).
+   * @returns {boolean}
+   * @private
+   */
+  _bridgeDevicesNeedWrite() {
+    if (!this._bridgeDevices) return false;
+    for (const bridgeId of this._bridgeDevices.keys()) {
+      for (const capability of BRIDGE_DEVICE.CAPABILITIES) {
+        if (!this._lastBridgeDeviceValues.has(`${bridgeId}:${capability}`)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Hela minuter från nu till en tidpunkt, för Flow-tokens: -1 = okänd,
+   * 0 = redan passerad.
+   * @param {number|null} ms - Epoch-millisekunder
+   * @returns {number}
+   * @private
+   */
+  _minutesUntil(ms) {
+    if (!Number.isFinite(ms)) return -1;
+    return Math.max(0, Math.round((ms - Date.now()) / 60000));
+  }
+
+  /**
+   * Klockslag "HH:MM" i Homeys tidszon (fallback: kanalens egen).
+   * @param {number} ms - Epoch-millisekunder
+   * @returns {string}
+   * @private
+   */
+  _formatClockTime(ms) {
+    const timeZone = (this.homey && this.homey.clock && typeof this.homey.clock.getTimezone === 'function'
+      && this.homey.clock.getTimezone()) || 'Europe/Stockholm';
+    return new Date(ms).toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit', timeZone });
+  }
+
   /**
    * Clear bridge text references to specific vessel (currently triggers general UI update)
    * @param {string} mmsi - Vessel MMSI to clear references for
@@ -5409,7 +6455,7 @@ class AISBridgeApp extends Homey.App {
 
     try {
       this.debug(`🔧 [TRIGGER_METHOD] ${vessel.mmsi}: Using app-level boat_near trigger`);
-      return await this._boatNearTrigger.trigger(tokens, state);
+      return await this._boatNearTrigger.trigger(this._flowTokens(tokens), state);
     } catch (error) {
       this.error(`❌ [FLOW_TRIGGER_APP_ERROR] ${vessel.mmsi}: Failed to trigger boat_near card`, error.message || error);
       throw error;
@@ -5510,7 +6556,19 @@ class AISBridgeApp extends Homey.App {
         vessel_name: leadName || this._lookupVesselName(payload.leadMmsi) || 'Okänd båt',
         direction: String(payload.direction || 'unknown'),
         eta_minutes: etaMinutes,
+        // Ledbåtens ETA-intervall (-1 = okänt, samma kontrakt som boat_near).
+        ...this._etaRangeTokens(
+          payload.leadMmsi && this.vesselDataService ? this.vesselDataService.getVessel(payload.leadMmsi) : null,
+          payload.etaMinutes,
+          etaMinutes,
+          payload.distanceM,
+        ),
         vessel_count: Number.isFinite(payload.vesselCount) ? payload.vesselCount : 1,
+        // Vägavstängningsprognosen i minuter från nu (-1 = okänd, 0 = redan).
+        road_closes_minutes: this._minutesUntil(payload.roadClosesAtMs),
+        road_reopens_minutes: this._minutesUntil(payload.roadReopensAtMs),
+        // Ledbåtens statiska uppgifter (-1/'' = okänt, samma kontrakt som boat_near).
+        ...staticDataUtil.toFlowTokens(payload.leadMmsi ? this._lookupVesselStatic(payload.leadMmsi) : null),
       };
       const state = {
         bridge: BRIDGE_NAME_TO_ID[payload.bridge] || payload.bridge,
@@ -5539,6 +6597,9 @@ class AISBridgeApp extends Homey.App {
         this._persistOpeningWarnings();
       }
 
+      // Tysta timmar/snooze: efter nycklarna, samma skäl som boat_near.
+      if (this._suppressFlowTrigger('bridge_opening_soon', payload.bridge, tokens.vessel_name, payload.leadMmsi)) return;
+
       this._triggerBridgeOpeningFlow(tokens, state).catch((error) => {
         this.error(
           `❌ [OPENING_TRIGGER_ERROR] ${payload.eventId}: bridge_opening_soon misslyckades —`,
@@ -5557,7 +6618,7 @@ class AISBridgeApp extends Homey.App {
    * @private
    */
   async _triggerBridgeOpeningFlow(tokens, state) {
-    await this._bridgeOpeningTrigger.trigger(tokens, state);
+    await this._bridgeOpeningTrigger.trigger(this._flowTokens(tokens), state);
     this.log(
       `✅ [OPENING_TRIGGER_SUCCESS] ${state.eventId}: bridge_opening_soon avfyrad för ${tokens.bridge_name} `
       + `(${tokens.vessel_count} båt(ar), ledande ${tokens.vessel_name}, `
@@ -5566,6 +6627,519 @@ class AISBridgeApp extends Homey.App {
     );
   }
 
+  /**
+   * Tysta timmar: ladda scheman (quiet_hours) och persisterade snoozar +
+   * osänd sammanfattning (flow_suppression_state). Fel ger tomt tillstånd.
+   * @private
+   */
+  _loadQuietHours() {
+    try {
+      if (!this.quietHoursService || !this.homey || !this.homey.settings
+        || typeof this.homey.settings.get !== 'function') return;
+      this.quietHoursService.setSchedules(this.homey.settings.get('quiet_hours'));
+      this.quietHoursService.load(this.homey.settings.get('flow_suppression_state'));
+    } catch (error) {
+      this.error('[QUIET_HOURS] Failed to load quiet hours:', error.message || error);
+    }
+  }
+
+  /**
+   * Öppningsrestriktioner: ladda kalendern (bridge_restrictions). Trasiga
+   * fönster hoppas över; fel ger tom kalender (dagens beteende).
+   * @private
+   * @returns {number} antal giltiga spärrfönster
+   */
+  _loadBridgeRestrictions() {
+    try {
+      if (!this.bridgeRestrictionService || !this.homey || !this.homey.settings
+        || typeof this.homey.settings.get !== 'function') return 0;
+      return this.bridgeRestrictionService.setCalendar(this.homey.settings.get('bridge_restrictions'));
+    } catch (error) {
+      this.error('[RESTRICTIONS] Failed to load bridge restrictions:', error.message || error);
+      return 0;
+    }
+  }
+
+  /**
+   * Fartprofilerna: ladda speed_profiles. Utgångna prov filtreras; fel ger
+   * tomma profiler (dagens beteende: ren live-SOG).
+   * @private
+   */
+  _loadSpeedProfiles() {
+    try {
+      if (!this.speedProfileService || !this.homey || !this.homey.settings
+        || typeof this.homey.settings.get !== 'function') return;
+      const count = this.speedProfileService.load(this.homey.settings.get('speed_profiles'));
+      if (count > 0) this.log(`🚤 [SPEED_PROFILE] Loaded speed profiles for ${count} vessel(s)`);
+    } catch (error) {
+      this.error('[SPEED_PROFILE] Failed to load speed profiles:', error.message || error);
+    }
+  }
+
+  /** @private */
+  _persistSpeedProfiles() {
+    try {
+      if (!this.speedProfileService || !this.homey || !this.homey.settings
+        || typeof this.homey.settings.set !== 'function') return;
+      this.homey.settings.set('speed_profiles', this.speedProfileService.toJSON());
+    } catch (error) {
+      this.error('[SPEED_PROFILE] Failed to persist speed profiles:', error.message || error);
+    }
+  }
+
+  /** @private */
+  _persistQuietHours() {
+    try {
+      if (!this.quietHoursService || !this.homey || !this.homey.settings
+        || typeof this.homey.settings.set !== 'function') return;
+      this.homey.settings.set('flow_suppression_state', this.quietHoursService.toJSON());
+    } catch (error) {
+      this.error('[QUIET_HOURS] Failed to persist suppression state:', error.message || error);
+    }
+  }
+
+  /**
+   * Tysta timmar/snooze framför kortanropen. Anropas EFTER att dedup-
+   * nycklarna satts: en undertryckt notis är bokförd som levererad (en
+   * öppning snoozad 05:58 kommer inte som "ny" 06:00) och hamnar i
+   * sammanfattningen i stället.
+   * @param {string} kind - 'boat_near' | 'bridge_opening_soon'
+   * @param {string} bridgeName
+   * @param {string} vesselName
+   * @param {string|null} mmsi
+   * @returns {boolean} true = undertryckt, anropa inte kortet
+   * @private
+   */
+  _suppressFlowTrigger(kind, bridgeName, vesselName, mmsi) {
+    try {
+      if (!this.quietHoursService) return false;
+      const reason = this.quietHoursService.suppressionReason(bridgeName);
+      if (!reason) return false;
+      this.quietHoursService.record({
+        kind, bridge: bridgeName, vesselName, mmsi: mmsi ? String(mmsi) : null, reason,
+      });
+      this._persistQuietHours();
+      this.log(`🔕 [FLOW_SUPPRESSED] ${kind} för ${bridgeName} (${vesselName}) — ${reason}, sparad till sammanfattningen`);
+      return true;
+    } catch (error) {
+      // Fel i tystnadslogiken får aldrig äta en notis.
+      this.error('[QUIET_HOURS] Suppression check failed:', error.message || error);
+      return false;
+    }
+  }
+
+  /**
+   * quiet_hours_digest: leverera de undertryckta notiserna när ingen tystnad
+   * längre gäller. Drivs av 30 s-watchdogen.
+   * @private
+   */
+  _deliverQuietDigest() {
+    if (!this.quietHoursService) return;
+    // Testgrinden FÖRE takeDigest — en skippad körning ska inte tömma den.
+    if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) return;
+    if (!this._quietDigestTrigger || typeof this._quietDigestTrigger.trigger !== 'function') return;
+    const entries = this.quietHoursService.takeDigest();
+    if (!entries) return;
+    this._persistQuietHours();
+
+    const lines = entries.slice(0, QUIET_HOURS.DIGEST_SUMMARY_LINES)
+      .map((e) => `${this._formatClockTime(e.t)} ${e.bridge}: ${e.vesselName}${e.kind === 'bridge_opening_soon' ? ' (broöppning)' : ''}`);
+    if (entries.length > lines.length) lines.push(`+${entries.length - lines.length} till`);
+    const tokens = {
+      event_count: entries.length,
+      boat_near_count: entries.filter((e) => e.kind === 'boat_near').length,
+      opening_count: entries.filter((e) => e.kind === 'bridge_opening_soon').length,
+      summary: lines.join('\n'),
+    };
+    this._triggerQuietDigestFlow(tokens).catch((error) => {
+      this.error('❌ [DIGEST_TRIGGER_ERROR] quiet_hours_digest misslyckades —', error.message || error);
+    });
+  }
+
+  /**
+   * Levererar quiet_hours_digest till Homey (eget instrumenteringsställe).
+   * @private
+   */
+  async _triggerQuietDigestFlow(tokens) {
+    await this._quietDigestTrigger.trigger(this._flowTokens(tokens), {});
+    this.log(
+      `✅ [DIGEST_TRIGGER_SUCCESS] quiet_hours_digest avfyrad: ${tokens.event_count} undertryckta notiser `
+      + `(${tokens.boat_near_count} boat_near, ${tokens.opening_count} broöppning)`,
+    );
+  }
+
+  /**
+   * Actionkortet snooze_bridge: tysta en bro (eller alla) i N minuter;
+   * 0 minuter häver snoozen.
+   * @param {{bridge: string|Object, minutes: number}} args
+   * @returns {boolean}
+   * @private
+   */
+  _snoozeBridge(args) {
+    const bridgeId = this._normalizeBridgeArgument(args?.bridge);
+    const minutes = Number(args?.minutes);
+    if (!bridgeId || !Number.isFinite(minutes) || minutes < 0) {
+      throw new Error(`Invalid snooze arguments: ${JSON.stringify(args)}`);
+    }
+    const bridgeName = bridgeId === 'any' ? null : BRIDGE_ID_TO_NAME[bridgeId];
+    if (bridgeId !== 'any' && !bridgeName) throw new Error(`Unknown bridge: ${bridgeId}`);
+    this.quietHoursService.snooze(bridgeName, minutes);
+    this._persistQuietHours();
+    return true;
+  }
+
+  /**
+   * Villkoret opening_expected_within: finns en beväpnad båt vars
+   * pessimistiska eller förväntade ankomst till vald bro ligger inom
+   * args.minutes? Se BridgeOpeningService.getExpectedOpenings.
+   * @param {{bridge: string|Object, minutes: number}} args
+   * @returns {boolean}
+   * @private
+   */
+  _isOpeningExpectedWithin(args) {
+    const bridgeId = this._normalizeBridgeArgument(args?.bridge);
+    const minutes = Number(args?.minutes);
+    if (!bridgeId || !Number.isFinite(minutes) || minutes < 0) {
+      this.debug(`❌ [CONDITION_INVALID_ARGS] opening_expected_within: args=${JSON.stringify(args)}`);
+      return false;
+    }
+    const bridgeName = bridgeId === 'any' ? null : BRIDGE_ID_TO_NAME[bridgeId];
+    if (bridgeId !== 'any' && !TARGET_BRIDGES.includes(bridgeName)) {
+      this.debug(`❌ [CONDITION_INVALID_BRIDGE] opening_expected_within: ${bridgeId} öppnar inte`);
+      return false;
+    }
+    if (!this.bridgeOpeningService) return false;
+
+    const expected = this.bridgeOpeningService.getExpectedOpenings(bridgeName, minutes);
+    const first = expected[0];
+    this.debug(
+      `🎯 [CONDITION_RESULT] opening_expected_within: bridge="${bridgeId}" ≤${minutes} min → `
+      + `${expected.length > 0}${first ? ` (${first.mmsi} @ ${first.bridge}, tidigast ${first.earliestMinutes} min, `
+        + `eta ${first.etaMinutes === null ? 'okänd' : `${first.etaMinutes} min`})` : ''}`,
+    );
+    return expected.length > 0;
+  }
+
+  /**
+   * bridge_opening_over: BridgeOpeningService har stängt en öppning (alla
+   * medlemmar passerade/avväpnade, ingen annan båt vid deadline). Servicen
+   * signalerar en gång per klarfönster och fönstret överlever inte en
+   * omstart — ingen dedup behövs här.
+   * @param {Object} payload - se BridgeOpeningService._evaluateClear
+   * @private
+   */
+  _onBridgeOpeningClear(payload) {
+    try {
+      if (!payload || typeof payload.bridge !== 'string') return;
+
+      // Samma testgrind som bridge_opening_soon.
+      if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) {
+        this.debug(`🧪 [TEST] Hoppar över bridge_opening_over för ${payload.bridge}`);
+        return;
+      }
+
+      if (!this._bridgeClearTrigger || typeof this._bridgeClearTrigger.trigger !== 'function') {
+        this.error(`❌ [CLEAR_TRIGGER] bridge_opening_over-kortet saknas — ${payload.bridge} kan inte klarmeddelas`);
+        return;
+      }
+
+      const tokens = {
+        bridge_name: String(payload.bridge),
+        vessel_count: Number.isFinite(payload.vesselCount) ? payload.vesselCount : 0,
+        first_passage_time: Number.isFinite(payload.firstPassageAt)
+          ? this._formatClockTime(payload.firstPassageAt) : '',
+        last_passage_time: Number.isFinite(payload.lastPassageAt)
+          ? this._formatClockTime(payload.lastPassageAt) : '',
+        // -1 = okänd, samma sentinel som eta_minutes.
+        road_closure_minutes: Number.isFinite(payload.roadClosureMs)
+          ? Math.round(payload.roadClosureMs / 60000) : -1,
+      };
+      const state = {
+        bridge: BRIDGE_NAME_TO_ID[payload.bridge] || payload.bridge,
+        eventIds: Array.isArray(payload.eventIds) ? [...payload.eventIds] : [],
+        mmsis: Array.isArray(payload.mmsis) ? [...payload.mmsis] : [],
+      };
+
+      this._triggerBridgeClearFlow(tokens, state).catch((error) => {
+        this.error(`❌ [CLEAR_TRIGGER_ERROR] ${payload.bridge}: bridge_opening_over misslyckades —`, error.message || error);
+      });
+    } catch (error) {
+      this.error('[BRIDGE_OPENING] Klarvägen kastade:', error.message || error);
+    }
+  }
+
+  /**
+   * Levererar bridge_opening_over till Homey (eget instrumenteringsställe,
+   * spegling av _triggerBridgeOpeningFlow).
+   * @private
+   */
+  async _triggerBridgeClearFlow(tokens, state) {
+    await this._bridgeClearTrigger.trigger(this._flowTokens(tokens), state);
+    this.log(
+      `✅ [CLEAR_TRIGGER_SUCCESS] ${tokens.bridge_name}: bridge_opening_over avfyrad `
+      + `(${tokens.vessel_count} båt(ar), ${tokens.first_passage_time}–${tokens.last_passage_time}, `
+      + `vägavstängning ~${tokens.road_closure_minutes} min)`,
+    );
+  }
+
+  /**
+   * vessel_passed_bridge: köa en ankrad passage från VDS. Händelsen kommer
+   * MITT i analysen av fixen (ankringen sker före t.ex. ruttriktningens
+   * slutliga lås), så inget läses av här — bara köas.
+   * @param {{mmsi:string, vessel:Object, bridge:string, crossedAt:number, inferred:boolean}} event
+   * @private
+   */
+  _queueBridgePassage(event) {
+    if (!event || !event.vessel || typeof event.bridge !== 'string') return;
+    if (!this._pendingBridgePassages) this._pendingBridgePassages = [];
+    this._pendingBridgePassages.push(event);
+  }
+
+  /**
+   * vessel_passed_bridge: leverera köade passager. Anropas från
+   * _onVesselEntered/_onVesselUpdated direkt efter _observeBridgeOpening,
+   * dvs. när fixen är färdiganalyserad och riktningen är den notisvägen ser,
+   * och efter timerpassets statusomvärdering (_reevaluateVesselStatuses).
+   * @private
+   */
+  _deliverBridgePassages() {
+    if (!this._pendingBridgePassages || this._pendingBridgePassages.length === 0) return;
+    const pending = this._pendingBridgePassages;
+    this._pendingBridgePassages = [];
+    for (const passage of pending) {
+      this._learnSpeedProfile(passage);
+      this._onVesselPassedBridge(passage);
+    }
+  }
+
+  /**
+   * Fartprofilerna: en bekräftad passage blir ett prov när samma båt
+   * passerade en annan bro före den (härledda passager räknas inte).
+   * Persisteras direkt — passager är sällsynta.
+   * @param {{mmsi:string, bridge:string, crossedAt:number, inferred:boolean}} passage
+   * @private
+   */
+  _learnSpeedProfile(passage) {
+    try {
+      // En uppspelad natt är redan inlärd (eller lärs in i drift) — två
+      // gånger samma passage hade dubbelräknat båten.
+      if (!this.speedProfileService || this._isSimulationActive()) return;
+      const sample = this.speedProfileService.recordPassage(passage);
+      if (!sample) return;
+      this.debug(`🚤 [SPEED_PROFILE] ${passage.mmsi}: ${sample.segment} ${sample.speedKn.toFixed(1)} kn inlärt`);
+      this._persistSpeedProfiles();
+    } catch (error) {
+      this.error('[SPEED_PROFILE] Failed to learn from passage:', error.message || error);
+    }
+  }
+
+  /**
+   * vessel_passed_bridge: avfyra kortet för EN passage. Dedupen är boat_near-
+   * maskineriet (_persistentDedupCheck, 2 h, riktningsmedveten, persistent
+   * över omstart) på en egen karta — GPS-vobbel över brolinjen ger samma
+   * riktning och spärras; en äkta U-svängsretur har rörelsebevisad motsatt
+   * riktning och släpps. Härledda passager räknas som RETROAKTIVA källor
+   * (samma 60 min-regel som passage-fallbacken i boat_near).
+   * @param {{mmsi:string, vessel:Object, bridge:string, crossedAt:number, inferred:boolean}} passage
+   * @private
+   */
+  _onVesselPassedBridge(passage) {
+    try {
+      const {
+        mmsi, vessel, bridge, crossedAt, inferred,
+      } = passage;
+      // Kortets dropdown = BRIDGE_SEQUENCE (alla broar, ingen triggerpunkt).
+      const bridgeId = BRIDGE_NAME_TO_ID[bridge];
+      if (!bridgeId || !BRIDGE_SEQUENCE.includes(bridgeId)) {
+        this.debug(`🚫 [PASSAGE_TRIGGER_SKIP] ${mmsi}: ${bridge} är ingen bro i kortets dropdown`);
+        return;
+      }
+
+      const dedupeKey = `${mmsi}:${bridge}`;
+      const dedup = this._persistentDedupCheck(dedupeKey, vessel, {
+        entries: this._persistentPassageTriggers || null,
+        retroactiveSource: inferred === true,
+      });
+      if (dedup.blocked) {
+        this.log(
+          `🚫 [PASSAGE_DEDUP] ${mmsi}: ${bridge} passage already triggered ${dedup.minutesSince} min ago — skipping`,
+        );
+        return;
+      }
+      this._onWatchedVesselEvent('passed', mmsi, vessel, bridge);
+
+      // Samma testgrind som boat_near/bridge_opening_soon; nyckeln sätts
+      // INTE här så en skippad testkörning aldrig spärrar en riktig passage.
+      if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) {
+        this.debug(`🧪 [TEST] Hoppar över vessel_passed_bridge för ${mmsi}@${bridge}`);
+        return;
+      }
+
+      if (!this._vesselPassedTrigger || typeof this._vesselPassedTrigger.trigger !== 'function') {
+        this.error(`❌ [PASSAGE_TRIGGER] vessel_passed_bridge-kortet saknas — ${mmsi}@${bridge} levereras inte`);
+        return;
+      }
+
+      const direction = this._getDirectionString(vessel);
+      const knownName = vessel.name && vessel.name !== 'Unknown' ? vessel.name : null;
+      const passedAtMs = Number.isFinite(crossedAt) ? crossedAt : Date.now();
+      const tokens = {
+        vessel_name: knownName || this._lookupVesselName(mmsi) || 'Okänd båt',
+        mmsi: String(mmsi),
+        bridge_name: bridge,
+        direction,
+        passage_time: this._formatClockTime(passedAtMs),
+        confirmed: inferred !== true,
+        ...staticDataUtil.toFlowTokens(vessel.staticData || this._lookupVesselStatic(mmsi)),
+      };
+      const state = { bridge: bridgeId, direction, mmsi: String(mmsi) };
+
+      // Nyckeln sätts FÖRE anropet (fire-and-forget, samma skäl som
+      // öppningsvarningen: dubbelnotis är värre än ingen andra chans).
+      if (this._persistentPassageTriggers) {
+        this._persistentPassageTriggers.set(dedupeKey, { t: Date.now(), dir: this._dedupDirection(vessel) });
+        this._persistPassageTriggers();
+      }
+
+      this._triggerVesselPassedFlow(tokens, state).catch((error) => {
+        this.error(`❌ [PASSAGE_TRIGGER_ERROR] ${mmsi}@${bridge}: vessel_passed_bridge misslyckades —`, error.message || error);
+      });
+    } catch (error) {
+      this.error('[PASSAGE_TRIGGER] Avfyrningsvägen kastade:', error.message || error);
+    }
+  }
+
+  /**
+   * Levererar vessel_passed_bridge till Homey (eget instrumenteringsställe,
+   * spegling av _triggerBridgeOpeningFlow).
+   * @private
+   */
+  async _triggerVesselPassedFlow(tokens, state) {
+    await this._vesselPassedTrigger.trigger(this._flowTokens(tokens), state);
+    this.log(
+      `✅ [PASSAGE_TRIGGER_SUCCESS] ${tokens.mmsi}: vessel_passed_bridge avfyrad för ${tokens.bridge_name} `
+      + `(${tokens.vessel_name}, ${tokens.direction}, ${tokens.passage_time}, `
+      + `${tokens.confirmed ? 'bekräftad' : 'härledd'})`,
+    );
+  }
+
+  /**
+   * watched_vessel_event: läs bevakningslistan ur settings (MMSI eller namn,
+   * se lib/utils/vesselWatchlist). Ett läsfel ger en TOM lista — aldrig ett
+   * kast ut ur onInit/settings-lyssnaren.
+   * @private
+   */
+  _loadWatchlist() {
+    try {
+      if (!this.homey || !this.homey.settings || typeof this.homey.settings.get !== 'function') {
+        return vesselWatchlist.parseWatchlist(null);
+      }
+      return vesselWatchlist.parseWatchlist(this.homey.settings.get('vessel_watchlist'));
+    } catch (error) {
+      this.error('[WATCHLIST] Failed to load watchlist:', error.message || error);
+      return vesselWatchlist.parseWatchlist(null);
+    }
+  }
+
+  /**
+   * watched_vessel_event 'target': avfyra när en bevakad båts målbro BYTS
+   * till en ny (inte vid varje statusändring mot samma bro). Anropas från
+   * ENTERED-vägen och status:changed.
+   * @private
+   */
+  _noteWatchedTarget(vessel) {
+    if (!vessel || !this._watchedTargets) return;
+    const mmsi = String(vessel.mmsi);
+    const target = vessel.targetBridge || null;
+    if (!target) return;
+    if (this._watchedTargets.get(mmsi) === target) return;
+    if (!vesselWatchlist.isWatched(this._watchlist, mmsi, this._watchedVesselName(mmsi, vessel))) return;
+    this._watchedTargets.set(mmsi, target);
+    this._onWatchedVesselEvent('target', mmsi, vessel, target);
+  }
+
+  /** @private */
+  _watchedVesselName(mmsi, vessel) {
+    const knownName = vessel && vessel.name && vessel.name !== 'Unknown' ? vessel.name : null;
+    return knownName || this._lookupVesselName(mmsi);
+  }
+
+  /**
+   * watched_vessel_event: avfyra kortet för en bevakad båt. Källorna är
+   * vessel:entered ('entered'), status:changed ('target', via
+   * _noteWatchedTarget), BridgeOpeningService.onArm ('armed') och den
+   * deduplicerade passagevägen ('passed'). Varje (båt, händelse, bro) spärras
+   * WATCHLIST.EVENT_COOLDOWN_MS — återfödda Class B-båtar ger annars en
+   * ENTERED per timeout-cykel.
+   * @param {string} event - ett av WATCHLIST.EVENTS
+   * @param {string} mmsi
+   * @param {Object|null} vessel - levande vessel-objekt (null från onArm)
+   * @param {string|null} bridge - bronamn (null = ingen bro)
+   * @private
+   */
+  _onWatchedVesselEvent(event, mmsi, vessel, bridge) {
+    try {
+      if (!WATCHLIST.EVENTS.includes(event) || mmsi == null) return;
+      const liveVessel = vessel
+        || (this.vesselDataService && typeof this.vesselDataService.getVessel === 'function'
+          ? this.vesselDataService.getVessel(String(mmsi)) : null);
+      const name = this._watchedVesselName(mmsi, liveVessel);
+      if (!vesselWatchlist.isWatched(this._watchlist, mmsi, name)) return;
+
+      const now = Date.now();
+      const key = `${mmsi}:${event}:${bridge || ''}`;
+      const last = this._watchedEventFiredAt.get(key);
+      if (last !== undefined && now - last < WATCHLIST.EVENT_COOLDOWN_MS) {
+        this.debug(`🚫 [WATCHED_DEDUP] ${mmsi}: ${event}${bridge ? `@${bridge}` : ''} fired ${Math.round((now - last) / 60000)} min ago`);
+        return;
+      }
+
+      // Samma testgrind som övriga kort; spärren sätts INTE här.
+      if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) {
+        this.debug(`🧪 [TEST] Hoppar över watched_vessel_event ${event} för ${mmsi}`);
+        return;
+      }
+
+      if (!this._watchedVesselTrigger || typeof this._watchedVesselTrigger.trigger !== 'function') {
+        this.error(`❌ [WATCHED_TRIGGER] watched_vessel_event-kortet saknas — ${mmsi} ${event} levereras inte`);
+        return;
+      }
+
+      for (const [k, t] of this._watchedEventFiredAt) {
+        if (now - t >= WATCHLIST.EVENT_COOLDOWN_MS) this._watchedEventFiredAt.delete(k);
+      }
+      this._watchedEventFiredAt.set(key, now);
+
+      const tokens = {
+        vessel_name: name || 'Okänd båt',
+        mmsi: String(mmsi),
+        event,
+        bridge_name: bridge || '',
+        ...staticDataUtil.toFlowTokens((liveVessel && liveVessel.staticData) || this._lookupVesselStatic(mmsi)),
+      };
+      const state = { event, mmsi: String(mmsi) };
+
+      this._triggerWatchedVesselFlow(tokens, state).catch((error) => {
+        this.error(`❌ [WATCHED_TRIGGER_ERROR] ${mmsi} ${event}: watched_vessel_event misslyckades —`, error.message || error);
+      });
+    } catch (error) {
+      this.error('[WATCHED_TRIGGER] Avfyrningsvägen kastade:', error.message || error);
+    }
+  }
+
+  /**
+   * Levererar watched_vessel_event till Homey (eget instrumenteringsställe,
+   * spegling av _triggerVesselPassedFlow).
+   * @private
+   */
+  async _triggerWatchedVesselFlow(tokens, state) {
+    await this._watchedVesselTrigger.trigger(this._flowTokens(tokens), state);
+    this.log(
+      `✅ [WATCHED_TRIGGER_SUCCESS] ${tokens.mmsi}: watched_vessel_event '${tokens.event}' avfyrad `
+      + `(${tokens.vessel_name}${tokens.bridge_name ? `, ${tokens.bridge_name}` : ''})`,
+    );
+  }
+
   /**
    * Trigger boat near flow card (with deduplication)
    * @private
@@ -5736,7 +7310,11 @@ class AISBridgeApp extends Homey.App {
     // norrgående NEW_VESSELS som dyker upp norr om Kanalinfartens 300m-zon missade
     // notisen tidigare. Verifierat 2026-05-14/15: 246639000, 265759070, 265576710
     // dök upp ~58.27 (>300m från Kanalinfarten 58.268) och fick aldrig notis.
-    const allBridges = ['Olidebron', 'Klaffbron', 'Järnvägsbron', 'Stridsbergsbron', 'Stallbackabron', 'Kanalinfarten'];
+    // Vattenvägsprofilens broar (syd → nord) + trigger-punkterna.
+    const allBridges = [
+      ...BRIDGE_SEQUENCE.map((id) => BRIDGES[id].name),
+      ...Object.values(TRIGGER_POINTS).map((tp) => tp.name),
+    ];
 
     // Bestäm lat-intervall där vi letar efter passade broar
     let minLat;
@@ -5848,11 +7426,12 @@ class AISBridgeApp extends Homey.App {
         startBoundLat = vessel._firstSeenLat;
       }
       if (direction === 'north') {
-        minLat = startBoundLat !== null ? startBoundLat : 58.265; // strax söder om Kanalinfarten
+        // Vattenvägens utträdeslatitud (WATERWAY_ENDS): strax söder om Kanalinfarten
+        minLat = startBoundLat !== null ? startBoundLat : WATERWAY_ENDS.south.exitLat;
         maxLat = vessel.lat;
       } else {
         minLat = vessel.lat;
-        maxLat = startBoundLat !== null ? startBoundLat : 58.32; // norr om Stallbackabron
+        maxLat = startBoundLat !== null ? startBoundLat : WATERWAY_ENDS.north.exitLat; // norr om Stallbackabron
       }
       // F4-D (fältprov 4, 2026-07-09, HERA II): det BEVISADE fönstret är
       // [lastKnown|_firstSeen, nuvarande] — båten har demonstrerat att den
@@ -6254,7 +7833,8 @@ class AISBridgeApp extends Homey.App {
    * @private
    */
   async _triggerExitPointFallback(vessel) {
-    const { kanalinfarten } = TRIGGER_POINTS;
+    // Sydändans trigger-punkt (WATERWAY_ENDS) — Kanalinfarten i Trollhättan.
+    const kanalinfarten = TRIGGER_POINTS[WATERWAY_ENDS.south.triggerPoint];
     if (!kanalinfarten
         || !Number.isFinite(kanalinfarten.lat)
         || !Number.isFinite(kanalinfarten.lon)) {
@@ -6312,14 +7892,14 @@ class AISBridgeApp extends Homey.App {
     }
     const activeSouthTransit = effectiveTransitSpeed >= 3.0
       && Number.isFinite(vessel.cog) && vessel.cog >= 135 && vessel.cog <= 225
-      && Array.isArray(vessel.passedBridges) && vessel.passedBridges.includes('Olidebron');
+      && Array.isArray(vessel.passedBridges) && vessel.passedBridges.includes(WATERWAY_ENDS.south.bridge);
     const withinExitRange = Number.isFinite(distance)
       && (distance <= EXIT_FALLBACK_RADIUS
         || (distance <= EXIT_FALLBACK_EXTENDED_RADIUS && activeSouthTransit));
     if (!withinExitRange) {
       if (Number.isFinite(distance) && distance <= EXIT_FALLBACK_EXTENDED_RADIUS) {
         this.debug(
-          `🚪 [EXIT_TRIGGER_SKIP_RANGE] ${vessel.mmsi}: ${Math.round(distance)}m from Kanalinfarten `
+          `🚪 [EXIT_TRIGGER_SKIP_RANGE] ${vessel.mmsi}: ${Math.round(distance)}m from ${kanalinfarten.name} `
           + '— beyond 400m and no active south-transit evidence for extended range',
         );
       }
@@ -6343,7 +7923,7 @@ class AISBridgeApp extends Homey.App {
     if (vessel.lat < kanalinfarten.lat) {
       return;
     }
-    const dedupeKey = `${vessel.mmsi}:Kanalinfarten`;
+    const dedupeKey = `${vessel.mmsi}:${kanalinfarten.name}`;
     if (this._triggeredBoatNearKeys && this._triggeredBoatNearKeys.has(dedupeKey)) {
       // FÄLTPROV 2026-07-07: samma riktningsundantag som huvudvägens
       // sessionscheck — en sydgående EXIT efter nordgående ENTRY-notis är en
@@ -6376,11 +7956,11 @@ class AISBridgeApp extends Homey.App {
       // i passedBridges) men vägarna ska förbli exakta speglar.
       // A4R2-2-spegeln (R2 2026-07-11): freshlyRecrossed-släppet — även den
       // en no-op här av samma skäl.
-      const freshlyRecrossed = vessel.lastPassedBridge === 'Kanalinfarten'
+      const freshlyRecrossed = vessel.lastPassedBridge === kanalinfarten.name
         && Number.isFinite(vessel.lastPassedBridgeTime)
         && (Date.now() - vessel.lastPassedBridgeTime) < 2 * 60 * 1000;
       const alreadyPassedThisJourney = Array.isArray(vessel.passedBridges)
-        && vessel.passedBridges.includes('Kanalinfarten')
+        && vessel.passedBridges.includes(kanalinfarten.name)
         && !freshlyRecrossed;
       const expiredRelease = !persisted && !oppositeDirection
         ? (curDir !== null && movingNow && !vessel._newJourneyPending && !alreadyPassedThisJourney)
@@ -6405,13 +7985,13 @@ class AISBridgeApp extends Homey.App {
         );
       } else if (!persisted) {
         this.log(
-          `🚫 [EXIT_TRIGGER_DEDUPE_EXPIRED_HOLD] ${vessel.mmsi}: Kanalinfarten dedup expired but `
+          `🚫 [EXIT_TRIGGER_DEDUPE_EXPIRED_HOLD] ${vessel.mmsi}: ${kanalinfarten.name} dedup expired but `
           + `${vessel._newJourneyPending ? 'reversal pending' : 'no movement evidence (stationary vessel — no new passage)'} — keeping block`,
         );
         return;
       } else {
         this.debug(
-          `🚫 [EXIT_TRIGGER_DEDUPE] ${vessel.mmsi}: Kanalinfarten already triggered this session`,
+          `🚫 [EXIT_TRIGGER_DEDUPE] ${vessel.mmsi}: ${kanalinfarten.name} already triggered this session`,
         );
         return;
       }
@@ -6423,7 +8003,7 @@ class AISBridgeApp extends Homey.App {
       const exitDedup = this._persistentDedupCheck(dedupeKey, vessel, { retroactiveSource: true });
       if (exitDedup.blocked) {
         this.debug(
-          `🚫 [EXIT_TRIGGER_PERSISTENT_DEDUPE] ${vessel.mmsi}: Kanalinfarten triggered `
+          `🚫 [EXIT_TRIGGER_PERSISTENT_DEDUPE] ${vessel.mmsi}: ${kanalinfarten.name} triggered `
           + `${exitDedup.minutesSince} min ago (within 2h window)`,
         );
         return;
@@ -6431,7 +8011,7 @@ class AISBridgeApp extends Homey.App {
     }
     this.log(
       `🚪 [EXIT_TRIGGER_FALLBACK] ${vessel.mmsi}: Last known position ${Math.round(distance)}m `
-      + 'from Kanalinfarten — firing fallback for missed exit notification',
+      + `from ${kanalinfarten.name} — firing fallback for missed exit notification`,
     );
     // Fable-granskningen 2026-07-10b (A3-2): utan detectionTs föll anropet i
     // distans/fart-SKATTNINGEN (Kanalinfarten finns aldrig i passedAt) som
@@ -6440,7 +8020,7 @@ class AISBridgeApp extends Homey.App {
     // 800 m kräver ≥5,2 kn). Exit-fallet ÄR detektionsögonblicket: vi fick
     // veta om den missade utfarten NU (removal). Positionens ålder vaktas
     // separat av F63-/RC3-gaterna ovan.
-    await this._triggerBoatNearFlowFallback(vessel, 'Kanalinfarten', { detectionTs: Date.now() });
+    await this._triggerBoatNearFlowFallback(vessel, kanalinfarten.name, { detectionTs: Date.now() });
   }
 
   /**
@@ -6905,6 +8485,16 @@ class AISBridgeApp extends Homey.App {
     // för eta_minutes är OFÖRÄNDRAD (-1 = okänd; korpuslåst i invariants).
     safeTokens.eta_available = safeTokens.eta_minutes >= 0;
 
+    // ETA-intervallet (p10/p90 kring eta_minutes) — övre gränsen är den en
+    // automation ska lita på. Samma -1-sentinel när ETA saknas.
+    Object.assign(safeTokens, this._etaRangeTokens(vessel, eta, safeTokens.eta_minutes, distance));
+
+    // Statiska uppgifter (typ, mått, djupgående, destination, anropssignal,
+    // IMO). Samma sentinelkontrakt som eta_minutes: -1/'' = okänt.
+    Object.assign(safeTokens, staticDataUtil.toFlowTokens(
+      vessel.staticData || this._lookupVesselStatic(vessel.mmsi),
+    ));
+
     // ENHANCED DEBUG: Log final tokens and ETA status
     this.debug(`🔍 [FLOW_TRIGGER_SAFE_TOKENS] ${vessel.mmsi}: Safe tokens = ${JSON.stringify(safeTokens)}`);
     if (safeTokens.eta_minutes === -1) {
@@ -6946,6 +8536,10 @@ class AISBridgeApp extends Homey.App {
         this._persistRecentTriggers(); // P2: överlev omstart
       }
 
+      // Tysta timmar/snooze: EFTER dedup-nycklarna — notisen räknas som
+      // levererad och bokförs i sammanfattningen i stället.
+      if (this._suppressFlowTrigger('boat_near', bridgeName, safeTokens.vessel_name, vessel.mmsi)) return;
+
       // F7: carry mmsi in the trigger state so the run-listener can scope an
       // "Any bridge" flow to ONE notification per vessel journey instead of one
       // per bridge candidate. distance/source ingår så replay-invarianterna
@@ -7086,6 +8680,52 @@ class AISBridgeApp extends Homey.App {
     return Math.max(vessel.timestamp || 0, vessel.lastPositionUpdate || 0);
   }
 
+  /**
+   * Ledbåtskandidatens ETA-intervall för intervalläget i bridge_text.
+   * @param {Object} vessel
+   * @returns {{p10: number, p90: number}|null}
+   * @private
+   */
+  _bridgeTextETAInterval(vessel) {
+    try {
+      const interval = this.statusService
+        ? this.statusService.calculateETAInterval(vessel, vessel.etaMinutes)
+        : null;
+      return interval ? { p10: interval.p10, p90: interval.p90 } : null;
+    } catch (error) {
+      this.error('[ETA_INTERVAL] Failed to calculate ETA interval:', error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * eta_min_minutes/eta_max_minutes för notistokens: p10/p90 ur kalkylatorns
+   * ETA-intervall, avrundade så att min ≤ eta_minutes ≤ max alltid gäller.
+   * Okänd ETA ⇒ -1/-1; utan fartyg eller intervall ⇒ båda = eta_minutes.
+   * @param {Object|null} vessel
+   * @param {number|null} etaMinutes - Oavrundad ETA bakom token
+   * @param {number} etaToken - eta_minutes-token (-1 = okänd)
+   * @param {number|null} [distanceM] - Avstånd till den notifierade bron
+   * @returns {{eta_min_minutes: number, eta_max_minutes: number}}
+   * @private
+   */
+  _etaRangeTokens(vessel, etaMinutes, etaToken, distanceM = null) {
+    if (!Number.isFinite(etaToken) || etaToken < 0) return { eta_min_minutes: -1, eta_max_minutes: -1 };
+    let interval = null;
+    try {
+      interval = vessel && this.statusService
+        ? this.statusService.calculateETAInterval(vessel, etaMinutes, { distanceM })
+        : null;
+    } catch (error) {
+      this.error('[ETA_INTERVAL] Failed to calculate ETA interval:', error.message || error);
+    }
+    if (!interval) return { eta_min_minutes: etaToken, eta_max_minutes: etaToken };
+    return {
+      eta_min_minutes: Math.min(etaToken, Math.round(interval.p10)),
+      eta_max_minutes: Math.max(etaToken, Math.round(interval.p90)),
+    };
+  }
+
   /**
    * Get human-readable direction string based on vessel's course over ground
    * @param {Object} vessel - Vessel object
@@ -7297,6 +8937,82 @@ class AISBridgeApp extends Homey.App {
         });
       }
 
+      // --- BRON KLAR (bridge_opening_over) ---
+      // Öppningsvarningens andra flank; samma dropdown och samma matchning.
+      this._bridgeClearTrigger = this.homey.flow.getTriggerCard('bridge_opening_over');
+      if (!this._bridgeClearTrigger) {
+        this.error('⚠️ [FLOW_SETUP] bridge_opening_over-kortet saknas — klarsignaler kan inte levereras');
+      } else {
+        this.log('✅ [FLOW_SUCCESS] bridge_opening_over trigger initierad');
+        this._bridgeClearTrigger.registerRunListener(async (args, state) => {
+          try {
+            const selectedBridge = this._normalizeBridgeArgument(args?.bridge);
+            const stateBridge = this._normalizeBridgeArgument(state?.bridge);
+            if (selectedBridge === 'any') return true;
+            return Boolean(selectedBridge) && selectedBridge === stateBridge;
+          } catch (error) {
+            this.error('❌ [CLEAR_RUN_LISTENER] Fel vid matchning av bridge_opening_over:', error);
+            return false;
+          }
+        });
+      }
+
+      // --- PASSAGEKORTET (vessel_passed_bridge) ---
+      // Registreras sist av triggerkorten (samma skäl som öppningsvarningen:
+      // boat_near-listenern ska ligga först på delade mockar).
+      this._vesselPassedTrigger = this.homey.flow.getTriggerCard('vessel_passed_bridge');
+      if (!this._vesselPassedTrigger) {
+        this.error('⚠️ [FLOW_SETUP] vessel_passed_bridge-kortet saknas — passager kan inte levereras');
+      } else {
+        this.log('✅ [FLOW_SUCCESS] vessel_passed_bridge trigger initierad');
+        this._vesselPassedTrigger.registerRunListener(async (args, state) => {
+          try {
+            const selectedBridge = this._normalizeBridgeArgument(args?.bridge);
+            const selectedDirection = this._normalizeBridgeArgument(args?.direction) || 'any';
+            const stateBridge = this._normalizeBridgeArgument(state?.bridge);
+            const bridgeMatches = selectedBridge === 'any'
+              || (Boolean(selectedBridge) && selectedBridge === stateBridge);
+            // Okänd riktning matchar bara "alla riktningar" — ett filter på
+            // norrgående ska inte avfyra för en båt vars riktning vi inte vet.
+            const directionMatches = selectedDirection === 'any' || selectedDirection === state?.direction;
+            return bridgeMatches && directionMatches;
+          } catch (error) {
+            this.error('❌ [PASSAGE_RUN_LISTENER] Fel vid matchning av vessel_passed_bridge:', error);
+            return false;
+          }
+        });
+      }
+
+      // --- BEVAKNINGSKORTET (watched_vessel_event) ---
+      this._watchedVesselTrigger = this.homey.flow.getTriggerCard('watched_vessel_event');
+      if (!this._watchedVesselTrigger) {
+        this.error('⚠️ [FLOW_SETUP] watched_vessel_event-kortet saknas — bevakade båtar kan inte notifieras');
+      } else {
+        this.log('✅ [FLOW_SUCCESS] watched_vessel_event trigger initierad');
+        this._watchedVesselTrigger.registerRunListener(async (args, state) => {
+          try {
+            const selectedEvent = this._normalizeBridgeArgument(args?.event) || 'any';
+            return selectedEvent === 'any' || selectedEvent === state?.event;
+          } catch (error) {
+            this.error('❌ [WATCHED_RUN_LISTENER] Fel vid matchning av watched_vessel_event:', error);
+            return false;
+          }
+        });
+      }
+
+      // --- SAMMANFATTNINGEN (quiet_hours_digest) ---
+      // Inga args ⇒ ingen run-listener.
+      this._quietDigestTrigger = this.homey.flow.getTriggerCard('quiet_hours_digest');
+      if (!this._quietDigestTrigger) {
+        this.error('⚠️ [FLOW_SETUP] quiet_hours_digest-kortet saknas — undertryckta notiser kan inte sammanfattas');
+      }
+
+      // --- SNOOZE (actionkort) ---
+      this._snoozeAction = this.homey.flow.getActionCard('snooze_bridge');
+      if (this._snoozeAction) {
+        this._snoozeAction.registerRunListener(async (args) => this._snoozeBridge(args));
+      }
+
       // Condition cards
       const boatRecentCondition = this.homey.flow.getConditionCard('boat_at_bridge');
       boatRecentCondition.registerRunListener(async (args) => {
@@ -7461,6 +9177,24 @@ class AISBridgeApp extends Homey.App {
         }
       });
 
+      // --- VILLKOR: öppning väntas inom N minuter ---
+      // Frågar BridgeOpeningService i stunden (armarnas deadline-fysik och
+      // förväntade ankomst) — ett flöde kan alltså fråga vid avfärd i stället
+      // för att minnas en bridge_opening_soon som gick tidigare.
+      this._openingExpectedCondition = this.homey.flow.getConditionCard('opening_expected_within');
+      if (!this._openingExpectedCondition) {
+        this.error('⚠️ [FLOW_SETUP] opening_expected_within-villkoret saknas');
+      } else {
+        this._openingExpectedCondition.registerRunListener(async (args) => {
+          try {
+            return this._isOpeningExpectedWithin(args);
+          } catch (error) {
+            this.error('❌ [CONDITION_ERROR] opening_expected_within:', error.message || error);
+            return false;
+          }
+        });
+      }
+
       this.log('✅ Flow cards configured');
 
       // Optional self-test: only run when explicitly enabled
@@ -7492,13 +9226,13 @@ class AISBridgeApp extends Homey.App {
 
       const testTokens = {
         vessel_name: 'TEST_VESSEL',
-        bridge_name: 'Klaffbron',
+        bridge_name: TARGET_BRIDGES[0],
         direction: 'northbound',
         eta_minutes: 5,
         eta_available: true,
       };
 
-      const testState = { bridge: 'klaffbron' };
+      const testState = { bridge: BRIDGE_NAME_TO_ID[TARGET_BRIDGES[0]] };
 
       if (this._boatNearTrigger && typeof this._boatNearTrigger.trigger === 'function') {
         this.log('🧪 [TRIGGER_TEST] Testing app-level trigger...');
@@ -7545,17 +9279,21 @@ class AISBridgeApp extends Homey.App {
 
       // Etapp 2: applicera källkonfigurationen FÖRE anslutning så muxen vet
       // läget (aisstream/shadow/both/aishub) när connect() startar barnen.
-      this._applyAisSourceConfig();
+      await this._applyAisSourceConfig();
 
       const apiKey = String(this.homey.settings.get('ais_api_key') || '').trim();
       const aishubUsername = String(this.homey.settings.get('aishub_username') || '').trim();
       const rawSource = String(this.homey.settings.get('ais_source') || 'aisstream');
       const sourceWantsHub = ['shadow', 'both', 'aishub'].includes(rawSource) && !!aishubUsername;
+      const nmeaEndpoint = String(this.homey.settings.get('nmea_endpoint') || '').trim();
+      const jsonFeedUrl = String(this.homey.settings.get('json_feed_url') || '').trim();
 
       // Källmedveten tomnyckelgren (etapp 2): utan aisstream-nyckel OCH utan
-      // konfigurerad AISHub-källa är appen datalös — exakt dagens beteende.
-      // Med AISHub konfigurerad startar muxen den källan trots tom nyckel.
-      if (!apiKey && !sourceWantsHub) {
+      // konfigurerad AISHub-källa/lokal mottagare är appen datalös — exakt
+      // dagens beteende. Annars startar muxen de källor som finns.
+      // Simuleringen behöver ingen credential (korpusen är källan).
+      const simulating = this._isSimulationActive();
+      if (!apiKey && !sourceWantsHub && !nmeaEndpoint && !jsonFeedUrl && !simulating) {
         this.log('⚠️ [AIS_CONNECTION] No API key configured - using development mode');
         this._isConnected = false;
 
@@ -7577,8 +9315,10 @@ class AISBridgeApp extends Homey.App {
         return;
       }
 
-      if (!apiKey) {
-        this.log('🌐 [AIS_CONNECTION] Ingen AISstream-nyckel — startar enbart AISHub-källan');
+      if (simulating) {
+        this.log('🎬 [AIS_CONNECTION] Simuleringskällan spelar upp en inspelad korpus');
+      } else if (!apiKey) {
+        this.log('🌐 [AIS_CONNECTION] Ingen AISstream-nyckel — startar enbart AISHub/lokal mottagare');
       } else {
         this.log('🌐 [AIS_CONNECTION] Starting AIS stream connection...');
       }
@@ -7630,7 +9370,8 @@ class AISBridgeApp extends Homey.App {
   }
 
   /**
-   * Capture AIS data for replay if AIS_REPLAY_CAPTURE_FILE is set.
+   * Capture AIS data for replay: the in-app capture (ais_capture_enabled)
+   * and/or AIS_REPLAY_CAPTURE_FILE.
    * @private
    * @param {Object} sample - Normalized AIS sample
    */
@@ -7642,6 +9383,15 @@ class AISBridgeApp extends Homey.App {
     // dokumenterade läget för valideringskörningar (run-with-logs.sh varnar
     // aktivt om raderna uteblir). Fil-fångstvägen (env, lokal körning)
     // fungerar oberoende av debugnivån.
+    // Appens egen inspelning (ais_capture_enabled) är oberoende av både
+    // env-filen och debugnivån — den är till för publicerad drift.
+    // En simulering spelas aldrig in: korpusen finns redan.
+    if (this.aisCaptureService && sample && sample.mmsi && !this._isSimulationActive()) {
+      this.aisCaptureService.record({
+        ...sample,
+        receivedAt: sample.receivedAt || new Date().toISOString(),
+      });
+    }
     const replayLoggingEnabled = this.debugLevel === 'full' || this._replayCaptureFile;
     if (!this._replayCaptureFile || !sample || !sample.mmsi) {
       if (replayLoggingEnabled && sample && sample.mmsi) {
@@ -7908,6 +9658,16 @@ class AISBridgeApp extends Homey.App {
     const relevant = [];
     if (s && s.configured) relevant.push({ name: 'aisstream', st: s, sil: sSilence });
     if (h && h.configured && this._hubFeedsPipeline()) relevant.push({ name: 'aishub', st: h, sil: hSilence });
+    const n = perFeed.nmea;
+    if (n && n.configured) {
+      const nSilence = Number.isFinite(n.timeSinceLastMessage) ? n.timeSinceLastMessage : Infinity;
+      relevant.push({ name: 'nmea', st: n, sil: nSilence });
+    }
+    const j = perFeed.json;
+    if (j && j.configured) {
+      const jSilence = Number.isFinite(j.timeSinceLastMessage) ? j.timeSinceLastMessage : Infinity;
+      relevant.push({ name: 'json', st: j, sil: jSilence });
+    }
     if (relevant.length > 0
         && relevant.every((r) => r.sil > SILENT_MS && (r.st.uptime || 0) > SILENT_MS)) {
       const minSil = Math.min(...relevant.map((r) => r.sil));
@@ -8012,6 +9772,23 @@ class AISBridgeApp extends Homey.App {
       }
     }
 
+    // Passagekortets karta: samma retention som boat_near-kartan ovan.
+    if (this._persistentPassageTriggers && this._persistentPassageTriggers.size > 0) {
+      const passageNow = Date.now();
+      const passageRetention = this._PERSISTENT_DEDUP_RETENTION_MS || 6 * 60 * 60 * 1000;
+      let passageExpired = 0;
+      for (const [key, entry] of [...this._persistentPassageTriggers.entries()]) {
+        if (!entry || !Number.isFinite(entry.t) || passageNow - entry.t > passageRetention) {
+          this._persistentPassageTriggers.delete(key);
+          passageExpired++;
+        }
+      }
+      if (passageExpired > 0) {
+        this._persistPassageTriggers();
+        this.debug(`🧹 [CLEANUP] Removed ${passageExpired} expired passage dedup entries`);
+      }
+    }
+
     // FIX: Cleanup stale boat near triggers for vessels that no longer exist
     const activeVessels = this.vesselDataService.getAllVessels();
     const activeMmsis = new Set(activeVessels.map((v) => v.mmsi));
@@ -8093,7 +9870,7 @@ class AISBridgeApp extends Homey.App {
 
     // CRITICAL FIX: Track interval for cleanup
     // Monitor vessel count and cleanup stale data
-    this._monitoringInterval = setInterval(() => {
+    this._monitoringInterval = simulationClock.setInterval(() => {
       const vesselCount = this.vesselDataService.getVesselCount();
       if (vesselCount > 0) {
         this.debug(`📊 [MONITORING] Tracking ${vesselCount} vessels`);
@@ -8120,6 +9897,22 @@ class AISBridgeApp extends Homey.App {
         }
       }
 
+      // Samma TTL-städning för cachen med statiska uppgifter.
+      if (this._knownVesselStatic) {
+        const staticNow = Date.now();
+        const staticExpired = [];
+        for (const [mmsi, entry] of this._knownVesselStatic.entries()) {
+          if (!entry || !Number.isFinite(entry.t) || staticNow - entry.t >= this._VESSEL_STATIC_TTL_MS) {
+            staticExpired.push(mmsi);
+          }
+        }
+        if (staticExpired.length > 0) {
+          staticExpired.forEach((mmsi) => this._knownVesselStatic.delete(mmsi));
+          this._persistVesselStatic();
+          this.debug(`🧹 [CLEANUP] Removed ${staticExpired.length} expired vessel static cache entries`);
+        }
+      }
+
       // Produktionsredo (2026-07-03): SystemCoordinators 1h-städning av
       // koordinationstillstånd anropades ALDRIG i produktion (bara i tester)
       // — per-fartygs-poster för borttagna fartyg kunde ligga kvar. Koppla
@@ -8186,8 +9979,10 @@ class AISBridgeApp extends Homey.App {
     // läst/skriven (död state, vilseledande). Faktisk dedupe sker via
     // _lastBridgeText/_lastBridgeTextHash (singular) i _processUIUpdate.
 
-    // Self-healing watchdog (minimal overhead)
-    this._watchdogTimer = setInterval(() => {
+    // Self-healing watchdog (minimal overhead). Bokas via simulationClock:
+    // i simuleringen tickar deadline-motorn var 30:e VIRTUELLA sekund, i
+    // varje hastighet.
+    this._watchdogTimer = simulationClock.setInterval(() => {
       // ETAPP 6: DEADLINE-MOTORNS ENDA KLOCKA ("äggklockan").
       // Ligger FÖRE tomkanals-returen nedan och i sin EGEN try/catch, av två
       // skäl som båda är regressioner i vardande:
@@ -8207,6 +10002,18 @@ class AISBridgeApp extends Homey.App {
       } catch (error) {
         this.error('[BRIDGE_OPENING] tick misslyckades:', error.message || error);
       }
+      try {
+        this._deliverQuietDigest();
+      } catch (error) {
+        this.error('[QUIET_HOURS] Sammanfattningen misslyckades:', error.message || error);
+      }
+      // Varmstartens periodiska skrivning (strypt, se WARM_RESTART) — före
+      // tomkanals-returen av samma skäl som tick:en: en kanal som just blivit
+      // tom ska skriva sin tomma snapshot.
+      this._persistTrackingSnapshot();
+      // AIS-inspelningens buffert skrivs till sitt gzip-segment var 30:e s
+      // (asynkront i tjänstens skrivkö; skrivfel loggas där).
+      if (this.aisCaptureService) this.aisCaptureService.flush();
       try {
         // Only run watchdog if we have vessels — UTOM när en dedup-cache
         // står i felsentinel (null): Fable-granskningen 2026-07-10b
@@ -8221,7 +10028,8 @@ class AISBridgeApp extends Homey.App {
         const vessels = this.vesselDataService.getAllVessels();
         const healNeeded = this._lastBridgeTextHash === null
           || this._lastBridgeAlarm === null
-          || this._lastConnectionStatus === null;
+          || this._lastConnectionStatus === null
+          || this._bridgeDevicesNeedWrite();
         if (vessels.length === 0 && !healNeeded) return;
 
         this.debug(`🐕 [WATCHDOG] Running self-healing check (${vessels.length} vessels${healNeeded ? ', heal needed' : ''})`);
@@ -8234,6 +10042,162 @@ class AISBridgeApp extends Homey.App {
     this.debug('✅ [COALESCING] Micro-grace coalescing system initialized');
   }
 
+  /**
+   * ==========================================================================
+   * WEB API (api.js) - LÄSVY ÖVER LEVANDE TILLSTÅND
+   * ==========================================================================
+   *
+   * SYFTE:
+   * Dashboards och inställningssidan ska kunna läsa verkligt tillstånd i
+   * stället för att greppa loggtaggar ([FUSION_HEALTH], [SHADOW_COMPARE]).
+   * api.js är ett tunt skal — all formning sker här, nära tjänsterna.
+   *
+   * REGLER:
+   * - Enbart läsning: metoderna muterar aldrig tillstånd och returnerar
+   *   kopior (vessel-objekten byggs om varje meddelande; en läckt referens
+   *   vore en tyst skrivväg in i pipelinen).
+   * - Tål halvinitierad app (tjänst saknas ⇒ tom lista/null, aldrig throw) —
+   *   ett API-anrop under onInit får inte fälla appen.
+   */
+
+  /**
+   * GET /vessels — spårade fartyg med status, målbro, ETA och källa.
+   * @returns {{generatedAt: number, count: number, vessels: Object[]}}
+   */
+  getApiVessels() {
+    const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+    const vessels = this.vesselDataService ? this.vesselDataService.getAllVessels() : [];
+    const out = vessels.map((vessel) => ({
+      mmsi: String(vessel.mmsi),
+      name: vessel.name && vessel.name !== 'Unknown' ? vessel.name : this._lookupVesselName(vessel.mmsi),
+      lat: finiteOrNull(vessel.lat),
+      lon: finiteOrNull(vessel.lon),
+      sog: finiteOrNull(vessel.sog),
+      cog: finiteOrNull(vessel.cog),
+      status: vessel.status || null,
+      direction: this._getDirectionString(vessel),
+      targetBridge: vessel.targetBridge || null,
+      currentBridge: vessel.currentBridge || null,
+      etaMinutes: finiteOrNull(vessel.etaMinutes),
+      fixFeed: vessel.fixFeed || null,
+      fixTs: finiteOrNull(vessel.fixTs),
+      lastSeen: finiteOrNull(vessel.timestamp),
+      staticData: vessel.staticData ? { ...vessel.staticData } : null,
+    }));
+    return { generatedAt: Date.now(), count: out.length, vessels: out };
+  }
+
+  /**
+   * GET /bridges — per-bro-aggregat i kanalordning (syd → norr) ur
+   * BridgeRegistry, med räknare över de levande fartygen.
+   * @returns {{generatedAt: number, bridgeText: string, bridges: Object[]}}
+   */
+  getApiBridges() {
+    const vessels = this.vesselDataService ? this.vesselDataService.getAllVessels() : [];
+    const openingStats = this.bridgeOpeningService ? this.bridgeOpeningService.getStats() : null;
+    const sequence = this.bridgeRegistry ? this.bridgeRegistry.getBridgesInSequence() : [];
+    const bridges = sequence.map((bridge) => {
+      const atBridge = vessels.filter((v) => v.currentBridge === bridge.name);
+      return {
+        id: bridge.id,
+        name: bridge.name,
+        lat: bridge.lat,
+        lon: bridge.lon,
+        radius: bridge.radius,
+        isTarget: this.bridgeRegistry.isValidTargetBridge(bridge.name),
+        targeting: vessels.filter((v) => v.targetBridge === bridge.name).length,
+        atBridge: atBridge.length,
+        approaching: atBridge.filter((v) => v.status === 'approaching').length,
+        waiting: atBridge.filter((v) => v.status === 'waiting' || v.status === 'stallbacka-waiting').length,
+        underBridge: atBridge.filter((v) => v.status === 'under-bridge').length,
+        lastPassedAt: vessels.reduce((latest, v) => {
+          const t = v.passedAt && v.passedAt[bridge.name];
+          return Number.isFinite(t) && (latest === null || t > latest) ? t : latest;
+        }, null),
+        armed: openingStats && openingStats.armedByBridge
+          ? (openingStats.armedByBridge[bridge.name] || 0)
+          : 0,
+      };
+    });
+    return { generatedAt: Date.now(), bridgeText: this._lastBridgeText || '', bridges };
+  }
+
+  /**
+   * GET /openings — BridgeOpeningService: armar, öppningshändelser och
+   * getStats().
+   * @returns {{generatedAt: number, stats: Object|null, arms: Object[], events: Object[]}}
+   */
+  getApiOpenings() {
+    if (!this.bridgeOpeningService) {
+      return {
+        generatedAt: Date.now(), stats: null, arms: [], events: [],
+      };
+    }
+    return {
+      generatedAt: Date.now(),
+      stats: this.bridgeOpeningService.getStats(),
+      ...this.bridgeOpeningService.getSnapshot(),
+    };
+  }
+
+  /**
+   * GET /speed-profiles — inlärda fartprofiler per fartyg och broavsnitt.
+   * @returns {Object}
+   */
+  getApiSpeedProfiles() {
+    if (!this.speedProfileService) return { generatedAt: Date.now(), vessels: [] };
+    return this.speedProfileService.getSnapshot();
+  }
+
+  /**
+   * GET /captures — AIS-inspelningens segment (äldst först) och räknare.
+   * @returns {Promise<{generatedAt: number, stats: Object|null, segments: Object[]}>}
+   */
+  async getApiCaptures() {
+    if (!this.aisCaptureService) return { generatedAt: Date.now(), stats: null, segments: [] };
+    return {
+      generatedAt: Date.now(),
+      stats: await this.aisCaptureService.getStats(),
+      segments: await this.aisCaptureService.listSegments(),
+    };
+  }
+
+  /**
+   * GET /captures/:id — ett segment uppackat. `jsonl` är exakt filen
+   * replayRunner.js läser (`jq -r .jsonl > korpus.jsonl`). `truncated`
+   * = segmentet var större än AIS_CAPTURE.READ_MAX_BYTES uppackat.
+   * @param {string} id - segment-id ur GET /captures
+   * @returns {Promise<{id: string, startedAt: number, lines: number, jsonl: string,
+   *   truncated: boolean}|null>} null = okänt id
+   */
+  async getApiCapture(id) {
+    if (!this.aisCaptureService) return null;
+    return this.aisCaptureService.readSegment(id);
+  }
+
+  /**
+   * GET /health — muxens getConnectionStats() (perFeed, fusion, skugga)
+   * plus appens egen syn på anslutningen.
+   * @returns {Object}
+   */
+  getApiHealth() {
+    let connection = null;
+    if (this.aisClient && typeof this.aisClient.getConnectionStats === 'function') {
+      try {
+        connection = this.aisClient.getConnectionStats();
+      } catch (error) {
+        this.error('[API] getConnectionStats failed:', error.message || error);
+      }
+    }
+    return {
+      generatedAt: Date.now(),
+      aisSource: connection && connection.source ? connection.source : null,
+      isConnected: !!(connection && connection.isConnected),
+      vesselCount: this.vesselDataService ? this.vesselDataService.getVesselCount() : 0,
+      connection,
+    };
+  }
+
   /**
    * Cleanup on app shutdown
    */
@@ -8270,7 +10234,7 @@ class AISBridgeApp extends Homey.App {
 
     // Clear monitoring interval
     if (this._monitoringInterval) {
-      clearInterval(this._monitoringInterval);
+      simulationClock.clearInterval(this._monitoringInterval);
       this._monitoringInterval = null;
     }
 
@@ -8285,9 +10249,11 @@ class AISBridgeApp extends Homey.App {
     // dess 2 s-debounce-timers saknade annars destroy-väg.
     // Etapp 6: bridgeOpeningService äger INGA timers (tick-driven via
     // watchdogen) — destroy() släpper armar/händelser så en återanvänd
-    // app-instans inte startar med gammalt beväpningstillstånd. Det är samma
-    // v1-beslut som i servicens huvud: armarna överlever inte en omstart,
-    // boat_near-lagret är oförändrad fallback.
+    // app-instans inte startar med gammalt beväpningstillstånd.
+    // Varmstarten skriver därför sin snapshot FÖRST: destroy-kedjan och
+    // clearAllTimers nedan tömmer exakt det tillstånd (latchar, historik,
+    // armar, städdeadlines) som ska överleva omstarten.
+    this._persistTrackingSnapshot(true);
     for (const svc of [this.passageLatchService, this.routeOrderValidator, this.gpsJumpGateService, this.statusService, this.systemCoordinator, this.bridgeOpeningService]) {
       try {
         if (svc && typeof svc.destroy === 'function') svc.destroy();
@@ -8325,7 +10291,7 @@ class AISBridgeApp extends Homey.App {
     }
 
     if (this._watchdogTimer) {
-      clearInterval(this._watchdogTimer);
+      simulationClock.clearInterval(this._watchdogTimer);
       this._watchdogTimer = null;
       this.debug('🧹 [CLEANUP] Watchdog timer cleared');
     }
@@ -8340,7 +10306,8 @@ class AISBridgeApp extends Homey.App {
     this._persistQuayLedger(true);
     if (this._quayStableLedger) this._quayStableLedger.clear();
     if (this._openingQuayLedger) this._openingQuayLedger.clear();
-    // Etapp 6: engångsnycklarna följer armarna — ingen av delarna persisteras.
+    // Etapp 6: engångsnycklarna persisteras inte — armarna och händelserna
+    // följer med varmstartens snapshot och bär själva sin avfyrning.
     if (this._firedOpeningEvents) this._firedOpeningEvents.clear();
 
     // Clear all vessel service timers
@@ -8352,6 +10319,8 @@ class AISBridgeApp extends Homey.App {
     if (this.aisClient) {
       this.aisClient.disconnect();
     }
+    // Inga fler prov efter frånkopplingen: skriv inspelningens buffert.
+    if (this.aisCaptureService) await this.aisCaptureService.close();
 
     // P2-fix: flusha 2h-dedup-kartan en sista gång så en kontrollerad omstart
     // garanterat har färskt tillstånd (write-through täcker normalfallet).
@@ -8421,6 +10390,46 @@ class AISBridgeApp extends Homey.App {
     this.log(`📱 Device removed: ${device.getName()}`);
   }
 
+  /**
+   * Registrera en per-bro-enhet (drivers/bridge). Bro-id:t läses ur
+   * enhetens data; dedup-nycklarna för bron rensas så nästa UI-cykel
+   * garanterat skriver alla värden till den nya enheten.
+   * @param {Object} device - Homey device instance
+   */
+  addBridgeDevice(device) {
+    const bridgeId = device && typeof device.getData === 'function' ? (device.getData() || {}).bridge : null;
+    if (!bridgeId || !BRIDGE_DEVICE.BRIDGE_IDS.includes(bridgeId)) {
+      this.error('Invalid bridge device provided to addBridgeDevice');
+      return;
+    }
+
+    if (!this._bridgeDevices.has(bridgeId)) this._bridgeDevices.set(bridgeId, new Set());
+    this._bridgeDevices.get(bridgeId).add(device);
+    for (const capability of BRIDGE_DEVICE.CAPABILITIES) {
+      this._lastBridgeDeviceValues.delete(`${bridgeId}:${capability}`);
+    }
+    this.log(`📱 Bridge device added: ${device.getName ? device.getName() : bridgeId} (${bridgeId})`);
+  }
+
+  /**
+   * Avregistrera en per-bro-enhet.
+   * @param {Object} device - Homey device instance
+   */
+  removeBridgeDevice(device) {
+    const bridgeId = device && typeof device.getData === 'function' ? (device.getData() || {}).bridge : null;
+    const set = bridgeId ? this._bridgeDevices.get(bridgeId) : null;
+    if (!set) return;
+
+    set.delete(device);
+    if (set.size === 0) {
+      this._bridgeDevices.delete(bridgeId);
+      for (const capability of BRIDGE_DEVICE.CAPABILITIES) {
+        this._lastBridgeDeviceValues.delete(`${bridgeId}:${capability}`);
+      }
+    }
+    this.log(`📱 Bridge device removed: ${device.getName ? device.getName() : bridgeId} (${bridgeId})`);
+  }
+
   /**
    * Debug logging with level support.
    * Levels: off < basic < detailed < full
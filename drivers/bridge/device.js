@@ -0,0 +1,97 @@
+'use strict';
+
+const Homey = require('homey');
+const { BRIDGE_DEVICE } = require('../../lib/constants');
+
+/**
+ * En bro som egen enhet: larm, ledbåtens ETA, antal båtar och nästa
+ * förväntade öppning. Enheten skriver INGA värden själv — appen äger dem och
+ * skriver via den serialiserade kedjan (samma lärdom som bridge_status
+ * SYS-3: direktskrivningar utanför kedjan kan landa ovanpå en nyare push).
+ */
+class BridgeDevice extends Homey.Device {
+  async onInit() {
+    const { bridge } = this.getData();
+    this.log(`BridgeDevice initializing (${bridge})…`);
+
+    try {
+      await this._ensureAppReady();
+
+      // SYSR2-1 (se bridge_status/device.js): raderad under awaiten →
+      // registrera aldrig en zombie.
+      if (this._deleted) {
+        this.log('Device deleted during init — aborting initialization');
+        return;
+      }
+
+      // Capability-migrering: listan speglar driver.compose.json.
+      for (const capabilityId of BRIDGE_DEVICE.CAPABILITIES) {
+        if (!this.hasCapability(capabilityId)) {
+          try {
+            this.log(`Migrating device: adding missing capability '${capabilityId}'`);
+            await this.addCapability(capabilityId);
+          } catch (err) {
+            this.error(`Failed to add missing capability '${capabilityId}':`, err);
+          }
+        }
+      }
+
+      // addBridgeDevice rensar brons dedup-nycklar → nästa UI-cykel skriver
+      // alla värden genom kedjan.
+      this.homey.app.addBridgeDevice(this);
+
+      this._initUpdateTimeout = setTimeout(() => {
+        this._initUpdateTimeout = null;
+        if (typeof this.homey.app?._updateUI === 'function') {
+          try {
+            this.homey.app._updateUI('critical', 'bridge-device-init');
+          } catch (err) {
+            this.error('Post-init UI update failed:', err);
+          }
+        }
+      }, 1000);
+
+      this.log('Device initialization complete');
+    } catch (err) {
+      this.error('Failed to initialize device:', err);
+      // I1 (se bridge_status/device.js): appens nästa lyckade skrivning
+      // friskförklarar enheten när alla capabilities finns.
+      this._initFailed = true;
+      try {
+        if (!this._deleted && this.homey && this.homey.app && typeof this.homey.app.addBridgeDevice === 'function') {
+          this.homey.app.addBridgeDevice(this);
+        }
+      } catch (addErr) {
+        this.error('Failed to register device for recovery:', addErr);
+      }
+      if (typeof this.setUnavailable === 'function') {
+        this.setUnavailable('Initialization failed — recovering automatically').catch(() => {});
+      }
+    }
+  }
+
+  async onDeleted() {
+    this.log('Device being deleted');
+    this._deleted = true;
+    if (this._initUpdateTimeout) {
+      clearTimeout(this._initUpdateTimeout);
+      this._initUpdateTimeout = null;
+    }
+    if (this.homey.app && typeof this.homey.app.removeBridgeDevice === 'function') {
+      this.homey.app.removeBridgeDevice(this);
+    } else {
+      this.error('Could not remove from app – not available');
+    }
+  }
+
+  async _ensureAppReady() {
+    for (let i = 0; i < 10; i++) {
+      if (this.homey.app && this.homey.app._bridgeDevices) return true;
+      this.log(`Waiting for app to be ready (attempt ${i + 1})`);
+      await new Promise((res) => setTimeout(res, 500));
+    }
+    throw new Error('App not ready after multiple attempts');
+  }
+}
+
+module.exports = BridgeDevice;
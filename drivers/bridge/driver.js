@@ -0,0 +1,30 @@
+'use strict';
+
+const Homey = require('homey');
+const { BRIDGE_DEVICE, BRIDGE_ID_TO_NAME } = require('../../lib/constants');
+
+/**
+ * Per-bro-enheter: EN parbar enhet per bro (Klaffbron, Stridsbergsbron och
+ * valfritt Järnvägsbron/Olidebron). Värdena skrivs av appen
+ * (_updateBridgeDevices) genom samma serialiserade skrivkedja som
+ * bridge_status-enheten.
+ */
+class BridgeDriver extends Homey.Driver {
+  async onInit() {
+    this.log('BridgeDriver init');
+  }
+
+  /**
+   * En enhet per bro i kanalordning. data.bridge är bro-id:t appen
+   * registrerar enheten under — det får aldrig ändras för en parad enhet.
+   */
+  async onPairListDevices() {
+    return BRIDGE_DEVICE.BRIDGE_IDS.map((bridgeId) => ({
+      name: BRIDGE_ID_TO_NAME[bridgeId],
+      data: { id: `bridge_${bridgeId}`, bridge: bridgeId },
+      capabilities: [...BRIDGE_DEVICE.CAPABILITIES],
+    }));
+  }
+}
+
+module.exports = BridgeDriver;
@@ -68,7 +68,12 @@ class BridgeStatusDevice extends Homey.Device {
 
       this.log('Setting initial capability values');
       await this.setCapabilityValue('alarm_generic', hasBoats);
-      await this.setCapabilityValue('bridge_text', currentText);
+      // Publiceringsspråket (bridge_text_language) — jämförelsen ovan och
+      // store-värdet nedan är den kanoniska svenska texten.
+      const displayText = typeof this.homey.app._localizeBridgeText === 'function'
+        ? this.homey.app._localizeBridgeText(currentText)
+        : currentText;
+      await this.setCapabilityValue('bridge_text', displayText);
 
       // Synka direkt med appens nuvarande status
       const statusValue = this.homey.app._isConnected
@@ -10,11 +10,13 @@ const aishubParser = require('../utils/aishubParser');
 /**
  * AISHubClient - Pollande klient mot AISHubs webservice (ws.php).
  *
- * Emittar SAMMA nio-eventytor som AISStreamClient så att muxen/app-lagret
+ * Emittar SAMMA tio eventytor som AISStreamClient så att muxen/app-lagret
  * kan behandla källorna likvärdigt:
  *   'ais-message'   {mmsi,msgType,lat,lon,sog,cog,navStatus,shipName,
  *                    timestamp, fixTs, fixFeed:'aishub', fixTsQuality:'true-fix'}
  *   'static-name'   {mmsi, shipName}   (emitteras FÖRE positionen)
+ *   'static-data'   {mmsi, staticData} (typ/mått/djupgående/destination/
+ *                   anropssignal/IMO — också FÖRE positionen)
  *   'connected'     på FÖRSTA välformade svaret (ERROR:false — även tom kanal
  *                   räknas som kontakt; Bug#12-motivet: solo-AISHub får aldrig
  *                   visa "AIS-anslutning saknas" medan data flödar)
@@ -577,6 +579,10 @@ class AISHubClient extends EventEmitter {
         if (rec.shipName && rec.shipName !== 'Unknown') {
           this.emit('static-name', { mmsi: rec.mmsi, shipName: rec.shipName });
         }
+        const staticData = parsed.staticByMmsi && parsed.staticByMmsi[rec.mmsi];
+        if (staticData) {
+          this.emit('static-data', { mmsi: rec.mmsi, staticData });
+        }
         this.lastMessageTime = Date.now();
         this.emit('ais-message', { ...rec, timestamp: Date.now() });
       }, i * this._cfg.EMIT_SPREAD_MS);
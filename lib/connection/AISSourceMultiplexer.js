@@ -3,15 +3,124 @@
 const EventEmitter = require('events');
 const AISStreamClient = require('./AISStreamClient');
 const AISHubClient = require('./AISHubClient');
+const NmeaClient = require('./NmeaClient');
+const JsonFeedClient = require('./JsonFeedClient');
+const ReplayFeedClient = require('./ReplayFeedClient');
 const FixFusionPolicy = require('./FixFusionPolicy');
+const FeedRegistry = require('./FeedRegistry');
 const geometry = require('../utils/geometry');
 const { AIS_CONFIG } = require('../constants');
 
+/**
+ * Konfigurationsnycklarna för JSON-källan och korpusen (ändrad nyckel ⇒
+ * barnet rivs och återskapas).
+ * @private
+ */
+function jsonKeyOf(json) {
+  return `${json.url}@${json.intervalMs}:${json.timeQuality}:${JSON.stringify(json.mapping)}`;
+}
+
+/** @private */
+function simKeyOf(sim) {
+  return `${sim.label || 'korpus'}@${sim.speed}x#${sim.samples.length}`;
+}
+
+/**
+ * {feed: make(feed)} för feederna i ett skuggpar.
+ * @private
+ */
+function perFeed(feeds, make) {
+  const out = {};
+  for (const feed of feeds) out[feed] = make(feed);
+  return out;
+}
+
+/**
+ * De valfria barnen i reconcile-ordning. aisstream-barnet är inte med — det
+ * finns ALLTID (pass-through-defaulten) och har egna flanker
+ * (reconnect-needed/max-reconnects-reached). En ny mottagare är en ny rad
+ * här plus en feedtyp i AIS_CONFIG.FEEDS.KINDS — ingen ändring i routingen.
+ *
+ *   feed     feed-id barnet levererar; null ⇒ barnet spelar upp inspelade
+ *            feeds (varje prov bär sin källa, se _bindChild)
+ *   wanted   (mux) ⇒ ska barnet finnas
+ *   changed  (prev, next) ⇒ konfigurationen byttes under ett levande barn
+ *            ⇒ riv och återskapa
+ *   forward  felhändelser som vidarebefordras med källan som andra argument
+ * @private
+ */
+const CHILDREN = [
+  {
+    id: 'aishub',
+    feed: 'aishub',
+    create: (logger, settings) => new AISHubClient(logger, settings),
+    wanted: (mux) => mux._childFeedWanted('aishub') && !!mux._config.aishubUsername,
+    // Username-byte ⇒ riv och återskapa (disconnect rensar _pollTimer FÖRE
+    // ny instansiering — aldrig dubbla kedjor).
+    changed: (prev, next) => !!prev.aishubUsername && prev.aishubUsername !== next.aishubUsername,
+    connect: (client, cfg) => client.connect(cfg.aishubUsername),
+    // OBS: ingen reconnect-needed/max-reconnects-reached från pollkällan —
+    // dess självläkning bor i poll-kedjan (finally-ombokning + backoff).
+    forward: ['error', 'auth-error', 'server-error'],
+  },
+  {
+    id: 'nmea',
+    feed: 'nmea',
+    create: (logger) => new NmeaClient(logger),
+    wanted: (mux) => mux._childFeedWanted('nmea'),
+    changed: (prev, next) => prev.nmeaEndpoint !== undefined && prev.nmeaEndpoint !== next.nmeaEndpoint,
+    connect: (client, cfg) => client.connect(cfg.nmeaEndpoint),
+    // Ingen auth-error (ingen credential) och ingen reconnect-needed/
+    // max-reconnects-reached — klientens backoff-kedja ger aldrig upp.
+    forward: ['error', 'server-error'],
+  },
+  {
+    id: 'json',
+    feed: 'json',
+    create: (logger) => new JsonFeedClient(logger),
+    wanted: (mux) => mux._childFeedWanted('json'),
+    // Varje ändring (URL, intervall, mappning, tidskvalitet) ⇒ riv och
+    // återskapa — dedup-kartan hör till den gamla deklarationen.
+    changed: (prev, next) => prev.jsonFeed !== undefined
+      && (prev.jsonFeed ? jsonKeyOf(prev.jsonFeed) : null)
+        !== (next.jsonFeed ? jsonKeyOf(next.jsonFeed) : null),
+    connect: (client, cfg) => client.connect(cfg.jsonFeed),
+    forward: ['error', 'server-error'],
+  },
+  {
+    // Simuleringsbarnet skapas SIST: inget annat barn finns då kvar.
+    id: 'simulation',
+    feed: null,
+    create: (logger) => new ReplayFeedClient(logger),
+    wanted: (mux) => mux.isSimulating(),
+    // Ny korpus/hastighet ⇒ uppspelningen börjar om.
+    changed: (prev, next) => !!prev.simulation && !!next.simulation
+      && simKeyOf(prev.simulation) !== simKeyOf(next.simulation),
+    connect: (client, cfg) => client.connect({
+      samples: cfg.simulation.samples, speed: cfg.simulation.speed, label: cfg.simulation.label,
+    }),
+    forward: [],
+  },
+];
+
+// Skuggjämförelsens etiketter: loggtexterna ('AISHubs fixstämpel …') och
+// fältnamnen (onlyAishub, maxSilenceAishubMs …) byggs ur feed-id:t.
+const FEED_LABELS = {
+  aisstream: 'aisstream', aishub: 'AISHub', nmea: 'NMEA', json: 'JSON',
+};
+
 /**
  * AISSourceMultiplexer - Fan-in för AIS-källor. app.js ska ALDRIG veta att
- * fler än en källa finns: muxen äger AISStreamClient (alltid) och en
- * AISHubClient (när aishub_username är konfigurerat), och emittar exakt
- * samma nio events som AISStreamClient gör idag.
+ * fler än en källa finns: muxen äger AISStreamClient (alltid) och de
+ * valfria barnen i CHILDREN, och emittar exakt samma tio events som
+ * AISStreamClient gör idag.
+ *
+ * KÄLLREGISTRET: vilka feeds som finns och hur de behandlas härleds ur den
+ * effektiva konfigurationen av FeedRegistry — varje feed deklarerar
+ * prioritet, tidskvalitet, kadens och förtroende (primary/secondary/
+ * shadow). Fusionens regler tas PER KÄLLPAR ur deklarationerna
+ * (FixFusionPolicy.derivePairPolicy) och skuggjämförelsen kör för valfria
+ * par. Lägena nedan är rader i AIS_CONFIG.FEEDS.MODES.
  *
  * LÄGEN (ais_source, effektiv konfiguration via applySourceConfig):
  *   'aisstream' (default/frånvaro) — REN PASS-THROUGH: noll grindar, noll
@@ -25,6 +134,29 @@ const { AIS_CONFIG } = require('../constants');
  *        källbyten flaggas (feedSwitch). Failover är EMERGENT: dör en källa
  *        slutar dess fixar komma — ingen omkopplingskod, ingen flapp-risk.
  *   'aishub'  — solo-poll: aisstream-barnet kopplas ner.
+ *   'simulation' — en inspelad korpus (ReplayFeedClient) är ENDA källan:
+ *        aisstream, AISHub och de lokala mottagarna kopplas ner, och varje
+ *        prov går genom _ingestFromFeed med sin inspelade källa. En korpus
+ *        med fler än en källa fusioneras som i drift (se _fusionActive).
+ *        Utan prov faller läget tillbaka till 'aisstream'.
+ *
+ * LOKAL MOTTAGARE (nmea_endpoint, oberoende av ais_source): en NmeaClient
+ * mot en dAISy/RTL-SDR på kanalkanten MATAR ALLTID pipelinen när den är
+ * konfigurerad. Är den ensam pipelinekälla är den ren pass-through; har den
+ * sällskap av aisstream eller en matande AISHub går ALLA pipelinekällor
+ * genom FixFusionPolicy (se _fusionActive) — samma fix når oss via antennen
+ * och via molnet, och F2 är det som håller dubbletterna ute.
+ *
+ * JSON-MOTTAGARE (json_feed_url, likaså oberoende av ais_source): en
+ * JsonFeedClient som pollar en lokal fartygslista (AIS-catcher) följer samma
+ * regel som NMEA-mottagaren — pass-through ensam, fusion i sällskap. Dess
+ * DEKLARERADE tidskvalitet styr fusionen: 'true-fix' gör den 'secondary'
+ * (AISHubs F6-grind) med ett eget F6b-klockstate, 'receipt' behandlas som
+ * NMEA.
+ *
+ * SKUGGPAR (ais_shadow_pairs, oberoende av ais_source): utöver lägets
+ * aisstream/AISHub-par kan valfria deklarerade feeds jämföras parvis, t.ex.
+ * den lokala mottagaren mot aisstream. Jämförelsen ändrar aldrig routingen.
  *
  * KONTRAKT MOT app.js (slutplanen §3, V1-M1):
  *   isConnected är en LEVANDE GETTER (app.js:6746 läser propertyn — en
@@ -45,7 +177,15 @@ class AISSourceMultiplexer extends EventEmitter {
     this.logger = logger;
     this._settings = settingsStore;
 
-    this._config = { source: 'aisstream', apiKey: null, aishubUsername: null };
+    this._config = {
+      source: 'aisstream',
+      apiKey: null,
+      aishubUsername: null,
+      nmeaEndpoint: null,
+      jsonFeed: null,
+      simulation: null,
+      shadowPairs: [],
+    };
     this._activeConfigKey = null;
 
     // Disposed-vakten: _reconcile är async och dess fortsättning (efter
@@ -60,13 +200,21 @@ class AISSourceMultiplexer extends EventEmitter {
     this._streamActive = false;
     this._bindStreamChild();
 
-    // AISHub-barnet skapas först när en aishub-källa är konfigurerad.
-    this._hubClient = null;
+    // De valfria barnen (CHILDREN) skapas först när konfigurationen vill ha
+    // dem: id → klient.
+    this._children = new Map();
+
+    // Källregistret härleds LAT ur _config (replayRunner och testerna sätter
+    // _config.source direkt) och cachas på konfigurationsnyckeln, liksom
+    // parpolicyerna som härleds ur det.
+    this._registryKey = null;
+    this._registry = null;
+    this._pairPolicies = new Map();
 
     // Aggregerad anslutningsflank (Bug#12: emittera ALDRIG per barnhändelse).
     this._aggConnected = false;
 
-    // Fusionsstate ('both'-läget) — per-MMSI, prunas i monitoring-takt.
+    // Fusionsstate — per-MMSI, prunas i monitoring-takt.
     this._fusionStates = new Map();
     this._fusionCfg = AIS_CONFIG.FUSION;
     this._fusionStats = {
@@ -75,22 +223,25 @@ class AISSourceMultiplexer extends EventEmitter {
     // V5: ögonblicksbild vid förra [FUSION_HEALTH]-raden så fönsterdeltat
     // (inte bara ackumulerade totaler) kan redovisas.
     this._fusionStatsAtLastReport = null;
-    // F6b: GLOBALT klockstate (AISHub är EN server med EN klocka). Skattar
-    // hubbens offset mot Homeys klocka så F6:s korsdomänjämförelse blir
-    // giltig i BÅDA skevriktningarna — se FixFusionPolicy.observeClock.
-    this._fusionClock = FixFusionPolicy.createClockState();
+    // F6b: ett klockstate per feed med FRÄMMANDE klocka (feed → state).
+    // AISHub är EN server med EN klocka, och en AIS-catcher-värd är en
+    // annan — offseten är per källa, aldrig per fartyg och aldrig delad.
+    // Se FixFusionPolicy.observeClock.
+    this._clocks = new Map();
 
-    // Skuggjämförelsen ('shadow'/'both'): fönsterdata + positionsindex.
+    // Skuggjämförelsen: ett fönster per aktivt par + positionsindex.
     this._shadowTimer = null;
-    // "mmsi:latGrid:lonGrid" → {storedAt, aisstream?: side, aishub?: side}
-    // där side = {deliveryTs, fixTs, lat, lon, storedAt}. storedAt driver
+    this._shadowPairs = [];
+    this._shadowWindows = new Map();
+    // "ref/cmp|mmsi:latGrid:lonGrid" → {storedAt, [feed]: side} där
+    // side = {deliveryTs, fixTs, lat, lon, storedAt}. storedAt driver
     // TTL-prunen (fältprov 2: utan åldersgräns parades färska fixar mot
     // urgamla mottagningar och en tredjedel av samplen blev artefakter).
-    // BÅDA källorna indexeras (fynd 12) — se _recordShadowSample.
+    // BÅDA sidorna indexeras (fynd 12) — se _recordShadowSample.
     this._shadowPosIndex = new Map();
-    // Kontinuitetsmätningen: mmsi → senast sedd, per källa.
-    this._shadowLastSeen = { aisstream: new Map(), aishub: new Map() };
-    this._resetShadowWindow();
+    // Kontinuitetsmätningen: feed → (mmsi → senast sedd). Delad mellan
+    // paren — tystnaden är en egenskap hos feeden, inte hos paret.
+    this._shadowLastSeen = new Map();
   }
 
   // ==========================================================================
@@ -119,28 +270,49 @@ class AISSourceMultiplexer extends EventEmitter {
   getConnectionStats() {
     const stream = this._streamActive ? this._streamClient.getConnectionStats() : null;
     const hub = this._hubClient ? this._hubClient.getConnectionStats() : null;
+    const nmea = this._nmeaClient ? this._nmeaClient.getConnectionStats() : null;
+    const json = this._jsonClient ? this._jsonClient.getConnectionStats() : null;
+    const sim = this._simClient ? this._simClient.getConnectionStats() : null;
     // Fältprov 1 (2026-08-02): AGGREGATET speglar enbart pipeline-matande
     // källor (se _computeConnected). I skuggläge exkluderas hubbens färskhet
     // — annars höll 65s-pollen aggregatets timeSinceLastMessage permanent
     // färsk och stale-vakterna i app.js var avväpnade exakt när de behövdes.
     // perFeed nedan bär ALLTID råvärdena (feed-watchdogens sanning).
-    const hubFeeds = this._hubFeedsPipeline() ? hub : null;
+    const feeding = [stream];
+    for (const kind of CHILDREN) {
+      const client = this._children.get(kind.id);
+      if (client && this._childFeedsPipeline(kind)) feeding.push(client.getConnectionStats());
+    }
 
     const nums = (arr) => arr.filter((v) => Number.isFinite(v));
     const maxOf = (arr) => (nums(arr).length ? Math.max(...nums(arr)) : 0);
     const minOfNullable = (arr) => (nums(arr).length ? Math.min(...nums(arr)) : null);
-    const lastMsgCandidates = nums([stream?.lastMessageTime, hubFeeds?.lastMessageTime]);
+    const field = (name) => feeding.map((s) => (s ? s[name] : null));
+    const lastMsgCandidates = nums(field('lastMessageTime'));
+    const registry = this._feedRegistry();
+    const declaration = (id) => registry.feeds.find((f) => f.id === id) || null;
+
+    const clockOf = (id) => this._clocks.get(id) || null;
+    const clocks = {};
+    for (const [id, clk] of this._clocks) {
+      clocks[id] = { offsetMs: clk.hubOffsetMs, aheadSamples: clk.hubAheadSamples };
+    }
 
     return {
+      // EFFEKTIVT läge (efter fallback-regeln) — inte det sparade valet.
+      source: this._config.source,
       isConnected: this._computeConnected(),
-      reconnectAttempts: maxOf([stream?.reconnectAttempts, hubFeeds?.reconnectAttempts]),
+      reconnectAttempts: maxOf(field('reconnectAttempts')),
       lastMessageTime: lastMsgCandidates.length ? Math.max(...lastMsgCandidates) : null,
-      uptime: maxOf([stream?.uptime, hubFeeds?.uptime]),
-      timeSinceLastMessage: minOfNullable([stream?.timeSinceLastMessage, hubFeeds?.timeSinceLastMessage]),
+      uptime: maxOf(field('uptime')),
+      timeSinceLastMessage: minOfNullable(field('timeSinceLastMessage')),
+      // Källregistret för den effektiva konfigurationen (prioritetsordning).
+      feeds: registry.feeds.map((f) => ({ ...f })),
       perFeed: {
         aisstream: {
           configured: this._streamActive,
           isConnected: this._streamActive ? this._streamClient.isConnected : false,
+          declaration: declaration('aisstream'),
           lastMessageTime: stream ? stream.lastMessageTime : null,
           timeSinceLastMessage: stream ? stream.timeSinceLastMessage : null,
           uptime: stream ? stream.uptime : 0,
@@ -149,6 +321,7 @@ class AISSourceMultiplexer extends EventEmitter {
         aishub: {
           configured: !!this._hubClient,
           isConnected: this._hubClient ? this._hubClient.isConnected : false,
+          declaration: declaration('aishub'),
           lastMessageTime: hub ? hub.lastMessageTime : null,
           timeSinceLastMessage: hub ? hub.timeSinceLastMessage : null,
           uptime: hub ? hub.uptime : 0,
@@ -157,14 +330,68 @@ class AISSourceMultiplexer extends EventEmitter {
           dedupSize: hub ? hub.dedupSize : 0,
           counters: hub ? hub.counters : null,
         },
+        nmea: {
+          configured: !!this._nmeaClient,
+          isConnected: this._nmeaClient ? this._nmeaClient.isConnected : false,
+          declaration: declaration('nmea'),
+          protocol: nmea ? nmea.protocol : null,
+          lastMessageTime: nmea ? nmea.lastMessageTime : null,
+          timeSinceLastMessage: nmea ? nmea.timeSinceLastMessage : null,
+          uptime: nmea ? nmea.uptime : 0,
+          reconnectAttempts: nmea ? nmea.reconnectAttempts : 0,
+          counters: nmea ? nmea.counters : null,
+        },
+        json: {
+          configured: !!this._jsonClient,
+          isConnected: this._jsonClient ? this._jsonClient.isConnected : false,
+          declaration: declaration('json'),
+          url: json ? json.url : null,
+          timeQuality: json ? json.timeQuality : null,
+          intervalMs: json ? json.intervalMs : null,
+          lastMessageTime: json ? json.lastMessageTime : null,
+          timeSinceLastMessage: json ? json.timeSinceLastMessage : null,
+          uptime: json ? json.uptime : 0,
+          lastOkResponseAt: json ? json.lastOkResponseAt : null,
+          reconnectAttempts: json ? json.reconnectAttempts : 0,
+          dedupSize: json ? json.dedupSize : 0,
+          counters: json ? json.counters : null,
+        },
+        simulation: {
+          configured: !!this._simClient,
+          isConnected: this._simClient ? this._simClient.isConnected : false,
+          label: sim ? sim.label : null,
+          speed: sim ? sim.speed : null,
+          total: sim ? sim.total : 0,
+          position: sim ? sim.position : 0,
+          finished: sim ? sim.finished : false,
+          lastMessageTime: sim ? sim.lastMessageTime : null,
+          timeSinceLastMessage: sim ? sim.timeSinceLastMessage : null,
+          counters: sim ? sim.counters : null,
+        },
       },
       fusion: {
         stateSize: this._fusionStates.size,
         ...this._fusionStats,
         // F6b: klockregimen är en del av fusionens hälsa (se _emitFusionHealth).
-        hubClockOffsetMs: this._fusionClock ? this._fusionClock.hubOffsetMs : 0,
-        hubClockAheadSamples: this._fusionClock ? this._fusionClock.hubAheadSamples : 0,
+        hubClockOffsetMs: clockOf('aishub') ? clockOf('aishub').hubOffsetMs : 0,
+        hubClockAheadSamples: clockOf('aishub') ? clockOf('aishub').hubAheadSamples : 0,
+        jsonClockOffsetMs: clockOf('json') ? clockOf('json').hubOffsetMs : 0,
+        clocks,
       },
+      // Skuggjämförelsens PÅGÅENDE 5-minutersfönster per par (samma underlag
+      // som nästa 🔭 [SHADOW_COMPARE]-rad) — null när ingen jämförelse körs.
+      shadow: this._shadowTimer ? {
+        pairs: [...this._shadowWindows.values()].map((w) => ({
+          pair: w.pair.join('/'),
+          windowMmsi: perFeed(w.pair, (f) => w.mmsi[f].size),
+          samples: w.fixLags.length,
+          races: w.races.length,
+          stalePairsDropped: w.stalePairsDropped,
+          maxSilenceMs: { ...w.maxSilence },
+          silenceCensored: { ...w.silenceCensored },
+        })),
+        posIndexSize: this._shadowPosIndex.size,
+      } : null,
     };
   }
 
@@ -205,7 +432,7 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /**
-   * Total nedstängning (onUninit-vägen) — båda barnen + alla timers.
+   * Total nedstängning (onUninit-vägen) — alla barn + alla timers.
    */
   disconnect() {
     this._disposed = true;
@@ -217,7 +444,7 @@ class AISSourceMultiplexer extends EventEmitter {
       // disconnect() på ett aldrig startat stream-barn är ofarligt men
       // spammigt — hoppa över.
     }
-    this._teardownHub();
+    this._teardownChildren();
     // Aggregatflanken: barnens disconnected-event har redan triggat
     // _recomputeAggregate, men var defensiv om barnen var stubbade.
     if (this._aggConnected) {
@@ -231,24 +458,81 @@ class AISSourceMultiplexer extends EventEmitter {
    * ⇒ ingen sidoeffekt. Ändrad config ⇒ riv/skapa barn kontrollerat, ALDRIG
    * en omedelbar poll som sidoeffekt (AISHub-klientens connect respekterar
    * den persisterade spärren + startjitter).
-   * @param {{source?: string, apiKey?: string|null, aishubUsername?: string|null}} cfg
+   * nmeaEndpoint är ortogonal mot source: en ogiltig endpoint loggas och
+   * behandlas som ej konfigurerad (aldrig ett barn som inte kan ansluta).
+   * jsonFeed ({url, intervalMs, mapping, timeQuality}) följer samma
+   * nyckelnärvaro-regel som nmeaEndpoint; en ogiltig konfiguration
+   * (JsonFeedClient.parseConfig) loggas och behandlas som ej konfigurerad.
+   * shadowPairs ('nmea:aisstream, …' eller [[ref, cmp], …]) likaså — ett
+   * ogiltigt värde loggas och ger inga extra par (FeedRegistry.parseShadowPairs).
+   * simulation bär korpusen för 'simulation'-läget ({samples, speed, label});
+   * samma label/hastighet/provantal ⇒ uppspelningen fortsätter orörd.
+   * @param {{source?: string, apiKey?: string|null, aishubUsername?: string|null,
+   *          nmeaEndpoint?: string|null,
+   *          jsonFeed?: {url: string, intervalMs?: number, mapping?: object|string|null,
+   *                      timeQuality?: string}|null,
+   *          shadowPairs?: string|Array<string[]>|null,
+   *          simulation?: {samples: Object[], speed?: number, label?: string}}} cfg
    */
   applySourceConfig(cfg = {}) {
-    const allowed = ['aisstream', 'shadow', 'both', 'aishub'];
+    const allowed = ['aisstream', 'shadow', 'both', 'aishub', 'simulation'];
     const next = {
       source: allowed.includes(cfg.source) ? cfg.source : 'aisstream',
       apiKey: (cfg.apiKey != null ? String(cfg.apiKey).trim() : this._config.apiKey) || null,
       aishubUsername: (cfg.aishubUsername != null
         ? String(cfg.aishubUsername).trim()
         : this._config.aishubUsername) || null,
+      // Nyckelns NÄRVARO är auktoritativ (även undefined/tom ⇒ ingen lokal
+      // mottagare) — annars gick en tömd endpoint inte att stänga av.
+      nmeaEndpoint: ('nmeaEndpoint' in cfg
+        ? String(cfg.nmeaEndpoint || '').trim()
+        : this._config.nmeaEndpoint) || null,
+      jsonFeed: 'jsonFeed' in cfg ? null : this._config.jsonFeed,
+      simulation: null,
+      shadowPairs: 'shadowPairs' in cfg ? [] : this._config.shadowPairs,
     };
+    if (next.nmeaEndpoint && !NmeaClient.parseEndpoint(next.nmeaEndpoint)) {
+      this.logger.log(`⚠️ [AIS_MUX] nmea_endpoint='${next.nmeaEndpoint}' är ogiltig (väntat tcp://värd:port eller udp://:port) — ignoreras`);
+      next.nmeaEndpoint = null;
+    }
+    if ('jsonFeed' in cfg && cfg.jsonFeed && cfg.jsonFeed.url) {
+      next.jsonFeed = JsonFeedClient.parseConfig(cfg.jsonFeed);
+      if (!next.jsonFeed) {
+        this.logger.log(`⚠️ [AIS_MUX] json_feed='${cfg.jsonFeed.url}' är ogiltig (URL http(s)://…, mappning, tidskvalitet) — ignoreras`);
+      }
+    }
+    if ('shadowPairs' in cfg) {
+      const pairs = FeedRegistry.parseShadowPairs(cfg.shadowPairs);
+      if (pairs) {
+        next.shadowPairs = pairs;
+      } else {
+        this.logger.log(`⚠️ [AIS_MUX] ais_shadow_pairs='${cfg.shadowPairs}' är ogiltig (väntat ref:jämförd, t.ex. nmea:aisstream) — ignoreras`);
+      }
+    }
+    if (next.source === 'simulation') {
+      const sim = cfg.simulation;
+      if (sim && Array.isArray(sim.samples) && sim.samples.length > 0) {
+        // Samma källmappning som ReplayFeedClient: okänd/saknad ⇒ aisstream.
+        const feeds = new Set(sim.samples.filter((s) => s && !s.ctrl)
+          .map((s) => (FeedRegistry.FEED_IDS.includes(s.feed) ? s.feed : 'aisstream')));
+        next.simulation = {
+          samples: sim.samples,
+          speed: Number.isFinite(sim.speed) && sim.speed > 0 ? sim.speed : 1,
+          label: sim.label || null,
+          feeds: [...feeds].sort(),
+        };
+      } else {
+        this.logger.log('⚠️ [AIS_MUX] ais_source=\'simulation\' utan korpus — faller tillbaka till \'aisstream\'');
+        next.source = 'aisstream';
+      }
+    }
     // Fallback-regeln (konfigmatrisen): aishub-lägen utan username ⇒
     // aisstream — aldrig en tyst död källkonfiguration.
-    if (next.source !== 'aisstream' && !next.aishubUsername) {
+    if (next.source !== 'aisstream' && next.source !== 'simulation' && !next.aishubUsername) {
       this.logger.log(`⚠️ [AIS_MUX] ais_source='${next.source}' utan aishub_username — faller tillbaka till 'aisstream'`);
       next.source = 'aisstream';
     }
-    const key = `${next.source}|${next.apiKey || ''}|${next.aishubUsername || ''}`;
+    const key = AISSourceMultiplexer._keyOf(next);
     if (key === this._activeConfigKey) {
       this.logger.debug('🔧 [AIS_MUX] applySourceConfig: oförändrad effektiv konfiguration — no-op');
       return;
@@ -260,7 +544,11 @@ class AISSourceMultiplexer extends EventEmitter {
     this.logger.log(
       `🔀 [AIS_MUX] Källkonfiguration: source=${next.source} `
       + `aisstream=${next.apiKey ? 'nyckel satt' : 'ingen nyckel'} `
-      + `aishub=${next.aishubUsername ? 'username satt' : 'ej konfigurerad'}`,
+      + `aishub=${next.aishubUsername ? 'username satt' : 'ej konfigurerad'} `
+      + `nmea=${next.nmeaEndpoint || 'ej konfigurerad'} `
+      + `json=${next.jsonFeed ? `${next.jsonFeed.timeQuality}@${next.jsonFeed.intervalMs / 1000}s` : 'ej konfigurerad'}`
+      + `${next.shadowPairs.length ? ` skuggpar=${next.shadowPairs.map((p) => p.join(':')).join(',')}` : ''}`
+      + `${next.simulation ? ` simulation=${simKeyOf(next.simulation)}` : ''}`,
     );
     this._reconcile(prev).catch((err) => {
       this.logger.error('❌ [AIS_MUX] Källomställning misslyckades:', err.message || err);
@@ -268,15 +556,25 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /**
-   * Testbar ingång (V3-C1): REPLAY_FUSION-läget och enhetstester matar
-   * meddelanden här — EXAKT samma väg som barnens live-events tar.
-   * @param {'aisstream'|'aishub'} feed
+   * Testbar ingång (V3-C1): REPLAY_FUSION-läget, simuleringskällan och
+   * enhetstester matar meddelanden här — EXAKT samma väg som barnens
+   * live-events tar.
+   * @param {'aisstream'|'aishub'|'nmea'|'json'} feed
    * @param {object} msg - Normaliserat AIS-meddelande
    */
   _ingestFromFeed(feed, msg) {
     this._onChildMessage(feed, msg);
   }
 
+  /**
+   * Spelar simuleringskällan upp en korpus? Appen taggar Flow-korten och
+   * stänger av sina lärande/persisterande sidoeffekter på detta.
+   * @returns {boolean}
+   */
+  isSimulating() {
+    return this._config.source === 'simulation';
+  }
+
   /**
    * Feed-vaktens AISHub-kick — vidare till klientens forceReschedule()
    * som aldrig kan bryta 61s-spärren.
@@ -287,28 +585,136 @@ class AISSourceMultiplexer extends EventEmitter {
     }
   }
 
+  // ==========================================================================
+  // Källregistret
+  // ==========================================================================
+
+  /**
+   * Registret för den AKTUELLA _config — omräknat bara när konfigurations-
+   * nyckeln ändrats. Parpolicyerna hör till registret och rensas med det.
+   * @private
+   * @returns {{feeds: object[], fusion: boolean, shadowPairs: Array<string[]>}}
+   */
+  _feedRegistry() {
+    const key = this._configKey();
+    if (key !== this._registryKey) {
+      this._registry = FeedRegistry.resolveFeeds(this._config);
+      this._registryKey = key;
+      this._pairPolicies.clear();
+    }
+    return this._registry;
+  }
+
+  /**
+   * En feeds deklaration, eller null när feeden inte är registrerad.
+   * @private
+   */
+  _declaration(feed) {
+    return this._feedRegistry().feeds.find((f) => f.id === feed) || null;
+  }
+
+  /**
+   * Matar feeden pipelinen? Registrerad och inte 'shadow' — en feed som
+   * konfigurationen inte känner till når aldrig pipelinen.
+   * @private
+   */
+  _feedsPipeline(feed) {
+    const decl = this._declaration(feed);
+    return !!decl && decl.trust !== 'shadow';
+  }
+
+  /**
+   * Parpolicyn för (inkommande, referens), cachad per registret. Den
+   * inkommande feeden är alltid registrerad (se _onChildMessage); referensen
+   * kan vara en feed som inte längre är det (fusionsstatet överlever en
+   * omkonfiguration) — då gäller dess standarddeklaration.
+   * @private
+   */
+  _pairPolicy(feed, reference) {
+    const key = `${feed}>${reference || ''}`;
+    let policy = this._pairPolicies.get(key);
+    if (!policy) {
+      const declOf = (id) => this._declaration(id)
+        || (FeedRegistry.FEED_IDS.includes(id) ? FeedRegistry.declare(id) : null);
+      policy = FixFusionPolicy.derivePairPolicy(
+        declOf(feed),
+        reference ? declOf(reference) : null,
+        this._fusionCfg,
+      );
+      this._pairPolicies.set(key, policy);
+    }
+    return policy;
+  }
+
   // ==========================================================================
   // Intern wiring
   // ==========================================================================
 
   /** @private */
-  _sourceWantsStream() {
-    return this._config.source !== 'aishub';
+  get _hubClient() {
+    return this._children.get('aishub') || null;
   }
 
   /** @private */
-  _sourceWantsHub() {
-    return this._config.source !== 'aisstream' && !!this._config.aishubUsername;
+  get _nmeaClient() {
+    return this._children.get('nmea') || null;
   }
 
   /** @private */
-  _hubFeedsPipeline() {
-    return this._config.source === 'both' || this._config.source === 'aishub';
+  get _jsonClient() {
+    return this._children.get('json') || null;
+  }
+
+  /** @private */
+  get _simClient() {
+    return this._children.get('simulation') || null;
+  }
+
+  /** @private */
+  _sourceWantsStream() {
+    return !this.isSimulating() && !!this._declaration('aisstream');
+  }
+
+  /**
+   * Ett levande barn för feeden: registrerad i konfigurationen och inte
+   * ersatt av korpusen (i simuleringen levererar uppspelningen feeden).
+   * @private
+   */
+  _childFeedWanted(feed) {
+    return !this.isSimulating() && !!this._declaration(feed);
+  }
+
+  /**
+   * Räknas barnet i aggregatet? Uppspelningen matar alltid pipelinen; ett
+   * feed-barn bara när dess feed gör det (inte en skuggkälla).
+   * @private
+   */
+  _childFeedsPipeline(kind) {
+    return kind.feed === null || this._feedsPipeline(kind.feed);
+  }
+
+  /**
+   * Fusion när fler än EN levande feed matar pipelinen, eller när läget
+   * kräver det ('both') — se FeedRegistry.resolveFeeds. Beslutas på
+   * KONFIGURATIONEN, inte på barnens anslutningsläge — ett barn som tappar
+   * kontakten en stund får inte växla routingen fram och tillbaka.
+   * @private
+   */
+  _fusionActive() {
+    return this._feedRegistry().fusion;
   }
 
   /** @private */
   _configKey() {
-    return `${this._config.source}|${this._config.apiKey || ''}|${this._config.aishubUsername || ''}`;
+    return AISSourceMultiplexer._keyOf(this._config);
+  }
+
+  /** @private */
+  static _keyOf(cfg) {
+    return `${cfg.source}|${cfg.apiKey || ''}|${cfg.aishubUsername || ''}|${cfg.nmeaEndpoint || ''}`
+      + `|${cfg.jsonFeed ? jsonKeyOf(cfg.jsonFeed) : ''}`
+      + `|${cfg.simulation ? simKeyOf(cfg.simulation) : ''}`
+      + `|${(cfg.shadowPairs || []).map((p) => p.join(':')).join(',')}`;
   }
 
   /**
@@ -317,8 +723,15 @@ class AISSourceMultiplexer extends EventEmitter {
    */
   async _reconcile(prev = {}) {
     if (this._disposed) return;
+    // Rivningen sker FÖRST och synkront, för alla barn: simuleringsbarnet
+    // äger den virtuella klockan, som måste vara borta innan en levande
+    // källa hinner leverera, och ett barn vars konfiguration bytts rivs
+    // innan dess efterträdare skapas.
+    for (const kind of CHILDREN) {
+      if (!this._children.has(kind.id)) continue;
+      if (!kind.wanted(this) || kind.changed(prev, this._config)) this._teardownChild(kind.id);
+    }
     const wantStream = this._sourceWantsStream() && !!this._config.apiKey;
-    const wantHub = this._sourceWantsHub();
 
     // aisstream-barnet
     if (wantStream && !this._streamActive) {
@@ -335,29 +748,35 @@ class AISSourceMultiplexer extends EventEmitter {
       });
     }
 
-    // AISHub-barnet: username-/lägesbyte ⇒ riv och återskapa (disconnect
-    // rensar _pollTimer FÖRE ny instansiering — aldrig dubbla kedjor).
-    const hubCredChanged = this._hubClient && prev.aishubUsername
-      && prev.aishubUsername !== this._config.aishubUsername;
-    if ((!wantHub && this._hubClient) || hubCredChanged) {
-      this._teardownHub();
-    }
-    // Disposed-vakt efter varje await-gräns: disconnect() kan ha kört medan
-    // stream-grenen ovan suspenderade — inga nya barn/timers därefter.
-    if (this._disposed) return;
-    if (wantHub && !this._hubClient) {
-      this._hubClient = new AISHubClient(this.logger, this._settings);
-      this._bindHubChild();
-      await this._hubClient.connect(this._config.aishubUsername);
+    for (const kind of CHILDREN) {
+      // Disposed-vakt efter varje await-gräns: disconnect() kan ha kört
+      // medan en gren ovan suspenderade — inga nya barn/timers därefter,
+      // och barn som hann skapas tvärs över nedstängningen rivs.
+      if (this._disposed) {
+        this._teardownChildren();
+        return;
+      }
+      if (kind.wanted(this) && !this._children.has(kind.id)) {
+        const client = kind.create(this.logger, this._settings);
+        this._children.set(kind.id, client);
+        this._bindChild(kind, client);
+        await kind.connect(client, this._config);
+      }
     }
 
-    // Skuggtelemetrin: endast i shadow/both — pass-through har NOLL timers.
+    // Skuggtelemetrin: bara när registret har skuggpar — pass-through har
+    // NOLL timers. Ändrad paruppsättning ⇒ slutspola och starta om.
     if (this._disposed) {
-      this._teardownHub(); // barnet ovan skapades tvärs över en disconnect
+      this._teardownChildren(); // barnen ovan skapades tvärs över en disconnect
       return;
     }
-    if (wantHub && (this._config.source === 'shadow' || this._config.source === 'both')) {
-      this._startShadowTimer();
+    const pairs = this._feedRegistry().shadowPairs;
+    if (this._shadowTimer && AISSourceMultiplexer._pairsKey(pairs)
+        !== AISSourceMultiplexer._pairsKey(this._shadowPairs)) {
+      this._stopShadowTimer();
+    }
+    if (pairs.length > 0) {
+      this._startShadowTimer(pairs);
     } else {
       this._stopShadowTimer();
     }
@@ -366,23 +785,30 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /** @private */
-  _teardownHub() {
-    if (!this._hubClient) return;
+  _teardownChild(id) {
+    const client = this._children.get(id);
+    if (!client) return;
     try {
-      this._hubClient.disconnect();
-      this._hubClient.removeAllListeners();
+      client.disconnect();
+      client.removeAllListeners();
     } catch (err) {
-      this.logger.debug(`🔧 [AIS_MUX] hub-teardown: ${err.message}`);
+      this.logger.debug(`🔧 [AIS_MUX] ${id}-teardown: ${err.message}`);
     }
-    this._hubClient = null;
+    this._children.delete(id);
     this._recomputeAggregate();
   }
 
+  /** @private */
+  _teardownChildren() {
+    for (const kind of CHILDREN) this._teardownChild(kind.id);
+  }
+
   /** @private */
   _bindStreamChild() {
     const c = this._streamClient;
     c.on('ais-message', (msg) => this._onChildMessage('aisstream', msg));
     c.on('static-name', (data) => this._onChildStaticName('aisstream', data));
+    c.on('static-data', (data) => this._onChildStaticData('aisstream', data));
     c.on('connected', () => this._recomputeAggregate());
     c.on('disconnected', (info) => this._recomputeAggregate(info));
     c.on('error', (err) => this.emit('error', err, 'aisstream'));
@@ -392,18 +818,25 @@ class AISSourceMultiplexer extends EventEmitter {
     c.on('max-reconnects-reached', () => this.emit('max-reconnects-reached'));
   }
 
-  /** @private */
-  _bindHubChild() {
-    const c = this._hubClient;
-    c.on('ais-message', (msg) => this._onChildMessage('aishub', msg));
-    c.on('static-name', (data) => this._onChildStaticName('aishub', data));
+  /**
+   * Ett valfritt barn. Uppspelningens prov bär sin inspelade källa och går
+   * genom _ingestFromFeed — samma väg som REPLAY_FUSION-läget och barnens
+   * live-events; korpusens statiska data finns inte (bara positioner).
+   * @private
+   */
+  _bindChild(kind, c) {
+    if (kind.feed === null) {
+      c.on('ais-message', (msg, feed) => this._ingestFromFeed(feed, msg));
+    } else {
+      c.on('ais-message', (msg) => this._onChildMessage(kind.feed, msg));
+      c.on('static-name', (data) => this._onChildStaticName(kind.feed, data));
+      c.on('static-data', (data) => this._onChildStaticData(kind.feed, data));
+    }
     c.on('connected', () => this._recomputeAggregate());
     c.on('disconnected', (info) => this._recomputeAggregate(info));
-    c.on('error', (err) => this.emit('error', err, 'aishub'));
-    c.on('auth-error', (detail) => this.emit('auth-error', detail, 'aishub'));
-    c.on('server-error', (detail) => this.emit('server-error', detail, 'aishub'));
-    // OBS: ingen reconnect-needed/max-reconnects-reached från pollkällan —
-    // dess självläkning bor i poll-kedjan (finally-ombokning + backoff).
+    for (const event of kind.forward) {
+      c.on(event, (detail) => this.emit(event, detail, kind.feed));
+    }
   }
 
   /** @private */
@@ -416,9 +849,11 @@ class AISSourceMultiplexer extends EventEmitter {
     // läser aggregatets timeSinceLastMessage) kunde ALDRIG fyra → "Inga
     // båtar"-lögnen vid aisstream-avbrott. Samma princip för isConnected:
     // en skuggkälla ska inte tända grönt när inget dataflöde finns.
-    const streamOk = this._streamActive && this._streamClient.isConnected;
-    const hubOk = !!this._hubClient && this._hubClient.isConnected && this._hubFeedsPipeline();
-    return streamOk || hubOk;
+    if (this._streamActive && this._streamClient.isConnected) return true;
+    return CHILDREN.some((kind) => {
+      const client = this._children.get(kind.id);
+      return !!client && client.isConnected && this._childFeedsPipeline(kind);
+    });
   }
 
   /**
@@ -439,7 +874,7 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /**
-   * Namnnormalisering (V1-m5): appliceras på BÅDA källorna så samma fartyg
+   * Namnnormalisering (V1-m5): appliceras på ALLA källor så samma fartyg
    * inte flappar mellan namnvarianter ("VALEN " vs "VALEN") — varje flapp
    * skriver hela namnkartan till settings via _rememberVesselName.
    * Sentinelen 'Unknown' bevaras EXAKT (versaliseras aldrig — appens
@@ -458,13 +893,26 @@ class AISSourceMultiplexer extends EventEmitter {
   _onChildStaticName(feed, data) {
     const shipName = this._normalizeName(data && data.shipName);
     if (!data || !data.mmsi || shipName === 'Unknown') return;
-    // Skuggläget får inte påverka pipelinen — inte ens namncachen.
-    if (feed === 'aishub' && !this._hubFeedsPipeline()) return;
+    // En skuggkälla får inte påverka pipelinen — inte ens namncachen.
+    if (!this._feedsPipeline(feed)) return;
     this.emit('static-name', { mmsi: data.mmsi, shipName });
   }
 
   /**
-   * Kärnrouting: pass-through, skugga eller fusion — per läge och källa.
+   * Statiska uppgifter (typ/mått/djupgående/destination/anropssignal/IMO)
+   * är redan normaliserade av källan (lib/utils/staticData) — samma
+   * skuggkällegrind som namnet, i övrigt ren pass-through. Ingen fusion:
+   * fälten bär ingen fixtid och sammanslås fältvis i app-lagret.
+   * @private
+   */
+  _onChildStaticData(feed, data) {
+    if (!data || !data.mmsi || !data.staticData) return;
+    if (!this._feedsPipeline(feed)) return;
+    this.emit('static-data', { mmsi: data.mmsi, staticData: data.staticData });
+  }
+
+  /**
+   * Kärnrouting: pass-through, skugga eller fusion — per registret och källa.
    * @private
    */
   _onChildMessage(feed, msg) {
@@ -478,37 +926,28 @@ class AISSourceMultiplexer extends EventEmitter {
     // vägar (pass-through, skugga och fusion).
     const normalized = { ...msg, fixFeed: feed, shipName: this._normalizeName(msg.shipName) };
 
-    // Skuggbokföring (shadow/both): jämförelsedata per källa.
+    // Skuggbokföring: jämförelsedata för varje aktivt par som feeden ingår i.
     if (this._shadowTimer) this._recordShadowSample(feed, normalized);
 
-    if (feed === 'aisstream') {
-      if (this._config.source === 'both') {
-        this._fuseAndEmit(feed, normalized);
-      } else {
-        // Pass-through (aisstream/shadow/aishub-fallback): exakt dagens väg.
-        this.emit('ais-message', normalized);
-      }
-      return;
-    }
+    // En skuggkälla (eller en oregistrerad feed) går aldrig vidare —
+    // beviset ska vara rent.
+    if (!this._feedsPipeline(feed)) return;
 
-    // feed === 'aishub'
-    if (this._config.source === 'shadow') {
-      return; // aldrig vidare — beviset ska vara rent
-    }
-    if (this._config.source === 'both') {
+    if (this._fusionActive()) {
       this._fuseAndEmit(feed, normalized);
       return;
     }
-    if (this._config.source === 'aishub') {
-      // Solo-poll: klienten har redan dedupat (mmsi, fixTs) — släpp igenom.
-      this.emit('ais-message', normalized);
-    }
+    // Pass-through (ensam pipelinekälla): exakt dagens väg. Solo-AISHub har
+    // redan dedupats (mmsi, fixTs) av klienten.
+    this.emit('ais-message', normalized);
   }
 
   /**
-   * F1-F5 ('both'-läget). Accepterade fixar emitteras med feedSwitch-flaggan
-   * när källbytet ser ut som ett hopp (SystemCoordinator undantar den
-   * globala jump-tallyn men behåller per-fartygs-koordinationen).
+   * F1-F6b (fusionsläget, se _fusionActive). Reglerna kommer ur parpolicyn
+   * för (källan, fartygets senast accepterade källa). Accepterade fixar
+   * emitteras med feedSwitch-flaggan när källbytet ser ut som ett hopp
+   * (SystemCoordinator undantar den globala jump-tallyn men behåller
+   * per-fartygs-koordinationen).
    * @private
    */
   _fuseAndEmit(feed, msg) {
@@ -518,12 +957,24 @@ class AISSourceMultiplexer extends EventEmitter {
       state = FixFusionPolicy.createState();
       this._fusionStates.set(msg.mmsi, state);
     }
+    // Deklarationen ur KONFIGURATIONEN (inte msg.fixTsQuality) avgör vilka
+    // regler som gäller — och om källan har en egen F6b-klocka.
+    const policy = this._pairPolicy(feed, state.lastFeed);
+    let clock = null;
+    if (policy.foreignClock) {
+      clock = this._clocks.get(feed);
+      if (!clock) {
+        clock = FixFusionPolicy.createClockState();
+        this._clocks.set(feed, clock);
+      }
+    }
     // F6b: bokför klockbevisen FÖRE beslutet, så en klocka som just hoppat
     // framåt kompenseras redan på det meddelande som avslöjade hoppet.
-    FixFusionPolicy.observeClock(this._fusionClock, state, msg, feed, now, this._fusionCfg);
+    FixFusionPolicy.observeClock(clock, state, msg, feed, now, this._fusionCfg, policy);
     const verdict = FixFusionPolicy.shouldAccept(state, msg, now, this._fusionCfg, {
       feed,
-      hubOffsetMs: this._fusionClock.hubOffsetMs,
+      hubOffsetMs: clock ? clock.hubOffsetMs : 0,
+      policy,
     });
     if (!verdict.accept) {
       this._fusionStats.rejected++;
@@ -588,49 +1039,70 @@ class AISSourceMultiplexer extends EventEmitter {
       }
     }
     // Kontinuitetsmätningens lastSeen-kartor (TTL + tak). Varje bortprunad
-    // post är ett fartyg vars tystnad blir OMÄTBAR (fynd 13) — räkna den så
-    // att SHADOW_COMPARE kan redovisa maxSilence som nedre gräns i stället
-    // för att tyst censurera nattens längsta glapp.
-    for (const feed of ['aisstream', 'aishub']) {
-      const seen = this._shadowLastSeen[feed];
+    // post är ett fartyg vars tystnad blir OMÄTBAR (fynd 13) — räkna den i
+    // varje fönster feeden ingår i, så att SHADOW_COMPARE kan redovisa
+    // maxSilence som nedre gräns i stället för att tyst censurera nattens
+    // längsta glapp.
+    for (const [feed, seen] of this._shadowLastSeen) {
+      let censored = 0;
       for (const [mmsi, ts] of seen) {
         if (now - ts > cfg.LAST_SEEN_TTL_MS) {
           seen.delete(mmsi);
-          this._shadowWindow.silenceCensored[feed]++;
+          censored++;
         }
       }
       while (seen.size > cfg.LAST_SEEN_MAX_ENTRIES) {
         seen.delete(seen.keys().next().value);
-        this._shadowWindow.silenceCensored[feed]++;
+        censored++;
+      }
+      if (censored === 0) continue;
+      for (const w of this._shadowWindows.values()) {
+        if (w.pair.includes(feed)) w.silenceCensored[feed] += censored;
       }
     }
   }
 
   // ==========================================================================
-  // Skuggjämförelsen (🔭 [SHADOW_COMPARE], etapp 2)
+  // Skuggjämförelsen (🔭 [SHADOW_COMPARE], etapp 2 — valfria feedpar)
   // ==========================================================================
 
   /** @private */
-  _resetShadowWindow() {
-    this._shadowWindow = {
-      streamMmsi: new Set(),
-      hubMmsi: new Set(),
-      // fixLag: aisstream-mottagning − AISHub-FIXTID (hur mycket äldre
-      // AISHubs stämpel är). race: aisstream-mottagning − AISHubs
-      // LEVERANSTID (vem som faktiskt kom först till appen).
+  static _pairsKey(pairs) {
+    return pairs.map((p) => p.join('/')).join(',');
+  }
+
+  /**
+   * Nytt fönster för paret [ref, cmp]. Fälten är per feed-id så samma
+   * bokföring gäller för vilket par som helst.
+   * @private
+   */
+  static _newShadowWindow(pair) {
+    return {
+      pair,
+      mmsi: perFeed(pair, () => new Set()),
+      // fixLag: referensens mottagning − den jämfördas FIXTID (hur mycket
+      // äldre den jämfördas stämpel är). race: referensens mottagning − den
+      // jämfördas LEVERANSTID (vem som faktiskt kom först till appen).
       fixLags: [],
       races: [],
       stalePairsDropped: 0,
-      maxSilence: { aisstream: 0, aishub: 0 },
+      maxSilence: perFeed(pair, () => 0),
       // Fynd 13: hur många fartyg som tystnade så länge att lastSeen-posten
       // prunades bort ⇒ deras glapp är OMÄTBART och maxSilence ovan är då
       // bara en NEDRE gräns. Utan detta lästes ett censurerat tak som ett
       // sanningsenligt maxvärde.
-      silenceCensored: { aisstream: 0, aishub: 0 },
-      navstat: { aisstream: {}, aishub: {} },
+      silenceCensored: perFeed(pair, () => 0),
+      navstat: perFeed(pair, () => ({})),
     };
   }
 
+  /** @private */
+  _resetShadowWindows() {
+    this._shadowWindows = new Map(this._shadowPairs.map((pair) => [
+      pair.join('/'), AISSourceMultiplexer._newShadowWindow(pair),
+    ]));
+  }
+
   /**
    * Rutnyckel för positionsindexet (1e-5° ≈ 1,1 m i lat). Heltalsindex i
    * stället för avrundad decimalsträng så grannrutor går att räkna fram.
@@ -641,7 +1113,8 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /**
-   * Hitta MOTPARTENS senaste sampel för praktiskt taget samma position.
+   * Hitta MOTPARTENS senaste sampel för praktiskt taget samma position,
+   * inom parets del av indexet.
    *
    * FYND 16 (A/B-natten 2026-08-03): ett rent uppslag på den avrundade
    * rutnyckeln tappade 15,1 % av de bevisade paren — två avkodningar av
@@ -650,13 +1123,12 @@ class AISSourceMultiplexer extends EventEmitter {
    * @private
    * @returns {object|null} motpartens side-post
    */
-  _findShadowCounterpart(feed, msg) {
+  _findShadowCounterpart(pairKey, other, msg) {
     const cfg = AIS_CONFIG.SHADOW;
-    const other = feed === 'aisstream' ? 'aishub' : 'aisstream';
     let best = null;
     for (let dLat = -1; dLat <= 1; dLat++) {
       for (let dLon = -1; dLon <= 1; dLon++) {
-        const key = AISSourceMultiplexer._gridKey(msg.mmsi, msg.lat, msg.lon, dLat, dLon);
+        const key = `${pairKey}|${AISSourceMultiplexer._gridKey(msg.mmsi, msg.lat, msg.lon, dLat, dLon)}`;
         const entry = this._shadowPosIndex.get(key);
         const side = entry && entry[other];
         if (!side) continue;
@@ -673,7 +1145,7 @@ class AISSourceMultiplexer extends EventEmitter {
   }
 
   /**
-   * Bokför ett par (aisstream-mottagning ↔ AISHub-fix) i fönstret.
+   * Bokför ett par (referensens mottagning ↔ den jämfördas fix) i fönstret.
    *
    * SAMMA FYSISKA RAPPORT, INTE BARA SAMMA KOORDINAT (granskningsrunda 2,
    * 2026-08-03): parningen matchar på POSITION, och en stillaliggande båt
@@ -691,34 +1163,33 @@ class AISSourceMultiplexer extends EventEmitter {
    *      och samma post aldrig kan paras om mot nyare motparter.
    * @private
    */
-  _recordShadowPair(streamSide, hubSide) {
-    const w = this._shadowWindow;
+  _recordShadowPair(w, refSide, cmpSide) {
     const cfg = AIS_CONFIG.SHADOW;
-    const receiptTs = streamSide.deliveryTs;
-    if (!Number.isFinite(receiptTs) || !Number.isFinite(hubSide.fixTs)) return;
+    const receiptTs = refSide.deliveryTs;
+    if (!Number.isFinite(receiptTs) || !Number.isFinite(cmpSide.fixTs)) return;
     // FÄLTPROV 2-FIXEN: godta paret bara när mottagningen och fixen ligger
     // nära varandra i tid. En stillaliggande båt återkommer till samma
     // koordinat var 3:e minut — utan denna grind parades färska fixar mot
     // urgamla mottagningar och 32 % av samplen blev artefakter (medianer på
     // flera minuter, ibland med fel tecken).
-    if (Math.abs(receiptTs - hubSide.fixTs) > cfg.PAIR_MAX_SKEW_MS) {
+    if (Math.abs(receiptTs - cmpSide.fixTs) > cfg.PAIR_MAX_SKEW_MS) {
       w.stalePairsDropped++;
       return;
     }
     if (w.fixLags.length >= cfg.MAX_SAMPLES_PER_WINDOW) return;
-    const fixLag = receiptTs - hubSide.fixTs;
+    const fixLag = receiptTs - cmpSide.fixTs;
     w.fixLags.push(fixLag);
     // RACE = kapplöpning om SAMMA fysiska rapport, och kräver därför ett
     // snävare samma-rapport-bevis än fixLag: dels att leveranserna ligger
-    // inom parningsfönstret, dels att hubbens fixtid ligger inom
-    // PAIR_SAME_REPORT_MS från aisstreams mottagning. Utan det andra villkoret
-    // överlevde 9 av 13 positiva race som artefakter (fixLag 21-62 s = hubbens
-    // post gällde en HELT ANNAN, äldre rapport från samma stillaliggande båt),
-    // medan de äkta låg på fixLag 1,8-2,5 s.
-    if (Number.isFinite(hubSide.deliveryTs)
-      && Math.abs(receiptTs - hubSide.deliveryTs) <= cfg.PAIR_MAX_SKEW_MS
+    // inom parningsfönstret, dels att den jämfördas fixtid ligger inom
+    // PAIR_SAME_REPORT_MS från referensens mottagning. Utan det andra
+    // villkoret överlevde 9 av 13 positiva race som artefakter (fixLag
+    // 21-62 s = hubbens post gällde en HELT ANNAN, äldre rapport från samma
+    // stillaliggande båt), medan de äkta låg på fixLag 1,8-2,5 s.
+    if (Number.isFinite(cmpSide.deliveryTs)
+      && Math.abs(receiptTs - cmpSide.deliveryTs) <= cfg.PAIR_MAX_SKEW_MS
       && Math.abs(fixLag) <= cfg.PAIR_SAME_REPORT_MS) {
-      w.races.push(receiptTs - hubSide.deliveryTs);
+      w.races.push(receiptTs - cmpSide.deliveryTs);
     } else {
       w.stalePairsDropped++;
     }
@@ -726,66 +1197,76 @@ class AISSourceMultiplexer extends EventEmitter {
 
   /** @private */
   _recordShadowSample(feed, msg) {
-    const w = this._shadowWindow;
+    const windows = [...this._shadowWindows.values()].filter((w) => w.pair.includes(feed));
+    if (windows.length === 0) return;
     const now = Date.now();
 
     // Kontinuitetsmätningen (fältprov 2): största tystnadsglapp per källa.
     // Det är den metrik som faktiskt fångar AISHubs värde — täckningen —
     // till skillnad från fixLag som bara mäter stämpelålder.
-    const seen = this._shadowLastSeen[feed];
-    const prevSeen = seen.get(msg.mmsi);
-    if (Number.isFinite(prevSeen)) {
-      const gap = now - prevSeen;
-      if (gap > w.maxSilence[feed]) w.maxSilence[feed] = gap;
+    let seen = this._shadowLastSeen.get(feed);
+    if (!seen) {
+      seen = new Map();
+      this._shadowLastSeen.set(feed, seen);
     }
+    const prevSeen = seen.get(msg.mmsi);
+    const gap = Number.isFinite(prevSeen) ? now - prevSeen : null;
     seen.set(msg.mmsi, now);
 
-    if (feed === 'aisstream') w.streamMmsi.add(msg.mmsi);
-    else w.hubMmsi.add(msg.mmsi);
-
-    // FYND 12 (A/B-natten 2026-08-03): indexet skrevs BARA av aisstream-
-    // grenen, så ett par kunde bara uppstå när aisstream kom FÖRST —
-    // raceMedianMs var negativ i 103 av 103 fönster och mätte i praktiken
-    // pollintervallet, inte kapplöpningen. Mätningen är nu TVÅSIDIG: båda
-    // källorna indexeras och den som kommer SIST parar ihop sig med den
-    // andras post, så en AISHub-först-leverans ger ett POSITIVT race.
-    if (Number.isFinite(msg.lat) && Number.isFinite(msg.lon)) {
-      const side = {
-        deliveryTs: Number.isFinite(msg.timestamp) ? msg.timestamp : now,
-        fixTs: Number.isFinite(msg.fixTs) ? msg.fixTs : null,
-        lat: msg.lat,
-        lon: msg.lon,
-        storedAt: now,
-      };
-      const counterpart = this._findShadowCounterpart(feed, msg);
-      if (counterpart) {
-        if (feed === 'aisstream') this._recordShadowPair(side, counterpart.side);
-        else this._recordShadowPair(counterpart.side, side);
-        // KONSUMERA motparten: en indexerad post får bära EXAKT ett par.
-        // Utan detta parades varje ny upprepning av samma koordinat mot
-        // samma gamla post om och om igen (se _recordShadowPair).
-        delete counterpart.entry[counterpart.other];
-        if (!counterpart.entry.aisstream && !counterpart.entry.aishub) {
-          this._shadowPosIndex.delete(counterpart.key);
+    const nav = msg.navStatus == null ? 'null' : String(msg.navStatus);
+    const hasPos = Number.isFinite(msg.lat) && Number.isFinite(msg.lon);
+    for (const w of windows) {
+      if (gap !== null && gap > w.maxSilence[feed]) w.maxSilence[feed] = gap;
+      w.mmsi[feed].add(msg.mmsi);
+
+      // FYND 12 (A/B-natten 2026-08-03): indexet skrevs BARA av aisstream-
+      // grenen, så ett par kunde bara uppstå när aisstream kom FÖRST —
+      // raceMedianMs var negativ i 103 av 103 fönster och mätte i praktiken
+      // pollintervallet, inte kapplöpningen. Mätningen är nu TVÅSIDIG: båda
+      // sidorna indexeras och den som kommer SIST parar ihop sig med den
+      // andras post, så en leverans där den jämförda kom först ger ett
+      // POSITIVT race.
+      if (hasPos) {
+        const pairKey = w.pair.join('/');
+        const [ref, cmp] = w.pair;
+        const other = feed === ref ? cmp : ref;
+        const side = {
+          deliveryTs: Number.isFinite(msg.timestamp) ? msg.timestamp : now,
+          fixTs: Number.isFinite(msg.fixTs) ? msg.fixTs : null,
+          lat: msg.lat,
+          lon: msg.lon,
+          storedAt: now,
+        };
+        const counterpart = this._findShadowCounterpart(pairKey, other, msg);
+        if (counterpart) {
+          if (feed === ref) this._recordShadowPair(w, side, counterpart.side);
+          else this._recordShadowPair(w, counterpart.side, side);
+          // KONSUMERA motparten: en indexerad post får bära EXAKT ett par.
+          // Utan detta parades varje ny upprepning av samma koordinat mot
+          // samma gamla post om och om igen (se _recordShadowPair).
+          delete counterpart.entry[other];
+          if (!counterpart.entry[ref] && !counterpart.entry[cmp]) {
+            this._shadowPosIndex.delete(counterpart.key);
+          }
         }
+        const key = `${pairKey}|${AISSourceMultiplexer._gridKey(msg.mmsi, msg.lat, msg.lon)}`;
+        const entry = this._shadowPosIndex.get(key) || {};
+        entry[feed] = side;
+        entry.storedAt = now;
+        this._shadowPosIndex.set(key, entry);
       }
-      const key = AISSourceMultiplexer._gridKey(msg.mmsi, msg.lat, msg.lon);
-      const entry = this._shadowPosIndex.get(key) || {};
-      entry[feed] = side;
-      entry.storedAt = now;
-      this._shadowPosIndex.set(key, entry);
-    }
 
-    const nav = msg.navStatus == null ? 'null' : String(msg.navStatus);
-    w.navstat[feed][nav] = (w.navstat[feed][nav] || 0) + 1;
+      w.navstat[feed][nav] = (w.navstat[feed][nav] || 0) + 1;
+    }
   }
 
   /** @private */
-  _startShadowTimer() {
+  _startShadowTimer(pairs) {
     if (this._shadowTimer) return;
-    this._resetShadowWindow();
+    this._shadowPairs = pairs;
+    this._resetShadowWindows();
     this._shadowTimer = setInterval(() => this._emitShadowCompare(), 5 * 60 * 1000);
-    this.logger.log('🔭 [AIS_MUX] Skuggjämförelse aktiv — rapport var 5:e minut');
+    this.logger.log(`🔭 [AIS_MUX] Skuggjämförelse aktiv (${AISSourceMultiplexer._pairsKey(pairs)}) — rapport var 5:e minut`);
   }
 
   /** @private */
@@ -795,10 +1276,11 @@ class AISSourceMultiplexer extends EventEmitter {
     this._shadowTimer = null;
     // Slutspolning (fältprov 2): utan detta gick det påbörjade fönstrets
     // mätdata förlorad vid varje lägesbyte/nedstängning.
-    if (this._shadowWindow
-        && (this._shadowWindow.streamMmsi.size > 0 || this._shadowWindow.hubMmsi.size > 0)) {
-      this._emitShadowCompare(true);
-    }
+    const hasData = [...this._shadowWindows.values()]
+      .some((w) => w.pair.some((f) => w.mmsi[f].size > 0));
+    if (hasData) this._emitShadowCompare(true);
+    this._shadowPairs = [];
+    this._shadowWindows = new Map();
   }
 
   /**
@@ -821,11 +1303,41 @@ class AISSourceMultiplexer extends EventEmitter {
 
   /** @private */
   _emitShadowCompare(isFinal = false) {
-    const w = this._shadowWindow;
+    for (const w of this._shadowWindows.values()) this._emitShadowPair(w, isFinal);
+    // GO-kriteriernas råvärden (fältprov 2: de fanns i getConnectionStats()
+    // men skrevs aldrig till loggen — kriterium 2/3/4 gick inte att avgöra).
+    if (this._hubClient && typeof this._hubClient.getConnectionStats === 'function') {
+      const s = this._hubClient.getConnectionStats();
+      const c = s.counters || {};
+      const emptyPct = c.polls > 0 ? ((c.emptyResponses / c.polls) * 100).toFixed(2) : '-';
+      this.logger.log(
+        `📊 [AISHUB_HEALTH] polls=${c.polls} emptyResponses=${c.emptyResponses} (${emptyPct}%) `
+        + `timeParseFail=${c.timeParseFail} errorRecords=${c.errorRecords} netErrors=${c.netErrors} `
+        + `authFail=${c.authFail} formatMismatch=${c.formatMismatch} parseErrors=${c.parseErrors} `
+        + `emptySweeps=${c.emptySweeps} sentinelPos=${c.sentinelPos} invalidMmsi=${c.invalidMmsi} `
+        + `accepted=${c.accepted} dedupSize=${s.dedupSize} backoffMs=${s.backoffMs} `
+        // V6: en auth-pausad källa ser annars EXAKT ut som en tyst kanal
+        // (räknarna står still, backoffMs=0) — läget måste stå i klartext.
+        + `authCooldownMinLeft=${Math.round((s.authCooldownMsLeft || 0) / 60000)}`,
+      );
+    }
+    this._emitFusionHealth();
+    this._resetShadowWindows();
+  }
+
+  /**
+   * En 🔭 [SHADOW_COMPARE]-rad för ett par. Fältnamn och förklaringar
+   * byggs ur feed-id:na, så aisstream/AISHub-raden är oförändrad.
+   * @private
+   */
+  _emitShadowPair(w, isFinal) {
     const cfg = AIS_CONFIG.SHADOW;
-    const both = [...w.streamMmsi].filter((m) => w.hubMmsi.has(m));
-    const onlyStream = [...w.streamMmsi].filter((m) => !w.hubMmsi.has(m));
-    const onlyHub = [...w.hubMmsi].filter((m) => !w.streamMmsi.has(m));
+    const [ref, cmp] = w.pair;
+    const cap = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+    const label = (id) => FEED_LABELS[id] || id;
+    const both = [...w.mmsi[ref]].filter((m) => w.mmsi[cmp].has(m));
+    const onlyRef = [...w.mmsi[ref]].filter((m) => !w.mmsi[cmp].has(m));
+    const onlyCmp = [...w.mmsi[cmp]].filter((m) => !w.mmsi[ref].has(m));
 
     const lags = [...w.fixLags].sort((a, b) => a - b);
     const races = [...w.races].sort((a, b) => a - b);
@@ -838,48 +1350,29 @@ class AISSourceMultiplexer extends EventEmitter {
     const fmt = (v) => (v === null ? '-' : v);
 
     this.logger.log(
-      `🔭 [SHADOW_COMPARE]${isFinal ? ' (slutspolning)' : ''} window=5min `
-      + `onlyAisstream=${onlyStream.length} onlyAishub=${onlyHub.length} both=${both.length} `
+      `🔭 [SHADOW_COMPARE]${isFinal ? ' (slutspolning)' : ''} window=5min pair=${ref}/${cmp} `
+      + `only${cap(ref)}=${onlyRef.length} only${cap(cmp)}=${onlyCmp.length} both=${both.length} `
       + `samples=${n} stalePairsDropped=${w.stalePairsDropped} `
       // TECKENFÖRKLARINGEN RÄTTAD (fältprov 2): koden räknar
-      // aisstream-mottagning MINUS AISHub-fixtid, så ett POSITIVT värde
-      // betyder att AISHubs stämpel är ÄLDRE. Den gamla texten påstod
-      // motsatsen och hade lett till fel GO-beslut.
+      // referensens mottagning MINUS den jämfördas fixtid, så ett POSITIVT
+      // värde betyder att den jämfördas stämpel är ÄLDRE. Den gamla texten
+      // påstod motsatsen och hade lett till fel GO-beslut.
       + `fixLagMedianMs=${fmt(med(lags))} fixLagP90Ms=${fmt(p90(lags))} `
-      + '(positivt = AISHubs fixstämpel är ÄLDRE än aisstreams mottagning) '
+      + `(positivt = ${label(cmp)}s fixstämpel är ÄLDRE än ${label(ref)}s mottagning) `
       + `raceMedianMs=${fmt(med(races))} raceP90Ms=${fmt(p90(races))} `
-      + '(positivt = AISHub levererade till appen FÖRE aisstream) '
+      + `(positivt = ${label(cmp)} levererade till appen FÖRE ${label(ref)}) `
       // Fynd 13: maxSilence är en NEDRE gräns när poster hunnit prunas —
       // silenceCensored* > 0 betyder att verkliga glapp översteg
       // LAST_SEEN_TTL_MS och alltså aldrig kunde mätas.
-      + `maxSilenceAisstreamMs=${w.maxSilence.aisstream} maxSilenceAishubMs=${w.maxSilence.aishub} `
-      + `silenceCensoredAisstream=${w.silenceCensored.aisstream} `
-      + `silenceCensoredAishub=${w.silenceCensored.aishub} `
-      + `navstatAisstream=${JSON.stringify(w.navstat.aisstream)} `
-      + `navstatAishub=${JSON.stringify(w.navstat.aishub)}`,
+      + `maxSilence${cap(ref)}Ms=${w.maxSilence[ref]} maxSilence${cap(cmp)}Ms=${w.maxSilence[cmp]} `
+      + `silenceCensored${cap(ref)}=${w.silenceCensored[ref]} `
+      + `silenceCensored${cap(cmp)}=${w.silenceCensored[cmp]} `
+      + `navstat${cap(ref)}=${JSON.stringify(w.navstat[ref])} `
+      + `navstat${cap(cmp)}=${JSON.stringify(w.navstat[cmp])}`,
     );
-    if (onlyHub.length > 0) {
-      this.logger.log(`🔭 [SHADOW_COMPARE] AISHub-exklusiva MMSI i fönstret: ${onlyHub.join(', ')}`);
+    if (onlyCmp.length > 0) {
+      this.logger.log(`🔭 [SHADOW_COMPARE] ${label(cmp)}-exklusiva MMSI i fönstret: ${onlyCmp.join(', ')}`);
     }
-    // GO-kriteriernas råvärden (fältprov 2: de fanns i getConnectionStats()
-    // men skrevs aldrig till loggen — kriterium 2/3/4 gick inte att avgöra).
-    if (this._hubClient && typeof this._hubClient.getConnectionStats === 'function') {
-      const s = this._hubClient.getConnectionStats();
-      const c = s.counters || {};
-      const emptyPct = c.polls > 0 ? ((c.emptyResponses / c.polls) * 100).toFixed(2) : '-';
-      this.logger.log(
-        `📊 [AISHUB_HEALTH] polls=${c.polls} emptyResponses=${c.emptyResponses} (${emptyPct}%) `
-        + `timeParseFail=${c.timeParseFail} errorRecords=${c.errorRecords} netErrors=${c.netErrors} `
-        + `authFail=${c.authFail} formatMismatch=${c.formatMismatch} parseErrors=${c.parseErrors} `
-        + `emptySweeps=${c.emptySweeps} sentinelPos=${c.sentinelPos} invalidMmsi=${c.invalidMmsi} `
-        + `accepted=${c.accepted} dedupSize=${s.dedupSize} backoffMs=${s.backoffMs} `
-        // V6: en auth-pausad källa ser annars EXAKT ut som en tyst kanal
-        // (räknarna står still, backoffMs=0) — läget måste stå i klartext.
-        + `authCooldownMinLeft=${Math.round((s.authCooldownMsLeft || 0) / 60000)}`,
-      );
-    }
-    this._emitFusionHealth();
-    this._resetShadowWindow();
   }
 
   /**
@@ -904,10 +1397,12 @@ class AISSourceMultiplexer extends EventEmitter {
    * (en fix kan inte postdatera sin egen leverans) och hubOffset visar hur
    * mycket F6b kompenserar. Går klockan åt andra hållet syns det som en
    * onormalt STOR hubLagMin ihop med stigande stale_cross_fix (svält).
+   * Varje annan feed med främmande klocka (en JSON-källa deklarerad
+   * 'true-fix') får ett eget klocksegment med samma fält.
    * @private
    */
   _emitFusionHealth() {
-    if (this._config.source !== 'both') return; // fusion körs bara i 'both'
+    if (!this._fusionActive()) return;
     const s = this._fusionStats;
     const prev = this._fusionStatsAtLastReport
       || {
@@ -922,19 +1417,27 @@ class AISSourceMultiplexer extends EventEmitter {
     }
     const total = dAccepted + dRejected;
     const acceptPct = total > 0 ? ((dAccepted / total) * 100).toFixed(1) : '-';
-    const clk = this._fusionClock || { hubLags: [], hubOffsetMs: 0, hubAheadSamples: 0 };
-    // pushClockSample skriver {v, at} — inte {lag} (rättat 2026-08-03: fälten
-    // renderades annars alltid som '-', och det är exakt den skevdiagnostik
-    // raden finns för).
-    const lags = clk.hubLags.map((x) => x.v).sort((a, b) => a - b);
-    const lagMin = lags.length ? lags[0] : null;
-    const lagMed = lags.length ? lags[Math.floor(lags.length / 2)] : null;
+    const clockFeeds = this._feedRegistry().feeds
+      .filter((f) => f.timestampQuality === 'true-fix')
+      .map((f) => f.id);
+    if (clockFeeds.length === 0) clockFeeds.push('aishub');
+    const clockSegments = clockFeeds.map((id) => {
+      const clk = this._clocks.get(id) || { hubLags: [], hubOffsetMs: 0, hubAheadSamples: 0 };
+      // pushClockSample skriver {v, at} — inte {lag} (rättat 2026-08-03:
+      // fälten renderades annars alltid som '-', och det är exakt den
+      // skevdiagnostik raden finns för).
+      const lags = clk.hubLags.map((x) => x.v).sort((a, b) => a - b);
+      const lagMin = lags.length ? lags[0] : null;
+      const lagMed = lags.length ? lags[Math.floor(lags.length / 2)] : null;
+      const p = id === 'aishub' ? 'hub' : id;
+      return `| klocka${id === 'aishub' ? '' : ` ${id}`}: ${p}LagMinMs=${lagMin ?? '-'} ${p}LagMedianMs=${lagMed ?? '-'} `
+        + `${p}OffsetMs=${clk.hubOffsetMs} ${p}AheadSamples=${clk.hubAheadSamples} `
+        + `(${p}LagMin < 0 ⇒ ${FEED_LABELS[id] || id}-klockan går FÖRE Homeys — F6b kompenserar) `;
+    });
     this.logger.log(
       `📊 [FUSION_HEALTH] fönster: accepted=${dAccepted} rejected=${dRejected} (accept ${acceptPct}%) `
       + `byReason=${JSON.stringify(dByReason)} feedSwitches=${s.feedSwitches - prev.feedSwitches} `
-      + `| klocka: hubLagMinMs=${lagMin ?? '-'} hubLagMedianMs=${lagMed ?? '-'} `
-      + `hubOffsetMs=${clk.hubOffsetMs} hubAheadSamples=${clk.hubAheadSamples} `
-      + '(hubLagMin < 0 ⇒ AISHub-klockan går FÖRE Homeys — F6b kompenserar) '
+      + `${clockSegments.join('')}`
       + `| totalt: accepted=${s.accepted} rejected=${s.rejected} `
       + `byReason=${JSON.stringify(s.byReason)} feedSwitches=${s.feedSwitches} `
       + `stateSize=${this._fusionStates.size}`,
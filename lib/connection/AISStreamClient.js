@@ -3,6 +3,7 @@
 const EventEmitter = require('events');
 const WebSocket = require('ws');
 const { AIS_CONFIG, MAX_RECONNECT_ATTEMPTS, MAX_RECONNECT_DELAY } = require('../constants');
+const { normalizeStaticData } = require('../utils/staticData');
 
 /**
  * AISStreamClient - Handles WebSocket connection to AISstream.io
@@ -244,7 +245,7 @@ class AISStreamClient extends EventEmitter {
     // ChatGPT-granskningen 2026-07-10 (F1): prenumerationen läser nu
     // constants.AIS_CONFIG.BOUNDING_BOX (SSOT) i stället för en hårdkodad
     // kopia med sydgräns 58.2681. Den gamla gränsen låg ~315 m NORR om
-    // VesselLifecycleManagers KANALINFARTEN_EXIT_LAT (58.2653), vilket
+    // VesselLifecycleManagers södra utträdesgräns (58.2653), vilket
     // gjorde sydgående journey-completion-grenen onåbar via livedata —
     // sydresor avslutades alltid via timeout-vägen. Med SOUTH=58.26 får
     // exit-grenen data och Kanalinfarten-zonen full täckning söderut.
@@ -403,6 +404,28 @@ class AISStreamClient extends EventEmitter {
         if (staticMmsi && staticName && staticName !== 'Unknown') {
           this.emit('static-name', { mmsi: staticMmsi.toString(), shipName: staticName });
         }
+        // Statiska uppgifter (typ, mått, djupgående, destination, anrops-
+        // signal, IMO): typ 5 bär dem i kroppen, typ 24 i ReportB (del A är
+        // bara namnet). Valid === false avvisas som på positionsvägen.
+        const staticSource = staticBody.ReportB && staticBody.ReportB.Valid !== false
+          ? staticBody.ReportB
+          : staticBody;
+        const staticData = staticMmsi ? normalizeStaticData({
+          shipType: staticSource.Type ?? staticSource.ShipType,
+          dimensions: staticSource.Dimension ? {
+            toBow: staticSource.Dimension.A,
+            toStern: staticSource.Dimension.B,
+            toPort: staticSource.Dimension.C,
+            toStarboard: staticSource.Dimension.D,
+          } : null,
+          draught: staticSource.MaximumStaticDraught,
+          destination: staticSource.Destination,
+          callSign: staticSource.CallSign,
+          imo: staticSource.ImoNumber,
+        }) : null;
+        if (staticData) {
+          this.emit('static-data', { mmsi: staticMmsi.toString(), staticData });
+        }
         return;
       }
 
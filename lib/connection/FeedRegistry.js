@@ -0,0 +1,154 @@
+'use strict';
+
+const { AIS_CONFIG } = require('../constants');
+
+/**
+ * FeedRegistry - Ren, tillståndslös härledning av VILKA feeds muxen har och
+ * HUR var och en får behandlas, ur den effektiva källkonfigurationen.
+ * AISSourceMultiplexer frågar registret i stället för att hårdkoda
+ * aisstream mot AISHub; FixFusionPolicy.derivePairPolicy gör om två
+ * deklarationer till fusionsregler för paret.
+ *
+ * DEKLARATIONEN (en per feed):
+ *   id               'aisstream' | 'aishub' | 'nmea' | 'json'
+ *   priority         lägre = föredras (AIS_CONFIG.FEEDS.KINDS)
+ *   timestampQuality 'receipt' (Homeys klocka) | 'true-fix' (avsändarens)
+ *   cadenceMs        pollintervall, null för push/mottagning
+ *   trust            'primary' | 'secondary' | 'shadow'
+ *   live             feeden kan leverera med nuvarande credentials
+ *                    (aisstream utan nyckel är deklarerad men inte live)
+ *
+ * FÖRTROENDET:
+ *   primary    matar pipelinen; F6-grinden berör den ALDRIG — den källan
+ *              får inte kunna svältas av en annan källas klocka.
+ *   secondary  matar pipelinen bakom F6: en släpande fix får aldrig flytta
+ *              ett fartyg bakåt. Standard för varje 'true-fix'-feed.
+ *   shadow     jämförs bara (SHADOW_COMPARE); når aldrig pipelinen,
+ *              namncachen eller anslutningsaggregatet.
+ *
+ * LÄGENA: ais_source slås upp i AIS_CONFIG.FEEDS.MODES. De lokala
+ * mottagarna läggs till ovanpå läget när de är konfigurerade; i
+ * 'simulation' deklareras i stället korpusens inspelade feeds med sina
+ * standardvärden. Fusion gäller när läget kräver det eller när minst två
+ * levande feeds matar pipelinen — beslutat på KONFIGURATIONEN, aldrig på
+ * barnens anslutningsläge.
+ */
+
+const FEED_IDS = Object.keys(AIS_CONFIG.FEEDS.KINDS);
+
+/**
+ * Standardförtroendet följer tidskvaliteten: en främmande klocka matar
+ * pipelinen bakom F6, Homeys egen klocka gör det fritt.
+ * @private
+ */
+function defaultTrust(timestampQuality) {
+  return timestampQuality === 'true-fix' ? 'secondary' : 'primary';
+}
+
+/**
+ * En deklaration: feedtypens standardvärden + överlagringar.
+ * @param {string} id - feed-id i AIS_CONFIG.FEEDS.KINDS
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function declare(id, overrides = {}) {
+  const kind = AIS_CONFIG.FEEDS.KINDS[id];
+  const decl = {
+    id,
+    priority: kind.priority,
+    timestampQuality: kind.timestampQuality,
+    cadenceMs: kind.cadenceMs,
+    trust: null,
+    live: true,
+    ...overrides,
+  };
+  if (!decl.trust) decl.trust = defaultTrust(decl.timestampQuality);
+  return decl;
+}
+
+/**
+ * Skuggpar ur inställningen ('nmea:aisstream, json:aishub') eller en lista
+ * av par. Första id:t är REFERENSEN (vars mottagning mäts), det andra den
+ * jämförda feeden. Tomt ⇒ []; något ogiltigt par ⇒ null (hellre avvisat än
+ * tyst halvt tolkat).
+ * @param {string|Array<string[]>|null} raw
+ * @returns {Array<string[]>|null}
+ */
+function parseShadowPairs(raw) {
+  if (raw == null) return [];
+  let list = raw;
+  if (typeof raw === 'string') {
+    const text = raw.trim();
+    if (!text) return [];
+    list = text.split(/[\s,;]+/).filter(Boolean).map((token) => token.split(':'));
+  }
+  if (!Array.isArray(list)) return null;
+  const pairs = [];
+  for (const pair of list) {
+    if (!Array.isArray(pair) || pair.length !== 2) return null;
+    const [ref, cmp] = pair.map((id) => String(id).trim().toLowerCase());
+    if (!FEED_IDS.includes(ref) || !FEED_IDS.includes(cmp) || ref === cmp) return null;
+    if (!pairs.some(([a, b]) => a === ref && b === cmp)) pairs.push([ref, cmp]);
+  }
+  return pairs;
+}
+
+/**
+ * Registret för en effektiv muxkonfiguration (AISSourceMultiplexer._config).
+ * @param {{source: string, apiKey?: string|null, nmeaEndpoint?: string|null,
+ *          jsonFeed?: {intervalMs: number, timeQuality: string}|null,
+ *          simulation?: {feeds: string[]}|null,
+ *          shadowPairs?: Array<string[]>|null}} config
+ * @returns {{feeds: object[], fusion: boolean, shadowPairs: Array<string[]>}}
+ *          feeds sorterade på priority
+ */
+function resolveFeeds(config) {
+  const feeds = [];
+  let modeFusion = false;
+  let modePairs = [];
+  if (config.source === 'simulation' && config.simulation) {
+    // Korpusen ÄR källorna: inspelade feeds med standarddeklarationer (den
+    // inspelade JSON-källan bär mottagningstid — ReplayFeedClient stämplar
+    // alla utom AISHub som 'receipt').
+    for (const id of config.simulation.feeds || []) {
+      if (FEED_IDS.includes(id)) feeds.push(declare(id));
+    }
+  } else {
+    const mode = AIS_CONFIG.FEEDS.MODES[config.source] || AIS_CONFIG.FEEDS.MODES.aisstream;
+    for (const [id, trust] of Object.entries(mode.feeds)) {
+      feeds.push(declare(id, { trust, live: id !== 'aisstream' || !!config.apiKey }));
+    }
+    if (config.nmeaEndpoint) feeds.push(declare('nmea'));
+    if (config.jsonFeed) {
+      feeds.push(declare('json', {
+        timestampQuality: config.jsonFeed.timeQuality === 'true-fix' ? 'true-fix' : 'receipt',
+        cadenceMs: config.jsonFeed.intervalMs,
+      }));
+    }
+    modeFusion = mode.fusion === true;
+    modePairs = mode.shadowPairs;
+  }
+  feeds.sort((a, b) => a.priority - b.priority);
+
+  const declared = (id) => feeds.some((f) => f.id === id);
+  const shadowPairs = [];
+  for (const [ref, cmp] of [...modePairs, ...(config.shadowPairs || [])]) {
+    if (!declared(ref) || !declared(cmp)) continue;
+    if (shadowPairs.some(([a, b]) => a === ref && b === cmp)) continue;
+    shadowPairs.push([ref, cmp]);
+  }
+
+  const pipelineLive = feeds.filter((f) => f.trust !== 'shadow' && f.live).length;
+  return {
+    feeds,
+    fusion: modeFusion || pipelineLive > 1,
+    shadowPairs,
+  };
+}
+
+module.exports = {
+  FEED_IDS,
+  declare,
+  parseShadowPairs,
+  resolveFeeds,
+};
@@ -50,6 +50,25 @@ const geometry = require('../utils/geometry');
  *       fixTs lyfts in i Homeys klockdomän innan F6 jämför. Se
  *       observeClock() — mekanismen är en NO-OP när klockorna går rätt
  *       och kan bara göra grinden STRÄNGARE, aldrig mer tillåtande.
+ *
+ * LOKAL MOTTAGARE ('nmea'): stämplas vid mottagning i Homeys egen klocka
+ * (fixTsQuality 'receipt') och behandlas därför EXAKT som aisstream — F1
+ * passerar den, F6/F6b berör den aldrig. Det är F2 som gör jobbet: samma
+ * fysiska rapport når oss först via antennen och sekunder senare via
+ * aisstream, och den andra leveransen har identiskt innehåll.
+ *
+ * JSON-MOTTAGAREN ('json', t.ex. AIS-catcher över HTTP) följer sin
+ * DEKLARERADE tidskvalitet: 'receipt' ⇒ exakt som NMEA; 'true-fix' ⇒ som
+ * AISHub — F1, F6 och en EGEN F6b-klocka. Deklarationen kommer från
+ * konfigurationen via muxen, aldrig från nyttolasten.
+ *
+ * PARPOLICYN (källregistret): muxen skickar inte längre källnamn att
+ * jämföra mot utan en policy per (inkommande, referens)-par, härledd ur
+ * feedernas deklarationer (FeedRegistry) av derivePairPolicy(). Reglerna
+ * ovan är oförändrade — det är VILKA källor de gäller som numera följer av
+ * tidskvalitet och förtroende i stället för av namnet 'aishub'. Direkt-
+ * anropare utan policy får den historiska namnbaserade tolkningen
+ * (legacyPolicy), så enhetstesternas kontrakt står kvar.
  */
 
 /**
@@ -58,7 +77,9 @@ const geometry = require('../utils/geometry');
  */
 function createState() {
   return {
-    lastFixTs: { aisstream: null, aishub: null },
+    lastFixTs: {
+      aisstream: null, aishub: null, nmea: null, json: null,
+    },
     lastContent: null, // { scalarKey, lat, lon, ts, feed, fixTs }
     lastFeed: null,
     lastLat: null,
@@ -71,8 +92,8 @@ function createState() {
 }
 
 /**
- * F6b: nytt tomt KLOCKSTATE (globalt, en per mux — AISHub är EN server med EN
- * klocka, så offseten är inte per fartyg).
+ * F6b: nytt tomt KLOCKSTATE (globalt, en per mux och pollad källa — AISHub är
+ * EN server med EN klocka, så offseten är inte per fartyg).
  * @returns {object}
  */
 function createClockState() {
@@ -197,22 +218,30 @@ function contentMatches(prev, msg, cfg) {
  * @param {object} clock - klockstate från createClockState()
  * @param {object|null} state - per-MMSI-state (för korskällebeviset)
  * @param {object} msg - meddelandet (rå fixTs, position, sog, cog)
- * @param {string} feed - RUTAD källa ('aisstream' | 'aishub')
+ * @param {string} feed - RUTAD källa ('aisstream' | 'aishub' | …)
  * @param {number} now - Date.now() hos anroparen
  * @param {object} cfg - AIS_CONFIG.FUSION
+ * @param {object} [policy] - parpolicyn från derivePairPolicy(): foreignClock
+ *        (källan bär äkta fixtider i en FRÄMMANDE klocka — muxen håller ett
+ *        klockstate per sådan källa) och clockEvidence (referensen bär
+ *        Homeys mottagningstid ⇒ bevis B gäller). Utan policy: AISHub mot
+ *        aisstream, som historiskt.
  */
-function observeClock(clock, state, msg, feed, now, cfg) {
-  if (!clock || feed !== 'aishub' || !msg || !Number.isFinite(msg.fixTs)) return;
+function observeClock(clock, state, msg, feed, now, cfg, policy) {
+  const gated = policy ? policy.foreignClock : feed === 'aishub';
+  if (!clock || !gated || !msg || !Number.isFinite(msg.fixTs)) return;
   const lag = now - msg.fixTs;
   if (lag < 0) clock.hubAheadSamples++;
   pushClockSample(clock.hubLags, lag, now, cfg); // bevis A
 
-  // Bevis B: MEDVETET bara riktningen aisstream→aishub. lastContent.fixTs är
-  // då aisstreams RÅA mottagningsstämpel; i den omvända riktningen hade den
-  // varit en REDAN KORRIGERAD hub-stämpel och skattningen blivit cirkulär
-  // (offseten hade dragit sig själv mot noll).
-  if (state && state.lastContent
-      && state.lastContent.feed === 'aisstream'
+  // Bevis B: MEDVETET bara riktningen receipt→true-fix (aisstream→aishub).
+  // lastContent.fixTs är då referensens RÅA mottagningsstämpel; i den
+  // omvända riktningen hade den varit en REDAN KORRIGERAD främmande stämpel
+  // och skattningen blivit cirkulär (offseten hade dragit sig själv mot noll).
+  const evidence = policy
+    ? policy.clockEvidence
+    : !!(state && state.lastContent && state.lastContent.feed === 'aisstream');
+  if (evidence && state && state.lastContent
       && Number.isFinite(state.lastContent.fixTs)
       && contentMatches(state.lastContent, msg, cfg)) {
     pushClockSample(clock.pairLags, state.lastContent.fixTs - msg.fixTs, now, cfg);
@@ -231,6 +260,61 @@ function observeClock(clock, state, msg, feed, now, cfg) {
   clock.hubOffsetMs = Math.min(0, bound);
 }
 
+/**
+ * Parpolicyn: vilka av F1-F6b som gäller för en INKOMMANDE feed mot
+ * fartygets senast accepterade feed (referensen), härlett ur feedernas
+ * deklarationer (FeedRegistry). Asymmetrin följer av deklarationerna, inte
+ * av källnamnen — aisstream (receipt/primary) mot AISHub (true-fix/
+ * secondary) ger exakt de historiska reglerna.
+ *
+ *   monotonic          F1 — inkommande bär äkta fixtider ('true-fix')
+ *   crossFeedDedup     F2 — referensen är en ANNAN feed
+ *   staleGate          F6 — inkommande är 'secondary'
+ *   foreignClock       F6b — inkommande har en främmande klocka (eget
+ *                      klockstate, offseten appliceras)
+ *   clockEvidence      F6b bevis B — referensen bär Homeys mottagningstid
+ *   feedSwitchWindowMs F5 — minst FEED_SWITCH_WINDOW_MS, och alltid en hel
+ *                      cykel av parets långsammaste kadens plus marginal
+ *
+ * @param {object} incoming - den routade källans deklaration
+ * @param {object|null} reference - deklarationen för state.lastFeed
+ * @param {object} cfg - AIS_CONFIG.FUSION
+ * @returns {object} policy
+ */
+function derivePairPolicy(incoming, reference, cfg) {
+  const trueFix = incoming.timestampQuality === 'true-fix';
+  const other = !!reference && reference.id !== incoming.id;
+  const cadences = [incoming.cadenceMs, reference ? reference.cadenceMs : null]
+    .filter((v) => Number.isFinite(v));
+  return {
+    monotonic: trueFix,
+    crossFeedDedup: other,
+    staleGate: incoming.trust === 'secondary',
+    foreignClock: trueFix,
+    clockEvidence: trueFix && other && reference.timestampQuality === 'receipt',
+    feedSwitchWindowMs: cadences.length
+      ? Math.max(cfg.FEED_SWITCH_WINDOW_MS, Math.max(...cadences) + (cfg.FEED_SWITCH_CADENCE_MARGIN_MS ?? 0))
+      : cfg.FEED_SWITCH_WINDOW_MS,
+  };
+}
+
+/**
+ * Den historiska, namnbaserade tolkningen för anropare utan parpolicy:
+ * F1 på meddelandets fixTsQuality, F6/F6b enbart för 'aishub'.
+ * @private
+ */
+function legacyPolicy(state, msg, feed, cfg) {
+  const hub = feed === 'aishub';
+  return {
+    monotonic: msg.fixTsQuality === 'true-fix',
+    crossFeedDedup: !!state.lastContent && state.lastContent.feed !== feed,
+    staleGate: hub,
+    foreignClock: hub,
+    clockEvidence: hub && !!state.lastContent && state.lastContent.feed === 'aisstream',
+    feedSwitchWindowMs: cfg.FEED_SWITCH_WINDOW_MS,
+  };
+}
+
 /**
  * F1-F6: ska fixen accepteras in i pipelinen?
  *
@@ -246,14 +330,19 @@ function observeClock(clock, state, msg, feed, now, cfg) {
  * @param {object} msg - Normaliserat AIS-meddelande
  * @param {number} now - Date.now() hos anroparen
  * @param {object} cfg - AIS_CONFIG.FUSION
- * @param {{feed?: string, hubOffsetMs?: number}} [ctx] - routad källa + F6b-offset
+ * @param {{feed?: string, hubOffsetMs?: number, policy?: object}} [ctx] -
+ *        routad källa, den källans F6b-offset och parpolicyn mot fartygets
+ *        senast accepterade källa (derivePairPolicy); utan policy gäller
+ *        legacyPolicy()
  * @returns {{accept: boolean, reason?: string, fixTs?: number, feedSwitch?: boolean}}
  */
 function shouldAccept(state, msg, now, cfg, ctx) {
   const feed = (ctx && ctx.feed) || msg.fixFeed;
-  // F6b: korrigeringen gäller ENBART den pollande källan (aisstreams stämpel
-  // ÄR Homeys klocka och kan per definition inte ligga fel mot sig själv).
-  const offsetMs = (feed === 'aishub' && ctx && Number.isFinite(ctx.hubOffsetMs))
+  const policy = (ctx && ctx.policy) || legacyPolicy(state, msg, feed, cfg);
+  // F6b: korrigeringen gäller ENBART källor med främmande klocka (aisstreams
+  // stämpel ÄR Homeys klocka och kan per definition inte ligga fel mot sig
+  // själv).
+  const offsetMs = (policy.foreignClock && ctx && Number.isFinite(ctx.hubOffsetMs))
     ? ctx.hubOffsetMs : 0;
   const fixTs = normalizeFixTs(msg, now, cfg, offsetMs);
 
@@ -267,7 +356,7 @@ function shouldAccept(state, msg, now, cfg, ctx) {
   // inga re-leveranser att fånga: två äkta meddelanden kan dela millisekund
   // och ett NTP-bakhopp får ALDRIG tysta källan tills klockan hunnit ikapp
   // — aisstream genom both-läget måste bete sig exakt som i pass-through.
-  if (msg.fixTsQuality === 'true-fix') {
+  if (policy.monotonic) {
     const prev = state.lastFixTs[feed];
     if (prev != null && fixTs <= prev) {
       return { accept: false, reason: 'stale_or_duplicate_fix' };
@@ -282,8 +371,8 @@ function shouldAccept(state, msg, now, cfg, ctx) {
   // re-leverans av SAMMA fysiska rapport (oavsett hur gammal accepten är)
   // och får aldrig refresha fartygets livstecken. En äkta ny rapport med
   // samma position bär nytt fixTs utanför toleransen och accepteras.
-  if (state.lastContent
-      && state.lastContent.feed !== feed
+  if (policy.crossFeedDedup
+      && state.lastContent
       && contentMatches(state.lastContent, msg, cfg)) {
     const withinAcceptWindow = now - state.lastContent.ts < cfg.CROSS_FEED_DEDUP_MS;
     const isEcho = Number.isFinite(state.lastContent.fixTs)
@@ -319,11 +408,14 @@ function shouldAccept(state, msg, now, cfg, ctx) {
   // lita på. Går klockan åt andra hållet (hubben EFTER) blir grinden
   // strängare ⇒ värsta utfall är dagens enkälle-beteende.
   //
-  // Grinden är en EXPLICIT VITLISTA på den pollande källan, inte "allt utom
-  // aisstream". Källan tas numera från ROUTINGEN (ctx.feed), så ett tappat
-  // fixFeed-fält kan inte längre avväpna den tyst; en framtida tredje källa
-  // måste läggas till här medvetet.
-  if (feed === 'aishub') {
+  // Grinden är en EXPLICIT DEKLARATION, inte "allt utom aisstream": den
+  // gäller källor med förtroendet 'secondary' (FeedRegistry — standard för
+  // varje 'true-fix'-källa, dvs. AISHub och en JSON-mottagare deklarerad
+  // 'true-fix'). Källan tas från ROUTINGEN och deklarationen från
+  // konfigurationen, så ett tappat fixFeed-fält kan inte avväpna den tyst.
+  // Den lokala NMEA-mottagaren är MEDVETET utanför: den bär receipt-
+  // stämplar i Homeys domän, precis som aisstream.
+  if (policy.staleGate) {
     if (msg.clockSkew === true) {
       return { accept: false, reason: 'hub_clock_skew' };
     }
@@ -337,7 +429,7 @@ function shouldAccept(state, msg, now, cfg, ctx) {
   if (state.lastFeed && state.lastFeed !== feed
       && Number.isFinite(state.lastLat) && Number.isFinite(state.lastLon)
       && state.lastAcceptedTs !== null
-      && now - state.lastAcceptedTs < cfg.FEED_SWITCH_WINDOW_MS) {
+      && now - state.lastAcceptedTs < policy.feedSwitchWindowMs) {
     const dist = geometry.calculateDistance(msg.lat, msg.lon, state.lastLat, state.lastLon);
     if (Number.isFinite(dist) && dist > cfg.FEED_SWITCH_DIST_M) {
       feedSwitch = true;
@@ -416,6 +508,7 @@ module.exports = {
   createState,
   createClockState,
   observeClock,
+  derivePairPolicy,
   normalizeFixTs,
   shouldAccept,
   applyAccept,
@@ -0,0 +1,506 @@
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { AIS_CONFIG } = require('../constants');
+const jsonFeedParser = require('../utils/jsonFeedParser');
+
+const TIME_QUALITIES = ['receipt', 'true-fix'];
+
+/**
+ * JsonFeedClient - Pollande klient mot en lokal mottagares JSON-fartygslista
+ * över HTTP (AIS-catchers /api/ships.json som förinställning, annars valfri
+ * server via fältmappningen i jsonFeedParser).
+ *
+ * Emittar SAMMA eventytor som AISHubClient så att muxen kan behandla
+ * källorna likvärdigt:
+ *   'ais-message'   {mmsi,msgType,lat,lon,sog,cog,navStatus,shipName,
+ *                    timestamp, fixTs, fixFeed:'json', fixTsQuality}
+ *   'static-name'   {mmsi, shipName}   (FÖRE positionen, B1-mönstret)
+ *   'static-data'   {mmsi, staticData} (FÖRE positionen)
+ *   'connected'     på FÖRSTA välformade svaret (även tom lista = kontakt)
+ *   'disconnected'  {code, reason} när senaste lyckade svar är äldre än
+ *                   SILENT_FEED_MS ELLER efter ERROR_STREAK_DISCONNECT raka fel
+ *   'server-error'  ERROR_STREAK_DISCONNECT raka misslyckade pollar
+ *   'error'         nätverksfel (transport)
+ *   'auth-error', 'reconnect-needed', 'max-reconnects-reached' emitteras
+ *                   ALDRIG: ingen credential, och kedjan ger aldrig upp.
+ *
+ * DEKLARERAD TIDSKVALITET (settings 'json_feed_time_quality'):
+ *   'receipt'  (standard) — fixTs = mottagningstid i Homeys klocka, som
+ *              aisstream och NMEA-mottagaren. Källans egen tid/ålder
+ *              används bara för att sålla bort historik och re-serverade
+ *              poster.
+ *   'true-fix' — fixTs = källans tid (time-fältet, eller receivedAt − age).
+ *              Fusionen behandlar då källan som AISHub: F1:s per-källa-
+ *              spärr, F6:s stale-grind och en egen F6b-klocka. Kräver att
+ *              mappningen har ett time- eller age-fält.
+ * Deklarationen är en KONFIGURATION, inte en egenskap i nyttolasten — muxen
+ * läser den ur samma config som startade barnet.
+ *
+ * RE-SERVERING: en fartygslista upprepar samma post i varje poll tills en
+ * ny rapport kommer. Med tidsfält dedupas på (mmsi, fixTs) — åldershärledda
+ * tider med AGE_DEDUP_TOLERANCE_MS slack; utan tidsfält på oförändrat
+ * innehåll. En oförändrad post får aldrig förnya fartygets livstecken.
+ *
+ * KEDJAN: samma disciplin som AISHubClient — EN setTimeout-kedja
+ * (_pollTimer), single-flight (_inFlight) och ombokning i finally.
+ */
+class JsonFeedClient extends EventEmitter {
+  /**
+   * @param {object} logger - App-instansen (log/debug/error)
+   */
+  constructor(logger) {
+    super();
+    this.logger = logger;
+    this._cfg = AIS_CONFIG.JSON_FEED;
+
+    this.config = null;
+    this.isConnected = false;
+    this.openedAt = null;
+    this.lastMessageTime = null;
+
+    this._stopped = true;
+    this._inFlight = false;
+    this._pollTimer = null;
+    this._emitTimers = new Set();
+    this._backoffMs = null;
+    this._failStreak = 0;
+    this._lastOkResponseAt = null;
+    this._dedup = new Map(); // mmsi → {fixTs, content}
+
+    this._counters = {
+      polls: 0,
+      emptyResponses: 0,
+      parseErrors: 0,
+      shapeErrors: 0,
+      emptySweeps: 0,
+      netErrors: 0,
+      httpErrors: 0,
+      timeParseFail: 0,
+      sentinelPos: 0,
+      invalidMmsi: 0,
+      tooOld: 0,
+      outOfBox: 0,
+      dupes: 0,
+      accepted: 0,
+    };
+  }
+
+  /**
+   * Validera och normalisera källkonfigurationen. Ren funktion — används
+   * även av muxen innan ett barn skapas.
+   * @param {{url: string, intervalMs?: number, mapping?: object|string|null,
+   *          timeQuality?: string}} raw
+   * @returns {{url: string, intervalMs: number, mapping: object,
+   *            timeQuality: 'receipt'|'true-fix'}|null}
+   */
+  static parseConfig(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    let url;
+    try {
+      url = new URL(String(raw.url || '').trim());
+    } catch (e) {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    const mapping = jsonFeedParser.resolveMapping(raw.mapping);
+    if (!mapping) return null;
+    const timeQuality = raw.timeQuality == null || raw.timeQuality === ''
+      ? 'receipt' : raw.timeQuality;
+    if (!TIME_QUALITIES.includes(timeQuality)) return null;
+    // En äkta fixtid utan fält att läsa den ur är en motsägelse.
+    if (timeQuality === 'true-fix' && !mapping.time && !mapping.age) return null;
+    const cfg = AIS_CONFIG.JSON_FEED;
+    const interval = Number(raw.intervalMs);
+    const intervalMs = Number.isFinite(interval) && interval > 0
+      ? Math.min(cfg.MAX_INTERVAL_MS, Math.max(cfg.MIN_INTERVAL_MS, Math.round(interval)))
+      : cfg.DEFAULT_INTERVAL_MS;
+    return {
+      url: url.toString(), intervalMs, mapping, timeQuality,
+    };
+  }
+
+  /**
+   * Starta pollandet.
+   * @param {object} config - Se parseConfig
+   * @returns {Promise<void>} (async för AISStreamClient-paritet)
+   */
+  async connect(config) {
+    const parsed = JsonFeedClient.parseConfig(config);
+    if (!parsed) {
+      this.logger.log('🚫 [JSON_FEED] Ogiltig källkonfiguration — startar inte');
+      return;
+    }
+    if (!this._stopped) {
+      this.logger.debug('🌐 [JSON_FEED] Redan startad');
+      return;
+    }
+    this.config = parsed;
+    this._stopped = false;
+    this.logger.log(
+      `🌐 [JSON_FEED] Startar poll-kedja mot ${this._describeUrl()} var ${parsed.intervalMs / 1000}s `
+      + `(tidskvalitet ${parsed.timeQuality})`,
+    );
+    this._scheduleNext(0);
+  }
+
+  /**
+   * Stoppa pollandet och rensa alla timers. Emittar 'disconnected' på
+   * flanken (paritet med AISHubClient.disconnect).
+   */
+  disconnect() {
+    this.logger.log('🛑 [JSON_FEED] Stoppar poll-kedjan');
+    this._stopped = true;
+    if (this._pollTimer) {
+      clearTimeout(this._pollTimer);
+      this._pollTimer = null;
+    }
+    for (const t of this._emitTimers) clearTimeout(t);
+    this._emitTimers.clear();
+    this._flankDown('intentional disconnect', 1000);
+  }
+
+  /**
+   * NO-OP: den lokala servern har ingen credential (muxens symmetriska
+   * fan-out).
+   * @returns {Promise<void>}
+   */
+  async reconnectWithKey() {
+    this.logger.debug('🔧 [JSON_FEED] reconnectWithKey är en no-op för JSON-källan');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+
+  /**
+   * Anslutningsstatistik — samma basfält som AISHubClient plus
+   * pollräknarna och den deklarerade tidskvaliteten.
+   * @returns {object}
+   */
+  getConnectionStats() {
+    return {
+      isConnected: this.isConnected,
+      reconnectAttempts: this._failStreak,
+      lastMessageTime: this.lastMessageTime,
+      uptime: this.openedAt ? Date.now() - this.openedAt : 0,
+      timeSinceLastMessage: this.lastMessageTime ? Date.now() - this.lastMessageTime : null,
+      url: this.config ? this._describeUrl() : null,
+      timeQuality: this.config ? this.config.timeQuality : null,
+      intervalMs: this.config ? this.config.intervalMs : null,
+      dedupSize: this._dedup.size,
+      lastOkResponseAt: this._lastOkResponseAt,
+      backoffMs: this._backoffMs ?? 0,
+      counters: { ...this._counters },
+    };
+  }
+
+  // ==========================================================================
+  // Poll-kedjan
+  // ==========================================================================
+
+  /**
+   * URL:en utan query-sträng — en token i frågan ska inte hamna i loggen.
+   * @private
+   */
+  _describeUrl() {
+    try {
+      const u = new URL(this.config.url);
+      return `${u.protocol}//${u.host}${u.pathname}`;
+    } catch (e) {
+      return '-';
+    }
+  }
+
+  /**
+   * Boka nästa poll. ENDA stället som sätter _pollTimer.
+   * @private
+   */
+  _scheduleNext(waitMs) {
+    if (this._stopped) return;
+    if (this._pollTimer) clearTimeout(this._pollTimer);
+    this._pollTimer = setTimeout(() => {
+      this._pollTimer = null;
+      this._poll().catch((err) => {
+        this.logger.error('❌ [JSON_FEED] Oväntat fel i pollkedjan:', err.message || err);
+        this._scheduleNext(this.config.intervalMs);
+      });
+    }, Math.max(0, waitMs));
+  }
+
+  /**
+   * En poll. Single-flight; ombokning sker ovillkorligt i finally.
+   * @private
+   */
+  async _poll() {
+    if (this._stopped) return;
+    if (this._inFlight) return; // pågående poll bokar nästa i sin finally
+
+    this._inFlight = true;
+    this._counters.polls++;
+    let nextWaitMs = this.config.intervalMs;
+    const httpStartedAt = Date.now();
+    try {
+      const res = await this._httpGet(this.config.url);
+      if (this._stopped) return; // rivet medan requesten pågick
+      nextWaitMs = this._handleHttpResult(res, Date.now() - httpStartedAt);
+    } catch (err) {
+      nextWaitMs = this._handleNetError(err);
+    } finally {
+      this._inFlight = false;
+      if (!this._stopped) this._scheduleNext(nextWaitMs);
+    }
+  }
+
+  /**
+   * HTTP(S) GET med timeout och storlekstak. Redirects följs inte — en lokal
+   * mottagare som svarar 3xx är felkonfigurerad. Överskrivbar i tester.
+   * @private
+   * @param {string} url
+   * @returns {Promise<{statusCode: number, body: string}>}
+   */
+  _httpGet(url) {
+    const transport = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = transport.get(url, {
+        timeout: this._cfg.HTTP_TIMEOUT_MS,
+        headers: { Accept: 'application/json', 'Accept-Encoding': 'identity' },
+      }, (res) => {
+        const { statusCode } = res;
+        let size = 0;
+        const chunks = [];
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > this._cfg.MAX_BODY_BYTES) {
+            req.destroy(new Error('JSON-källa: svar överskrider storlekstaket'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          resolve({ statusCode, body: Buffer.concat(chunks).toString('utf8') });
+        });
+        res.on('error', reject);
+      });
+      req.on('timeout', () => {
+        req.destroy(new Error('JSON-källa: HTTP-timeout'));
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // ==========================================================================
+  // Svarshantering
+  // ==========================================================================
+
+  /**
+   * @private
+   * @returns {number} nästa väntetid (ms)
+   */
+  _handleHttpResult(res, httpMs) {
+    const { statusCode, body } = res;
+    if (statusCode !== 200) {
+      this._counters.httpErrors++;
+      return this._failureTick('httpError', `HTTP ${statusCode}`);
+    }
+    const parsed = jsonFeedParser.parseBody(body, this.config.mapping, Date.now(), {
+      maxRecordAgeMs: this._cfg.MAX_RECORD_AGE_MS,
+    });
+    switch (parsed.kind) {
+      case 'empty-body':
+        this._counters.emptyResponses++;
+        return this._failureTick('emptyResponse', 'tomt svar');
+      case 'parse-error':
+        this._counters.parseErrors++;
+        return this._failureTick('parseError', 'icke-JSON-svar');
+      case 'shape-error':
+        this._counters.shapeErrors++;
+        return this._failureTick(
+          'shapeError',
+          `ingen postlista på '${this.config.mapping.records || '(roten)'}' — fel URL eller mappning?`,
+        );
+      case 'data':
+      default:
+        return this._handleGoodResponse(parsed, httpMs);
+    }
+  }
+
+  /**
+   * Välformat svar — även en tom fartygslista räknas som kontakt.
+   * @private
+   * @returns {number} nästa väntetid (ms)
+   */
+  _handleGoodResponse(parsed, httpMs) {
+    const now = Date.now();
+    this._lastOkResponseAt = now;
+    this._failStreak = 0;
+    this._backoffMs = null;
+    this._flankUp();
+
+    const { stats } = parsed;
+    this._counters.timeParseFail += stats.timeParseFail;
+    this._counters.sentinelPos += stats.sentinelPos;
+    this._counters.invalidMmsi += stats.invalidMmsi;
+    this._counters.tooOld += stats.tooOld;
+
+    if (stats.records === 0) {
+      this._counters.emptySweeps++;
+      return this.config.intervalMs;
+    }
+
+    const {
+      NORTH, SOUTH, EAST, WEST,
+    } = AIS_CONFIG.BOUNDING_BOX;
+    const fresh = [];
+    let sweepDupes = 0;
+    for (const rec of parsed.records) {
+      // En lokal antenn hör långt utanför kanalen — samma box som övriga källor.
+      if (rec.lat < SOUTH || rec.lat > NORTH || rec.lon < WEST || rec.lon > EAST) {
+        this._counters.outOfBox++;
+        continue;
+      }
+      if (this._isReserved(rec)) {
+        this._counters.dupes++;
+        sweepDupes++;
+        continue;
+      }
+      fresh.push(rec);
+    }
+    this._pruneDedup(now);
+
+    this.logger.debug(
+      `📊 [JSON_FEED_POLL] records=${stats.records} accepted=${fresh.length} dupes=${sweepDupes} `
+      + `tooOld=${stats.tooOld} httpMs=${httpMs}`,
+    );
+
+    const receipt = this.config.timeQuality === 'receipt';
+    fresh.forEach((rec, i) => {
+      const timer = setTimeout(() => {
+        this._emitTimers.delete(timer);
+        if (this._stopped) return;
+        this._counters.accepted++;
+        if (rec.shipName && rec.shipName !== 'Unknown') {
+          this.emit('static-name', { mmsi: rec.mmsi, shipName: rec.shipName });
+        }
+        const staticData = parsed.staticByMmsi[rec.mmsi];
+        if (staticData) {
+          this.emit('static-data', { mmsi: rec.mmsi, staticData });
+        }
+        const emittedAt = Date.now();
+        this.lastMessageTime = emittedAt;
+        this.emit('ais-message', {
+          ...rec,
+          msgType: 'JsonFeedPosition',
+          timestamp: emittedAt,
+          fixTs: receipt ? emittedAt : rec.fixTs,
+          fixFeed: 'json',
+          fixTsQuality: this.config.timeQuality,
+        });
+      }, i * this._cfg.EMIT_SPREAD_MS);
+      this._emitTimers.add(timer);
+    });
+
+    return this.config.intervalMs;
+  }
+
+  /**
+   * Är posten en re-servering av något redan levererat? Bokför den annars.
+   * @private
+   */
+  _isReserved(rec) {
+    const { mapping } = this.config;
+    const content = `${rec.lat}:${rec.lon}:${rec.sog}:${rec.cog}:${rec.navStatus}`;
+    const prev = this._dedup.get(rec.mmsi);
+    if (prev) {
+      if (mapping.time || mapping.age) {
+        const slack = mapping.age ? this._cfg.AGE_DEDUP_TOLERANCE_MS : 0;
+        if (rec.fixTs <= prev.fixTs + slack) return true;
+      } else if (content === prev.content) {
+        return true;
+      }
+    }
+    this._dedup.set(rec.mmsi, { fixTs: rec.fixTs, content });
+    return false;
+  }
+
+  /** @private */
+  _pruneDedup(now) {
+    const ttl = this._cfg.MAX_RECORD_AGE_MS + 60000;
+    for (const [mmsi, entry] of this._dedup) {
+      if (now - entry.fixTs > ttl) this._dedup.delete(mmsi);
+    }
+    // Taket evicterar på äldst kända fix (AISHub-klientens fynd 15).
+    if (this._dedup.size > this._cfg.DEDUP_MAX_ENTRIES) {
+      const byAge = [...this._dedup.entries()].sort((a, b) => a[1].fixTs - b[1].fixTs);
+      let over = this._dedup.size - this._cfg.DEDUP_MAX_ENTRIES;
+      for (const [mmsi] of byAge) {
+        if (over <= 0) break;
+        this._dedup.delete(mmsi);
+        over--;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {number} nästa väntetid (ms)
+   */
+  _handleNetError(err) {
+    this._counters.netErrors++;
+    this.logger.error(`❌ [JSON_FEED] Nätverksfel (${this._describeUrl()}):`, err.message || err);
+    this.emit('error', err);
+    return this._failureTick('netError');
+  }
+
+  /**
+   * Gemensam felbokföring: streak, disconnected-flank, backoff.
+   * @private
+   * @returns {number} nästa väntetid (ms) — aldrig under pollintervallet
+   */
+  _failureTick(kind, detail = null) {
+    this._failStreak++;
+    if (detail) {
+      this.logger.log(`⚠️ [JSON_FEED] ${kind}: ${detail} (streak ${this._failStreak})`);
+    }
+    // EN server-error per episod — på exakt det fel som fäller flanken.
+    if (this._failStreak === this._cfg.ERROR_STREAK_DISCONNECT) {
+      this.emit('server-error', `JSON-källa: ${this._failStreak} raka misslyckade pollar (${kind})`);
+    }
+    const silentTooLong = this._lastOkResponseAt !== null
+      && Date.now() - this._lastOkResponseAt > this._cfg.SILENT_FEED_MS;
+    if (this._failStreak >= this._cfg.ERROR_STREAK_DISCONNECT || silentTooLong) {
+      this._flankDown(kind);
+    }
+    this._backoffMs = Math.min(
+      (this._backoffMs ?? this.config.intervalMs) * 2,
+      Math.max(this._cfg.BACKOFF_MAX_MS, this.config.intervalMs),
+    );
+    return this._backoffMs;
+  }
+
+  /** @private */
+  _flankUp() {
+    if (this.isConnected) return;
+    this.isConnected = true;
+    this.openedAt = Date.now();
+    this.logger.log(`✅ [JSON_FEED] Kontakt med ${this._describeUrl()} etablerad`);
+    this.emit('connected');
+  }
+
+  /** @private */
+  _flankDown(reason, code = 1006) {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+    this.openedAt = null;
+    this.logger.log(`🔌 [JSON_FEED] Kontakt förlorad (${reason})`);
+    this.emit('disconnected', { code, reason: `json ${reason}` });
+  }
+}
+
+module.exports = JsonFeedClient;
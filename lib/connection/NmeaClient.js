@@ -0,0 +1,519 @@
+'use strict';
+
+const EventEmitter = require('events');
+const net = require('net');
+const dgram = require('dgram');
+const { AIS_CONFIG } = require('../constants');
+const aivdmDecoder = require('../utils/aivdmDecoder');
+const { normalizeStaticData } = require('../utils/staticData');
+
+/**
+ * NmeaClient - Lokal NMEA 0183-mottagare (dAISy/RTL-SDR på kanalkanten) som
+ * levererar råa !AIVDM-meningar över TCP eller UDP. Avkodningen sker i
+ * appen (aivdmDecoder) — ingen molntjänst mellan antennen och pipelinen.
+ *
+ * Emittar SAMMA tio eventytor som AISStreamClient/AISHubClient så att muxen
+ * kan behandla källorna likvärdigt:
+ *   'ais-message'   {mmsi,msgType,lat,lon,sog,cog,navStatus,shipName,
+ *                    timestamp, fixTs, fixFeed:'nmea', fixTsQuality:'receipt'}
+ *   'static-name'   {mmsi, shipName} (typ 5, 24A och 19 — FÖRE positionen)
+ *   'static-data'   {mmsi, staticData} (typ 5, 24B och 19 — FÖRE positionen)
+ *   'connected'     TCP: när socketen är uppe. UDP: på FÖRSTA giltiga
+ *                   meningen (en bunden port bevisar inte att någon sänder)
+ *   'disconnected'  {code, reason} vid stängd socket eller tystnad
+ *   'error'         transportfel (ECONNREFUSED, EADDRINUSE …)
+ *   'server-error'  en lång följd meningar med fel checksumma (fel port,
+ *                   fel baud, brusig länk) — EN gång per episod
+ *   'auth-error', 'reconnect-needed', 'max-reconnects-reached' emitteras
+ *                   ALDRIG: ingen credential finns, och klienten läker sig
+ *                   själv (backoff-kedja utan tak på antalet försök).
+ *
+ * KLOCKDOMÄN: en lokal mottagare har millisekunders latens, så
+ * mottagningstiden ÄR fixtiden i praktiken — samma 'receipt'-kvalitet som
+ * aisstream. AIVDM bär bara UTC-SEKUNDEN (0-59) av fixen, vilket inte räcker
+ * för en äkta fixtid, och F1:s per-källa-spärr ska därför inte gälla.
+ *
+ * ENDPOINT-FORMAT (settings 'nmea_endpoint'):
+ *   tcp://192.168.1.50:10110   — klienten ansluter till mottagarens server
+ *   udp://:10110               — klienten binder porten och lyssnar
+ *   udp://0.0.0.0:10110        — samma, explicit bindadress
+ */
+class NmeaClient extends EventEmitter {
+  /**
+   * @param {object} logger - App-instansen (log/debug/error)
+   */
+  constructor(logger) {
+    super();
+    this.logger = logger;
+    this._cfg = AIS_CONFIG.NMEA;
+
+    this.endpoint = null;
+    this.isConnected = false;
+    this.openedAt = null;
+    this.lastMessageTime = null;
+
+    this._stopped = true;
+    this._socket = null; // net.Socket eller dgram.Socket
+    this._lineBuffer = '';
+    this._reconnectTimer = null;
+    this._silenceTimer = null;
+    this._reconnectAttempts = 0;
+    this._lastSentenceAt = null;
+    this._checksumFailStreak = 0;
+    this._checksumAlarmed = false;
+    // "kanal|seqId|antal" → {parts: [], received, firstAt}
+    this._fragments = new Map();
+
+    this._counters = {
+      sentences: 0,
+      notVdm: 0,
+      checksumFail: 0,
+      malformed: 0,
+      fragmentsDropped: 0,
+      unsupportedType: 0,
+      shortPayload: 0,
+      invalidMmsi: 0,
+      sentinelPos: 0,
+      outOfBox: 0,
+      staticReports: 0,
+      netErrors: 0,
+      accepted: 0,
+    };
+  }
+
+  /**
+   * Tolka endpoint-strängen. Ren funktion — används även av muxen för att
+   * validera konfigurationen innan ett barn skapas.
+   * @param {string} raw - t.ex. 'tcp://192.168.1.50:10110' eller 'udp://:10110'
+   * @returns {{protocol: 'tcp'|'udp', host: string|null, port: number}|null}
+   */
+  static parseEndpoint(raw) {
+    const m = /^\s*(tcp|udp):\/\/([^:/\s]*):(\d{1,5})\/?\s*$/i.exec(String(raw || ''));
+    if (!m) return null;
+    const protocol = m[1].toLowerCase();
+    const port = Number(m[3]);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return null;
+    const host = m[2] || null;
+    if (protocol === 'tcp' && !host) return null; // TCP kräver en värd att ansluta till
+    return { protocol, host, port };
+  }
+
+  /**
+   * Starta mottagningen.
+   * @param {string} endpoint - Se ENDPOINT-FORMAT i klasskommentaren
+   * @returns {Promise<void>} (async för AISStreamClient-paritet)
+   */
+  async connect(endpoint) {
+    const parsed = NmeaClient.parseEndpoint(endpoint);
+    if (!parsed) {
+      this.logger.log(`🚫 [NMEA_CLIENT] Ogiltig endpoint '${endpoint}' — startar inte`);
+      return;
+    }
+    if (!this._stopped) {
+      this.logger.debug('📡 [NMEA_CLIENT] Redan startad');
+      return;
+    }
+    this.endpoint = parsed;
+    this._stopped = false;
+    this._reconnectAttempts = 0;
+    this.logger.log(`📡 [NMEA_CLIENT] Startar ${parsed.protocol.toUpperCase()}-mottagning (${this._describeEndpoint()})`);
+    this._open();
+    this._armSilenceCheck();
+  }
+
+  /**
+   * Stoppa mottagningen och rensa alla timers. Emittar 'disconnected' på
+   * flanken (paritet med AISStreamClient.disconnect).
+   */
+  disconnect() {
+    this.logger.log('🛑 [NMEA_CLIENT] Stoppar mottagningen');
+    this._stopped = true;
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this._silenceTimer) {
+      clearTimeout(this._silenceTimer);
+      this._silenceTimer = null;
+    }
+    this._closeSocket();
+    this._fragments.clear();
+    this._lineBuffer = '';
+    this._flankDown('intentional disconnect', 1000);
+  }
+
+  /**
+   * NO-OP: den lokala mottagaren har ingen credential. Behålls så muxens
+   * fan-out kan anropa barnen symmetriskt.
+   * @returns {Promise<void>}
+   */
+  async reconnectWithKey() {
+    this.logger.debug('🔧 [NMEA_CLIENT] reconnectWithKey är en no-op för den lokala mottagaren');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+
+  /**
+   * Anslutningsstatistik — samma basfält som AISStreamClient plus
+   * avkodningsräknare (checksumFail/fragmentsDropped är mottagarens hälsa).
+   * @returns {object}
+   */
+  getConnectionStats() {
+    return {
+      isConnected: this.isConnected,
+      reconnectAttempts: this._reconnectAttempts,
+      lastMessageTime: this.lastMessageTime,
+      uptime: this.openedAt ? Date.now() - this.openedAt : 0,
+      timeSinceLastMessage: this.lastMessageTime ? Date.now() - this.lastMessageTime : null,
+      lastSentenceAt: this._lastSentenceAt,
+      protocol: this.endpoint ? this.endpoint.protocol : null,
+      openFragments: this._fragments.size,
+      counters: { ...this._counters },
+    };
+  }
+
+  // ==========================================================================
+  // Transport
+  // ==========================================================================
+
+  /** @private */
+  _describeEndpoint() {
+    const e = this.endpoint;
+    if (!e) return '-';
+    return `${e.host || '0.0.0.0'}:${e.port}`;
+  }
+
+  /** @private */
+  _open() {
+    if (this._stopped) return;
+    if (this.endpoint.protocol === 'tcp') this._openTcp();
+    else this._openUdp();
+  }
+
+  /** @private */
+  _openTcp() {
+    const { host, port } = this.endpoint;
+    const socket = net.createConnection({ host, port });
+    this._socket = socket;
+    socket.setEncoding('ascii');
+    socket.setTimeout(this._cfg.CONNECT_TIMEOUT_MS);
+    socket.on('connect', () => {
+      socket.setTimeout(0); // tystnad hanteras av _checkSilence, inte socket-timeouten
+      socket.setKeepAlive(true, 30000);
+      this._reconnectAttempts = 0;
+      this._lastSentenceAt = Date.now();
+      this._flankUp();
+    });
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('timeout', () => {
+      this.logger.log(`⏱️ [NMEA_CLIENT] Anslutningen till ${this._describeEndpoint()} tog för lång tid`);
+      socket.destroy();
+    });
+    socket.on('error', (err) => this._onTransportError(err));
+    socket.on('close', () => {
+      if (this._socket !== socket) return; // gammal socket efter rivning
+      this._socket = null;
+      this._lineBuffer = '';
+      this._flankDown('socket closed');
+      this._scheduleReconnect();
+    });
+  }
+
+  /** @private */
+  _openUdp() {
+    const { host, port } = this.endpoint;
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this._socket = socket;
+    socket.on('message', (buf) => this._onData(buf.toString('ascii'), true));
+    socket.on('error', (err) => {
+      this._onTransportError(err);
+      // Ett bindfel (EADDRINUSE) lämnar socketen oanvändbar — riv och försök igen.
+      if (this._socket === socket) {
+        this._closeSocket();
+        this._flankDown('socket error');
+        this._scheduleReconnect();
+      }
+    });
+    socket.on('listening', () => {
+      this._reconnectAttempts = 0;
+      this.logger.log(`📡 [NMEA_CLIENT] Lyssnar på UDP ${this._describeEndpoint()}`);
+    });
+    socket.bind(port, host || undefined);
+  }
+
+  /** @private */
+  _closeSocket() {
+    const socket = this._socket;
+    if (!socket) return;
+    this._socket = null;
+    try {
+      socket.removeAllListeners();
+      socket.on('error', () => {}); // sena fel efter rivning får inte bli okastade
+      if (typeof socket.destroy === 'function') socket.destroy();
+      else socket.close();
+    } catch (err) {
+      this.logger.debug(`🔧 [NMEA_CLIENT] socket-rivning: ${err.message}`);
+    }
+  }
+
+  /** @private */
+  _onTransportError(err) {
+    this._counters.netErrors++;
+    this.logger.error(`❌ [NMEA_CLIENT] Transportfel (${this._describeEndpoint()}):`, err.message || err);
+    this.emit('error', err);
+  }
+
+  /**
+   * Backoff 2 → 4 → 8 … tak 60 s, utan tak på antalet försök. ENDA stället
+   * som sätter _reconnectTimer.
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._stopped) return;
+    if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    const delay = Math.min(
+      this._cfg.RECONNECT_BASE_MS * 2 ** this._reconnectAttempts,
+      this._cfg.RECONNECT_MAX_MS,
+    );
+    this._reconnectAttempts++;
+    this.logger.log(`🔄 [NMEA_CLIENT] Återansluter om ${(delay / 1000).toFixed(0)}s (försök ${this._reconnectAttempts})`);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._closeSocket();
+      this._open();
+    }, delay);
+  }
+
+  /**
+   * Tystnadskontroll (setTimeout-kedja). TCP: en socket som lever men inte
+   * levererat en enda mening på SILENT_FEED_MS är halvdöd — riv och
+   * återanslut. UDP: flanka ner; nästa giltiga mening flankar upp igen.
+   * @private
+   */
+  _armSilenceCheck() {
+    if (this._stopped) return;
+    if (this._silenceTimer) clearTimeout(this._silenceTimer);
+    this._silenceTimer = setTimeout(() => {
+      this._silenceTimer = null;
+      this._checkSilence();
+      this._armSilenceCheck();
+    }, this._cfg.SILENCE_CHECK_MS);
+  }
+
+  /** @private */
+  _checkSilence() {
+    this._pruneFragments(Date.now());
+    if (!this.isConnected || !Number.isFinite(this._lastSentenceAt)) return;
+    const silence = Date.now() - this._lastSentenceAt;
+    if (silence < this._cfg.SILENT_FEED_MS) return;
+    this.logger.log(`⚠️ [NMEA_CLIENT] Ingen mening på ${Math.round(silence / 1000)} s`);
+    if (this.endpoint && this.endpoint.protocol === 'tcp') {
+      this._closeSocket();
+      this._flankDown('silent');
+      this._scheduleReconnect();
+    } else {
+      this._flankDown('silent');
+    }
+  }
+
+  /** @private */
+  _flankUp() {
+    if (this.isConnected) return;
+    this.isConnected = true;
+    this.openedAt = Date.now();
+    this.logger.log(`✅ [NMEA_CLIENT] Kontakt med mottagaren etablerad (${this._describeEndpoint()})`);
+    this.emit('connected');
+  }
+
+  /** @private */
+  _flankDown(reason, code = 1006) {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+    this.openedAt = null;
+    this.logger.log(`🔌 [NMEA_CLIENT] Kontakt förlorad (${reason})`);
+    this.emit('disconnected', { code, reason: `nmea ${reason}` });
+  }
+
+  // ==========================================================================
+  // Radramning + avkodning
+  // ==========================================================================
+
+  /**
+   * TCP är en ström (meningar kan delas mitt i), UDP levererar hela
+   * datagram som kan bära flera rader. Båda går genom samma radbuffert.
+   * @private
+   */
+  _onData(chunk, isDatagram = false) {
+    if (this._stopped) return;
+    const data = isDatagram ? `${chunk}\n` : chunk;
+    this._lineBuffer += data;
+    const lines = this._lineBuffer.split(/\r?\n/);
+    this._lineBuffer = lines.pop();
+    if (this._lineBuffer.length > this._cfg.MAX_LINE_BYTES) {
+      this._counters.malformed++;
+      this._lineBuffer = '';
+    }
+    for (const line of lines) {
+      if (line.trim()) this._handleLine(line);
+    }
+  }
+
+  /**
+   * En rad → noll eller ett emitterat meddelande. Testbar ingång.
+   * @param {string} line
+   * @private
+   */
+  _handleLine(line) {
+    const now = Date.now();
+    const parsed = aivdmDecoder.parseSentence(line);
+    if (!parsed.ok) {
+      if (parsed.reason === 'checksum') {
+        this._counters.checksumFail++;
+        this._onChecksumFail();
+      } else if (parsed.reason === 'not_vdm') {
+        this._counters.notVdm++; // GPS-meningar m.m. från samma mottagare — ofarligt
+      } else {
+        this._counters.malformed++;
+      }
+      return;
+    }
+    this._counters.sentences++;
+    this._checksumFailStreak = 0;
+    this._checksumAlarmed = false;
+    this._lastSentenceAt = now;
+    // UDP: första giltiga meningen är kontaktbeviset.
+    if (!this.isConnected) this._flankUp();
+
+    const assembled = this._assemble(parsed.sentence, now);
+    if (!assembled) return;
+
+    const decoded = aivdmDecoder.decodePayload(assembled.payload, assembled.fillBits);
+    if (!decoded.ok) {
+      const counter = {
+        unsupported_type: 'unsupportedType',
+        short_payload: 'shortPayload',
+        invalid_mmsi: 'invalidMmsi',
+        sentinel_position: 'sentinelPos',
+      }[decoded.reason];
+      if (counter) this._counters[counter]++;
+      return;
+    }
+    this._emitReport(decoded.report, now);
+  }
+
+  /**
+   * Fragmentsammansättning. Enkelfragment passerar direkt; flerfragment
+   * samlas per (kanal, seqId, antal) och släpps när alla delar finns.
+   * @returns {{payload: string, fillBits: number}|null}
+   * @private
+   */
+  _assemble(sentence, now) {
+    if (sentence.fragCount === 1) {
+      return { payload: sentence.payload, fillBits: sentence.fillBits };
+    }
+    const key = `${sentence.channel}|${sentence.seqId}|${sentence.fragCount}`;
+    let entry = this._fragments.get(key);
+    // Ett nytt fragment 1 på en öppen nyckel = ny sändning (seqId återanvänds
+    // cykliskt 0-9) — det gamla ofullständiga setet kommer aldrig att bli klart.
+    if (entry && (sentence.fragNum === 1 || now - entry.firstAt > this._cfg.FRAGMENT_TTL_MS)) {
+      this._counters.fragmentsDropped++;
+      this._fragments.delete(key);
+      entry = null;
+    }
+    if (!entry) {
+      if (this._fragments.size >= this._cfg.FRAGMENT_MAX_OPEN) this._pruneFragments(now, true);
+      entry = { parts: new Array(sentence.fragCount), received: 0, firstAt: now };
+      this._fragments.set(key, entry);
+    }
+    if (entry.parts[sentence.fragNum - 1] === undefined) entry.received++;
+    entry.parts[sentence.fragNum - 1] = sentence;
+    if (entry.received < sentence.fragCount) return null;
+
+    this._fragments.delete(key);
+    return {
+      payload: entry.parts.map((p) => p.payload).join(''),
+      fillBits: entry.parts[entry.parts.length - 1].fillBits,
+    };
+  }
+
+  /** @private */
+  _pruneFragments(now, force = false) {
+    for (const [key, entry] of this._fragments) {
+      if (force || now - entry.firstAt > this._cfg.FRAGMENT_TTL_MS) {
+        this._fragments.delete(key);
+        this._counters.fragmentsDropped++;
+        if (force) return; // taket: släpp äldsta (insättningsordning), inte allt
+      }
+    }
+  }
+
+  /** @private */
+  _onChecksumFail() {
+    this._checksumFailStreak++;
+    if (this._checksumAlarmed || this._checksumFailStreak < this._cfg.CHECKSUM_FAIL_ALARM) return;
+    this._checksumAlarmed = true;
+    this.logger.log(
+      `⚠️ [NMEA_CLIENT] ${this._checksumFailStreak} meningar i rad med fel checksumma `
+      + '— fel port, fel baud eller brusig länk?',
+    );
+    this.emit('server-error', {
+      type: 'nmea-checksum',
+      message: `${this._checksumFailStreak} consecutive AIVDM checksum failures`,
+    });
+  }
+
+  /**
+   * Avkodad rapport → events. Statiska rapporter ger bara 'static-name'/
+   * 'static-data' (och ingen position); typ 19 bär båda och de statiska
+   * fälten går FÖRE positionen (B1-mönstret från AISHub-klienten).
+   * @private
+   */
+  _emitReport(report, now) {
+    if (report.shipName) {
+      this.emit('static-name', { mmsi: report.mmsi, shipName: report.shipName });
+    }
+    const staticData = normalizeStaticData(report);
+    if (staticData) {
+      this.emit('static-data', { mmsi: report.mmsi, staticData });
+    }
+    if (report.kind === 'static') {
+      this._counters.staticReports++;
+      return;
+    }
+
+    const {
+      NORTH, SOUTH, EAST, WEST,
+    } = AIS_CONFIG.BOUNDING_BOX;
+    // En lokal antenn hör långt utanför kanalen (Vänern, E45) — samma box
+    // som molnkällornas prenumeration, annars fylls pipelinen av främlingar.
+    if (report.lat < SOUTH || report.lat > NORTH || report.lon < WEST || report.lon > EAST) {
+      this._counters.outOfBox++;
+      return;
+    }
+
+    this._counters.accepted++;
+    this.lastMessageTime = now;
+    this.emit('ais-message', {
+      mmsi: report.mmsi,
+      msgType: report.msgType,
+      lat: report.lat,
+      lon: report.lon,
+      sog: report.sog,
+      cog: report.cog,
+      navStatus: report.navStatus,
+      shipName: report.shipName || 'Unknown',
+      timestamp: now,
+      // Mottagningstid = fixtid för en lokal mottagare (se klasskommentaren).
+      fixTs: now,
+      fixFeed: 'nmea',
+      fixTsQuality: 'receipt',
+    });
+  }
+}
+
+module.exports = NmeaClient;
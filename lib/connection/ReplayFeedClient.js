@@ -0,0 +1,242 @@
+'use strict';
+
+const EventEmitter = require('events');
+const simulationClock = require('../utils/simulationClock');
+const { FEED_IDS: FEEDS } = require('./FeedRegistry');
+
+/**
+ * ReplayFeedClient - Simuleringskällan (ais_source='simulation'). Spelar en
+ * inspelad replay-korpus (jsonl i replayRunner-formatet, t.ex. ett segment
+ * ur AIS-inspelningen) genom muxen i 1×, 10× eller 60×, så riktiga enheter
+ * och Flow-kort reagerar på en känd natt utan att vänta på båtar.
+ *
+ * TIDEN FÖLJER KORPUSEN: vid connect() installeras simulationClock med
+ * korpusens första aisTimestamp som start. Varje prov levereras när den
+ * virtuella klockan når dess aisTimestamp, med timestamp = aisTimestamp och
+ * fixTs = provets fixTs (samma mappning som replayRunner.js) — appens alla
+ * tidsreferenser ligger därmed på korpusens tidslinje, och dt och sträcka
+ * skalas inte isär i 10×/60×. Appens trafiktimrar (watchdogen med deadline-
+ * motorn, städ- och skyddstimrarna) bokas genom simulationClock och går i
+ * samma virtuella takt; timers som bokas direkt på de globala funktionerna
+ * (Homey-skrivningarnas timeouts, muxens egna) går på väggtid. Leveransen
+ * avrundas uppåt till hel väggmillisekund, så ett prov kan landa upp till
+ * `speed` virtuella ms efter sin aisTimestamp.
+ *
+ * Emittar muxens barnyta:
+ *   'ais-message'   (msg, feed) — feed är provets källa (aisstream/aishub/
+ *                   nmea/json); muxen matar det genom _ingestFromFeed
+ *   'connected'     när uppspelningen startar och vid ctrl:'reconnect'
+ *   'disconnected'  {code, reason} vid ctrl:'disconnect' och disconnect()
+ * 'static-name'/'static-data' emitteras inte: korpusen bär namnet i
+ * positionsraden. Ingen credential, ingen återanslutning.
+ *
+ * ctrl:'restart' (processomstart i harnessen) kan inte spelas upp inifrån
+ * appen och hoppas över.
+ *
+ * KORPUSENS SLUT: källan förblir ansluten men tyst och klockan fortsätter
+ * gå — kanalen ser ut som en stilla natt, så städtimrar och stale-vakter
+ * avvecklar de sista båtarna den vanliga vägen. Byte av ais_source (eller
+ * disconnect) stoppar klockan.
+ */
+class ReplayFeedClient extends EventEmitter {
+  /**
+   * @param {object} logger - App-instansen (log/debug/error)
+   */
+  constructor(logger) {
+    super();
+    this.logger = logger;
+
+    this.isConnected = false;
+    this.openedAt = null;
+    this.lastMessageTime = null;
+
+    this.label = null;
+    this.speed = 1;
+    this._samples = [];
+    this._index = 0;
+    this._timer = null;
+    this._stopped = true;
+    this._finished = false;
+    this._counters = { delivered: 0, ctrl: 0, skipped: 0 };
+  }
+
+  /**
+   * Tolka replay-jsonl: en JSON-rad per prov. Rader utan ändlig
+   * aisTimestamp, utan mmsi (och utan ctrl) eller med trasig JSON hoppas
+   * över. Proven sorteras stabilt på aisTimestamp.
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  static parseJsonl(text) {
+    const samples = [];
+    for (const line of String(text || '').split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      let s;
+      try {
+        s = JSON.parse(trimmed);
+      } catch (error) {
+        continue;
+      }
+      if (!s || !Number.isFinite(s.aisTimestamp) || (!s.mmsi && !s.ctrl)) continue;
+      samples.push(s);
+    }
+    return samples
+      .map((s, i) => ({ s, i }))
+      .sort((a, b) => (a.s.aisTimestamp - b.s.aisTimestamp) || (a.i - b.i))
+      .map(({ s }) => s);
+  }
+
+  /**
+   * Starta uppspelningen och installera den virtuella klockan.
+   * @param {{samples: Object[], speed?: number, label?: string}} options
+   * @returns {Promise<void>}
+   */
+  async connect({ samples, speed = 1, label = null } = {}) {
+    this.disconnect();
+    this._samples = Array.isArray(samples) ? samples : [];
+    this.speed = Number.isFinite(speed) && speed > 0 ? speed : 1;
+    this.label = label;
+    this._index = 0;
+    this._finished = false;
+    this._counters = { delivered: 0, ctrl: 0, skipped: 0 };
+    if (this._samples.length === 0) {
+      this.logger.log('⚠️ [SIMULATION] Korpusen är tom — ingen uppspelning');
+      this._finished = true;
+      return;
+    }
+    this._stopped = false;
+    const first = this._samples[0].aisTimestamp;
+    simulationClock.install({ startMs: first, speed: this.speed });
+    this.logger.log(
+      `🎬 [SIMULATION] Spelar upp ${label || 'korpus'}: ${this._samples.length} prov från `
+      + `${new Date(first).toISOString()} i ${this.speed}×`,
+    );
+    this._flankUp();
+    this._pump();
+  }
+
+  /**
+   * Stoppa uppspelningen och återställ den verkliga klockan.
+   */
+  disconnect() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    const wasRunning = !this._stopped;
+    this._stopped = true;
+    if (simulationClock.isInstalled()) simulationClock.uninstall();
+    if (wasRunning) this.logger.log('🛑 [SIMULATION] Uppspelningen stoppad');
+    this._flankDown('intentional disconnect', 1000);
+  }
+
+  /**
+   * NO-OP: korpusen har ingen credential (muxens symmetriska fan-out).
+   * @returns {Promise<void>}
+   */
+  async reconnectWithKey() {
+    this.logger.debug('🔧 [SIMULATION] reconnectWithKey är en no-op för simuleringskällan');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+
+  /**
+   * Anslutningsstatistik — samma basfält som övriga barn plus
+   * uppspelningsläget.
+   * @returns {object}
+   */
+  getConnectionStats() {
+    const next = this._samples[this._index];
+    return {
+      isConnected: this.isConnected,
+      reconnectAttempts: 0,
+      lastMessageTime: this.lastMessageTime,
+      uptime: this.openedAt ? Date.now() - this.openedAt : 0,
+      timeSinceLastMessage: this.lastMessageTime ? Date.now() - this.lastMessageTime : null,
+      label: this.label,
+      speed: this.speed,
+      total: this._samples.length,
+      position: this._index,
+      nextSampleAt: next ? next.aisTimestamp : null,
+      finished: this._finished,
+      counters: { ...this._counters },
+    };
+  }
+
+  // ==========================================================================
+  // Uppspelning
+  // ==========================================================================
+
+  /**
+   * Leverera alla prov vars tid den virtuella klockan nått, och boka nästa
+   * tick på väggtid (gapet delat med hastigheten).
+   * @private
+   */
+  _pump() {
+    this._timer = null;
+    if (this._stopped) return;
+    while (this._index < this._samples.length && this._samples[this._index].aisTimestamp <= Date.now()) {
+      this._deliver(this._samples[this._index++]);
+      if (this._stopped) return; // en lyssnare kopplade ner källan
+    }
+    if (this._index >= this._samples.length) {
+      this._finished = true;
+      this.logger.log(`🏁 [SIMULATION] Korpusen slut (${this._counters.delivered} prov levererade)`);
+      return;
+    }
+    const gapMs = this._samples[this._index].aisTimestamp - Date.now();
+    this._timer = setTimeout(() => this._pump(), Math.max(1, Math.ceil(gapMs / this.speed)));
+  }
+
+  /** @private */
+  _deliver(s) {
+    if (s.ctrl) {
+      this._counters.ctrl++;
+      if (s.ctrl === 'disconnect') this._flankDown('ctrl disconnect');
+      else if (s.ctrl === 'reconnect') this._flankUp();
+      else this._counters.skipped++;
+      return;
+    }
+    const feed = FEEDS.includes(s.feed) ? s.feed : 'aisstream';
+    this.lastMessageTime = Date.now();
+    this._counters.delivered++;
+    this.emit('ais-message', {
+      mmsi: String(s.mmsi),
+      msgType: s.msgType || 'PositionReport',
+      lat: s.lat,
+      lon: s.lon,
+      sog: s.sog,
+      cog: s.cog,
+      navStatus: s.navStatus,
+      shipName: s.shipName || 'Unknown',
+      timestamp: s.aisTimestamp,
+      fixTs: s.fixTs ?? s.aisTimestamp,
+      fixFeed: feed,
+      fixTsQuality: feed === 'aishub' ? 'true-fix' : 'receipt',
+    }, feed);
+  }
+
+  /** @private */
+  _flankUp() {
+    if (this.isConnected) return;
+    this.isConnected = true;
+    this.openedAt = Date.now();
+    this.emit('connected');
+  }
+
+  /** @private */
+  _flankDown(reason, code = 1006) {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+    this.openedAt = null;
+    this.emit('disconnected', { code, reason: `simulation ${reason}` });
+  }
+}
+
+module.exports = ReplayFeedClient;
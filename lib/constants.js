@@ -17,6 +17,29 @@
  * Alla vinklar är i grader (0-360°).
  */
 
+// =============================================================================
+// VATTENVÄGSPROFIL - GEOGRAFIN LÄSES UR lib/waterways/<id>.json
+// =============================================================================
+// Broar, bro-ordning, målbroar, brogap, trigger-punkter, förtöjningszoner,
+// farledens centerlinje och AIS-boxen nedan BYGGS ur standardprofilen
+// (Trollhättekanalen) — värdena är oförändrade bit för bit. En annan profil
+// väljs i inställningarna (waterway_profile) och aktiveras vid appstart med
+// waterwayProfile.activateProfile, som skriver om samma objekt PÅ PLATS.
+// Motiveringarna till värdena står kvar här vid respektive konstant.
+
+const waterwayProfile = require('./utils/waterwayProfile');
+const DEFAULT_WATERWAY_PROFILE = require('./waterways/trollhattekanalen.json');
+
+// Egen kopia: activateProfile muterar exporterna, inte require-cachen.
+const WATERWAY_PROFILE = JSON.parse(JSON.stringify(DEFAULT_WATERWAY_PROFILE));
+
+// Aktiv vattenväg ({ id, name, profile }).
+const WATERWAY = {
+  id: WATERWAY_PROFILE.id,
+  name: WATERWAY_PROFILE.name,
+  profile: WATERWAY_PROFILE,
+};
+
 // =============================================================================
 // VESSEL DETECTION OCH FILTERING
 // =============================================================================
@@ -155,34 +178,18 @@ const MAX_RECONNECT_DELAY = 5 * 60 * 1000; // 5 minuter
 // =============================================================================
 // Används för att konvertera mellan Flow-kort ID och displaynamn
 
-const BRIDGE_ID_TO_NAME = {
-  kanalinfarten: 'Kanalinfarten',
-  olidebron: 'Olidebron',
-  klaffbron: 'Klaffbron',
-  jarnvagsbron: 'Järnvägsbron',
-  stridsbergsbron: 'Stridsbergsbron',
-  stallbackabron: 'Stallbackabron',
-};
+// Trigger-punkter först (Kanalinfarten), sedan broarna i profilens ordning.
+const BRIDGE_ID_TO_NAME = {};
+for (const [id, point] of Object.entries(WATERWAY_PROFILE.triggerPoints)) BRIDGE_ID_TO_NAME[id] = point.name;
+for (const [id, bridge] of Object.entries(WATERWAY_PROFILE.bridges)) BRIDGE_ID_TO_NAME[id] = bridge.name;
 
-const BRIDGE_NAME_TO_ID = {
-  Kanalinfarten: 'kanalinfarten',
-  Olidebron: 'olidebron',
-  Klaffbron: 'klaffbron',
-  Järnvägsbron: 'jarnvagsbron',
-  Stridsbergsbron: 'stridsbergsbron',
-  Stallbackabron: 'stallbackabron',
-};
+const BRIDGE_NAME_TO_ID = {};
+for (const [id, name] of Object.entries(BRIDGE_ID_TO_NAME)) BRIDGE_NAME_TO_ID[name] = id;
 
 // TRIGGER POINTS: Geografiska triggerpunkter för Flow-kort (ingår INTE i brotext-systemet)
 // Dessa triggar boat_near Flow men påverkar inte brostatus eller brotext.
-const TRIGGER_POINTS = {
-  kanalinfarten: {
-    name: 'Kanalinfarten',
-    lat: 58.26800304269953,
-    lon: 12.26936457556289,
-    radius: 300, // Detektionsradie (meter)
-  },
-};
+// Kanalinfarten: 300 m detektionsradie.
+const TRIGGER_POINTS = WATERWAY_PROFILE.triggerPoints;
 
 // =============================================================================
 // TIMEOUT SETTINGS - CLEANUP TIMEOUTS BASERAT PÅ AVSTÅND
@@ -209,43 +216,12 @@ const TIMEOUT_SETTINGS = {
 // KANALEN: Går i riktning NE-SW (bäring ~40°)
 // BROAR: Står vinkelrätt mot kanalen (bäring ~130°)
 
-const BRIDGES = {
-  olidebron: {
-    name: 'Olidebron',
-    lat: 58.272743083145855, // Sydligaste bron
-    lon: 12.275115821922993,
-    radius: 300, // Detektionsradie (meter)
-    axisBearing: 130, // Bro-orientering (vinkelrätt mot kanal)
-  },
-  klaffbron: {
-    name: 'Klaffbron', // MÅLBRO 1 (öppningsbar)
-    lat: 58.28409551543077,
-    lon: 12.283929525245636,
-    radius: 300,
-    axisBearing: 130,
-  },
-  jarnvagsbron: {
-    name: 'Järnvägsbron',
-    lat: 58.29164042152742,
-    lon: 12.292025280073759,
-    radius: 300,
-    axisBearing: 130,
-  },
-  stridsbergsbron: {
-    name: 'Stridsbergsbron', // MÅLBRO 2 (öppningsbar)
-    lat: 58.293524096154634,
-    lon: 12.294566425158054,
-    radius: 300,
-    axisBearing: 130,
-  },
-  stallbackabron: {
-    name: 'Stallbackabron', // SPECIALFALL: Hög bro utan öppning
-    lat: 58.31142992293701, // Nordligaste bron
-    lon: 12.31456385688822,
-    radius: 300,
-    axisBearing: 125, // Lite annorlunda vinkel
-  },
-};
+// Per bro: name, lat, lon, radius (detektionsradie, 300 m) och axisBearing
+// (bro-orientering vinkelrätt mot kanalen; Stallbackabron 125°). Syd → nord:
+// Olidebron, Klaffbron (MÅLBRO 1, öppningsbar), Järnvägsbron,
+// Stridsbergsbron (MÅLBRO 2, öppningsbar), Stallbackabron (SPECIALFALL: hög
+// bro utan öppning).
+const BRIDGES = WATERWAY_PROFILE.bridges;
 
 // =============================================================================
 // FÖRTÖJNINGSDETEKTERING (2026-06-10)
@@ -281,36 +257,62 @@ const MOORING_DETECTION = {
 // En STATIONÄR båt inom kapseln klassas som förtöjd. Rörliga båtar påverkas
 // aldrig (regeln kräver sog < STATIONARY_SOG_KN), så zonen kan ligga kant i
 // kant med farleden utan att störa passerande/väntande trafik.
-const MOORING_ZONES = [
-  {
-    // Kajen norr om Klaffbron, västra stranden (användarverifierad 2026-06-10):
-    // två kajsegment längs ~100 m, 190–295 m från bron — mitt i väntzonen.
-    // Centrumlinjen går mellan segmentens mittpunkter; 30 m halvbredd täcker
-    // kajsegmenten + GPS-jitter men når inte farledens mitt (~50 m öster ut).
-    name: 'Kajen norr om Klaffbron',
-    start: { lat: 58.285685, lon: 12.285164 },
-    end: { lat: 58.286434, lon: 12.286138 },
-    radiusM: 30,
-  },
-  {
-    // Gästhamnen ~520 m norr om Klaffbron (etapp 7/B3, 2026-08-05).
-    // Both-dygn 1: platsen var dygnets DOMINERANDE falsklarmskälla — 68 % av
-    // all felaktig brotext (CARAT 97,6 min) och flertalet fantomvarningar;
-    // 7 fartyg, 1 842 min stilltid, samtliga med navStatus null/15 så
-    // navstatus-lagret är blint här. Geometrin är DATAHÄRLEDD ur fältdygnen
-    // 2026-08-04/05 (651 stilla-sampel <0,3 kn): centrumlinje längs pontonerna,
-    // 35 m halvbredd täcker 96 % av stillhetsklustret (p05–p95 lat 58.28714–
-    // 58.28767, lon 12.28527–12.28614). Farleden går VÄSTER om hamnen: alla
-    // transitspår ≥5 kn låg ≥40 m väster om linjen (t.ex. 58.2875/12.28499
-    // @7,4 kn) — utanför kapseln. Långsamma in-/utgångsmanövrer (2–3 kn)
-    // passerar genom kapseln men klassas aldrig (stillhetskravet ovan).
-    // Väntzonen för Klaffbron (≤300 m) berörs inte — hamnen ligger ~520 m ut.
-    name: 'Gästhamnen norr om Klaffbron',
-    start: { lat: 58.28714, lon: 12.285705 },
-    end: { lat: 58.28767, lon: 12.285705 },
-    radiusM: 35,
-  },
-];
+// Zonerna (profilens mooringZones):
+//  1. 'Kajen norr om Klaffbron' (radiusM 30)
+//     Kajen norr om Klaffbron, västra stranden (användarverifierad 2026-06-10):
+//     två kajsegment längs ~100 m, 190–295 m från bron — mitt i väntzonen.
+//     Centrumlinjen går mellan segmentens mittpunkter; 30 m halvbredd täcker
+//     kajsegmenten + GPS-jitter men når inte farledens mitt (~50 m öster ut).
+//  2. 'Gästhamnen norr om Klaffbron' (radiusM 35)
+//     Gästhamnen ~520 m norr om Klaffbron (etapp 7/B3, 2026-08-05).
+//     Both-dygn 1: platsen var dygnets DOMINERANDE falsklarmskälla — 68 % av
+//     all felaktig brotext (CARAT 97,6 min) och flertalet fantomvarningar;
+//     7 fartyg, 1 842 min stilltid, samtliga med navStatus null/15 så
+//     navstatus-lagret är blint här. Geometrin är DATAHÄRLEDD ur fältdygnen
+//     2026-08-04/05 (651 stilla-sampel <0,3 kn): centrumlinje längs pontonerna,
+//     35 m halvbredd täcker 96 % av stillhetsklustret (p05–p95 lat 58.28714–
+//     58.28767, lon 12.28527–12.28614). Farleden går VÄSTER om hamnen: alla
+//     transitspår ≥5 kn låg ≥40 m väster om linjen (t.ex. 58.2875/12.28499
+//     @7,4 kn) — utanför kapseln. Långsamma in-/utgångsmanövrer (2–3 kn)
+//     passerar genom kapseln men klassas aldrig (stillhetskravet ovan).
+//     Väntzonen för Klaffbron (≤300 m) berörs inte — hamnen ligger ~520 m ut.
+const MOORING_ZONES = WATERWAY_PROFILE.mooringZones;
+
+// =============================================================================
+// SLUSSAR - SLUSSTRAPPAN SOM EGEN WAYPOINT-TYP
+// =============================================================================
+// Sydgående båtar försvinner in i slusstrappan söder om Olidebron och
+// nordgående dyker upp ur den efter lång väntan. Profilens locks (id →
+// {name, upperGate, lowerGate, queueRadiusM, defaultCycleMinutes}) ger
+// LockComplexService geometrin: kö vid porten, kammaren mellan portarna,
+// utträde på andra sidan. Trollhätte slussars portar är UPPSKATTADE — övre
+// porten ~240 m bortom den västligaste rörelsefixen i korpusarna (58.2651/
+// 12.2603, där sydgående spår lämnade den gamla boxen), nedre porten ~480 m
+// längre VSV. Uppmätta portkoordinater saknas; justera i profilen.
+const LOCKS = WATERWAY_PROFILE.locks || {};
+
+const LOCK_COMPLEX = {
+  // Kammaren: halvbredd (m) runt linjen mellan portarna.
+  CHAMBER_HALF_WIDTH_M: 40,
+  // En båt som dyker upp vid övre porten räknas som slusskund först när den
+  // rör sig mot porten (förtöjda vid infartskajerna gör det aldrig).
+  APPROACH_MIN_SOG_KN: 0.5,
+  APPROACH_MAX_COG_DIFF: 60,
+  // Cykeltiden = median av observerade genomgångar (kö → utträde), efter
+  // MIN_SAMPLES st; dessförinnan profilens defaultCycleMinutes.
+  MIN_SAMPLES: 3,
+  SAMPLE_WINDOW: 20,
+  MIN_CYCLE_MINUTES: 5,
+  MAX_CYCLE_MINUTES: 120,
+  // Farten (knop) ETA:n räknar från övre porten — båten i kammaren står
+  // still, dess egen fart säger inget om resten av resan.
+  EXIT_SPEED_KN: 3,
+  // Utträdd båt behålls så länge (ingen ny genomgång startar), och ett
+  // tillstånd utan observation glöms efter STATE_TTL_MS — en båt som
+  // försvinner in i kammaren ska kunna dyka upp igen i samma genomgång.
+  EXITED_HOLD_MS: 10 * 60 * 1000,
+  STATE_TTL_MS: 3 * 60 * 60 * 1000,
+};
 
 // =============================================================================
 // KÄLLDÖDSLARMET (etapp 7/B2, 2026-08-05)
@@ -334,11 +336,14 @@ const CONNECTION_ALERT = {
 // TARGET OCH INTERMEDIATE BRIDGES
 // =============================================================================
 
-// TARGET BRIDGES: Endast dessa kan tilldelas som målbro (öppningsbara broar)
-const TARGET_BRIDGES = ['Klaffbron', 'Stridsbergsbron'];
+// TARGET BRIDGES: Endast dessa kan tilldelas som målbro (öppningsbara broar),
+// i farledens ordning syd → nord: första namnet är sydgående resors sista
+// målbro, det sista nordgåendes. Fler broar kan befordras i inställningarna
+// (opening_target_bridges, waterwayActivation.promoteTargetBridges).
+const TARGET_BRIDGES = waterwayProfile.targetBridgesInOrder(WATERWAY_PROFILE); // Klaffbron, Stridsbergsbron
 
 // INTERMEDIATE BRIDGES: Aldrig målbro, men kan passeras på vägen
-const INTERMEDIATE_BRIDGES = ['Olidebron', 'Järnvägsbron', 'Stallbackabron'];
+const INTERMEDIATE_BRIDGES = waterwayProfile.intermediateBridges(WATERWAY_PROFILE);
 
 // =============================================================================
 // BRIDGE GAPS - AVSTÅND MELLAN BROAR
@@ -351,24 +356,70 @@ const INTERMEDIATE_BRIDGES = ['Olidebron', 'Järnvägsbron', 'Stallbackabron'];
 // den fysiskt minsta räta linjen (enbart latitudseparationen är ~1264 m) och
 // järnväg–strids 420 var 63 % för högt. Felen matade _calculateCumulativeTime
 // → fler-bro-ETA i bridge_text fel med ±1–3 min vid låga farter.
-const BRIDGE_GAPS = {
-  'olidebron-klaffbron': 1363, // meter (haversine; KORRIGERAT från 950 — fysiskt omöjligt)
-  'klaffbron-jarnvagsbron': 960, // meter
-  'jarnvagsbron-stridsbergsbron': 257, // KORTASTE gap - kritiskt för timing (KORRIGERAT från 420)
-  'stridsbergsbron-stallbackabron': 2310, // KORRIGERAT från 530m (var 335% för lågt)
+// Profilens gap (m): olidebron-klaffbron 1363 (KORRIGERAT från 950 — fysiskt
+// omöjligt), klaffbron-jarnvagsbron 960, jarnvagsbron-stridsbergsbron 257
+// (KORTASTE gap, KORRIGERAT från 420), stridsbergsbron-stallbackabron 2310
+// (KORRIGERAT från 530). validateProfile varnar om ett gap avviker > 10 m
+// från koordinaterna.
+const BRIDGE_GAPS = WATERWAY_PROFILE.gaps;
+
+// NÄRA BROPAR: grannbroar med brogap ≤ 500 m, namn → parbro åt båda hållen.
+// I Trollhättan bara Järnvägsbron ↔ Stridsbergsbron (257 m) — en AIS-cykel
+// kan ta båten från den ena bron till den andra, så FIX U/O/I.1
+// (VesselDataService._setForceWaitingForCloseBridgePair, StatusService)
+// tvingar fram fassekvensen passerat → inväntar → under bron.
+const CLOSE_BRIDGE_PAIRS = waterwayProfile.closeBridgePairs(WATERWAY_PROFILE);
+
+// VATTENVÄGENS ÄNDAR: yttersta bron åt vardera hållet, trigger-punkten
+// bortom den och latituden där en båt lämnat vattenvägen
+// (waterwayProfile.waterwayEnds). I Trollhättan: norr = Stallbackabron,
+// utträde 58.3141 (300 m norr om bron); söder = Olidebron med Kanalinfarten,
+// utträde 58.2653 (300 m söder om trigger-punkten). En resa är genomförd när
+// sista bron i färdriktningen är passerad (VesselLifecycleManager,
+// _hasPassedFinalTargetBridge).
+const WATERWAY_ENDS = waterwayProfile.waterwayEnds(WATERWAY_PROFILE);
+
+// =============================================================================
+// FARLEDENS CENTERLINJE - METER LÄNGS FARLEDEN (CHAINAGE)
+// =============================================================================
+// BRIDGE_GAPS ovan är fågelvägen. Kanalen svänger runt Olidebron och mellan
+// Stridsbergsbron och Stallbackabron: mot den raka bro-till-bro-linjen låg
+// fartygsspåren −110 m mitt emellan Olidebron och Klaffbron och −200 m söder
+// om Stallbackabron. lib/utils/fairway projicerar varje fix på linjen nedan →
+// (chainage = meter längs farleden från Kanalinfarten, sidledsavstånd).
+//
+// Härledd 2026-08-03 ur replaykorpusarna (16 korpusar, 1 843 rörelsefixar
+// med sog ≥ 2 kn): medianposition per 200 m-intervall, 3-punkts glidande
+// medel, itererat tills linjen slutat flytta sig (se täckningskartan,
+// tests/replay-validation/coverageMap.js). Rörelsefixarnas sidledsavstånd:
+// p50 = 7 m, p90 = 21 m, p99 = 118 m. Punkterna går syd → nord.
+// Linjen börjar syd om Kanalinfarten och slutar norr om Stallbackabron så
+// projektionen inte klampas vid kartkanten.
+const FAIRWAY_CENTERLINE = WATERWAY_PROFILE.fairwayCenterline;
+
+const FAIRWAY = {
+  // Korridorens halvbredd (m). p99 för rörelsefixarnas sidledsavstånd är
+  // 118 m; 150 m tar med mötande trafik och kajnära manöver men utesluter
+  // Spikö-ankringen och gästhamnarna. Utanför korridoren faller seglat
+  // avstånd tillbaka på fågelvägen — projektionen säger då inget om var
+  // i farleden båten ligger.
+  CORRIDOR_M: 150,
+  // Sidledsavstånd (m) bortom vilket en båt ligger utanför själva farleden
+  // (kaj, brygga, strand). p90 för transittrafiken är 21 m; kajerna norr om
+  // Klaffbron ligger ~50 m från farledens mitt.
+  BANK_OFFSET_M: 40,
+  // Innanför detta (fågelvägen, m) gäller fågelvägen oförändrad: där
+  // kalibrerades alla närhetströsklar (50/300/500 m), och en projektion på en
+  // sväng kan annars flytta 300 m-korsningen en fix — replayfacit för
+  // boat_near skiftade en minut vid Järnvägsbron och Olidebron.
+  NEAR_BRIDGE_M: APPROACHING_RADIUS,
 };
 
 // =============================================================================
 // BRIDGE SEQUENCE - BRO-ORDNING SYD → NORD
 // =============================================================================
 
-const BRIDGE_SEQUENCE = [
-  'olidebron', // Syd
-  'klaffbron',
-  'jarnvagsbron',
-  'stridsbergsbron',
-  'stallbackabron', // Nord
-];
+const BRIDGE_SEQUENCE = WATERWAY_PROFILE.sequence;
 
 // =============================================================================
 // COG DIRECTIONS - KURS-RIKTNINGAR FÖR MÅLBRO-TILLDELNING
@@ -406,15 +457,14 @@ const AIS_CONFIG = {
   // SSOT (ChatGPT-granskningen 2026-07-10, F1): detta är boxen appen
   // PRENUMERERAR på hos AISstream.io (AISStreamClient._subscribe) OCH
   // inmatningsfiltret i VesselDataService. SOUTH=58.26 ligger medvetet
-  // söder om KANALINFARTEN_EXIT_LAT (58.2653) så sydgående journey-
+  // söder om WATERWAY_ENDS.south.exitLat (58.2653) så sydgående journey-
   // completion kan bevisas med livedata (gamla hårdkodade sydgränsen
   // 58.2681 gjorde den grenen onåbar — sydresor avslutades via timeout).
-  BOUNDING_BOX: {
-    NORTH: 58.32, // Norra gräns (latitud)
-    SOUTH: 58.26, // Södra gräns
-    EAST: 12.32, // Östra gräns (longitud)
-    WEST: 12.26, // Västra gräns
-  },
+  // Boxen HÄRLEDS ur profilen (waterwayProfile.deriveBoundingBox: varje
+  // detektionscirkel och slussportarnas köcirklar, rundad utåt till
+  // hundradels grader) — för Trollhättekanalen N 58.32 / S 58.26 / E 12.32 /
+  // W 12.24 (12.26 före slussmodellen — slusstrappan låg utanför).
+  BOUNDING_BOX: waterwayProfile.deriveBoundingBox(WATERWAY_PROFILE),
 
   // RECONNECT DELAYS: Progressiv fördröjning vid återanslutning (ms)
   // [1s, 2s, 5s, 10s, 30s] - ökar gradvis vid upprepade misslyckanden
@@ -491,6 +541,91 @@ const AIS_CONFIG = {
     LAST_POLL_SETTINGS_KEY: 'aishub_last_poll_at',
   },
 
+  // ==========================================================================
+  // LOKAL NMEA-MOTTAGARE (dAISy/RTL-SDR på kanalkanten, !AIVDM över TCP/UDP)
+  // ==========================================================================
+  NMEA: {
+    // Återanslutning (TCP): 2 → 4 → 8 … tak 60 s. Källan ger aldrig upp —
+    // mottagaren står på samma LAN och kommer tillbaka efter strömavbrott.
+    RECONNECT_BASE_MS: 2000,
+    RECONNECT_MAX_MS: 60000,
+    CONNECT_TIMEOUT_MS: 10000,
+    // Tystnadsgräns: ingen enda giltig mening på så här länge ⇒ halvdöd
+    // TCP-socket rivs och återansluts, UDP-källan flankar ner. Förtöjda
+    // Class A sänder var 180:e s, så 10 min tystnad är aldrig normal drift.
+    SILENT_FEED_MS: 10 * 60 * 1000,
+    SILENCE_CHECK_MS: 30000,
+    // Fragment (typ 5) sänds back-to-back; ett ofullständigt set äldre än
+    // detta kommer aldrig att bli komplett.
+    FRAGMENT_TTL_MS: 5000,
+    FRAGMENT_MAX_OPEN: 50,
+    // Radbuffertens tak — en mening är max 82 tecken (+ TAG-block). En
+    // "rad" utan radslut som växer förbi taket är skräp (fel port/baud).
+    MAX_LINE_BYTES: 1024,
+    // N raka meningar med fel checksumma ⇒ EN server-error per episod.
+    CHECKSUM_FAIL_ALARM: 20,
+  },
+
+  // ==========================================================================
+  // JSON-MOTTAGARE (AIS-catcher /api/ships.json o.likn. över lokal HTTP)
+  // ==========================================================================
+  // En lokal mottagare som redan avkodar själv och serverar en fartygslista
+  // som JSON. Ingen rate-limit att respektera (servern står på samma LAN),
+  // men kedjan har ändå AISHub-klientens disciplin: EN setTimeout-kedja,
+  // single-flight och ombokning i finally.
+  JSON_FEED: {
+    // 10 s: AIS-catchers fartygslista uppdateras löpande; tätare pollning
+    // ger bara fler oförändrade poster att deduplicera.
+    DEFAULT_INTERVAL_MS: 10000,
+    MIN_INTERVAL_MS: 2000,
+    MAX_INTERVAL_MS: 300000,
+    HTTP_TIMEOUT_MS: 10000,
+    MAX_BODY_BYTES: 4 * 1024 * 1024,
+    // Backoff vid fel: fördubbling från pollintervallet, tak 120 s.
+    BACKOFF_MAX_MS: 120000,
+    // 'disconnected' när senaste lyckade svar är äldre än detta ELLER efter
+    // N raka fel (samma semantik som AISHub-klienten).
+    SILENT_FEED_MS: 120000,
+    ERROR_STREAK_DISCONNECT: 3,
+    // AIS-catcher behåller fartyg i listan långt efter sista signalen. En
+    // post vars kända ålder överstiger detta är ingen position längre —
+    // samma gräns som fusionens F4b så ingen källa får leverera äldre.
+    MAX_RECORD_AGE_MS: 10 * 60000 + 120000,
+    // Dedup-kartan (mmsi → senaste fixTs/innehåll): TTL = MAX_RECORD_AGE_MS
+    // + 60 s, hårt tak med prune på äldst kända fix.
+    DEDUP_MAX_ENTRIES: 2000,
+    // En åldershärledd fixtid (receivedAt − last_signal) fladdrar mellan
+    // pollarna: last_signal är hela sekunder och mottagningen har HTTP-
+    // latens. Samma rapport re-serverad ska ändå kännas igen som samma.
+    AGE_DEDUP_TOLERANCE_MS: 1500,
+    // Batchspridning som AISHub-klienten (jump-tallyn får aldrig se en storm).
+    EMIT_SPREAD_MS: 150,
+    // Förinställd fältmappning: AIS-catchers /api/ships.json
+    // ({ships: [{mmsi, lat, lon, speed, cog, status, shipname, last_signal,
+    // …}]}). last_signal är sekunder sedan senaste mottagning.
+    DEFAULT_MAPPING: {
+      records: 'ships',
+      mmsi: 'mmsi',
+      lat: 'lat',
+      lon: 'lon',
+      sog: 'speed',
+      cog: 'cog',
+      navStatus: 'status',
+      shipName: 'shipname',
+      time: null,
+      age: 'last_signal',
+      shipType: 'shiptype',
+      toBow: 'to_bow',
+      toStern: 'to_stern',
+      toPort: 'to_port',
+      toStarboard: 'to_starboard',
+      draught: 'draught',
+      destination: 'destination',
+      callSign: 'callsign',
+      imo: 'imo',
+    },
+  },
+
   // ==========================================================================
   // SKUGGMÄTNINGEN — SHADOW_COMPARE (kalibrerad efter fältprov 2, 2026-08-02)
   // ==========================================================================
@@ -587,6 +722,11 @@ const AIS_CONFIG = {
     // 90 s spänner en hel pollcykel med marginal.
     FEED_SWITCH_DIST_M: 150,
     FEED_SWITCH_WINDOW_MS: 90000,
+    // F5 per par (FixFusionPolicy.derivePairPolicy): fönstret måste spänna
+    // den LÅNGSAMMASTE deklarerade kadensen i paret plus marginal. AISHubs
+    // 65 s + 25 s = exakt dagens 90 s; en JSON-källa pollad var 120:e s får
+    // 145 s i stället för ett fönster som aldrig hinner se bytet.
+    FEED_SWITCH_CADENCE_MARGIN_MS: 25000,
     // Per-MMSI-fusionsstate: TTL + hårt tak (LRU på senast accepterade fix,
     // fynd 15) — prunas i monitoring-takt.
     STATE_TTL_MS: 10 * 60000 + 120000 + 60000,
@@ -646,6 +786,52 @@ const AIS_CONFIG = {
     // (allowedPositionChangeM växer linjärt med dt).
     CROSS_FEED_MAX_FIX_DT_EXCESS_MS: 300000,
   },
+
+  // ==========================================================================
+  // KÄLLREGISTRET — feeddeklarationer och lägestabellen (FeedRegistry)
+  // ==========================================================================
+  // Muxen hade två fasta barn och fusionens asymmetri (F6) var skriven för
+  // exakt aisstream mot AISHub — en tredje mottagare krävde ändringar i
+  // kärnan. Nu DEKLARERAR varje feed prioritet, tidskvalitet, kadens och
+  // förtroende, och reglerna per källpar härleds ur deklarationerna
+  // (FixFusionPolicy.derivePairPolicy). ais_source är en rad i MODES.
+  FEEDS: {
+    // Standarddeklaration per feedtyp. priority: lägre = föredras
+    // (rapportordningen — fusionen är fortfarande "färskaste fix vinner").
+    // cadenceMs: null = push/mottagning, annars pollintervallet.
+    // JSON-källans tidskvalitet och intervall kommer ur dess konfiguration.
+    KINDS: {
+      aisstream: { priority: 10, timestampQuality: 'receipt', cadenceMs: null },
+      nmea: { priority: 20, timestampQuality: 'receipt', cadenceMs: null },
+      json: { priority: 30, timestampQuality: 'receipt', cadenceMs: null },
+      aishub: { priority: 40, timestampQuality: 'true-fix', cadenceMs: 65000 }, // = AISHUB.POLL_INTERVAL_MS
+    },
+    // De fyra molnlägena som konfigurationer. trust: 'primary' matar
+    // pipelinen och berörs aldrig av F6; 'secondary' matar bakom F6;
+    // 'shadow' jämförs bara. fusion: true ⇒ fusionsvägen även när bara en
+    // feed levererar (both utan aisstream-nyckel, dagens beteende).
+    // shadowPairs: [referens, jämförd] — referensens MOTTAGNING mäts mot den
+    // jämfördas fixtid (SHADOW_COMPARE:s fixLag/race).
+    MODES: {
+      aisstream: {
+        feeds: { aisstream: 'primary' },
+        shadowPairs: [],
+      },
+      shadow: {
+        feeds: { aisstream: 'primary', aishub: 'shadow' },
+        shadowPairs: [['aisstream', 'aishub']],
+      },
+      both: {
+        feeds: { aisstream: 'primary', aishub: 'secondary' },
+        fusion: true,
+        shadowPairs: [['aisstream', 'aishub']],
+      },
+      aishub: {
+        feeds: { aishub: 'secondary' },
+        shadowPairs: [],
+      },
+    },
+  },
 };
 
 // =============================================================================
@@ -679,7 +865,9 @@ const PASSAGE_TIMING = {
 // Därför används speciella meddelanden istället för "inväntar broöppning"
 
 const STALLBACKABRON_SPECIAL = {
-  BRIDGE_NAME: 'Stallbackabron',
+  // Profilens höga bro (highBridge); null = profilen har ingen, och ingen
+  // bro får specialbehandlingen.
+  BRIDGE_NAME: waterwayProfile.highBridgeName(WATERWAY_PROFILE),
   NEVER_SHOW_WAITING: true, // Visar ALDRIG "inväntar broöppning"
   USE_SPECIAL_MESSAGES: true, // Använder "åker strax under" och "passerar"
   ALWAYS_SHOW_TARGET_ETA: true, // Visar alltid ETA till målbro
@@ -826,24 +1014,37 @@ const BRIDGE_OPENING = {
   // ---------------------------------------------------------------------
   // BEVÄPNINGSHORISONT — hur långt ut evidens börjar samlas
   // ---------------------------------------------------------------------
-  // 2500 m. Slutkalibreringen (dig11) ger 245/245 målbropassager varnade
-  // FÖRE passagen (100 %) vid ARM=2500. Samma motor med ARM=2000 gav
-  // 242/245 utan beväpningsgrind (dig7) och 232/245 med rörelsegrind
-  // (dig8, 13 missar — bl.a. nattens NANNA/SALTYX). Horisonten kostar
-  // väntetid i tystnad: en beväpnad båt behöver ALDRIG överleva mer än
-  // ARM_MAX_DISTANCE_M / DEADLINE_MAX_SPEED_KN − WARNING_LEAD_MS = 306 s
-  // radiotystnad för att hinna avfyra (dig11 mätte MAX 319 s — skillnaden
-  // är tick-rastreringen, ≤30 s). Bortom 2500 m börjar horisonten svälja
-  // Olidebron-trafik som ännu inte valt målbro, och deadline-väntan växer
-  // linjärt utan att täckningen kan bli bättre än 100 %.
-  ARM_MAX_DISTANCE_M: 2500,
+  // 2500 m fågelväg (2520 m seglat, se nedan). Slutkalibreringen (dig11)
+  // ger 245/245 målbropassager varnade FÖRE passagen (100 %) vid ARM=2500.
+  // Samma motor med ARM=2000 gav 242/245 utan beväpningsgrind (dig7) och
+  // 232/245 med rörelsegrind (dig8, 13 missar — bl.a. nattens NANNA/SALTYX).
+  // Horisonten kostar väntetid i tystnad: en beväpnad båt behöver ALDRIG
+  // överleva mer än
+  // ARM_MAX_DISTANCE_M / DEADLINE_MAX_SPEED_KN − WARNING_LEAD_MS = 310 s
+  // radiotystnad för att hinna avfyra (dig11 mätte MAX 319 s vid 2500 m —
+  // skillnaden är tick-rastreringen, ≤30 s). Längre ut börjar horisonten
+  // svälja Olidebron-trafik som ännu inte valt målbro, och deadline-väntan
+  // växer linjärt utan att täckningen kan bli bättre än 100 %.
+  //
+  // SEGLAT AVSTÅND (fairway.sailedDistanceM). Kalibreringen ovan gjordes på
+  // fågelvägen; horisonten är omräknad till farledsmetrar, inte omsvept.
+  // Fågelvägens 2500 m-cirkel skär farleden 2511–2526 m seglat från
+  // målbroarna (Klaffbron norr 2511, Stridsbergsbron norr 2512 / söder
+  // 2526) ⇒ 2520 m. Gränsen är skarp åt båda håll i korpusarna:
+  // 265757880 @ Klaffbron 2026-07-08 08:32 låg 2494 m fågelväg / 2505 m
+  // seglat och MÅSTE beväpnas där (annars slogs hennes söderöppning ihop med
+  // en norrgående varning), medan 211690580 @ Klaffbron 2026-07-10 10:42
+  // låg 2523 / 2532 m och INTE får bli medlem i 10:42-varningen (hon låg
+  // sedan still och passerade 11:44). Kvoten seglat/fågelväg över anflygningssamplen
+  // 300–2500 m: median 1,004, p90 1,012, MAX 1,03.
+  ARM_MAX_DISTANCE_M: 2520,
 
   // Släppradie med hysteres (samma filosofi som STATUS_HYSTERESIS, där
   // set/clear-paret är 480/580 ≈ ×1,21): en beväpnad båt släpps först
   // bortom ×1,2 av beväpningsradien, så en båt som guppar kring gränsen
   // inte av- och återbeväpnas (och därmed inte kan generera en ANDRA
-  // varning för samma anflygning).
-  ARM_RELEASE_DISTANCE_M: 3000,
+  // varning för samma anflygning). 2520 × 1,2 = 3024 m seglat.
+  ARM_RELEASE_DISTANCE_M: 3024,
 
   // ---------------------------------------------------------------------
   // DEADLINE-MOTORN ("äggklockan") — tidigast möjliga ankomst
@@ -870,6 +1071,13 @@ const BRIDGE_OPENING = {
   // En ren avståndsformel har dessutom en avgörande bieffekt: den fungerar
   // IDENTISKT för fartgivarlösa båtar (sog = null), den fartygsklass som
   // fällt fyra tidigare granskningsrundor.
+  //
+  // Omprövat på SEGLAT avstånd (samma formel, d mätt längs farleden;
+  // anflygningssampel ≤2500 m i 16 korpusar): veff median 2,36 kn (fågelväg
+  // 2,31), p90 4,50 (4,48), p99 6,30 (6,28) — och exakt samma enda brott
+  // vid 10 kn (218023240, positionsglitch med 33 kn maxfart). Seglat är
+  // aldrig kortare än fågelvägen, så deadline blir bara marginellt senare
+  // (≤3 %) och taket står sig.
   DEADLINE_MAX_SPEED_KN: 10,
 
   // 180 s. Varningen ska ligga minst så här långt före TIDIGAST MÖJLIGA
@@ -955,8 +1163,8 @@ const BRIDGE_OPENING = {
   // LIVSLÄNGD OCH MINNE
   // ---------------------------------------------------------------------
   // 30 min utan observation ⇒ armen släpps. Måste ligga LÅNGT över den
-  // längsta tystnad en arm behöver överleva för att hinna avfyra (306 s
-  // teoretiskt, 336 s inklusive tick-rastrering) — 30 min är 5,4× det.
+  // längsta tystnad en arm behöver överleva för att hinna avfyra (310 s
+  // teoretiskt, 340 s inklusive tick-rastrering) — 30 min är 5,3× det.
   // Värdet är medvetet identiskt med TIMEOUT_SETTINGS.ACTIVE_JOURNEY_MIN:
   // en arm ska aldrig överleva det fartyg den beskriver.
   ARM_STALE_TTL_MS: 30 * 60 * 1000,
@@ -988,14 +1196,24 @@ const BRIDGE_OPENING = {
   // därmed fyra varningen omedelbart med en eta_minutes ur en annan tid.
   MAX_FIX_ANCHOR_AGE_MS: 10 * 60000 + 120000,
 
-  // MÅLBROKEDJAN: beväpna även mot NÄSTA målbro i färdriktningen, inte bara
-  // mot fartygets aktuella targetBridge. Skälet är att kedjan annars bryts av
+  // ---------------------------------------------------------------------
+  // DÖDRÄKNINGEN — hur gammal tystnad får en prognos stå på?
+  // ---------------------------------------------------------------------
+  // Samma gräns som DEAD_RECKONING.MAX_SILENCE_MS och boat_near-lagrets
+  // stale-grind (UI_CONSTANTS.STALE_ETA_HARD_THRESHOLD_MS): bortom 10 min
+  // tystnad är prognosen inte längre ett bevis och får varken beväpna eller
+  // tidigarelägga en avfyrning. Fixets egen v_max-deadline gäller ändå.
+  PREDICTION_MAX_SILENCE_MS: 10 * 60 * 1000,
+
+  // MÅLBROKEDJAN: beväpna även mot målbroarna FRAMFÖR i färdriktningen, inte
+  // bara mot fartygets aktuella targetBridge (med en befordrad Järnvägsbron
+  // alltså båda de bortre; ARM_MAX_DISTANCE_M begränsar räckvidden). Skälet är att kedjan annars bryts av
   // TYSTNAD: en båt som passerar Klaffbron norrut och sedan tystnar hinner
   // aldrig få ett enda fix med targetBridge = Stridsbergsbron, och den
   // öppningen blir ovarnad trots att båten var perfekt observerad hela vägen
   // fram (mätt: ELFKUNGEN, SILVERMORK II, DIANA m.fl. i korpusarna).
   // Broarna ligger 1217 m isär (BRIDGE_GAPS klaff–järnväg 960 + järnväg–strids
-  // 257) — väl inom beväpningshorisonten 2500 m, så den bortre armen vilar på
+  // 257) — väl inom beväpningshorisonten 2520 m, så den bortre armen vilar på
   // ett RIKTIGT fix med RIKTIG geometri; ingen syntetisk position skapas.
   // Fullföljandegraden är hög: 95 av 119 kedjade målbropassager (79,8 %) följs
   // av nästa målbros passage inom 45 min (mediantransit 780 s), och de 24 som
@@ -1040,17 +1258,310 @@ const BRIDGE_OPENING = {
   // bron påverkas aldrig (produktprincipens uttryckliga undantag).
   QUAY_STAY_MIN_MS: 5 * 60 * 1000,
 
+  // ---------------------------------------------------------------------
+  // BRON KLAR (bridge_opening_over) — uppskattad vägavstängning
+  // ---------------------------------------------------------------------
+  // Vägtrafiken stängs innan ledbåten passerar och släpps först när bron
+  // sänkts efter den sista. Servicen ser bara PASSAGERNA, så avstängningen
+  // uppskattas som (sista − första passagen) + dessa två nominella tillägg:
+  // bommar ner + brolyft före första passagen, brosänkning + bommar upp
+  // efter den sista. Nominella värden, inte kalibrerade mot mätdata —
+  // tokenen heter därför "uppskattad" i kortet.
+  CLEAR_CLOSURE_LEAD_MS: 3 * 60 * 1000,
+  CLEAR_CLOSURE_TAIL_MS: 2 * 60 * 1000,
+
+  // ---------------------------------------------------------------------
+  // VÄGAVSTÄNGNINGSPROGNOSEN (bridge_opening_soon + per-bro-enheterna)
+  // ---------------------------------------------------------------------
+  // Bilisten bryr sig om när VÄGEN stängs och öppnar, inte om båtens ETA.
+  // Prognosen köar öppningens medlemmar genom bron i förväntad ankomstordning
+  // med minst ett PASSAGEAVSTÅND emellan, och lägger på tilläggen ovan.
+  // Avståndet kalibreras ur uppmätta tider mellan på varandra följande
+  // passager i SAMMA öppning; tills underlaget räcker gäller startvärdet.
+  // 60 s är nominellt (en båtlängd plus säkerhetsavstånd i 3–5 kn), inte
+  // uppmätt — därav kalibreringen.
+  ROAD_CLOSURE_DEFAULT_SPACING_MS: 60 * 1000,
+  // Så många prov innan medianen ersätter startvärdet, och högst så många
+  // sparade (äldsta faller bort först; inget persisteras över omstart).
+  ROAD_CLOSURE_MIN_SPACING_SAMPLES: 5,
+  ROAD_CLOSURE_MAX_SPACING_SAMPLES: 50,
+  // Efterhandsbedömningen: så många avslutade öppningar behålls för
+  // felstatistiken (getStats().roadClosure).
+  ROAD_CLOSURE_MAX_SCORES: 50,
+
   // Dokumenterat antagande: deadline-utvärderingen drivs av app.js
   // 30 s-watchdog. Konstanten används av tester och av ledtidskommentarerna
   // ovan — den SÄTTER inte intervallet (det ägs av _initializeCoalescingSystem).
   TICK_INTERVAL_MS: 30 * 1000,
 };
 
+// =============================================================================
+// PER-BRO-ENHETER (drivers/bridge)
+// =============================================================================
+// En parbar enhet per bro, så Insights och dashboard kan visa Klaffbron
+// oberoende av Stridsbergsbron. Järnvägsbron/Olidebron är valbara — de är
+// aldrig målbro i dag, så deras ETA/nästa öppning är okänd och enheten visar
+// bara närvaro (båt vid bron) tills bron kan bli målbro.
+const BRIDGE_DEVICE = {
+  // Broar som kan paras, i kanalordning (bro-id:n ur BRIDGES). Den höga bron
+  // (Stallbackabron) öppnar aldrig och får ingen enhet.
+  BRIDGE_IDS: WATERWAY_PROFILE.sequence.filter((id) => id !== WATERWAY_PROFILE.highBridge),
+  // Speglar drivers/bridge/driver.compose.json — onInit-migreringen och
+  // självläkningens friskförklaring (_writeCapabilityToDevices) läser listan.
+  CAPABILITIES: [
+    'alarm_generic', 'measure_eta_minutes', 'vessel_count', 'next_opening_at', 'road_closes_at', 'road_reopens_at',
+  ],
+  // Visningsvärde för next_opening_at och vägavstängningen när ingen öppning
+  // är förväntad.
+  NO_OPENING_TEXT: '–',
+};
+
+// =============================================================================
+// BEVAKNINGSLISTAN (watched_vessel_event)
+// =============================================================================
+// Användarens lista med MMSI eller namn (settings `vessel_watchlist`).
+// Kortet avfyras vid fyra händelser; varje (båt, händelse, bro) spärras en
+// stund så att en Class B-båt som återföds efter timeout (ENTERED-cykler var
+// tredje minut kring kajerna) inte notifierar om och om igen.
+const WATCHLIST = {
+  EVENTS: ['entered', 'target', 'armed', 'passed'],
+  EVENT_COOLDOWN_MS: 30 * 60 * 1000,
+  // Settings-posten är handskriven — tak så den inte växer obegränsat.
+  MAX_ENTRIES: 50,
+};
+
+// =============================================================================
+// TYSTA TIMMAR OCH SNOOZE (boat_near + bridge_opening_soon)
+// =============================================================================
+// Undertryckta notiser bokförs i en sammanfattning som levereras när ingen
+// tystnad längre gäller (quiet_hours_digest). Dedupen påverkas INTE — en
+// undertryckt notis räknas som levererad.
+const QUIET_HOURS = {
+  // Högst så många scheman i settings-posten.
+  MAX_SCHEDULES: 10,
+  // Snooze-kortets tak (12 h) — längre än så är ett schema.
+  MAX_SNOOZE_MINUTES: 720,
+  // Sammanfattningens tak; äldsta poster faller bort först.
+  MAX_DIGEST_ENTRIES: 100,
+  // Så många rader listas i summary-token (resten räknas bara).
+  DIGEST_SUMMARY_LINES: 10,
+};
+
+// =============================================================================
+// ÖPPNINGSRESTRIKTIONER (rusningstrafik, säsongstider, helgdagar)
+// =============================================================================
+// Broar som inte öppnas under spärrade fönster (settings bridge_restrictions,
+// se BridgeRestrictionService). Tom kalender = dagens beteende; repot bär
+// inga officiella öppettider, så standarden är tom.
+const OPENING_RESTRICTIONS = {
+  // Högst så många fönster per bro och helgdagar i kalendern.
+  MAX_RULES_PER_BRIDGE: 20,
+  MAX_HOLIDAYS: 100,
+  // Angränsande fönster (07:00–08:00 + 08:00–09:00) kedjas — högst så många.
+  MAX_CHAINED_WINDOWS: 8,
+};
+
+// =============================================================================
+// DÖDRÄKNING (tysta fartyg, DeadReckoningService)
+// =============================================================================
+// En tyst Klass B-båt flyttas framåt längs farledens centerlinje på sin
+// senaste fart och kurs. Prognosen är flaggad (vessel._predictedPosition) och
+// ersätter ALDRIG ett verkligt fix; förtroendet halveras var HALF_LIFE.
+const DEAD_RECKONING = {
+  // Tystare än så = fixet är fortfarande sanningen (Klass B sänder var 30 s
+  // i gång, var 3:e min stilla).
+  MIN_SILENCE_MS: 60 * 1000,
+  // Samma gräns som ETA_STALE_HARD — bortom den visar texten "ETA okänd".
+  MAX_SILENCE_MS: 10 * 60 * 1000,
+  // Samma golv som Fix G-extrapoleringen: under 1 kn finns ingen framdrift.
+  MIN_SPEED_KN: 1.0,
+  // Fart/kurs-historiken som räknas (före fixet).
+  HISTORY_WINDOW_MS: 5 * 60 * 1000,
+  // Kursen måste ligga inom så många grader från farledens riktning — en
+  // båt som korsar eller vänder har ingen riktning längs farleden.
+  MAX_OFF_AXIS_DEG: 60,
+  CONFIDENCE_HALF_LIFE_MS: 3 * 60 * 1000,
+  // Under detta förtroende lämnas ingen prognos (≈ 6 min tystnad vid jämn fart).
+  MIN_CONFIDENCE: 0.25,
+  // boat_near på prognos kräver tystnad minst så länge som en STILLA Klass B
+  // sänder (var 3:e min). Kortare tystnad är förenlig med att båten stannat
+  // och bara glesat ut sändningen — prognosen bevisar då ingen ankomst till
+  // 300 m-zonen (265819940 2026-07-11: stannade vid kaj 380 m från
+  // Klaffbron, prognosen efter 137 s hade notifierat).
+  BOAT_NEAR_MIN_SILENCE_MS: 3 * 60 * 1000,
+};
+
+// =============================================================================
+// KALMAN-SKUGGAN (spårutjämning bredvid GPSJumpAnalyzer, TrackKalmanService)
+// =============================================================================
+// Ett konstant-hastighetsfilter per fartyg i ett lokalt metersystem. Det körs
+// i SKUGGLÄGE: innovationsgrinden jämförs med jumpgrindens beslut och
+// skillnaderna loggas, men ingen position, status eller notis påverkas.
+const KALMAN_SHADOW = {
+  // Mätbrus för en AIS-position (1σ). Klass B och brokonstruktionernas
+  // flervägsfel ligger kring 10–20 m.
+  POSITION_SIGMA_M: 15,
+  // Mätbrus för hastigheten ur sog/cog (1σ, m/s per axel).
+  VELOCITY_SIGMA_MPS: 0.5,
+  // Processbrus: vit acceleration (1σ). En kanalbåt som bromsar in vid en
+  // bro eller vänder ligger under 0,2 m/s².
+  ACCELERATION_SIGMA_MPS2: 0.15,
+  // Under denna fart är cog brus — hastigheten mäts då som (0, 0) med
+  // osäkerheten vidgad av den rapporterade farten.
+  MIN_COURSE_SPEED_KN: 1.0,
+  // Initial hastighetsosäkerhet (1σ) när första fixet saknar sog/cog.
+  INITIAL_VELOCITY_SIGMA_MPS: 3,
+  // Innovationsgrindar (Mahalanobis d², χ² med 2 frihetsgrader):
+  // 9,21 = 99 % ⇒ "accept_with_caution", 18,42 = 99,99 % ⇒ "gps_jump_detected".
+  CAUTION_D2: 9.21,
+  JUMP_D2: 18.42,
+  // Efter så många förkastade fix i rad startas spåret om på det nya fixet
+  // (båten ÄR där — jumpgrinden accepterar också efter ett hopp).
+  MAX_CONSECUTIVE_REJECTS: 2,
+  // Längre glapp än så = nytt spår (samma gräns som dödräkningens tystnad).
+  MAX_GAP_MS: 10 * 60 * 1000,
+  // Högst så många oenigheter sparas som exempel i sammanställningen.
+  MAX_EXAMPLES: 50,
+};
+
+// =============================================================================
+// INLÄRDA FARTPROFILER (återkommande trafik, SpeedProfileService)
+// =============================================================================
+// Turbåtar och pråmar passerar varje vecka i nästan samma fart. Profilen per
+// MMSI bär den EFFEKTIVA farten (seglat avstånd / tid mellan två bekräftade
+// bropassager) per broavsnitt och riktning och blandas med live-SOG i ETA:n.
+const SPEED_PROFILES = {
+  // Rimlighetsgränser för ett prov: under MIN är avsnittet ett uppehåll
+  // (förtöjd mellan broarna), över MAX ett tidsfel.
+  MIN_SAMPLE_SPEED_KN: 1.0,
+  MAX_SAMPLE_SPEED_KN: 12,
+  // Kortare avsnitt ger för brusig tid (Järnvägsbron–Stridsbergsbron).
+  MIN_SEGMENT_M: 300,
+  // Längre mellan passagerna = inte samma genomfart.
+  MAX_SEGMENT_MS: 2 * 60 * 60 * 1000,
+  // Så många prov per avsnitt och riktning krävs innan profilen används.
+  MIN_SAMPLES: 3,
+  // Profilens andel av farten vid fullt underlag; når full andel vid
+  // FULL_WEIGHT_SAMPLES prov (linjärt från MIN_SAMPLES).
+  BLEND_WEIGHT: 0.5,
+  FULL_WEIGHT_SAMPLES: 6,
+  // Under denna live-fart blandas ingenting in — väntande och förtöjda båtars
+  // ETA är designad på sin egen fart.
+  MIN_LIVE_SPEED_KN: 1.0,
+  // Storlek och åldrande: nyaste proven behålls, gamla faller bort.
+  MAX_SAMPLES_PER_SEGMENT: 12,
+  MAX_VESSELS: 300,
+  MAX_AGE_MS: 90 * 24 * 60 * 60 * 1000,
+};
+
+// =============================================================================
+// ETA-INTERVALL (p10/p50/p90, ProgressiveETACalculator.calculateETAInterval)
+// =============================================================================
+// p50 är den publicerade ETA:n; spridningen kommer ur fartens variation,
+// positionsosäkerheten och datats ålder. Övre gränsen är den automationer
+// ska lita på ("hinner jag över Klaffbron?"), så modellen är hellre för bred
+// än för smal.
+const ETA_INTERVAL = {
+  // Normalfördelningens 90 %-kvantil: p10/p90 = p50 ∓ 1,28σ.
+  Z_P90: 1.2816,
+  // Fartens mätbrus (1σ) ovanpå buffertens spridning — även en jämn
+  // SOG-serie är inte exakt.
+  SOG_NOISE_KN: 0.3,
+  // Lägsta fart i den relativa spridningen (samma som kalkylatorns golv).
+  MIN_SPEED_KN: 0.5,
+  // Positionens osäkerhet längs farleden (1σ); vidgas för osäkra fix
+  // (accept_with_caution).
+  POSITION_SIGMA_M: 20,
+  UNCERTAIN_POSITION_SIGMA_M: 60,
+  // Tak för den relativa spridningen: en stillaliggande båt har i praktiken
+  // okänd ankomst, men intervallet ska fortfarande vara läsbart.
+  MAX_RELATIVE_SIGMA: 0.8,
+  // Datats ålder: efter normal AIS-kadens växer osäkerheten med
+  // AGE_SIGMA_PER_MIN minuter (1σ) per minut utan färsk position — båten
+  // kan ha saktat in, stannat eller ökat.
+  AGE_GRACE_MS: 60 * 1000,
+  AGE_SIGMA_PER_MIN: 0.25,
+};
+
+// =============================================================================
+// VARMSTART (settings tracking_snapshot, app.js _persistTrackingSnapshot)
+// =============================================================================
+// Hela spårningstillståndet (fartyg, passage-latchar, ruttordning, ETA-
+// historik, öppningsarmar) överlever en appomstart. Utan det tappade en båt
+// 600 m från Klaffbron både text och varning i flera fix efter varje
+// appuppdatering, medan målbro och rutt byggdes upp från noll.
+const WARM_RESTART = {
+  // Formatversion. Höj vid inkompatibel ändring — en annan version kastas
+  // hellre än tolkas fel (kallstart är dagens beteende, aldrig en krasch).
+  VERSION: 1,
+  // Periodisk skrivning ur watchdogen, som skydd mot krasch/strömavbrott
+  // där onUninit aldrig körs. Samma flash-slitagehänsyn som kajbokföringen:
+  // en hel blob var 5:e minut, och bara när det finns tillstånd att spara
+  // (en tom kanal skriver EN tom snapshot och tystnar sedan).
+  PERSIST_INTERVAL_MS: 5 * 60 * 1000,
+  // Äldre snapshot kastas. 10 min = ETA_STALE_HARD: efter så lång tystnad
+  // dödförklarar appen själv en position, så ett äldre tillstånd vore en
+  // gissning — då är färska fix från kallstart det ärliga valet.
+  MAX_SNAPSHOT_AGE_MS: 10 * 60 * 1000,
+  // Kortaste återstående livslängd för ett återställt fartyg. En båt vars
+  // städtimer löpte ut under omstarten får en pollcykel på sig att höra av
+  // sig innan den städas bort den ordinarie vägen.
+  MIN_CLEANUP_MS: 60 * 1000,
+};
+
+// =============================================================================
+// AIS-INSPELNING I APPEN (settings ais_capture_enabled, AISCaptureService)
+// =============================================================================
+// Replay-fångsten via AIS_REPLAY_CAPTURE_FILE finns bara i lokala
+// run-with-logs.sh-körningar; på en riktig Homey gick varje intressant natt
+// förlorad. Opt-in-läget skriver samma rader (replayRunner-formatet) till
+// roterande gzip-segment i Homeys userdata, med tak och åldersgallring.
+const AIS_CAPTURE = {
+  // Homeys beständiga appkatalog (SDK v3). AIS_CAPTURE_DIR i env går före
+  // (lokal körning och test).
+  DIR: '/userdata/ais-capture',
+  // Ett segment per timme: lagom stort att ladda ned, och en incident hittas
+  // på klockslaget i segmentets namn.
+  SEGMENT_MAX_MS: 60 * 60 * 1000,
+  // Komprimerad storlek då segmentet byts även före timmen (en tät kväll i
+  // fusionsläget ska inte ge ett segment som inte går att hämta).
+  SEGMENT_MAX_BYTES: 2 * 1024 * 1024,
+  // Totaltak för alla segment; äldst raderas först. ~1 MB/dygn komprimerat
+  // i normal trafik, så taket nås bara vid onormalt tät trafik.
+  MAX_TOTAL_BYTES: 20 * 1024 * 1024,
+  // Segment som STARTADE för mer än en vecka sedan raderas — en fältincident
+  // rapporteras i praktiken inom några dagar.
+  MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+  // Raderna buffras i minnet och skrivs som en gzip-medlem per flush:
+  // watchdogen (30 s) flushar, och bufferten flushar själv vid taket.
+  FLUSH_MAX_LINES: 500,
+  // Tak för ETT uppackat segment vid nedladdning/simulering. Ett fullt
+  // segment (2 MB gzip) packar upp till ~15-20 MB; taket håller läsningen
+  // inom Homeys minnesbudget och ger en fullständig timme i normal trafik.
+  READ_MAX_BYTES: 8 * 1024 * 1024,
+};
+
+// =============================================================================
+// SIMULERINGSKÄLLAN (ais_source='simulation', ReplayFeedClient)
+// =============================================================================
+// _simulateTestData (två fejkbåtar efter 5 s) var all testning som gick att
+// göra på enheten. Simuleringsläget spelar en inspelad korpus genom muxen så
+// riktiga enheter och Flow-kort reagerar på en känd natt.
+const SIMULATION = {
+  // Tillåtna uppspelningshastigheter (simulation_speed). 10× och 60×
+  // komprimerar natten; trafiktimrarna (watchdog, städning) går i samma
+  // virtuella takt via simulationClock — se ReplayFeedClient.
+  SPEEDS: [1, 10, 60],
+  DEFAULT_SPEED: 1,
+};
+
 // =============================================================================
 // BRIDGE TEXT CONSTANTS - BRIDGE TEXT MEDDELANDE-REGLER
 // =============================================================================
 
 const BRIDGE_TEXT_CONSTANTS = {
+  // Standardprofilens målbroar; waterwayActivation skriver om texten ur de
+  // aktiva målbroarna (bridgeTextLocale noBoatsNear) vid profilbyte och befordran.
   DEFAULT_MESSAGE: 'Inga båtar är i närheten av Klaffbron eller Stridsbergsbron',
   PASSAGE_CLEAR_WINDOW_MS: 60 * 1000, // 60 sek - "precis passerat" fönster
   VESSEL_DISTANCE_THRESHOLD: 400, // meter - max avstånd för currentBridge
@@ -1124,10 +1635,17 @@ module.exports = {
   INTERMEDIATE_BRIDGES,
   MOORING_DETECTION,
   MOORING_ZONES,
+  LOCKS,
+  LOCK_COMPLEX,
   CONNECTION_ALERT,
   TRIGGER_POINTS,
   BRIDGE_GAPS,
+  CLOSE_BRIDGE_PAIRS,
+  WATERWAY_ENDS,
+  FAIRWAY_CENTERLINE,
+  FAIRWAY,
   BRIDGE_SEQUENCE,
+  WATERWAY,
   COG_DIRECTIONS,
   AIS_CONFIG,
   MOVEMENT_DETECTION,
@@ -1138,6 +1656,17 @@ module.exports = {
   FLOW_CONSTANTS,
   QUAY_DEPARTURE_GATE,
   BRIDGE_OPENING,
+  BRIDGE_DEVICE,
+  WATCHLIST,
+  QUIET_HOURS,
+  OPENING_RESTRICTIONS,
+  DEAD_RECKONING,
+  KALMAN_SHADOW,
+  SPEED_PROFILES,
+  ETA_INTERVAL,
+  WARM_RESTART,
+  AIS_CAPTURE,
+  SIMULATION,
   BRIDGE_TEXT_CONSTANTS,
   STATUS_HYSTERESIS,
 };
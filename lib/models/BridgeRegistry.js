@@ -2,17 +2,23 @@
 
 const {
   BRIDGES, BRIDGE_SEQUENCE, TARGET_BRIDGES,
-  VALIDATION_CONSTANTS, BRIDGE_GAPS,
+  VALIDATION_CONSTANTS, BRIDGE_GAPS, AIS_CONFIG, WATERWAY, LOCKS,
 } = require('../constants');
 const { calculateDistance } = require('../utils/geometry');
+const { bridgeGapM, bridgeChainageM } = require('../utils/fairway');
+const { validateProfile } = require('../utils/waterwayProfile');
 
 /**
  * Bridge Registry - Centralized bridge management
- * Handles bridge lookups, validation, and relationships
+ * Handles bridge lookups, validation, and relationships.
+ * Slussar är en egen waypoint-typ (getLock/getLocks): de ingår inte i
+ * bro-ordningen, brotexten eller passagelogiken — LockComplexService äger
+ * deras tillstånd.
  */
 class BridgeRegistry {
-  constructor(bridges = BRIDGES) {
+  constructor(bridges = BRIDGES, locks = LOCKS) {
     this.bridges = bridges;
+    this.locks = locks || {};
     // OBS: BRIDGE_GAPS finns kvar i constants och används av
     // getDistanceBetweenBridges nedan. Instansfältet bridgeGaps är däremot
     // oanvänt (läses aldrig) och behålls bara för bakåtkompatibilitet.
@@ -106,12 +112,45 @@ class BridgeRegistry {
   }
 
   /**
-   * Get distance between two bridges using centralized BRIDGE_GAPS
+   * Get lock object by ID
+   * @param {string} lockId - Lock ID
+   * @returns {Object|null} {name, upperGate, lowerGate, queueRadiusM, defaultCycleMinutes} or null
+   */
+  getLock(lockId) {
+    return this.locks[lockId] || null;
+  }
+
+  /**
+   * Get all locks with their IDs
+   * @returns {Object[]} Array of lock objects with id
+   */
+  getLocks() {
+    return Object.entries(this.locks).map(([id, lock]) => ({ id, ...lock }));
+  }
+
+  /**
+   * Waypoint type for an ID
+   * @param {string} waypointId - Bridge or lock ID
+   * @returns {'bridge'|'lock'|null}
+   */
+  getWaypointType(waypointId) {
+    if (this.bridges[waypointId]) return 'bridge';
+    if (this.locks[waypointId]) return 'lock';
+    return null;
+  }
+
+  /**
+   * Get sailed distance between two bridges along the fairway centreline,
+   * falling back to centralized BRIDGE_GAPS (straight line)
    * @param {string} fromBridgeId - Starting bridge ID
    * @param {string} toBridgeId - Ending bridge ID
    * @returns {number|null} Distance in meters or null if gap not defined
    */
   getDistanceBetweenBridges(fromBridgeId, toBridgeId) {
+    // Farledsmodellen först (seglat avstånd, lib/utils/fairway) — för
+    // grannbroar 256–2308 m, ≤1,2 % från fågelvägen.
+    const sailed = bridgeGapM(fromBridgeId, toBridgeId);
+    if (Number.isFinite(sailed) && sailed > 0) return sailed;
     // FIX: Use centralized BRIDGE_GAPS instead of duplicated hardcoded values
     // FIX: Support both directions - try forward key first, then reverse key
     const gapKey = `${fromBridgeId}-${toBridgeId}`;
@@ -257,7 +296,7 @@ class BridgeRegistry {
     // 6. Validate inter-bridge distances
     this._validateInterBridgeDistances(errors, warnings);
 
-    // 7. Validate Göta Kanal system constraints
+    // 7. Validate canal system constraints (the waterway's bounding box)
     this._validateCanalSystemConstraints(errors, warnings);
 
     // 8. Validate target bridge configuration
@@ -266,6 +305,9 @@ class BridgeRegistry {
     // 9. Validate sequence bridge configuration
     this._validateSequenceBridges(errors);
 
+    // 10. Validate the active waterway profile (gaps, trigger points, zones)
+    this._validateWaterwayProfile(errors, warnings);
+
     return {
       valid: errors.length === 0,
       errors,
@@ -427,7 +469,9 @@ class BridgeRegistry {
    * @private
    */
   _validateBridgeOrdering(errors, warnings) {
-    // Check that bridges in sequence are actually ordered south to north by latitude
+    // Ordningen prövas längs farleden (chainage) när båda broarna ligger i
+    // farledsmodellen — en profil vars kanal går söderut eller västerut är
+    // inte fel. Annars faller kontrollen tillbaka på latitud (syd → nord).
     for (let i = 0; i < this.bridgeSequence.length - 1; i++) {
       const currentId = this.bridgeSequence[i];
       const nextId = this.bridgeSequence[i + 1];
@@ -435,6 +479,15 @@ class BridgeRegistry {
       const currentBridge = this.bridges[currentId];
       const nextBridge = this.bridges[nextId];
 
+      const currentS = currentBridge ? bridgeChainageM(currentBridge) : null;
+      const nextS = nextBridge ? bridgeChainageM(nextBridge) : null;
+      if (currentS !== null && nextS !== null) {
+        if (nextS <= currentS) {
+          errors.push(`Bridge ordering error: '${nextId}' (chainage: ${Math.round(nextS)}m) should come after '${currentId}' (chainage: ${Math.round(currentS)}m) along the fairway`);
+        }
+        continue;
+      }
+
       if (currentBridge && nextBridge
           && typeof currentBridge.lat === 'number' && typeof nextBridge.lat === 'number') {
 
@@ -461,15 +514,13 @@ class BridgeRegistry {
   _validateInterBridgeDistances(errors, warnings) {
     const MIN_BRIDGE_DISTANCE = 50; // meters - bridges should not be too close
     const MAX_BRIDGE_DISTANCE = 5000; // meters - bridges should not be too far apart in this canal
-    // Helgranskning 2026-07-06: baslinjen speglar nu koordinaternas haversine
-    // (samma korrigering som BRIDGE_GAPS: 950→1363, 420→257) — tidigare
-    // motsade självtestet de koordinater det skulle validera.
-    const EXPECTED_DISTANCES = {
-      'olidebron-klaffbron': { expected: 1363, tolerance: 100 },
-      'klaffbron-jarnvagsbron': { expected: 960, tolerance: 100 },
-      'jarnvagsbron-stridsbergsbron': { expected: 257, tolerance: 50 },
-      'stridsbergsbron-stallbackabron': { expected: 2310, tolerance: 300 },
-    };
+    // Helgranskning 2026-07-06: baslinjen speglar koordinaternas haversine.
+    // Sedan vattenvägsprofilerna är baslinjen profilens gap (BRIDGE_GAPS) —
+    // tolerans 10 %, minst 50 m (de korta gapen är de timingkritiska).
+    const EXPECTED_DISTANCES = {};
+    for (const [key, gap] of Object.entries(BRIDGE_GAPS)) {
+      EXPECTED_DISTANCES[key] = { expected: gap, tolerance: Math.max(50, Math.round(gap * 0.1)) };
+    }
 
     // Validate distances between consecutive bridges
     for (let i = 0; i < this.bridgeSequence.length - 1; i++) {
@@ -514,50 +565,26 @@ class BridgeRegistry {
   }
 
   /**
-   * Validate Göta Kanal system constraints
+   * Validate canal system constraints (the waterway's bounding box)
    * @param {string[]} errors - Array to collect errors
    * @param {string[]} warnings - Array to collect warnings
    * @private
    */
   _validateCanalSystemConstraints(errors, warnings) {
-    const GOTA_KANAL_BOUNDS = {
-      // Expected bounds for this section of Göta Kanal
-      NORTH: 58.32,
-      SOUTH: 58.26,
-      EAST: 12.32,
-      WEST: 12.26,
-    };
+    // Boxen härleds ur vattenvägsprofilen (constants AIS_CONFIG.BOUNDING_BOX)
+    // — samma box som källorna prenumererar på.
+    const BOUNDS = AIS_CONFIG.BOUNDING_BOX;
 
     // Check all bridges are within the expected canal system bounds
     for (const [bridgeId, bridge] of Object.entries(this.bridges)) {
       if (!bridge || typeof bridge.lat !== 'number' || typeof bridge.lon !== 'number') continue;
 
-      if (bridge.lat < GOTA_KANAL_BOUNDS.SOUTH || bridge.lat > GOTA_KANAL_BOUNDS.NORTH) {
-        warnings.push(`Bridge '${bridgeId}' latitude ${bridge.lat} is outside expected Göta Kanal bounds [${GOTA_KANAL_BOUNDS.SOUTH}, ${GOTA_KANAL_BOUNDS.NORTH}]`);
+      if (bridge.lat < BOUNDS.SOUTH || bridge.lat > BOUNDS.NORTH) {
+        warnings.push(`Bridge '${bridgeId}' latitude ${bridge.lat} is outside the ${WATERWAY.name} bounds [${BOUNDS.SOUTH}, ${BOUNDS.NORTH}]`);
       }
 
-      if (bridge.lon < GOTA_KANAL_BOUNDS.WEST || bridge.lon > GOTA_KANAL_BOUNDS.EAST) {
-        warnings.push(`Bridge '${bridgeId}' longitude ${bridge.lon} is outside expected Göta Kanal bounds [${GOTA_KANAL_BOUNDS.WEST}, ${GOTA_KANAL_BOUNDS.EAST}]`);
-      }
-    }
-
-    // Validate that bridges follow the canal's general orientation
-    // Göta Kanal runs roughly NE-SW, so longitude should generally increase with latitude
-    const bridgeCoords = this.bridgeSequence
-      .map((id) => ({ id, bridge: this.bridges[id] }))
-      .filter(({ bridge }) => bridge && typeof bridge.lat === 'number' && typeof bridge.lon === 'number')
-      .map(({ id, bridge }) => ({ id, lat: bridge.lat, lon: bridge.lon }));
-
-    if (bridgeCoords.length >= 2) {
-      const firstBridge = bridgeCoords[0];
-      const lastBridge = bridgeCoords[bridgeCoords.length - 1];
-
-      // Last bridge should be both north and east of first bridge for this canal section
-      if (lastBridge.lat <= firstBridge.lat) {
-        warnings.push(`Canal orientation warning: Last bridge '${lastBridge.id}' should be north of first bridge '${firstBridge.id}'`);
-      }
-      if (lastBridge.lon <= firstBridge.lon) {
-        warnings.push(`Canal orientation warning: Last bridge '${lastBridge.id}' should be east of first bridge '${firstBridge.id}'`);
+      if (bridge.lon < BOUNDS.WEST || bridge.lon > BOUNDS.EAST) {
+        warnings.push(`Bridge '${bridgeId}' longitude ${bridge.lon} is outside the ${WATERWAY.name} bounds [${BOUNDS.WEST}, ${BOUNDS.EAST}]`);
       }
     }
   }
@@ -614,6 +641,20 @@ class BridgeRegistry {
       seenIds.add(bridgeId);
     }
   }
+
+  /**
+   * Validate the active waterway profile — only for the app's own registry
+   * (constants BRIDGES); test registries with their own bridges skip it.
+   * @param {string[]} errors - Array to collect errors
+   * @param {string[]} warnings - Array to collect warnings
+   * @private
+   */
+  _validateWaterwayProfile(errors, warnings) {
+    if (this.bridges !== BRIDGES) return;
+    const result = validateProfile(WATERWAY.profile);
+    for (const error of result.errors) errors.push(`Waterway '${WATERWAY.id}': ${error}`);
+    for (const warning of result.warnings) warnings.push(`Waterway '${WATERWAY.id}': ${warning}`);
+  }
 }
 
 module.exports = BridgeRegistry;
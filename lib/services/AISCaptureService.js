@@ -0,0 +1,371 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * AISCaptureService — RULLANDE AIS-INSPELNING I APPEN
+ * =============================================================================
+ *
+ * SYFTE
+ * Varje fältincident ska kunna bli en korpus. Replay-fångsten via
+ * AIS_REPLAY_CAPTURE_FILE kräver en lokal run-with-logs.sh-körning; den här
+ * servicen spelar in samma normaliserade rader (app.js
+ * _captureAISReplaySample: mmsi, lat/lon, sog/cog, navStatus, shipName,
+ * aisTimestamp, fixTs, feed, receivedAt) på en riktig Homey.
+ *
+ * SEGMENTEN
+ * Filer `ais-capture-<start>.jsonl.gz` i katalogen, där <start> är
+ * segmentets starttid i kompakt ISO-form (20261019T170253123Z) — även
+ * segmentets id i API:t. Raderna buffras i minnet och varje flush() lägger
+ * till EN gzip-medlem; en fil med flera medlemmar är giltig gzip (`gunzip -c`
+ * och zlib läser hela), och en avbruten skrivning kostar bara den sista
+ * medlemmen. Segmentet byts efter SEGMENT_MAX_MS eller SEGMENT_MAX_BYTES,
+ * och en ny session (omstart, påslag) börjar alltid ett nytt segment.
+ *
+ * ASYNKRONT OCH SERIALISERAT
+ * record() ligger på AIS-intagets väg och flush() på watchdogen: all disk-
+ * I/O (gzip, append, gallring) är asynkron så Homeys händelseloop aldrig
+ * blockeras, och varje skrivning köas bakom den förra (_enqueue) — två
+ * flushar kan aldrig interfoliera gzip-medlemmar eller rotera samma segment
+ * två gånger. Bufferten tas SYNKRONT vid anropet, så ordningen mellan
+ * raderna är anropsordningen.
+ *
+ * GALLRING
+ * Efter varje flush: segment som startade för mer än MAX_AGE_MS sedan
+ * raderas, därefter de äldsta tills summan ryms i MAX_TOTAL_BYTES. Det
+ * aktiva segmentet raderas aldrig.
+ *
+ * NEDLADDNING
+ * readSegment(id) ger segmentet uppackat — exakt den jsonl replayRunner.js
+ * läser (en JSON-rad per prov). Det aktiva segmentet flushas först.
+ * Uppackningen strömmas och stannar vid READ_MAX_BYTES: ett större segment
+ * levereras med de HELA rader som ryms och `truncated: true`, aldrig som
+ * en obegränsad sträng i minnet.
+ *
+ * FEL
+ * Disk-I/O får aldrig fälla AIS-pipelinen: skrivfel loggas en gång per
+ * session och bufferten kastas (inget obegränsat minnesväxande).
+ *
+ * Ingen Homey-import och inga timers — appens watchdog anropar flush();
+ * klockan injiceras.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { AIS_CAPTURE } = require('../constants');
+
+const gzip = promisify(zlib.gzip);
+const access = promisify(fs.access);
+const appendFile = promisify(fs.appendFile);
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const NOOP = () => {};
+const FILE_PREFIX = 'ais-capture-';
+const FILE_SUFFIX = '.jsonl.gz';
+const SEGMENT_ID_PATTERN = /^\d{8}T\d{9}Z$/;
+
+/** Kompakt ISO-stämpel (segment-id) ↔ epoch-ms. @private */
+function toSegmentId(ms) {
+  return new Date(ms).toISOString().replace(/[-:.]/g, '');
+}
+
+/** @private */
+function parseSegmentId(id) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/.exec(id);
+  if (!m) return null;
+  const ms = Date.parse(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}.${m[7]}Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/** @private */
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Packa upp en gzip-fil strömmande, högst maxBytes uppackat. Vid taket
+ * avbryts läsningen och texten kapas efter sista hela raden.
+ * @private
+ * @returns {Promise<{text: string, truncated: boolean}>}
+ */
+function gunzipCapped(file, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const source = fs.createReadStream(file);
+    const gunzip = zlib.createGunzip();
+    const chunks = [];
+    let bytes = 0;
+    let done = false;
+    const finish = (truncated) => {
+      if (done) return;
+      done = true;
+      source.destroy();
+      gunzip.destroy();
+      let text = Buffer.concat(chunks).toString('utf8');
+      if (truncated) text = text.slice(0, text.lastIndexOf('\n') + 1);
+      resolve({ text, truncated });
+    };
+    const fail = (error) => {
+      if (done) return;
+      done = true;
+      source.destroy();
+      gunzip.destroy();
+      reject(error);
+    };
+    gunzip.on('data', (chunk) => {
+      if (done) return;
+      const room = maxBytes - bytes;
+      chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+      bytes += Math.min(chunk.length, room);
+      if (chunk.length > room) finish(true);
+    });
+    gunzip.on('end', () => finish(false));
+    gunzip.on('error', fail);
+    source.on('error', fail);
+    source.pipe(gunzip);
+  });
+}
+
+class AISCaptureService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - segmentkatalog (default AIS_CAPTURE.DIR)
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Function} [options.now] - klockkälla (test)
+   * @param {Object} [options.config] - överskrivning av AIS_CAPTURE (endast test)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    this.config = { ...AIS_CAPTURE, ...(opts.config || {}) };
+    this.dir = opts.dir || this.config.DIR;
+    this._enabled = false;
+    this._buffer = [];
+    // Aktivt segment { id, file, startedAt, bytes } — null tills första flush.
+    this._active = null;
+    // Skrivkön: varje disk-operation kedjas på den förra.
+    this._queue = Promise.resolve();
+    this._writeErrorLogged = false;
+    this._stats = {
+      samples: 0, flushes: 0, writeErrors: 0, segmentsDeleted: 0,
+    };
+  }
+
+  /** @returns {boolean} */
+  isEnabled() {
+    return this._enabled;
+  }
+
+  /**
+   * Slå inspelningen av/på. Av ⇒ bufferten flushas och det aktiva segmentet
+   * stängs; segmenten på disk ligger kvar och går att ladda ned.
+   * @param {boolean} enabled
+   * @returns {Promise<void>} löses när påslagets gallring/avslagets skrivning är klar
+   */
+  setEnabled(enabled) {
+    const next = enabled === true;
+    if (next === this._enabled) return this._queue;
+    if (next) {
+      this._enabled = true;
+      this._writeErrorLogged = false;
+      this.logger.log(`🎙️ [AIS_CAPTURE] Inspelning PÅ → ${this.dir}`);
+      return this._enqueue(() => this._enforceRetention());
+    }
+    const closed = this.close();
+    this._enabled = false;
+    this.logger.log('🎙️ [AIS_CAPTURE] Inspelning AV');
+    return closed;
+  }
+
+  /**
+   * Buffra ett prov (no-op när inspelningen är av).
+   * @param {Object} sample - replay-raden (mmsi krävs)
+   */
+  record(sample) {
+    if (!this._enabled || !sample || !sample.mmsi) return;
+    this._buffer.push(JSON.stringify(sample));
+    this._stats.samples++;
+    if (this._buffer.length >= this.config.FLUSH_MAX_LINES) this.flush();
+  }
+
+  /**
+   * Skriv bufferten som en gzip-medlem i det aktiva segmentet, rotera vid
+   * behov och gallra. Bufferten tas direkt; skrivningen köas. Med tom
+   * buffert löses löftet när kön är tom (allt tidigare är skrivet).
+   * @returns {Promise<number>} antal skrivna rader (0 = inget skrivet)
+   */
+  flush() {
+    if (this._buffer.length === 0) return this._queue.then(() => 0);
+    const lines = this._buffer;
+    this._buffer = [];
+    return this._enqueue(() => this._write(lines));
+  }
+
+  /**
+   * Flusha och stäng det aktiva segmentet (nästa flush börjar ett nytt).
+   * @returns {Promise<void>}
+   */
+  close() {
+    const written = this.flush();
+    return this._enqueue(async () => {
+      await written;
+      this._active = null;
+    });
+  }
+
+  /**
+   * Segmenten på disk, äldst först.
+   * @returns {Promise<{id: string, startedAt: number, bytes: number, active: boolean}[]>}
+   */
+  async listSegments() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch (error) {
+      return []; // ingen katalog = inget inspelat ännu
+    }
+    const segments = [];
+    for (const name of names) {
+      if (!name.startsWith(FILE_PREFIX) || !name.endsWith(FILE_SUFFIX)) continue;
+      const id = name.slice(FILE_PREFIX.length, -FILE_SUFFIX.length);
+      const startedAt = parseSegmentId(id);
+      if (startedAt === null) continue;
+      let bytes = 0;
+      try {
+        bytes = (await stat(path.join(this.dir, name))).size;
+      } catch (error) {
+        continue; // raderad mellan readdir och stat
+      }
+      segments.push({
+        id, startedAt, bytes, active: !!(this._active && this._active.id === id),
+      });
+    }
+    return segments.sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Ett segment uppackat som jsonl (replayRunner-formatet), högst
+   * READ_MAX_BYTES uppackat.
+   * @param {string} id - segment-id ur listSegments()
+   * @returns {Promise<{id: string, startedAt: number, lines: number, jsonl: string,
+   *   truncated: boolean}|null>} null = okänt/ogiltigt id eller oläsbart segment
+   */
+  async readSegment(id) {
+    if (typeof id !== 'string' || !SEGMENT_ID_PATTERN.test(id)) return null;
+    if (this._active && this._active.id === id) await this.flush();
+    const file = path.join(this.dir, `${FILE_PREFIX}${id}${FILE_SUFFIX}`);
+    try {
+      const { text: jsonl, truncated } = await gunzipCapped(file, this.config.READ_MAX_BYTES);
+      if (truncated) {
+        this.logger.log(`⚠️ [AIS_CAPTURE] Segment ${id} kapat vid ${this.config.READ_MAX_BYTES} byte uppackat`);
+      }
+      const lines = jsonl.length === 0 ? 0 : jsonl.split('\n').filter(Boolean).length;
+      return {
+        id, startedAt: parseSegmentId(id), lines, jsonl, truncated,
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error(`⚠️ [AIS_CAPTURE] Kunde inte läsa segment ${id}:`, error.message || error);
+      }
+      return null;
+    }
+  }
+
+  /** @returns {Promise<Object>} räknare + buffert/segmentläge */
+  async getStats() {
+    const segments = await this.listSegments();
+    return {
+      enabled: this._enabled,
+      dir: this.dir,
+      buffered: this._buffer.length,
+      activeSegment: this._active ? this._active.id : null,
+      segmentCount: segments.length,
+      totalBytes: segments.reduce((sum, s) => sum + s.bytes, 0),
+      ...this._stats,
+    };
+  }
+
+  /**
+   * Kedja en disk-operation på kön. Kön själv avvisas aldrig — ett fel i en
+   * operation får inte stoppa nästa.
+   * @private
+   */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(NOOP);
+    return run;
+  }
+
+  /** En gzip-medlem till det aktiva segmentet; fel loggas en gång. @private */
+  async _write(lines) {
+    try {
+      const now = this._now();
+      if (this._active && (now - this._active.startedAt >= this.config.SEGMENT_MAX_MS
+        || this._active.bytes >= this.config.SEGMENT_MAX_BYTES)) {
+        this._active = null;
+      }
+      if (!this._active) this._active = await this._openSegment(now);
+      const chunk = await gzip(`${lines.join('\n')}\n`);
+      await appendFile(this._active.file, chunk);
+      this._active.bytes += chunk.length;
+      this._stats.flushes++;
+      await this._enforceRetention();
+      return lines.length;
+    } catch (error) {
+      this._stats.writeErrors++;
+      if (!this._writeErrorLogged) {
+        this._writeErrorLogged = true;
+        this.logger.error(`⚠️ [AIS_CAPTURE] Skrivfel (${lines.length} rader kastade):`, error.message || error);
+      }
+      return 0;
+    }
+  }
+
+  /** @private */
+  async _openSegment(now) {
+    await mkdir(this.dir, { recursive: true });
+    let startedAt = now;
+    // Två segment samma millisekund (rotation direkt efter påslag) får
+    // aldrig dela fil.
+    while (await exists(path.join(this.dir, `${FILE_PREFIX}${toSegmentId(startedAt)}${FILE_SUFFIX}`))) {
+      startedAt++;
+    }
+    const id = toSegmentId(startedAt);
+    this.logger.debug(`🎙️ [AIS_CAPTURE] Nytt segment ${id}`);
+    return {
+      id, file: path.join(this.dir, `${FILE_PREFIX}${id}${FILE_SUFFIX}`), startedAt, bytes: 0,
+    };
+  }
+
+  /** Ålders- och storleksgallring; det aktiva segmentet skonas. @private */
+  async _enforceRetention() {
+    const now = this._now();
+    const segments = await this.listSegments();
+    let total = segments.reduce((sum, s) => sum + s.bytes, 0);
+    for (const segment of segments) {
+      if (segment.active) continue;
+      const expired = now - segment.startedAt > this.config.MAX_AGE_MS;
+      if (!expired && total <= this.config.MAX_TOTAL_BYTES) continue;
+      try {
+        await unlink(path.join(this.dir, `${FILE_PREFIX}${segment.id}${FILE_SUFFIX}`));
+        total -= segment.bytes;
+        this._stats.segmentsDeleted++;
+        this.logger.debug(`🎙️ [AIS_CAPTURE] Gallrade segment ${segment.id} (${expired ? 'ålder' : 'storlek'})`);
+      } catch (error) {
+        this.logger.error(`⚠️ [AIS_CAPTURE] Kunde inte radera segment ${segment.id}:`, error.message || error);
+      }
+    }
+  }
+}
+
+module.exports = AISCaptureService;
@@ -23,7 +23,7 @@
  *     DEADLINE_MAX_SPEED_KN, mätt från FIXETS tid). Varningen avfyras SENAST
  *     vid tidigast_ankomst − WARNING_LEAD_MS, även i total radiotystnad.
  *  c) TIDIG BEVÄPNING, SEN AVFYRNING. Bevisinsamlingen börjar redan vid
- *     ARM_MAX_DISTANCE_M (2500 m), inte vid 300 m. Tystnad kan ALDRIG
+ *     ARM_MAX_DISTANCE_M (2520 m seglat), inte vid 300 m. Tystnad kan ALDRIG
  *     avväpna — bara motbevis (förtöjningsevidens långt ut, U-sväng,
  *     kajvobbel) eller fullbordad passage. Avfyrningen sker så sent
  *     garantin tillåter, vilket minimerar falsklarmen.
@@ -52,11 +52,35 @@
  * i tystnaden — exakt det fall deadline-motorn finns för), och (3) inget nytt
  * tillstånd att persistera. Servicen LÄSER befintliga fält (targetBridge,
  * _hasMovementProof, _moored, _routeDirection, _finalTargetDirection,
- * passedAt, etaMinutes) och bygger ingen parallell sanning om dem.
+ * passedAt, etaMinutes, _predictedPosition) och bygger ingen parallell
+ * sanning om dem.
  *
- * INGEN PERSISTENS ÖVER OMSTART (v1, dokumenterat val)
- * Armar återskapas inte efter en appomstart. boat_near-lagret är oförändrad
- * fallback, och en omstart följs alltid av färska fix som återbeväpnar.
+ * BRON KLAR (bridge_opening_over)
+ * Den andra flanken av en öppning. Passagerna som bokförs på en händelse
+ * samlas per bro i ett "klarfönster"; när ingen medlem i de händelserna
+ * längre är beväpnad (alla har passerat eller avväpnats) OCH ingen annan
+ * beväpnad båt vid bron har nått sin deadline, är öppningen över och
+ * onClear får fönstrets passager. En avfyrad händelse vars medlemmar alla
+ * avväpnats utan passage stängs på samma villkor, med noll båtar — den som
+ * fick bridge_opening_soon får alltid sin andra flank. Flera händelser som
+ * blir klara i samma utvärdering ger EN klarsignal — vägen öppnar en gång.
+ *
+ * VÄGAVSTÄNGNINGSPROGNOSEN
+ * Varje öppning bär en prognos för när VÄGEN stängs (bommar ner före
+ * ledbåtens ankomst) och öppnar igen (efter den sista medlemmens passage):
+ * medlemmarna köas genom bron i förväntad ankomstordning med minst ett
+ * passageavstånd emellan, kalibrerat ur uppmätta avstånd mellan passager i
+ * samma öppning (se _predictRoadClosure). Prognosen fryses på händelsen vid
+ * avfyrningen och bedöms i efterhand mot de bokförda passagetiderna när
+ * öppningen blir klar.
+ *
+ * VARMSTART (ersätter v1-valet "ingen persistens över omstart")
+ * Armar, händelser, klarfönster och räknare följer med appens spårnings-
+ * snapshot (toJSON/load, settings tracking_snapshot). En avfyrad händelse
+ * återställs MED sin firedAt — den varnar inte om — och eventSeq fortsätter
+ * där den slutade, så eventId:n är entydiga över omstarten. En kallstart
+ * (ingen eller för gammal snapshot) är oförändrat v1: färska fix återbeväpnar
+ * och app.js persistenta öppningsdedup spärrar omvarningen.
  */
 
 const {
@@ -68,13 +92,21 @@ const {
   BRIDGE_OPENING,
   PASSAGE_TIMING,
 } = require('../constants');
-const geometry = require('../utils/geometry');
+const fairway = require('../utils/fairway');
+const snapshotCodec = require('../utils/snapshotCodec');
 
 // Knop → m/s. Samma faktor som resten av kodbasen (1 kn = 1852/3600 m/s).
 const KNOTS_TO_MS = 0.514444;
 
 const NOOP = () => {};
 
+/** Median av en icke-tom talserie. */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
 class BridgeOpeningService {
   /**
    * @param {Object} [options]
@@ -85,6 +117,10 @@ class BridgeOpeningService {
    *   varningen gick ut med båten som medlem, 'absorbed' när hon anslöt till
    *   en redan avfyrad öppning (konvojen). Diagnostik för O1-klassificeringen
    *   — påverkar ingen produktlogik.
+   * @param {Function} [options.onClear] - callback(payload) när en öppning är
+   *   över (se _evaluateClear)
+   * @param {Function} [options.onArm] - callback({mmsi,bridge,name,t,distanceM,etaMinutes})
+   *   när ett fartyg beväpnas mot en bro (en gång per arm)
    * @param {Object} [options.bridges] - BRIDGES-registret (namn/lat/lon)
    * @param {string[]} [options.targetBridges] - öppningsbara broar
    * @param {Function} [options.getDirection] - (vessel) => 'northbound'|'southbound'|'unknown'
@@ -93,6 +129,9 @@ class BridgeOpeningService {
    *   namncachen). B1-användarbeslutet 2026-07-03: aisstreams platshållare
    *   "Unknown" är INTE ett namn och får aldrig nå en token — exakt samma
    *   kedja som boat_near använder (knownName || cache || 'Okänd båt').
+   * @param {Function} [options.getOpeningRestriction] - (bridgeName, atMs) =>
+   *   spärrens slut (ms)|null (BridgeRestrictionService). En ankomst i ett
+   *   spärrfönster flyttar deadline och förväntad öppning till fönstrets slut.
    * @param {Function} [options.now] - klockkälla (test/replay)
    * @param {Object} [options.config] - överskrivning av BRIDGE_OPENING (endast test)
    */
@@ -103,24 +142,23 @@ class BridgeOpeningService {
     };
     this._onWarning = typeof opts.onWarning === 'function' ? opts.onWarning : null;
     this._onCoverage = typeof opts.onCoverage === 'function' ? opts.onCoverage : null;
+    this._onClear = typeof opts.onClear === 'function' ? opts.onClear : null;
+    this._onArm = typeof opts.onArm === 'function' ? opts.onArm : null;
     this._getDirection = typeof opts.getDirection === 'function' ? opts.getDirection : null;
     this._isQuayWobbler = typeof opts.isQuayWobbler === 'function' ? opts.isQuayWobbler : null;
     this._getVesselName = typeof opts.getVesselName === 'function' ? opts.getVesselName : null;
+    this._getOpeningRestriction = typeof opts.getOpeningRestriction === 'function' ? opts.getOpeningRestriction : null;
     this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
     this.config = { ...BRIDGE_OPENING, ...(opts.config || {}) };
 
-    // Namn → koordinat för de öppningsbara broarna. Stallbackabron kan aldrig
-    // hamna här (den är ingen målbro) — bron öppnar aldrig.
-    const bridgeRegistry = opts.bridges || BRIDGES;
-    const targets = Array.isArray(opts.targetBridges) && opts.targetBridges.length
-      ? opts.targetBridges
-      : TARGET_BRIDGES;
+    // Namn → koordinat för de öppningsbara broarna (byts via setTargetBridges).
+    // Stallbackabron kan aldrig hamna här (den är ingen målbro och kan inte
+    // befordras) — bron öppnar aldrig.
+    this._bridgeRegistry = opts.bridges || BRIDGES;
     this._targetBridges = new Map();
-    for (const bridge of Object.values(bridgeRegistry || {})) {
-      if (!bridge || !bridge.name || !targets.includes(bridge.name)) continue;
-      if (!Number.isFinite(bridge.lat) || !Number.isFinite(bridge.lon)) continue;
-      this._targetBridges.set(bridge.name, { name: bridge.name, lat: bridge.lat, lon: bridge.lon });
-    }
+    this._buildTargetBridges(Array.isArray(opts.targetBridges) && opts.targetBridges.length
+      ? opts.targetBridges
+      : TARGET_BRIDGES);
 
     /** @type {Map<string, Object>} armKey ('mmsi::Bro') → arm */
     this._arms = new Map();
@@ -135,8 +173,20 @@ class BridgeOpeningService {
      */
     this._events = new Map();
 
+    /**
+     * @type {Map<string, Object[]>} broNamn → passager ({mmsi, t, eventId})
+     * sedan brons senaste klarsignal. Töms när signalen går ut.
+     */
+    this._clearWindows = new Map();
+
+    /** @type {number[]} uppmätta avstånd (ms) mellan passager i samma öppning */
+    this._closureSpacings = [];
+    /** @type {Object[]} efterhandsbedömda vägavstängningsprognoser, äldst först */
+    this._closureScores = [];
+
     this._eventSeq = 0;
     this._warningCount = 0;
+    this._clearCount = 0;
     this._destroyed = false;
 
     this.logger.debug(
@@ -224,6 +274,88 @@ class BridgeOpeningService {
     }
   }
 
+  /**
+   * Dödräkningens prognos för ett tyst fartyg (vessel._predictedPosition,
+   * DeadReckoningService). Anropas från appens omvärdering.
+   *
+   * Prognosen bokförs på armen ({..., arrivalMs}) för getExpectedOpenings
+   * och snapshoten (bro-enheternas next_opening_at), och dess avstånd går in
+   * i deadline-utvärderingen: pessimistisk ankomst (v_max) och förväntad
+   * ankomst (båtens egen fart) ur PROGNOSEN kan TIDIGARELÄGGA armens
+   * fireDueMs, aldrig skjuta upp den — fixets v_max-deadline är garantin och
+   * står kvar. Det som vinns är den snabba båten med fryst ETA: hennes
+   * FIRE_EXPECTED_ETA_MS-gren hade annars räknats på gårdagens siffra.
+   * Förväntad ankomst (expectedArrivalMs) och konvojgrupperingen vilar på
+   * fixet och rörs inte; en prognos-deadline som redan passerat ger nu (den
+   * tidigaste tidpunkt beviset fanns), inte en bakdaterad avfyrning.
+   *
+   * Prognosen BEVÄPNAR INTE. En båt som tystnade utanför ARM_MAX_DISTANCE_M
+   * har inget sampel inne i horisonten, och en varning på enbart prognos är
+   * exakt öppningsgrindarnas röda klass UTANFÖR_HORISONTEN (provat: 13
+   * röda sena/fantomvarningar över korpusarna).
+   *
+   * Staleness-grinden: bara en flaggad prognos över högst
+   * PREDICTION_MAX_SILENCE_MS tystnad räknas. Nästa verkliga fix
+   * (_refreshArm) släcker prognosen och räknar om deadlinen ur fixet.
+   * @param {Object} vessel - Fartygsobjekt
+   */
+  observePrediction(vessel) {
+    if (this._destroyed || !vessel || vessel.mmsi === null || vessel.mmsi === undefined) return;
+    const mmsi = String(vessel.mmsi);
+    const prediction = vessel._predictedPosition;
+    const valid = prediction && prediction.predicted === true
+      && Number.isFinite(prediction.atMs) && Number.isFinite(prediction.confidence)
+      && Number.isFinite(prediction.sogKn) && prediction.sogKn > 0
+      && Number.isFinite(prediction.ageMs) && prediction.ageMs <= this.config.PREDICTION_MAX_SILENCE_MS;
+    const now = this._now();
+    const touched = new Set();
+    const vMax = this.config.DEADLINE_MAX_SPEED_KN * KNOTS_TO_MS; // m/s
+    for (const arm of this._armsForVessel(mmsi)) {
+      const bridge = this._targetBridges.get(arm.bridge);
+      const distanceM = valid && bridge ? this._distanceTo(prediction, bridge) : null;
+      if (!Number.isFinite(distanceM)) {
+        arm.predicted = null;
+        continue;
+      }
+      // Spärrfönstret prövas utan att skriva över fixets restrictedUntilMs.
+      const probe = { bridge: arm.bridge, restrictedUntilMs: null };
+      const earliestMs = this._openingNotBefore(probe, prediction.atMs + (distanceM / vMax) * 1000);
+      const arrivalMs = this._openingNotBefore(
+        probe, prediction.atMs + (distanceM / (prediction.sogKn * KNOTS_TO_MS)) * 1000,
+      );
+      const dueMs = Math.max(now, Math.min(
+        earliestMs - this.config.WARNING_LEAD_MS,
+        arrivalMs - this.config.FIRE_EXPECTED_ETA_MS,
+      ));
+      if (!arm.predicted) {
+        this.logger.debug(
+          `🧭 [OPENING_PREDICTED] ${arm.mmsi} (${arm.name || 'okänt namn'}): ${arm.bridge} prognos d=${Math.round(distanceM)} m `
+          + `(förtroende ${prediction.confidence.toFixed(2)}) → ankomst om ${this._secondsUntil(arrivalMs, now)} s`,
+        );
+      }
+      if (arm.warnedAt === null && dueMs < arm.fireDueMs) {
+        this.logger.debug(
+          `🧭 [OPENING_PREDICTED] ${arm.mmsi}: ${arm.bridge} deadline tidigarelagd av prognosen `
+          + `(om ${this._secondsUntil(dueMs, now)} s i st.f. ${this._secondsUntil(arm.fireDueMs, now)} s)`,
+        );
+        arm.fireDueMs = dueMs;
+        touched.add(arm.bridge);
+      }
+      if (earliestMs < arm.earliestArrivalMs) arm.earliestArrivalMs = earliestMs;
+      arm.predicted = {
+        lat: prediction.lat,
+        lon: prediction.lon,
+        distanceM,
+        confidence: prediction.confidence,
+        atMs: prediction.atMs,
+        arrivalMs,
+      };
+    }
+
+    // En tidigarelagd deadline som redan nåtts avfyrar direkt, som ett fix.
+    for (const name of touched) this._evaluateBridge(name, 'deadline', now);
+  }
+
   /**
    * Registrerad målbropassage. Fullbordad passage är det starkaste motbeviset:
    * armen släpps och öppningshändelsen går in i konvoj-cooldown.
@@ -262,6 +394,51 @@ class BridgeOpeningService {
     for (const name of bridges) this._evaluateBridge(name, 'remove', now);
   }
 
+  /**
+   * Väntas en öppning inom `withinMinutes`? (villkorskortet
+   * opening_expected_within). En beväpnad båt räknas när ANTINGEN hennes
+   * pessimistiska ankomst (deadline-fysiken, earliestArrivalMs) ELLER den
+   * förväntade ankomsten (_expectedEtaMinutes — samma siffra som
+   * eta_minutes-tokenen) ligger inom fönstret. Den pessimistiska grenen är
+   * med av samma skäl som deadline-motorn: en båt som tystnar på
+   * slutsträckan kan vara vid bron långt före sin förväntade ankomst, och
+   * "åk nu eller vänta" får hellre svara ja en gång för mycket.
+   * En båt vars tidigaste ankomst redan passerat (hon ligger och väntar vid
+   * bron) är per definition inom fönstret. En tyst båt räknas dessutom på
+   * dödräkningens prognos (arm.predicted, observePrediction).
+   * @param {string|null} bridgeName - målbro, eller null för alla målbroar
+   * @param {number} withinMinutes - fönstrets längd från nu
+   * @returns {Object[]} [{ mmsi, bridge, name, earliestMinutes, etaMinutes,
+   *   predictedMinutes }], tidigast först (tom lista = ingen öppning väntas)
+   */
+  getExpectedOpenings(bridgeName, withinMinutes) {
+    if (this._destroyed || !Number.isFinite(withinMinutes) || withinMinutes < 0) return [];
+    const now = this._now();
+    const horizonMs = now + withinMinutes * 60000;
+    const out = [];
+    for (const arm of this._arms.values()) {
+      if (bridgeName && arm.bridge !== bridgeName) continue;
+      const earliestInWindow = Number.isFinite(arm.earliestArrivalMs) && arm.earliestArrivalMs <= horizonMs;
+      const etaMinutes = this._expectedEtaMinutes(arm, now);
+      const etaInWindow = etaMinutes !== null && etaMinutes <= withinMinutes;
+      const predictedMinutes = arm.predicted && Number.isFinite(arm.predicted.arrivalMs)
+        ? Math.max(0, Math.round((arm.predicted.arrivalMs - now) / 60000)) : null;
+      const predictedInWindow = predictedMinutes !== null && predictedMinutes <= withinMinutes;
+      if (!earliestInWindow && !etaInWindow && !predictedInWindow) continue;
+      out.push({
+        mmsi: arm.mmsi,
+        bridge: arm.bridge,
+        name: arm.name || null,
+        earliestMinutes: Number.isFinite(arm.earliestArrivalMs)
+          ? Math.max(0, Math.round((arm.earliestArrivalMs - now) / 60000)) : null,
+        etaMinutes,
+        predictedMinutes,
+      });
+    }
+    const soonest = (o) => Math.min(o.earliestMinutes ?? Infinity, o.etaMinutes ?? Infinity, o.predictedMinutes ?? Infinity);
+    return out.sort((a, b) => soonest(a) - soonest(b));
+  }
+
   /**
    * Diagnostik för [FUSION_HEALTH]-liknande rapportering och tester.
    * @returns {Object}
@@ -279,9 +456,152 @@ class BridgeOpeningService {
       openEvents: allEvents.length,
       firedEvents: allEvents.filter((e) => e.firedAt !== null).length,
       warningsFired: this._warningCount,
+      clearsFired: this._clearCount,
+      roadClosure: this._roadClosureStats(),
     };
   }
 
+  /**
+   * Förväntad vägavstängning vid en bro: den tidigaste ännu inte klara
+   * öppningen med en prognos (se _predictRoadClosure). Avfyrade och ännu
+   * ovarnade öppningar räknas lika — samma urval som "nästa öppning" på
+   * per-bro-enheten, som läser armarna oavsett varning.
+   * @param {string} bridgeName
+   * @returns {{eventId: string, closesAtMs: number, reopensAtMs: number,
+   *   vesselCount: number, fired: boolean}|null}
+   */
+  getRoadClosure(bridgeName) {
+    if (this._destroyed) return null;
+    const now = this._now();
+    let best = null;
+    for (const event of this._eventsAt(bridgeName)) {
+      if (event.clearedAt !== null) continue;
+      const members = [...this._arms.values()].filter((a) => a.eventId === event.id);
+      const prediction = this._predictRoadClosure(event, members, now);
+      if (!prediction || prediction.reopensAtMs < now) continue;
+      if (best && best.closesAtMs <= prediction.closesAtMs) continue;
+      best = {
+        eventId: event.id,
+        closesAtMs: prediction.closesAtMs,
+        reopensAtMs: prediction.reopensAtMs,
+        vesselCount: prediction.vesselCount,
+        fired: event.firedAt !== null,
+      };
+    }
+    return best;
+  }
+
+  /**
+   * Serialiserbar ögonblicksbild av armar och öppningshändelser (Web API:ts
+   * GET /openings). Kopior — anroparen kan aldrig mutera servicens tillstånd.
+   * Oändliga deadlines (ännu ingen fysik) redovisas som null.
+   * @returns {{arms: Object[], events: Object[]}}
+   */
+  getSnapshot() {
+    const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+    const arms = [...this._arms.values()].map((arm) => ({
+      mmsi: arm.mmsi,
+      bridge: arm.bridge,
+      name: arm.name || null,
+      direction: this._directionString(arm),
+      armedAt: arm.armedAt,
+      lastSeenAt: arm.lastSeenAt,
+      distanceM: finiteOrNull(arm.distanceM),
+      sog: finiteOrNull(arm.sog),
+      etaMinutes: finiteOrNull(arm.etaMinutes),
+      fireDueMs: finiteOrNull(arm.fireDueMs),
+      expectedArrivalMs: finiteOrNull(arm.expectedArrivalMs),
+      restrictedUntilMs: finiteOrNull(arm.restrictedUntilMs),
+      predicted: arm.predicted ? { ...arm.predicted } : null,
+      warnedAt: arm.warnedAt,
+      absorbedAt: arm.absorbedAt,
+      eventId: arm.eventId,
+    }));
+    const events = [...this._events.values()].flat().map((event) => ({
+      id: event.id,
+      bridge: event.bridge,
+      openedAt: event.openedAt,
+      firedAt: event.firedAt,
+      firstPassageAt: event.firstPassageAt,
+      lastPassageAt: event.lastPassageAt,
+      referenceArrivalMs: finiteOrNull(event.referenceArrivalMs),
+      roadClosure: event.roadClosure ? { ...event.roadClosure } : null,
+      members: arms.filter((a) => a.eventId === event.id).map((a) => a.mmsi),
+    }));
+    return { arms, events };
+  }
+
+  /**
+   * Varmstart: hela tillståndet som JSON-säker form. Armarna bär Set
+   * (releasedFrom) och Infinity (fireDueMs före första fysiken) — därav
+   * snapshotCodec i stället för ren JSON.
+   * @returns {Object}
+   */
+  toJSON() {
+    return snapshotCodec.encode({
+      arms: [...this._arms.values()],
+      events: this._events,
+      clearWindows: this._clearWindows,
+      closureSpacings: this._closureSpacings,
+      closureScores: this._closureScores,
+      eventSeq: this._eventSeq,
+      warningCount: this._warningCount,
+      clearCount: this._clearCount,
+    });
+  }
+
+  /**
+   * Återställ toJSON()-formen. Armar och händelser för broar som inte längre
+   * är målbroar släpps, och inaktuella armar (ARM_STALE_TTL_MS) städas direkt
+   * — samma regel som tick() tillämpar. Inga callbacks anropas: avfyrning och
+   * klarsignal sker först i nästa ordinarie utvärdering.
+   * @param {Object|null} state
+   * @returns {number} antal återställda armar
+   */
+  load(state) {
+    this._arms.clear();
+    this._events.clear();
+    this._clearWindows.clear();
+    const decoded = snapshotCodec.decode(state);
+    if (!decoded || typeof decoded !== 'object') return 0;
+
+    for (const arm of Array.isArray(decoded.arms) ? decoded.arms : []) {
+      if (!arm || typeof arm.key !== 'string' || !this._targetBridges.has(arm.bridge)) continue;
+      if (!Number.isFinite(arm.lastSeenAt)) continue;
+      arm.releasedFrom = arm.releasedFrom instanceof Set ? arm.releasedFrom : new Set();
+      this._arms.set(arm.key, arm);
+    }
+    if (decoded.events instanceof Map) {
+      for (const [bridgeName, list] of decoded.events) {
+        if (!this._targetBridges.has(bridgeName) || !Array.isArray(list)) continue;
+        const events = list.filter((e) => e && typeof e.id === 'string');
+        if (events.length > 0) this._events.set(bridgeName, events);
+      }
+    }
+    if (decoded.clearWindows instanceof Map) {
+      for (const [bridgeName, list] of decoded.clearWindows) {
+        if (this._targetBridges.has(bridgeName) && Array.isArray(list)) this._clearWindows.set(bridgeName, list);
+      }
+    }
+    const finiteList = (list, max) => (Array.isArray(list) ? list.filter(Number.isFinite).slice(-max) : []);
+    this._closureSpacings = finiteList(decoded.closureSpacings, this.config.ROAD_CLOSURE_MAX_SPACING_SAMPLES);
+    this._closureScores = Array.isArray(decoded.closureScores)
+      ? decoded.closureScores.filter((sc) => sc && typeof sc === 'object').slice(-this.config.ROAD_CLOSURE_MAX_SCORES)
+      : [];
+    const count = (v) => (Number.isInteger(v) && v >= 0 ? v : 0);
+    this._eventSeq = count(decoded.eventSeq);
+    this._warningCount = count(decoded.warningCount);
+    this._clearCount = count(decoded.clearCount);
+    this._destroyed = false;
+
+    this._pruneStaleArms(this._now());
+    this.logger.debug(
+      `🌉 [BRIDGE_OPENING] Varmstart: ${this._arms.size} armar, `
+      + `${[...this._events.values()].flat().length} händelser, eventSeq ${this._eventSeq}`,
+    );
+    return this._arms.size;
+  }
+
   /**
    * Släpp allt tillstånd. Servicen äger inga timers — destroy() finns för
    * onUninit-symmetri och för omstartstestet (O4).
@@ -289,29 +609,75 @@ class BridgeOpeningService {
   destroy() {
     this._arms.clear();
     this._events.clear();
+    this._clearWindows.clear();
+    this._closureSpacings = [];
+    this._closureScores = [];
     this._destroyed = true;
     this.logger.debug('🌉 [BRIDGE_OPENING] Service nedstängd');
   }
 
+  /**
+   * Byt målbrolista under drift (opening_target_bridges ändrad). En ny målbro
+   * beväpnas från nästa fix; en bro som inte längre är målbro släpper sina
+   * armar, händelser och sitt klarfönster utan callbacks — dess öppning
+   * varnas eller klarmeddelas inte längre.
+   * @param {string[]} targetBridges - de öppningsbara broarnas namn
+   * @returns {string[]} broarna som togs bort
+   */
+  setTargetBridges(targetBridges) {
+    const removed = [...this._targetBridges.keys()]
+      .filter((name) => !(targetBridges || []).includes(name));
+    this._buildTargetBridges(targetBridges || []);
+    const now = this._now();
+    for (const arm of [...this._arms.values()]) {
+      if (removed.includes(arm.bridge)) this._disarm(arm, 'inte längre målbro', now);
+    }
+    for (const bridgeName of removed) {
+      this._events.delete(bridgeName);
+      this._clearWindows.delete(bridgeName);
+    }
+    this.logger.debug(
+      `🌉 [BRIDGE_OPENING] Målbroar: ${[...this._targetBridges.keys()].join(', ')}`
+      + `${removed.length > 0 ? ` (borttagna: ${removed.join(', ')})` : ''}`,
+    );
+    return removed;
+  }
+
   // ===========================================================================
   // BEVÄPNING
   // ===========================================================================
 
+  /**
+   * Namn → koordinat för de öppningsbara broarna, ur registret.
+   * @private
+   */
+  _buildTargetBridges(targets) {
+    this._targetBridges.clear();
+    for (const bridge of Object.values(this._bridgeRegistry || {})) {
+      if (!bridge || !bridge.name || !targets.includes(bridge.name)) continue;
+      if (!Number.isFinite(bridge.lat) || !Number.isFinite(bridge.lon)) continue;
+      this._targetBridges.set(bridge.name, { name: bridge.name, lat: bridge.lat, lon: bridge.lon });
+    }
+  }
+
   /**
    * Vilka målbroar ska det här fixet beväpna mot?
    *
-   * Alltid fartygets egen targetBridge. DÄRUTÖVER nästa målbro i samma
-   * färdriktning, när ARM_NEXT_TARGET är på: målbrokedjan bryts annars av
-   * TYSTNAD. En båt som passerar Klaffbron norrut och sedan tystnar hinner
+   * Alltid fartygets egen targetBridge. DÄRUTÖVER målbroarna bortom den i
+   * samma färdriktning, när ARM_NEXT_TARGET är på: målbrokedjan bryts annars
+   * av TYSTNAD. En båt som passerar Klaffbron norrut och sedan tystnar hinner
    * aldrig få ett enda fix med targetBridge = Stridsbergsbron, och den
    * öppningen blir ovarnad trots att båten var väl observerad hela vägen
    * fram. Mätt över korpusarna följs 95 av 119 kedjade målbropassager (79,8 %)
    * av nästa målbros passage inom 45 min, med mediantransit 780 s.
    *
    * Broarna ligger 1217 m isär (BRIDGE_GAPS klaff–järnväg 960 + järnväg–strids
-   * 257), alltså väl inom beväpningshorisonten på 2500 m: den bortre armen
+   * 257), alltså väl inom beväpningshorisonten på 2520 m: den bortre armen
    * bygger på ett RIKTIGT fix med RIKTIG geometri — ingen syntetisk position
-   * skapas, och deadlinen räknas på det faktiska avståndet.
+   * skapas, och deadlinen räknas på det faktiska avståndet. Med Järnvägsbron
+   * befordrad till målbro (opening_target_bridges) är kedjan tre broar, och
+   * Stridsbergsbron beväpnas fortfarande från Klaffbron — horisonten i
+   * _canArm avgör hur långt fram kedjan når, inte antalet målbroar.
    * @private
    */
   _bridgesToArm(vessel) {
@@ -319,25 +685,26 @@ class BridgeOpeningService {
       && this._targetBridges.has(vessel.targetBridge) ? vessel.targetBridge : null;
     if (!target) return [];
     if (this.config.ARM_NEXT_TARGET !== true) return [target];
-    const next = this._nextTargetAhead(target, this._routeDirection(vessel));
-    return next ? [target, next] : [target];
+    return [target, ...this._targetsAhead(target, this._routeDirection(vessel))];
   }
 
   /**
-   * Nästa öppningsbara bro EFTER `bridgeName` i riktningen `direction`.
-   * Härleds ur BRIDGE_SEQUENCE + målbrolistan — ingen egen brotabell.
+   * De öppningsbara broarna EFTER `bridgeName` i riktningen `direction`,
+   * närmast först. Härleds ur BRIDGE_SEQUENCE + målbrolistan — ingen egen
+   * brotabell.
    * @private
    */
-  _nextTargetAhead(bridgeName, direction) {
-    if (direction !== 'north' && direction !== 'south') return null;
+  _targetsAhead(bridgeName, direction) {
+    if (direction !== 'north' && direction !== 'south') return [];
     const idx = BRIDGE_SEQUENCE.indexOf(BRIDGE_NAME_TO_ID[bridgeName]);
-    if (idx < 0) return null;
+    if (idx < 0) return [];
+    const ahead = [];
     const step = direction === 'north' ? 1 : -1;
     for (let i = idx + step; i >= 0 && i < BRIDGE_SEQUENCE.length; i += step) {
       const name = BRIDGE_ID_TO_NAME[BRIDGE_SEQUENCE[i]];
-      if (name && this._targetBridges.has(name)) return name;
+      if (name && this._targetBridges.has(name)) ahead.push(name);
     }
-    return null;
+    return ahead;
   }
 
   /**
@@ -425,6 +792,11 @@ class BridgeOpeningService {
       anchorMs: now,
       fireDueMs: Infinity,
       expectedArrivalMs: null,
+      // Spärrfönstrets slut när ankomsten föll i ett (öppningsrestriktion).
+      restrictedUntilMs: null,
+      // Dödräkningens senaste prognos ({lat, lon, distanceM, confidence,
+      // atMs}) medan båten är tyst; nästa fix släcker den.
+      predicted: null,
       warnedAt: null,
       eventId: null,
       // Sattes warnedAt av en KONVOJABSORPTION (armen anslöt till en redan
@@ -450,6 +822,7 @@ class BridgeOpeningService {
       + `d=${Math.round(distance)} m sog=${Number.isFinite(vessel.sog) ? vessel.sog : 'null'} `
       + `dir=${arm.armDirection || 'unknown'} deadline om ${this._secondsUntil(arm.fireDueMs, now)} s`,
     );
+    this._emitArm(arm, now);
     return arm;
   }
 
@@ -485,6 +858,7 @@ class BridgeOpeningService {
 
     arm.lastSeenAt = now;
     arm.anchorMs = anchor;
+    arm.predicted = null;
     arm.distanceM = dist;
     arm.sog = Number.isFinite(vessel.sog) ? vessel.sog : null;
     arm.cog = Number.isFinite(vessel.cog) ? vessel.cog : null;
@@ -501,8 +875,8 @@ class BridgeOpeningService {
 
     // ETA:N TILLHÖR EN BESTÄMD BRO. vessel.etaMinutes är per definition ETA
     // till fartygets EGEN targetBridge (ProgressiveETACalculator nollställer
-    // den vid varje målbrobyte). Kedjearmen (ARM_NEXT_TARGET) pekar på NÄSTA
-    // målbro och får därför ALDRIG ärva den siffran: gjorde den det blev
+    // den vid varje målbrobyte). Kedjearmen (ARM_NEXT_TARGET) pekar på en
+    // målbro LÄNGRE FRAM och får därför ALDRIG ärva den siffran: gjorde den det blev
     // eta_minutes-tokenen fysikaliskt omöjlig (1855 m "om 4 minuter" = 15 kn)
     // och avfyrningen sköts ~10 min för tidigt, vilket dessutom förgiftade
     // konvojgrupperingens referensankomst. Kedjearmen räknar i stället på sitt
@@ -515,8 +889,11 @@ class BridgeOpeningService {
       ? vessel.etaMinutes : null;
 
     // (1) DEADLINE — pessimistisk: tidigast möjliga ankomst minus ledtid.
+    //     En ankomst i ett spärrfönster (rusningstrafik, säsongstid) öppnar
+    //     först vid fönstrets slut — varningen följer ÖPPNINGEN.
+    arm.restrictedUntilMs = null;
     const vMax = this.config.DEADLINE_MAX_SPEED_KN * KNOTS_TO_MS; // m/s
-    const earliestArrivalMs = anchor + (dist / vMax) * 1000;
+    const earliestArrivalMs = this._openingNotBefore(arm, anchor + (dist / vMax) * 1000);
     const deadlineMs = earliestArrivalMs - this.config.WARNING_LEAD_MS;
 
     // (2) FÖRVÄNTAD ankomst — används både för snabbbåts-grenen och för
@@ -527,9 +904,9 @@ class BridgeOpeningService {
     //     leveranslaggen (och fältet bar två klockdomäner beroende på gren).
     const speedKn = Number.isFinite(arm.sog) && arm.sog > PASSAGE_TIMING.MINIMUM_VIABLE_SPEED
       ? arm.sog : PASSAGE_TIMING.DEFAULT_VESSEL_SPEED;
-    arm.expectedArrivalMs = arm.etaMinutes !== null
+    arm.expectedArrivalMs = this._openingNotBefore(arm, arm.etaMinutes !== null
       ? anchor + arm.etaMinutes * 60000
-      : anchor + (dist / (speedKn * KNOTS_TO_MS)) * 1000;
+      : anchor + (dist / (speedKn * KNOTS_TO_MS)) * 1000);
     const etaFireMs = arm.expectedArrivalMs - this.config.FIRE_EXPECTED_ETA_MS;
 
     arm.earliestArrivalMs = earliestArrivalMs;
@@ -718,6 +1095,13 @@ class BridgeOpeningService {
           + `${host.id} vid ${bridgeName} (konvoj, täckt t.o.m. ${new Date(arm.coverUntilMs).toISOString()})`,
         );
         this._emitCoverage(arm, host, 'absorbed', now);
+        // Den tillkomna båten förlänger vägavstängningen. Prognosen fryses
+        // vid första passagen — det är den som bedöms i efterhand.
+        if (host.firstPassageAt === null) {
+          host.roadClosure = this._predictRoadClosure(
+            host, arms.filter((a) => a.eventId === host.id), now,
+          ) || host.roadClosure;
+        }
       }
     }
 
@@ -736,6 +1120,9 @@ class BridgeOpeningService {
       if (due.length === 0) continue;
       this._fire(event, members, due, firedBy, now);
     }
+
+    // --- (5) Är öppningen över? -------------------------------------------
+    this._evaluateClear(bridgeName, arms.filter((a) => this._arms.has(a.key)), now);
   }
 
   /**
@@ -819,6 +1206,10 @@ class BridgeOpeningService {
     if (!arm || arm.eventId === null) return;
     const event = this._eventsAt(bridgeName).find((e) => e.id === arm.eventId);
     if (!event) return;
+    // KALIBRERINGEN: tiden sedan föregående passage i SAMMA öppning är ett
+    // prov på passageavståndet (armarna är per båt och bro, så en båt kan
+    // inte ge ett prov mot sig själv).
+    if (event.lastPassageAt !== null) this._recordClosureSpacing(now - event.lastPassageAt);
     event.lastPassageAt = now;
     // Referensankomsten blir den FÖRSTA faktiska passagetiden — konvojfönstret
     // mäts mot den (dig9 klustrar passager, inte prognoser). Den skjuts INTE
@@ -829,6 +1220,99 @@ class BridgeOpeningService {
       event.firstPassageAt = now;
       event.referenceArrivalMs = now;
     }
+    // Klarfönstret: bara passager som bokförts på en händelse — samma
+    // medlemskrav som ovan, så en båt utan öppning inte kan hålla bron "öppen".
+    if (!this._clearWindows.has(bridgeName)) this._clearWindows.set(bridgeName, []);
+    this._clearWindows.get(bridgeName).push({ mmsi: arm.mmsi, t: now, eventId: event.id });
+  }
+
+  /**
+   * BRON KLAR. Fönstrets öppning är över när (a) ingen arm som hör till
+   * någon av fönstrets händelser längre är beväpnad — alla har passerat
+   * eller avväpnats — och (b) ingen annan beväpnad båt vid bron har nått
+   * sin deadline (fireDueMs ≤ now): en sådan båt är på väg in i samma
+   * öppning och vägen förblir stängd. Körs sist i _evaluateBridge, så både
+   * fix- och tick-vägen prövar den; en (b)-spärr släpper alltså senast vid
+   * nästa tick efter att båten passerat eller avväpnats.
+   *
+   * Släppta konvojarmar (_releaseStrandedArms nollar eventId) räknas inte
+   * som medlemmar: öppningen har bevisligen gått utan dem.
+   *
+   * En AVFYRAD händelse utan beväpnade medlemmar hör till fönstret även
+   * utan passage (alla vände, avväpnades eller blev inaktuella): varningen
+   * gick ut, så stängningen ska också göra det — vesselCount 0 och
+   * passagetiderna null när ingen passerade.
+   * @private
+   * @param {string} bridgeName
+   * @param {Object[]} arms - brons beväpnade armar efter utvärderingen
+   * @param {number} now
+   */
+  _evaluateClear(bridgeName, arms, now) {
+    const passages = this._clearWindows.get(bridgeName) || [];
+    const eventIds = new Set(passages.map((p) => p.eventId));
+    for (const event of this._eventsAt(bridgeName)) {
+      if (event.firedAt === null || event.clearedAt !== null) continue;
+      if (!arms.some((a) => a.eventId === event.id)) eventIds.add(event.id);
+    }
+    if (eventIds.size === 0) return;
+
+    if (arms.some((a) => a.eventId !== null && eventIds.has(a.eventId))) return;
+    const pending = arms.find((a) => Number.isFinite(a.fireDueMs) && a.fireDueMs <= now);
+    if (pending) {
+      this.logger.debug(
+        `🌉 [OPENING_CLEAR_HOLD] ${bridgeName}: öppningen hålls — ${pending.mmsi} `
+        + `(${pending.name || 'okänt namn'}) har nått sin deadline d=`
+        + `${Number.isFinite(pending.distanceM) ? Math.round(pending.distanceM) : '?'} m`,
+      );
+      return;
+    }
+
+    this._clearWindows.delete(bridgeName);
+    const scores = [];
+    for (const event of this._eventsAt(bridgeName)) {
+      if (!eventIds.has(event.id)) continue;
+      event.clearedAt = now;
+      const score = this._scoreRoadClosure(event, passages.filter((p) => p.eventId === event.id), now);
+      if (score) scores.push(score);
+    }
+    const passed = passages.length > 0;
+    const firstPassageAt = passed ? passages.reduce((min, p) => Math.min(min, p.t), Infinity) : null;
+    const lastPassageAt = passed ? passages.reduce((max, p) => Math.max(max, p.t), -Infinity) : null;
+    const mmsis = [...new Set(passages.map((p) => p.mmsi))];
+    const payload = {
+      t: now,
+      bridge: bridgeName,
+      eventIds: [...eventIds],
+      vesselCount: mmsis.length,
+      mmsis,
+      firstPassageAt,
+      lastPassageAt,
+      roadClosureMs: passed
+        ? (lastPassageAt - firstPassageAt) + this.config.CLEAR_CLOSURE_LEAD_MS + this.config.CLEAR_CLOSURE_TAIL_MS
+        : null,
+      // Efterhandsbedömningen av fönstrets vägavstängningsprognoser (tom när
+      // ingen öppning hann avfyra).
+      closureScores: scores,
+    };
+    this._clearCount += 1;
+
+    const detail = passed
+      ? `passager ${new Date(firstPassageAt).toISOString()}–${new Date(lastPassageAt).toISOString()}, `
+        + `uppskattad vägavstängning ${Math.round(payload.roadClosureMs / 60000)} min`
+      : 'ingen passerade — alla medlemmar avväpnade';
+    this.logger.log(
+      `🟢 [OPENING_CLEAR] ${bridgeName}: öppningen över (${payload.vesselCount} båt(ar), ${detail})`,
+    );
+
+    if (!this._onClear) return;
+    try {
+      this._onClear(payload);
+    } catch (error) {
+      this.logger.error(
+        `[BRIDGE_OPENING] Klarsignal för ${bridgeName} kastade:`,
+        (error && error.message) || error,
+      );
+    }
   }
 
   /**
@@ -847,6 +1331,9 @@ class BridgeOpeningService {
       firedAt: null,
       lastPassageAt: null,
       firstPassageAt: null,
+      clearedAt: null,
+      // Vägavstängningsprognosen som gick ut med varningen (_fire).
+      roadClosure: null,
       referenceArrivalMs: seedArm && Number.isFinite(seedArm.expectedArrivalMs)
         ? seedArm.expectedArrivalMs : null,
     };
@@ -876,6 +1363,7 @@ class BridgeOpeningService {
       Infinity,
     );
     if (!Number.isFinite(event.referenceArrivalMs)) event.referenceArrivalMs = null;
+    event.roadClosure = this._predictRoadClosure(event, members, now);
     for (const arm of members) {
       if (arm.warnedAt === null) {
         arm.warnedAt = now;
@@ -899,6 +1387,9 @@ class BridgeOpeningService {
       firedBy: firedBy === 'deadline' ? 'deadline' : 'fix',
       mmsis: members.map((a) => a.mmsi),
       distanceM: lead && Number.isFinite(lead.distanceM) ? Math.round(lead.distanceM) : null,
+      // Vägavstängningsprognosen (null = ingen medlem har en förväntad ankomst).
+      roadClosesAtMs: event.roadClosure ? event.roadClosure.closesAtMs : null,
+      roadReopensAtMs: event.roadClosure ? event.roadClosure.reopensAtMs : null,
       // "AVFYRA SÅ SENT SOM GARANTIN TILLÅTER" är ett mätbart kontrakt: den
       // tidigaste tidpunkt varningen KUNDE ha gått ut, dvs. min över de
       // förfallna armarna av max(deadline, medlemskapets start). Grinden kan
@@ -919,7 +1410,8 @@ class BridgeOpeningService {
       `${tag} ${event.bridge}: öppningsvarning (${payload.vesselCount} båt(ar), ledande `
       + `${payload.leadVessel || 'okänt namn'} d=${payload.distanceM} m, eta=${etaMinutes === null ? 'okänd' : `${etaMinutes} min`}, `
       + `${payload.direction}, utlöst av ${payload.firedBy}, `
-      + `${due.length}/${members.length} förfallna)`,
+      + `${due.length}/${members.length} förfallna`
+      + `${lead && Number.isFinite(lead.restrictedUntilMs) ? `, spärrad t.o.m. ${new Date(lead.restrictedUntilMs).toISOString()}` : ''})`,
     );
 
     if (!this._onWarning) return;
@@ -956,6 +1448,27 @@ class BridgeOpeningService {
     }
   }
 
+  /**
+   * Signal: ett fartyg har beväpnats mot en bro (bevakningslistan i appen).
+   * Får aldrig påverka produktlogiken — en kastande callback loggas bara.
+   * @private
+   */
+  _emitArm(arm, now) {
+    if (!this._onArm) return;
+    try {
+      this._onArm({
+        mmsi: arm.mmsi,
+        bridge: arm.bridge,
+        name: arm.name,
+        t: now,
+        distanceM: arm.distanceM,
+        etaMinutes: this._expectedEtaMinutes(arm, now),
+      });
+    } catch (error) {
+      this.logger.error('[BRIDGE_OPENING] onArm kastade:', (error && error.message) || error);
+    }
+  }
+
   /** @private */
   _armsForVessel(mmsi) {
     const out = [];
@@ -967,8 +1480,11 @@ class BridgeOpeningService {
 
   /** @private */
   _distanceTo(vessel, bridge) {
+    // Seglat avstånd längs farleden — samma mått som ETA-kedjan. Seglat är
+    // per konstruktion ≥ fågelvägen, så deadlinen blir aldrig tidigare än
+    // förut; horisont och avväpningsavstånd är omräknade (BRIDGE_OPENING).
     if (!Number.isFinite(vessel.lat) || !Number.isFinite(vessel.lon)) return null;
-    const d = geometry.calculateDistance(vessel.lat, vessel.lon, bridge.lat, bridge.lon);
+    const d = fairway.sailedDistanceM(vessel.lat, vessel.lon, bridge);
     return Number.isFinite(d) ? d : null;
   }
 
@@ -1025,6 +1541,147 @@ class BridgeOpeningService {
     return Math.max(0, Math.round((arm.expectedArrivalMs - now) / 60000));
   }
 
+  /**
+   * Tidigaste öppning för en ankomst vid armens bro: ankomsten själv, eller
+   * spärrfönstrets slut om bron är spärrad då (getOpeningRestriction).
+   * Bokför spärren på armen. En kastande kalender spärrar aldrig.
+   * @private
+   * @returns {number} ms
+   */
+  _openingNotBefore(arm, arrivalMs) {
+    if (!this._getOpeningRestriction || !Number.isFinite(arrivalMs)) return arrivalMs;
+    let until = null;
+    try {
+      until = this._getOpeningRestriction(arm.bridge, arrivalMs);
+    } catch (error) {
+      this.logger.error('[BRIDGE_OPENING] getOpeningRestriction kastade:', (error && error.message) || error);
+      return arrivalMs;
+    }
+    if (!Number.isFinite(until) || until <= arrivalMs) return arrivalMs;
+    arm.restrictedUntilMs = Math.max(arm.restrictedUntilMs || 0, until);
+    return until;
+  }
+
+  /**
+   * VÄGAVSTÄNGNINGSPROGNOSEN för en öppning. Medlemmarna köas genom bron i
+   * förväntad ankomstordning: varje passage sker vid båtens förväntade
+   * ankomst, dock tidigast ett passageavstånd efter föregående passage och
+   * aldrig i det förflutna (en försenad båt är fortfarande på väg in). Redan
+   * bokförda passager är facit — kön fortsätter efter den senaste. Vägen
+   * stängs CLEAR_CLOSURE_LEAD_MS före första passagen och öppnar
+   * CLEAR_CLOSURE_TAIL_MS efter den sista, samma tillägg som klarsignalens
+   * roadClosureMs.
+   * @private
+   * @param {Object} event
+   * @param {Object[]} members - händelsens beväpnade armar
+   * @param {number} now
+   * @returns {Object|null} null när varken passage eller förväntad ankomst finns
+   */
+  _predictRoadClosure(event, members, now) {
+    const arrivals = members
+      .map((a) => a.expectedArrivalMs)
+      .filter((t) => Number.isFinite(t))
+      .sort((a, b) => a - b);
+    if (arrivals.length === 0 && event.firstPassageAt === null) return null;
+
+    const spacing = this._closureSpacing();
+    let first = event.firstPassageAt;
+    let last = event.lastPassageAt;
+    for (const arrivalMs of arrivals) {
+      const passageMs = last === null
+        ? Math.max(arrivalMs, now)
+        : Math.max(arrivalMs, now, last + spacing.ms);
+      if (first === null) first = passageMs;
+      last = passageMs;
+    }
+    return {
+      firstPassageMs: first,
+      lastPassageMs: last,
+      closesAtMs: first - this.config.CLEAR_CLOSURE_LEAD_MS,
+      reopensAtMs: last + this.config.CLEAR_CLOSURE_TAIL_MS,
+      vesselCount: arrivals.length + (event.firstPassageAt === null ? 0 : 1),
+      spacingMs: spacing.ms,
+      spacingSamples: spacing.samples,
+    };
+  }
+
+  /**
+   * Passageavståndet: medianen av de uppmätta proven när underlaget räcker,
+   * annars startvärdet.
+   * @private
+   * @returns {{ms: number, samples: number}}
+   */
+  _closureSpacing() {
+    const samples = this._closureSpacings.length;
+    if (samples < this.config.ROAD_CLOSURE_MIN_SPACING_SAMPLES) {
+      return { ms: this.config.ROAD_CLOSURE_DEFAULT_SPACING_MS, samples };
+    }
+    return { ms: median(this._closureSpacings), samples };
+  }
+
+  /**
+   * Ett prov på passageavståndet. Prov utanför konvojfönstret tillhör per
+   * definition inte samma öppning och kastas.
+   * @private
+   */
+  _recordClosureSpacing(gapMs) {
+    if (!Number.isFinite(gapMs) || gapMs < 0 || gapMs > this.config.CONVOY_WINDOW_MS) return;
+    this._closureSpacings.push(gapMs);
+    if (this._closureSpacings.length > this.config.ROAD_CLOSURE_MAX_SPACING_SAMPLES) {
+      this._closureSpacings.shift();
+    }
+  }
+
+  /**
+   * EFTERHANDSBEDÖMNINGEN. Jämför den frysta prognosen med öppningens
+   * bokförda passager. Bommarna syns inte i AIS, så felet mäts på passagerna:
+   * tilläggen är konstanter, och felet i stängning/återöppning är därmed
+   * exakt felet i första/sista passagen. Positivt fel = prognosen var för sen.
+   * @private
+   * @returns {Object|null} null när öppningen saknar prognos eller passager
+   */
+  _scoreRoadClosure(event, passages, now) {
+    if (!event.roadClosure || passages.length === 0) return null;
+    const first = passages.reduce((min, p) => Math.min(min, p.t), Infinity);
+    const last = passages.reduce((max, p) => Math.max(max, p.t), -Infinity);
+    const score = {
+      eventId: event.id,
+      bridge: event.bridge,
+      t: now,
+      predictedVessels: event.roadClosure.vesselCount,
+      passedVessels: passages.length,
+      closeErrorMs: event.roadClosure.firstPassageMs - first,
+      reopenErrorMs: event.roadClosure.lastPassageMs - last,
+    };
+    this._closureScores.push(score);
+    if (this._closureScores.length > this.config.ROAD_CLOSURE_MAX_SCORES) this._closureScores.shift();
+    this.logger.log(
+      `🚧 [ROAD_CLOSURE_SCORE] ${event.id}: stängning ${Math.round(score.closeErrorMs / 1000)} s, `
+      + `återöppning ${Math.round(score.reopenErrorMs / 1000)} s fel `
+      + `(${score.passedVessels}/${score.predictedVessels} båt(ar) passerade)`,
+    );
+    return score;
+  }
+
+  /**
+   * getStats().roadClosure: kalibreringen och de bedömda prognosernas
+   * medianfel (absolut, sekunder; null utan bedömningar).
+   * @private
+   */
+  _roadClosureStats() {
+    const spacing = this._closureSpacing();
+    const scores = this._closureScores;
+    const medianAbsS = (key) => (scores.length > 0
+      ? Math.round(median(scores.map((s) => Math.abs(s[key]))) / 1000) : null);
+    return {
+      spacingMs: spacing.ms,
+      spacingSamples: spacing.samples,
+      scored: scores.length,
+      medianCloseErrorS: medianAbsS('closeErrorMs'),
+      medianReopenErrorS: medianAbsS('reopenErrorMs'),
+    };
+  }
+
   /**
    * B1-KONTRAKTET (användarbeslut 2026-07-03), samma kedja som boat_near:
    * ett riktigt namn ur fixet, annars den PERSISTENTA namncachen, annars
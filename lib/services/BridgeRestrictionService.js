@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * BridgeRestrictionService — ÖPPNINGSRESTRIKTIONER PER BRO
+ * =============================================================================
+ *
+ * SYFTE
+ * Klaffbron och Stridsbergsbron öppnas inte under vägtrafikens rusningstid
+ * och har säsongsbundna öppettider. Utan kalendern visade en båt som väntade
+ * 07:40 "beräknad broöppning om 2 minuter" i en halvtimme. Servicen svarar på
+ * EN fråga: är bron spärrad vid en viss tidpunkt, och i så fall till när?
+ *
+ * KALENDERN (settings bridge_restrictions)
+ *   {
+ *     holidays: ['2026-12-24', '12-25'],        // datum, eller MM-DD varje år
+ *     bridges: {
+ *       klaffbron: [
+ *         { days: ['mon','tue','wed','thu','fri'], start: '07:00', end: '08:30' },
+ *         { season: { from: '09-01', to: '04-30' }, start: '22:00', end: '06:00' },
+ *       ],
+ *     },
+ *   }
+ * Bro-nyckeln är bro-id eller bronamn. Ett fönster är ett SPÄRRAT intervall
+ * [start, end) i Homeys tidszon; över midnatt (start > slut) stöds och hör
+ * till dagen det börjar. days utelämnat = alla dagar. En helgdag räknas som
+ * dagen 'holiday' I STÄLLET för sin veckodag — ett vardagsfönster gäller
+ * alltså inte på juldagen. season utelämnat = hela året; säsongsbundna
+ * öppettider uttrycks som spärren UTANFÖR dem. Trasiga fönster hoppas över.
+ *
+ * ANVÄNDARE
+ * ProgressiveETACalculator skjuter den förutsagda öppningen till fönstrets
+ * slut (StatusService.applyOpeningRestriction), BridgeOpeningService flyttar
+ * varningens deadline dit och bridge_text säger att öppningen är uppskjuten.
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; klockan och tidszonen injiceras.
+ * Sommartidsskiftet räknas inte om — ett fönster som korsar omställnings-
+ * natten kan bli en timme för långt eller kort.
+ */
+
+const { OPENING_RESTRICTIONS, BRIDGES, BRIDGE_ID_TO_NAME } = require('../constants');
+
+const NOOP = () => {};
+const CLOCK_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const MONTH_DAY_RE = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const HOLIDAY = 'holiday';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "HH:MM" → minuter efter midnatt (null = ogiltigt).
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseClock(text) {
+  const m = typeof text === 'string' ? CLOCK_RE.exec(text.trim()) : null;
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Bronamn för en kalendernyckel (bro-id eller namn), null = okänd bro.
+ * @param {string} key
+ * @returns {string|null}
+ */
+function bridgeNameFor(key) {
+  if (typeof key !== 'string') return null;
+  if (BRIDGE_ID_TO_NAME[key] && BRIDGES[key]) return BRIDGE_ID_TO_NAME[key];
+  const match = Object.values(BRIDGES).find((bridge) => bridge && bridge.name === key);
+  return match ? match.name : null;
+}
+
+/**
+ * Ett fönster ur kalendern (null = trasigt).
+ * @param {Object} raw
+ * @returns {{start: number, end: number, days: Set<string>|null, season: Object|null}|null}
+ */
+function parseRule(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const start = parseClock(raw.start);
+  const end = parseClock(raw.end);
+  if (start === null || end === null || start === end) return null;
+
+  let days = null;
+  if (raw.days !== undefined) {
+    if (!Array.isArray(raw.days) || raw.days.length === 0) return null;
+    const keys = raw.days.map((d) => (typeof d === 'string' ? d.trim().toLowerCase() : null));
+    if (keys.some((d) => !WEEKDAYS.includes(d) && d !== HOLIDAY)) return null;
+    days = new Set(keys);
+  }
+
+  let season = null;
+  if (raw.season !== undefined) {
+    const from = raw.season && raw.season.from;
+    const to = raw.season && raw.season.to;
+    if (!MONTH_DAY_RE.test(from) || !MONTH_DAY_RE.test(to)) return null;
+    season = { from, to };
+  }
+  return {
+    start, end, days, season,
+  };
+}
+
+/**
+ * Tolka settings-värdet bridge_restrictions (objekt eller JSON-sträng).
+ * @param {Object|string|null} raw
+ * @returns {{holidays: Set<string>, rules: Map<string, Object[]>}}
+ */
+function parseCalendar(raw) {
+  const calendar = { holidays: new Set(), rules: new Map() };
+  let source = raw;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      return calendar;
+    }
+  }
+  if (!source || typeof source !== 'object') return calendar;
+
+  if (Array.isArray(source.holidays)) {
+    for (const day of source.holidays) {
+      if (calendar.holidays.size >= OPENING_RESTRICTIONS.MAX_HOLIDAYS) break;
+      if (DATE_RE.test(day) || MONTH_DAY_RE.test(day)) calendar.holidays.add(day);
+    }
+  }
+
+  for (const [key, list] of Object.entries(source.bridges || {})) {
+    const name = bridgeNameFor(key);
+    if (!name || !Array.isArray(list)) continue;
+    const rules = calendar.rules.get(name) || [];
+    for (const entry of list) {
+      if (rules.length >= OPENING_RESTRICTIONS.MAX_RULES_PER_BRIDGE) break;
+      const rule = parseRule(entry);
+      if (rule) rules.push(rule);
+    }
+    if (rules.length > 0) calendar.rules.set(name, rules);
+  }
+  return calendar;
+}
+
+class BridgeRestrictionService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Function} [options.now] - klockkälla (test/replay)
+   * @param {Function} [options.getTimeZone] - () => IANA-tidszon (Homeys klocka)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    this._getTimeZone = typeof opts.getTimeZone === 'function' ? opts.getTimeZone : () => null;
+    this._calendar = parseCalendar(null);
+    this._formatters = new Map();
+  }
+
+  /**
+   * Ersätt kalendern (settings bridge_restrictions).
+   * @param {Object|string|null} raw
+   * @returns {number} antal giltiga fönster (alla broar)
+   */
+  setCalendar(raw) {
+    this._calendar = parseCalendar(raw);
+    let count = 0;
+    for (const rules of this._calendar.rules.values()) count += rules.length;
+    return count;
+  }
+
+  /** @returns {boolean} har någon bro ett spärrfönster? */
+  hasRestrictions() {
+    return this._calendar.rules.size > 0;
+  }
+
+  /**
+   * Till när är bron spärrad vid atMs? Angränsande och överlappande fönster
+   * kedjas, så svaret är en tidpunkt då bron faktiskt kan öppnas.
+   * @param {string} bridgeName
+   * @param {number} [atMs] - tidpunkten som prövas (default nu)
+   * @returns {number|null} spärrens slut (ms), null = inte spärrad
+   */
+  getBlockedUntil(bridgeName, atMs = this._now()) {
+    const rules = this._calendar.rules.get(bridgeName);
+    if (!rules || !Number.isFinite(atMs)) return null;
+    let t = atMs;
+    for (let i = 0; i < OPENING_RESTRICTIONS.MAX_CHAINED_WINDOWS; i++) {
+      const end = this._windowEndAt(rules, t);
+      if (end === null || end <= t) break;
+      t = end;
+    }
+    return t > atMs ? t : null;
+  }
+
+  /**
+   * Slutet på det fönster som täcker t (null = inget).
+   * @private
+   */
+  _windowEndAt(rules, t) {
+    const today = this._localDay(t);
+    const yesterday = this._localDay(t - DAY_MS);
+    const { minute } = today;
+    let until = null;
+    const extend = (minutesAhead) => {
+      // Hel sekund: minuten bär sekundbråk, och en gräns en bråkdel före
+      // fönstrets slut hade prövats som "fortfarande spärrad".
+      const end = Math.round((t + minutesAhead * 60000) / 1000) * 1000;
+      if (until === null || end > until) until = end;
+    };
+    for (const rule of rules) {
+      if (rule.start < rule.end) {
+        if (minute >= rule.start && minute < rule.end && this._ruleApplies(rule, today)) {
+          extend(rule.end - minute);
+        }
+      } else if (minute >= rule.start && this._ruleApplies(rule, today)) {
+        extend(24 * 60 - minute + rule.end);
+      } else if (minute < rule.end && this._ruleApplies(rule, yesterday)) {
+        extend(rule.end - minute);
+      }
+    }
+    return until;
+  }
+
+  /** @private */
+  _ruleApplies(rule, day) {
+    if (rule.days) {
+      const isHoliday = this._calendar.holidays.has(day.date) || this._calendar.holidays.has(day.monthDay);
+      if (!rule.days.has(isHoliday ? HOLIDAY : day.weekday)) return false;
+    }
+    if (rule.season) {
+      const { from, to } = rule.season;
+      const inSeason = from <= to
+        ? day.monthDay >= from && day.monthDay <= to
+        : day.monthDay >= from || day.monthDay <= to;
+      if (!inSeason) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Lokalt datum, veckodag och minut (med sekund- och millisekundbråk) i Homeys tidszon
+   * (fallback: kanalens egen, samma som QuietHoursService).
+   * @private
+   */
+  _localDay(ms) {
+    const timeZone = this._getTimeZone() || 'Europe/Stockholm';
+    let formatter = this._formatters.get(timeZone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+      });
+      this._formatters.set(timeZone, formatter);
+    }
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(ms))) parts[part.type] = part.value;
+    const monthDay = `${parts.month}-${parts.day}`;
+    return {
+      date: `${parts.year}-${monthDay}`,
+      monthDay,
+      weekday: parts.weekday.toLowerCase(),
+      // Formattern tappar millisekunderna — utan dem hamnar ett fönsterslut
+      // räknat från en bråkdels sekund upp till en sekund för sent.
+      minute: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+        + (((ms % 1000) + 1000) % 1000) / 60000,
+    };
+  }
+}
+
+BridgeRestrictionService.parseCalendar = parseCalendar;
+
+module.exports = BridgeRestrictionService;
@@ -1,15 +1,17 @@
 'use strict';
 
-const { BRIDGE_TEXT_CONSTANTS, TARGET_BRIDGES, UI_CONSTANTS } = require('../constants');
+const { TARGET_BRIDGES, UI_CONSTANTS } = require('../constants');
 const { isValidETA, formatETABroOpeningClause } = require('../utils/etaValidation');
 const CountTextHelper = require('../utils/CountTextHelper');
+const { getStrings } = require('../utils/bridgeTextLocale');
 
 /**
  * BridgeTextService — Variant-1 (single-phrase model)
  *
- * Produces one phrase per target bridge group. Only Klaffbron and Stridsbergsbron
- * are mentioned in the text; intermediate bridges (Olidebron, Järnvägsbron,
- * Stallbackabron) are never referenced. Output is a pure function of the input
+ * Produces one phrase per target bridge group. Only the target bridges
+ * (TARGET_BRIDGES: Klaffbron and Stridsbergsbron, plus any bridge promoted via
+ * the opening_target_bridges setting) are mentioned in the text; intermediate
+ * bridges (Olidebron, Järnvägsbron, Stallbackabron) are never referenced. Output is a pure function of the input
  * vessels array — no internal state, no phase tracking, no timers.
  *
  * Format per group:
@@ -21,9 +23,22 @@ const CountTextHelper = require('../utils/CountTextHelper');
  *   - < 3 min ELLER imminent-flagga → "beräknad broöppning strax"
  *   - ≥ 3 min                       → "beräknad broöppning om N minuter"
  *     (extrapolerad → "om cirka N minuter")
+ *   - ledbåten spärrad av en öppningsrestriktion → klausulen ovan (utan
+ *     imminent-override) + " (uppskjuten av öppningsrestriktion)"
+ *   - intervalläget (options.etaRange) → "om 4–7 minuter" ur ledbåtens
+ *     _etaInterval (p10/p90) i stället för en siffra
  *
- * Multi-target separator: "; " (Klaffbron phrase always precedes Stridsbergsbron).
+ * Lead vessel: lowest valid ETA, else shortest distance — for a silent vessel
+ * her flagged dead-reckoned position (_predictedPosition), never her clause.
+ *
+ * Multi-target separator: "; " (phrases in fairway order south → north, so
+ * Klaffbron always precedes a promoted Järnvägsbron, which precedes Stridsbergsbron).
  * Empty / invalid input: DEFAULT_MESSAGE from constants.
+ *
+ * Språk: options.locale ('sv' default, 'en') byter bara ORDEN via
+ * bridgeTextLocale — gruppering, ordning, ledbåt och imminent-override är
+ * desamma i alla språk. app.js publicerar den kanoniska svenska texten och
+ * översätter vid publiceringsgränsen (se bridgeTextLocale).
  */
 class BridgeTextService {
   constructor(bridgeRegistry, logger, systemCoordinator = null, vesselDataService = null, passageLatchService = null) {
@@ -53,24 +68,30 @@ class BridgeTextService {
   }
 
   /**
-   * Delegate to CountTextHelper for Swedish count words.
+   * Delegate to CountTextHelper for count words.
    * @param {number} count
+   * @param {string} [locale] - 'sv' (default) | 'en'
    * @returns {string}
    */
   // eslint-disable-next-line class-methods-use-this
-  getCountText(count) {
-    return CountTextHelper.getCountText(count);
+  getCountText(count, locale) {
+    return CountTextHelper.getCountText(count, { locale });
   }
 
   /**
    * Generate bridge text from vessel data — pure function.
    * @param {Object[]} vessels - Array of relevant vessel objects
+   * @param {{locale?: string, etaRange?: boolean}} [options] - Textspråk ('sv'
+   *   default); etaRange = visa ledbåtens ETA som intervall
    * @returns {string} Human-readable bridge status message
    */
-  generateBridgeText(vessels) {
+  generateBridgeText(vessels, options = {}) {
+    const locale = options && options.locale;
+    const etaRange = Boolean(options && options.etaRange === true);
+    const { defaultMessage } = getStrings(locale);
     try {
       if (!Array.isArray(vessels) || vessels.length === 0) {
-        return BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE;
+        return defaultMessage;
       }
 
       const filtered = vessels.filter((v) => {
@@ -84,7 +105,7 @@ class BridgeTextService {
       });
 
       if (filtered.length === 0) {
-        return BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE;
+        return defaultMessage;
       }
 
       const groups = new Map();
@@ -99,12 +120,12 @@ class BridgeTextService {
       for (const target of TARGET_BRIDGES) {
         const group = groups.get(target);
         if (group && group.length > 0) {
-          phrases.push(this._buildGroupPhrase(group, target));
+          phrases.push(this._buildGroupPhrase(group, target, locale, etaRange));
         }
       }
 
       if (phrases.length === 0) {
-        return BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE;
+        return defaultMessage;
       }
 
       return phrases.join('; ');
@@ -112,7 +133,7 @@ class BridgeTextService {
       if (this.logger && typeof this.logger.error === 'function') {
         this.logger.error('❌ [BRIDGE_TEXT] Error generating bridge text:', error.message);
       }
-      return BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE;
+      return defaultMessage;
     }
   }
 
@@ -121,9 +142,11 @@ class BridgeTextService {
    * @private
    * @param {Object[]} vessels - Non-empty group of vessels sharing targetBridge
    * @param {string} targetBridge
+   * @param {string} [locale] - 'sv' (default) | 'en'
+   * @param {boolean} [etaRange] - intervalläget
    * @returns {string}
    */
-  _buildGroupPhrase(vessels, targetBridge) {
+  _buildGroupPhrase(vessels, targetBridge, locale, etaRange = false) {
     // B6 (körning 2026-07-03, F9) + produktionsredo-granskningen: en båt
     // vars target redan ligger i passedBridges är i zombie-tillstånd —
     // passagen har skett men transitionen har inte hunnit köra. Dess
@@ -137,8 +160,9 @@ class BridgeTextService {
     const lead = this._selectLeadVessel(etaEligible.length > 0 ? etaEligible : vessels);
     const leadIsZombie = isZombie(lead);
     const count = vessels.length;
-    const countWord = CountTextHelper.getCountText(count);
-    const boatWord = count === 1 ? 'båt' : 'båtar';
+    const strings = getStrings(locale);
+    const countWord = CountTextHelper.getCountText(count, { locale });
+    const boatWord = strings.boat(count);
     // F45: imminent gäller HELA gruppen — om någon båt är inom 300m från
     // målbron är broöppning imminent, även om den båten inte är "lead" (lägst
     // ETA). Extrapolated behålls från lead eftersom det kvalificerar just den
@@ -187,17 +211,28 @@ class BridgeTextService {
     const anyUnderTargetBridge = vessels.some((v) => v && !isZombie(v)
       && v.status === 'under-bridge' && v.currentBridge === targetBridge
       && hasFreshPosition(v));
+    // Öppningsrestriktion: ledbåtens ETA är skjuten till spärrfönstrets slut
+    // (applyOpeningRestriction). Bron är då stängd för HELA gruppen — även
+    // en imminent båt vid bron väntar på fönstret, så "strax" gäller inte.
+    const leadDeferred = Boolean(lead && !leadIsZombie
+      && Number.isFinite(lead._openingRestrictedUntilMs) && lead._openingRestrictedUntilMs > Date.now());
     const etaClause = this._formatETAAsBroOpening(
       lead && !leadIsZombie ? lead.etaMinutes : null,
       lead && !leadIsZombie ? lead._etaIsExtrapolated === true : false,
       anyImminent || anyUnderTargetBridge,
+      locale,
+      leadDeferred,
+      etaRange && lead && !leadIsZombie ? lead._etaInterval : null,
     );
-    return `${countWord} ${boatWord} på väg mot ${targetBridge}, ${etaClause}`;
+    return `${strings.headingFor(countWord, boatWord, targetBridge)}, ${etaClause}`;
   }
 
   /**
    * Choose the vessel representing the group — lowest valid ETA preferred,
-   * then lowest distanceToCurrent, finally fall back to the first vessel.
+   * then lowest distance, finally fall back to the first vessel. A silent
+   * vessel ranks on her dead-reckoned distance to the target
+   * (_predictedPosition) instead of her frozen last fix; the prediction
+   * only picks the lead and never drives the clause.
    * @private
    * @param {Object[]} vessels
    * @returns {Object|null}
@@ -211,9 +246,14 @@ class BridgeTextService {
       return withValidETA.reduce((a, b) => (a.etaMinutes <= b.etaMinutes ? a : b));
     }
 
-    const withDistance = vessels.filter((v) => v && Number.isFinite(v.distanceToCurrent));
+    const leadDistance = (v) => {
+      const predicted = v._predictedPosition;
+      return predicted && predicted.predicted === true && Number.isFinite(predicted.distanceToTargetM)
+        ? predicted.distanceToTargetM : v.distanceToCurrent;
+    };
+    const withDistance = vessels.filter((v) => v && Number.isFinite(leadDistance(v)));
     if (withDistance.length > 0) {
-      return withDistance.reduce((a, b) => (a.distanceToCurrent <= b.distanceToCurrent ? a : b));
+      return withDistance.reduce((a, b) => (leadDistance(a) <= leadDistance(b) ? a : b));
     }
 
     return vessels[0];
@@ -223,10 +263,15 @@ class BridgeTextService {
    * Format ETA as a "beräknad broöppning ..." clause.
    * @private
    * @param {number|null|undefined} etaMinutes
+   * @param {boolean} [extrapolated]
+   * @param {boolean} [imminent]
+   * @param {string} [locale] - 'sv' (default) | 'en'
+   * @param {boolean} [deferred] - öppningen skjuten av en öppningsrestriktion
+   * @param {{p10: number, p90: number}|null} [range] - ETA-intervallet (intervalläget)
    * @returns {string}
    */
   // eslint-disable-next-line class-methods-use-this
-  _formatETAAsBroOpening(etaMinutes, extrapolated = false, imminent = false) {
+  _formatETAAsBroOpening(etaMinutes, extrapolated = false, imminent = false, locale = undefined, deferred = false, range = null) {
     // Review fix H2: delegate to shared helper (SSOT för klausulen tvärs
     // BridgeTextService, fallbacktext och Flow tokens). OBS (R2 2026-07-11):
     // 30-min-clampen som kommentaren nämnde är BORTTAGEN sedan dess —
@@ -236,7 +281,9 @@ class BridgeTextService {
     // Fix H (2026-04-28): imminent-flag tvingar "strax" när vessel inom 300m
     // från målbro, oavsett ETA. Säkerställer konsekvent strax-fas även för
     // stillastående båtar och Class A 30s-tick som hoppar över ETA<3-zonen.
-    return formatETABroOpeningClause(etaMinutes, { extrapolated, imminent });
+    return formatETABroOpeningClause(etaMinutes, {
+      extrapolated, imminent, deferred, locale, range,
+    });
   }
 }
 
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * DeadReckoningService — PROGNOSPOSITION FÖR TYSTA FARTYG
+ * =============================================================================
+ *
+ * SYFTE
+ * När en Klass B-båt tystnar extrapolerar Fix G ETA-siffran (5–10 min), men
+ * positionen står still på sista fixet. Servicen flyttar båten framåt LÄNGS
+ * FARLEDEN (fairway-modellens chainage) på hennes senaste fart och kurs ur
+ * speedHistory, med ett förtroende som halveras var
+ * DEAD_RECKONING.CONFIDENCE_HALF_LIFE_MS.
+ *
+ * PROGNOS, ALDRIG FIX
+ * Resultatet är ett separat, flaggat objekt ({ predicted: true, ... }) som
+ * appen lägger i vessel._predictedPosition. lat/lon och passagelogiken
+ * rörs aldrig — varje verkligt meddelande släcker prognosen
+ * (VesselDataService-fältlistan). Konsumenterna:
+ *  - BridgeOpeningService.observePrediction: armen bär prognosens ankomst
+ *    (opening_expected_within, next_opening_at), och prognosens avstånd kan
+ *    tidigarelägga en armerad deadline. Prognosen armerar aldrig.
+ *  - app._triggerPredictedBoatNear: boat_near när prognosen når målbrons
+ *    300 m-zon efter BOAT_NEAR_MIN_SILENCE_MS, om inte sträckan passerar en
+ *    förtöjningsplats (passesMooring).
+ *  - BridgeTextService: ledarvalet på avstånd när ingen båt har giltig ETA.
+ *    Prognosen driver ALDRIG "strax" (HAJH-LAIF-klassen: strax @433 m).
+ *
+ * GRÄNSER
+ *  - Ingen prognos före MIN_SILENCE_MS (fixet är sanningen) eller efter
+ *    MAX_SILENCE_MS (samma gräns som ETA_STALE_HARD).
+ *  - Under MIN_SPEED_KN ingen framdrift (samma golv som Fix G).
+ *  - Fixet måste ligga i farledskorridoren och kursen inom MAX_OFF_AXIS_DEG
+ *    från farledens riktning; annars avgör den låsta ruttriktningen, och
+ *    utan den lämnas ingen prognos.
+ *  - Prognosen stannar vid målbrons linje: en öppningsbar bro passeras inte
+ *    utan öppning, och en passage bokförs bara ur verkliga fix.
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; klockan injiceras.
+ */
+
+const { DEAD_RECKONING } = require('../constants');
+const fairway = require('../utils/fairway');
+
+// Knop → m/s. Samma faktor som resten av kodbasen (1 kn = 1852/3600 m/s).
+const KNOTS_TO_MS = 0.514444;
+const NOOP = () => {};
+const toRad = (deg) => deg * (Math.PI / 180);
+
+class DeadReckoningService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Function} [options.now] - klockkälla (test/replay)
+   * @param {Object} [options.config] - överskrivning av DEAD_RECKONING (endast test)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    this.config = { ...DEAD_RECKONING, ...(opts.config || {}) };
+  }
+
+  /**
+   * Prognosposition för ett tyst fartyg.
+   * @param {Object} vessel - fartygsobjekt (lat, lon, sog, cog, speedHistory,
+   *   timestamp, lastPositionUpdate, fixTs, targetBridge, _routeDirection)
+   * @param {number} [atMs] - tidpunkten prognosen gäller (default nu)
+   * @returns {Object|null} { predicted: true, lat, lon, chainageM, atMs,
+   *   fixMs, ageMs, sogKn, headingDeg, direction, travelledM, confidence,
+   *   heldAtBridge, distanceToTargetM }, null = ingen prognos
+   */
+  predict(vessel, atMs = this._now()) {
+    if (!vessel || !Number.isFinite(vessel.lat) || !Number.isFinite(vessel.lon)) return null;
+
+    // Tystnaden mäts som appens ETA-gater (bekräftad position); framflyttningen
+    // räknas från FIXETS tid när den är tidigare — det pessimistiska valet
+    // (samma klockdomändoktrin som öppningslagret).
+    const confirmedMs = Math.max(vessel.timestamp || 0, vessel.lastPositionUpdate || 0);
+    if (!confirmedMs) return null;
+    const silenceMs = atMs - confirmedMs;
+    if (silenceMs < this.config.MIN_SILENCE_MS || silenceMs > this.config.MAX_SILENCE_MS) return null;
+    const fixMs = Number.isFinite(vessel.fixTs) ? Math.min(vessel.fixTs, confirmedMs) : confirmedMs;
+
+    const motion = this._recentMotion(vessel, fixMs);
+    if (!motion) return null;
+
+    const fix = fairway.projectToFairway(vessel.lat, vessel.lon);
+    if (!fix || !fix.inCorridor) return null;
+    const axis = fairway.locateChainage(fix.chainageM);
+    const sign = this._alongFairwaySign(vessel, motion.headingDeg, axis && axis.bearingDeg);
+    if (sign === 0) return null;
+
+    const ageMs = atMs - fixMs;
+    const travelledM = motion.sogKn * KNOTS_TO_MS * (ageMs / 1000);
+    let chainageM = fix.chainageM + sign * travelledM;
+    let heldAtBridge = false;
+    const bridgeS = typeof vessel.targetBridge === 'string'
+      ? fairway.bridgeChainageM(vessel.targetBridge) : null;
+    if (bridgeS !== null && (bridgeS - fix.chainageM) * sign > 0 && (chainageM - bridgeS) * sign > 0) {
+      chainageM = bridgeS;
+      heldAtBridge = true;
+    }
+
+    const confidence = (0.5 ** (ageMs / this.config.CONFIDENCE_HALF_LIFE_MS)) * motion.steadiness;
+    if (confidence < this.config.MIN_CONFIDENCE) return null;
+
+    const point = fairway.locateChainage(chainageM, fix.side * fix.crossTrackM);
+    if (!point) return null;
+    return {
+      predicted: true,
+      lat: point.lat,
+      lon: point.lon,
+      chainageM,
+      atMs,
+      fixMs,
+      ageMs,
+      sogKn: motion.sogKn,
+      headingDeg: motion.headingDeg,
+      direction: sign > 0 ? 'north' : 'south',
+      travelledM: Math.abs(chainageM - fix.chainageM),
+      confidence,
+      heldAtBridge,
+      distanceToTargetM: bridgeS !== null ? Math.abs(bridgeS - chainageM) : null,
+    };
+  }
+
+  /**
+   * Passerar prognosens sträcka (fixet → prognospunkten) en förtöjningsplats?
+   * En båt som tystnar på väg förbi en kaj eller gästhamn kan lika gärna ha
+   * lagt till där — prognosen bortom platsen bevisar då ingenting. Platserna
+   * jämförs i farledens chainage (samma modell som framflyttningen), med
+   * platsens radie som marginal; en plats utanför korridoren ignoreras.
+   * @param {Object} prediction - predict():s resultat
+   * @param {Object[]} places - [{ start: {lat, lon}, end: {lat, lon}, radiusM }]
+   *   (MOORING_ZONES-formen; en punkt har start === end)
+   * @returns {boolean}
+   */
+  passesMooring(prediction, places) {
+    if (!prediction || !Number.isFinite(prediction.chainageM) || !Array.isArray(places)) return false;
+    const sign = prediction.direction === 'south' ? -1 : 1;
+    const fixS = prediction.chainageM - sign * (prediction.travelledM || 0);
+    const pathMin = Math.min(fixS, prediction.chainageM);
+    const pathMax = Math.max(fixS, prediction.chainageM);
+    return places.some((place) => {
+      if (!place || !place.start || !place.end) return false;
+      const a = fairway.projectToFairway(place.start.lat, place.start.lon);
+      const b = fairway.projectToFairway(place.end.lat, place.end.lon);
+      if (!a || !b || (!a.inCorridor && !b.inCorridor)) return false;
+      const margin = Number.isFinite(place.radiusM) ? place.radiusM : 0;
+      return Math.min(a.chainageM, b.chainageM) - margin <= pathMax
+        && Math.max(a.chainageM, b.chainageM) + margin >= pathMin;
+    });
+  }
+
+  /**
+   * Fart och kurs ur historiken före fixet: medelfarten, kursens
+   * cirkelmedelvärde och en stadighetsfaktor (1 − fartens variationskoefficient)
+   * som sänker förtroendet för en båt som ändrat fart.
+   * @private
+   * @returns {{sogKn: number, headingDeg: number|null, steadiness: number}|null}
+   */
+  _recentMotion(vessel, fixMs) {
+    const from = fixMs - this.config.HISTORY_WINDOW_MS;
+    const history = Array.isArray(vessel.speedHistory)
+      ? vessel.speedHistory.filter((e) => e && Number.isFinite(e.speed)
+        && (!Number.isFinite(e.timestamp) || e.timestamp >= from))
+      : [];
+    // Senast rapporterade fart avgör om båten alls har framdrift: en båt som
+    // bromsat in före tystnaden ska inte flyttas på gårdagens marschfart.
+    if (!Number.isFinite(vessel.sog) || vessel.sog < this.config.MIN_SPEED_KN) return null;
+    const speeds = history.length > 0 ? history.map((e) => e.speed) : [vessel.sog];
+    const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+    if (mean < this.config.MIN_SPEED_KN) return null;
+    const variance = speeds.reduce((a, b) => a + ((b - mean) ** 2), 0) / speeds.length;
+    const steadiness = Math.max(0, Math.min(1, 1 - (Math.sqrt(variance) / mean)));
+
+    const courses = history.map((e) => e.cog).filter(Number.isFinite);
+    if (courses.length === 0 && Number.isFinite(vessel.cog)) courses.push(vessel.cog);
+    let headingDeg = null;
+    if (courses.length > 0) {
+      const x = courses.reduce((a, c) => a + Math.cos(toRad(c)), 0);
+      const y = courses.reduce((a, c) => a + Math.sin(toRad(c)), 0);
+      if (Math.hypot(x, y) > 1e-9) headingDeg = ((Math.atan2(y, x) * (180 / Math.PI)) + 360) % 360;
+    }
+    return { sogKn: mean, headingDeg, steadiness };
+  }
+
+  /**
+   * +1 = norrut längs farleden (växande chainage), −1 = söderut, 0 = okänt.
+   * Kursen avgör när den ligger nära farledens axel; annars den låsta
+   * ruttriktningen (en båt i en sväng eller på tvären).
+   * @private
+   */
+  _alongFairwaySign(vessel, headingDeg, axisBearingDeg) {
+    if (Number.isFinite(headingDeg) && Number.isFinite(axisBearingDeg)) {
+      const alignment = Math.cos(toRad(headingDeg - axisBearingDeg));
+      const limit = Math.cos(toRad(this.config.MAX_OFF_AXIS_DEG));
+      if (alignment >= limit) return 1;
+      if (alignment <= -limit) return -1;
+    }
+    const dir = vessel._finalTargetDirection || vessel._routeDirection;
+    if (dir === 'north') return 1;
+    if (dir === 'south') return -1;
+    return 0;
+  }
+}
+
+module.exports = DeadReckoningService;
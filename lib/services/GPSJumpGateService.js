@@ -15,6 +15,7 @@
  */
 
 const GPSJumpAnalyzer = require('../utils/GPSJumpAnalyzer');
+const simulationClock = require('../utils/simulationClock');
 
 class GPSJumpGateService {
   static BASE_GATE_TIMEOUT_MS = 30 * 1000;
@@ -50,7 +51,7 @@ class GPSJumpGateService {
       this._cleanupTimer = null;
       this.logger.debug('🧪 [GPS_GATE] Test mode detected - skipping cleanup timer');
     } else {
-      this._cleanupTimer = setInterval(() => {
+      this._cleanupTimer = simulationClock.setInterval(() => {
         this._cleanupExpiredGates();
       }, 10 * 1000); // Var 10:e sekund
     }
@@ -486,7 +487,7 @@ class GPSJumpGateService {
    */
   destroy() {
     if (this._cleanupTimer) {
-      clearInterval(this._cleanupTimer);
+      simulationClock.clearInterval(this._cleanupTimer);
       this._cleanupTimer = null;
     }
 
@@ -0,0 +1,278 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * LockComplexService — SLUSSTRAPPAN: KÖ, KAMMARE, UTTRÄDE OCH CYKELTID
+ * =============================================================================
+ *
+ * SYFTE
+ * Sydgående båtar försvinner in i slusstrappan söder om Olidebron och
+ * nordgående dyker upp ur den efter lång väntan. Utan modell läste appen den
+ * väntan som tystnad eller som "väntar", och en båt i kö för slussen fick en
+ * ETA på fågelvägen i kryphastighet. Slussarna är en egen waypoint-typ i
+ * BridgeRegistry (profilens locks); servicen håller varje båts läge i dem.
+ *
+ * TILLSTÅNDEN (per båt och sluss)
+ *  - queued     — i kön vid inträdesporten (nedre porten på väg upp, övre
+ *                 på väg ned)
+ *  - in_chamber — i kammaren mellan portarna
+ *  - exited     — ute på andra sidan; hålls EXITED_HOLD_MS så att samma
+ *                 genomgång inte startar om, sedan glöms båten
+ * En båt som lämnar kön bakåt glöms direkt (ingen genomgång). Vid övre
+ * porten blir en båt slusskund först när den rör sig MOT porten —
+ * förtöjda vid infartskajerna gör det aldrig.
+ *
+ * CYKELTIDEN
+ * Varje genomgång där båten sågs i kön FÖRE kammaren (kö → utträde) är ett
+ * prov. Skattningen är medianen av de senaste SAMPLE_WINDOW proven, efter
+ * MIN_SAMPLES st; dessförinnan profilens defaultCycleMinutes. Prov utanför
+ * [MIN_CYCLE_MINUTES, MAX_CYCLE_MINUTES] är glapp eller en båt som lade till
+ * i kön, inte en slusscykel, och räknas inte.
+ *
+ * ETA
+ * getPassage() ger ProgressiveETACalculator slussväntan för en båt på väg
+ * UPP (kvarvarande cykeltid) och porten resan fortsätter från.
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; klockan injiceras. Appen matar den från
+ * _analyzeVesselPosition före ETA-beräkningen.
+ */
+
+const { LOCK_COMPLEX } = require('../constants');
+const { calculateDistance, calculateBearing, normalizeAngleDiff } = require('../utils/geometry');
+
+const NOOP = () => {};
+const M_PER_DEG_LAT = 111320;
+
+/**
+ * Läget relativt slussen. Kammaren prövas först (linjen mellan portarna ±
+ * CHAMBER_HALF_WIDTH_M), sedan köcirklarna kring portarna.
+ * @param {Object} lock - {upperGate, lowerGate, queueRadiusM}
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{region: 'chamber'|'upper'|'lower'|'outside', side: 'upper'|'lower'}}
+ *   side = vilken sida om slussens mitt positionen ligger på
+ */
+function locateInLock(lock, lat, lon) {
+  const a = lock.upperGate;
+  const b = lock.lowerGate;
+  const mPerDegLon = M_PER_DEG_LAT * Math.cos(a.lat * (Math.PI / 180));
+  const px = (lon - a.lon) * mPerDegLon;
+  const py = (lat - a.lat) * M_PER_DEG_LAT;
+  const bx = (b.lon - a.lon) * mPerDegLon;
+  const by = (b.lat - a.lat) * M_PER_DEG_LAT;
+  const len = Math.sqrt((bx * bx) + (by * by));
+  // t = 0 vid övre porten, 1 vid nedre (oklampat).
+  const t = len > 0 ? ((px * bx) + (py * by)) / (len * len) : 0;
+  const crossM = len > 0 ? Math.abs((px * by) - (py * bx)) / len : Math.sqrt((px * px) + (py * py));
+  const side = t < 0.5 ? 'upper' : 'lower';
+
+  if (t > 0 && t < 1 && crossM <= LOCK_COMPLEX.CHAMBER_HALF_WIDTH_M) return { region: 'chamber', side };
+  const toUpper = calculateDistance(lat, lon, a.lat, a.lon);
+  const toLower = calculateDistance(lat, lon, b.lat, b.lon);
+  if (toUpper <= lock.queueRadiusM && toUpper <= toLower) return { region: 'upper', side };
+  if (toLower <= lock.queueRadiusM) return { region: 'lower', side };
+  return { region: 'outside', side };
+}
+
+class LockComplexService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Object} options.bridgeRegistry - slussarna (getLocks/getLock)
+   * @param {Function} [options.now] - klockkälla (test/replay)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this.bridgeRegistry = opts.bridgeRegistry;
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    // mmsi → { mmsi, lockId, lockName, direction, state, enteredAt, stateSince, lastSeenAt, fullTransit }
+    this._vessels = new Map();
+    // lockId → genomgångstider i minuter (äldst först)
+    this._samples = new Map();
+  }
+
+  /**
+   * Uppdatera båtens läge i slussarna.
+   * @param {Object} vessel - {mmsi, lat, lon, sog, cog}
+   * @returns {Object|null} kopia av tillståndet, null = inte i någon sluss
+   */
+  observeVessel(vessel) {
+    if (!vessel || !Number.isFinite(vessel.lat) || !Number.isFinite(vessel.lon)) return null;
+    const now = this._now();
+    this._prune(now);
+    const mmsi = String(vessel.mmsi);
+    const entry = this._vessels.get(mmsi);
+    if (entry) {
+      if (entry.state !== 'exited') this._advance(entry, vessel, now);
+      return this.getState(mmsi);
+    }
+
+    for (const lock of this.bridgeRegistry.getLocks()) {
+      const where = locateInLock(lock, vessel.lat, vessel.lon);
+      const direction = this._entryDirection(lock, where, vessel);
+      if (!direction) continue;
+      const state = where.region === 'chamber' ? 'in_chamber' : 'queued';
+      this._vessels.set(mmsi, {
+        mmsi,
+        lockId: lock.id,
+        lockName: lock.name,
+        direction,
+        state,
+        enteredAt: now,
+        stateSince: now,
+        lastSeenAt: now,
+        // Bara en genomgång som börjar i kön mäter hela cykeln.
+        fullTransit: state === 'queued',
+      });
+      this.logger.debug(`🔒 [LOCK] ${mmsi}: ${state} vid ${lock.name} (${direction === 'up' ? 'uppåt' : 'nedåt'})`);
+      return this.getState(mmsi);
+    }
+    return null;
+  }
+
+  /**
+   * Slussväntan för en båt på väg UPP (queued/in_chamber).
+   * @param {Object} vessel - {mmsi}
+   * @returns {{lockId: string, lockName: string, state: string, delayMinutes: number, exitGate: Object}|null}
+   */
+  getPassage(vessel) {
+    const entry = vessel ? this._vessels.get(String(vessel.mmsi)) : null;
+    if (!entry || entry.direction !== 'up' || entry.state === 'exited') return null;
+    const lock = this.bridgeRegistry.getLock(entry.lockId);
+    if (!lock) return null;
+    const elapsedMinutes = (this._now() - entry.enteredAt) / 60000;
+    return {
+      lockId: entry.lockId,
+      lockName: entry.lockName,
+      state: entry.state,
+      delayMinutes: Math.max(0, this.estimateCycleMinutes(entry.lockId) - elapsedMinutes),
+      exitGate: lock.upperGate,
+    };
+  }
+
+  /**
+   * Skattad cykeltid (kö → utträde) för slussen.
+   * @param {string} lockId
+   * @returns {number|null} minuter, null = okänd sluss
+   */
+  estimateCycleMinutes(lockId) {
+    const lock = this.bridgeRegistry.getLock(lockId);
+    if (!lock) return null;
+    const samples = this._samples.get(lockId) || [];
+    if (samples.length < LOCK_COMPLEX.MIN_SAMPLES) return lock.defaultCycleMinutes;
+    const sorted = [...samples].sort((x, y) => x - y);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * @param {string|number} mmsi
+   * @returns {Object|null} kopia av båtens slusstillstånd
+   */
+  getState(mmsi) {
+    const entry = this._vessels.get(String(mmsi));
+    return entry ? { ...entry } : null;
+  }
+
+  /** Diagnostik: båtarna i slussarna och cykeltiden per sluss. */
+  getSnapshot() {
+    const cycles = {};
+    for (const lock of this.bridgeRegistry.getLocks()) {
+      cycles[lock.id] = {
+        minutes: this.estimateCycleMinutes(lock.id),
+        samples: (this._samples.get(lock.id) || []).length,
+      };
+    }
+    return { vessels: [...this._vessels.values()].map((e) => ({ ...e })), cycles };
+  }
+
+  /**
+   * Riktning för en båt som ännu inte är i någon sluss, null = ingen kund.
+   * @private
+   */
+  _entryDirection(lock, where, vessel) {
+    if (where.region === 'lower') return 'up';
+    if (where.region === 'chamber') return this._isHeadingTo(vessel, lock.lowerGate) ? 'down' : 'up';
+    if (where.region === 'upper') return this._isHeadingTo(vessel, lock.upperGate) ? 'down' : null;
+    return null;
+  }
+
+  /**
+   * Rör sig båten mot punkten? Kräver verklig fart och kurs — isHeadingTowards
+   * ger långsamma båtar benefit of doubt, vilket hade gjort kajliggarna till
+   * slusskunder.
+   * @private
+   */
+  _isHeadingTo(vessel, point) {
+    if (!Number.isFinite(vessel.sog) || vessel.sog < LOCK_COMPLEX.APPROACH_MIN_SOG_KN) return false;
+    if (!Number.isFinite(vessel.cog)) return false;
+    const bearing = calculateBearing(vessel.lat, vessel.lon, point.lat, point.lon);
+    return normalizeAngleDiff(vessel.cog, bearing) <= LOCK_COMPLEX.APPROACH_MAX_COG_DIFF;
+  }
+
+  /** @private */
+  _advance(entry, vessel, now) {
+    const lock = this.bridgeRegistry.getLock(entry.lockId);
+    if (!lock) {
+      this._vessels.delete(entry.mmsi);
+      return;
+    }
+    entry.lastSeenAt = now;
+    const where = locateInLock(lock, vessel.lat, vessel.lon);
+    const entrySide = entry.direction === 'up' ? 'lower' : 'upper';
+
+    if (where.region === 'chamber') {
+      this._setState(entry, 'in_chamber', now);
+    } else if (where.side === entrySide) {
+      if (where.region === entrySide) {
+        this._setState(entry, 'queued', now);
+      } else {
+        // Lämnade kön bakåt — ingen genomgång.
+        this.logger.debug(`🔓 [LOCK] ${entry.mmsi}: lämnade kön vid ${entry.lockName}`);
+        this._vessels.delete(entry.mmsi);
+      }
+    } else {
+      this._exit(entry, now);
+    }
+  }
+
+  /** @private */
+  _setState(entry, state, now) {
+    if (entry.state === state) return;
+    this.logger.debug(`🔒 [LOCK] ${entry.mmsi}: ${entry.state} → ${state} vid ${entry.lockName}`);
+    entry.state = state;
+    entry.stateSince = now;
+  }
+
+  /** @private */
+  _exit(entry, now) {
+    this._setState(entry, 'exited', now);
+    const minutes = (now - entry.enteredAt) / 60000;
+    if (!entry.fullTransit
+        || minutes < LOCK_COMPLEX.MIN_CYCLE_MINUTES || minutes > LOCK_COMPLEX.MAX_CYCLE_MINUTES) {
+      return;
+    }
+    const samples = this._samples.get(entry.lockId) || [];
+    samples.push(minutes);
+    if (samples.length > LOCK_COMPLEX.SAMPLE_WINDOW) samples.splice(0, samples.length - LOCK_COMPLEX.SAMPLE_WINDOW);
+    this._samples.set(entry.lockId, samples);
+    this.logger.log(
+      `🔓 [LOCK] ${entry.mmsi}: genom ${entry.lockName} på ${minutes.toFixed(1)} min `
+      + `— cykeltid nu ${this.estimateCycleMinutes(entry.lockId).toFixed(1)} min (${samples.length} prov)`,
+    );
+  }
+
+  /** @private */
+  _prune(now) {
+    for (const [mmsi, entry] of this._vessels) {
+      const exitedLongAgo = entry.state === 'exited' && now - entry.stateSince > LOCK_COMPLEX.EXITED_HOLD_MS;
+      if (exitedLongAgo || now - entry.lastSeenAt > LOCK_COMPLEX.STATE_TTL_MS) this._vessels.delete(mmsi);
+    }
+  }
+}
+
+module.exports = LockComplexService;
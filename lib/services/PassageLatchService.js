@@ -12,7 +12,11 @@
  * - Timeout-hantering för att förhindra permanent låsning
  */
 
-const BRIDGE_NAMES = ['Stallbackabron', 'Stridsbergsbron', 'Järnvägsbron', 'Klaffbron', 'Olidebron'];
+const { BRIDGES } = require('../constants');
+const simulationClock = require('../utils/simulationClock');
+
+/** Är namnet en bro i den aktiva vattenvägsprofilen? */
+const isKnownBridge = (name) => Object.values(BRIDGES).some((bridge) => bridge.name === name);
 
 class PassageLatchService {
   constructor(logger) {
@@ -29,7 +33,7 @@ class PassageLatchService {
       this._cleanupTimer = null;
       this.logger.debug('🧪 [PASSAGE_LATCH] Test mode detected - skipping cleanup timer');
     } else {
-      this._cleanupTimer = setInterval(() => {
+      this._cleanupTimer = simulationClock.setInterval(() => {
         this._cleanupExpiredLatches();
       }, 60 * 1000); // Varje minut
     }
@@ -44,7 +48,7 @@ class PassageLatchService {
    * @param {string} direction - 'north' eller 'south'
    */
   registerPassage(vesselId, bridgeName, direction) {
-    if (!vesselId || !bridgeName || !BRIDGE_NAMES.includes(bridgeName)) {
+    if (!vesselId || !bridgeName || !isKnownBridge(bridgeName)) {
       return;
     }
 
@@ -293,12 +297,55 @@ class PassageLatchService {
     };
   }
 
+  /**
+   * Varmstart: latcharna som JSON-säker form (se app.js tracking_snapshot).
+   * @returns {Object} vesselId → latchData[] (latchedStatuses som lista)
+   */
+  toJSON() {
+    const out = {};
+    for (const [vesselId, vesselLatches] of this._passageLatches.entries()) {
+      out[vesselId] = Array.from(vesselLatches.values()).map((latchData) => ({
+        ...latchData,
+        latchedStatuses: Array.from(latchData.latchedStatuses || []),
+      }));
+    }
+    return out;
+  }
+
+  /**
+   * Återställ toJSON()-formen. Utgångna latchar (samma 10 min-gräns som den
+   * periodiska städningen) och okända broar filtreras.
+   * @param {Object|null} state
+   * @param {Object} [options]
+   * @param {number} [options.now] - klocka (default Date.now())
+   * @returns {number} antal återställda latchar
+   */
+  load(state, { now = Date.now() } = {}) {
+    this._passageLatches.clear();
+    if (!state || typeof state !== 'object') return 0;
+    let restored = 0;
+    for (const [vesselId, list] of Object.entries(state)) {
+      if (!Array.isArray(list)) continue;
+      for (const raw of list) {
+        if (!raw || !isKnownBridge(raw.bridgeName) || !Number.isFinite(raw.timestamp)) continue;
+        if (now - raw.timestamp > this._latchTimeout) continue;
+        if (!this._passageLatches.has(vesselId)) this._passageLatches.set(vesselId, new Map());
+        this._passageLatches.get(vesselId).set(raw.bridgeName, {
+          ...raw,
+          latchedStatuses: new Set(Array.isArray(raw.latchedStatuses) ? raw.latchedStatuses : []),
+        });
+        restored++;
+      }
+    }
+    return restored;
+  }
+
   /**
    * Cleanup vid service shutdown
    */
   destroy() {
     if (this._cleanupTimer) {
-      clearInterval(this._cleanupTimer);
+      simulationClock.clearInterval(this._cleanupTimer);
       this._cleanupTimer = null;
     }
 
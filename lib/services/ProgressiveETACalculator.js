@@ -1,13 +1,18 @@
 'use strict';
 
-const geometry = require('../utils/geometry');
+const fairway = require('../utils/fairway');
 const {
   WAITING_STATUS_MAX_ETA_MINUTES,
   MIN_PASSAGE_ROUTE_SPEED_KNOTS,
+  LOCK_COMPLEX,
+  SPEED_PROFILES,
+  ETA_INTERVAL,
 } = require('../constants');
 const {
   isValidVesselCoordinates, isValidSpeed, safeDivision, isValidDistance,
 } = require('../utils/etaValidation');
+const snapshotCodec = require('../utils/snapshotCodec');
+const simulationClock = require('../utils/simulationClock');
 
 /**
  * ProgressiveETACalculator - Progressive route-based ETA calculation
@@ -50,12 +55,26 @@ class ProgressiveETACalculator {
     // skiljas via de smala armeringssignalerna.
     this._postTransitionStationaryHold = new Set(); // Set<mmsi>
 
+    // Slusstrappan: (vessel) => {delayMinutes, exitGate, lockName, state}|null
+    // (LockComplexService.getPassage, injicerad av appen via StatusService).
+    this._lockPassageProvider = null;
+
+    // Öppningsrestriktioner: (bridgeName, atMs) => spärrens slut (ms)|null
+    // (BridgeRestrictionService.getBlockedUntil, injicerad via StatusService).
+    this._openingRestrictionProvider = null;
+
+    // Inlärda fartprofiler: (vessel) => {speedKn, samples, coverage}|null
+    // (SpeedProfileService.getProfileSpeed, injicerad via StatusService).
+    // Senaste fartkällan per mmsi bokförs i ETA-historiken (speedSource).
+    this._speedProfileProvider = null;
+    this._speedSources = new Map(); // Map<mmsi, {source, profileSpeedKn, weight}>
+
     // Cleanup timer for ETA history (disabled in test mode to avoid lingering timers)
     if (process.env.NODE_ENV === 'test' || global.__TEST_MODE__) {
       this._historyCleanupTimer = null;
       this.logger.debug('🧪 [ETA_CALCULATOR_V2] Test mode detected - skipping history cleanup timer');
     } else {
-      this._historyCleanupTimer = setInterval(() => {
+      this._historyCleanupTimer = simulationClock.setInterval(() => {
         this._cleanupOldETAHistory();
       }, 5 * 60 * 1000); // Every 5 minutes
     }
@@ -153,9 +172,19 @@ class ProgressiveETACalculator {
       // som känd, självläkande och redan dämpad av ETA_APPROACH_LIMIT
       // (+1 min/cykel) + EMA — dokumenterad i docs/faltprov7-2026-07-12.md.
 
+      // Slusstrappan: en båt som köar för eller ligger i slussen på väg upp
+      // räknas från övre porten plus den förutsagda slussväntan — inte på
+      // fågelvägen i kammarens kryphastighet.
+      const lockPassage = this._getLockPassage(vessel);
+      if (lockPassage) {
+        calculationMethod = 'lock_complex';
+      }
+
       this.logger.debug(`📊 [ETA_METHOD] ${vessel.mmsi}: Using ${calculationMethod} calculation`);
 
-      if (!proximityData || !nearestBridgeId) {
+      if (lockPassage) {
+        rawETA = this._calculateLockETA(vessel, lockPassage);
+      } else if (!proximityData || !nearestBridgeId) {
         // Fallback to direct calculation
         rawETA = this._calculateDirectETA(vessel);
       } else if (nearestBridgeId === targetBridgeId) {
@@ -198,6 +227,160 @@ class ProgressiveETACalculator {
     }
   }
 
+  /**
+   * Set the lock-passage provider (LockComplexService.getPassage)
+   * @param {Function|null} provider - (vessel) => passage or null
+   */
+  setLockPassageProvider(provider) {
+    this._lockPassageProvider = typeof provider === 'function' ? provider : null;
+  }
+
+  /**
+   * Set the opening-restriction provider (BridgeRestrictionService.getBlockedUntil)
+   * @param {Function|null} provider - (bridgeName, atMs) => blocked-until ms or null
+   */
+  setOpeningRestrictionProvider(provider) {
+    this._openingRestrictionProvider = typeof provider === 'function' ? provider : null;
+  }
+
+  /**
+   * Set the learned speed-profile provider (SpeedProfileService.getProfileSpeed)
+   * @param {Function|null} provider - (vessel) => {speedKn, samples, coverage} or null
+   */
+  setSpeedProfileProvider(provider) {
+    this._speedProfileProvider = typeof provider === 'function' ? provider : null;
+  }
+
+  /**
+   * Push a predicted opening that falls in a blocked window to the window's
+   * end. Runs AFTER the publish clamp on the arrival ETA (the smoothing
+   * history keeps the arrival, so the deferral never looks like a jump).
+   * Marks vessel._openingRestrictedUntilMs for the bridge text.
+   * @param {Object} vessel - Vessel data
+   * @param {number|null} etaMinutes - Arrival ETA at the target bridge
+   * @returns {number|null} Predicted opening in minutes
+   */
+  applyOpeningRestriction(vessel, etaMinutes) {
+    if (!vessel) return etaMinutes;
+    vessel._openingRestrictedUntilMs = null;
+    if (!this._openingRestrictionProvider || !vessel.targetBridge
+        || !Number.isFinite(etaMinutes) || etaMinutes < 0) {
+      return etaMinutes;
+    }
+    const now = Date.now();
+    let until = null;
+    try {
+      until = this._openingRestrictionProvider(vessel.targetBridge, now + etaMinutes * 60000);
+    } catch (error) {
+      this.logger.error(`⛔ [RESTRICTION_ETA] ${vessel.mmsi}: restriction provider failed: ${error.message}`);
+      return etaMinutes;
+    }
+    if (!Number.isFinite(until) || until <= now) return etaMinutes;
+    const deferred = Math.max(etaMinutes, (until - now) / 60000);
+    vessel._openingRestrictedUntilMs = until;
+    this.logger.debug(
+      `⛔ [RESTRICTION_ETA] ${vessel.mmsi}: ${vessel.targetBridge} blocked until `
+      + `${new Date(until).toISOString()} — opening ${etaMinutes.toFixed(1)} → ${deferred.toFixed(1)}min`,
+    );
+    return deferred;
+  }
+
+  /**
+   * ETA distribution around a published ETA (ETA_INTERVAL). p50 is the ETA
+   * itself; p10/p90 spread with the speed variation (the averaging buffer
+   * plus SOG noise), the position uncertainty along the fairway and the age
+   * of the last confirmed position. Read-only — no history or buffer writes.
+   * @param {Object} vessel - Vessel data
+   * @param {number|null} etaMinutes - Published ETA (arrival or deferred opening)
+   * @param {{distanceM?: number, nowMs?: number}} [options] - distanceM replaces
+   *   the distance to the target bridge (boat_near for another bridge)
+   * @returns {{p10: number, p50: number, p90: number, relativeSigma: number, ageMinutes: number}|null}
+   */
+  calculateETAInterval(vessel, etaMinutes, options = {}) {
+    if (!vessel || !Number.isFinite(etaMinutes) || etaMinutes < 0) return null;
+    const opts = options || {};
+    const now = Number.isFinite(opts.nowMs) ? opts.nowMs : Date.now();
+    const z = ETA_INTERVAL.Z_P90;
+
+    // Farten: buffertens spridning plus mätbrus, relativt snittfarten.
+    // Stillaliggande båtar slår i taket — deras ankomst är i praktiken okänd.
+    const buffer = this._speedBuffers.get(vessel.mmsi) || [];
+    const speeds = buffer.length > 0 ? buffer : [vessel.sog].filter(Number.isFinite);
+    const mean = speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : 0;
+    const variance = speeds.length > 1
+      ? speeds.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (speeds.length - 1)
+      : 0;
+    const speedRel = Math.sqrt(variance + ETA_INTERVAL.SOG_NOISE_KN ** 2)
+      / Math.max(mean, ETA_INTERVAL.MIN_SPEED_KN);
+
+    // Sträckan: positionens osäkerhet relativt återstående avstånd.
+    const positionSigma = vessel._positionUncertain === true
+      ? ETA_INTERVAL.UNCERTAIN_POSITION_SIGMA_M
+      : ETA_INTERVAL.POSITION_SIGMA_M;
+    const distance = Number.isFinite(opts.distanceM) ? opts.distanceM : this._getDistanceToTarget(vessel);
+    const distanceRel = isValidDistance(distance) ? positionSigma / Math.max(distance, positionSigma) : 0;
+
+    const relativeSigma = Math.min(ETA_INTERVAL.MAX_RELATIVE_SIGMA, Math.hypot(speedRel, distanceRel));
+    let p10 = etaMinutes * Math.exp(-z * relativeSigma);
+    let p90 = etaMinutes * Math.exp(z * relativeSigma);
+
+    // Datats ålder: efter normal kadens växer osäkerheten i absoluta minuter.
+    const lastConfirmedMs = Math.max(vessel.timestamp || 0, vessel.lastPositionUpdate || 0);
+    const ageMinutes = lastConfirmedMs > 0
+      ? Math.max(0, now - lastConfirmedMs - ETA_INTERVAL.AGE_GRACE_MS) / 60000
+      : 0;
+    const ageSigma = ETA_INTERVAL.AGE_SIGMA_PER_MIN * ageMinutes;
+    p10 = Math.max(0, p10 - z * ageSigma);
+    p90 += z * ageSigma;
+
+    // Öppningsrestriktion: bron öppnar inte före spärrfönstrets slut.
+    if (Number.isFinite(vessel._openingRestrictedUntilMs) && vessel._openingRestrictedUntilMs > now) {
+      p10 = Math.max(p10, Math.min(etaMinutes, (vessel._openingRestrictedUntilMs - now) / 60000));
+    }
+
+    return {
+      p10, p50: etaMinutes, p90, relativeSigma, ageMinutes,
+    };
+  }
+
+  /**
+   * Lock passage for a vessel heading up through the lock complex
+   * @param {Object} vessel - Vessel data
+   * @returns {Object|null} {delayMinutes, exitGate, lockName, state} or null
+   * @private
+   */
+  _getLockPassage(vessel) {
+    if (!this._lockPassageProvider) return null;
+    try {
+      const passage = this._lockPassageProvider(vessel);
+      return passage && passage.exitGate && Number.isFinite(passage.delayMinutes) ? passage : null;
+    } catch (error) {
+      this.logger.error(`🔒 [LOCK_ETA] ${vessel.mmsi}: lock provider failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * ETA for a vessel in the lock complex: predicted lock delay plus the
+   * sailed distance from the exit gate at LOCK_COMPLEX.EXIT_SPEED_KN
+   * @param {Object} vessel - Vessel data
+   * @param {Object} passage - From _getLockPassage
+   * @returns {number|null} ETA in minutes or null
+   * @private
+   */
+  _calculateLockETA(vessel, passage) {
+    const targetBridge = this.bridgeRegistry.getBridgeByName(vessel.targetBridge);
+    if (!targetBridge) return null;
+    const distance = fairway.sailedDistanceM(passage.exitGate.lat, passage.exitGate.lon, targetBridge);
+    if (!isValidDistance(distance) || distance <= 0) return null;
+    const travelMinutes = distance / ((LOCK_COMPLEX.EXIT_SPEED_KN * 1852) / 3600) / 60;
+    this.logger.debug(
+      `🔒 [LOCK_ETA] ${vessel.mmsi}: ${passage.state} at ${passage.lockName} — `
+      + `${passage.delayMinutes.toFixed(1)}min lock delay + ${travelMinutes.toFixed(1)}min to ${vessel.targetBridge}`,
+    );
+    return Math.min(Math.max(passage.delayMinutes + travelMinutes, 0.1), 120);
+  }
+
   /**
    * Extract a normalized bridge identifier (handles objects returned by ProximityService)
    * @param {string|Object|null} bridge - Bridge reference
@@ -301,10 +484,8 @@ class ProgressiveETACalculator {
       }
 
       try {
-        distance = geometry.calculateDistance(
-          vessel.lat, vessel.lon,
-          bridge.lat, bridge.lon,
-        );
+        // Seglat avstånd — kanalen svänger (lib/utils/fairway).
+        distance = fairway.sailedDistanceM(vessel.lat, vessel.lon, bridge);
 
         if (!isValidDistance(distance) || distance <= 0) {
           this.logger.debug(
@@ -390,10 +571,7 @@ class ProgressiveETACalculator {
     }
 
     try {
-      const distance = geometry.calculateDistance(
-        vessel.lat, vessel.lon,
-        targetBridge.lat, targetBridge.lon,
-      );
+      const distance = fairway.sailedDistanceM(vessel.lat, vessel.lon, targetBridge);
 
       if (!isValidDistance(distance) || distance <= 0) {
         return null;
@@ -530,7 +708,46 @@ class ProgressiveETACalculator {
       );
     }
 
-    return effectiveSpeed;
+    return this._blendProfileSpeed(vessel, effectiveSpeed, actualSpeed);
+  }
+
+  /**
+   * Blend the vessel's learned effective speed into the live speed. Only for
+   * a vessel under way (SPEED_PROFILES.MIN_LIVE_SPEED_KN): waiting and
+   * moored vessels keep the ETA designed on their own speed. The profile's
+   * share grows with its samples and with how much of the remaining route
+   * its segments cover. Records the source for the ETA history.
+   * @param {Object} vessel - Vessel data
+   * @param {number} liveSpeed - Effective live speed in knots (floors applied)
+   * @param {number} actualSpeed - Reported SOG in knots
+   * @returns {number} Speed in knots
+   * @private
+   */
+  _blendProfileSpeed(vessel, liveSpeed, actualSpeed) {
+    const key = String(vessel.mmsi);
+    this._speedSources.set(key, { source: 'live', profileSpeedKn: null, weight: 0 });
+    if (!this._speedProfileProvider || actualSpeed < SPEED_PROFILES.MIN_LIVE_SPEED_KN) return liveSpeed;
+
+    let profile = null;
+    try {
+      profile = this._speedProfileProvider(vessel);
+    } catch (error) {
+      this.logger.error(`🚤 [SPEED_PROFILE] ${vessel.mmsi}: profile provider failed: ${error.message}`);
+      return liveSpeed;
+    }
+    if (!profile || !isValidSpeed(profile.speedKn) || profile.speedKn <= 0) return liveSpeed;
+
+    const weight = SPEED_PROFILES.BLEND_WEIGHT
+      * Math.min(1, profile.samples / SPEED_PROFILES.FULL_WEIGHT_SAMPLES)
+      * Math.min(1, Math.max(0, profile.coverage));
+    if (!(weight > 0)) return liveSpeed;
+    const blended = weight * profile.speedKn + (1 - weight) * liveSpeed;
+    this._speedSources.set(key, { source: 'profile', profileSpeedKn: profile.speedKn, weight });
+    this.logger.debug(
+      `🚤 [SPEED_PROFILE] ${vessel.mmsi}: live ${liveSpeed.toFixed(2)}kn + profile `
+      + `${profile.speedKn.toFixed(2)}kn (${profile.samples} samples, weight ${weight.toFixed(2)}) → ${blended.toFixed(2)}kn`,
+    );
+    return blended;
   }
 
   /**
@@ -878,6 +1095,7 @@ class ProgressiveETACalculator {
     adjustedETA = Math.min(Math.max(adjustedETA, 0.1), 120); // Final bounds: 0.1min to 2 hours
 
     // STEP 6: RECORD HISTORY - Store this calculation for future reference
+    const speedSource = this._speedSources.get(mmsi) || { source: 'live', profileSpeedKn: null };
     this._recordETAHistory(mmsi, {
       rawETA,
       protectedETA,
@@ -886,6 +1104,9 @@ class ProgressiveETACalculator {
       targetBridge: vessel.targetBridge,
       nearestBridge: proximityData?.nearestBridge || null,
       vesselSpeed: vessel.sog || 0,
+      // Fartkällan: 'live' (SOG) eller 'profile' (inlärd profil inblandad).
+      speedSource: speedSource.source,
+      profileSpeedKn: speedSource.profileSpeedKn,
       distance: proximityData?.nearestDistance || null,
       distanceToTarget,
       vesselStatus: vessel.status || 'unknown',
@@ -1079,12 +1300,7 @@ class ProgressiveETACalculator {
       if (!isValidVesselCoordinates(vessel)) {
         return null;
       }
-      return geometry.calculateDistance(
-        vessel.lat,
-        vessel.lon,
-        targetBridge.lat,
-        targetBridge.lon,
-      );
+      return fairway.sailedDistanceM(vessel.lat, vessel.lon, targetBridge);
     } catch (error) {
       this.logger.debug(`⚠️ [ETA_DISTANCE] ${vessel?.mmsi || 'unknown'}: Failed to calculate distance to target - ${error.message}`);
       return null;
@@ -1139,6 +1355,9 @@ class ProgressiveETACalculator {
         if (this._speedBufferSampleKeys) this._speedBufferSampleKeys.delete(mmsi);
       }
     }
+    for (const mmsi of this._speedSources.keys()) {
+      if (!this._etaHistory.has(mmsi)) this._speedSources.delete(mmsi);
+    }
 
     if (cleanedVessels > 0) {
       this.logger.debug(`🧹 [ETA_HISTORY_CLEANUP] Cleaned history for ${cleanedVessels} vessels`);
@@ -1192,6 +1411,7 @@ class ProgressiveETACalculator {
     }
     // FIX 5: Also clear speed buffer for this vessel
     this._speedBuffers.delete(mmsi);
+    this._speedSources.delete(String(mmsi));
     if (this._speedBufferSampleKeys) this._speedBufferSampleKeys.delete(mmsi);
 
     // FP6-1 + FP7-1: äkta BRO-TILL-BRO-målbyten OCH hård-stale-dödförklaring
@@ -1232,16 +1452,87 @@ class ProgressiveETACalculator {
     this.logger.debug(`🧷 [ETA_HOLD_ARMED] ${mmsi}: stationary hold armed (${reason}) — history untouched`);
   }
 
+  /**
+   * Warm restart: ETA history, speed buffers and the stationary hold as a
+   * JSON-safe form (see app.js tracking_snapshot). Without the history the
+   * first post-restart fix has no EMA baseline and no outlier protection —
+   * the same "no_history" state a target transition leaves behind.
+   * @returns {Object} Encoded state (snapshotCodec)
+   */
+  toJSON() {
+    return snapshotCodec.encode({
+      etaHistory: this._etaHistory,
+      speedBuffers: this._speedBuffers,
+      speedBufferSampleKeys: this._speedBufferSampleKeys || new Map(),
+      speedSources: this._speedSources,
+      stationaryHold: this._postTransitionStationaryHold,
+    });
+  }
+
+  /**
+   * Restore the toJSON() form. Entries older than the periodic cleanup's
+   * 30 min cutoff are dropped, exactly as _cleanupOldETAHistory would.
+   * @param {Object|null} state - Encoded state
+   * @param {Object} [options]
+   * @param {number} [options.now] - Clock (default Date.now())
+   * @returns {number} Number of vessels with ETA history
+   */
+  load(state, { now = Date.now() } = {}) {
+    this._etaHistory.clear();
+    this._speedBuffers.clear();
+    this._speedSources.clear();
+    this._postTransitionStationaryHold.clear();
+    this._speedBufferSampleKeys = new Map();
+    const decoded = snapshotCodec.decode(state);
+    if (!decoded || typeof decoded !== 'object') return 0;
+
+    const cutoffTime = now - (30 * 60 * 1000);
+    if (decoded.etaHistory instanceof Map) {
+      for (const [mmsi, history] of decoded.etaHistory) {
+        if (!Array.isArray(history)) continue;
+        const valid = history
+          .filter((entry) => entry && Number.isFinite(entry.timestamp) && entry.timestamp > cutoffTime)
+          .slice(-this._maxHistoryLength);
+        if (valid.length > 0) this._etaHistory.set(mmsi, valid);
+      }
+    }
+    // Buffers/sources only for vessels that still have history — the same
+    // coupling the cleanup enforces.
+    if (decoded.speedBuffers instanceof Map) {
+      for (const [mmsi, buffer] of decoded.speedBuffers) {
+        if (!this._etaHistory.has(mmsi) || !Array.isArray(buffer)) continue;
+        this._speedBuffers.set(mmsi, buffer.filter(Number.isFinite).slice(-this._speedBufferSize));
+      }
+    }
+    if (decoded.speedBufferSampleKeys instanceof Map) {
+      for (const [mmsi, key] of decoded.speedBufferSampleKeys) {
+        if (this._speedBuffers.has(mmsi) && typeof key === 'string') this._speedBufferSampleKeys.set(mmsi, key);
+      }
+    }
+    if (decoded.speedSources instanceof Map) {
+      for (const [mmsi, source] of decoded.speedSources) {
+        if (this._etaHistory.has(mmsi) && source && typeof source === 'object') this._speedSources.set(mmsi, source);
+      }
+    }
+    // The hold is a claim about a dead baseline, not about history — keep it
+    // regardless (it is released by the vessel's next movement).
+    if (decoded.stationaryHold instanceof Set) {
+      for (const mmsi of decoded.stationaryHold) this._postTransitionStationaryHold.add(String(mmsi));
+    }
+    return this._etaHistory.size;
+  }
+
   /**
    * Cleanup resources
    */
   destroy() {
     if (this._historyCleanupTimer) {
-      clearInterval(this._historyCleanupTimer);
+      simulationClock.clearInterval(this._historyCleanupTimer);
       this._historyCleanupTimer = null;
     }
 
     this._etaHistory.clear();
+    this._speedSources.clear();
     this._postTransitionStationaryHold.clear();
     this.logger.debug('🧮 [ETA_CALCULATOR_V2] Enhanced ETA calculator destroyed');
   }
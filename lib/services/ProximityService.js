@@ -2,6 +2,7 @@
 
 const EventEmitter = require('events');
 const geometry = require('../utils/geometry');
+const fairway = require('../utils/fairway');
 const {
   APPROACHING_RADIUS, // 500m - for "närmar sig" status
   PROTECTION_ZONE_RADIUS,
@@ -34,7 +35,7 @@ class ProximityService extends EventEmitter {
     // B5-fix (2026-06-09): calculateDistance returnerar null vid ogiltiga
     // koordinater och null <= X är true i JS → falsk närhet. Infinity är det
     // säkra "vet ej"-värdet för alla avståndsjämförelser.
-    const distance = geometry.calculateDistance(vessel.lat, vessel.lon, bridge.lat, bridge.lon);
+    const distance = fairway.sailedDistanceM(vessel.lat, vessel.lon, bridge);
     return Number.isFinite(distance) ? distance : Infinity;
   }
 
@@ -52,11 +53,13 @@ class ProximityService extends EventEmitter {
       withinProtectionZone: false,
       underBridge: false,
       zoneTransitions: [],
+      // Läget i farleden (chainage + sidledsavstånd); null vid ogiltiga koordinater.
+      fairway: fairway.projectToFairway(vessel.lat, vessel.lon),
     };
 
-    // Calculate distances to all bridges
+    // Calculate distances to all bridges (seglat avstånd, se lib/utils/fairway)
     for (const [bridgeId, bridge] of Object.entries(this.bridgeRegistry.bridges)) {
-      const distance = geometry.calculateDistance(vessel.lat, vessel.lon, bridge.lat, bridge.lon);
+      const distance = fairway.sailedDistanceM(vessel.lat, vessel.lon, bridge);
 
       // FIX: Handle null return from calculateDistance
       if (distance === null) {
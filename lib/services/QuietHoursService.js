@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * QuietHoursService — TYSTA TIMMAR, SNOOZE OCH MORGONSAMMANFATTNING
+ * =============================================================================
+ *
+ * SYFTE
+ * boat_near och bridge_opening_soon avfyras dygnet runt. I stället för att
+ * varje flow duplicerar tidslogik håller appen själv scheman ("22:00–06:00")
+ * och tillfälliga snoozar per bro ("Klaffbron i 60 min").
+ *
+ * PLACERING I APPEN
+ * Frågan ställs DIREKT framför kortanropen (_triggerBoatNearFlowBest,
+ * _triggerBridgeOpeningFlow), alltså EFTER att dedup-nycklarna satts. En
+ * undertryckt notis räknas därmed som levererad: en öppning som snoozas 05:58
+ * avfyras inte som "ny" 06:00 när tystnaden släpper.
+ *
+ * SAMMANFATTNINGEN
+ * Varje undertryckt notis bokförs. När ingen tystnad längre gäller (inget
+ * schema aktivt och ingen snooze kvar) lämnas posterna ut EN gång via
+ * takeDigest() — appen levererar dem som quiet_hours_digest.
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; klockan och tidszonen injiceras. Appen
+ * driver leveransen från sin 30 s-watchdog och persisterar toJSON().
+ */
+
+const { QUIET_HOURS } = require('../constants');
+
+const NOOP = () => {};
+const CLOCK_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const ANY_BRIDGE = '*';
+
+/**
+ * "HH:MM" → minuter efter midnatt (null = ogiltigt).
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseClock(text) {
+  const m = typeof text === 'string' ? CLOCK_RE.exec(text.trim()) : null;
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Tolka settings-värdet quiet_hours: [{ start: 'HH:MM', end: 'HH:MM' }].
+ * Scheman över midnatt (start > slut) stöds; start === slut och ogiltiga
+ * klockslag hoppas över.
+ * @param {Array|null} raw
+ * @returns {{start: number, end: number}[]}
+ */
+function parseSchedules(raw) {
+  if (!Array.isArray(raw)) return [];
+  const schedules = [];
+  for (const entry of raw) {
+    if (schedules.length >= QUIET_HOURS.MAX_SCHEDULES) break;
+    const start = parseClock(entry && entry.start);
+    const end = parseClock(entry && entry.end);
+    if (start === null || end === null || start === end) continue;
+    schedules.push({ start, end });
+  }
+  return schedules;
+}
+
+class QuietHoursService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Function} [options.now] - klockkälla (test/replay)
+   * @param {Function} [options.getTimeZone] - () => IANA-tidszon (Homeys klocka)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    this._getTimeZone = typeof opts.getTimeZone === 'function' ? opts.getTimeZone : () => null;
+    this._schedules = [];
+    // Bronamn (eller ANY_BRIDGE) → snooze till och med (ms).
+    this._snoozes = new Map();
+    this._digest = [];
+  }
+
+  /**
+   * Ersätt scheman (settings quiet_hours).
+   * @param {Array|null} raw
+   * @returns {number} antal giltiga scheman
+   */
+  setSchedules(raw) {
+    this._schedules = parseSchedules(raw);
+    return this._schedules.length;
+  }
+
+  /**
+   * Snooza en bro (null = alla broar) i N minuter. 0 häver snoozen.
+   * @param {string|null} bridgeName
+   * @param {number} minutes
+   * @returns {number|null} snoozens slut (ms), null om den hävdes/var ogiltig
+   */
+  snooze(bridgeName, minutes) {
+    const key = bridgeName || ANY_BRIDGE;
+    const mins = Number(minutes);
+    if (!Number.isFinite(mins) || mins < 0) return null;
+    if (mins === 0) {
+      this._snoozes.delete(key);
+      this.logger.log(`🔔 [SNOOZE] ${bridgeName || 'alla broar'}: snooze hävd`);
+      return null;
+    }
+    const until = this._now() + Math.min(mins, QUIET_HOURS.MAX_SNOOZE_MINUTES) * 60000;
+    this._snoozes.set(key, until);
+    this.logger.log(`🔕 [SNOOZE] ${bridgeName || 'alla broar'}: tyst till ${new Date(until).toISOString()}`);
+    return until;
+  }
+
+  /**
+   * Skäl att tysta en notis vid bron just nu (null = leverera).
+   * @param {string|null} bridgeName
+   * @returns {'quiet-hours'|'snooze'|null}
+   */
+  suppressionReason(bridgeName) {
+    const now = this._now();
+    this._pruneSnoozes(now);
+    if (this._inSchedule(now)) return 'quiet-hours';
+    if (this._snoozes.has(ANY_BRIDGE)) return 'snooze';
+    if (bridgeName && this._snoozes.has(bridgeName)) return 'snooze';
+    return null;
+  }
+
+  /**
+   * Bokför en undertryckt notis i sammanfattningen.
+   * @param {{kind: string, bridge: string, vesselName: string, mmsi: string|null, reason: string}} entry
+   */
+  record(entry) {
+    this._digest.push({ t: this._now(), ...entry });
+    if (this._digest.length > QUIET_HOURS.MAX_DIGEST_ENTRIES) {
+      this._digest.splice(0, this._digest.length - QUIET_HOURS.MAX_DIGEST_ENTRIES);
+    }
+  }
+
+  /**
+   * Lämna ut sammanfattningen EN gång när ingen tystnad längre gäller.
+   * @returns {Object[]|null} posterna (äldst först), eller null = inget att leverera
+   */
+  takeDigest() {
+    if (this._digest.length === 0) return null;
+    const now = this._now();
+    this._pruneSnoozes(now);
+    if (this._inSchedule(now) || this._snoozes.size > 0) return null;
+    const entries = this._digest;
+    this._digest = [];
+    return entries;
+  }
+
+  /** @returns {boolean} pågår ett schema just nu? */
+  isQuietNow() {
+    return this._inSchedule(this._now());
+  }
+
+  /** Persisterbar form (snoozar + osänd sammanfattning). */
+  toJSON() {
+    const snoozes = {};
+    for (const [key, until] of this._snoozes) snoozes[key] = until;
+    return { snoozes, digest: this._digest.slice() };
+  }
+
+  /**
+   * Återställ toJSON()-formen. Utgångna snoozar och trasiga poster filtreras.
+   * @param {Object|null} state
+   */
+  load(state) {
+    if (!state || typeof state !== 'object') return;
+    const now = this._now();
+    for (const [key, until] of Object.entries(state.snoozes || {})) {
+      if (Number.isFinite(until) && until > now) this._snoozes.set(key, until);
+    }
+    if (Array.isArray(state.digest)) {
+      this._digest = state.digest
+        .filter((e) => e && Number.isFinite(e.t) && typeof e.kind === 'string')
+        .slice(-QUIET_HOURS.MAX_DIGEST_ENTRIES);
+    }
+  }
+
+  /** @private */
+  _pruneSnoozes(now) {
+    for (const [key, until] of this._snoozes) {
+      if (until <= now) this._snoozes.delete(key);
+    }
+  }
+
+  /** @private */
+  _inSchedule(now) {
+    if (this._schedules.length === 0) return false;
+    const minute = this._localMinuteOfDay(now);
+    return this._schedules.some(({ start, end }) => (start < end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end));
+  }
+
+  /**
+   * Minut efter midnatt i Homeys tidszon (fallback: kanalens egen, samma
+   * som app.js _formatClockTime).
+   * @private
+   */
+  _localMinuteOfDay(now) {
+    const timeZone = this._getTimeZone() || 'Europe/Stockholm';
+    const text = new Date(now).toLocaleTimeString('sv-SE', {
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone,
+    });
+    return parseClock(text) ?? 0;
+  }
+}
+
+QuietHoursService.parseSchedules = parseSchedules;
+
+module.exports = QuietHoursService;
@@ -15,31 +15,23 @@
  */
 
 // const { BRIDGE_GAPS } = require('../constants'); // Currently unused
+const simulationClock = require('../utils/simulationClock');
 
 class RouteOrderValidator {
   constructor(logger, bridgeRegistry) {
     this.logger = logger;
     this.bridgeRegistry = bridgeRegistry;
 
-    // Definiera korrekt broordning för varje riktning
+    // Korrekt broordning för varje riktning — vattenvägsprofilens ordning
+    // (registrets bridgeSequence, syd → nord) som bronamn.
+    const northbound = bridgeRegistry.bridgeSequence
+      .map((id) => bridgeRegistry.getNameById(id))
+      .filter(Boolean);
     this._routeSequences = {
       // Söderut: Norr till söder
-      south: [
-        'Stallbackabron', // Nordligaste
-        'Stridsbergsbron',
-        'Järnvägsbron',
-        'Klaffbron',
-        'Olidebron', // Sydligaste
-      ],
-
+      south: northbound.slice().reverse(),
       // Norrut: Söder till norr
-      north: [
-        'Olidebron', // Sydligaste
-        'Klaffbron',
-        'Järnvägsbron',
-        'Stridsbergsbron',
-        'Stallbackabron', // Nordligaste
-      ],
+      north: northbound,
     };
 
     // Map: vesselId -> passage history
@@ -50,7 +42,7 @@ class RouteOrderValidator {
       this._cleanupTimer = null;
       this.logger.debug('🧪 [ROUTE_VALIDATOR] Test mode detected - skipping cleanup timer');
     } else {
-      this._cleanupTimer = setInterval(() => {
+      this._cleanupTimer = simulationClock.setInterval(() => {
         this._cleanupOldHistory();
       }, 5 * 60 * 1000); // Var 5:e minut
     }
@@ -365,12 +357,49 @@ class RouteOrderValidator {
     };
   }
 
+  /**
+   * Varmstart: passagehistoriken som JSON-säker form (se app.js
+   * tracking_snapshot). Posterna är redan rena objekt.
+   * @returns {Object} vesselId → passage[]
+   */
+  toJSON() {
+    const out = {};
+    for (const [vesselId, history] of this._vesselPassageHistory.entries()) {
+      out[vesselId] = history.map((passage) => ({ ...passage }));
+    }
+    return out;
+  }
+
+  /**
+   * Återställ toJSON()-formen. Passager äldre än städningens 2 h-gräns och
+   * trasiga poster filtreras; längdtaket (10) gäller som vid registrering.
+   * @param {Object|null} state
+   * @param {Object} [options]
+   * @param {number} [options.now] - klocka (default Date.now())
+   * @returns {number} antal fartyg med historik
+   */
+  load(state, { now = Date.now() } = {}) {
+    this._vesselPassageHistory.clear();
+    if (!state || typeof state !== 'object') return 0;
+    const maxAge = 2 * 60 * 60 * 1000; // samma som _cleanupOldHistory
+    for (const [vesselId, list] of Object.entries(state)) {
+      if (!Array.isArray(list)) continue;
+      const history = list
+        .filter((p) => p && typeof p.bridgeName === 'string' && Number.isFinite(p.timestamp)
+          && now - p.timestamp < maxAge)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-10);
+      if (history.length > 0) this._vesselPassageHistory.set(vesselId, history);
+    }
+    return this._vesselPassageHistory.size;
+  }
+
   /**
    * Cleanup vid service shutdown
    */
   destroy() {
     if (this._cleanupTimer) {
-      clearInterval(this._cleanupTimer);
+      simulationClock.clearInterval(this._cleanupTimer);
       this._cleanupTimer = null;
     }
 
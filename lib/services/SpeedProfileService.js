@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * SpeedProfileService — INLÄRDA FARTPROFILER FÖR ÅTERKOMMANDE TRAFIK
+ * =============================================================================
+ *
+ * SYFTE
+ * Turbåtar och pråmar passerar varje vecka, och deras effektiva fart mellan
+ * broarna är mycket jämn — men ProgressiveETACalculator._getEffectiveSpeed
+ * börjar om från live-SOG varje resa. Servicen lär sig per MMSI den
+ * effektiva farten per broavsnitt och riktning ur BEKRÄFTADE passager och
+ * svarar ETA-kalkylatorn med en profilfart för båtens återstående sträcka.
+ *
+ * PROVEN
+ * Två på varandra följande passager (vessel:passed-bridge, härledda passager
+ * räknas inte) ger ett prov: farledens chainage-skillnad mellan broarna
+ * genom tiden mellan passagerna. Avsnitt kortare än MIN_SEGMENT_M, längre
+ * uppehåll än MAX_SEGMENT_MS och farter utanför [MIN, MAX]_SAMPLE_SPEED_KN
+ * kastas. Avsnittet nycklas i färdordning ("Klaffbron>Stridsbergsbron") —
+ * nyckeln bär alltså riktningen.
+ *
+ * PROFILFARTEN
+ * Medianen per avsnitt (med minst MIN_SAMPLES prov), viktad med hur mycket
+ * av båtens återstående sträcka till målbron avsnittet täcker. Kalkylatorn
+ * blandar in den med en andel som växer med underlaget (SPEED_PROFILES).
+ *
+ * STORLEK OCH ÅLDRANDE
+ * Högst MAX_SAMPLES_PER_SEGMENT prov per avsnitt (äldsta faller bort),
+ * högst MAX_VESSELS fartyg (det längst ouppdaterade faller bort), och prov
+ * äldre än MAX_AGE_MS rensas vid varje läsning och laddning. Appen
+ * persisterar toJSON() i settings speed_profiles; GET /speed-profiles visar
+ * getSnapshot().
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; klockan injiceras.
+ */
+
+const { SPEED_PROFILES } = require('../constants');
+const fairway = require('../utils/fairway');
+
+// m/s → knop. Samma faktor som resten av kodbasen (1 kn = 1852/3600 m/s).
+const MS_TO_KNOTS = 3600 / 1852;
+const NOOP = () => {};
+const SEPARATOR = '>';
+
+/** Medianen av en icke-tom lista. */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+class SpeedProfileService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Function} [options.now] - klockkälla (test/replay)
+   * @param {Object} [options.config] - överskrivning av SPEED_PROFILES (endast test)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this._now = typeof opts.now === 'function' ? opts.now : () => Date.now();
+    this.config = { ...SPEED_PROFILES, ...(opts.config || {}) };
+    // Map<mmsi, {updatedAt, segments: Map<"Från>Till", {speedKn, atMs}[]>}>
+    this._profiles = new Map();
+    // Senaste bekräftade passagen per fartyg (ej persisterad — ett avsnitt
+    // över en omstart är ändå längre än MAX_SEGMENT_MS i praktiken).
+    this._lastPassages = new Map(); // Map<mmsi, {bridge, chainageM, crossedAt}>
+  }
+
+  /**
+   * Bokför en bekräftad passage; två i följd ger ett prov.
+   * @param {{mmsi: string, bridge: string, crossedAt: number, inferred?: boolean}} passage
+   * @returns {Object|null} provet { segment, speedKn, atMs } — null = inget prov
+   */
+  recordPassage(passage) {
+    if (!passage || passage.inferred === true || typeof passage.bridge !== 'string'
+      || !Number.isFinite(passage.crossedAt)) return null;
+    const mmsi = String(passage.mmsi);
+    const chainageM = fairway.bridgeChainageM(passage.bridge);
+    if (chainageM === null) return null;
+
+    const previous = this._lastPassages.get(mmsi);
+    this._lastPassages.set(mmsi, { bridge: passage.bridge, chainageM, crossedAt: passage.crossedAt });
+    this._pruneLastPassages();
+    if (!previous || previous.bridge === passage.bridge) return null;
+
+    const dtMs = passage.crossedAt - previous.crossedAt;
+    const lengthM = Math.abs(chainageM - previous.chainageM);
+    if (dtMs <= 0 || dtMs > this.config.MAX_SEGMENT_MS || lengthM < this.config.MIN_SEGMENT_M) return null;
+    const speedKn = (lengthM / (dtMs / 1000)) * MS_TO_KNOTS;
+    if (speedKn < this.config.MIN_SAMPLE_SPEED_KN || speedKn > this.config.MAX_SAMPLE_SPEED_KN) {
+      this.logger.debug(
+        `🚤 [SPEED_PROFILE] ${mmsi}: ${previous.bridge}${SEPARATOR}${passage.bridge} `
+        + `${speedKn.toFixed(1)}kn outside sample bounds — ignored`,
+      );
+      return null;
+    }
+
+    const segment = `${previous.bridge}${SEPARATOR}${passage.bridge}`;
+    const sample = { speedKn, atMs: passage.crossedAt };
+    this._addSample(mmsi, segment, sample);
+    this.logger.debug(
+      `🚤 [SPEED_PROFILE] ${mmsi}: ${segment} ${speedKn.toFixed(2)}kn `
+      + `(${Math.round(lengthM)}m in ${Math.round(dtMs / 1000)}s)`,
+    );
+    return { segment, ...sample };
+  }
+
+  /**
+   * Profilfarten för båtens återstående sträcka till målbron.
+   * @param {Object} vessel - { mmsi, lat, lon, targetBridge }
+   * @returns {{speedKn: number, samples: number, coverage: number}|null}
+   *   samples = minsta provantalet bland de bidragande avsnitten,
+   *   coverage = andelen av sträckan som avsnitten täcker; null = ingen profil
+   */
+  getProfileSpeed(vessel) {
+    if (!vessel || !vessel.targetBridge) return null;
+    const profile = this._profiles.get(String(vessel.mmsi));
+    if (!profile) return null;
+    const position = fairway.projectToFairway(vessel.lat, vessel.lon);
+    const targetS = fairway.bridgeChainageM(vessel.targetBridge);
+    if (!position || targetS === null) return null;
+    const lo = Math.min(position.chainageM, targetS);
+    const hi = Math.max(position.chainageM, targetS);
+    if (hi - lo < 1) return null;
+    const sign = Math.sign(targetS - position.chainageM);
+
+    const cutoff = this._now() - this.config.MAX_AGE_MS;
+    let weighted = 0;
+    let covered = 0;
+    let samples = Infinity;
+    for (const [segment, list] of profile.segments) {
+      const fresh = list.filter((s) => s.atMs >= cutoff);
+      if (fresh.length < this.config.MIN_SAMPLES) continue;
+      const ends = this._segmentChainage(segment);
+      if (!ends || Math.sign(ends.to - ends.from) !== sign) continue;
+      const overlap = Math.min(hi, Math.max(ends.from, ends.to)) - Math.max(lo, Math.min(ends.from, ends.to));
+      if (overlap <= 0) continue;
+      weighted += median(fresh.map((s) => s.speedKn)) * overlap;
+      covered += overlap;
+      samples = Math.min(samples, fresh.length);
+    }
+    if (covered <= 0) return null;
+    return { speedKn: weighted / covered, samples, coverage: Math.min(1, covered / (hi - lo)) };
+  }
+
+  /**
+   * Läsvy (GET /speed-profiles).
+   * @returns {{generatedAt: number, vessels: Object[]}}
+   */
+  getSnapshot() {
+    this._prune();
+    const vessels = [];
+    for (const [mmsi, profile] of this._profiles) {
+      const segments = [];
+      for (const [segment, list] of profile.segments) {
+        const [from, to] = segment.split(SEPARATOR);
+        const ends = this._segmentChainage(segment);
+        let direction = null;
+        if (ends) direction = ends.to > ends.from ? 'north' : 'south';
+        segments.push({
+          from,
+          to,
+          direction,
+          lengthM: ends ? Math.round(Math.abs(ends.to - ends.from)) : null,
+          samples: list.length,
+          medianKn: Math.round(median(list.map((s) => s.speedKn)) * 100) / 100,
+          usable: list.length >= this.config.MIN_SAMPLES,
+          lastAt: list[list.length - 1].atMs,
+        });
+      }
+      vessels.push({ mmsi, updatedAt: profile.updatedAt, segments });
+    }
+    vessels.sort((a, b) => b.updatedAt - a.updatedAt);
+    return { generatedAt: this._now(), vessels };
+  }
+
+  /**
+   * Persisterbar form (settings speed_profiles).
+   * @returns {Object} { mmsi: { updatedAt, segments: { "Från>Till": [[speedKn, atMs], ...] } } }
+   */
+  toJSON() {
+    const out = {};
+    for (const [mmsi, profile] of this._profiles) {
+      const segments = {};
+      for (const [segment, list] of profile.segments) {
+        segments[segment] = list.map((s) => [Math.round(s.speedKn * 100) / 100, s.atMs]);
+      }
+      out[mmsi] = { updatedAt: profile.updatedAt, segments };
+    }
+    return out;
+  }
+
+  /**
+   * Återställ toJSON()-formen. Trasiga och utgångna prov filtreras.
+   * @param {Object|null} state
+   * @returns {number} antal fartyg med profil
+   */
+  load(state) {
+    this._profiles.clear();
+    if (!state || typeof state !== 'object') return 0;
+    for (const [mmsi, raw] of Object.entries(state)) {
+      if (!raw || typeof raw !== 'object' || !raw.segments || typeof raw.segments !== 'object') continue;
+      const segments = new Map();
+      for (const [segment, list] of Object.entries(raw.segments)) {
+        if (!Array.isArray(list) || segment.split(SEPARATOR).length !== 2) continue;
+        const samples = list
+          .filter((e) => Array.isArray(e) && Number.isFinite(e[0]) && Number.isFinite(e[1]))
+          .map(([speedKn, atMs]) => ({ speedKn, atMs }))
+          .sort((a, b) => a.atMs - b.atMs)
+          .slice(-this.config.MAX_SAMPLES_PER_SEGMENT);
+        if (samples.length > 0) segments.set(segment, samples);
+      }
+      if (segments.size > 0) {
+        this._profiles.set(String(mmsi), {
+          updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : 0,
+          segments,
+        });
+      }
+    }
+    this._prune();
+    return this._profiles.size;
+  }
+
+  /** @private */
+  _addSample(mmsi, segment, sample) {
+    let profile = this._profiles.get(mmsi);
+    if (!profile) {
+      profile = { updatedAt: sample.atMs, segments: new Map() };
+      this._profiles.set(mmsi, profile);
+    }
+    const list = profile.segments.get(segment) || [];
+    list.push(sample);
+    while (list.length > this.config.MAX_SAMPLES_PER_SEGMENT) list.shift();
+    profile.segments.set(segment, list);
+    profile.updatedAt = Math.max(profile.updatedAt, sample.atMs);
+    this._prune();
+  }
+
+  /**
+   * Åldrande och storlekstak: utgångna prov bort, tomma fartyg bort, och
+   * över MAX_VESSELS faller de längst ouppdaterade.
+   * @private
+   */
+  _prune() {
+    const cutoff = this._now() - this.config.MAX_AGE_MS;
+    for (const [mmsi, profile] of this._profiles) {
+      for (const [segment, list] of profile.segments) {
+        const fresh = list.filter((s) => s.atMs >= cutoff);
+        if (fresh.length === 0) profile.segments.delete(segment);
+        else if (fresh.length !== list.length) profile.segments.set(segment, fresh);
+      }
+      if (profile.segments.size === 0) this._profiles.delete(mmsi);
+    }
+    if (this._profiles.size > this.config.MAX_VESSELS) {
+      const oldest = [...this._profiles.entries()]
+        .sort((a, b) => a[1].updatedAt - b[1].updatedAt)
+        .slice(0, this._profiles.size - this.config.MAX_VESSELS);
+      for (const [mmsi] of oldest) this._profiles.delete(mmsi);
+    }
+  }
+
+  /** @private */
+  _pruneLastPassages() {
+    const cutoff = this._now() - this.config.MAX_SEGMENT_MS;
+    for (const [mmsi, last] of this._lastPassages) {
+      if (last.crossedAt < cutoff) this._lastPassages.delete(mmsi);
+    }
+  }
+
+  /** @private */
+  _segmentChainage(segment) {
+    const [from, to] = segment.split(SEPARATOR);
+    const fromS = fairway.bridgeChainageM(from);
+    const toS = fairway.bridgeChainageM(to);
+    return fromS === null || toS === null ? null : { from: fromS, to: toS };
+  }
+}
+
+module.exports = SpeedProfileService;
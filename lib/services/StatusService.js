@@ -15,6 +15,9 @@ const {
   APPROACH_RADIUS,
   PROTECTION_ZONE_RADIUS,
   STATUS_HYSTERESIS,
+  INTERMEDIATE_BRIDGES,
+  CLOSE_BRIDGE_PAIRS,
+  STALLBACKABRON_SPECIAL,
 } = require('../constants');
 const geometry = require('../utils/geometry');
 // ETA validation functions moved to ProgressiveETACalculator
@@ -265,7 +268,6 @@ class StatusService extends EventEmitter {
       // även om status är en-route pga hysteresis-gränser
       const { nearestBridge, nearestDistance } = proximityData;
       if (nearestBridge && nearestBridge.name && Number.isFinite(nearestDistance)) {
-        const INTERMEDIATE_BRIDGES = ['Olidebron', 'Järnvägsbron', 'Stallbackabron'];
         if (INTERMEDIATE_BRIDGES.includes(nearestBridge.name) && nearestDistance <= 600
             && !(Array.isArray(vessel.passedBridges) && vessel.passedBridges.includes(nearestBridge.name))) {
           // Sätt currentBridge även i en-route läge för att möjliggöra "närmar sig"
@@ -439,6 +441,52 @@ class StatusService extends EventEmitter {
     return analysis;
   }
 
+  /**
+   * Let the ETA calculator ask the lock model for a lock delay
+   * @param {Function|null} provider - LockComplexService.getPassage
+   */
+  setLockPassageProvider(provider) {
+    this.progressiveETACalculator.setLockPassageProvider(provider);
+  }
+
+  /**
+   * Let the ETA calculator ask the restriction calendar when a bridge opens
+   * @param {Function|null} provider - BridgeRestrictionService.getBlockedUntil
+   */
+  setOpeningRestrictionProvider(provider) {
+    this.progressiveETACalculator.setOpeningRestrictionProvider(provider);
+  }
+
+  /**
+   * Let the ETA calculator blend in a vessel's learned speed profile
+   * @param {Function|null} provider - SpeedProfileService.getProfileSpeed
+   */
+  setSpeedProfileProvider(provider) {
+    this.progressiveETACalculator.setSpeedProfileProvider(provider);
+  }
+
+  /**
+   * Predicted opening for a published arrival ETA: pushed to the end of a
+   * blocked window when the vessel would arrive inside one
+   * @param {Object} vessel - Vessel data (gets _openingRestrictedUntilMs)
+   * @param {number|null} etaMinutes - Published arrival ETA
+   * @returns {number|null} ETA in minutes
+   */
+  applyOpeningRestriction(vessel, etaMinutes) {
+    return this.progressiveETACalculator.applyOpeningRestriction(vessel, etaMinutes);
+  }
+
+  /**
+   * ETA distribution (p10/p50/p90) around a published ETA
+   * @param {Object} vessel - Vessel data
+   * @param {number|null} etaMinutes - Published ETA
+   * @param {{distanceM?: number, nowMs?: number}} [options]
+   * @returns {Object|null} {p10, p50, p90, relativeSigma, ageMinutes} or null
+   */
+  calculateETAInterval(vessel, etaMinutes, options) {
+    return this.progressiveETACalculator.calculateETAInterval(vessel, etaMinutes, options);
+  }
+
   /**
    * Calculate ETA to target bridge (FIX 4: PROGRESSIVE ROUTE-BASED ETA)
    * @param {Object} vessel - Vessel object
@@ -686,7 +734,8 @@ class StatusService extends EventEmitter {
 
     // INTERMEDIATE BRIDGE CHECK: If vessel has currentBridge set and is very close to it
     // BUT skip Stallbackabron - it uses special status instead of under-bridge
-    if (vessel.currentBridge && vessel.currentBridge !== 'Stallbackabron' && Number.isFinite(vessel.distanceToCurrent)) {
+    if (vessel.currentBridge && vessel.currentBridge !== STALLBACKABRON_SPECIAL.BRIDGE_NAME
+        && Number.isFinite(vessel.distanceToCurrent)) {
       const intermediateUnder = effectiveWasUnderBridge
         ? vessel.distanceToCurrent < UNDER_BRIDGE_CLEAR_DISTANCE // Clear at 70m
         // S-3: ingen om-latchning av timeout-spärrad bro (kvar i zonen)
@@ -696,10 +745,6 @@ class StatusService extends EventEmitter {
       if (intermediateUnder) {
         // FIX O: För nära bro-par (Järnvägsbron↔Stridsbergsbron), kräv att "inväntar" visats
         // innan under-bridge tillåts. Detta säkerställer fullständig fas-sekvens.
-        const CLOSE_BRIDGE_PAIRS = {
-          Järnvägsbron: 'Stridsbergsbron',
-          Stridsbergsbron: 'Järnvägsbron',
-        };
         const pairedBridge = CLOSE_BRIDGE_PAIRS[vessel.currentBridge];
         if (pairedBridge && vessel.lastPassedBridge === pairedBridge && vessel.lastPassedBridgeTime) {
           const timeSincePass = now - vessel.lastPassedBridgeTime;
@@ -1038,10 +1083,6 @@ class StatusService extends EventEmitter {
       if (targetDistance <= waitingThreshold) {
         // FIX I.1: Blockera waiting vid nära bro-par för att säkerställa "precis passerat" visas
         // Järnvägsbron och Stridsbergsbron är bara ~420m isär
-        const CLOSE_BRIDGE_PAIRS = {
-          Järnvägsbron: 'Stridsbergsbron',
-          Stridsbergsbron: 'Järnvägsbron',
-        };
         const MIN_PASSED_DISPLAY_MS = 15000; // 15 sekunder för "precis passerat"
 
         const pairedBridge = CLOSE_BRIDGE_PAIRS[vessel.lastPassedBridge];
@@ -1113,14 +1154,12 @@ class StatusService extends EventEmitter {
       if (nearestBridge && nearestBridge.name && nearestBridge.name !== vessel.targetBridge) {
         // Near an intermediate bridge, not the target bridge
         const bridgeName = nearestBridge.name;
-        const isIntermediateBridge = ['Olidebron', 'Järnvägsbron'].includes(bridgeName);
+        // Stallbackabron väntar man aldrig vid (STALLBACKABRON SPECIAL RULE överst).
+        const isIntermediateBridge = INTERMEDIATE_BRIDGES.includes(bridgeName)
+          && bridgeName !== STALLBACKABRON_SPECIAL.BRIDGE_NAME;
         if (isIntermediateBridge) {
           // FIX I.1: Blockera waiting vid nära bro-par för mellanbroar
           // Stridsbergsbron → Järnvägsbron (söderut)
-          const CLOSE_BRIDGE_PAIRS = {
-            Stridsbergsbron: 'Järnvägsbron',
-            Järnvägsbron: 'Stridsbergsbron', // För konsistens (även om detta är target bridge)
-          };
           const MIN_PASSED_DISPLAY_MS = 15000; // 15 sekunder för "precis passerat"
 
           const pairedBridge = CLOSE_BRIDGE_PAIRS[vessel.lastPassedBridge];
@@ -1289,7 +1328,7 @@ class StatusService extends EventEmitter {
       if (nearestBridge && nearestBridge.name) {
         const bridgeName = nearestBridge.name;
         // Check if this is an intermediate bridge or Stallbackabron
-        const isIntermediateBridge = ['Olidebron', 'Järnvägsbron', 'Stallbackabron'].includes(bridgeName);
+        const isIntermediateBridge = INTERMEDIATE_BRIDGES.includes(bridgeName);
         if (isIntermediateBridge) {
           if (this._hasRecentlyPassed(vessel)
               && (vessel.lastPassedBridge === bridgeName || vessel.lastPassedBridge === vessel.currentBridge)) {
@@ -1342,7 +1381,8 @@ class StatusService extends EventEmitter {
     }
 
     // STALLBACKABRON SPECIAL: Check if vessel is approaching Stallbackabron (500m rule) - FALLBACK
-    const stallbackabron = this.bridgeRegistry.getBridgeByName('Stallbackabron');
+    // (profilens höga bro; ingen fallback när profilen saknar en)
+    const stallbackabron = this.bridgeRegistry.getBridgeByName(STALLBACKABRON_SPECIAL.BRIDGE_NAME);
     if (stallbackabron) {
       const distanceToStallbacka = geometry.calculateDistance(
         vessel.lat, vessel.lon,
@@ -1368,11 +1408,11 @@ class StatusService extends EventEmitter {
           const action = currentlyApproaching ? 'maintaining' : 'setting';
           this.logger.debug(
             `🌉 [STALLBACKA_APPROACHING_HYSTERESIS] ${vessel.mmsi}: ${distanceToStallbacka.toFixed(0)}m from `
-            + `"Stallbackabron" (threshold=${stallbackaApproachThreshold}m) -> ${action} approaching status`,
+            + `"${stallbackabron.name}" (threshold=${stallbackaApproachThreshold}m) -> ${action} approaching status`,
           );
 
           // Set currentBridge for proper Stallbackabron detection
-          vessel.currentBridge = 'Stallbackabron';
+          vessel.currentBridge = stallbackabron.name;
           vessel.distanceToCurrent = distanceToStallbacka;
 
           return true;
@@ -1493,7 +1533,7 @@ class StatusService extends EventEmitter {
    */
   _isAtStallbackabron(vessel, proximityData) {
     // Check if vessel is near Stallbackabron specifically
-    const stallbackabron = this.bridgeRegistry.getBridgeByName('Stallbackabron');
+    const stallbackabron = this.bridgeRegistry.getBridgeByName(STALLBACKABRON_SPECIAL.BRIDGE_NAME);
     if (!stallbackabron) {
       return false;
     }
@@ -1518,14 +1558,14 @@ class StatusService extends EventEmitter {
    * @private
    */
   _isStallbackabraBridgeWaiting(vessel, proximityData) {
-    const stallbackabron = this.bridgeRegistry.getBridgeByName('Stallbackabron');
+    const stallbackabron = this.bridgeRegistry.getBridgeByName(STALLBACKABRON_SPECIAL.BRIDGE_NAME);
     if (!stallbackabron) {
       return false;
     }
 
     // CRITICAL FIX: Don't go back to stallbacka-waiting if vessel has already passed Stallbackabron
-    if (vessel.passedBridges && vessel.passedBridges.includes('Stallbackabron')) {
-      this.logger.debug(`🌉 [STALLBACKA_PASSED] ${vessel.mmsi}: Already passed Stallbackabron - no stallbacka-waiting status`);
+    if (vessel.passedBridges && vessel.passedBridges.includes(stallbackabron.name)) {
+      this.logger.debug(`🌉 [STALLBACKA_PASSED] ${vessel.mmsi}: Already passed ${stallbackabron.name} - no stallbacka-waiting status`);
       return false;
     }
 
@@ -1550,7 +1590,7 @@ class StatusService extends EventEmitter {
     if (distanceToStallbacka <= stallbackaThreshold) {
       // PASSAGE-LATCH: Check if stallbacka-waiting should be blocked due to recent passage
       if (this.passageLatchService && this.passageLatchService.shouldBlockStatus(
-        vessel.mmsi.toString(), 'Stallbackabron', 'stallbacka-waiting', vessel.cog,
+        vessel.mmsi.toString(), stallbackabron.name, 'stallbacka-waiting', vessel.cog,
         vessel.lastPositionUpdate ?? vessel.timestamp ?? null,
       )) {
         this.logger.debug(`🔒 [PASSAGE_LATCH_BLOCKED] ${vessel.mmsi}: Stallbacka-waiting status blocked for Stallbackabron due to recent passage`);
@@ -1558,12 +1598,12 @@ class StatusService extends EventEmitter {
       }
 
       // ZONE TRANSITION CAPTURE: Record critical transition for Stallbackabron
-      this._recordZoneTransition(vessel, 'stallbacka-waiting', distanceToStallbacka, 'Stallbackabron');
+      this._recordZoneTransition(vessel, 'stallbacka-waiting', distanceToStallbacka, stallbackabron.name);
 
       const action = currentlyStallbackaWaiting ? 'maintaining' : 'setting';
       this.logger.debug(
         `🌉 [STALLBACKA_SPECIAL_HYSTERESIS] ${vessel.mmsi}: ${distanceToStallbacka.toFixed(0)}m from `
-        + `Stallbackabron (threshold=${stallbackaThreshold}m) -> ${action} "åker strax under" `
+        + `${stallbackabron.name} (threshold=${stallbackaThreshold}m) -> ${action} "åker strax under" `
         + '(INTERMEDIATE BRIDGE, no under-bridge status)',
       );
       return true;
@@ -1,6 +1,7 @@
 'use strict';
 
 const EventEmitter = require('events');
+const simulationClock = require('../utils/simulationClock');
 
 /**
  * SystemCoordinator - Coordinates between GPS analysis, status stabilization, and user experience
@@ -328,7 +329,7 @@ class SystemCoordinator extends EventEmitter {
     };
 
     // Set auto-cleanup timer to prevent memory leak
-    debounceData.timer = setTimeout(() => {
+    debounceData.timer = simulationClock.setTimeout(() => {
       // Clean up after debounce period
       if (this.bridgeTextDebounce.get(mmsi) === debounceData) {
         this.bridgeTextDebounce.delete(mmsi);
@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TrackKalmanService — KALMAN-SPÅR I SKUGGLÄGE BREDVID GPSJumpAnalyzer
+ * =============================================================================
+ *
+ * SYFTE
+ * Jumpgrinden (GPSJumpAnalyzer) dömer ett fix på två punkter: avståndet från
+ * förra fixet mot max(sog)×dt×2 och en handskriven legitimitetspoäng. Den
+ * vet inget om hur osäker förra positionen var eller hur båten rört sig
+ * innan. Ett konstant-hastighetsfilter per fartyg ger i stället utjämnad
+ * position, hastighet och en INNOVATIONSPOÄNG (Mahalanobis d²) — hur
+ * osannolikt fixet är givet spåret — så att jumpdetektering och
+ * linjekorsning under broarna på sikt kan grindas statistiskt.
+ *
+ * SKUGGLÄGE
+ * Servicen påverkar ingenting: VesselDataService matar den med samma fix som
+ * jumpgrinden dömer och jämför besluten. Oenigheterna loggas (🧮
+ * [KALMAN_SHADOW], debug) och räknas i getSummary(), som replay-harnessen
+ * lägger i sin JSON (tests/replay-validation/runKalmanShadow.js
+ * sammanställer alla korpusar). Filtret får inte styra något förrän den
+ * sammanställningen granskats.
+ *
+ * MODELLEN
+ * Lokalt metersystem (öst/nord) kring spårets första fix. x- och y-axeln är
+ * oberoende (diagonalt mät- och processbrus), så filtret är två 2-tillstånds-
+ * filter [position, hastighet] — ingen matrisinvers. dt är FIXTIDENS
+ * separation via GPSJumpAnalyzer.fixDtMs (klockdomänsregeln ägs där),
+ * mottagningstid annars. Grinden prövar positionsinnovationen mot χ²(2):
+ * under CAUTION_D2 "accept", under JUMP_D2 "accept_with_caution", däröver
+ * "gps_jump_detected" — samma ordförråd som jumpgrinden. Ett förkastat fix
+ * matas inte in; efter MAX_CONSECUTIVE_REJECTS i rad startar spåret om.
+ *
+ * REN SERVICE
+ * Ingen Homey-import och inga timers; spåren städas när fartyget tas bort.
+ */
+
+const { KALMAN_SHADOW } = require('../constants');
+const GPSJumpAnalyzer = require('../utils/GPSJumpAnalyzer');
+
+// Knop → m/s. Samma faktor som resten av kodbasen (1 kn = 1852/3600 m/s).
+const KNOTS_TO_MS = 0.514444;
+const EARTH_RADIUS_M = 6371000;
+const NOOP = () => {};
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * En axel: tillstånd [p, v] och kovariansen [[a, b], [b, c]].
+ * @param {number} p
+ * @param {number} v
+ * @param {number} posVar
+ * @param {number} velVar
+ */
+const makeAxis = (p, v, posVar, velVar) => ({
+  p, v, a: posVar, b: 0, c: velVar,
+});
+
+/** Tidsuppdatering med vit acceleration (q = σa²). */
+function predictAxis(axis, dt, q) {
+  const dt2 = dt * dt;
+  return {
+    p: axis.p + axis.v * dt,
+    v: axis.v,
+    a: axis.a + 2 * dt * axis.b + dt2 * axis.c + (q * dt2 * dt2) / 4,
+    b: axis.b + dt * axis.c + (q * dt2 * dt) / 2,
+    c: axis.c + q * dt2,
+  };
+}
+
+/** Mätuppdatering av positionen (H = [1, 0]). */
+function updatePosition(axis, z, r) {
+  const s = axis.a + r;
+  const y = z - axis.p;
+  return {
+    p: axis.p + (axis.a / s) * y,
+    v: axis.v + (axis.b / s) * y,
+    a: axis.a - (axis.a * axis.a) / s,
+    b: axis.b - (axis.a * axis.b) / s,
+    c: axis.c - (axis.b * axis.b) / s,
+  };
+}
+
+/** Mätuppdatering av hastigheten (H = [0, 1]). */
+function updateVelocity(axis, z, r) {
+  const s = axis.c + r;
+  const y = z - axis.v;
+  return {
+    p: axis.p + (axis.b / s) * y,
+    v: axis.v + (axis.c / s) * y,
+    a: axis.a - (axis.b * axis.b) / s,
+    b: axis.b - (axis.b * axis.c) / s,
+    c: axis.c - (axis.c * axis.c) / s,
+  };
+}
+
+class TrackKalmanService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - { log, error, debug }
+   * @param {Object} [options.config] - överskrivning av KALMAN_SHADOW (endast test)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    this.logger = opts.logger || {
+      log: NOOP, error: NOOP, debug: NOOP,
+    };
+    this.config = { ...KALMAN_SHADOW, ...(opts.config || {}) };
+    this._tracks = new Map(); // Map<mmsi, track>
+    this._summary = this._emptySummary();
+  }
+
+  /**
+   * Mata spåret med ett fix och jämför med jumpgrindens beslut.
+   * @param {string} mmsi
+   * @param {{lat: number, lon: number}} position - fixet som jumpgrinden dömde
+   * @param {Object} sample - { sog, cog, timestamp (mottagning), fixTs, fixFeed }
+   * @param {Object|null} [gateAnalysis] - GPSJumpAnalyzer.analyzeMovement-resultatet
+   * @returns {Object|null} { action, d2, reset, track } — action null när spåret
+   *   (om)startades på fixet; null = ogiltigt fix
+   */
+  observe(mmsi, position, sample, gateAnalysis = null) {
+    if (!position || !Number.isFinite(position.lat) || !Number.isFinite(position.lon)) return null;
+    const key = String(mmsi);
+    const s = sample || {};
+    const receivedMs = Number.isFinite(s.timestamp) ? s.timestamp : Date.now();
+    this._summary.observed++;
+
+    let track = this._tracks.get(key);
+    let dtMs = null;
+    if (track) {
+      const previous = { fixTs: track.fixTs, fixFeed: track.fixFeed, timestamp: track.receivedMs };
+      dtMs = GPSJumpAnalyzer.fixDtMs({ ...s, timestamp: receivedMs }, previous);
+      if (dtMs === null) dtMs = receivedMs - track.receivedMs;
+      if (!Number.isFinite(dtMs) || dtMs > this.config.MAX_GAP_MS) track = null;
+    }
+    if (!track) {
+      track = this._startTrack(key, position, s, receivedMs);
+      this._summary.resets++;
+      return {
+        action: null, d2: null, reset: true, track: this._view(track),
+      };
+    }
+
+    // Ett fix ur ordning (negativ separation) prövas mot spårets nuläge.
+    const dt = Math.max(0, dtMs) / 1000;
+    const { q, r } = this._noise();
+    const xPred = predictAxis(track.x, dt, q);
+    const yPred = predictAxis(track.y, dt, q);
+    const local = this._toLocal(track, position);
+    const d2 = ((local.x - xPred.p) ** 2) / (xPred.a + r) + ((local.y - yPred.p) ** 2) / (yPred.a + r);
+
+    let action = 'accept';
+    if (d2 > this.config.JUMP_D2) action = 'gps_jump_detected';
+    else if (d2 > this.config.CAUTION_D2) action = 'accept_with_caution';
+
+    if (action === 'gps_jump_detected') {
+      track.rejects++;
+      if (track.rejects > this.config.MAX_CONSECUTIVE_REJECTS) {
+        track = this._startTrack(key, position, s, receivedMs);
+        this._summary.resets++;
+      } else {
+        // Fixet matas inte in — spåret rullar vidare på sin prognos.
+        track.x = xPred;
+        track.y = yPred;
+        if (dtMs >= 0) this._advanceClock(track, s, receivedMs);
+      }
+    } else {
+      track.x = updatePosition(xPred, local.x, r);
+      track.y = updatePosition(yPred, local.y, r);
+      this._applyVelocity(track, s);
+      track.rejects = 0;
+      // Ett fix ur ordning vrider inte tillbaka spårets klocka.
+      if (dtMs >= 0) this._advanceClock(track, s, receivedMs);
+    }
+    track.lastD2 = d2;
+
+    this._compare(key, action, d2, gateAnalysis, track.fixTs || receivedMs);
+    return {
+      action, d2, reset: false, track: this._view(track),
+    };
+  }
+
+  /**
+   * Utjämnat läge för ett fartyg (null = inget spår).
+   * @param {string} mmsi
+   * @returns {Object|null} { lat, lon, velocityEastMps, velocityNorthMps,
+   *   speedKn, courseDeg, positionSigmaM, lastD2, fixTs, receivedMs }
+   */
+  getTrack(mmsi) {
+    const track = this._tracks.get(String(mmsi));
+    return track ? this._view(track) : null;
+  }
+
+  /** Släpp ett fartygs spår (fartyget borttaget). */
+  forget(mmsi) {
+    this._tracks.delete(String(mmsi));
+  }
+
+  /**
+   * Skuggans sammanställning: hur ofta filtret och jumpgrinden var eniga och
+   * hur de skilde sig (matrix: "grind→kalman" → antal).
+   * @returns {Object}
+   */
+  getSummary() {
+    return {
+      ...this._summary,
+      matrix: { ...this._summary.matrix },
+      examples: this._summary.examples.slice(),
+      tracks: this._tracks.size,
+    };
+  }
+
+  /** Nollställ sammanställningen (spåren behålls). */
+  resetSummary() {
+    this._summary = this._emptySummary();
+  }
+
+  /** @private */
+  _emptySummary() {
+    return {
+      observed: 0, compared: 0, agreed: 0, resets: 0, matrix: {}, examples: [],
+    };
+  }
+
+  /** @private */
+  _compare(mmsi, action, d2, gateAnalysis, atMs) {
+    const gate = gateAnalysis && gateAnalysis.action;
+    if (!gate) return;
+    this._summary.compared++;
+    const cell = `${gate}→${action}`;
+    this._summary.matrix[cell] = (this._summary.matrix[cell] || 0) + 1;
+    if (gate === action) {
+      this._summary.agreed++;
+      return;
+    }
+    const movementM = Number.isFinite(gateAnalysis.movementDistance) ? gateAnalysis.movementDistance : null;
+    if (this._summary.examples.length < this.config.MAX_EXAMPLES) {
+      this._summary.examples.push({
+        mmsi, atMs, gate, kalman: action, d2, movementM, reason: gateAnalysis.reason || null,
+      });
+    }
+    this.logger.debug(
+      `🧮 [KALMAN_SHADOW] ${mmsi}: grind=${gate} kalman=${action} d²=${d2.toFixed(1)}`
+      + `${movementM !== null ? ` (${movementM.toFixed(0)}m)` : ''}`,
+    );
+  }
+
+  /** @private */
+  _noise() {
+    return {
+      q: this.config.ACCELERATION_SIGMA_MPS2 ** 2,
+      r: this.config.POSITION_SIGMA_M ** 2,
+    };
+  }
+
+  /** @private */
+  _startTrack(key, position, sample, receivedMs) {
+    const velocity = this._measuredVelocity(sample);
+    const posVar = this.config.POSITION_SIGMA_M ** 2;
+    const track = {
+      lat0: position.lat,
+      lon0: position.lon,
+      cosLat0: Math.cos(toRad(position.lat)),
+      x: makeAxis(0, velocity ? velocity.east : 0, posVar, velocity ? velocity.variance
+        : this.config.INITIAL_VELOCITY_SIGMA_MPS ** 2),
+      y: makeAxis(0, velocity ? velocity.north : 0, posVar, velocity ? velocity.variance
+        : this.config.INITIAL_VELOCITY_SIGMA_MPS ** 2),
+      rejects: 0,
+      lastD2: null,
+      fixTs: null,
+      fixFeed: null,
+      receivedMs,
+    };
+    this._advanceClock(track, sample, receivedMs);
+    this._tracks.set(key, track);
+    return track;
+  }
+
+  /** @private */
+  _advanceClock(track, sample, receivedMs) {
+    track.fixTs = Number.isFinite(sample.fixTs) ? sample.fixTs : null;
+    track.fixFeed = sample.fixFeed || null;
+    track.receivedMs = receivedMs;
+  }
+
+  /** @private */
+  _applyVelocity(track, sample) {
+    const velocity = this._measuredVelocity(sample);
+    if (!velocity) return;
+    track.x = updateVelocity(track.x, velocity.east, velocity.variance);
+    track.y = updateVelocity(track.y, velocity.north, velocity.variance);
+  }
+
+  /**
+   * Hastighetsmätningen ur sog/cog (null = ingen). Under MIN_COURSE_SPEED_KN
+   * saknar cog mening: mätningen blir (0, 0) med osäkerheten vidgad av farten.
+   * @private
+   */
+  _measuredVelocity(sample) {
+    if (!Number.isFinite(sample.sog) || sample.sog < 0) return null;
+    const speed = sample.sog * KNOTS_TO_MS;
+    const sigma = this.config.VELOCITY_SIGMA_MPS;
+    if (sample.sog < this.config.MIN_COURSE_SPEED_KN || !Number.isFinite(sample.cog)) {
+      if (sample.sog >= this.config.MIN_COURSE_SPEED_KN) return null;
+      return { east: 0, north: 0, variance: (sigma + speed) ** 2 };
+    }
+    return {
+      east: speed * Math.sin(toRad(sample.cog)),
+      north: speed * Math.cos(toRad(sample.cog)),
+      variance: sigma ** 2,
+    };
+  }
+
+  /** @private */
+  _toLocal(track, position) {
+    return {
+      x: toRad(position.lon - track.lon0) * track.cosLat0 * EARTH_RADIUS_M,
+      y: toRad(position.lat - track.lat0) * EARTH_RADIUS_M,
+    };
+  }
+
+  /** @private */
+  _view(track) {
+    const east = track.x.v;
+    const north = track.y.v;
+    return {
+      lat: track.lat0 + (track.y.p / EARTH_RADIUS_M) * (180 / Math.PI),
+      lon: track.lon0 + (track.x.p / (EARTH_RADIUS_M * track.cosLat0)) * (180 / Math.PI),
+      velocityEastMps: east,
+      velocityNorthMps: north,
+      speedKn: Math.hypot(east, north) / KNOTS_TO_MS,
+      courseDeg: ((Math.atan2(east, north) * (180 / Math.PI)) + 360) % 360,
+      positionSigmaM: Math.sqrt((track.x.a + track.y.a) / 2),
+      lastD2: track.lastD2,
+      fixTs: track.fixTs,
+      receivedMs: track.receivedMs,
+    };
+  }
+}
+
+module.exports = TrackKalmanService;
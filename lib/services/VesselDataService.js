@@ -6,8 +6,28 @@ const constants = require('../constants');
 const GPSJumpAnalyzer = require('../utils/GPSJumpAnalyzer');
 const PassageWindowManager = require('../utils/PassageWindowManager');
 const VesselLifecycleManager = require('./VesselLifecycleManager');
-
-const { UI_CONSTANTS } = constants;
+const TrackKalmanService = require('./TrackKalmanService');
+const snapshotCodec = require('../utils/snapshotCodec');
+const simulationClock = require('../utils/simulationClock');
+
+const {
+  UI_CONSTANTS, TARGET_BRIDGES, WARM_RESTART, WATERWAY_ENDS, STALLBACKABRON_SPECIAL,
+} = constants;
+
+// Nordgående resors sista målbro (TARGET_BRIDGES är syd → nord och kan få en
+// befordrad bro vid start, så läs den vid anrop).
+const northernmostTarget = () => TARGET_BRIDGES[TARGET_BRIDGES.length - 1];
+
+// Mellanbroarna MELLAN målbroarna i farledens ordning — de en resa från ena
+// änden av målbrokedjan till den andra nödvändigtvis korsar. En befordrad
+// mellanbro är målbro och faller ur listan (läses vid anrop av samma skäl).
+const bridgesBetweenTargets = () => {
+  const names = constants.BRIDGE_SEQUENCE.map((id) => (constants.BRIDGES[id] ? constants.BRIDGES[id].name : null));
+  const first = names.indexOf(TARGET_BRIDGES[0]);
+  const last = names.indexOf(northernmostTarget());
+  if (first < 0 || last <= first) return [];
+  return names.slice(first + 1, last).filter((name) => name && !TARGET_BRIDGES.includes(name));
+};
 
 /**
  * VesselDataService - Pure data management for vessels
@@ -25,6 +45,9 @@ class VesselDataService extends EventEmitter {
     this.cleanupTimers = new Map(); // Map<mmsi, timeoutId>
     this._cleanupExpiryTimes = new Map(); // BUG 6: Track when timers expire
     this.gpsJumpAnalyzer = new GPSJumpAnalyzer(logger);
+    // Kalman-spåret i skuggläge (TrackKalmanService): dömer samma fix som
+    // jumpgrinden, loggar oenigheterna och styr ingenting.
+    this.trackKalmanService = new TrackKalmanService({ logger });
     this.passageWindowManager = new PassageWindowManager(logger, bridgeRegistry);
     this.vesselLifecycleManager = new VesselLifecycleManager(logger, bridgeRegistry);
 
@@ -73,7 +96,7 @@ class VesselDataService extends EventEmitter {
       this._cleanupValidationTimer = null;
       this.logger.debug('🧪 [VESSEL_DATA] Test mode detected - skipping cleanup validation timer');
     } else {
-      this._cleanupValidationTimer = setInterval(() => {
+      this._cleanupValidationTimer = simulationClock.setInterval(() => {
         this._validateCleanupIntegrity();
       }, 10 * 60 * 1000); // 10 minutes
     }
@@ -309,7 +332,7 @@ class VesselDataService extends EventEmitter {
           // använd _safeDetermineDirection för konsekvens; fall tillbaka på
           // målbron om COG ändå skulle vara tvetydig (Klaffbron=syd, Strids=nord).
           const direction = this._safeDetermineDirection(vessel.cog)
-            || (vessel.targetBridge === 'Stridsbergsbron' ? 'north' : 'south');
+            || (vessel.targetBridge === northernmostTarget() ? 'north' : 'south');
           this._lockRouteDirection(vessel, direction);
         }
       } else {
@@ -477,7 +500,7 @@ class VesselDataService extends EventEmitter {
         vessel.targetBridge = newTargetBridge;
         // F18: tre-vägs riktning (fall tillbaka på målbron vid tvetydig COG).
         const direction = this._safeDetermineDirection(vessel.cog)
-          || (newTargetBridge === 'Stridsbergsbron' ? 'north' : 'south');
+          || (newTargetBridge === northernmostTarget() ? 'north' : 'south');
         this._lockRouteDirection(vessel, direction);
       }
     }
@@ -653,14 +676,14 @@ class VesselDataService extends EventEmitter {
     // Olidebron — completed-posten + reentry-blocket åt då upp gap-failsafen
     // för Olidebron/Kanalinfarten som korsades i tystnaden. En resa är
     // AVSLUTAD först när den passerat sin SISTA bro i färdriktningen (samma
-    // regel som _hasPassedFinalTargetBridge): nord ⇒ Stallbackabron,
-    // syd ⇒ Olidebron. Okänd riktning ⇒ ingen post (hellre kortvarig
+    // regel som _hasPassedFinalTargetBridge, WATERWAY_ENDS): nord ⇒
+    // Stallbackabron, syd ⇒ Olidebron. Okänd riktning ⇒ ingen post (hellre kortvarig
     // remove→recreate-churn än missade notiser). Bug E:s äkta fall
     // (fullbordad transit + timeout-removal) uppfyller kravet.
     const passedList = Array.isArray(vessel.passedBridges) ? vessel.passedBridges : [];
     const completedDir = vessel._routeDirection || vessel._finalTargetDirection || null;
-    const journeyFullyTraversed = (completedDir === 'north' && passedList.includes('Stallbackabron'))
-      || (completedDir === 'south' && passedList.includes('Olidebron'));
+    const journeyFullyTraversed = (completedDir === 'north' && passedList.includes(WATERWAY_ENDS.north.bridge))
+      || (completedDir === 'south' && passedList.includes(WATERWAY_ENDS.south.bridge));
     const isCompletedTimeout = reason === 'timeout'
       && !vessel.targetBridge
       && journeyFullyTraversed;
@@ -688,6 +711,7 @@ class VesselDataService extends EventEmitter {
       // på vessel-objektet — `shipName` fanns aldrig, så exit-/removal-
       // fallbacknotiser fick ALLTID vessel_name "Unknown".
       name: vessel.name,
+      staticData: vessel.staticData ? { ...vessel.staticData } : null,
       _routeDirection: vessel._routeDirection,
       _finalTargetBridge: vessel._finalTargetBridge,
       _finalTargetDirection: vessel._finalTargetDirection,
@@ -808,6 +832,7 @@ class VesselDataService extends EventEmitter {
           && typeof this.app.routeOrderValidator.clearVesselHistory === 'function') {
         this.app.routeOrderValidator.clearVesselHistory(mmsiKey, 'vessel_removed');
       }
+      this.trackKalmanService.forget(mmsiKey);
 
       // B4-fix: släpp fartygets poster i passage-cachen och logg-debouncen direkt
       if (this._passageDetectionCache) {
@@ -991,6 +1016,7 @@ class VesselDataService extends EventEmitter {
       if (this.systemCoordinator && typeof this.systemCoordinator.removeVessel === 'function') {
         this.systemCoordinator.removeVessel(mmsi);
       }
+      this.trackKalmanService.forget(mmsi);
 
     } catch (error) {
       this.logger.error(`[EMERGENCY_CLEANUP_ERROR] Failed to perform emergency cleanup for ${mmsi}:`, error.message);
@@ -1200,6 +1226,32 @@ class VesselDataService extends EventEmitter {
     );
   }
 
+  /**
+   * Tilldela om målbron för de spårade båtarna när TARGET_BRIDGES ändrats
+   * under drift (opening_target_bridges). Samma tilldelning som en ny båt får
+   * (_calculateTargetBridge). En båt mitt i en passage (under-bridge eller en
+   * uppskjuten övergång) lämnas åt den ordinarie övergången, som läser samma
+   * lista — utom när dess målbro inte längre är målbro.
+   * @returns {number} antal båtar som fick ny målbro
+   */
+  retargetVessels() {
+    let changed = 0;
+    for (const vessel of this.getAllVessels()) {
+      if (!vessel || !vessel.targetBridge) continue;
+      const demoted = !TARGET_BRIDGES.includes(vessel.targetBridge);
+      if (!demoted && (vessel.status === 'under-bridge' || vessel._pendingTarget)) continue;
+      const next = this._calculateTargetBridge(vessel);
+      if (next === vessel.targetBridge || (!next && !demoted)) continue;
+      this.logger.log(
+        `🔄 [TARGET_CHANGE] ${vessel.mmsi}: "${vessel.targetBridge}" → "${next || 'none'}" | Reason: OPENING_TARGETS`,
+      );
+      vessel.targetBridge = next;
+      vessel._pendingTarget = null;
+      changed++;
+    }
+    return changed;
+  }
+
   /**
    * Avstånd till närmaste bro i registret (för RC7:s kö-nivå).
    * Defensiv: returnerar null om registret saknar uppslag (testmockar).
@@ -1511,7 +1563,7 @@ class VesselDataService extends EventEmitter {
       clearTimeout(existingTimer);
     }
 
-    const timer = setTimeout(() => {
+    const timer = simulationClock.setTimeout(() => {
       // S-F2 (2026-07-01): ta bort spårningen för DENNA timer FÖRE removeVessel.
       // Protection-zone-vägen i removeVessel kan schemalägga en NY cleanup;
       // den gamla ordningen (delete efter) raderade den nya timerns poster och
@@ -1601,7 +1653,7 @@ class VesselDataService extends EventEmitter {
 
     // MEMORY LEAK PREVENTION: Clear validation timer
     if (this._cleanupValidationTimer) {
-      clearInterval(this._cleanupValidationTimer);
+      simulationClock.clearInterval(this._cleanupValidationTimer);
       this._cleanupValidationTimer = null;
       this.logger.debug('🧹 [TIMER_CLEANUP] Cleared cleanup validation timer');
     }
@@ -1662,6 +1714,67 @@ class VesselDataService extends EventEmitter {
     }
   }
 
+  /**
+   * Warm restart: tracked vessels (with their cleanup deadlines) and the
+   * completed-journey re-entry block as a JSON-safe form (see app.js
+   * tracking_snapshot). Vessels already on their way out — elimination
+   * pending or removal in progress — are left behind: restoring them would
+   * only resurrect a finished journey.
+   * @returns {{vessels: Array, completedJourneys: Array}}
+   */
+  toJSON() {
+    const vessels = [];
+    for (const [mmsi, vessel] of this.vessels.entries()) {
+      if (this._eliminationPending?.has(mmsi) || this._removalInProgress?.has(mmsi)) continue;
+      const encoded = snapshotCodec.encode(vessel);
+      if (!encoded) continue;
+      vessels.push({ mmsi, vessel: encoded, cleanupAt: this._cleanupExpiryTimes.get(mmsi) ?? null });
+    }
+    return {
+      vessels,
+      completedJourneys: Array.from(this._completedJourneys.entries()),
+    };
+  }
+
+  /**
+   * Restore the toJSON() form and reschedule each vessel's cleanup with the
+   * time it had left (at least WARM_RESTART.MIN_CLEANUP_MS). Restored vessels
+   * are NOT announced with 'vessel:entered' — they never left; the next AIS
+   * update continues the same journey as an ordinary update.
+   * @param {Object|null} state
+   * @param {Object} [options]
+   * @param {number} [options.now] - Clock (default Date.now())
+   * @param {number} [options.maxAgeMs] - Drop completed journeys older than this
+   * @returns {string[]} MMSIs of the restored vessels
+   */
+  load(state, { now = Date.now(), maxAgeMs = WARM_RESTART.MAX_SNAPSHOT_AGE_MS } = {}) {
+    const restored = [];
+    if (!state || typeof state !== 'object') return restored;
+
+    for (const [mmsi, entry] of Array.isArray(state.completedJourneys) ? state.completedJourneys : []) {
+      if (entry && Number.isFinite(entry.completedAt) && now - entry.completedAt < maxAgeMs) {
+        this._completedJourneys.set(String(mmsi), entry);
+      }
+    }
+
+    for (const item of Array.isArray(state.vessels) ? state.vessels : []) {
+      const vessel = item ? snapshotCodec.decode(item.vessel) : null;
+      if (!vessel || typeof vessel !== 'object' || !Number.isFinite(vessel.lat) || !Number.isFinite(vessel.lon)) continue;
+      const mmsi = String(item.mmsi);
+      if (this.vessels.has(mmsi)) continue;
+      vessel.mmsi = mmsi;
+      this.vessels.set(mmsi, vessel);
+      this._memoryLeakStats.totalVesselsCreated++;
+      const remaining = Number.isFinite(item.cleanupAt) ? item.cleanupAt - now : 0;
+      this.scheduleCleanup(mmsi, Math.max(remaining, WARM_RESTART.MIN_CLEANUP_MS));
+      restored.push(mmsi);
+    }
+    if (restored.length > 0) {
+      this.logger.log(`♻️ [WARM_RESTART] Restored ${restored.length} vessel(s): ${restored.join(', ')}`);
+    }
+    return restored;
+  }
+
   /**
    * Get vessel count
    * @returns {number} Number of tracked vessels
@@ -2038,7 +2151,7 @@ class VesselDataService extends EventEmitter {
     // väntare söder om punkten döljs tills hon rör sig (hellre tyst än
     // falsk måltext) och återfår target via ACCELERATED vid avgång.
     {
-      const entryTp = constants.TRIGGER_POINTS && constants.TRIGGER_POINTS.kanalinfarten;
+      const entryTp = constants.TRIGGER_POINTS && constants.TRIGGER_POINTS[WATERWAY_ENDS.south.triggerPoint];
       const entryLat = entryTp && Number.isFinite(entryTp.lat) ? entryTp.lat : null;
       // Reborn-på-plats-fallet (HEY JOE 15:04/16:49): timeout-removal +
       // återkomst PÅ SAMMA PLATS med enstaka sog-spik gav target på ETT
@@ -2395,10 +2508,11 @@ class VesselDataService extends EventEmitter {
 
     // FIX Z: Southbound vessels that have passed Klaffbron are leaving the canal
     // They should NOT get Stridsbergsbron as a new target
+    // (Klaffbron = sydgående resors sista målbro, TARGET_BRIDGES[0].)
     if (vessel._finalTargetDirection === 'south'
-        && vessel.passedBridges?.includes('Klaffbron')) {
+        && vessel.passedBridges?.includes(TARGET_BRIDGES[0])) {
       this.logger.debug(
-        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, passerat Klaffbron → lämnar kanalen, ingen målbro`,
+        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, passerat ${TARGET_BRIDGES[0]} → lämnar kanalen, ingen målbro`,
       );
       return null;
     }
@@ -2416,9 +2530,10 @@ class VesselDataService extends EventEmitter {
     // target=null så NEW_JOURNEY-resetten får starta den nya resan rent —
     // exakt så sydfallet alltid fungerat via FIX Z ovan.
     if (vessel._finalTargetDirection === 'north'
-        && vessel.passedBridges?.includes('Stridsbergsbron')) {
+        && vessel.passedBridges?.includes(northernmostTarget())) {
       this.logger.debug(
-        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, passerat Stridsbergsbron → lämnar kanalen, ingen målbro (NEW_JOURNEY tar återvändare)`,
+        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, passerat ${northernmostTarget()} → lämnar kanalen, ingen målbro `
+        + '(NEW_JOURNEY tar återvändare)',
       );
       return null;
     }
@@ -2467,120 +2582,82 @@ class VesselDataService extends EventEmitter {
     }
     const isNorthbound = dir === 'north';
 
-    // Get bridge positions from registry for consistency
-    const klaffbron = this.bridgeRegistry.getBridgeByName('Klaffbron');
-    const stridsbergsbron = this.bridgeRegistry.getBridgeByName('Stridsbergsbron');
-
-    if (!klaffbron || !stridsbergsbron) {
-      this.logger.error('🚨 [TARGET_ASSIGNMENT] Critical: Target bridges not found in registry');
-      return null;
-    }
-
-    // CRITICAL FIX: Validate bridge coordinates
-    if (!Number.isFinite(klaffbron.lat) || !Number.isFinite(stridsbergsbron.lat)) {
-      this.logger.error('🚨 [TARGET_ASSIGNMENT] Critical: Invalid bridge coordinates in registry');
-      return null;
+    // Målbroarna ur registret, i färdriktningens ordning (TARGET_BRIDGES är
+    // syd → nord). Två i standardprofilen; en befordrad bro
+    // (opening_target_bridges) hamnar på sin plats i farleden.
+    const targets = [];
+    for (const name of TARGET_BRIDGES) {
+      const bridge = this.bridgeRegistry.getBridgeByName(name);
+      if (!bridge) {
+        this.logger.error('🚨 [TARGET_ASSIGNMENT] Critical: Target bridges not found in registry');
+        return null;
+      }
+      // CRITICAL FIX: Validate bridge coordinates
+      if (!Number.isFinite(bridge.lat)) {
+        this.logger.error('🚨 [TARGET_ASSIGNMENT] Critical: Invalid bridge coordinates in registry');
+        return null;
+      }
+      targets.push(bridge);
     }
-
-    const klaffbronLat = klaffbron.lat;
-    const stridsbergsbronLat = stridsbergsbron.lat;
-
-    // ENHANCED: Additional proximity check for protection zone validation
-    // If vessel is very close to any bridge, ensure target assignment considers this
-    const distanceToKlaffbron = geometry.calculateDistance(
-      vessel.lat, vessel.lon, klaffbron.lat, klaffbron.lon,
-    );
-    const distanceToStridsberg = geometry.calculateDistance(
-      vessel.lat, vessel.lon, stridsbergsbron.lat, stridsbergsbron.lon,
-    );
+    if (targets.length === 0) return null;
+    if (!isNorthbound) targets.reverse();
+    const finalTarget = targets[targets.length - 1];
 
     // Log proximity for debugging
+    const distances = targets.map((bridge) => `${bridge.name}: ${geometry.calculateDistance(
+      vessel.lat, vessel.lon, bridge.lat, bridge.lon,
+    ).toFixed(0)}m`);
     this.logger.debug(
-      `📍 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Distances - Klaffbron: ${distanceToKlaffbron.toFixed(0)}m, Stridsbergsbron: ${distanceToStridsberg.toFixed(0)}m`,
+      `📍 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Distances - ${distances.join(', ')}`,
     );
 
-    // ROOT FIX: Kontrollera passedBridges — tilldela ALDRIG en bro som redan passerats.
-    // Utan detta kan target regrediera till t.ex. Klaffbron efter att fartyget passerat den.
-    const passed = vessel.passedBridges || [];
-
-    if (isNorthbound) {
-      // ENHANCED: Check if vessel is leaving canal northbound (north of Stridsbergsbron)
-      if (vessel.lat > stridsbergsbronLat + 0.001) { // Small buffer to prevent edge cases
-        this.logger.debug(
-          `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, norr om Stridsbergsbron → lämnar kanalen, ingen målbro`,
-        );
-        return null; // No target bridge - vessel leaving canal
-      }
+    const dirLabel = isNorthbound ? 'Norrut' : 'Söderut';
+    // Bortom sista målbron i färdriktningen → lämnar kanalen.
+    const beyondFinal = isNorthbound
+      ? vessel.lat > finalTarget.lat + 0.001 // Small buffer to prevent edge cases
+      : vessel.lat < finalTarget.lat - 0.001;
+    if (beyondFinal) {
+      this.logger.debug(
+        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: ${dirLabel}, bortom ${finalTarget.name} → lämnar kanalen, ingen målbro`,
+      );
+      return null; // No target bridge - vessel leaving canal
+    }
 
-      // ENHANCED: Norrut - Which target bridge is encountered FIRST based on position?
-      if (vessel.lat < klaffbronLat) {
-        if (passed.includes('Klaffbron')) {
-          this.logger.debug(
-            `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, söder om Klaffbron men redan passerat → Stridsbergsbron`,
-          );
-          return passed.includes('Stridsbergsbron') ? null : 'Stridsbergsbron';
-        }
-        this.logger.debug(
-          `🎯 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, söder om Klaffbron → Klaffbron först`,
-        );
-        return 'Klaffbron';
-      } if (vessel.lat >= klaffbronLat && vessel.lat <= stridsbergsbronLat) {
-        if (passed.includes('Stridsbergsbron')) {
-          this.logger.debug(
-            `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, mellan broarna men redan passerat Stridsbergsbron → ingen målbro`,
-          );
-          return null;
-        }
-        this.logger.debug(
-          `🎯 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, mellan broarna → Stridsbergsbron`,
-        );
-        return 'Stridsbergsbron';
-      }
-      // North of Stridsbergsbron but within bounds → leaving canal
+    // ENHANCED: Which target bridge is encountered FIRST based on position?
+    // Målbroarna framför fartyget; den sista räknas framför ända till
+    // brolinjens latitud (positionen PÅ bron hör till den).
+    const ahead = targets.filter((bridge, i) => {
+      const last = i === targets.length - 1;
+      if (isNorthbound) return last ? vessel.lat <= bridge.lat : vessel.lat < bridge.lat;
+      return last ? vessel.lat >= bridge.lat : vessel.lat > bridge.lat;
+    });
+    if (ahead.length === 0) {
       this.logger.debug(
-        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Norrut, norr om Stridsbergsbron (inom gränser) → lämnar kanalen`,
+        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: ${dirLabel}, bortom ${finalTarget.name} (inom gränser) → lämnar kanalen`,
       );
       return null;
-
     }
 
-    // ENHANCED: Check if vessel is leaving canal southbound (south of Klaffbron)
-    if (vessel.lat < klaffbronLat - 0.001) { // Small buffer to prevent edge cases
+    // ROOT FIX: Kontrollera passedBridges — tilldela ALDRIG en bro som redan passerats.
+    // Utan detta kan target regrediera till t.ex. Klaffbron efter att fartyget passerat den.
+    const passed = vessel.passedBridges || [];
+    const next = ahead.find((bridge) => !passed.includes(bridge.name));
+    if (!next) {
       this.logger.debug(
-        `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, söder om Klaffbron → lämnar kanalen, ingen målbro`,
+        `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: ${dirLabel}, före ${ahead[0].name} men alla målbroar framför redan passerade → ingen målbro`,
       );
-      return null; // No target bridge - vessel leaving canal
+      return null;
     }
-
-    // ENHANCED: Söderut - Which target bridge is encountered FIRST based on position?
-    if (vessel.lat > stridsbergsbronLat) {
-      if (passed.includes('Stridsbergsbron')) {
-        this.logger.debug(
-          `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, norr om Stridsbergsbron men redan passerat → Klaffbron`,
-        );
-        return passed.includes('Klaffbron') ? null : 'Klaffbron';
-      }
+    if (next !== ahead[0]) {
       this.logger.debug(
-        `🎯 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, norr om Stridsbergsbron → Stridsbergsbron först`,
+        `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: ${dirLabel}, före ${ahead[0].name} men redan passerat → ${next.name}`,
       );
-      return 'Stridsbergsbron';
-    } if (vessel.lat >= klaffbronLat && vessel.lat <= stridsbergsbronLat) {
-      if (passed.includes('Klaffbron')) {
-        this.logger.debug(
-          `🛡️ [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, mellan broarna men redan passerat Klaffbron → ingen målbro`,
-        );
-        return null;
-      }
+    } else {
       this.logger.debug(
-        `🎯 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, mellan broarna → Klaffbron`,
+        `🎯 [TARGET_ASSIGNMENT] ${vessel.mmsi}: ${dirLabel}, före ${next.name} → ${next.name} först`,
       );
-      return 'Klaffbron';
     }
-    // South of Klaffbron but within bounds → leaving canal
-    this.logger.debug(
-      `🚪 [TARGET_ASSIGNMENT] ${vessel.mmsi}: Söderut, söder om Klaffbron (inom gränser) → lämnar kanalen`,
-    );
-    return null;
+    return next.name;
 
   }
 
@@ -2592,8 +2669,13 @@ class VesselDataService extends EventEmitter {
    * @param {Object} [options]
    * @param {boolean} [options.confirmedPassage] - true när passagen redan är
    *   bekräftad via GPS-gatens tvåstegsvalidering → hoppa över re-detektering
+   * @param {boolean} [options.inferredPassage] - true när målbrons passage är
+   *   HÄRLEDD (missad målbro/AIS-gap) snarare än observerad — bärs till
+   *   ankringen och vidare i 'vessel:passed-bridge'
    */
-  _handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage = false, _gapChainDepth = 0 } = {}) {
+  _handleTargetBridgeTransition(vessel, oldVessel, {
+    confirmedPassage = false, inferredPassage = false, _gapChainDepth = 0,
+  } = {}) {
     if (!oldVessel) {
       return;
     }
@@ -2700,7 +2782,7 @@ class VesselDataService extends EventEmitter {
         `🎯 [PASSAGE_IMMEDIATE] ${vessel.mmsi}: Confirmed passage of ${vessel.targetBridge} `
         + `→ immediate transition to ${nextTarget || 'none'} (bypassing protection zone deferral)`,
       );
-      this._applyTargetTransition(vessel, oldVessel, nextTarget);
+      this._applyTargetTransition(vessel, oldVessel, nextTarget, { inferredPassage });
       // S-F3 (2026-07-01): samma AIS-gap kan ha korsat ÄVEN den NYA målbron
       // (norrgående 10-min-gap som spänner Klaffbron+Järnvägsbron+Strids-
       // bergsbron). Utvärdera nya målet mot SAMMA segment — annars tappas
@@ -2729,7 +2811,14 @@ class VesselDataService extends EventEmitter {
         `🔍 [TARGET_DEBUG] ${vessel.mmsi}: Distance to ${vessel.targetBridge}: ${distanceToCurrentTarget.toFixed(0)}m`,
       );
 
-      if (distanceToCurrentTarget <= constants.PROTECTION_ZONE_RADIUS) {
+      // Nära bropar där BÅDA är målbroar (befordrad Järnvägsbron ↔
+      // Stridsbergsbron, 257 m): skyddszonen runt den passerade bron täcker
+      // nästa målbro, och uppskjutningen skulle låta båten passera den med
+      // den gamla målbron kvar. Byt direkt i stället.
+      const closePairNext = nextTargetBridge !== null
+        && constants.CLOSE_BRIDGE_PAIRS[vessel.targetBridge] === nextTargetBridge;
+
+      if (distanceToCurrentTarget <= constants.PROTECTION_ZONE_RADIUS && !closePairNext) {
         const gracePeriod = this.passageWindowManager.getInternalGracePeriod(vessel);
         const recentlyPassed = vessel.lastPassedBridge === vessel.targetBridge
           && vessel.lastPassedBridgeTime
@@ -2788,8 +2877,10 @@ class VesselDataService extends EventEmitter {
    * @param {Object} vessel - Updated vessel object
    * @param {Object} oldVessel - Previous vessel state
    * @param {string|null} nextTargetBridge - Next target bridge or null if final
+   * @param {Object} [options]
+   * @param {boolean} [options.inferredPassage] - se _handleTargetBridgeTransition
    */
-  _applyTargetTransition(vessel, oldVessel, nextTargetBridge) {
+  _applyTargetTransition(vessel, oldVessel, nextTargetBridge, { inferredPassage = false } = {}) {
     // S-F3-följdfix (2026-07-01): previousTarget = NUVARANDE targetBridge —
     // det är bron som transitioneras FRÅN vid anropsögonblicket (alla
     // anropare muterar targetBridge först HÄR inne). Gamla ordningen föredrog
@@ -2835,7 +2926,14 @@ class VesselDataService extends EventEmitter {
       // Imminent-flaggan hörde till FÖRRA bron (sattes ≤300 m från den) —
       // utan nollning visade texten "på väg mot [nya bron], strax" i en tick.
       vessel._isImminentAtTargetBridge = false;
-      const direction = normalizedNext === 'Stridsbergsbron' ? 'north' : 'south';
+      // Spärrfönstret hörde också till förra bron.
+      vessel._openingRestrictedUntilMs = null;
+      // Nästa målbro norr om den passerade → norrut (TARGET_BRIDGES är syd → nord).
+      let direction = normalizedNext === northernmostTarget() ? 'north' : 'south';
+      if (TARGET_BRIDGES.includes(previousTarget)) {
+        direction = TARGET_BRIDGES.indexOf(normalizedNext) > TARGET_BRIDGES.indexOf(previousTarget)
+          ? 'north' : 'south';
+      }
       this._lockRouteDirection(vessel, direction);
       const protection = this.targetBridgeProtection?.get(vessel.mmsi?.toString?.() || vessel.mmsi);
       if (protection && protection.isActive) {
@@ -2857,10 +2955,10 @@ class VesselDataService extends EventEmitter {
         );
       }
     } else {
-      const direction = previousTarget === 'Stridsbergsbron' ? 'north' : 'south';
-      const remainingZone = direction === 'north'
-        ? 'Stallbackabron'
-        : 'Olidebron + Kanalinfarten';
+      const direction = previousTarget === northernmostTarget() ? 'north' : 'south';
+      const end = WATERWAY_ENDS[direction];
+      const remainingZone = [end.bridge, constants.BRIDGE_ID_TO_NAME[end.triggerPoint]]
+        .filter(Boolean).join(' + ');
       this.logger.log(
         `🏁 [TARGET_END] ${vessel.mmsi}: Final target ${previousTarget} passed — `
         + `continuing to track through ${remainingZone}`,
@@ -2882,6 +2980,7 @@ class VesselDataService extends EventEmitter {
       vessel._etaExtrapolationBaseValue = undefined;
       vessel._positionUpdatedSinceLastETA = true;
       vessel._isImminentAtTargetBridge = false;
+      vessel._openingRestrictedUntilMs = null;
       // KRITISK ETA-fix (2026-06-13): rensa historiken även vid TARGET_END —
       // post-target-spårning (Stallbackabron-ETA m.m.) ska inte dämpas mot
       // den passerade målbrons slutvärden.
@@ -2899,7 +2998,7 @@ class VesselDataService extends EventEmitter {
     // ankringen är NY — dedupe sköts av _isPassageAlreadyProcessed +
     // alreadyRecorded-vakterna nedan. (Gamla gaten var i praktiken alltid
     // sann eftersom passedAt nollades varje meddelande.)
-    this._anchorPassageTimestamp(vessel, previousTarget, passageTimestamp);
+    this._anchorPassageTimestamp(vessel, previousTarget, passageTimestamp, { inferred: inferredPassage });
     {
       const passageId = this._generatePassageId(vessel.mmsi, previousTarget, vessel);
 
@@ -2960,9 +3059,12 @@ class VesselDataService extends EventEmitter {
       );
     }
 
-    // Anomali 15 (2026-05-18) + RC2-fix (2026-06-11): Inferred Järnvägsbron-
-    // passage — ENDAST vid TARGET_END. Järnvägsbron (58.291) ligger MELLAN
-    // Klaffbron (58.284) och Stridsbergsbron (58.293).
+    // Anomali 15 (2026-05-18) + RC2-fix (2026-06-11): Inferred passage av
+    // mellanbroarna MELLAN målbroarna — ENDAST vid TARGET_END. I standard-
+    // profilen är det Järnvägsbron (58.291), mellan Klaffbron (58.284) och
+    // Stridsbergsbron (58.293); listan och ändbroarna läses ur de aktiva
+    // TARGET_BRIDGES, så en befordrad Järnvägsbron är målbro med egen
+    // passagedetektering och infereras aldrig.
     //
     // RC2 (19h-prodloggen, DIANA 265576710): den gamla regeln triggade ÄVEN vid
     // transitionen Klaffbron→Stridsbergsbron — men då har båten just passerat
@@ -2971,56 +3073,60 @@ class VesselDataService extends EventEmitter {
     // ~10 min senare varken detekterades eller notifierades (passedBridges
     // blockerade), och SILJA fick sin Järnvägsbron-notis 8–10 min för tidigt.
     //
-    // Geometrisk nödvändighet gäller BARA när den passerade målbron ligger
-    // BORTOM Järnvägsbron i färdriktningen, dvs. TARGET_END:
-    //   - norrgående final = Stridsbergsbron (Järnvägsbron söder om → passerad)
-    //   - södergående final = Klaffbron (Järnvägsbron norr om → passerad)
+    // Geometrisk nödvändighet gäller BARA när den passerade målbron är
+    // målbrokedjans ände i färdriktningen, dvs. TARGET_END:
+    //   - norrgående final = nordligaste målbron (mellanbroarna söder om → passerade)
+    //   - södergående final = sydligaste målbron (mellanbroarna norr om → passerade)
     // (KOLLAND-fallet som regeln byggdes för var ett TARGET_END — täcks.)
-    const isJarnvagsbronBetween = !isTransitionToNext
-      && (previousTarget === 'Klaffbron' || previousTarget === 'Stridsbergsbron');
-    // S-F6 (2026-07-01): geometrisk nödvändighet förutsätter att RESAN
-    // BÖRJADE bortom Järnvägsbron i färdriktningen. En båt som lade ut
-    // MELLAN broarna (t.ex. Kajen norr om Klaffbron, lat 58.2857–58.2864,
-    // som är en känd MOORING_ZONE) och gick söderut mot Klaffbron har ALDRIG
-    // korsat Järnvägsbron — inferensen gav då falsk passedBridges-post OCH
-    // falsk boat_near-notis via backfillen. _firstSeenLat ankras vid första
-    // giltiga positionen och överlever objektombyggnad.
-    const jvbObj = this.bridgeRegistry.getBridgeByName('Järnvägsbron');
-    const startedBeyondJvb = Boolean(jvbObj && Number.isFinite(jvbObj.lat)
-      && Number.isFinite(vessel._firstSeenLat)
-      && (previousTarget === 'Stridsbergsbron'
-        ? vessel._firstSeenLat < jvbObj.lat // norrgående: resan började söder om Jvb
-        : vessel._firstSeenLat > jvbObj.lat)); // södergående: började norr om Jvb
-    if (isJarnvagsbronBetween && !startedBeyondJvb && !(vessel.passedBridges?.includes('Järnvägsbron'))) {
-      this.logger.log(
-        `🚫 [INFERRED_PASSAGE_SKIP] ${vessel.mmsi}: TARGET_END ${previousTarget} men resan `
-        + `började vid lat ${Number.isFinite(vessel._firstSeenLat) ? vessel._firstSeenLat.toFixed(4) : 'okänd'} `
-        + '(inte bortom Järnvägsbron) — ingen inferred passage',
-      );
-    }
-    if (isJarnvagsbronBetween && startedBeyondJvb && !(vessel.passedBridges?.includes('Järnvägsbron'))) {
+    const isNorthboundEnd = previousTarget === northernmostTarget();
+    const isTargetEnd = !isTransitionToNext && TARGET_BRIDGES.length > 1
+      && (isNorthboundEnd || previousTarget === TARGET_BRIDGES[0]);
+    if (!isTargetEnd) return;
+    for (const bridgeName of bridgesBetweenTargets()) {
+      if (vessel.passedBridges?.includes(bridgeName)) continue;
+      // S-F6 (2026-07-01): geometrisk nödvändighet förutsätter att RESAN
+      // BÖRJADE bortom mellanbron i färdriktningen. En båt som lade ut
+      // MELLAN broarna (t.ex. Kajen norr om Klaffbron, lat 58.2857–58.2864,
+      // som är en känd MOORING_ZONE) och gick söderut mot Klaffbron har ALDRIG
+      // korsat Järnvägsbron — inferensen gav då falsk passedBridges-post OCH
+      // falsk boat_near-notis via backfillen. _firstSeenLat ankras vid första
+      // giltiga positionen och överlever objektombyggnad.
+      const bridgeObj = this.bridgeRegistry.getBridgeByName(bridgeName);
+      const startedBeyond = Boolean(bridgeObj && Number.isFinite(bridgeObj.lat)
+        && Number.isFinite(vessel._firstSeenLat)
+        && (isNorthboundEnd
+          ? vessel._firstSeenLat < bridgeObj.lat // norrgående: resan började söder om bron
+          : vessel._firstSeenLat > bridgeObj.lat)); // södergående: började norr om bron
+      if (!startedBeyond) {
+        this.logger.log(
+          `🚫 [INFERRED_PASSAGE_SKIP] ${vessel.mmsi}: TARGET_END ${previousTarget} men resan `
+          + `började vid lat ${Number.isFinite(vessel._firstSeenLat) ? vessel._firstSeenLat.toFixed(4) : 'okänd'} `
+          + `(inte bortom ${bridgeName}) — ingen inferred passage`,
+        );
+        continue;
+      }
       if (!Array.isArray(vessel.passedBridges)) vessel.passedBridges = [];
-      vessel.passedBridges.push('Järnvägsbron');
+      vessel.passedBridges.push(bridgeName);
       // RC2b-fix (2026-06-13, helkodsgranskningen): skriv INTE över
-      // lastPassedBridge/Time — Järnvägsbron passerades FÖRE målbron, och
+      // lastPassedBridge/Time — mellanbron passerades FÖRE målbron, och
       // "senaste passage"-slotten ska peka på målbron (rad ovan). Den gamla
       // överskrivningen fick BUG C-fallbacken (app.js) att avfyra notis-
       // failsafen för Järnvägsbron i stället för MÅLBRON → i AIS-gap-
       // scenariot missades målbrons notis permanent. Den inferred passagen
       // ankras i stället med bakdaterad tidsstämpel för dedup-robusthet.
       const backdatedTs = passageTimestamp - 60 * 1000; // före målbron
-      this._anchorPassageTimestamp(vessel, 'Järnvägsbron', backdatedTs);
-      // Backfill-fix (2026-06-13): inferensen lägger Järnvägsbron i
+      this._anchorPassageTimestamp(vessel, bridgeName, backdatedTs, { inferred: true });
+      // Backfill-fix (2026-06-13): inferensen lägger mellanbron i
       // passedBridges → intermediate-detekteringen skippar den för evigt →
       // utan explicit failsafe-begäran missas notisen för fartyg som korsade
       // BÅDA broarna i samma AIS-glapp (DIANA-fallet: gamla koden levererade
       // den oavsiktligt via lastPassedBridge-overwriten som RC2b tog bort).
       // Fallbackens persistenta dedupe blockerar dubbletter för fartyg som
-      // redan notifierats för Järnvägsbron.
+      // redan notifierats för bron.
       if (!Array.isArray(vessel._passageBackfills)) vessel._passageBackfills = [];
-      vessel._passageBackfills.push('Järnvägsbron');
+      vessel._passageBackfills.push(bridgeName);
       this.logger.log(
-        `🌉 [INFERRED_PASSAGE] ${vessel.mmsi}: Inferred Järnvägsbron passage `
+        `🌉 [INFERRED_PASSAGE] ${vessel.mmsi}: Inferred ${bridgeName} passage `
         + `(geometric necessity at TARGET_END ${previousTarget})`,
       );
     }
@@ -3096,6 +3202,10 @@ class VesselDataService extends EventEmitter {
       name: (data.name && data.name !== 'Unknown' ? data.name : null)
         || (oldVessel?.name && oldVessel.name !== 'Unknown' ? oldVessel.name : null)
         || 'Unknown',
+      // Statiska uppgifter (typ, längd/bredd, djupgående, destination,
+      // anropssignal, IMO — lib/utils/staticData-formen). App-lagret
+      // injicerar cachen i varje patch; samma stickiness som namnet.
+      staticData: data.staticData || oldVessel?.staticData || null,
 
       // PHASE 2 FIX: Track last position update for stale AIS detection
       // Only update timestamp if position actually changed (not just AIS update)
@@ -3117,7 +3227,7 @@ class VesselDataService extends EventEmitter {
         data.sog > 2.0 ? Date.now() : oldVessel?.lastActiveTime || Date.now(),
 
       // Speed tracking
-      speedHistory: this._updateSpeedHistory(oldVessel?.speedHistory, data.sog),
+      speedHistory: this._updateSpeedHistory(oldVessel?.speedHistory, data.sog, data.cog),
       maxRecentSpeed: this._calculateMaxRecentSpeed(oldVessel, data.sog),
 
       // Status flags
@@ -3308,6 +3418,14 @@ class VesselDataService extends EventEmitter {
       // extrapolering håller max 90 s. Utan raden raderas stämpeln av varje
       // meddelande (fältlist-fällans 5:e offer) och 90 s-fönstret börjar om.
       _etaExhaustedAtMs: oldVessel?._etaExhaustedAtMs ?? null,
+      // Öppningsrestriktionen (applyOpeningRestriction) — texten säger
+      // "uppskjuten" tills nästa ETA-omräkning; utan raden tappade varje
+      // meddelande med frusen position markeringen.
+      _openingRestrictedUntilMs: oldVessel?._openingRestrictedUntilMs ?? null,
+      // Dödräkningen (DeadReckoningService) ERSÄTTER ALDRIG ett fix: varje
+      // verkligt meddelande släcker prognosen, watchdogen räknar om den först
+      // när båten tystnat igen. Medvetet null — inte oldVessel.
+      _predictedPosition: null,
     };
 
     return vessel;
@@ -3390,15 +3508,15 @@ class VesselDataService extends EventEmitter {
   }
 
   /**
-   * Update speed history
+   * Update speed history (SOG + COG — dead reckoning reads both)
    * @private
    */
-  _updateSpeedHistory(oldHistory, currentSpeed) {
+  _updateSpeedHistory(oldHistory, currentSpeed, currentCog = null) {
     const history = oldHistory || [];
     const now = Date.now();
 
-    // Add current speed with timestamp
-    history.push({ speed: currentSpeed, timestamp: now });
+    // Add current speed and course with timestamp
+    history.push({ speed: currentSpeed, cog: Number.isFinite(currentCog) ? currentCog : null, timestamp: now });
 
     // Keep only last 10 entries or entries from last 5 minutes
     const fiveMinutesAgo = now - 5 * 60 * 1000;
@@ -3479,7 +3597,9 @@ class VesselDataService extends EventEmitter {
         && this.app.gpsJumpGateService.shouldBlockPassageDetection(vessel.mmsi.toString(), vessel, targetBridge.name)) {
 
       // USE ENHANCED PASSAGE DETECTION: But register as candidate instead of confirming
-      const passageResult = geometry.detectBridgePassage(vessel, oldVessel, targetBridge);
+      const passageResult = geometry.detectBridgePassage(vessel, oldVessel, targetBridge, {
+        highBridge: STALLBACKABRON_SPECIAL.BRIDGE_NAME,
+      });
 
       if (passageResult.passed) {
         // R2 2026-07-11 (GR2-4): kandidatvägen kringgick ruttordnings-
@@ -3512,7 +3632,9 @@ class VesselDataService extends EventEmitter {
     }
 
     // USE ENHANCED PASSAGE DETECTION: Normal passage detection when not gated
-    const passageResult = geometry.detectBridgePassage(vessel, oldVessel, targetBridge);
+    const passageResult = geometry.detectBridgePassage(vessel, oldVessel, targetBridge, {
+      highBridge: STALLBACKABRON_SPECIAL.BRIDGE_NAME,
+    });
 
     // Pre-calculate distances for fallback and logging
     const currentDistance = geometry.calculateDistance(
@@ -3741,23 +3863,20 @@ class VesselDataService extends EventEmitter {
       `🧭 [NEXT_TARGET] ${vessel.mmsi}: Direction=${isNorthbound ? 'Norrut' : 'Söderut'}, Current=${currentTarget}`,
     );
 
-    if (isNorthbound) {
-      // Norrut: Klaffbron → Stridsbergsbron → null
-      if (currentTarget === 'Klaffbron') {
-        this.logger.debug(`🎯 [NEXT_TARGET] ${vessel.mmsi}: Norrut Klaffbron → Stridsbergsbron`);
-        return 'Stridsbergsbron';
-      }
-      // Stridsbergsbron is final target bridge northbound
-      this.logger.debug(`🏁 [NEXT_TARGET] ${vessel.mmsi}: Norrut Stridsbergsbron → final (null)`);
-      return null;
-    }
-    // Söderut: Stridsbergsbron → Klaffbron → null
-    if (currentTarget === 'Stridsbergsbron') {
-      this.logger.debug(`🎯 [NEXT_TARGET] ${vessel.mmsi}: Söderut Stridsbergsbron → Klaffbron`);
-      return 'Klaffbron';
+    // Norrut: Klaffbron → Stridsbergsbron → null, söderut tvärtom. Med en
+    // befordrad målbro (Järnvägsbron) ligger den emellan i samma kedja.
+    const ordered = isNorthbound ? TARGET_BRIDGES : [...TARGET_BRIDGES].reverse();
+    const idx = ordered.indexOf(currentTarget);
+    const next = idx >= 0 && idx < ordered.length - 1 ? ordered[idx + 1] : null;
+    if (next) {
+      this.logger.debug(
+        `🎯 [NEXT_TARGET] ${vessel.mmsi}: ${isNorthbound ? 'Norrut' : 'Söderut'} ${currentTarget} → ${next}`,
+      );
+      return next;
     }
-    // Klaffbron is final target bridge southbound
-    this.logger.debug(`🏁 [NEXT_TARGET] ${vessel.mmsi}: Söderut Klaffbron → final (null)`);
+    this.logger.debug(
+      `🏁 [NEXT_TARGET] ${vessel.mmsi}: ${isNorthbound ? 'Norrut' : 'Söderut'} ${currentTarget} → final (null)`,
+    );
     return null;
   }
 
@@ -3826,6 +3945,7 @@ class VesselDataService extends EventEmitter {
     const analysis = this.gpsJumpAnalyzer.analyzeMovement(
       mmsi, currentPosition, previousPosition, currentVessel, oldVessel,
     );
+    this._observeKalmanShadow(mmsi, currentPosition, currentVessel, analysis);
 
     // ENHANCED: Coordinate with SystemCoordinator for improved handling
     const coordination = this.systemCoordinator.coordinatePositionUpdate(
@@ -3896,6 +4016,19 @@ class VesselDataService extends EventEmitter {
     };
   }
 
+  /**
+   * Skuggläget: Kalman-spåret dömer samma fix som jumpgrinden. Resultatet
+   * används inte — ett fel här får aldrig fälla positionsuppdateringen.
+   * @private
+   */
+  _observeKalmanShadow(mmsi, position, currentVessel, analysis) {
+    try {
+      this.trackKalmanService.observe(mmsi, position, currentVessel, analysis);
+    } catch (error) {
+      this.logger.error(`[KALMAN_SHADOW] ${mmsi}: ${error.message}`);
+    }
+  }
+
   /**
    * Handle detected GPS jump with position smoothing or filtering
    * @private
@@ -3926,8 +4059,11 @@ class VesselDataService extends EventEmitter {
    * @param {Object} oldVessel
    * @param {string} bridgeName - Gate-bekräftad mellanbro
    * @param {number} confirmedAt - Bekräftelsetidpunkt (ms)
+   * @param {Object} [options]
+   * @param {boolean} [options.inferred] - passagen är gap-härledd
+   *   (applyInferredPassage), inte gate-bekräftad
    */
-  registerConfirmedIntermediatePassage(vessel, oldVessel, bridgeName, confirmedAt) {
+  registerConfirmedIntermediatePassage(vessel, oldVessel, bridgeName, confirmedAt, { inferred = false } = {}) {
     const passageTimestamp = Number.isFinite(confirmedAt) ? confirmedAt : Date.now();
     // R2 2026-07-11 (V2R2-2): registreringen gated på PROCESSED-vakten, inte
     // ankarvakten — StatusService:s under-bro-exit-ankring är enda ankar-
@@ -3937,7 +4073,7 @@ class VesselDataService extends EventEmitter {
     // stänga, i det GPS-utsatta ögonblick fixen motiverades av). Ankaret
     // sätts fortfarande med bounce-skydd; dubbelbokföring stoppas av
     // _isPassageAlreadyProcessed.
-    this._anchorPassageTimestamp(vessel, bridgeName, passageTimestamp);
+    this._anchorPassageTimestamp(vessel, bridgeName, passageTimestamp, { inferred });
     {
       const passageId = this._generatePassageId(vessel.mmsi, bridgeName, vessel);
       if (!this._isPassageAlreadyProcessed(passageId)) {
@@ -4014,7 +4150,7 @@ class VesselDataService extends EventEmitter {
           if (protection && protection.targetBridge === vessel.targetBridge) {
             this._deactivateProtection(vessel.mmsi, 'missed-target-inferred');
           }
-          this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true });
+          this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true, inferredPassage: true });
         } else if (beyondTarget) {
           this._clearStaleTargetBeyond(vessel, bridgeName, dir);
         }
@@ -4208,11 +4344,11 @@ class VesselDataService extends EventEmitter {
       if (protection && protection.targetBridge === bridgeName) {
         this._deactivateProtection(vessel.mmsi, 'inferred-passage');
       }
-      this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true });
+      this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true, inferredPassage: true });
     } else if (!Array.isArray(vessel.passedBridges) || !vessel.passedBridges.includes(bridgeName)) {
       // Mellanbro (eller målbro bortom nuvarande target — RC9-inferensen i
       // registreringen hanterar transitionen)
-      this.registerConfirmedIntermediatePassage(vessel, oldVessel, bridgeName, Date.now());
+      this.registerConfirmedIntermediatePassage(vessel, oldVessel, bridgeName, Date.now(), { inferred: true });
     }
   }
 
@@ -4397,7 +4533,7 @@ class VesselDataService extends EventEmitter {
               // fallbackens dedupe/avstånds-/stale-skydd gäller som vanligt.
               if (!Array.isArray(vessel._passageBackfills)) vessel._passageBackfills = [];
               vessel._passageBackfills.push(vessel.targetBridge);
-              this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true });
+              this._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true, inferredPassage: true });
             } else if (beyondTarget) {
               this._clearStaleTargetBeyond(vessel, bridge.name, dir);
             }
@@ -4433,7 +4569,9 @@ class VesselDataService extends EventEmitter {
         && this.app.gpsJumpGateService.shouldBlockPassageDetection(vessel.mmsi.toString(), vessel, bridge.name)) {
 
       // USE ENHANCED PASSAGE DETECTION: But register as candidate instead of confirming
-      const passageResult = geometry.detectBridgePassage(vessel, oldVessel, bridge);
+      const passageResult = geometry.detectBridgePassage(vessel, oldVessel, bridge, {
+        highBridge: STALLBACKABRON_SPECIAL.BRIDGE_NAME,
+      });
 
       if (passageResult.passed) {
         // GR2-4 (R2 2026-07-11): samma ruttordningsvalidering som
@@ -4461,7 +4599,9 @@ class VesselDataService extends EventEmitter {
     }
 
     // USE ENHANCED PASSAGE DETECTION: Normal detection when not gated
-    const passageResult = geometry.detectBridgePassage(vessel, oldVessel, bridge);
+    const passageResult = geometry.detectBridgePassage(vessel, oldVessel, bridge, {
+      highBridge: STALLBACKABRON_SPECIAL.BRIDGE_NAME,
+    });
 
     if (passageResult.passed) {
       // ROUTE ORDER VALIDATION: Check if this passage order makes sense for intermediate bridge
@@ -5008,7 +5148,7 @@ class VesselDataService extends EventEmitter {
   _scheduleProtectionTimeout(mmsi) {
     this._clearProtectionTimer(mmsi);
 
-    const timer = setTimeout(() => {
+    const timer = simulationClock.setTimeout(() => {
       this._deactivateProtection(mmsi, 'timeout');
     }, 300000); // 5 minutes maximum protection
 
@@ -5040,7 +5180,7 @@ class VesselDataService extends EventEmitter {
     }
 
     // Get Stallbackabron bridge from registry
-    const stallbackabron = this.bridgeRegistry.getBridgeByName('Stallbackabron');
+    const stallbackabron = this.bridgeRegistry.getBridgeByName(STALLBACKABRON_SPECIAL.BRIDGE_NAME);
     if (!stallbackabron || !Number.isFinite(stallbackabron.lat) || !Number.isFinite(stallbackabron.lon)) {
       this.logger.debug(`⚠️ [STALLBACKABRON_CHECK] ${vessel.mmsi}: Stallbackabron not found in registry`);
       return false;
@@ -5064,7 +5204,7 @@ class VesselDataService extends EventEmitter {
     // 3. Is under-bridge at Stallbackabron (though this should be rare)
     const isWithinApproachingRadius = distance <= constants.APPROACHING_RADIUS; // 500m
     const hasStallbackaStatus = vessel.status === 'stallbacka-waiting';
-    const isUnderStallbackabron = vessel.status === 'under-bridge' && vessel.currentBridge === 'Stallbackabron';
+    const isUnderStallbackabron = vessel.status === 'under-bridge' && vessel.currentBridge === stallbackabron.name;
 
     // Check if vessel has relevant status for bridge text
     const relevantStatuses = [
@@ -5285,11 +5425,12 @@ class VesselDataService extends EventEmitter {
    * @param {Object} vessel - Vessel object
    * @param {string} bridgeName - Bridge name
    * @param {number} crossingTimestamp - Timestamp of passage
+   * @param {{inferred?: boolean}} [options] - se _anchorPassageTimestamp
    * @returns {boolean} True if timestamp was anchored, false if already anchored
    * @public - Used by StatusService for passage deduplication
    */
-  anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp) {
-    return this._anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp);
+  anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp, options) {
+    return this._anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp, options);
   }
 
   /**
@@ -5312,7 +5453,7 @@ class VesselDataService extends EventEmitter {
     // B7-fix (2026-06-09): spåra timern så clearAllTimers/shutdown kan rensa
     // den — tidigare läckte dessa som öppna handles (synligt i Jest).
     if (!this._passageCleanupTimers) this._passageCleanupTimers = new Set();
-    const timer = setTimeout(() => {
+    const timer = simulationClock.setTimeout(() => {
       this.processedPassages.delete(passageId);
       this._passageCleanupTimers.delete(timer);
     }, 5 * 60 * 1000);
@@ -5324,8 +5465,12 @@ class VesselDataService extends EventEmitter {
    * @param {Object} vessel - Vessel object
    * @param {string} bridgeName - Bridge name
    * @param {number} crossingTimestamp - Actual crossing timestamp
+   * @param {Object} [options]
+   * @param {boolean} [options.inferred] - passagen är HÄRLEDD (AIS-gap/missad
+   *   målbro), inte observerad. Följer med i 'vessel:passed-bridge'.
+   * @returns {boolean} True if timestamp was anchored
    */
-  _anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp) {
+  _anchorPassageTimestamp(vessel, bridgeName, crossingTimestamp, { inferred = false } = {}) {
     if (!vessel.passedAt) vessel.passedAt = {};
 
     // Check for reverse re-cross guard
@@ -5340,6 +5485,17 @@ class VesselDataService extends EventEmitter {
 
     vessel.passedAt[bridgeName] = crossingTimestamp;
     this.logger.debug(`⚓ [ANCHOR_PASSAGE] ${vessel.mmsi}: Anchored ${bridgeName} crossing at ${new Date(crossingTimestamp).toISOString()}`);
+    // Ankringen är den enda punkt ALLA passagevägar (målbro, mellanbro,
+    // gate-bekräftelse, under-bro-exit, gap-inferens) går igenom, och bounce-
+    // vakten ovan har redan sållat studsar — därför signaleras passagen här
+    // och bara här. Lyssnaren (app.js) gör ingen produktlogik synkront.
+    this.emit('vessel:passed-bridge', {
+      mmsi: vessel.mmsi,
+      vessel,
+      bridge: bridgeName,
+      crossedAt: crossingTimestamp,
+      inferred: inferred === true,
+    });
     return true;
   }
 
@@ -5347,17 +5503,14 @@ class VesselDataService extends EventEmitter {
    * FIX U: Set force-waiting flag for close bridge pairs (Järnvägsbron ↔ Stridsbergsbron)
    * This ensures the "inväntar broöppning" phase is shown before "Broöppning pågår"
    * even when AIS updates skip the normal waiting zone distance.
+   * Paren är CLOSE_BRIDGE_PAIRS och gäller oavsett om parbron är mellanbro
+   * eller (befordrad) målbro.
    * @private
    * @param {Object} vessel - Vessel object
    * @param {string} passedBridgeName - Name of the bridge that was just passed
    */
   _setForceWaitingForCloseBridgePair(vessel, passedBridgeName, evidencedDir = null) {
-    const CLOSE_BRIDGE_PAIRS = {
-      Stridsbergsbron: 'Järnvägsbron',
-      Järnvägsbron: 'Stridsbergsbron',
-    };
-
-    const pairedBridge = CLOSE_BRIDGE_PAIRS[passedBridgeName];
+    const pairedBridge = constants.CLOSE_BRIDGE_PAIRS[passedBridgeName];
     if (pairedBridge) {
       // Fältprov 3 (2026-07-08, JUNO/SELENE/MAJALISA): parlogiken var
       // riktningsagnostisk — en SYDGÅENDE båt som passerar Järnvägsbron har
@@ -5437,7 +5590,7 @@ class VesselDataService extends EventEmitter {
     if (!this._gpsJumpHoldTimers) this._gpsJumpHoldTimers = new Map();
     const prevTimer = this._gpsJumpHoldTimers.get(mmsi);
     if (prevTimer) clearTimeout(prevTimer);
-    const timer = setTimeout(() => {
+    const timer = simulationClock.setTimeout(() => {
       this._gpsJumpHoldTimers.delete(mmsi);
       const current = this.gpsJumpHolds.get(mmsi);
       if (Number.isFinite(current) && Date.now() >= current) {
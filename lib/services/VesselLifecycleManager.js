@@ -19,16 +19,15 @@
  * through Olidebron and the Kanalinfarten trigger-point.
  */
 
-// 300 m south of Kanalinfarten (58.268 N) ≈ 58.2653 N. A southbound vessel
-// below this latitude has cleared the entire canal — safe to eliminate.
-const KANALINFARTEN_EXIT_LAT = 58.2653;
-
-// 300 m north of Stallbackabron (58.31143 N) ≈ 58.3141 N. A northbound vessel
-// above this latitude has cleared the entire canal — safe to eliminate.
-// Anomali 2 fix (2026-05-05): symmetri med söderut-checken. Utan denna kunde
-// en U-svängande båt elimineras felaktigt eftersom lastPassedBridge='Stallbackabron'
-// från en TIDIGARE södergående passage tolkades som "norr-ut completion".
-const STALLBACKABRON_EXIT_LAT = 58.3141;
+// Terminal bridges and exit latitudes come from the waterway profile
+// (WATERWAY_ENDS). Trollhättan: 300 m south of Kanalinfarten (58.268 N) ≈
+// 58.2653 N — a southbound vessel below it has cleared the entire canal; and
+// 300 m north of Stallbackabron (58.31143 N) ≈ 58.3141 N for northbound.
+// Anomali 2 fix (2026-05-05): norr-latituden ger symmetri med söderut-checken.
+// Utan den kunde en U-svängande båt elimineras felaktigt eftersom
+// lastPassedBridge='Stallbackabron' från en TIDIGARE södergående passage
+// tolkades som "norr-ut completion".
+const { WATERWAY_ENDS } = require('../constants');
 
 class VesselLifecycleManager {
   constructor(logger, bridgeRegistry) {
@@ -130,15 +129,15 @@ class VesselLifecycleManager {
       // Utan denna eliminerades AMELIA (265738190) felaktigt 14:23:40 efter
       // U-sväng vid Stridsbergsbron — lastPassedBridge='Stallbackabron' från
       // hennes TIDIGARE södergående passage tolkades som norrut-completion.
-      if (lastPassed !== 'Stallbackabron') return false;
+      if (lastPassed !== WATERWAY_ENDS.north.bridge) return false;
       if (!Number.isFinite(vessel.lat)) return false;
-      return vessel.lat > STALLBACKABRON_EXIT_LAT;
+      return vessel.lat > WATERWAY_ENDS.north.exitLat;
     }
     // Southbound — Olidebron must be passed AND vessel must have exited
     // the Kanalinfarten trigger zone (300m south of trigger point).
-    if (lastPassed !== 'Olidebron') return false;
+    if (lastPassed !== WATERWAY_ENDS.south.bridge) return false;
     if (!Number.isFinite(vessel.lat)) return false;
-    return vessel.lat < KANALINFARTEN_EXIT_LAT;
+    return vessel.lat < WATERWAY_ENDS.south.exitLat;
   }
 
   /**
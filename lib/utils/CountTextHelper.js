@@ -1,19 +1,23 @@
 'use strict';
 
+const { getStrings } = require('./bridgeTextLocale');
+
 /**
- * CountTextHelper - Shared utility for Swedish number-to-text conversion
- * Single source of truth for count text (used by BridgeTextService)
+ * CountTextHelper - Shared utility for number-to-text conversion
+ * Single source of truth for count text (used by BridgeTextService).
+ * Räkneorden bor i språktabellen (bridgeTextLocale); svenska är default.
  */
 class CountTextHelper {
   /**
-   * Convert number to Swedish text representation
+   * Convert number to text representation
    * @param {number} count - Number to convert (1-10 supported)
    * @param {Object} options - Formatting options
    * @param {boolean} options.lowercase - Return lowercase text (default: false)
-   * @returns {string} Swedish text representation
+   * @param {string} options.locale - 'sv' (default) | 'en'
+   * @returns {string} Text representation
    */
   static getCountText(count, options = {}) {
-    const { lowercase = false } = options;
+    const { lowercase = false, locale } = options;
 
     // Defensiv null-guard: null/undefined/NaN kraschade tidigare på
     // count.toString(). Returnera '0' som säkert fallback (ingen loggning —
@@ -23,20 +27,9 @@ class CountTextHelper {
       return '0';
     }
 
-    const textNumbers = {
-      1: 'En',
-      2: 'Två',
-      3: 'Tre',
-      4: 'Fyra',
-      5: 'Fem',
-      6: 'Sex',
-      7: 'Sju',
-      8: 'Åtta',
-      9: 'Nio',
-      10: 'Tio',
-    };
-
-    let text = textNumbers[count] || count.toString();
+    const { countWords } = getStrings(locale);
+
+    let text = countWords[count] || count.toString();
 
     if (lowercase && typeof text === 'string') {
       text = text.toLowerCase();
@@ -30,10 +30,16 @@
  *    new Date(str) (implementationsberoende). Oparsbar TIME ⇒ posten släpps
  *    och räknas (timeParseFail) — klienten larmar när ALLT faller 3 svep i rad.
  *
+ *  - Statiska fält (IMO, CALLSIGN, TYPE, A-D, DRAUGHT, DEST) normaliseras
+ *    via staticData och levereras SEPARAT i staticByMmsi — positionsposten
+ *    behåller exakt AISStreamClient-formen.
+ *
  * Parsern använder ALDRIG Date.now() — mottagningstid stämplas av klienten
  * vid emission (klockdomänsinvarianten: fixTs är domän F, timestamp domän M).
  */
 
+const { normalizeStaticData } = require('./staticData');
+
 // Tolerant: "YYYY-MM-DD HH:MM:SS" med valfritt T-separator och GMT/UTC/Z-suffix.
 const TIME_RE = /^\s*(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})\s*(?:GMT|UTC|Z)?\s*$/;
 const UNIX_SECONDS_RE = /^\d{9,10}$/;
@@ -76,18 +82,22 @@ function parseTimeToMs(raw) {
 }
 
 /**
- * Normalisera en råpost till exakt samma form som AISStreamClient emittar
- * (plus fixTs/fixFeed/fixTsQuality). Returnerar { record } eller { drop }.
- * @private
+ * Sentinelnormaliseringen, fri från AISHubs fältnamn: kanoniska råvärden in,
+ * AISStreamClient-formen (utan msgType/fixFeed/fixTsQuality) ut. Delas med
+ * jsonFeedParser så varje pollad källa får EXAKT samma sentinelregler.
+ * Kontrollordningen (och därmed vilken räknare en post faller på) är
+ * mmsi → position → 0,0-sentinel → fixtid.
+ *
+ * @param {{mmsi: *, lat: *, lon: *, sog: *, cog: *, navStatus: *,
+ *          shipName: *, fixTs: number|null}} fields - råvärden; fixTs redan
+ *        tolkad av anroparen (null = oparsbar)
+ * @param {object} stats - räknarobjekt (invalidMmsi, invalidPosition,
+ *        sentinelPos, timeParseFail) som muteras
+ * @returns {object|null} normaliserad post, eller null om den släpps
  */
-function normalizeRecord(raw, stats) {
-  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
-    stats.invalidRecord++;
-    return null;
-  }
-
+function normalizePosition(fields, stats) {
   // MMSI: numeriskt och >= 1 FÖRE strängifiering (V2-M6).
-  const mmsiNum = Number(raw.MMSI);
+  const mmsiNum = Number(fields.mmsi);
   if (!Number.isInteger(mmsiNum) || mmsiNum < 1) {
     stats.invalidMmsi++;
     return null;
@@ -98,8 +108,8 @@ function normalizeRecord(raw, stats) {
   // lat 0 = ekvatorn). Saknat fält ⇒ NaN ⇒ null/drop.
   const num = (v) => (v == null ? NaN : Number(v));
 
-  const lat = num(raw.LATITUDE);
-  const lon = num(raw.LONGITUDE);
+  const lat = num(fields.lat);
+  const lon = num(fields.lon);
   if (!Number.isFinite(lat) || !Number.isFinite(lon)
       || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
     stats.invalidPosition++;
@@ -112,36 +122,35 @@ function normalizeRecord(raw, stats) {
     return null;
   }
 
-  const fixTs = parseTimeToMs(raw.TIME);
-  if (fixTs === null) {
+  const { fixTs } = fields;
+  if (!Number.isFinite(fixTs)) {
     stats.timeParseFail++;
     return null;
   }
 
   // SOG-sentinel: 102.4 = "ej tillgänglig" (format=1-skalan). Samma gräns
   // >= 102.15 som AISStreamClient (täcker även 102.2 "eller mer").
-  const sogNum = num(raw.SOG);
+  const sogNum = num(fields.sog);
   let sog = Number.isFinite(sogNum) ? sogNum : null;
   if (sog !== null && sog >= 102.15) sog = null;
 
   // COG-sentinel: 360 = "kurs ej tillgänglig" (aldrig fabricerad nordkurs).
-  const cogNum = num(raw.COG);
+  const cogNum = num(fields.cog);
   let cog = Number.isFinite(cogNum) ? cogNum : null;
   if (cog === 360) cog = null;
 
   // NAVSTAT: 0-14 är semantiska statusar; 15 = "undefined" (AIS-spec) och
   // allt utanför intervallet → null så ett känt 1/5 aldrig skrivs över.
-  const navNum = num(raw.NAVSTAT);
+  const navNum = num(fields.navStatus);
   const navStatus = Number.isInteger(navNum) && navNum >= 0 && navNum <= 14
     ? navNum
     : null;
 
   // NAME max 20 tecken, @-fyllnad förekommer i rå AIS — trimma defensivt.
-  const shipName = String(raw.NAME ?? '').replace(/@/g, ' ').trim() || 'Unknown';
+  const shipName = String(fields.shipName ?? '').replace(/@/g, ' ').trim() || 'Unknown';
 
   return {
     mmsi: String(mmsiNum),
-    msgType: 'AISHubPosition',
     lat,
     lon,
     sog,
@@ -149,6 +158,42 @@ function normalizeRecord(raw, stats) {
     navStatus,
     shipName,
     fixTs,
+  };
+}
+
+/**
+ * Normalisera en råpost till exakt samma form som AISStreamClient emittar
+ * (plus fixTs/fixFeed/fixTsQuality). Returnerar posten eller null.
+ * @private
+ */
+function normalizeRecord(raw, stats) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    stats.invalidRecord++;
+    return null;
+  }
+  // TIME tolkas här men KONTROLLERAS efter positionen (räknarordningen).
+  const pos = normalizePosition({
+    mmsi: raw.MMSI,
+    lat: raw.LATITUDE,
+    lon: raw.LONGITUDE,
+    sog: raw.SOG,
+    cog: raw.COG,
+    navStatus: raw.NAVSTAT,
+    shipName: raw.NAME,
+    fixTs: parseTimeToMs(raw.TIME),
+  }, stats);
+  if (!pos) return null;
+
+  return {
+    mmsi: pos.mmsi,
+    msgType: 'AISHubPosition',
+    lat: pos.lat,
+    lon: pos.lon,
+    sog: pos.sog,
+    cog: pos.cog,
+    navStatus: pos.navStatus,
+    shipName: pos.shipName,
+    fixTs: pos.fixTs,
     fixFeed: 'aishub',
     fixTsQuality: 'true-fix',
     // OBS: ingen timestamp här — mottagningstid (domän M) stämplas av
@@ -166,6 +211,7 @@ function normalizeRecord(raw, stats) {
  *   errorMessage: string|null,
  *   meta: object|null,
  *   records: Array<object>,
+ *   staticByMmsi: Object<string, object>,
  *   stats: object,
  * }}
  */
@@ -186,6 +232,7 @@ function parseEnvelope(body) {
     errorMessage: null,
     meta: null,
     records: [],
+    staticByMmsi: {},
     stats,
     ...extra,
   });
@@ -238,17 +285,31 @@ function parseEnvelope(body) {
   }
 
   const records = [];
+  const staticByMmsi = {};
   for (const raw of rawRecords) {
     const rec = normalizeRecord(raw, stats);
-    if (rec) records.push(rec);
+    if (!rec) continue;
+    records.push(rec);
+    const staticData = normalizeStaticData({
+      shipType: raw.TYPE,
+      dimensions: {
+        toBow: raw.A, toStern: raw.B, toPort: raw.C, toStarboard: raw.D,
+      },
+      draught: raw.DRAUGHT,
+      destination: raw.DEST,
+      callSign: raw.CALLSIGN,
+      imo: raw.IMO,
+    });
+    if (staticData) staticByMmsi[rec.mmsi] = staticData;
   }
   stats.accepted = records.length;
 
-  return result('data', { meta, records });
+  return result('data', { meta, records, staticByMmsi });
 }
 
 module.exports = {
   parseEnvelope,
   parseTimeToMs,
+  normalizePosition,
   isErrorFlagSet,
 };
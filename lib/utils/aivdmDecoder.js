@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * aivdmDecoder - Ren, sidoeffektsfri avkodning av NMEA 0183 AIVDM-meningar
+ * (ITU-R M.1371 6-bitars nyttolast) från en lokal mottagare (dAISy/RTL-SDR).
+ *
+ * KONTRAKT:
+ *   Mening:   [\TAG-block\]!AIVDM,<antal>,<nr>,<seqId>,<kanal>,<nyttolast>,<fyllbitar>*<hh>
+ *   Checksum: XOR av alla tecken mellan '!' och '*' (två hex-siffror).
+ *   Typer:    1/2/3 (Class A position), 5 (statisk, oftast två fragment),
+ *             18/19 (Class B position, 19 bär även namn), 24 (Class B
+ *             statisk, del A = namn, del B = typ/anropssignal/mått).
+ *
+ * DESIGNREGLER (paritet med aishubParser/AISStreamClient):
+ *  - Checksumman kontrolleras FÖRE allt annat — en trasig mening kastas hel,
+ *    aldrig "delvis avkodad".
+ *  - Sentinelparitet (osynliga-båtar-klassen): rå-SOG 1023 (och ≥ 102.2 kn)
+ *    → null, COG 3600 → null, navStatus 15 → null (AIS "undefined" får
+ *    ALDRIG skriva över ett känt 1/5), lat 91/lon 181 → positionen släpps,
+ *    0,0 (Guineabukten-artefakten) → positionen släpps.
+ *  - MMSI valideras NUMERISKT före strängifiering (MMSI 0 får inte bli
+ *    strängen "0" som passerar appens MMSI-kontroll).
+ *  - Fragmentsammansättningen bor i klienten (den kräver state); här finns
+ *    bara den rena byggstenen decodePayload(nyttolast, fyllbitar).
+ *
+ * Dekodern använder ALDRIG Date.now() — mottagningstid stämplas av klienten.
+ */
+
+const SENTENCE_RE = /^[!$]([A-Z]{2})VDM,(\d),(\d),(\d?),([A-Z0-9]?),([0-9:;<=>?@A-W`a-w]*),([0-5])\*([0-9A-Fa-f]{2})$/;
+
+// 6-bitars textalfabetet (ITU-R M.1371 tabell 47).
+const SIXBIT_TEXT = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+
+const POSITION_TYPES = new Set([1, 2, 3, 18, 19]);
+
+// Samma typnamn som aisstream levererar — nedströms ska inte behöva veta
+// vilken källa som avkodade rapporten.
+const MSG_TYPE_NAMES = {
+  1: 'PositionReport',
+  2: 'PositionReport',
+  3: 'PositionReport',
+  5: 'ShipStaticData',
+  18: 'StandardClassBPositionReport',
+  19: 'ExtendedClassBPositionReport',
+  24: 'StaticDataReport',
+};
+
+/**
+ * XOR-checksumman för en mening (utan TAG-block).
+ * @param {string} sentence - Hela meningen inklusive '!' och '*hh'
+ * @returns {boolean} true om checksumman stämmer
+ */
+function verifyChecksum(sentence) {
+  const star = sentence.lastIndexOf('*');
+  if (sentence.length < 4 || star < 1 || star + 3 !== sentence.length) return false;
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+  return sum === parseInt(sentence.slice(star + 1), 16);
+}
+
+/**
+ * Plocka isär en rad till fragmentfält. TAG-block (NMEA 4.0, "\c:…*hh\")
+ * skalas bort — mottagningstiden stämplas ändå av klienten.
+ * @param {string} line - En rad från mottagaren (utan radslut)
+ * @returns {{ok: true, sentence: object}|{ok: false, reason: string}}
+ *   reason ∈ 'not_vdm' | 'checksum' | 'malformed'
+ */
+function parseSentence(line) {
+  let s = String(line || '').trim();
+  if (s.startsWith('\\')) {
+    const end = s.indexOf('\\', 1);
+    if (end < 0) return { ok: false, reason: 'malformed' };
+    s = s.slice(end + 1);
+  }
+  if (!/^[!$][A-Z]{2}VDM,/.test(s)) return { ok: false, reason: 'not_vdm' };
+  if (!verifyChecksum(s)) return { ok: false, reason: 'checksum' };
+  const m = SENTENCE_RE.exec(s);
+  if (!m) return { ok: false, reason: 'malformed' };
+  const fragCount = Number(m[2]);
+  const fragNum = Number(m[3]);
+  if (fragCount < 1 || fragNum < 1 || fragNum > fragCount) {
+    return { ok: false, reason: 'malformed' };
+  }
+  return {
+    ok: true,
+    sentence: {
+      talker: m[1],
+      fragCount,
+      fragNum,
+      seqId: m[4],
+      channel: m[5],
+      payload: m[6],
+      fillBits: Number(m[7]),
+    },
+  };
+}
+
+/**
+ * Nyttolast → bitsträng ('0'/'1'). Enkel och läsbar framför snabb: en
+ * kanalmottagare levererar några meningar i sekunden.
+ * @private
+ */
+function toBits(payload, fillBits) {
+  let bits = '';
+  for (let i = 0; i < payload.length; i++) {
+    let v = payload.charCodeAt(i) - 48;
+    if (v > 40) v -= 8;
+    bits += v.toString(2).padStart(6, '0');
+  }
+  return fillBits > 0 ? bits.slice(0, bits.length - fillBits) : bits;
+}
+
+/** @private */
+function uint(bits, start, len) {
+  if (start + len > bits.length) return null;
+  return parseInt(bits.substr(start, len), 2);
+}
+
+/** @private */
+function int(bits, start, len) {
+  const v = uint(bits, start, len);
+  if (v === null) return null;
+  return v >= 2 ** (len - 1) ? v - 2 ** len : v;
+}
+
+/** @private */
+function text(bits, start, len) {
+  let out = '';
+  for (let i = 0; i + 6 <= len && start + i + 6 <= bits.length; i += 6) {
+    out += SIXBIT_TEXT[parseInt(bits.substr(start + i, 6), 2)];
+  }
+  // '@' är utfyllnad; blanksteg i slutet likaså.
+  return out.replace(/@.*$/, '').trim();
+}
+
+/** @private */
+function mmsiOf(bits) {
+  const v = uint(bits, 8, 30);
+  // Numerisk validering FÖRE strängifiering (aishubParser-pariteten).
+  return Number.isInteger(v) && v > 0 ? String(v) : null;
+}
+
+/**
+ * Lat/lon i 1/10000 minut → grader, med sentinelerna 91/181 → null och
+ * Guineabukten-artefakten 0,0 → null (hela positionen släpps).
+ * @private
+ */
+function position(rawLon, rawLat) {
+  if (rawLon === null || rawLat === null) return null;
+  const lon = rawLon / 600000;
+  const lat = rawLat / 600000;
+  if (Math.abs(lon) > 180 || Math.abs(lat) > 90) return null;
+  if (lat === 0 && lon === 0) return null;
+  return { lat, lon };
+}
+
+/** @private */
+function sogOf(raw) {
+  if (raw === null || raw >= 1022) return null; // 1023 = ej tillgänglig, 1022 = ≥102.2 kn
+  return raw / 10;
+}
+
+/** @private */
+function cogOf(raw) {
+  if (raw === null || raw >= 3600) return null;
+  return raw / 10;
+}
+
+/** @private */
+function dimensions(bits, start) {
+  return {
+    toBow: uint(bits, start, 9),
+    toStern: uint(bits, start + 9, 9),
+    toPort: uint(bits, start + 18, 6),
+    toStarboard: uint(bits, start + 24, 6),
+  };
+}
+
+/**
+ * Avkoda en (sammansatt) nyttolast.
+ * @param {string} payload - Hela 6-bitars-nyttolasten (alla fragment i följd)
+ * @param {number} fillBits - Fyllbitar från SISTA fragmentet
+ * @returns {{ok: true, report: object}|{ok: false, reason: string}}
+ *   report.kind 'position' bär {mmsi,msgType,aisType,lat,lon,sog,cog,
+ *   navStatus,heading,shipName?}; report.kind 'static' bär {mmsi,msgType,
+ *   aisType,shipName?,callSign?,imo?,shipType?,dimensions?,draught?,
+ *   destination?}. reason ∈ 'unsupported_type' | 'short_payload' |
+ *   'invalid_mmsi' | 'sentinel_position'
+ */
+function decodePayload(payload, fillBits = 0) {
+  const bits = toBits(String(payload || ''), fillBits);
+  const type = uint(bits, 0, 6);
+  if (!MSG_TYPE_NAMES[type]) return { ok: false, reason: 'unsupported_type' };
+
+  const minBits = {
+    1: 168, 2: 168, 3: 168, 5: 420, 18: 168, 19: 312, 24: 160,
+  }[type];
+  if (bits.length < minBits) return { ok: false, reason: 'short_payload' };
+
+  const mmsi = mmsiOf(bits);
+  if (!mmsi) return { ok: false, reason: 'invalid_mmsi' };
+  const base = { mmsi, msgType: MSG_TYPE_NAMES[type], aisType: type };
+
+  if (POSITION_TYPES.has(type)) {
+    const classA = type <= 3;
+    // Class A: navStatus 38-41, SOG 50, lon 61, lat 89, COG 116, heading 128.
+    // Class B (18/19): ingen navStatus, SOG 46, lon 57, lat 85, COG 112, heading 124.
+    const o = classA ? 4 : 0;
+    const pos = position(int(bits, 57 + o, 28), int(bits, 85 + o, 27));
+    if (!pos) return { ok: false, reason: 'sentinel_position' };
+    const rawNav = classA ? uint(bits, 38, 4) : null;
+    const rawHeading = uint(bits, 124 + o, 9);
+    const report = {
+      kind: 'position',
+      ...base,
+      lat: pos.lat,
+      lon: pos.lon,
+      sog: sogOf(uint(bits, 46 + o, 10)),
+      cog: cogOf(uint(bits, 112 + o, 12)),
+      navStatus: rawNav !== null && rawNav <= 14 ? rawNav : null,
+      heading: rawHeading !== null && rawHeading < 360 ? rawHeading : null,
+    };
+    if (type === 19) {
+      report.shipName = text(bits, 143, 120) || null;
+      report.shipType = uint(bits, 263, 8) || null;
+      report.dimensions = dimensions(bits, 271);
+    }
+    return { ok: true, report };
+  }
+
+  if (type === 5) {
+    const draught = uint(bits, 294, 8);
+    return {
+      ok: true,
+      report: {
+        kind: 'static',
+        ...base,
+        imo: uint(bits, 40, 30) || null,
+        callSign: text(bits, 70, 42) || null,
+        shipName: text(bits, 112, 120) || null,
+        shipType: uint(bits, 232, 8) || null,
+        dimensions: dimensions(bits, 240),
+        draught: draught ? draught / 10 : null,
+        destination: text(bits, 302, 120) || null,
+      },
+    };
+  }
+
+  // type === 24: del A (namn) eller del B (typ, anropssignal, mått).
+  const part = uint(bits, 38, 2);
+  if (part === 0) {
+    return {
+      ok: true,
+      report: {
+        kind: 'static', ...base, part: 'A', shipName: text(bits, 40, 120) || null,
+      },
+    };
+  }
+  if (part === 1 && bits.length >= 162) {
+    return {
+      ok: true,
+      report: {
+        kind: 'static',
+        ...base,
+        part: 'B',
+        shipType: uint(bits, 40, 8) || null,
+        callSign: text(bits, 90, 42) || null,
+        dimensions: dimensions(bits, 132),
+      },
+    };
+  }
+  return { ok: false, reason: 'short_payload' };
+}
+
+module.exports = {
+  verifyChecksum,
+  parseSentence,
+  decodePayload,
+  MSG_TYPE_NAMES,
+};
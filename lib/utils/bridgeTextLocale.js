@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * bridgeTextLocale — språktabellerna för bridge_text.
+ *
+ * SVENSKA ÄR KANONISK. Hela publiceringsbanan i app.js (hash-dedup,
+ * DEFAULT-/stale-jämförelser, count-validatorn som parsar texten, fallback-
+ * texterna, replay-invarianterna) arbetar på den svenska texten. Andra språk
+ * renderas först vid PUBLICERINGSGRÄNSEN (bridge_text-capabilityn och den
+ * globala token) via translateBridgeText — så ingen av pipelinens vakter
+ * behöver känna till språket.
+ *
+ * Grammatiken bor på ETT ställe: BridgeTextService/CountTextHelper/
+ * formatETABroOpeningClause renderar med samma tabell som översättaren, så
+ *   translateBridgeText(generateBridgeText(v), 'en') === generateBridgeText(v, { locale: 'en' })
+ * gäller för varje Variant-1-text (semikolonordning, ledbåtens ETA och
+ * imminent-override följer med oförändrade — bara orden byts).
+ *
+ * Bronamnen är egennamn och översätts aldrig.
+ */
+
+const { TARGET_BRIDGES } = require('../constants');
+
+const DEFAULT_LOCALE = 'sv';
+const SUPPORTED_LOCALES = ['sv', 'en'];
+
+/** "A", "A eller B", "A, B eller C" — bronamnen i farledens ordning. */
+const joinNames = (names, conjunction) => (names.length > 1
+  ? `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}`
+  : names.join(''));
+
+const STRINGS = {
+  sv: {
+    countWords: ['', 'En', 'Två', 'Tre', 'Fyra', 'Fem', 'Sex', 'Sju', 'Åtta', 'Nio', 'Tio'],
+    boat: (n) => (n === 1 ? 'båt' : 'båtar'),
+    headingFor: (countWord, boatWord, bridge) => `${countWord} ${boatWord} på väg mot ${bridge}`,
+    etaImminent: 'beräknad broöppning strax',
+    etaUnknown: 'ETA okänd',
+    etaMinutes: (n) => `beräknad broöppning om ${n} ${n === 1 ? 'minut' : 'minuter'}`,
+    etaApproxMinutes: (n) => `beräknad broöppning om cirka ${n} ${n === 1 ? 'minut' : 'minuter'}`,
+    // Intervalläget (bridge_text_eta_range): p10–p90 kring ledbåtens ETA.
+    etaRangeMinutes: (lo, hi) => `beräknad broöppning om ${lo}–${hi} minuter`,
+    // Öppningen skjuten till spärrfönstrets slut (BridgeRestrictionService).
+    deferredSuffix: ' (uppskjuten av öppningsrestriktion)',
+    // Standardtexten nämner de AKTIVA målbroarna (profil + befordran —
+    // TARGET_BRIDGES skrivs om på plats), så den läses vid varje anrop.
+    noBoatsNear: (names) => `Inga båtar är i närheten av ${joinNames(names, 'eller')}`,
+    get defaultMessage() {
+      return this.noBoatsNear(TARGET_BRIDGES);
+    },
+    staleMessage: 'AIS-anslutning saknas — data kan vara inaktuell',
+    // Nödfallbackens beskrivande former (app.js _generateSafeFallbackText)
+    oneBoatFrom: (meters, bridge) => `En båt ${meters}m från ${bridge}`,
+    oneBoatNear: (place) => `En båt är i närheten av ${place}`,
+    boatsNear: (n, place) => `${n} båtar är i närheten av ${place}`,
+    theBridges: 'broarna',
+    northbound: ' (nordgående)',
+    southbound: ' (sydgående)',
+  },
+  en: {
+    countWords: ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten'],
+    boat: (n) => (n === 1 ? 'boat' : 'boats'),
+    headingFor: (countWord, boatWord, bridge) => `${countWord} ${boatWord} heading for ${bridge}`,
+    etaImminent: 'bridge opening expected shortly',
+    etaUnknown: 'ETA unknown',
+    etaMinutes: (n) => `bridge opening expected in ${n} ${n === 1 ? 'minute' : 'minutes'}`,
+    etaApproxMinutes: (n) => `bridge opening expected in about ${n} ${n === 1 ? 'minute' : 'minutes'}`,
+    etaRangeMinutes: (lo, hi) => `bridge opening expected in ${lo}–${hi} minutes`,
+    deferredSuffix: ' (deferred by opening restriction)',
+    noBoatsNear: (names) => `No boats near ${joinNames(names, 'or')}`,
+    get defaultMessage() {
+      return this.noBoatsNear(TARGET_BRIDGES);
+    },
+    staleMessage: 'AIS connection lost — data may be out of date',
+    oneBoatFrom: (meters, bridge) => `One boat ${meters} m from ${bridge}`,
+    oneBoatNear: (place) => `One boat near ${place}`,
+    boatsNear: (n, place) => `${n} boats near ${place}`,
+    theBridges: 'the bridges',
+    northbound: ' (northbound)',
+    southbound: ' (southbound)',
+  },
+};
+
+/**
+ * Språktabell för ett locale (okänt → svenska).
+ * @param {string} [locale]
+ * @returns {object}
+ */
+function getStrings(locale) {
+  return STRINGS[locale] || STRINGS[DEFAULT_LOCALE];
+}
+
+/**
+ * Välj textspråk: ett explicit val i inställningarna vinner; 'auto' (eller
+ * inget val) följer Homeys systemspråk — svenska för 'sv', engelska för
+ * alla andra språk. Okänt systemspråk (t.ex. i tester) → svenska, dagens
+ * beteende.
+ * @param {string|null} setting - 'auto' | 'sv' | 'en'
+ * @param {string|null} systemLanguage - homey.i18n.getLanguage()
+ * @returns {string} Ett av SUPPORTED_LOCALES
+ */
+function resolveLocale(setting, systemLanguage) {
+  if (SUPPORTED_LOCALES.includes(setting)) return setting;
+  if (typeof systemLanguage !== 'string' || systemLanguage.length === 0) return DEFAULT_LOCALE;
+  return systemLanguage.toLowerCase().startsWith('sv') ? 'sv' : 'en';
+}
+
+/** @private */
+function parseCount(word, sv) {
+  const index = sv.countWords.indexOf(word);
+  if (index > 0) return index;
+  return /^\d+$/.test(word) ? Number(word) : null;
+}
+
+/**
+ * Tolka en svensk ETA-klausul till { kind, n }.
+ * @private
+ */
+function parseClause(clause, sv) {
+  if (clause.endsWith(sv.deferredSuffix)) {
+    const parsed = parseClause(clause.slice(0, -sv.deferredSuffix.length), sv);
+    return parsed ? { ...parsed, deferred: true } : null;
+  }
+  if (clause === sv.etaImminent) return { kind: 'imminent' };
+  if (clause === sv.etaUnknown) return { kind: 'unknown' };
+  let m = /^beräknad broöppning om cirka (\d+) minuter?$/.exec(clause);
+  if (m) return { kind: 'approx', n: Number(m[1]) };
+  m = /^beräknad broöppning om (\d+)–(\d+) minuter$/.exec(clause);
+  if (m) return { kind: 'range', lo: Number(m[1]), hi: Number(m[2]) };
+  m = /^beräknad broöppning om (\d+) minuter?$/.exec(clause);
+  if (m) return { kind: 'minutes', n: Number(m[1]) };
+  return null;
+}
+
+/** @private */
+function renderClause(parsed, t) {
+  const suffix = parsed.deferred ? t.deferredSuffix : '';
+  if (parsed.kind === 'imminent') return `${t.etaImminent}${suffix}`;
+  if (parsed.kind === 'unknown') return t.etaUnknown;
+  if (parsed.kind === 'approx') return `${t.etaApproxMinutes(parsed.n)}${suffix}`;
+  if (parsed.kind === 'range') return `${t.etaRangeMinutes(parsed.lo, parsed.hi)}${suffix}`;
+  return `${t.etaMinutes(parsed.n)}${suffix}`;
+}
+
+/** @private */
+function translateDirection(suffix, sv, t) {
+  if (!suffix) return '';
+  return suffix === sv.northbound ? t.northbound : t.southbound;
+}
+
+/** @private */
+function translatePlace(place, sv, t) {
+  return place === sv.theBridges ? t.theBridges : place;
+}
+
+/**
+ * Översätt EN fras (mellan semikolonen). null = okänd form.
+ * @private
+ */
+function translatePhrase(phrase, sv, t) {
+  let m = /^(\S+) (båt|båtar) på väg mot (.+?), (.+)$/.exec(phrase);
+  if (m) {
+    const count = parseCount(m[1], sv);
+    const clause = parseClause(m[4], sv);
+    if (count === null || clause === null) return null;
+    const countWord = t.countWords[count] || String(count);
+    return `${t.headingFor(countWord, t.boat(count), m[3])}, ${renderClause(clause, t)}`;
+  }
+
+  m = /^En båt (\d+)m från (.+?)( \((?:nordgående|sydgående)\))?(?:, (.+))?$/.exec(phrase);
+  if (m) {
+    const clause = m[4] !== undefined ? parseClause(m[4], sv) : null;
+    if (m[4] !== undefined && clause === null) return null;
+    const etaSuffix = clause ? `, ${renderClause(clause, t)}` : '';
+    return `${t.oneBoatFrom(m[1], m[2])}${translateDirection(m[3], sv, t)}${etaSuffix}`;
+  }
+
+  m = /^En båt är i närheten av (.+?)( \((?:nordgående|sydgående)\))?$/.exec(phrase);
+  if (m) {
+    return `${t.oneBoatNear(translatePlace(m[1], sv, t))}${translateDirection(m[2], sv, t)}`;
+  }
+
+  m = /^(\d+) båtar är i närheten av (.+)$/.exec(phrase);
+  if (m) return t.boatsNear(Number(m[1]), translatePlace(m[2], sv, t));
+
+  return null;
+}
+
+/**
+ * Översätt en kanonisk (svensk) bridge_text till publiceringsspråket. Texter
+ * utanför den kända grammatiken lämnas OÖVERSATTA — en svensk text är
+ * bättre än en trasig halvöversättning.
+ * @param {string} text - Kanonisk svensk text
+ * @param {string} locale - Ett av SUPPORTED_LOCALES
+ * @returns {string}
+ */
+function translateBridgeText(text, locale) {
+  if (typeof text !== 'string' || !locale || locale === DEFAULT_LOCALE) return text;
+  const t = STRINGS[locale];
+  if (!t) return text;
+  const sv = STRINGS[DEFAULT_LOCALE];
+
+  if (text === sv.defaultMessage) return t.defaultMessage;
+  if (text === sv.staleMessage) return t.staleMessage;
+
+  const phrases = text.split('; ');
+  const translated = phrases.map((phrase) => translatePhrase(phrase, sv, t));
+  if (translated.some((phrase) => phrase === null)) return text;
+  return translated.join('; ');
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  getStrings,
+  resolveLocale,
+  translateBridgeText,
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { getStrings } = require('./bridgeTextLocale');
+
 /**
  * ETA Validation Utilities
  * Centralized validation logic for ETA values to prevent duplicated code
@@ -113,19 +115,42 @@ function isValidDistance(distance) {
  * The ETA pipeline is trustworthy after Fix #3 and Fix #6 from earlier
  * commits, so extreme values accurately describe slow/stationary vessels.
  *
+ * Språk: options.locale ('sv' default, 'en') väljer ordtabell i
+ * bridgeTextLocale — trösklarna ovan är språkoberoende.
+ *
+ * options.deferred: öppningen är skjuten av en öppningsrestriktion —
+ * klausulen får suffixet " (uppskjuten av öppningsrestriktion)".
+ *
+ * options.range: ETA-intervallet {p10, p90} (calculateETAInterval) ⇒
+ * "om 4–7 minuter" i stället för en siffra (intervalläget, inställningen
+ * bridge_text_eta_range). Gäller bara ≥ 3 min; "strax" och "ETA okänd" är
+ * oförändrade, och intervallet ersätter även "cirka" — datats ålder ingår
+ * redan i spridningen. Ett intervall som avrundas till en siffra visas som
+ * vanligt.
+ *
  * @param {number|null|undefined} etaMinutes
- * @returns {string} Swedish clause without trailing punctuation
+ * @param {{extrapolated?: boolean, imminent?: boolean, deferred?: boolean, locale?: string,
+ *   range?: {p10: number, p90: number}|null}} [options]
+ * @returns {string} Clause without trailing punctuation
  */
 function formatETABroOpeningClause(etaMinutes, options = {}) {
+  const t = getStrings(options && options.locale);
+  // Öppningsrestriktion: ETA:n är redan skjuten till spärrfönstrets slut —
+  // klausulen säger det, och imminent-overriden gäller inte (båten vid bron
+  // väntar på fönstret, inte på en öppning "strax").
+  if (options && options.deferred === true && isValidETA(etaMinutes)) {
+    const { deferred, imminent, ...rest } = options;
+    return `${formatETABroOpeningClause(etaMinutes, rest)}${t.deferredSuffix}`;
+  }
   // Fix H (2026-04-28): imminent-override tvingar "strax" när BridgeTextService
   // signalerar att vessel är inom 300m från målbro. Fångar fall där ETA<3-zonen
   // missas (snabb passage, stillastående/saktande båt). Sätts BARA av app.js
   // efter skydd: targetBridge satt, AIS färsk, ej GPS-jump-hold.
   if (options && options.imminent === true) {
-    return 'beräknad broöppning strax';
+    return t.etaImminent;
   }
   if (!isValidETA(etaMinutes)) {
-    return 'ETA okänd';
+    return t.etaUnknown;
   }
   if (etaMinutes < 3) {
     // 11h-körningen (2026-07-02): en EXTRAPOLERAD siffra som räknat ner in
@@ -135,21 +160,27 @@ function formatETABroOpeningClause(etaMinutes, options = {}) {
     // färsk data/imminent/exhausted; extrapolationen säger ärligt "cirka".
     // (Exhausted-vägen går via imminent-flaggan ovan och behåller strax.)
     if (options && options.extrapolated === true) {
-      return 'beräknad broöppning om cirka 2 minuter';
+      return t.etaApproxMinutes(2);
     }
-    return 'beräknad broöppning strax';
+    return t.etaImminent;
   }
   const rounded = Math.round(etaMinutes);
   if (rounded <= 0) {
     // Defensive — should be unreachable since ETA<3 is handled above
-    return 'beräknad broöppning strax';
+    return t.etaImminent;
+  }
+  const range = options && options.range;
+  if (range && Number.isFinite(range.p10) && Number.isFinite(range.p90)) {
+    const lo = Math.max(1, Math.min(rounded, Math.round(range.p10)));
+    const hi = Math.max(rounded, Math.round(range.p90));
+    if (lo < hi) return t.etaRangeMinutes(lo, hi);
   }
   // Fix G (2026-04-28): vid extrapolation från äldre AIS (5–10 min stale)
   // markeras siffran som "cirka" så bilförare förstår att den är ungefärlig.
   if (options && options.extrapolated === true) {
-    return `beräknad broöppning om cirka ${rounded} minuter`;
+    return t.etaApproxMinutes(rounded);
   }
-  return `beräknad broöppning om ${rounded} minuter`;
+  return t.etaMinutes(rounded);
 }
 
 /**
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * fairway — farledsmodellen: seglat avstånd i stället för fågelvägen.
+ *
+ * Varje fix projiceras på FAIRWAY_CENTERLINE (lib/constants.js) →
+ * chainage (meter längs farleden, 0 = sydändans trigger-punkt —
+ * Kanalinfarten — eller centerlinjens början, växer norrut) och
+ * sidledsavstånd från centerlinjen. Brornas chainage är där brolinjen
+ * (koordinat + axisBearing, samma modell som hasCrossedBridgeLine) korsar
+ * centerlinjen — inte närmaste punkt till brons koordinat.
+ *
+ * SEGLAT AVSTÅND = max(fågelvägen, |Δchainage|) — i svängarna blir
+ * avståndet den sträcka båten faktiskt har kvar. Fågelvägen gäller
+ * oförändrad innanför FAIRWAY.NEAR_BRIDGE_M (närhetströsklarna 50/300/500 m
+ * är kalibrerade på den), utanför korridoren (FAIRWAY.CORRIDOR_M) och för
+ * broar som inte ligger i modellen (testregister med egna koordinater).
+ *
+ * Samma ekvirektangulära projektion som geometry.distancePointToSegmentM;
+ * modellen byggs vid första anropet och vid nästa anrop efter invalidate().
+ */
+
+const { calculateDistance } = require('./geometry');
+const {
+  FAIRWAY_CENTERLINE, FAIRWAY, BRIDGES, TRIGGER_POINTS, WATERWAY_ENDS,
+} = require('../constants');
+
+const M_PER_DEG_LAT = 111320;
+
+// En bro räknas som "modellens" bara om koordinaten stämmer — ett testregister
+// med en påhittad Klaffbron får fågelvägen, inte den riktiga brons chainage.
+const ANCHOR_MATCH_M = 1;
+
+let model = null;
+
+/**
+ * Projicera en punkt på ett segment (t = 0..1 längs segmentet, utom i
+ * terminalsegmenten som förlängs så fixar utanför kartan inte klampas).
+ * @private
+ */
+function projectOnLeg(lat, lon, leg, tMin, tMax) {
+  const mPerDegLon = M_PER_DEG_LAT * Math.cos(leg.a.lat * (Math.PI / 180));
+  const px = (lon - leg.a.lon) * mPerDegLon;
+  const py = (lat - leg.a.lat) * M_PER_DEG_LAT;
+  const bx = (leg.b.lon - leg.a.lon) * mPerDegLon;
+  const by = (leg.b.lat - leg.a.lat) * M_PER_DEG_LAT;
+  const segLenSq = (bx * bx) + (by * by);
+  let t = segLenSq > 0 ? ((px * bx) + (py * by)) / segLenSq : 0;
+  t = Math.max(tMin, Math.min(tMax, t));
+  const dx = px - (t * bx);
+  const dy = py - (t * by);
+  // Tecken: positivt = öster om farleden (höger sida färdriktning norrut).
+  const side = ((bx * py) - (by * px)) < 0 ? 1 : -1;
+  return { t, offsetM: Math.sqrt((dx * dx) + (dy * dy)), side };
+}
+
+/** Rå projektion i linjens eget s-system (0 = linjens sydspets). @private */
+function projectRaw(legs, lat, lon) {
+  let best = null;
+  const last = legs.length - 1;
+  for (const leg of legs) {
+    const p = projectOnLeg(lat, lon, leg, leg.index === 0 ? -2 : 0, leg.index === last ? 3 : 1);
+    if (!best || p.offsetM < best.offsetM) {
+      best = { s: leg.cum + (p.t * leg.len), offsetM: p.offsetM, side: p.side };
+    }
+  }
+  return best;
+}
+
+/**
+ * Skär brolinjen (koordinat + axisBearing) mot centerlinjen.
+ * @private
+ * @returns {number|null} s där bron korsar farleden
+ */
+function intersectBridgeAxis(legs, bridge) {
+  const brg = bridge.axisBearing * (Math.PI / 180);
+  const dNorth = Math.cos(brg);
+  const dEast = Math.sin(brg);
+  const mPerDegLon = M_PER_DEG_LAT * Math.cos(bridge.lat * (Math.PI / 180));
+  let best = null;
+  for (const leg of legs) {
+    const ax = (leg.a.lon - bridge.lon) * mPerDegLon;
+    const ay = (leg.a.lat - bridge.lat) * M_PER_DEG_LAT;
+    const ex = ((leg.b.lon - bridge.lon) * mPerDegLon) - ax;
+    const ey = ((leg.b.lat - bridge.lat) * M_PER_DEG_LAT) - ay;
+    const den = (ex * dNorth) - (ey * dEast);
+    if (Math.abs(den) < 1e-9) continue;
+    const t = ((ay * dEast) - (ax * dNorth)) / den;
+    if (t < 0 || t > 1) continue;
+    const u = Math.abs(((ax * ey) - (ay * ex)) / -den);
+    if (!best || u < best.u) best = { s: leg.cum + (t * leg.len), u };
+  }
+  return best ? best.s : null;
+}
+
+/** Bygg modellen (segment + broarnas chainage) en gång. @private */
+function getModel() {
+  if (model) return model;
+  const pts = FAIRWAY_CENTERLINE.map(([lat, lon]) => ({ lat, lon }));
+  const legs = [];
+  let cum = 0;
+  for (let i = 0; i < pts.length - 1; i++) {
+    const len = calculateDistance(pts[i].lat, pts[i].lon, pts[i + 1].lat, pts[i + 1].lon);
+    legs.push({
+      a: pts[i], b: pts[i + 1], len, cum, index: i,
+    });
+    cum += len;
+  }
+
+  const entry = TRIGGER_POINTS[WATERWAY_ENDS.south.triggerPoint];
+  const origin = entry ? projectRaw(legs, entry.lat, entry.lon).s : 0;
+  // Nycklade på både id och namn; värdet bär koordinaten för ANCHOR_MATCH_M.
+  const bridges = new Map();
+  for (const [id, bridge] of Object.entries(BRIDGES)) {
+    const s = intersectBridgeAxis(legs, bridge);
+    if (s === null) continue;
+    const anchor = { lat: bridge.lat, lon: bridge.lon, chainageM: s - origin };
+    bridges.set(id, anchor);
+    bridges.set(bridge.name, anchor);
+  }
+  model = {
+    legs, origin, bridges, lengthM: cum,
+  };
+  return model;
+}
+
+/**
+ * Projicera en position på farleden.
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{chainageM: number, crossTrackM: number, side: number, inCorridor: boolean, onBank: boolean}|null}
+ *   chainageM = meter från Kanalinfarten (negativt söder om den), side = +1
+ *   öster / −1 väster om centerlinjen; null vid ogiltiga koordinater
+ */
+function projectToFairway(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  const m = getModel();
+  const raw = projectRaw(m.legs, lat, lon);
+  return {
+    chainageM: raw.s - m.origin,
+    crossTrackM: raw.offsetM,
+    side: raw.side,
+    inCorridor: raw.offsetM <= FAIRWAY.CORRIDOR_M,
+    onBank: raw.offsetM > FAIRWAY.BANK_OFFSET_M,
+  };
+}
+
+/**
+ * Brons chainage, om bron ligger i modellen.
+ * @param {Object|string} bridge - broobjekt ({name, lat, lon}), bro-id eller namn
+ * @returns {number|null}
+ */
+function bridgeChainageM(bridge) {
+  const m = getModel();
+  if (typeof bridge === 'string') {
+    const anchor = m.bridges.get(bridge);
+    return anchor ? anchor.chainageM : null;
+  }
+  if (!bridge || !bridge.name) return null;
+  const anchor = m.bridges.get(bridge.name);
+  if (!anchor) return null;
+  const d = calculateDistance(anchor.lat, anchor.lon, bridge.lat, bridge.lon);
+  return Number.isFinite(d) && d <= ANCHOR_MATCH_M ? anchor.chainageM : null;
+}
+
+/**
+ * Seglat avstånd (m) från en position till en bro: max(fågelvägen,
+ * |Δchainage|) inom korridoren och bortom NEAR_BRIDGE_M, annars fågelvägen.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Object} bridge - {name, lat, lon}
+ * @returns {number|null} null vid ogiltiga koordinater (som calculateDistance)
+ */
+function sailedDistanceM(lat, lon, bridge) {
+  if (!bridge) return null;
+  const direct = calculateDistance(lat, lon, bridge.lat, bridge.lon);
+  if (!Number.isFinite(direct) || direct <= FAIRWAY.NEAR_BRIDGE_M) return direct;
+  const bridgeS = bridgeChainageM(bridge);
+  if (bridgeS === null) return direct;
+  const p = projectToFairway(lat, lon);
+  if (!p || !p.inCorridor) return direct;
+  return Math.max(direct, Math.abs(bridgeS - p.chainageM));
+}
+
+/**
+ * Seglat avstånd (m) mellan två broar i modellen.
+ * @param {string} fromBridge - bro-id eller namn
+ * @param {string} toBridge - bro-id eller namn
+ * @returns {number|null} null om någon av broarna saknas i modellen
+ */
+function bridgeGapM(fromBridge, toBridge) {
+  const a = bridgeChainageM(fromBridge);
+  const b = bridgeChainageM(toBridge);
+  return a === null || b === null ? null : Math.abs(b - a);
+}
+
+/**
+ * Punkten på farleden vid en chainage, förskjuten i sidled (dödräkningens
+ * omvända projektion). Chainage utanför modellen klampas till dess ändar.
+ * @param {number} chainageM - meter från Kanalinfarten
+ * @param {number} [offsetM] - sidledsavstånd, positivt = öster om
+ *   centerlinjen (samma tecken som projectToFairway side × crossTrackM)
+ * @returns {{lat: number, lon: number, bearingDeg: number}|null} bearingDeg =
+ *   farledens riktning norrut i punkten; null vid ogiltig chainage
+ */
+function locateChainage(chainageM, offsetM = 0) {
+  if (!Number.isFinite(chainageM)) return null;
+  const m = getModel();
+  if (m.legs.length === 0) return null;
+  const s = Math.max(0, Math.min(m.lengthM, chainageM + m.origin));
+  const leg = m.legs.find((l) => s <= l.cum + l.len) || m.legs[m.legs.length - 1];
+  const t = leg.len > 0 ? (s - leg.cum) / leg.len : 0;
+  const mPerDegLon = M_PER_DEG_LAT * Math.cos(leg.a.lat * (Math.PI / 180));
+  const bx = (leg.b.lon - leg.a.lon) * mPerDegLon;
+  const by = (leg.b.lat - leg.a.lat) * M_PER_DEG_LAT;
+  const len = Math.sqrt((bx * bx) + (by * by)) || 1;
+  const offset = Number.isFinite(offsetM) ? offsetM : 0;
+  // Högernormalen (by, −bx) pekar österut när farleden går norrut.
+  const x = (t * bx) + ((offset * by) / len);
+  const y = (t * by) - ((offset * bx) / len);
+  return {
+    lat: leg.a.lat + (y / M_PER_DEG_LAT),
+    lon: leg.a.lon + (x / mPerDegLon),
+    bearingDeg: ((Math.atan2(bx, by) * (180 / Math.PI)) + 360) % 360,
+  };
+}
+
+/**
+ * Släpp den byggda modellen — nästa anrop bygger om den ur constants
+ * (waterwayProfile.activateProfile byter centerlinje och broar på plats).
+ */
+function invalidate() {
+  model = null;
+}
+
+module.exports = {
+  projectToFairway,
+  bridgeChainageM,
+  sailedDistanceM,
+  bridgeGapM,
+  locateChainage,
+  invalidate,
+};
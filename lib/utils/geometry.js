@@ -534,6 +534,8 @@ function isDecisivelyOppositeBridgeSide(posA, posB, bridge) {
  * @param {Object} oldVessel - Previous vessel position and data
  * @param {Object} bridge - Bridge object with {lat, lon, name}
  * @param {Object} opts - Options for detection sensitivity
+ * @param {string|null} [opts.highBridge] - namnet på profilens höga bro
+ *   (STALLBACKABRON_SPECIAL.BRIDGE_NAME); utan det ingen METHOD 6
  * @returns {Object} Detection result with method used and confidence
  */
 function detectBridgePassage(vessel, oldVessel, bridge, opts = {}) {
@@ -754,8 +756,10 @@ function detectBridgePassage(vessel, oldVessel, bridge, opts = {}) {
     }
   }
 
-  // METHOD 6: Stallbackabron special case - higher bridge, different pattern
-  if (bridge.name === 'Stallbackabron') {
+  // METHOD 6: Stallbackabron special case - higher bridge, different pattern.
+  // Den höga bron kommer från anroparen: constants → waterwayProfile →
+  // geometry är en laddningscykel, så constants kan inte krävas här.
+  if (bridge.name && bridge.name === opts.highBridge) {
     const wasNearStallbacka = previousDistance <= 120; // Increased threshold
     const isAwayFromStallbacka = currentDistance > previousDistance - 5 && currentDistance > 50; // More lenient
 
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * jsonFeedParser - Ren, sidoeffektsfri parsning av en lokal mottagares
+ * JSON-fartygslista (AIS-catchers /api/ships.json eller en annan server
+ * med konfigurerbar fältmappning). Klienten är JsonFeedClient.
+ *
+ * FÄLTMAPPNING (settings 'json_feed_mapping', tom ⇒ AIS-catcher-presetet
+ * AIS_CONFIG.JSON_FEED.DEFAULT_MAPPING): ett objekt där varje nyckel är ett
+ * kanoniskt fält och värdet en punktad sökväg i posten (eller null = finns
+ * inte). En egen mappning ERSÄTTER presetet helt — ett kvarlämnat
+ * AIS-catcher-fältnamn hade tyst fällt varje post på fixtiden.
+ *   records   sökväg till postlistan i svaret ('' ⇒ roten är listan)
+ *   mmsi, lat, lon                       obligatoriska
+ *   sog, cog, navStatus, shipName        valfria
+ *   time      absolut fixtid (se parseFixTime) — ELLER
+ *   age       sekunder sedan fixen (AIS-catchers last_signal)
+ *   shipType, toBow, toStern, toPort, toStarboard, draught, destination,
+ *   callSign, imo                        statiska fält (valfria)
+ *
+ * SENTINELERNA är aishubParser.normalizePosition — exakt samma regler som
+ * AISHub och AISStreamClient (SOG ≥ 102.15, COG 360, NAVSTAT utanför 0-14,
+ * lat 91/lon 181, 0,0, MMSI < 1). AIS-catcher serverar samma råsentineler
+ * som luftgränssnittet, så ingen källspecifik variant behövs.
+ *
+ * FIXTID: time ⇒ tolkad stämpel; age ⇒ receivedAt − age; inget av dem ⇒
+ * receivedAt. Vilken klockdomän värdet tillhör (och därmed om fusionen får
+ * lita på det) avgörs INTE här utan av källans deklarerade tidskvalitet i
+ * klienten. Parsern använder ALDRIG Date.now() — receivedAt skickas in.
+ */
+
+const { AIS_CONFIG } = require('../constants');
+const { normalizePosition, parseTimeToMs } = require('./aishubParser');
+const { normalizeStaticData } = require('./staticData');
+
+const MAPPING_KEYS = Object.keys(AIS_CONFIG.JSON_FEED.DEFAULT_MAPPING);
+const REQUIRED_KEYS = ['mmsi', 'lat', 'lon'];
+
+// Strikt ISO 8601 med valfria bråkdelssekunder och Z/±hh:mm — tolkas med
+// Date.UTC, aldrig new Date(str) (samma regel som aishubParser).
+const ISO_RE = /^\s*(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,3})\d*)?(Z|([+-])(\d{2}):?(\d{2}))\s*$/;
+
+/**
+ * Fältmappningen, validerad. Tom/saknad ⇒ AIS-catcher-presetet.
+ * @param {object|string|null} raw - objekt eller JSON-sträng
+ * @returns {object|null} fullständig mappning, eller null om ogiltig
+ */
+function resolveMapping(raw) {
+  if (raw == null || (typeof raw === 'string' && raw.trim() === '')) {
+    return { ...AIS_CONFIG.JSON_FEED.DEFAULT_MAPPING };
+  }
+  let obj = raw;
+  if (typeof raw === 'string') {
+    try {
+      obj = JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  const mapping = {};
+  for (const key of MAPPING_KEYS) mapping[key] = null;
+  for (const [key, value] of Object.entries(obj)) {
+    // Okänd nyckel = felstavning ("lng", "speed") — hellre ogiltig än tyst tom.
+    if (!MAPPING_KEYS.includes(key)) return null;
+    if (value !== null && typeof value !== 'string') return null;
+    mapping[key] = value === null ? null : value.trim();
+  }
+  if (mapping.records === null) mapping.records = '';
+  if (REQUIRED_KEYS.some((key) => !mapping[key])) return null;
+  if (mapping.time && mapping.age) return null; // en fixtidskälla, inte två
+  return mapping;
+}
+
+/**
+ * Punktad sökväg i ett objekt ('' ⇒ objektet självt).
+ * @private
+ */
+function getPath(obj, path) {
+  if (!path) return obj;
+  let cur = obj;
+  for (const part of path.split('.')) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+/**
+ * Absolut fixtid → ms epoch, eller null. Tal tolkas som unix-sekunder
+ * (9-10 siffror) eller millisekunder (12-13 siffror); strängar som
+ * aishubParsers TIME-format, unix-sekunder eller strikt ISO 8601.
+ * @param {*} raw
+ * @returns {number|null}
+ */
+function parseFixTime(raw) {
+  if (Number.isFinite(raw) && raw >= 1e12 && raw < 1e14) return raw;
+  const simple = parseTimeToMs(raw);
+  if (simple !== null) return simple;
+  if (typeof raw !== 'string') return null;
+  const m = ISO_RE.exec(raw);
+  if (!m) return null;
+  let ms = Date.UTC(
+    Number(m[1]), Number(m[2]) - 1, Number(m[3]),
+    Number(m[4]), Number(m[5]), Number(m[6]),
+    m[7] ? Number(m[7].padEnd(3, '0')) : 0,
+  );
+  if (m[9]) {
+    const offsetMin = Number(m[10]) * 60 + Number(m[11]);
+    ms -= (m[9] === '+' ? 1 : -1) * offsetMin * 60000;
+  }
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Fixtiden för en post enligt mappningen, eller null när den mappade
+ * källan är oparsbar.
+ * @private
+ */
+function resolveFixTs(raw, mapping, receivedAt) {
+  if (mapping.time) return parseFixTime(getPath(raw, mapping.time));
+  if (mapping.age) {
+    const v = getPath(raw, mapping.age);
+    const age = v == null || v === '' ? NaN : Number(v);
+    if (!Number.isFinite(age) || age < 0) return null;
+    return receivedAt - Math.round(age * 1000);
+  }
+  return receivedAt;
+}
+
+/**
+ * Parsa ett komplett svar (rå bodysträng).
+ *
+ * @param {string} body - Råsvaret
+ * @param {object} mapping - från resolveMapping()
+ * @param {number} receivedAt - mottagningstid (ms) hos anroparen
+ * @param {{maxRecordAgeMs?: number}} [opts]
+ * @returns {{
+ *   kind: 'data'|'empty-body'|'parse-error'|'shape-error',
+ *   ok: boolean,
+ *   records: Array<object>,
+ *   staticByMmsi: Object<string, object>,
+ *   stats: object,
+ * }}
+ */
+function parseBody(body, mapping, receivedAt, opts = {}) {
+  const stats = {
+    records: 0,
+    accepted: 0,
+    timeParseFail: 0,
+    sentinelPos: 0,
+    invalidMmsi: 0,
+    invalidPosition: 0,
+    invalidRecord: 0,
+    tooOld: 0,
+  };
+  const result = (kind, extra = {}) => ({
+    kind,
+    ok: kind === 'data',
+    records: [],
+    staticByMmsi: {},
+    stats,
+    ...extra,
+  });
+
+  if (typeof body !== 'string' || body.trim() === '') return result('empty-body');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    return result('parse-error');
+  }
+
+  const list = getPath(parsed, mapping.records);
+  if (!Array.isArray(list)) return result('shape-error');
+  stats.records = list.length;
+
+  const maxAgeMs = Number.isFinite(opts.maxRecordAgeMs) ? opts.maxRecordAgeMs : Infinity;
+  const field = (raw, key) => (mapping[key] ? getPath(raw, mapping[key]) : undefined);
+  const records = [];
+  const staticByMmsi = {};
+  for (const raw of list) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      stats.invalidRecord++;
+      continue;
+    }
+    const rec = normalizePosition({
+      mmsi: field(raw, 'mmsi'),
+      lat: field(raw, 'lat'),
+      lon: field(raw, 'lon'),
+      sog: field(raw, 'sog'),
+      cog: field(raw, 'cog'),
+      navStatus: field(raw, 'navStatus'),
+      shipName: field(raw, 'shipName'),
+      fixTs: resolveFixTs(raw, mapping, receivedAt),
+    }, stats);
+    if (!rec) continue;
+    // AIS-catcher listar fartyg långt efter sista signalen — en känd ålder
+    // över gränsen är historik, inte en position.
+    if (receivedAt - rec.fixTs > maxAgeMs) {
+      stats.tooOld++;
+      continue;
+    }
+    records.push(rec);
+    const staticData = normalizeStaticData({
+      shipType: field(raw, 'shipType'),
+      dimensions: {
+        toBow: field(raw, 'toBow'),
+        toStern: field(raw, 'toStern'),
+        toPort: field(raw, 'toPort'),
+        toStarboard: field(raw, 'toStarboard'),
+      },
+      draught: field(raw, 'draught'),
+      destination: field(raw, 'destination'),
+      callSign: field(raw, 'callSign'),
+      imo: field(raw, 'imo'),
+    });
+    if (staticData) staticByMmsi[rec.mmsi] = staticData;
+  }
+  stats.accepted = records.length;
+
+  return result('data', { records, staticByMmsi });
+}
+
+module.exports = {
+  resolveMapping,
+  parseFixTime,
+  parseBody,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * simulationClock - virtuell klocka för simuleringskällan
+ * (ais_source='simulation', se ReplayFeedClient).
+ *
+ * TIDSAVLÄSNING. Appen har ingen central klocka: fysik-dt, TTL, stale-
+ * vakter, ETA och passagefönster läser Date.now() direkt (drygt 300 anrop).
+ * En korpus från en tidigare natt bär sina egna fix- och mottagningstider,
+ * så utan en gemensam tidsreferens hade varje fix varit timmar gammal och
+ * en 10×-uppspelning hade sett tio gånger för snabba båtar. Medan klockan
+ * är installerad ersätts därför Date.now:
+ *
+ *   virtuell tid = startMs + (verklig tid − verklig start) × speed
+ *
+ * TIMERS. Date.now ensam räcker inte: watchdogen som driver deadline-
+ * motorn och fartygens städ-/skyddstimrar räknar i millisekunder, och på
+ * väggtid hade 10×/60× tickat motorn var 5:e/30:e virtuell minut. Appens
+ * trafiktimrar bokas därför genom klockan (setTimeout/setInterval nedan)
+ * med fördröjningen i VIRTUELLA ms. Avinstallerad klocka är ren
+ * genomströmning till de globala funktionerna — i harnessen och jest är
+ * det fake-klockans timers, så replayens schemaläggning är oförändrad.
+ *
+ *  - setTimeout: fördröjningen delas med hastigheten vid bokningen och
+ *    handtaget är den vanliga timern (clearTimeout som förut). En timeout
+ *    bokad före ett hastighetsbyte behåller sin gamla skala — sandlåde-
+ *    bytet i app.js tar bort alla fartyg, och därmed deras timers, vid
+ *    både in- och utträde.
+ *  - setInterval: perioden räknas om vid varje install/uninstall, och
+ *    första varvet efter bytet börjar från installationsögonblicket —
+ *    watchdogen tickar alltså vid start + k × 30 virtuella s i varje
+ *    hastighet. Handtaget är klockans eget och stoppas med clearInterval
+ *    härifrån (som även tar vanliga intervall).
+ *
+ * `new Date()` utan argument och timers som bokas direkt på de globala
+ * funktionerna går fortfarande på väggtid.
+ *
+ * En instans per process (Date.now är global). install() på en redan
+ * installerad klocka byter parametrar utan att tappa originalet.
+ */
+
+let realDateNow = null;
+let state = null;
+// Levande klockintervall: { fn, ms, timer, repeating } — timer är den
+// underliggande globala timern (setInterval avinstallerad, annars en kedja
+// av setTimeout i skalad takt).
+const intervals = new Set();
+
+/** Virtuella ms → väggms i nuvarande hastighet. @private */
+function toWallMs(ms) {
+  const delay = Number.isFinite(ms) && ms > 0 ? ms : 0;
+  return state ? Math.max(1, Math.round(delay / state.speed)) : delay;
+}
+
+/** Boka ett klockintervalls underliggande timer i nuvarande skala. @private */
+function armInterval(handle) {
+  if (!state) {
+    handle.repeating = true;
+    handle.timer = setInterval(handle.fn, handle.ms);
+    return;
+  }
+  handle.repeating = false;
+  handle.timer = setTimeout(() => {
+    armInterval(handle);
+    handle.fn();
+  }, toWallMs(handle.ms));
+}
+
+/** @private */
+function disarmInterval(handle) {
+  if (handle.repeating) clearInterval(handle.timer);
+  else clearTimeout(handle.timer);
+  handle.timer = null;
+}
+
+/** Alla levande intervall om i den nya skalan. @private */
+function rescaleIntervals() {
+  for (const handle of intervals) {
+    disarmInterval(handle);
+    armInterval(handle);
+  }
+}
+
+/**
+ * Installera den virtuella klockan.
+ * @param {Object} options
+ * @param {number} options.startMs - virtuell tid i installationsögonblicket
+ * @param {number} [options.speed=1] - virtuella ms per verklig ms
+ */
+function install({ startMs, speed = 1 }) {
+  if (!Number.isFinite(startMs)) throw new Error('simulationClock.install kräver ett ändligt startMs');
+  if (!realDateNow) realDateNow = Date.now;
+  state = {
+    startMs,
+    speed: Number.isFinite(speed) && speed > 0 ? speed : 1,
+    wallStartMs: realDateNow.call(Date),
+  };
+  Date.now = () => state.startMs + (realDateNow.call(Date) - state.wallStartMs) * state.speed;
+  rescaleIntervals();
+}
+
+/** Återställ den verkliga Date.now (no-op om klockan inte är installerad). */
+function uninstall() {
+  if (!realDateNow) return;
+  Date.now = realDateNow;
+  realDateNow = null;
+  state = null;
+  rescaleIntervals();
+}
+
+/** @returns {boolean} */
+function isInstalled() {
+  return state !== null;
+}
+
+/**
+ * Verklig väggtid oavsett om klockan är installerad.
+ * @returns {number}
+ */
+function wallNow() {
+  return realDateNow ? realDateNow.call(Date) : Date.now();
+}
+
+/**
+ * Nuvarande hastighet (virtuella ms per verklig ms); 1 när klockan inte är
+ * installerad.
+ * @returns {number}
+ */
+function getSpeed() {
+  return state ? state.speed : 1;
+}
+
+/**
+ * setTimeout med fördröjningen i virtuella ms.
+ * @param {Function} fn
+ * @param {number} ms - virtuell fördröjning
+ * @returns {*} den globala timerns handtag (stoppas med clearTimeout)
+ */
+function clockSetTimeout(fn, ms) {
+  return setTimeout(fn, toWallMs(ms));
+}
+
+/**
+ * setInterval med perioden i virtuella ms; följer hastighetsbyten.
+ * @param {Function} fn
+ * @param {number} ms - virtuell period
+ * @returns {Object} klockans handtag (stoppas med clearInterval härifrån)
+ */
+function clockSetInterval(fn, ms) {
+  const handle = {
+    fn, ms, timer: null, repeating: false,
+  };
+  intervals.add(handle);
+  armInterval(handle);
+  return handle;
+}
+
+/**
+ * Stoppa ett klockintervall (eller ett vanligt intervall).
+ * @param {*} handle
+ */
+function clockClearInterval(handle) {
+  if (handle && intervals.has(handle)) {
+    intervals.delete(handle);
+    disarmInterval(handle);
+    return;
+  }
+  if (handle) clearInterval(handle);
+}
+
+module.exports = {
+  install,
+  uninstall,
+  isInstalled,
+  wallNow,
+  getSpeed,
+  setTimeout: clockSetTimeout,
+  setInterval: clockSetInterval,
+  clearInterval: clockClearInterval,
+};
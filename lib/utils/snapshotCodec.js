@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * snapshotCodec - JSON-säker kodning av spårningstillstånd för varmstarten
+ * (settings tracking_snapshot, se app.js _persistTrackingSnapshot).
+ *
+ * Homey-settings lagrar JSON, men tjänsternas tillstånd bär Map/Set
+ * (zonövergångarna på vessel-objektet, armarnas releasedFrom) och oändliga
+ * tal (en nybeväpnad arm har fireDueMs = Infinity tills fysiken finns).
+ * JSON.stringify tappar dem TYST — en Map blir {}, Infinity blir null — och
+ * en återställd arm med fireDueMs = null hade avfyrat direkt.
+ *
+ * Taggning:
+ *   Map      → { $map: [[nyckel, värde], ...] }
+ *   Set      → { $set: [värde, ...] }
+ *   ±∞ / NaN → { $num: 'Infinity' | '-Infinity' | 'NaN' }
+ *
+ * Funktioner, undefined och andra klassinstanser (timerhandtag, tjänste-
+ * referenser) utelämnas; en cykel bryts till null. Delade referenser kodas
+ * som kopior — återställningen får aldrig dela objekt mellan tjänster.
+ *
+ * Modulen är ren: inga sidoeffekter, ingen klocka.
+ */
+
+/** Vanligt objekt (inte en klassinstans som Timeout eller en tjänst)? @private */
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/** @private */
+function encodeValue(value, ancestors) {
+  if (value === null) return null;
+  const type = typeof value;
+  if (type === 'number') return Number.isFinite(value) ? value : { $num: String(value) };
+  if (type === 'string' || type === 'boolean') return value;
+  if (type !== 'object') return undefined; // function, symbol, bigint, undefined
+  if (ancestors.has(value)) return null;
+
+  ancestors.add(value);
+  let out;
+  if (Array.isArray(value)) {
+    out = value.map((item) => {
+      const encoded = encodeValue(item, ancestors);
+      return encoded === undefined ? null : encoded;
+    });
+  } else if (value instanceof Map) {
+    out = { $map: [] };
+    for (const [key, item] of value) {
+      const encoded = encodeValue(item, ancestors);
+      if (encoded !== undefined) out.$map.push([encodeValue(key, ancestors), encoded]);
+    }
+  } else if (value instanceof Set) {
+    out = { $set: [] };
+    for (const item of value) {
+      const encoded = encodeValue(item, ancestors);
+      if (encoded !== undefined) out.$set.push(encoded);
+    }
+  } else if (isPlainObject(value)) {
+    out = {};
+    for (const [key, item] of Object.entries(value)) {
+      const encoded = encodeValue(item, ancestors);
+      if (encoded !== undefined) out[key] = encoded;
+    }
+  }
+  ancestors.delete(value);
+  return out;
+}
+
+/**
+ * Koda ett värde till JSON-säker form.
+ * @param {*} value
+ * @returns {*} kodad form (undefined om värdet inte går att lagra alls)
+ */
+function encode(value) {
+  return encodeValue(value, new Set());
+}
+
+/**
+ * Återställ encode()-formen. Okända former passerar oförändrade.
+ * @param {*} value
+ * @returns {*}
+ */
+function decode(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decode);
+  const keys = Object.keys(value);
+  if (keys.length === 1) {
+    if (keys[0] === '$map' && Array.isArray(value.$map)) {
+      return new Map(value.$map
+        .filter((entry) => Array.isArray(entry) && entry.length === 2)
+        .map(([key, item]) => [decode(key), decode(item)]));
+    }
+    if (keys[0] === '$set' && Array.isArray(value.$set)) return new Set(value.$set.map(decode));
+    if (keys[0] === '$num' && typeof value.$num === 'string') return Number(value.$num);
+  }
+  const out = {};
+  for (const [key, item] of Object.entries(value)) out[key] = decode(item);
+  return out;
+}
+
+module.exports = {
+  encode,
+  decode,
+};
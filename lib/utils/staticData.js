@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * staticData - Ren normalisering av AIS statiska uppgifter/reseuppgifter till
+ * EN gemensam form oavsett källa:
+ *   aisstream  ShipStaticData (typ 5) och StaticDataReport (typ 24 del B)
+ *   AISHub     postens IMO, CALLSIGN, TYPE, A-D, DRAUGHT, DEST
+ *   NMEA       aivdmDecoder-rapporter av typ 5, 19 och 24 del B
+ *
+ * Normaliserad form (varje fält null = okänt):
+ *   { shipType, length, beam, draught, destination, callSign, imo }
+ *
+ * SENTINELREGLER (ITU-R M.1371):
+ *  - Fartygstyp 0 = "ej tillgänglig"; 100-255 är reserverade → null.
+ *  - Dimensionsblocket A/B (till för/akter) och C/D (till babord/styrbord):
+ *    0 = okänt per sida. Längd = A+B och bredd = C+D när summan är > 0 —
+ *    en mottagare med okänd referenspunkt sänder A=0/C=0 men korrekt B/D.
+ *  - Djupgående 0 = okänt (anges i meter, 0,1 m upplösning).
+ *  - IMO 0 = okänt; strängifieras (ett identitetsnummer, inget mått).
+ *  - Text: '@'-utfyllnad och blanksteg trimmas, tom sträng → null.
+ *
+ * Null-fällan (samma som aishubParser): Number(null) === 0 — ett SAKNAT fält
+ * får aldrig tolkas som värdet 0.
+ *
+ * Modulen använder ALDRIG Date.now() — bekräftelsetid stämplas av app-lagret.
+ */
+
+const FIELDS = ['shipType', 'length', 'beam', 'draught', 'destination', 'callSign', 'imo'];
+
+/** @private */
+function num(v) {
+  if (v == null || v === '') return NaN;
+  return Number(v);
+}
+
+/** @private */
+function cleanText(v) {
+  if (v == null) return null;
+  const s = String(v).replace(/@/g, ' ').replace(/\s+/g, ' ').trim();
+  return s || null;
+}
+
+/** @private */
+function sumOfSides(a, b) {
+  const x = num(a);
+  const y = num(b);
+  const sx = Number.isFinite(x) && x > 0 ? x : 0;
+  const sy = Number.isFinite(y) && y > 0 ? y : 0;
+  const total = sx + sy;
+  return total > 0 ? total : null;
+}
+
+/**
+ * Normalisera råa statiska fält till den gemensamma formen.
+ * @param {object} raw
+ * @param {number|string} [raw.shipType] - AIS fartygstyp (1-99)
+ * @param {{toBow, toStern, toPort, toStarboard}} [raw.dimensions] - A/B/C/D i meter
+ * @param {number|string} [raw.draught] - Djupgående i meter
+ * @param {string} [raw.destination]
+ * @param {string} [raw.callSign]
+ * @param {number|string} [raw.imo]
+ * @returns {object|null} Normaliserad post, eller null om INGET fält är känt
+ */
+function normalizeStaticData(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const typeNum = num(raw.shipType);
+  const shipType = Number.isInteger(typeNum) && typeNum >= 1 && typeNum <= 99 ? typeNum : null;
+
+  const dim = raw.dimensions && typeof raw.dimensions === 'object' ? raw.dimensions : {};
+  const length = sumOfSides(dim.toBow, dim.toStern);
+  const beam = sumOfSides(dim.toPort, dim.toStarboard);
+
+  const draughtNum = num(raw.draught);
+  const draught = Number.isFinite(draughtNum) && draughtNum > 0
+    ? Math.round(draughtNum * 10) / 10
+    : null;
+
+  const imoNum = num(raw.imo);
+  const imo = Number.isInteger(imoNum) && imoNum > 0 ? String(imoNum) : null;
+
+  const out = {
+    shipType,
+    length,
+    beam,
+    draught,
+    destination: cleanText(raw.destination),
+    callSign: cleanText(raw.callSign),
+    imo,
+  };
+  return FIELDS.some((f) => out[f] !== null) ? out : null;
+}
+
+/**
+ * Fältvis sammanslagning: kända fält i `next` skriver över `prev`, okända
+ * (null) behåller det tidigare värdet. Typ 24 del A/B och typ 5 kommer i
+ * separata rapporter — en del B utan destination får inte radera den
+ * destination en tidigare typ 5 lämnade.
+ * @param {object|null} prev
+ * @param {object|null} next
+ * @returns {object|null} Alltid full fältform (saknade fält = null)
+ */
+function mergeStaticData(prev, next) {
+  if (!next) return prev || null;
+  const base = prev || {};
+  const out = {};
+  for (const f of FIELDS) {
+    out[f] = next[f] != null ? next[f] : (base[f] ?? null);
+  }
+  return out;
+}
+
+/**
+ * Sant om två normaliserade poster bär samma värden (skrivgrinden för
+ * settings-persisteringen).
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {boolean}
+ */
+function sameStaticData(a, b) {
+  if (!a || !b) return a === b;
+  return FIELDS.every((f) => (a[f] ?? null) === (b[f] ?? null));
+}
+
+/**
+ * Flow-tokens för en (ev. okänd) post. Samma sentinelkontrakt som
+ * eta_minutes: tal -1 = okänt, text '' = okänt — Homey-tokens får aldrig
+ * vara null.
+ * @param {object|null} data - Normaliserad post
+ * @returns {{ship_type: number, ship_length: number, ship_beam: number,
+ *   ship_draught: number, destination: string, call_sign: string, imo: string}}
+ */
+function toFlowTokens(data) {
+  const d = data || {};
+  const n = (v) => (Number.isFinite(v) ? v : -1);
+  const s = (v) => (typeof v === 'string' ? v : '');
+  return {
+    ship_type: n(d.shipType),
+    ship_length: n(d.length),
+    ship_beam: n(d.beam),
+    ship_draught: n(d.draught),
+    destination: s(d.destination),
+    call_sign: s(d.callSign),
+    imo: s(d.imo),
+  };
+}
+
+module.exports = {
+  FIELDS,
+  normalizeStaticData,
+  mergeStaticData,
+  sameStaticData,
+  toFlowTokens,
+};
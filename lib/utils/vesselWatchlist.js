@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * vesselWatchlist — tolkning och matchning av bevakningslistan
+ * (settings `vessel_watchlist`, kortet watched_vessel_event).
+ *
+ * En post är ANTINGEN ett MMSI (exakt nio siffror) ELLER ett fartygsnamn.
+ * Namn jämförs normaliserat (versaler, AIS-utfyllnaden '@' och blanksteg
+ * hopslagna) — samma namn skrivs "Sea Princess" i inställningarna men sänds
+ * "SEA PRINCESS@@@" av transpondern.
+ *
+ * Settings-sidan sparar en array av strängar; en handskriven sträng med
+ * komma/radbrytning som avgränsare accepteras också.
+ */
+
+const { WATCHLIST } = require('../constants');
+
+const MMSI_RE = /^\d{9}$/;
+
+/**
+ * Normalisera ett fartygsnamn för jämförelse ('' = inget namn).
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  if (typeof name !== 'string') return '';
+  return name.replace(/@/g, ' ').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Tolka settings-värdet till { mmsis, names }. Tomma, dubbla, rent numeriska
+ * som inte är MMSI och "Unknown"-poster (aisstreams platshållare, inget namn)
+ * hoppas över; listan kapas vid WATCHLIST.MAX_ENTRIES.
+ * @param {string[]|string|null} raw
+ * @returns {{mmsis: Set<string>, names: Set<string>, size: number}}
+ */
+function parseWatchlist(raw) {
+  let entries = [];
+  if (Array.isArray(raw)) {
+    entries = raw;
+  } else if (typeof raw === 'string') {
+    entries = raw.split(/[,\n;]/);
+  }
+
+  const mmsis = new Set();
+  const names = new Set();
+  for (const entry of entries) {
+    if (mmsis.size + names.size >= WATCHLIST.MAX_ENTRIES) break;
+    const text = typeof entry === 'number' ? String(entry) : entry;
+    if (typeof text !== 'string') continue;
+    const trimmed = text.trim();
+    if (MMSI_RE.test(trimmed)) {
+      mmsis.add(trimmed);
+      continue;
+    }
+    // Siffror som inte är ett MMSI är en felskrivning, inget namn.
+    if (/^\d+$/.test(trimmed)) continue;
+    const name = normalizeName(trimmed);
+    if (name && name !== 'UNKNOWN') names.add(name);
+  }
+  return { mmsis, names, size: mmsis.size + names.size };
+}
+
+/**
+ * Är båten bevakad? MMSI vinner; annars jämförs namnet.
+ * @param {{mmsis: Set<string>, names: Set<string>}|null} watchlist
+ * @param {string|number} mmsi
+ * @param {string|null} [name]
+ * @returns {boolean}
+ */
+function isWatched(watchlist, mmsi, name) {
+  if (!watchlist || watchlist.size === 0) return false;
+  if (mmsi != null && watchlist.mmsis.has(String(mmsi))) return true;
+  const normalized = normalizeName(name);
+  return normalized !== '' && watchlist.names.has(normalized);
+}
+
+module.exports = {
+  normalizeName,
+  parseWatchlist,
+  isWatched,
+};
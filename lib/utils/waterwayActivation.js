@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * waterwayActivation — byt aktiv vattenvägsprofil.
+ *
+ * constants.js bygger sina geografiexporter ur standardprofilen vid laddning
+ * (via lib/utils/waterwayProfile). activateProfile skriver om SAMMA objekt
+ * på plats, så varje modul som redan destrukturerat BRIDGES,
+ * BRIDGE_SEQUENCE eller AIS_CONFIG ser den valda profilen. Aktiveringen ska
+ * ske innan tjänsterna skapas (app.js _initializeServices) — tjänsterna
+ * kopierar delar av geografin vid konstruktion.
+ *
+ * Egen modul eftersom den kräver constants och fairway, som i sin tur
+ * kräver waterwayProfile.
+ */
+
+const constants = require('../constants');
+const fairway = require('./fairway');
+const { getStrings } = require('./bridgeTextLocale');
+const {
+  deriveBoundingBox, intermediateBridges, targetBridgesInOrder, closeBridgePairs, highBridgeName, waterwayEnds,
+} = require('./waterwayProfile');
+
+const replaceObject = (target, source) => {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, source);
+};
+const replaceArray = (target, source) => target.splice(0, target.length, ...source);
+// Standardtexten nämner målbroarna — följer med varje ändring av TARGET_BRIDGES.
+const refreshDefaultMessage = () => {
+  constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE = getStrings('sv').defaultMessage;
+};
+
+/**
+ * Gör profilen aktiv: constants-exporterna (BRIDGES, BRIDGE_SEQUENCE,
+ * BRIDGE_GAPS, CLOSE_BRIDGE_PAIRS, TARGET_BRIDGES, INTERMEDIATE_BRIDGES,
+ * BRIDGE_ID_TO_NAME, BRIDGE_NAME_TO_ID, TRIGGER_POINTS, MOORING_ZONES, LOCKS,
+ * FAIRWAY_CENTERLINE, AIS_CONFIG.BOUNDING_BOX, WATERWAY, WATERWAY_ENDS,
+ * STALLBACKABRON_SPECIAL.BRIDGE_NAME, BRIDGE_DEVICE.BRIDGE_IDS) skrivs om PÅ
+ * PLATS och farledsmodellen byggs om vid nästa anrop.
+ * @param {Object} profile - en validerad profil
+ */
+function activateProfile(profile) {
+  const copy = JSON.parse(JSON.stringify(profile));
+
+  replaceObject(constants.BRIDGES, copy.bridges);
+  replaceArray(constants.BRIDGE_SEQUENCE, copy.sequence);
+  replaceObject(constants.BRIDGE_GAPS, copy.gaps || {});
+  replaceObject(constants.CLOSE_BRIDGE_PAIRS, closeBridgePairs(copy));
+  replaceArray(constants.TARGET_BRIDGES, targetBridgesInOrder(copy));
+  replaceArray(constants.INTERMEDIATE_BRIDGES, intermediateBridges(copy));
+  replaceObject(constants.TRIGGER_POINTS, copy.triggerPoints || {});
+  replaceArray(constants.MOORING_ZONES, copy.mooringZones || []);
+  replaceObject(constants.LOCKS, copy.locks || {});
+  replaceArray(constants.FAIRWAY_CENTERLINE, copy.fairwayCenterline || []);
+  replaceObject(constants.AIS_CONFIG.BOUNDING_BOX, deriveBoundingBox(copy));
+  replaceObject(constants.WATERWAY_ENDS, waterwayEnds(copy));
+  constants.STALLBACKABRON_SPECIAL.BRIDGE_NAME = highBridgeName(copy);
+  replaceArray(constants.BRIDGE_DEVICE.BRIDGE_IDS, copy.sequence.filter((id) => id !== copy.highBridge));
+
+  const idToName = {};
+  for (const [id, p] of [...Object.entries(copy.triggerPoints || {}), ...Object.entries(copy.bridges)]) {
+    idToName[id] = p.name;
+  }
+  const nameToId = {};
+  for (const [id, name] of Object.entries(idToName)) nameToId[name] = id;
+  replaceObject(constants.BRIDGE_ID_TO_NAME, idToName);
+  replaceObject(constants.BRIDGE_NAME_TO_ID, nameToId);
+  replaceObject(constants.WATERWAY, { id: copy.id, name: copy.name, profile: copy });
+  refreshDefaultMessage();
+
+  fairway.invalidate();
+}
+
+/**
+ * Befordra broar i den aktiva profilen till målbroar (inställningen
+ * opening_target_bridges): TARGET_BRIDGES blir profilens målbroar plus de
+ * befordrade, i farledens ordning, och INTERMEDIATE_BRIDGES resten. Skrivs
+ * PÅ PLATS som activateProfile, och ska ske på samma ställe — före
+ * tjänsterna. En tom lista återställer profilens egna målbroar.
+ * @param {string[]} bridgeIds - bro-id:n i den aktiva profilen
+ * @returns {string[]} namnen som faktiskt befordrades (okända id:n,
+ *   profilens egna målbroar och den höga bron — som aldrig öppnar — räknas inte)
+ */
+function promoteTargetBridges(bridgeIds) {
+  const { profile } = constants.WATERWAY;
+  const own = new Set(profile.targetBridges || []);
+  const promoted = [];
+  for (const id of Array.isArray(bridgeIds) ? bridgeIds : []) {
+    const bridge = typeof id === 'string' && id !== profile.highBridge ? profile.bridges[id] : null;
+    if (bridge && !own.has(bridge.name) && !promoted.includes(bridge.name)) promoted.push(bridge.name);
+  }
+  const promotedProfile = { ...profile, targetBridges: [...own, ...promoted] };
+  replaceArray(constants.TARGET_BRIDGES, targetBridgesInOrder(promotedProfile));
+  replaceArray(constants.INTERMEDIATE_BRIDGES, intermediateBridges(promotedProfile));
+  refreshDefaultMessage();
+  return promoted;
+}
+
+module.exports = {
+  activateProfile,
+  promoteTargetBridges,
+};
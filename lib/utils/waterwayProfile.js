@@ -0,0 +1,341 @@
+'use strict';
+
+/**
+ * waterwayProfile — vattenvägsprofiler (lib/waterways/<id>.json).
+ *
+ * En profil bär ALL geografi som tidigare var hårdkodad i lib/constants.js:
+ * broar (id → {name, lat, lon, radius, axisBearing}), ordningen i farleden,
+ * öppningsbara broar (namn), brogap, trigger-punkter, förtöjningszoner och
+ * farledens centerlinje — plus slussar (locks, id → {name, upperGate,
+ * lowerGate, queueRadiusM, defaultCycleMinutes}) och den höga bron
+ * (highBridge, bro-id: öppnar aldrig, egen status och egna texter —
+ * STALLBACKABRON_SPECIAL). Bounding boxen HÄRLEDS (deriveBoundingBox) om
+ * profilen inte anger en egen, liksom vattenvägens ändar (waterwayEnds).
+ *
+ * Modulen är REN (läser bara filer): constants.js bygger sina exporter ur
+ * standardprofilen med den. Att byta aktiv profil sköter
+ * lib/utils/waterwayActivation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance } = require('./geometry');
+
+const PROFILE_DIR = path.join(__dirname, '..', 'waterways');
+const DEFAULT_PROFILE_ID = 'trollhattekanalen';
+const ID_RE = /^[a-z0-9_-]+$/;
+
+const M_PER_DEG_LAT = 111320;
+// Boxen rundas UTÅT till hundradels grader (~1 km) — samma upplösning som
+// den tidigare handskrivna boxen, och en stabil prenumeration hos källorna.
+const BOX_STEP_DEG = 0.01;
+// Grannbroar närmare än så här är ett NÄRA BROPAR (closeBridgePairs): samma
+// 500 m som FIX U:s tvingade väntan (StatusService) gäller inom.
+const CLOSE_PAIR_MAX_GAP_M = 500;
+// En båt så här långt bortom vattenvägens yttersta punkt har lämnat den
+// (VesselLifecycleManagers utträdesgräns: 300 m, som trigger-zonen).
+const END_EXIT_MARGIN_M = 300;
+
+/**
+ * Id:n för alla profiler på disk.
+ * @returns {string[]}
+ */
+function listProfiles() {
+  try {
+    return fs.readdirSync(PROFILE_DIR)
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => f.slice(0, -'.json'.length))
+      .filter((id) => ID_RE.test(id))
+      .sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Läs en profil. Id:t måste finnas i listProfiles() (ingen godtycklig sökväg).
+ * @param {string} id
+ * @returns {Object|null} en fristående kopia, eller null om profilen saknas/är trasig
+ */
+function loadProfile(id) {
+  if (typeof id !== 'string' || !listProfiles().includes(id)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, `${id}.json`), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Rundad box som täcker varje bros och trigger-punkts detektionscirkel,
+ * förtöjningszonernas ändpunkter och slussportarnas köcirklar (en sluss
+ * utanför boxen vore osynlig för modellen). Centerlinjen räknas INTE — den ritas en bit
+ * förbi Stallbackabron och skulle flytta ostkanten en hel hundradel för
+ * positioner som ändå ligger utanför varje cirkel.
+ * @param {Object} profile
+ * @returns {{NORTH: number, SOUTH: number, EAST: number, WEST: number}|null}
+ */
+function deriveBoundingBox(profile) {
+  if (profile && profile.boundingBox) return { ...profile.boundingBox };
+  const circles = [];
+  for (const p of [...Object.values((profile && profile.bridges) || {}),
+    ...Object.values((profile && profile.triggerPoints) || {})]) {
+    circles.push({ lat: p.lat, lon: p.lon, r: p.radius || 0 });
+  }
+  for (const z of (profile && profile.mooringZones) || []) {
+    circles.push({ lat: z.start.lat, lon: z.start.lon, r: z.radiusM || 0 });
+    circles.push({ lat: z.end.lat, lon: z.end.lon, r: z.radiusM || 0 });
+  }
+  for (const lock of Object.values((profile && profile.locks) || {})) {
+    for (const gate of [lock.upperGate, lock.lowerGate]) {
+      circles.push({ lat: gate && gate.lat, lon: gate && gate.lon, r: lock.queueRadiusM || 0 });
+    }
+  }
+  if (circles.length === 0 || !circles.every((c) => Number.isFinite(c.lat) && Number.isFinite(c.lon))) {
+    return null;
+  }
+  let north = -Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let west = Infinity;
+  for (const c of circles) {
+    const dLat = c.r / M_PER_DEG_LAT;
+    const dLon = c.r / (M_PER_DEG_LAT * Math.cos(c.lat * (Math.PI / 180)));
+    north = Math.max(north, c.lat + dLat);
+    south = Math.min(south, c.lat - dLat);
+    east = Math.max(east, c.lon + dLon);
+    west = Math.min(west, c.lon - dLon);
+  }
+  // Avrundning i heltal hundradelar — undviker 58.32000000000001.
+  const up = (v) => Math.ceil(v / BOX_STEP_DEG - 1e-9) / (1 / BOX_STEP_DEG);
+  const down = (v) => Math.floor(v / BOX_STEP_DEG + 1e-9) / (1 / BOX_STEP_DEG);
+  return {
+    NORTH: up(north), SOUTH: down(south), EAST: up(east), WEST: down(west),
+  };
+}
+
+/**
+ * Broar som aldrig kan bli målbro (profilens broar minus targetBridges).
+ * @param {Object} profile
+ * @returns {string[]} namn, i farledens ordning
+ */
+function intermediateBridges(profile) {
+  const targets = new Set(profile.targetBridges || []);
+  return (profile.sequence || [])
+    .map((id) => profile.bridges[id] && profile.bridges[id].name)
+    .filter((name) => name && !targets.has(name));
+}
+
+/**
+ * Profilens målbroar i farledens ordning (syd → nord): första namnet är
+ * sydgående resors sista målbro, det sista nordgåendes.
+ * @param {Object} profile
+ * @returns {string[]} namn
+ */
+function targetBridgesInOrder(profile) {
+  const targets = new Set(profile.targetBridges || []);
+  return (profile.sequence || [])
+    .map((id) => profile.bridges[id] && profile.bridges[id].name)
+    .filter((name) => name && targets.has(name));
+}
+
+/**
+ * Nära bropar: grannbroar i ordningen vars brogap är högst
+ * CLOSE_PAIR_MAX_GAP_M. En bro med två nära grannar paras med den närmaste.
+ * @param {Object} profile
+ * @returns {Object<string, string>} namn → parbrons namn, åt båda hållen
+ */
+function closeBridgePairs(profile) {
+  const pairs = {};
+  const pairGap = {};
+  const sequence = profile.sequence || [];
+  for (let i = 0; i < sequence.length - 1; i++) {
+    const a = profile.bridges[sequence[i]];
+    const b = profile.bridges[sequence[i + 1]];
+    const gap = (profile.gaps || {})[`${sequence[i]}-${sequence[i + 1]}`];
+    if (!a || !b || !Number.isFinite(gap) || gap > CLOSE_PAIR_MAX_GAP_M) continue;
+    for (const [from, to] of [[a.name, b.name], [b.name, a.name]]) {
+      if (!(from in pairGap) || gap < pairGap[from]) {
+        pairGap[from] = gap;
+        pairs[from] = to;
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Den höga brons namn (profilens highBridge), null om profilen saknar en.
+ * @param {Object} profile
+ * @returns {string|null}
+ */
+function highBridgeName(profile) {
+  const bridge = profile && profile.highBridge ? (profile.bridges || {})[profile.highBridge] : null;
+  return bridge ? bridge.name : null;
+}
+
+/**
+ * Vattenvägens ändar: yttersta bron åt vardera hållet i farledens ordning,
+ * trigger-punkten som ligger bortom den (t.ex. Kanalinfarten söder om
+ * Olidebron) och latituden där en båt har lämnat vattenvägen —
+ * END_EXIT_MARGIN_M bortom den yttersta punkten, på fyra decimaler.
+ * Profilerna förutsätter en farled i nord–sydlig riktning (ordningen går
+ * syd → nord), precis som riktningslogiken.
+ * @param {Object} profile
+ * @returns {{north: {bridge: string|null, triggerPoint: string|null, exitLat: number|null},
+ *   south: {bridge: string|null, triggerPoint: string|null, exitLat: number|null}}}
+ */
+function waterwayEnds(profile) {
+  const sequence = (profile && profile.sequence) || [];
+  const bridges = (profile && profile.bridges) || {};
+  const southBridge = bridges[sequence[0]] || null;
+  const northBridge = bridges[sequence[sequence.length - 1]] || null;
+  const points = Object.entries((profile && profile.triggerPoints) || {});
+  const margin = END_EXIT_MARGIN_M / M_PER_DEG_LAT;
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+  const end = (bridge, beyond, sign) => {
+    if (!bridge) return { bridge: null, triggerPoint: null, exitLat: null };
+    const [id, point] = points.find(([, p]) => p && beyond(p.lat, bridge.lat)) || [null, null];
+    const outermost = point ? point.lat : bridge.lat;
+    return { bridge: bridge.name, triggerPoint: id, exitLat: round(outermost + sign * margin) };
+  };
+  return {
+    north: end(northBridge, (lat, ref) => lat > ref, 1),
+    south: end(southBridge, (lat, ref) => lat < ref, -1),
+  };
+}
+
+/**
+ * Profilnivåns kontroller — det BridgeRegistry.validateConfiguration inte
+ * redan prövar per bro: id, ordning, målbroar, brogap, trigger-punkter,
+ * förtöjningszoner, slussar, centerlinje och boxen.
+ * @param {Object} profile
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+function validateProfile(profile) {
+  const errors = [];
+  const warnings = [];
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: ['Waterway profile is not an object'], warnings };
+  }
+  if (typeof profile.id !== 'string' || !ID_RE.test(profile.id)) {
+    errors.push(`Waterway profile id '${profile.id}' must match ${ID_RE}`);
+  }
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    errors.push('Waterway profile is missing a name');
+  }
+  const bridges = profile.bridges && typeof profile.bridges === 'object' ? profile.bridges : null;
+  if (!bridges || Object.keys(bridges).length === 0) {
+    errors.push('Waterway profile has no bridges');
+    return { valid: false, errors, warnings };
+  }
+
+  const sequence = Array.isArray(profile.sequence) ? profile.sequence : [];
+  for (const id of Object.keys(bridges)) {
+    if (!ID_RE.test(id)) errors.push(`Bridge id '${id}' must match ${ID_RE}`);
+    if (!sequence.includes(id)) errors.push(`Bridge '${id}' is missing from the sequence`);
+  }
+
+  const names = new Set(Object.values(bridges).map((b) => b && b.name));
+  if (!Array.isArray(profile.targetBridges)) {
+    errors.push('Waterway profile targetBridges must be an array of bridge names');
+  } else {
+    for (const name of profile.targetBridges) {
+      if (!names.has(name)) errors.push(`Target bridge '${name}' is not a bridge in the profile`);
+    }
+  }
+
+  const gaps = profile.gaps || {};
+  for (let i = 0; i < sequence.length - 1; i++) {
+    const key = `${sequence[i]}-${sequence[i + 1]}`;
+    const gap = gaps[key];
+    if (!Number.isFinite(gap) || gap <= 0) {
+      errors.push(`Gap '${key}' must be a positive number of metres`);
+      continue;
+    }
+    const a = bridges[sequence[i]];
+    const b = bridges[sequence[i + 1]];
+    const d = a && b ? calculateDistance(a.lat, a.lon, b.lat, b.lon) : null;
+    // Gapen är fågelvägen bro-till-bro (se BRIDGE_GAPS) — samma 10 m-tolerans
+    // som helgranskningens låstest.
+    if (Number.isFinite(d) && Math.abs(d - gap) > 10) {
+      warnings.push(`Gap '${key}' is ${gap} m but the coordinates are ${Math.round(d)} m apart`);
+    }
+  }
+
+  for (const [id, point] of Object.entries(profile.triggerPoints || {})) {
+    if (bridges[id]) errors.push(`Trigger point '${id}' collides with a bridge id`);
+    if (!point || typeof point.name !== 'string' || !Number.isFinite(point.lat)
+        || !Number.isFinite(point.lon) || !Number.isFinite(point.radius)) {
+      errors.push(`Trigger point '${id}' needs name, lat, lon and radius`);
+    } else if (names.has(point.name)) {
+      errors.push(`Trigger point '${id}' reuses the bridge name '${point.name}'`);
+    }
+  }
+
+  for (const [i, zone] of (profile.mooringZones || []).entries()) {
+    const ok = zone && typeof zone.name === 'string'
+      && zone.start && Number.isFinite(zone.start.lat) && Number.isFinite(zone.start.lon)
+      && zone.end && Number.isFinite(zone.end.lat) && Number.isFinite(zone.end.lon)
+      && Number.isFinite(zone.radiusM) && zone.radiusM > 0;
+    if (!ok) errors.push(`Mooring zone #${i} needs name, start, end and a positive radiusM`);
+  }
+
+  if (profile.highBridge !== undefined) {
+    const high = bridges[profile.highBridge];
+    if (!high) {
+      errors.push(`High bridge '${profile.highBridge}' is not a bridge id in the profile`);
+    } else if ((profile.targetBridges || []).includes(high.name)) {
+      errors.push(`High bridge '${profile.highBridge}' never opens and cannot be a target bridge`);
+    }
+  }
+
+  const isPoint = (p) => Boolean(p) && Number.isFinite(p.lat) && Number.isFinite(p.lon);
+  for (const [id, lock] of Object.entries(profile.locks || {})) {
+    if (bridges[id] || (profile.triggerPoints || {})[id]) errors.push(`Lock '${id}' collides with a bridge or trigger point id`);
+    const ok = lock && typeof lock.name === 'string' && isPoint(lock.upperGate) && isPoint(lock.lowerGate)
+      && Number.isFinite(lock.queueRadiusM) && lock.queueRadiusM > 0
+      && Number.isFinite(lock.defaultCycleMinutes) && lock.defaultCycleMinutes > 0;
+    if (!ok) {
+      errors.push(`Lock '${id}' needs name, upperGate, lowerGate, a positive queueRadiusM and defaultCycleMinutes`);
+    } else if (names.has(lock.name)) {
+      errors.push(`Lock '${id}' reuses the bridge name '${lock.name}'`);
+    }
+  }
+
+  const line = profile.fairwayCenterline;
+  if (line !== undefined) {
+    if (!Array.isArray(line) || line.length < 2
+        || !line.every((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))) {
+      errors.push('fairwayCenterline must be at least two [lat, lon] points');
+    }
+  } else {
+    warnings.push('Waterway profile has no fairwayCenterline — distances fall back to straight lines');
+  }
+
+  const box = deriveBoundingBox(profile);
+  if (!box || !(box.NORTH > box.SOUTH) || !(box.EAST > box.WEST)) {
+    errors.push('Waterway profile bounding box is empty or inverted');
+  } else {
+    for (const [id, b] of Object.entries(bridges)) {
+      if (!b || b.lat < box.SOUTH || b.lat > box.NORTH || b.lon < box.WEST || b.lon > box.EAST) {
+        errors.push(`Bridge '${id}' lies outside the bounding box`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  listProfiles,
+  loadProfile,
+  deriveBoundingBox,
+  intermediateBridges,
+  targetBridgesInOrder,
+  closeBridgePairs,
+  highBridgeName,
+  waterwayEnds,
+  validateProfile,
+};
@@ -318,6 +318,10 @@ const mockHomey = {
     getConditionCard: (id) => {
       return new MockFlowCard();
     },
+
+    getActionCard: (id) => {
+      return new MockFlowCard();
+    },
   },
 
   drivers: {
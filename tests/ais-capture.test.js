@@ -0,0 +1,337 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * AIS-inspelning i appen (ais_capture_enabled, AISCaptureService):
+ * replay-raderna till roterande gzip-segment med tak och åldersgallring,
+ * nedladdningsbara via GET /captures/:id i exakt det jsonl-format
+ * replayRunner.js läser.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const api = require('../api');
+const AISCaptureService = require('../lib/services/AISCaptureService');
+const { BRIDGES } = require('../lib/constants');
+
+const KLAFF = BRIDGES.klaffbron;
+const T0 = Date.parse('2026-10-19T20:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+const quietLogger = () => ({ log: jest.fn(), debug: jest.fn(), error: jest.fn() });
+
+const sample = (i, t = T0) => ({
+  mmsi: '265000022',
+  msgType: 'PositionReport',
+  lat: KLAFF.lat - 0.001 * i,
+  lon: KLAFF.lon,
+  sog: 5,
+  cog: 30,
+  navStatus: null,
+  shipName: 'INSPELAD',
+  aisTimestamp: t + i * 10000,
+  fixTs: t + i * 10000,
+  feed: 'aisstream',
+  receivedAt: new Date(t + i * 10000).toISOString(),
+});
+
+describe('AISCaptureService', () => {
+  let dir;
+  let clock;
+  let logger;
+
+  const makeService = async (config = {}) => {
+    const svc = new AISCaptureService({
+      dir, logger, now: () => clock, config,
+    });
+    await svc.setEnabled(true);
+    return svc;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ais-capture-'));
+    clock = T0;
+    logger = quietLogger();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('avstängd inspelning skriver ingenting', async () => {
+    const svc = new AISCaptureService({ dir, logger, now: () => clock });
+    svc.record(sample(0));
+    expect(await svc.flush()).toBe(0);
+    expect(await svc.listSegments()).toEqual([]);
+  });
+
+  test('flera flushar i samma segment läses tillbaka som replayRunner-jsonl', async () => {
+    const svc = await makeService();
+    svc.record(sample(0));
+    svc.record(sample(1));
+    expect(await svc.flush()).toBe(2);
+    clock += 30000;
+    svc.record(sample(2));
+    svc.record({ lat: 1 }); // utan mmsi — ingen replay-rad
+
+    const [segment] = await svc.listSegments();
+    expect(segment).toMatchObject({ id: '20261019T200000000Z', startedAt: T0, active: true });
+
+    // readSegment flushar det aktiva segmentet först.
+    const read = await svc.readSegment(segment.id);
+    expect(read.lines).toBe(3);
+    expect(read.truncated).toBe(false);
+    // Samma tolkning som replayRunner.js.
+    const parsed = read.jsonl.trim().split('\n').filter(Boolean).map((l) => JSON.parse(l));
+    expect(parsed).toEqual([sample(0), sample(1), sample(2)]);
+
+    // Filen på disk är giltig gzip (flera medlemmar) — gunzip -c ger samma jsonl.
+    const file = path.join(dir, 'ais-capture-20261019T200000000Z.jsonl.gz');
+    expect(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8')).toBe(read.jsonl);
+  });
+
+  test('flush blockerar inte: bufferten tas direkt, skrivningarna köas i anropsordning', async () => {
+    const svc = await makeService();
+    svc.record(sample(0));
+    const first = svc.flush();
+    // Ingenting på disk ännu — skrivningen väntar på händelseloopen.
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(svc._buffer).toEqual([]);
+    svc.record(sample(1));
+    const second = svc.flush();
+    svc.record(sample(2));
+    const third = svc.flush();
+    expect(await Promise.all([first, second, third])).toEqual([1, 1, 1]);
+
+    const [segment] = await svc.listSegments();
+    const read = await svc.readSegment(segment.id);
+    expect(read.jsonl.trim().split('\n').map((l) => JSON.parse(l).lat))
+      .toEqual([sample(0).lat, sample(1).lat, sample(2).lat]);
+    expect((await svc.getStats()).flushes).toBe(3);
+  });
+
+  test('segmentet roteras efter SEGMENT_MAX_MS och vid storlekstaket', async () => {
+    const svc = await makeService({ SEGMENT_MAX_BYTES: 1024 * 1024 });
+    svc.record(sample(0));
+    await svc.flush();
+    clock += HOUR;
+    svc.record(sample(1, clock));
+    await svc.flush();
+    expect((await svc.listSegments()).map((s) => s.id)).toEqual(['20261019T200000000Z', '20261019T210000000Z']);
+
+    svc.config.SEGMENT_MAX_BYTES = 1;
+    clock += 1000;
+    svc.record(sample(2, clock));
+    await svc.flush();
+    const segments = await svc.listSegments();
+    expect(segments).toHaveLength(3);
+    expect(segments.filter((s) => s.active).map((s) => s.id)).toEqual(['20261019T210001000Z']);
+  });
+
+  test('en ny session börjar ett nytt segment och skriver aldrig i ett gammalt', async () => {
+    const first = await makeService();
+    first.record(sample(0));
+    await first.close();
+    const second = await makeService();
+    second.record(sample(1));
+    await second.flush();
+    const segments = await second.listSegments();
+    expect(segments).toHaveLength(2);
+    expect(segments[1].id).toBe('20261019T200000001Z');
+    expect((await second.readSegment(segments[0].id)).lines).toBe(1);
+  });
+
+  test('gallring: ålder och totaltak, äldst först — det aktiva segmentet skonas', async () => {
+    const svc = await makeService({ MAX_AGE_MS: 3 * HOUR });
+    const hours = async () => (await svc.listSegments()).map((s) => s.id.slice(9, 11));
+    for (let h = 0; h < 4; h++) {
+      svc.record(sample(h, clock));
+      await svc.flush();
+      clock += HOUR;
+    }
+    // Fyra segment 20–23; vid flushen 00:00 har 20:00 passerat 3 h.
+    svc.record(sample(4, clock));
+    await svc.flush();
+    expect(await hours()).toEqual(['21', '22', '23', '00']);
+
+    // Gallringen körs även vid påslag (då finns inget aktivt segment).
+    const total = (await svc.listSegments()).reduce((sum, s) => sum + s.bytes, 0);
+    svc.config.MAX_TOTAL_BYTES = total - 1;
+    await svc.setEnabled(false);
+    await svc.setEnabled(true);
+    expect(await hours()).toEqual(['22', '23', '00']);
+
+    svc.config.MAX_TOTAL_BYTES = 0;
+    svc.record(sample(6, clock));
+    await svc.flush();
+    expect(await svc.listSegments()).toEqual([expect.objectContaining({ active: true })]);
+    expect((await svc.getStats()).segmentsDeleted).toBe(5);
+  });
+
+  test('readSegment tar bara segment-id — aldrig en sökväg', async () => {
+    const svc = await makeService();
+    fs.writeFileSync(path.join(dir, 'hemlig.jsonl.gz'), zlib.gzipSync('{}\n'));
+    expect(await svc.readSegment('../hemlig')).toBeNull();
+    expect(await svc.readSegment('20261019T200000000Z')).toBeNull(); // finns inte
+    expect(await svc.readSegment(null)).toBeNull();
+  });
+
+  test('readSegment packar upp högst READ_MAX_BYTES och kapar vid hel rad', async () => {
+    const svc = await makeService();
+    for (let i = 0; i < 50; i++) svc.record(sample(i));
+    await svc.flush();
+    const [segment] = await svc.listSegments();
+    const full = await svc.readSegment(segment.id);
+    const tenLines = full.jsonl.split('\n').slice(0, 10).join('\n').length + 1;
+
+    svc.config.READ_MAX_BYTES = tenLines + 5;
+    const capped = await svc.readSegment(segment.id);
+    expect(capped.truncated).toBe(true);
+    expect(capped.lines).toBe(10);
+    expect(capped.jsonl).toBe(full.jsonl.slice(0, capped.jsonl.length));
+    expect(capped.jsonl.endsWith('\n')).toBe(true);
+    expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('kapat'));
+  });
+
+  test('skrivfel fäller aldrig pipelinen: loggas en gång, bufferten kastas', async () => {
+    const blocker = path.join(dir, 'fil');
+    fs.writeFileSync(blocker, '');
+    const svc = new AISCaptureService({ dir: path.join(blocker, 'under'), logger, now: () => clock });
+    await svc.setEnabled(true);
+    svc.record(sample(0));
+    expect(await svc.flush()).toBe(0);
+    svc.record(sample(1));
+    expect(await svc.flush()).toBe(0);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+    expect(await svc.getStats()).toMatchObject({ buffered: 0, writeErrors: 2 });
+  });
+
+  test('bufferten flushar själv vid FLUSH_MAX_LINES', async () => {
+    const svc = await makeService({ FLUSH_MAX_LINES: 3 });
+    svc.record(sample(0));
+    svc.record(sample(1));
+    expect(await svc.listSegments()).toEqual([]);
+    svc.record(sample(2));
+    await svc.flush();
+    expect(await svc.getStats()).toMatchObject({ buffered: 0, flushes: 1, samples: 3 });
+  });
+});
+
+describe('appen: ais_capture_enabled och GET /captures', () => {
+  let app = null;
+  let dir;
+
+  const bootApp = async (settings = {}) => {
+    const instance = new AISBridgeApp();
+    instance.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await instance.onInit();
+    return instance;
+  };
+
+  // Väntar ut UI-cykelns setImmediate — annars kör den efter onUninit.
+  const feed = async (instance, i) => {
+    const t = Date.now();
+    instance._processAISMessage({
+      mmsi: '265000022',
+      msgType: 'PositionReport',
+      lat: KLAFF.lat - 0.008 + 0.001 * i,
+      lon: KLAFF.lon - 0.004,
+      sog: 5,
+      cog: 30,
+      shipName: 'INSPELAD',
+      timestamp: t,
+      fixTs: t,
+      fixFeed: 'aisstream',
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  const call = (route, params = {}) => api[route]({ homey: { app }, query: {}, params });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ais-capture-app-'));
+    process.env.AIS_CAPTURE_DIR = dir;
+  });
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+    delete process.env.AIS_CAPTURE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('av som standard: inga segment', async () => {
+    app = await bootApp();
+    await feed(app, 0);
+    await app.aisCaptureService.flush();
+    const listing = await call('getCaptures');
+    expect(listing.stats).toMatchObject({ enabled: false, samples: 0 });
+    expect(listing.segments).toEqual([]);
+  });
+
+  test('på: de normaliserade raderna (fixTs/feed) hämtas som replay-jsonl', async () => {
+    app = await bootApp({ ais_capture_enabled: true });
+    await feed(app, 0);
+    await feed(app, 1);
+
+    const listing = await call('getCaptures');
+    expect(listing.stats).toMatchObject({ enabled: true, samples: 2, buffered: 2 });
+
+    // Det aktiva segmentet flushas vid första skrivningen och vid nedladdning.
+    await app.aisCaptureService.flush();
+    const [segment] = (await call('getCaptures')).segments;
+    const download = await call('getCapture', { id: segment.id });
+    const rows = download.jsonl.trim().split('\n').map((l) => JSON.parse(l));
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      mmsi: '265000022',
+      shipName: 'INSPELAD',
+      feed: 'aisstream',
+      fixTs: expect.any(Number),
+      aisTimestamp: expect.any(Number),
+      receivedAt: expect.any(String),
+    });
+    expect(await call('getCapture', { id: '../../etc/passwd' })).toBeNull();
+  });
+
+  test('avslag via inställningen stänger segmentet; onUninit skriver bufferten', async () => {
+    app = await bootApp({ ais_capture_enabled: true });
+    await feed(app, 0);
+    mockHomey.app.settings.ais_capture_enabled = false;
+    app._onSettingsChanged('ais_capture_enabled');
+    expect(app.aisCaptureService.isEnabled()).toBe(false);
+    await feed(app, 1);
+    // Avslagets skrivning ligger i skrivkön; en tom flush väntar ut den.
+    await app.aisCaptureService.flush();
+    const [segment] = await app.aisCaptureService.listSegments();
+    expect((await app.aisCaptureService.readSegment(segment.id)).lines).toBe(1);
+
+    mockHomey.app.settings.ais_capture_enabled = true;
+    app._onSettingsChanged('ais_capture_enabled');
+    await feed(app, 2);
+    await app.onUninit();
+    const reread = new AISCaptureService({ dir });
+    const segments = await reread.listSegments();
+    expect(segments).toHaveLength(2);
+    expect((await reread.readSegment(segments[1].id)).lines).toBe(1);
+    app = null;
+  });
+});
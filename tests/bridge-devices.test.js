@@ -0,0 +1,263 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Per-bro-enheter (drivers/bridge): manifestet, pairing-listan, värdena ur
+ * UI-snapshotens projektion och att skrivningarna går genom den
+ * serialiserade kedjan med egen dedup per bro.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeDriver = require('../drivers/bridge/driver');
+const BridgeDevice = require('../drivers/bridge/device');
+const appJson = require('../app.json');
+const driverCompose = require('../drivers/bridge/driver.compose.json');
+const { BRIDGES, BRIDGE_DEVICE } = require('../lib/constants');
+
+const KLAFF = BRIDGES.klaffbron;
+
+const bootApp = async () => {
+  const app = new AISBridgeApp();
+  app.homey = mockHomey;
+  mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+  mockHomey.settings = {
+    get: (key) => mockHomey.app.settings[key] || null,
+    set: (key, value) => {
+      mockHomey.app.settings[key] = value;
+    },
+    on: () => {},
+    off: () => {},
+  };
+  global.__TEST_MODE__ = true;
+  await app.onInit();
+  return app;
+};
+
+const makeBridgeDevice = (bridge) => ({
+  getData: () => ({ id: `bridge_${bridge}`, bridge }),
+  getName: () => bridge,
+  setCapabilityValue: jest.fn().mockResolvedValue(undefined),
+});
+
+const drainWrites = (app) => Promise.all([...(app._capWriteChains || new Map()).values()]);
+
+const written = (device) => device.setCapabilityValue.mock.calls.reduce((acc, [cap, value]) => {
+  acc[cap] = value;
+  return acc;
+}, {});
+
+describe('Per-bro-enheter: manifestet', () => {
+  test('driver.compose.json och app.json bär samma capabilities som BRIDGE_DEVICE', () => {
+    const driver = appJson.drivers.find((d) => d.id === 'bridge');
+    expect(driver).toBeTruthy();
+    expect(driver.capabilities).toEqual(driverCompose.capabilities);
+    expect(driverCompose.capabilities).toEqual(BRIDGE_DEVICE.CAPABILITIES);
+  });
+
+  test('de egna capabilities är deklarerade (sv+en), numeriska med Insights', () => {
+    for (const id of ['measure_eta_minutes', 'vessel_count', 'next_opening_at', 'road_closes_at', 'road_reopens_at']) {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      const compose = require(`../.homeycompose/capabilities/${id}.json`);
+      expect(appJson.capabilities[id]).toEqual(compose);
+      expect(compose.title.sv).toBeTruthy();
+      expect(compose.title.en).toBeTruthy();
+    }
+    expect(appJson.capabilities.measure_eta_minutes).toMatchObject({ type: 'number', insights: true });
+    expect(appJson.capabilities.vessel_count).toMatchObject({ type: 'number', insights: true });
+    expect(appJson.capabilities.next_opening_at.type).toBe('string');
+  });
+
+  test('pairing listar en enhet per bro med bro-id i data', async () => {
+    const driver = new BridgeDriver();
+    const devices = await driver.onPairListDevices();
+    expect(devices.map((d) => d.data.bridge)).toEqual(BRIDGE_DEVICE.BRIDGE_IDS);
+    expect(devices.find((d) => d.data.bridge === 'klaffbron').name).toBe('Klaffbron');
+    expect(new Set(devices.map((d) => d.data.id)).size).toBe(devices.length);
+    expect(BRIDGE_DEVICE.BRIDGE_IDS).not.toContain('stallbackabron');
+  });
+});
+
+describe('Per-bro-enheter: värden och skrivkedjan', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('Klaffbron och Stridsbergsbron får var sina värden', async () => {
+    app = await bootApp();
+    const klaff = makeBridgeDevice('klaffbron');
+    const strids = makeBridgeDevice('stridsbergsbron');
+    app.addBridgeDevice(klaff);
+    app.addBridgeDevice(strids);
+
+    app._updateBridgeDevices([
+      { mmsi: '1', targetBridge: 'Klaffbron', etaMinutes: 12.4 },
+      { mmsi: '2', targetBridge: 'Klaffbron', etaMinutes: 6.6 },
+      { mmsi: '3', targetBridge: 'Stallbackabron', currentBridge: null },
+    ]);
+    await drainWrites(app);
+
+    expect(written(klaff)).toMatchObject({
+      alarm_generic: true,
+      measure_eta_minutes: 7, // ledbåten (lägst ETA), avrundad
+      vessel_count: 2,
+    });
+    expect(written(klaff).next_opening_at).toMatch(/^\d{2}:\d{2}$/);
+    expect(written(strids)).toEqual({
+      alarm_generic: false,
+      measure_eta_minutes: null,
+      vessel_count: 0,
+      next_opening_at: BRIDGE_DEVICE.NO_OPENING_TEXT,
+      road_closes_at: BRIDGE_DEVICE.NO_OPENING_TEXT,
+      road_reopens_at: BRIDGE_DEVICE.NO_OPENING_TEXT,
+    });
+    // Den kombinerade enhetens Set berörs aldrig.
+    expect(app._devices.has(klaff)).toBe(false);
+  });
+
+  test('oförändrade värden skrivs inte om; misslyckad skrivning tvingar omskrivning', async () => {
+    app = await bootApp();
+    const klaff = makeBridgeDevice('klaffbron');
+    app.addBridgeDevice(klaff);
+    const vessels = [{ mmsi: '1', targetBridge: 'Klaffbron', etaMinutes: 5 }];
+
+    app._updateBridgeDevices(vessels);
+    await drainWrites(app);
+    expect(klaff.setCapabilityValue).toHaveBeenCalledTimes(BRIDGE_DEVICE.CAPABILITIES.length);
+    expect(app._bridgeDevicesNeedWrite()).toBe(false);
+
+    app._updateBridgeDevices(vessels);
+    await drainWrites(app);
+    expect(klaff.setCapabilityValue).toHaveBeenCalledTimes(BRIDGE_DEVICE.CAPABILITIES.length);
+
+    klaff.setCapabilityValue.mockRejectedValueOnce(new Error('IPC'));
+    app._updateBridgeDevices([{ mmsi: '1', targetBridge: 'Klaffbron', etaMinutes: 9 }]);
+    await drainWrites(app);
+    expect(app._lastBridgeDeviceValues.has('klaffbron:measure_eta_minutes')).toBe(false);
+    expect(app._bridgeDevicesNeedWrite()).toBe(true);
+
+    app._updateBridgeDevices([{ mmsi: '1', targetBridge: 'Klaffbron', etaMinutes: 9 }]);
+    await drainWrites(app);
+    expect(klaff.setCapabilityValue).toHaveBeenLastCalledWith('measure_eta_minutes', 9);
+    expect(app._bridgeDevicesNeedWrite()).toBe(false);
+  });
+
+  test('båt vid mellanbro räknas utan ETA; GPS-hållen båt räknas inte', async () => {
+    app = await bootApp();
+    app.addBridgeDevice(makeBridgeDevice('jarnvagsbron'));
+    app.addBridgeDevice(makeBridgeDevice('stridsbergsbron'));
+    app.vesselDataService.hasGpsJumpHold = (mmsi) => mmsi === '9';
+
+    const states = app._computeBridgeDeviceStates([
+      {
+        mmsi: '1', targetBridge: 'Stridsbergsbron', currentBridge: 'Järnvägsbron', etaMinutes: 3,
+      },
+      { mmsi: '9', targetBridge: 'Stridsbergsbron', etaMinutes: 1 },
+    ]);
+    expect(states.get('jarnvagsbron')).toMatchObject({
+      alarm_generic: true,
+      vessel_count: 1,
+      measure_eta_minutes: null,
+    });
+    expect(states.get('stridsbergsbron')).toMatchObject({ vessel_count: 1, measure_eta_minutes: 3 });
+  });
+
+  test('nästa öppning tas ur öppningsvarningens arm och överlever stale-guarden', async () => {
+    app = await bootApp();
+    app.addBridgeDevice(makeBridgeDevice('klaffbron'));
+    app.bridgeOpeningService._arm({
+      mmsi: '265000003', name: 'ARMAD', sog: 5, cog: 30, lat: KLAFF.lat - 0.01, lon: KLAFF.lon - 0.01,
+    }, { name: 'Klaffbron', lat: KLAFF.lat, lon: KLAFF.lon }, 1200, Date.now());
+    const armMs = app.bridgeOpeningService.getSnapshot().arms[0].expectedArrivalMs;
+    expect(Number.isFinite(armMs)).toBe(true);
+
+    const vessels = [{ mmsi: '265000003', targetBridge: 'Klaffbron', etaMinutes: 90 }];
+    expect(app._computeBridgeDeviceStates(vessels).get('klaffbron').next_opening_at)
+      .toBe(app._formatClockTime(armMs));
+
+    const stale = app._computeBridgeDeviceStates(vessels, { staleGuardActive: true }).get('klaffbron');
+    expect(stale).toMatchObject({ alarm_generic: false, vessel_count: 0, measure_eta_minutes: null });
+    expect(stale.next_opening_at).toBe(app._formatClockTime(armMs));
+  });
+
+  test('UI-cykeln driver enheterna från _findRelevantBoatsForBridgeText', async () => {
+    app = await bootApp();
+    const klaff = makeBridgeDevice('klaffbron');
+    app.addBridgeDevice(klaff);
+    const spy = jest.spyOn(app, '_findRelevantBoatsForBridgeText');
+
+    await app._actuallyUpdateUI();
+    await drainWrites(app);
+
+    expect(spy).toHaveBeenCalled();
+    expect(written(klaff)).toMatchObject({ alarm_generic: false, vessel_count: 0 });
+  });
+
+  test('avregistrering släpper brons enheter och dedup-nycklar', async () => {
+    app = await bootApp();
+    const klaff = makeBridgeDevice('klaffbron');
+    app.addBridgeDevice(klaff);
+    app._updateBridgeDevices([]);
+    await drainWrites(app);
+
+    app.removeBridgeDevice(klaff);
+    expect(app._bridgeDevices.has('klaffbron')).toBe(false);
+    expect([...app._lastBridgeDeviceValues.keys()].some((k) => k.startsWith('klaffbron:'))).toBe(false);
+    expect(app._bridgeDevicesNeedWrite()).toBe(false);
+
+    app.addBridgeDevice({ getData: () => ({ bridge: 'stallbackabron' }), getName: () => 'x' });
+    expect(app._bridgeDevices.size).toBe(0);
+  });
+});
+
+describe('Per-bro-enheter: BridgeDevice', () => {
+  const makeDevice = () => {
+    const device = new BridgeDevice();
+    device.log = jest.fn();
+    device.error = jest.fn();
+    device.getData = () => ({ id: 'bridge_klaffbron', bridge: 'klaffbron' });
+    device.getName = () => 'Klaffbron';
+    device.hasCapability = jest.fn(() => false);
+    device.addCapability = jest.fn().mockResolvedValue(undefined);
+    device.setUnavailable = jest.fn().mockResolvedValue(undefined);
+    const appStub = {
+      _bridgeDevices: new Map(),
+      addBridgeDevice: jest.fn(),
+      removeBridgeDevice: jest.fn(),
+      _updateUI: jest.fn(),
+    };
+    device.homey = { app: appStub };
+    return { device, appStub };
+  };
+
+  test('onInit migrerar capabilities och registrerar enheten; onDeleted avregistrerar', async () => {
+    const { device, appStub } = makeDevice();
+    await device.onInit();
+
+    expect(device.addCapability.mock.calls.map(([c]) => c)).toEqual(BRIDGE_DEVICE.CAPABILITIES);
+    expect(appStub.addBridgeDevice).toHaveBeenCalledWith(device);
+    expect(device._initFailed).toBeUndefined();
+
+    await device.onDeleted();
+    expect(device._initUpdateTimeout).toBeNull();
+    expect(appStub.removeBridgeDevice).toHaveBeenCalledWith(device);
+  });
+
+  test('init-fel → unavailable men registrerad för självläkning', async () => {
+    const { device, appStub } = makeDevice();
+    device.hasCapability = jest.fn(() => {
+      throw new Error('capability check exploded');
+    });
+    await device.onInit();
+
+    expect(device._initFailed).toBe(true);
+    expect(device.setUnavailable).toHaveBeenCalledTimes(1);
+    expect(appStub.addBridgeDevice).toHaveBeenCalledWith(device);
+  });
+});
@@ -231,7 +231,22 @@ describe('Etapp 6: avfyrningsvägen _onBridgeOpeningWarning', () => {
       vessel_name: 'JUNO',
       direction: 'northbound',
       eta_minutes: 4,
+      // Ledbåten finns inte i VDS → intervallet kollapsar på eta_minutes.
+      eta_min_minutes: 4,
+      eta_max_minutes: 4,
       vessel_count: 2,
+      // Payloaden saknar vägavstängningsprognos → sentinelerna.
+      road_closes_minutes: -1,
+      road_reopens_minutes: -1,
+      // Ledbåten har inga kända statiska uppgifter → sentinelerna.
+      ship_type: -1,
+      ship_length: -1,
+      ship_beam: -1,
+      ship_draught: -1,
+      destination: '',
+      call_sign: '',
+      imo: '',
+      simulated: false,
     });
     // state.bridge måste vara dropdown-ID:t, annars matchar run-listenern aldrig.
     expect(calls[0].state.bridge).toBe('klaffbron');
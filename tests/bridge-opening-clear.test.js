@@ -0,0 +1,327 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * bridge_opening_over — öppningsvarningens andra flank. Servicen stänger en
+ * öppning när alla medlemmar passerat/avväpnats och ingen annan båt vid bron
+ * nått sin deadline; appen levererar klarsignalen som Flow-kort.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const { BRIDGES, BRIDGE_OPENING } = require('../lib/constants');
+
+const T0 = 1_700_000_000_000;
+const KLAFF = BRIDGES.klaffbron;
+const CLOSURE_OVERHEAD_MS = BRIDGE_OPENING.CLEAR_CLOSURE_LEAD_MS + BRIDGE_OPENING.CLEAR_CLOSURE_TAIL_MS;
+
+/** Position `distanceM` söder om bron i farleden (se bridge-opening-service.test.js). */
+function posAtDistance(bridge, distanceM, bearingDeg = 220) {
+  const rad = (bearingDeg * Math.PI) / 180;
+  const dLat = (distanceM * Math.cos(rad)) / 111320;
+  const dLon = (distanceM * Math.sin(rad)) / (111320 * Math.cos((bridge.lat * Math.PI) / 180));
+  return { lat: bridge.lat + dLat, lon: bridge.lon + dLon };
+}
+
+function makeVessel(overrides = {}) {
+  const pos = posAtDistance(KLAFF, overrides.distanceM ?? 1000);
+  const now = Date.now();
+  return {
+    mmsi: overrides.mmsi || '265999001',
+    name: overrides.name || 'TESTBÅT',
+    lat: pos.lat,
+    lon: pos.lon,
+    sog: overrides.sog === undefined ? 5 : overrides.sog,
+    cog: 40,
+    timestamp: now,
+    fixTs: now,
+    targetBridge: KLAFF.name,
+    _routeDirection: 'north',
+    _finalTargetDirection: null,
+    _hasMovementProof: true,
+    _moored: overrides._moored === true,
+    etaMinutes: null,
+    passedAt: {},
+    passedBridges: [],
+  };
+}
+
+describe('BridgeOpeningService: bron klar', () => {
+  let svc;
+  let warnings;
+  let clears;
+
+  const clearsFor = (bridgeName) => clears.filter((c) => c.bridge === bridgeName);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    warnings = [];
+    clears = [];
+    svc = new BridgeOpeningService({
+      onWarning: (payload) => warnings.push(payload),
+      onClear: (payload) => clears.push(payload),
+    });
+  });
+
+  afterEach(() => {
+    svc.destroy();
+    jest.useRealTimers();
+  });
+
+  test('en båt: klar direkt vid passagen, avstängning = nominella tillägg', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700, sog: 6 }));
+    expect(warnings.filter((w) => w.bridge === 'Klaffbron')).toHaveLength(1);
+
+    jest.advanceTimersByTime(4 * 60 * 1000);
+    svc.notePassage('111', 'Klaffbron');
+
+    expect(clearsFor('Klaffbron')).toHaveLength(1);
+    expect(clearsFor('Klaffbron')[0]).toMatchObject({
+      vesselCount: 1,
+      mmsis: ['111'],
+      firstPassageAt: Date.now(),
+      lastPassageAt: Date.now(),
+      roadClosureMs: CLOSURE_OVERHEAD_MS,
+    });
+    expect(svc.getStats().clearsFired).toBe(1);
+
+    // Inga fler klarsignaler på senare ticks.
+    for (let i = 0; i < 10; i++) svc.tick();
+    expect(clearsFor('Klaffbron')).toHaveLength(1);
+  });
+
+  test('konvoj: klar först när den sista medlemmen passerat — EN signal', () => {
+    svc.observeVessel(makeVessel({
+      mmsi: '111', name: 'A', distanceM: 700, sog: 6,
+    }));
+    svc.observeVessel(makeVessel({
+      mmsi: '222', name: 'B', distanceM: 900, sog: 6,
+    }));
+    expect(warnings.filter((w) => w.bridge === 'Klaffbron')).toHaveLength(1);
+
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    svc.notePassage('111', 'Klaffbron');
+    const firstAt = Date.now();
+    expect(clearsFor('Klaffbron')).toHaveLength(0);
+
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    svc.notePassage('222', 'Klaffbron');
+
+    expect(clearsFor('Klaffbron')).toHaveLength(1);
+    expect(clearsFor('Klaffbron')[0]).toMatchObject({
+      vesselCount: 2,
+      firstPassageAt: firstAt,
+      lastPassageAt: Date.now(),
+      roadClosureMs: 2 * 60 * 1000 + CLOSURE_OVERHEAD_MS,
+    });
+  });
+
+  test('en annan båt vid sin deadline håller öppningen; båda räknas när den passerat', () => {
+    svc.observeVessel(makeVessel({
+      mmsi: '111', name: 'A', distanceM: 700, sog: 6,
+    }));
+    // C: 900 m i 1 kn ⇒ förväntad ankomst ~29 min bort (egen öppning), men
+    // deadline-fysiken (10 kn) har redan förfallit.
+    svc.observeVessel(makeVessel({
+      mmsi: '333', name: 'C', distanceM: 900, sog: 1,
+    }));
+    expect(new Set(warnings.filter((w) => w.bridge === 'Klaffbron').map((w) => w.eventId)).size).toBe(2);
+
+    svc.notePassage('111', 'Klaffbron');
+    svc.tick();
+    expect(clearsFor('Klaffbron')).toHaveLength(0);
+
+    jest.advanceTimersByTime(60 * 1000);
+    svc.notePassage('333', 'Klaffbron');
+    expect(clearsFor('Klaffbron')).toHaveLength(1);
+    expect(clearsFor('Klaffbron')[0].mmsis.sort()).toEqual(['111', '333']);
+    expect(clearsFor('Klaffbron')[0].eventIds).toHaveLength(2);
+  });
+
+  test('en avväpnad medlem räknas inte men håller inte heller öppningen', () => {
+    svc.observeVessel(makeVessel({
+      mmsi: '111', name: 'A', distanceM: 700, sog: 6,
+    }));
+    svc.observeVessel(makeVessel({
+      mmsi: '222', name: 'B', distanceM: 900, sog: 6,
+    }));
+    svc.notePassage('111', 'Klaffbron');
+    expect(clearsFor('Klaffbron')).toHaveLength(0);
+
+    // B förtöjer långt ut (motbevis) ⇒ avväpnad.
+    svc.observeVessel(makeVessel({
+      mmsi: '222', name: 'B', distanceM: 1500, sog: 0, _moored: true,
+    }));
+    expect(clearsFor('Klaffbron')).toHaveLength(1);
+    expect(clearsFor('Klaffbron')[0]).toMatchObject({ vesselCount: 1, mmsis: ['111'] });
+  });
+
+  test('avfyrad öppning vars enda medlem avväpnas utan passage stängs med noll båtar', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700, sog: 6 }));
+    expect(warnings.filter((w) => w.bridge === 'Klaffbron')).toHaveLength(1);
+    svc.observeVessel(makeVessel({
+      mmsi: '111', distanceM: 1500, sog: 0, _moored: true,
+    }));
+    for (let i = 0; i < 40; i++) {
+      jest.advanceTimersByTime(BRIDGE_OPENING.TICK_INTERVAL_MS);
+      svc.tick();
+    }
+    expect(clears).toHaveLength(1);
+    expect(clears[0]).toMatchObject({
+      bridge: 'Klaffbron',
+      eventIds: [warnings[0].eventId],
+      vesselCount: 0,
+      mmsis: [],
+      firstPassageAt: null,
+      lastPassageAt: null,
+      roadClosureMs: null,
+      closureScores: [],
+    });
+  });
+
+  test('ovarnad öppning utan passage ⇒ ingen klarsignal (inget att stänga)', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 2500, sog: 5 }));
+    expect(warnings).toHaveLength(0);
+    svc.observeVessel(makeVessel({
+      mmsi: '111', distanceM: 2600, sog: 0, _moored: true,
+    }));
+    for (let i = 0; i < 40; i++) {
+      jest.advanceTimersByTime(BRIDGE_OPENING.TICK_INTERVAL_MS);
+      svc.tick();
+    }
+    expect(warnings).toHaveLength(0);
+    expect(clears).toHaveLength(0);
+  });
+
+  test('en kastande onClear dödar inte utvärderingen', () => {
+    const logger = {
+      log: jest.fn(), debug: jest.fn(), error: jest.fn(),
+    };
+    const throwing = new BridgeOpeningService({
+      logger,
+      onClear: () => {
+        throw new Error('boom');
+      },
+    });
+    throwing.observeVessel(makeVessel({ mmsi: '111', distanceM: 700, sog: 6 }));
+    expect(() => throwing.notePassage('111', 'Klaffbron')).not.toThrow();
+    expect(logger.error).toHaveBeenCalled();
+    throwing.destroy();
+  });
+});
+
+describe('bridge_opening_over: appen', () => {
+  let app = null;
+
+  const bootApp = async () => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  /** Kör produktionens väg förbi testgrinden (se bridge-opening-app-integration.test.js). */
+  const withRealFlowGate = async (fn) => {
+    const savedEnv = process.env.NODE_ENV;
+    const savedMode = global.__TEST_MODE__;
+    process.env.NODE_ENV = 'production';
+    global.__TEST_MODE__ = undefined;
+    try {
+      return await fn();
+    } finally {
+      process.env.NODE_ENV = savedEnv;
+      global.__TEST_MODE__ = savedMode;
+    }
+  };
+
+  const payload = (overrides = {}) => ({
+    t: Date.now(),
+    bridge: 'Klaffbron',
+    eventIds: ['Klaffbron#1'],
+    vesselCount: 2,
+    mmsis: ['111', '222'],
+    firstPassageAt: Date.now() - 4 * 60 * 1000,
+    lastPassageAt: Date.now() - 60 * 1000,
+    roadClosureMs: 8 * 60 * 1000,
+    ...overrides,
+  });
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('servicens onClear når kortet med tokens och state', async () => {
+    await bootApp();
+    expect(app._bridgeClearTrigger).toBeTruthy();
+    expect(app._bridgeClearTrigger).not.toBe(app._bridgeOpeningTrigger);
+
+    const p = payload();
+    await withRealFlowGate(async () => {
+      app.bridgeOpeningService._onClear(p);
+    });
+
+    const calls = app._bridgeClearTrigger.triggerCalls;
+    expect(calls).toHaveLength(1);
+    expect(calls[0].tokens).toEqual({
+      bridge_name: 'Klaffbron',
+      vessel_count: 2,
+      first_passage_time: app._formatClockTime(p.firstPassageAt),
+      last_passage_time: app._formatClockTime(p.lastPassageAt),
+      road_closure_minutes: 8,
+      simulated: false,
+    });
+    expect(calls[0].state).toEqual({ bridge: 'klaffbron', eventIds: ['Klaffbron#1'], mmsis: ['111', '222'] });
+  });
+
+  test('nollbåtsstängning: tomma tider och okänd vägavstängning', async () => {
+    await bootApp();
+    await withRealFlowGate(async () => {
+      app.bridgeOpeningService._onClear(payload({
+        vesselCount: 0, mmsis: [], firstPassageAt: null, lastPassageAt: null, roadClosureMs: null,
+      }));
+    });
+
+    const calls = app._bridgeClearTrigger.triggerCalls;
+    expect(calls).toHaveLength(1);
+    expect(calls[0].tokens).toEqual({
+      bridge_name: 'Klaffbron',
+      vessel_count: 0,
+      first_passage_time: '',
+      last_passage_time: '',
+      road_closure_minutes: -1,
+      simulated: false,
+    });
+  });
+
+  test('testgrinden avfyrar inget', async () => {
+    await bootApp();
+    app._onBridgeOpeningClear(payload());
+    expect(app._bridgeClearTrigger.triggerCalls).toHaveLength(0);
+  });
+
+  test('run-listenern: alla broar eller exakt bro', async () => {
+    await bootApp();
+    const listener = app._bridgeClearTrigger.runListeners[0];
+    const state = { bridge: 'klaffbron' };
+    await expect(listener({ bridge: 'any' }, state)).resolves.toBe(true);
+    await expect(listener({ bridge: { id: 'klaffbron' } }, state)).resolves.toBe(true);
+    await expect(listener({ bridge: 'stridsbergsbron' }, state)).resolves.toBe(false);
+    await expect(listener({}, state)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Öppningsrestriktioner (settings bridge_restrictions, BridgeRestrictionService):
+ * rusningsfönster, säsongstider och helgdagar skjuter den förutsagda
+ * öppningen till fönstrets slut — i ETA:n, i öppningsvarningens deadline och
+ * i brotexten ("uppskjuten av öppningsrestriktion").
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeRestrictionService = require('../lib/services/BridgeRestrictionService');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const BridgeTextService = require('../lib/services/BridgeTextService');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const { translateBridgeText } = require('../lib/utils/bridgeTextLocale');
+const { BRIDGES, BRIDGE_OPENING } = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+// Måndag 10 augusti 2026, sommartid (UTC+2): lokal tid = UTC + 2 h.
+const local = (day, clock) => Date.parse(`2026-08-${day}T${clock}:00+02:00`);
+const MONDAY = '10';
+const SATURDAY = '15';
+
+const RUSH = { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '08:30' };
+const CALENDAR = {
+  holidays: ['2026-08-11'],
+  bridges: {
+    klaffbron: [RUSH],
+    Stridsbergsbron: [
+      RUSH,
+      { days: ['holiday'], start: '10:00', end: '11:00' },
+      // Säsongstider: sommartid öppet 06–22, spärrat natten mellan.
+      { season: { from: '05-01', to: '09-30' }, start: '22:00', end: '06:00' },
+    ],
+  },
+};
+
+const makeRestrictions = (calendar = CALENDAR) => {
+  const svc = new BridgeRestrictionService({ getTimeZone: () => 'Europe/Stockholm' });
+  svc.setCalendar(calendar);
+  return svc;
+};
+
+describe('BridgeRestrictionService', () => {
+  test('kalendern läses per bro-id eller namn; trasiga fönster hoppas över', () => {
+    const svc = new BridgeRestrictionService();
+    expect(svc.hasRestrictions()).toBe(false);
+    expect(svc.setCalendar(CALENDAR)).toBe(4);
+    expect(svc.setCalendar(JSON.stringify(CALENDAR))).toBe(4);
+    expect(svc.setCalendar({
+      bridges: {
+        klaffbron: [
+          { start: '07:00', end: '07:00' },
+          { start: '25:00', end: '08:00' },
+          { days: ['måndag'], start: '07:00', end: '08:00' },
+          { season: { from: '5-1', to: '09-30' }, start: '07:00', end: '08:00' },
+          { start: '07:00', end: '08:00' },
+        ],
+        'Göta älvbron': [RUSH],
+      },
+    })).toBe(1);
+    expect(svc.setCalendar('{inte json')).toBe(0);
+    expect(svc.setCalendar(null)).toBe(0);
+  });
+
+  test('rusningsfönstret: vardagar spärrade, lördag och helgdag fria', () => {
+    const svc = makeRestrictions();
+    expect(svc.getBlockedUntil('Klaffbron', local(MONDAY, '07:40'))).toBe(local(MONDAY, '08:30'));
+    expect(svc.getBlockedUntil('Klaffbron', local(MONDAY, '08:30'))).toBeNull();
+    expect(svc.getBlockedUntil('Klaffbron', local(MONDAY, '06:59'))).toBeNull();
+    expect(svc.getBlockedUntil('Klaffbron', local(SATURDAY, '07:40'))).toBeNull();
+    // Tisdagen är helgdag i kalendern — vardagsfönstret gäller inte.
+    expect(svc.getBlockedUntil('Klaffbron', local('11', '07:40'))).toBeNull();
+    expect(svc.getBlockedUntil('Stridsbergsbron', local('11', '10:15'))).toBe(local('11', '11:00'));
+    expect(svc.getBlockedUntil('Stridsbergsbron', local(MONDAY, '10:15'))).toBeNull();
+    expect(svc.getBlockedUntil('Järnvägsbron', local(MONDAY, '07:40'))).toBeNull();
+  });
+
+  test('säsongsfönster över midnatt hör till dagen det börjar', () => {
+    const svc = makeRestrictions();
+    expect(svc.getBlockedUntil('Stridsbergsbron', local(MONDAY, '23:10'))).toBe(local('11', '06:00'));
+    expect(svc.getBlockedUntil('Stridsbergsbron', local(MONDAY, '05:30'))).toBe(local(MONDAY, '06:00'));
+    const october = Date.parse('2026-10-05T23:10:00+02:00');
+    expect(svc.getBlockedUntil('Stridsbergsbron', october)).toBeNull();
+  });
+
+  test('angränsande fönster kedjas till en tidpunkt då bron kan öppnas', () => {
+    const svc = makeRestrictions({
+      bridges: {
+        klaffbron: [
+          { start: '07:00', end: '08:00' },
+          { start: '08:00', end: '08:45' },
+          { start: '08:30', end: '09:10' },
+        ],
+      },
+    });
+    expect(svc.getBlockedUntil('Klaffbron', local(MONDAY, '07:20'))).toBe(local(MONDAY, '09:10'));
+  });
+});
+
+describe('ETA och brotext', () => {
+  let nowSpy;
+  const waiting = () => ({
+    mmsi: '265000001',
+    targetBridge: 'Klaffbron',
+    etaMinutes: 2,
+    status: 'waiting',
+    passedBridges: [],
+    _isImminentAtTargetBridge: true,
+    timestamp: local(MONDAY, '07:40'),
+    lastPositionUpdate: local(MONDAY, '07:40'),
+  });
+
+  beforeEach(() => {
+    nowSpy = jest.spyOn(Date, 'now').mockReturnValue(local(MONDAY, '07:40'));
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  test('applyOpeningRestriction skjuter öppningen till fönstrets slut', () => {
+    const svc = makeRestrictions();
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    const vessel = waiting();
+    expect(calc.applyOpeningRestriction(vessel, 2)).toBe(2); // ingen kalender kopplad
+    expect(vessel._openingRestrictedUntilMs).toBeNull();
+
+    calc.setOpeningRestrictionProvider((bridge, atMs) => svc.getBlockedUntil(bridge, atMs));
+    expect(calc.applyOpeningRestriction(vessel, 2)).toBeCloseTo(50, 6);
+    expect(vessel._openingRestrictedUntilMs).toBe(local(MONDAY, '08:30'));
+    // Ankomst efter fönstret: oförändrad, markeringen släpper.
+    expect(calc.applyOpeningRestriction(vessel, 55)).toBe(55);
+    expect(vessel._openingRestrictedUntilMs).toBeNull();
+    calc.destroy();
+  });
+
+  test('brotexten säger "uppskjuten" — även för en imminent båt vid bron', () => {
+    const text = new BridgeTextService(new BridgeRegistry(), mockLogger());
+    const vessel = { ...waiting(), etaMinutes: 50, _openingRestrictedUntilMs: local(MONDAY, '08:30') };
+    const sv = text.generateBridgeText([vessel]);
+    expect(sv).toBe('En båt på väg mot Klaffbron, beräknad broöppning om 50 minuter (uppskjuten av öppningsrestriktion)');
+    expect(translateBridgeText(sv, 'en'))
+      .toBe('One boat heading for Klaffbron, bridge opening expected in 50 minutes (deferred by opening restriction)');
+    expect(text.generateBridgeText([vessel], { locale: 'en' })).toBe(translateBridgeText(sv, 'en'));
+
+    // Utgånget fönster: vanlig klausul, imminent-overriden tillbaka.
+    nowSpy.mockReturnValue(local(MONDAY, '08:31'));
+    expect(text.generateBridgeText([vessel])).toBe('En båt på väg mot Klaffbron, beräknad broöppning strax');
+  });
+});
+
+describe('BridgeOpeningService', () => {
+  test('varningen följer öppningen, inte ankomsten', () => {
+    const clock = { now: local(MONDAY, '07:40') };
+    const restrictions = makeRestrictions();
+    const warnings = [];
+    const svc = new BridgeOpeningService({
+      logger: mockLogger(),
+      onWarning: (payload) => warnings.push(payload),
+      getOpeningRestriction: (bridge, atMs) => restrictions.getBlockedUntil(bridge, atMs),
+      now: () => clock.now,
+    });
+    const klaff = BRIDGES.klaffbron;
+    // Båten ligger kvar vid bron och rapporterar — armen får färska fixar.
+    const report = () => svc.observeVessel({
+      mmsi: '265000002',
+      name: 'VÄNTAREN',
+      lat: klaff.lat - 0.0017,
+      lon: klaff.lon - 0.0019,
+      sog: 0.5,
+      cog: 40,
+      timestamp: clock.now,
+      fixTs: clock.now,
+      targetBridge: 'Klaffbron',
+      _routeDirection: 'north',
+      _hasMovementProof: true,
+      etaMinutes: 2,
+      passedAt: {},
+      passedBridges: [],
+    });
+    report();
+    const [arm] = svc.getSnapshot().arms;
+    expect(arm.restrictedUntilMs).toBe(local(MONDAY, '08:30'));
+    expect(arm.expectedArrivalMs).toBe(local(MONDAY, '08:30'));
+    expect(svc.getExpectedOpenings('Klaffbron', 10)).toEqual([]);
+
+    svc.tick();
+    expect(warnings).toHaveLength(0);
+    const lead = Math.max(BRIDGE_OPENING.WARNING_LEAD_MS, BRIDGE_OPENING.FIRE_EXPECTED_ETA_MS);
+    clock.now = local(MONDAY, '08:10');
+    report();
+    expect(warnings).toHaveLength(0);
+    clock.now = local(MONDAY, '08:30') - lead;
+    report();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ bridge: 'Klaffbron', leadVessel: 'VÄNTAREN' });
+    svc.destroy();
+  });
+});
+
+describe('appen: bridge_restrictions', () => {
+  let app = null;
+  let settingsListener = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('kalendern laddas vid start och läses om vid ändring', async () => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, bridge_restrictions: CALENDAR };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: (event, fn) => {
+        if (event === 'set') settingsListener = fn;
+      },
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    expect(app.bridgeRestrictionService.hasRestrictions()).toBe(true);
+
+    mockHomey.app.settings.bridge_restrictions = null;
+    settingsListener('bridge_restrictions');
+    expect(app.bridgeRestrictionService.hasRestrictions()).toBe(false);
+  });
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * bridge_text på flera språk: grammatiken per språk (antal, singular/plural,
+ * ETA-klausul), att Variant-1-reglerna är desamma i alla språk, och att
+ * appen bara översätter i publiceringsgränsen — pipelinen ser fortsatt den
+ * kanoniska svenska texten.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeTextService = require('../lib/services/BridgeTextService');
+const CountTextHelper = require('../lib/utils/CountTextHelper');
+const { formatETABroOpeningClause } = require('../lib/utils/etaValidation');
+const {
+  getStrings, resolveLocale, translateBridgeText, SUPPORTED_LOCALES,
+} = require('../lib/utils/bridgeTextLocale');
+const { BRIDGE_TEXT_CONSTANTS } = require('../lib/constants');
+
+const service = new BridgeTextService(null, { debug: () => {}, error: () => {} });
+const generate = (vessels, locale) => service.generateBridgeText(vessels, { locale });
+
+const vessel = (mmsi, targetBridge, etaMinutes, extra = {}) => ({
+  mmsi, name: `V${mmsi}`, targetBridge, etaMinutes, status: 'en-route', ...extra,
+});
+
+describe('bridgeTextLocale: grammatik', () => {
+  test('antalsord och singular/plural', () => {
+    expect(CountTextHelper.getCountText(1, { locale: 'en' })).toBe('One');
+    expect(CountTextHelper.getCountText(3, { locale: 'en' })).toBe('Three');
+    expect(CountTextHelper.getCountText(12, { locale: 'en' })).toBe('12');
+    expect(CountTextHelper.getCountText(2)).toBe('Två');
+    expect(getStrings('en').boat(1)).toBe('boat');
+    expect(getStrings('en').boat(2)).toBe('boats');
+  });
+
+  test('ETA-klausulen i båda språken', () => {
+    expect(getStrings('en').etaMinutes(1)).toBe('bridge opening expected in 1 minute');
+    expect(formatETABroOpeningClause(1, { locale: 'en' })).toBe('bridge opening expected shortly');
+    expect(formatETABroOpeningClause(7.4, { locale: 'en' })).toBe('bridge opening expected in 7 minutes');
+    expect(formatETABroOpeningClause(7.4, { imminent: true, locale: 'en' })).toBe('bridge opening expected shortly');
+    expect(formatETABroOpeningClause(null, { locale: 'en' })).toBe('ETA unknown');
+    expect(formatETABroOpeningClause(7.4)).toBe('beräknad broöppning om 7 minuter');
+  });
+
+  test('standardtexten nämner profilens målbroar', () => {
+    expect(getStrings('en').defaultMessage).toBe('No boats near Klaffbron or Stridsbergsbron');
+    expect(getStrings('sv').defaultMessage).toBe(BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE);
+    expect(getStrings('en').noBoatsNear(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']))
+      .toBe('No boats near Klaffbron, Järnvägsbron or Stridsbergsbron');
+  });
+
+  test('okänt locale faller tillbaka på svenska', () => {
+    expect(getStrings('de')).toBe(getStrings('sv'));
+    expect(generate([], 'de')).toBe(BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE);
+  });
+});
+
+describe('bridgeTextLocale: Variant-1 i alla språk', () => {
+  test('en båt, flera båtar och semikolonordning', () => {
+    expect(generate([vessel('1', 'Klaffbron', 5)], 'en'))
+      .toBe('One boat heading for Klaffbron, bridge opening expected in 5 minutes');
+    expect(generate([
+      vessel('1', 'Stridsbergsbron', 9),
+      vessel('2', 'Klaffbron', 12),
+      vessel('3', 'Klaffbron', 4),
+    ], 'en')).toBe(
+      'Two boats heading for Klaffbron, bridge opening expected in 4 minutes; '
+      + 'One boat heading for Stridsbergsbron, bridge opening expected in 9 minutes',
+    );
+  });
+
+  test('imminent-override gäller hela gruppen även på engelska', () => {
+    const text = generate([
+      vessel('1', 'Klaffbron', 6),
+      vessel('2', 'Klaffbron', 10, { _isImminentAtTargetBridge: true }),
+    ], 'en');
+    expect(text).toBe(translateBridgeText(generate([
+      vessel('1', 'Klaffbron', 6),
+      vessel('2', 'Klaffbron', 10, { _isImminentAtTargetBridge: true }),
+    ]), 'en'));
+    expect(text).toBe('Two boats heading for Klaffbron, bridge opening expected shortly');
+  });
+
+  test('översättningen av den svenska texten == rendering på språket', () => {
+    const fleets = [
+      [],
+      [vessel('1', 'Klaffbron', 1)],
+      [vessel('1', 'Stridsbergsbron', null)],
+      [vessel('1', 'Klaffbron', 2.2, { _etaIsExtrapolated: true })],
+      [vessel('1', 'Klaffbron', 3), vessel('2', 'Stridsbergsbron', 20), vessel('3', 'Stridsbergsbron', 30)],
+    ];
+    for (const locale of SUPPORTED_LOCALES) {
+      for (const fleet of fleets) {
+        expect(translateBridgeText(generate(fleet), locale)).toBe(generate(fleet, locale));
+      }
+    }
+  });
+
+  test('nödfallbackens och stale-guardens texter översätts; okänd text lämnas orörd', () => {
+    const sv = getStrings('sv');
+    expect(translateBridgeText(sv.staleMessage, 'en')).toBe('AIS connection lost — data may be out of date');
+    expect(translateBridgeText('En båt 120m från Klaffbron (nordgående), beräknad broöppning om 4 minuter', 'en'))
+      .toBe('One boat 120 m from Klaffbron (northbound), bridge opening expected in 4 minutes');
+    expect(translateBridgeText('En båt är i närheten av broarna', 'en')).toBe('One boat near the bridges');
+    expect(translateBridgeText('3 båtar är i närheten av Stridsbergsbron', 'en')).toBe('3 boats near Stridsbergsbron');
+    expect(translateBridgeText('Något helt annat', 'en')).toBe('Något helt annat');
+    expect(translateBridgeText('En båt på väg mot Klaffbron, beräknad broöppning strax', 'sv'))
+      .toBe('En båt på väg mot Klaffbron, beräknad broöppning strax');
+  });
+});
+
+describe('bridgeTextLocale: språkval', () => {
+  test('explicit inställning vinner, annars Homeys systemspråk', () => {
+    expect(resolveLocale('en', 'sv')).toBe('en');
+    expect(resolveLocale('sv', 'en')).toBe('sv');
+    expect(resolveLocale('auto', 'sv')).toBe('sv');
+    expect(resolveLocale('auto', 'nl')).toBe('en');
+    expect(resolveLocale(null, 'en')).toBe('en');
+    expect(resolveLocale(null, null)).toBe('sv');
+  });
+});
+
+describe('bridgeTextLocale: publiceringsgränsen i appen', () => {
+  let app = null;
+  let settingsListener = null;
+
+  const bootApp = async (settings) => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: (event, fn) => {
+        if (event === 'set') settingsListener = fn;
+      },
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  const makeDevice = () => ({
+    getName: () => 'Bridge Status',
+    hasCapability: () => true,
+    setCapabilityValue: jest.fn().mockResolvedValue(undefined),
+  });
+
+  const lastBridgeText = (device) => {
+    const calls = device.setCapabilityValue.mock.calls.filter(([cap]) => cap === 'bridge_text');
+    return calls.length > 0 ? calls[calls.length - 1][1] : undefined;
+  };
+
+  const drainWrites = () => Promise.all([...(app._capWriteChains || new Map()).values()]);
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('engelska publiceras, den interna texten förblir svensk', async () => {
+    await bootApp({ bridge_text_language: 'en' });
+    const device = makeDevice();
+    app.addDevice(device);
+
+    await app._actuallyUpdateUI();
+    await drainWrites();
+
+    expect(lastBridgeText(device)).toBe(getStrings('en').defaultMessage);
+    expect(app._globalBridgeTextToken.value).toBe(getStrings('en').defaultMessage);
+    expect(app._lastBridgeText).toBe(BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE);
+  });
+
+  test('utan inställning och utan systemspråk: oförändrat svenskt beteende', async () => {
+    await bootApp({});
+    expect(app._bridgeTextLocale).toBe('sv');
+    expect(app._localizeBridgeText(getStrings('sv').staleMessage)).toBe(getStrings('sv').staleMessage);
+  });
+
+  test('språkbyte i inställningarna skriver om texten på det nya språket', async () => {
+    await bootApp({});
+    const device = makeDevice();
+    app.addDevice(device);
+    await app._actuallyUpdateUI();
+    await drainWrites();
+    expect(lastBridgeText(device)).toBe(BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE);
+
+    const updateSpy = jest.spyOn(app, '_updateUI').mockImplementation(() => {});
+    mockHomey.app.settings.bridge_text_language = 'en';
+    settingsListener('bridge_text_language');
+    expect(app._bridgeTextLocale).toBe('en');
+    expect(app._lastBridgeTextHash).toBeNull();
+    expect(updateSpy).toHaveBeenCalledWith('critical', 'bridge-text-language');
+    updateSpy.mockRestore();
+
+    await app._actuallyUpdateUI();
+    await drainWrites();
+    expect(lastBridgeText(device)).toBe(getStrings('en').defaultMessage);
+  });
+});
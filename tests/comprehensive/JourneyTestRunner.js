@@ -77,7 +77,7 @@ class JourneyTestRunner {
    * @returns {string} Emoji character
    */
   _getEmoji(text) {
-    if (text.includes('Inga båtar')) return '⚪';
+    if (text.includes('Inga båtar') || text.includes('No boats')) return '⚪';
     if (text.includes('Broöppning pågår')) return '🟢';
     if (text.includes('inväntar broöppning')) return '🟡';
     if (text.includes('har precis passerat')) return '🔵';
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * COMPREHENSIVE BRIDGE TEXT TEST SUITE — ENGLISH
+ *
+ * Samma 20 scenarier som comprehensive-bridge-text.test.js, men med
+ * RealAppTestRunner({ locale: 'en' }) mot golden-snapshots.en.json.
+ *
+ * Dessutom låses att de två snapshot-filerna beskriver SAMMA tillstånd:
+ * varje engelsk förväntan ska vara exakt översättningen av den svenska
+ * (translateBridgeText). Då kan inget språk glida isär från Variant-1-
+ * reglerna (ordning, ledbåt, imminent-override) — bara orden skiljer.
+ *
+ * Regenerera med:
+ *   node tests/comprehensive/generate-snapshots.js --locale en
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RealAppTestRunner = require('../journey-scenarios/RealAppTestRunner');
+const ScenarioLibrary = require('./ScenarioLibrary');
+const JourneyTestRunner = require('./JourneyTestRunner');
+const { translateBridgeText } = require('../../lib/utils/bridgeTextLocale');
+
+const readSnapshots = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+
+describe('🎬 COMPREHENSIVE BRIDGE TEXT TEST SUITE (en)', () => {
+  const scenarios = ScenarioLibrary.getAll();
+  const svSnapshots = readSnapshots('golden-snapshots.json');
+  const enSnapshots = readSnapshots('golden-snapshots.en.json');
+  let realAppRunner;
+  let journeyRunner;
+
+  beforeAll(async () => {
+    ScenarioLibrary.validate();
+    realAppRunner = new RealAppTestRunner({ locale: 'en' });
+    await realAppRunner.initializeApp();
+    journeyRunner = new JourneyTestRunner(realAppRunner);
+  }, 60000);
+
+  afterAll(async () => {
+    await realAppRunner?.cleanup();
+  });
+
+  test('en-snapshotsen är översättningen av de svenska, steg för steg', () => {
+    expect(Object.keys(enSnapshots).sort()).toEqual(Object.keys(svSnapshots).sort());
+    for (const [name, steps] of Object.entries(svSnapshots)) {
+      const enSteps = enSnapshots[name];
+      expect(enSteps.map((s) => s.step)).toEqual(steps.map((s) => s.step));
+      steps.forEach((svStep, i) => {
+        expect(enSteps[i].expectedText).toBe(translateBridgeText(svStep.expectedText, 'en'));
+        expect(enSteps[i].expectedText).not.toMatch(/båt|broöppning|okänd/);
+      });
+    }
+  });
+
+  // Sekventiellt (for-loop, inte test.each) — se den svenska sviten.
+  for (const scenario of scenarios) {
+    test(scenario.name, async () => {
+      await journeyRunner.runJourney(scenario, enSnapshots[scenario.name]);
+    }, 30000);
+  }
+});
@@ -11,15 +11,36 @@
  *
  * USAGE:
  *   node tests/comprehensive/generate-snapshots.js
+ *   node tests/comprehensive/generate-snapshots.js --locale en
  *
  * OUTPUT:
- *   tests/comprehensive/golden-snapshots.json
+ *   tests/comprehensive/golden-snapshots.json      (sv, kanonisk)
+ *   tests/comprehensive/golden-snapshots.<locale>.json
  */
 
 const path = require('path');
 const RealAppTestRunner = require('../journey-scenarios/RealAppTestRunner');
 const ScenarioLibrary = require('./ScenarioLibrary');
 const GoldenSnapshotGenerator = require('./GoldenSnapshotGenerator');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../../lib/utils/bridgeTextLocale');
+
+/**
+ * Snapshot-fil för ett textspråk — svenska behåller det historiska namnet.
+ * @param {string} locale
+ * @returns {string}
+ */
+function snapshotFileName(locale) {
+  return locale === DEFAULT_LOCALE ? 'golden-snapshots.json' : `golden-snapshots.${locale}.json`;
+}
+
+function parseLocaleArg(argv) {
+  const index = argv.indexOf('--locale');
+  const locale = index !== -1 ? argv[index + 1] : DEFAULT_LOCALE;
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`Unsupported --locale "${locale}" (expected one of ${SUPPORTED_LOCALES.join(', ')})`);
+  }
+  return locale;
+}
 
 async function main() {
   console.log('\n🎬 GOLDEN SNAPSHOT GENERATOR');
@@ -33,6 +54,9 @@ async function main() {
   let exitCode = 0;
 
   try {
+    const locale = parseLocaleArg(process.argv.slice(2));
+    console.log(`🌐 Locale: ${locale}`);
+
     // Validate scenarios first
     console.log('\n🔍 Validating scenarios...');
     ScenarioLibrary.validate();
@@ -43,7 +67,7 @@ async function main() {
 
     // Initialize real app runner
     console.log('\n🚀 Initializing real app environment...');
-    runner = new RealAppTestRunner();
+    runner = new RealAppTestRunner({ locale });
     await runner.initializeApp();
     console.log('✅ App initialized');
 
@@ -55,7 +79,7 @@ async function main() {
     generator.validate(snapshots);
 
     // Save to file
-    const outputPath = path.join(__dirname, 'golden-snapshots.json');
+    const outputPath = path.join(__dirname, snapshotFileName(locale));
     generator.saveToFile(snapshots, outputPath);
 
     console.log('\n='.repeat(80));
@@ -63,8 +87,8 @@ async function main() {
     console.log('='.repeat(80));
     console.log('\nGolden snapshots have been generated and saved.');
     console.log('\nNext steps:');
-    console.log('  1. Review golden-snapshots.json to ensure outputs look correct');
-    console.log('  2. Commit golden-snapshots.json to git');
+    console.log(`  1. Review ${snapshotFileName(locale)} to ensure outputs look correct`);
+    console.log(`  2. Commit ${snapshotFileName(locale)} to git`);
     console.log('  3. Run tests: npm test tests/comprehensive');
     console.log('');
 
@@ -98,3 +122,4 @@ if (require.main === module) {
 }
 
 module.exports = main;
+module.exports.snapshotFileName = snapshotFileName;
@@ -0,0 +1,359 @@
+'use strict';
+
+/**
+ * Dödräkningen (DeadReckoningService): en tyst båt flyttas längs farleden på
+ * senaste fart/kurs med avtagande förtroende. Prognosen är ett flaggat
+ * sidofält — den ersätter aldrig ett fix, ger öppningslagret en förväntad
+ * ankomst och en tidigare deadline, notifierar boat_near när den når 300 m
+ * och väljer ledbåt i texten utan att driva klausulen.
+ */
+
+const DeadReckoningService = require('../lib/services/DeadReckoningService');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const BridgeTextService = require('../lib/services/BridgeTextService');
+const VesselDataService = require('../lib/services/VesselDataService');
+const SystemCoordinator = require('../lib/services/SystemCoordinator');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const fairway = require('../lib/utils/fairway');
+const { BRIDGE_OPENING, DEAD_RECKONING, MOORING_ZONES } = require('../lib/constants');
+
+jest.mock('homey');
+
+const AISBridgeApp = require('../app');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const KNOTS_TO_MS = 0.514444;
+const T0 = Date.parse('2026-08-10T08:00:00Z');
+const KLAFF_S = fairway.bridgeChainageM('Klaffbron');
+
+/** Fix på farledens mitt `before` meter söder om Klaffbron, på väg norrut. */
+const silentBoat = (before, extra = {}) => {
+  const at = fairway.locateChainage(KLAFF_S - before);
+  return {
+    mmsi: '265000010',
+    lat: at.lat,
+    lon: at.lon,
+    sog: 5,
+    cog: at.bearingDeg,
+    speedHistory: [
+      { speed: 5, cog: at.bearingDeg, timestamp: T0 - 60000 },
+      { speed: 5, cog: at.bearingDeg, timestamp: T0 },
+    ],
+    timestamp: T0,
+    lastPositionUpdate: T0,
+    targetBridge: 'Klaffbron',
+    ...extra,
+  };
+};
+
+describe('fairway.locateChainage', () => {
+  test('omvänd projektion: chainage + sidled tillbaka till samma punkt', () => {
+    const p = fairway.projectToFairway(58.2812, 12.2819);
+    const back = fairway.locateChainage(p.chainageM, p.side * p.crossTrackM);
+    expect(back.lat).toBeCloseTo(58.2812, 7);
+    expect(back.lon).toBeCloseTo(12.2819, 7);
+    expect(fairway.locateChainage(KLAFF_S).bearingDeg).toBeGreaterThan(0);
+    expect(fairway.locateChainage(Number.NaN)).toBeNull();
+  });
+});
+
+describe('DeadReckoningService.predict', () => {
+  const svc = new DeadReckoningService();
+
+  test('två minuters tystnad: 5 kn längs farleden, förtroendet avtar', () => {
+    const boat = silentBoat(1000);
+    const before = { lat: boat.lat, lon: boat.lon };
+    const p = svc.predict(boat, T0 + 120000);
+    const travelled = 5 * KNOTS_TO_MS * 120;
+    expect(p).toMatchObject({
+      predicted: true, direction: 'north', heldAtBridge: false, fixMs: T0, ageMs: 120000,
+    });
+    expect(p.chainageM).toBeCloseTo(KLAFF_S - 1000 + travelled, 3);
+    expect(p.distanceToTargetM).toBeCloseTo(1000 - travelled, 3);
+    expect(p.confidence).toBeCloseTo(0.5 ** (120000 / DEAD_RECKONING.CONFIDENCE_HALF_LIFE_MS), 6);
+    expect(fairway.projectToFairway(p.lat, p.lon).crossTrackM).toBeLessThan(0.5);
+    // Fixet är orört — prognosen är ett eget objekt.
+    expect({ lat: boat.lat, lon: boat.lon }).toEqual(before);
+  });
+
+  test('ingen prognos: färskt fix, för gammalt, ingen framdrift, lågt förtroende', () => {
+    expect(svc.predict(silentBoat(1000), T0 + 30000)).toBeNull();
+    expect(svc.predict(silentBoat(1000), T0 + DEAD_RECKONING.MAX_SILENCE_MS + 1)).toBeNull();
+    expect(svc.predict(silentBoat(1000, { sog: 0.5 }), T0 + 120000)).toBeNull();
+    // Halveringstiden 3 min ⇒ under 0,25 efter 6 min.
+    expect(svc.predict(silentBoat(2500), T0 + 7 * 60000)).toBeNull();
+  });
+
+  test('prognosen stannar vid målbrons linje', () => {
+    const p = svc.predict(silentBoat(200), T0 + 4 * 60000);
+    expect(p).toMatchObject({ heldAtBridge: true, distanceToTargetM: 0 });
+    expect(p.chainageM).toBeCloseTo(KLAFF_S, 6);
+  });
+
+  test('kurs på tvären: den låsta ruttriktningen avgör, annars ingen prognos', () => {
+    const axis = fairway.locateChainage(KLAFF_S - 1000).bearingDeg;
+    const across = {
+      cog: (axis + 90) % 360,
+      speedHistory: [{ speed: 4, cog: (axis + 90) % 360, timestamp: T0 }],
+    };
+    expect(svc.predict(silentBoat(1000, across), T0 + 120000)).toBeNull();
+    const south = svc.predict(silentBoat(1000, { ...across, _routeDirection: 'south' }), T0 + 120000);
+    expect(south.direction).toBe('south');
+    expect(south.chainageM).toBeLessThan(KLAFF_S - 1000);
+  });
+
+  test('ojämn fart sänker förtroendet', () => {
+    const steady = svc.predict(silentBoat(1000), T0 + 90000);
+    const uneven = svc.predict(silentBoat(1000, {
+      speedHistory: [{ speed: 2, timestamp: T0 - 60000 }, { speed: 8, timestamp: T0 }],
+    }), T0 + 90000);
+    expect(uneven.confidence).toBeLessThan(steady.confidence);
+  });
+});
+
+describe('BridgeOpeningService.observePrediction', () => {
+  test('armen bär prognosens ankomst; en senare prognos skjuter aldrig upp deadlinen', () => {
+    const clock = { now: T0 };
+    const svc = new BridgeOpeningService({ logger: mockLogger(), now: () => clock.now });
+    const boat = {
+      ...silentBoat(1500), fixTs: T0, _routeDirection: 'north', _hasMovementProof: true, etaMinutes: 12, passedAt: {},
+    };
+    svc.observeVessel(boat);
+    const [armed] = svc.getSnapshot().arms;
+    expect(armed.expectedArrivalMs).toBe(T0 + 12 * 60000);
+
+    // Tyst 3 min på 5 kn: ~463 m närmare ⇒ ankomst före appens 12 min.
+    clock.now = T0 + 180000;
+    const predictor = new DeadReckoningService({ now: () => clock.now });
+    boat._predictedPosition = predictor.predict(boat);
+    svc.observePrediction(boat);
+    const [arm] = svc.getSnapshot().arms;
+    expect(arm.predicted).toMatchObject({ atMs: clock.now, confidence: boat._predictedPosition.confidence });
+    expect(arm.predicted.arrivalMs).toBeLessThan(T0 + 12 * 60000);
+    expect(arm.expectedArrivalMs).toBe(armed.expectedArrivalMs);
+    expect(arm.fireDueMs).toBe(armed.fireDueMs);
+
+    // opening_expected_within ser prognosen: 9 min kvar enligt fixet, ~7 enligt prognosen.
+    const [expected] = svc.getExpectedOpenings('Klaffbron', 8);
+    expect(expected).toMatchObject({ mmsi: '265000010', etaMinutes: 9 });
+    expect(expected.predictedMinutes).toBeLessThanOrEqual(8);
+
+    // Nästa verkliga fix släcker prognosen.
+    svc.observeVessel({
+      ...boat, _predictedPosition: null, timestamp: clock.now, fixTs: clock.now,
+    });
+    expect(svc.getSnapshot().arms[0].predicted).toBeNull();
+    svc.destroy();
+  });
+
+  test('tyst snabb båt med fryst ETA: prognosen tidigarelägger varningen till i tid', () => {
+    const clock = { now: T0 };
+    const warnings = [];
+    const svc = new BridgeOpeningService({
+      logger: mockLogger(), now: () => clock.now, onWarning: (w) => warnings.push(w),
+    });
+    const at = fairway.locateChainage(KLAFF_S - 2400).bearingDeg;
+    // 9 kn men ETA-siffran står kvar på 15 min: verklig ankomst om ~518 s.
+    const boat = silentBoat(2400, {
+      sog: 9,
+      speedHistory: [{ speed: 9, cog: at, timestamp: T0 - 60000 }, { speed: 9, cog: at, timestamp: T0 }],
+      fixTs: T0,
+      _routeDirection: 'north',
+      _hasMovementProof: true,
+      etaMinutes: 15,
+      passedAt: {},
+    });
+    const arrivalMs = T0 + (2400 / (9 * KNOTS_TO_MS)) * 1000;
+    svc.observeVessel(boat);
+    const fixDueMs = svc.getSnapshot().arms[0].fireDueMs;
+    expect(fixDueMs).toBeGreaterThan(arrivalMs - BRIDGE_OPENING.FIRE_EXPECTED_ETA_MS);
+
+    clock.now = T0 + 60000;
+    const predictor = new DeadReckoningService({ now: () => clock.now });
+    boat._predictedPosition = predictor.predict(boat);
+    svc.observePrediction(boat);
+    // Armens avstånd är fågelvägen (kortare än farleden) — aldrig senare än
+    // fem minuter före den verkliga ankomsten.
+    const { fireDueMs } = svc.getSnapshot().arms[0];
+    expect(fireDueMs).toBeLessThanOrEqual(arrivalMs - BRIDGE_OPENING.FIRE_EXPECTED_ETA_MS);
+    expect(fireDueMs).toBeGreaterThan(clock.now);
+    expect(fireDueMs).toBeLessThan(fixDueMs);
+    expect(warnings).toHaveLength(0);
+
+    // Watchdogens tick efter deadlinen — båten är fortfarande tyst.
+    clock.now = Math.ceil(fireDueMs / 30000) * 30000;
+    svc.tick();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ bridge: 'Klaffbron', firedBy: 'deadline', leadMmsi: '265000010' });
+    expect(warnings[0].t).toBeLessThan(fixDueMs);
+    expect(warnings[0].t - warnings[0].dueMs).toBeLessThanOrEqual(30000);
+    svc.destroy();
+  });
+
+  test('staleness-grinden: en prognos över PREDICTION_MAX_SILENCE_MS räknas inte', () => {
+    const clock = { now: T0 };
+    const svc = new BridgeOpeningService({ logger: mockLogger(), now: () => clock.now });
+    const boat = {
+      ...silentBoat(1500), fixTs: T0, _routeDirection: 'north', _hasMovementProof: true, etaMinutes: 12, passedAt: {},
+    };
+    svc.observeVessel(boat);
+    const [armed] = svc.getSnapshot().arms;
+    clock.now = T0 + 120000;
+    boat._predictedPosition = {
+      ...new DeadReckoningService({ now: () => clock.now }).predict(boat),
+      ageMs: BRIDGE_OPENING.PREDICTION_MAX_SILENCE_MS + 1,
+      distanceToTargetM: 0,
+      lat: fairway.locateChainage(KLAFF_S).lat,
+      lon: fairway.locateChainage(KLAFF_S).lon,
+    };
+    svc.observePrediction(boat);
+    const [arm] = svc.getSnapshot().arms;
+    expect(arm.predicted).toBeNull();
+    expect(arm.fireDueMs).toBe(armed.fireDueMs);
+    svc.destroy();
+  });
+});
+
+describe('DeadReckoningService.passesMooring', () => {
+  const svc = new DeadReckoningService();
+
+  test('sträckan förbi kajen norr om Klaffbron räknas, en fri inflygning inte', () => {
+    const north = fairway.locateChainage(KLAFF_S + 600);
+    const southbound = {
+      ...silentBoat(0),
+      lat: north.lat,
+      lon: north.lon,
+      cog: (north.bearingDeg + 180) % 360,
+      speedHistory: [{ speed: 5, cog: (north.bearingDeg + 180) % 360, timestamp: T0 }],
+    };
+    const p = svc.predict(southbound, T0 + 180000);
+    expect(p.direction).toBe('south');
+    expect(svc.passesMooring(p, MOORING_ZONES)).toBe(true);
+    expect(svc.passesMooring(svc.predict(silentBoat(1000), T0 + 120000), MOORING_ZONES)).toBe(false);
+    expect(svc.passesMooring(null, MOORING_ZONES)).toBe(false);
+  });
+});
+
+describe('boat_near på prognosen (_triggerPredictedBoatNear)', () => {
+  let savedEnv;
+  let savedMode;
+
+  beforeEach(() => {
+    savedEnv = process.env.NODE_ENV;
+    savedMode = global.__TEST_MODE__;
+    process.env.NODE_ENV = 'production';
+    global.__TEST_MODE__ = undefined;
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = savedEnv;
+    global.__TEST_MODE__ = savedMode;
+  });
+
+  const makeApp = () => {
+    const app = new AISBridgeApp();
+    app.log = jest.fn();
+    app.debug = jest.fn();
+    app.error = jest.fn();
+    app._boatNearTrigger = {};
+    app._triggeredBoatNearKeys = new Set();
+    app.deadReckoningService = new DeadReckoningService();
+    app._triggerBoatNearFlowForBridge = jest.fn().mockResolvedValue(undefined);
+    return app;
+  };
+
+  /** Tyst sedan `silentMs`, fixet `before` m söder om Klaffbron i 5 kn norrut. */
+  const predictedBoat = (before, silentMs) => {
+    const fixMs = Date.now() - silentMs;
+    const boat = silentBoat(before, {
+      timestamp: fixMs,
+      lastPositionUpdate: fixMs,
+      _hasMovementProof: true,
+    });
+    boat.speedHistory = boat.speedHistory.map((e, i) => ({ ...e, timestamp: fixMs - 60000 * (1 - i) }));
+    boat._predictedPosition = new DeadReckoningService().predict(boat);
+    return boat;
+  };
+
+  test('en båt som tystnar på inflygningen notifieras när prognosen når 300 m', async () => {
+    const app = makeApp();
+    const boat = predictedBoat(500, 4 * 60000);
+    expect(boat._predictedPosition).toMatchObject({ predicted: true, heldAtBridge: true });
+
+    await app._triggerPredictedBoatNear(boat, boat._predictedPosition);
+
+    expect(app._triggerBoatNearFlowForBridge).toHaveBeenCalledTimes(1);
+    const [vessel, candidate] = app._triggerBoatNearFlowForBridge.mock.calls[0];
+    expect(vessel).toBe(boat);
+    expect(candidate).toMatchObject({ name: 'Klaffbron', id: 'klaffbron', source: 'predicted' });
+    expect(candidate.distance).toBeLessThanOrEqual(300);
+  });
+
+  test('ingen notis under tre minuters tystnad, utanför zonen eller efter fixets notis', async () => {
+    const app = makeApp();
+    const early = predictedBoat(300, 2 * 60000);
+    expect(early._predictedPosition.distanceToTargetM).toBeLessThan(300);
+    await app._triggerPredictedBoatNear(early, early._predictedPosition);
+
+    const far = predictedBoat(1500, 4 * 60000);
+    await app._triggerPredictedBoatNear(far, far._predictedPosition);
+
+    const done = predictedBoat(500, 4 * 60000);
+    app._triggeredBoatNearKeys.add('265000010:Klaffbron');
+    await app._triggerPredictedBoatNear(done, done._predictedPosition);
+
+    expect(app._triggerBoatNearFlowForBridge).not.toHaveBeenCalled();
+  });
+
+  test('en inlärd förtöjningsplats på sträckan stoppar notisen', async () => {
+    const app = makeApp();
+    const spot = fairway.locateChainage(KLAFF_S - 250);
+    app._learnedMooringSpots = [{ lat: spot.lat, lon: spot.lon, t: Date.now() }];
+    app._LEARNED_SPOT_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+    const boat = predictedBoat(500, 4 * 60000);
+
+    await app._triggerPredictedBoatNear(boat, boat._predictedPosition);
+
+    expect(app._triggerBoatNearFlowForBridge).not.toHaveBeenCalled();
+    expect(app.debug).toHaveBeenCalledWith(expect.stringContaining('förtöjningsplats'));
+  });
+});
+
+describe('texten och fältlistan', () => {
+  test('ledarvalet på avstånd rankar en tyst båt på hennes prognos', () => {
+    const text = new BridgeTextService(new BridgeRegistry(), mockLogger());
+    const near = { mmsi: '1', targetBridge: 'Klaffbron', distanceToCurrent: 300 };
+    const silent = {
+      mmsi: '2',
+      targetBridge: 'Klaffbron',
+      distanceToCurrent: 380,
+      _predictedPosition: { predicted: true, distanceToTargetM: 120 },
+    };
+    expect(text._selectLeadVessel([near, silent]).mmsi).toBe('2');
+    expect(text._selectLeadVessel([near, { ...silent, _predictedPosition: null }]).mmsi).toBe('1');
+  });
+
+  test('ett verkligt meddelande släcker prognosen; historiken bär kursen', () => {
+    jest.useFakeTimers();
+    const logger = mockLogger();
+    const service = new VesselDataService(logger, new BridgeRegistry(), new SystemCoordinator(logger));
+    service.updateVessel('265000011', {
+      lat: 58.27, lon: 12.27, sog: 5, cog: 20, name: 'PROGNOS',
+    });
+    const vessel = service.getVessel('265000011');
+    vessel._predictedPosition = { predicted: true, lat: 58.271, lon: 12.271 };
+    jest.advanceTimersByTime(30000);
+    service.updateVessel('265000011', {
+      lat: 58.2705, lon: 12.2702, sog: 5, cog: 22, name: 'PROGNOS',
+    });
+    const updated = service.getVessel('265000011');
+    expect(updated._predictedPosition).toBeNull();
+    expect(updated.lat).toBe(58.2705);
+    expect(updated.speedHistory.map((e) => e.cog)).toEqual([20, 22]);
+    service.clearAllTimers();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * ETA-intervallet (p10/p50/p90): kalkylatorns spridning kring den
+ * publicerade ETA:n ur fartens variation, positionsosäkerheten och datats
+ * ålder — som notistokens (eta_min_minutes/eta_max_minutes) och som
+ * intervalläget i bridge_text ("om 4–7 minuter").
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const BridgeTextService = require('../lib/services/BridgeTextService');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const fairway = require('../lib/utils/fairway');
+const { formatETABroOpeningClause } = require('../lib/utils/etaValidation');
+const { translateBridgeText } = require('../lib/utils/bridgeTextLocale');
+const { ETA_INTERVAL } = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const NOW = Date.parse('2026-08-10T08:00:00Z');
+const Z = ETA_INTERVAL.Z_P90;
+
+/** Nordgående båt 1000 m söder om Klaffbron, färsk position. */
+const approaching = (extra = {}) => {
+  const at = fairway.locateChainage(fairway.bridgeChainageM('Klaffbron') - 1000);
+  return {
+    mmsi: '265000300',
+    lat: at.lat,
+    lon: at.lon,
+    sog: 5,
+    cog: at.bearingDeg,
+    targetBridge: 'Klaffbron',
+    timestamp: NOW,
+    lastPositionUpdate: NOW,
+    ...extra,
+  };
+};
+
+describe('ProgressiveETACalculator.calculateETAInterval', () => {
+  let calc;
+
+  beforeEach(() => {
+    calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+  });
+
+  afterEach(() => {
+    calc.destroy();
+  });
+
+  test('jämn fart ger ett smalt intervall kring ETA:n', () => {
+    calc._speedBuffers.set('265000300', [5, 5, 5]);
+    const interval = calc.calculateETAInterval(approaching(), 10, { nowMs: NOW });
+    const sigma = Math.hypot(ETA_INTERVAL.SOG_NOISE_KN / 5, ETA_INTERVAL.POSITION_SIGMA_M / 1000);
+    expect(interval.p50).toBe(10);
+    expect(interval.relativeSigma).toBeCloseTo(sigma, 2);
+    expect(interval.p10).toBeCloseTo(10 * Math.exp(-Z * interval.relativeSigma), 6);
+    expect(interval.p90).toBeCloseTo(10 * Math.exp(Z * interval.relativeSigma), 6);
+    expect(interval.p90 - interval.p10).toBeLessThan(2);
+  });
+
+  test('ojämn fart och osäker position vidgar intervallet', () => {
+    calc._speedBuffers.set('265000300', [5, 5, 5]);
+    const steady = calc.calculateETAInterval(approaching(), 10, { nowMs: NOW });
+    const uncertain = calc.calculateETAInterval(approaching({ _positionUncertain: true }), 10, { nowMs: NOW });
+    calc._speedBuffers.set('265000300', [3, 5, 7]);
+    const uneven = calc.calculateETAInterval(approaching(), 10, { nowMs: NOW });
+
+    expect(uncertain.p90).toBeGreaterThan(steady.p90);
+    expect(uneven.p90).toBeGreaterThan(15);
+    expect(uneven.p10).toBeLessThan(7);
+    // Båt som stannar och går: taket håller intervallet läsbart.
+    calc._speedBuffers.set('265000300', [0, 2, 4]);
+    const stopAndGo = calc.calculateETAInterval(approaching({ sog: 4 }), 30, { nowMs: NOW });
+    expect(stopAndGo.relativeSigma).toBe(ETA_INTERVAL.MAX_RELATIVE_SIGMA);
+  });
+
+  test('datats ålder vidgar i absoluta minuter efter normal kadens', () => {
+    calc._speedBuffers.set('265000300', [5, 5, 5]);
+    const fresh = calc.calculateETAInterval(approaching(), 10, { nowMs: NOW });
+    const old = approaching({ timestamp: NOW - 5 * 60000, lastPositionUpdate: NOW - 5 * 60000 });
+    const aged = calc.calculateETAInterval(old, 10, { nowMs: NOW });
+    // 5 min gammal − 1 min kadens = 4 min ⇒ σ = 1 min.
+    expect(aged.ageMinutes).toBeCloseTo(4, 6);
+    expect(aged.p90 - fresh.p90).toBeCloseTo(Z * 4 * ETA_INTERVAL.AGE_SIGMA_PER_MIN, 6);
+    expect(aged.p10).toBeCloseTo(fresh.p10 - Z * 4 * ETA_INTERVAL.AGE_SIGMA_PER_MIN, 6);
+  });
+
+  test('spärrfönster: öppningen kommer aldrig före fönstrets slut', () => {
+    calc._speedBuffers.set('265000300', [3, 5, 7]);
+    const vessel = approaching({ _openingRestrictedUntilMs: NOW + 10 * 60000 });
+    const interval = calc.calculateETAInterval(vessel, 10, { nowMs: NOW });
+    expect(interval.p10).toBeCloseTo(10, 6);
+    expect(interval.p90).toBeGreaterThan(10);
+  });
+
+  test('okänd ETA ger inget intervall, och beräkningen skriver ingenting', () => {
+    expect(calc.calculateETAInterval(approaching(), null)).toBeNull();
+    expect(calc.calculateETAInterval(approaching(), -1)).toBeNull();
+    expect(calc.calculateETAInterval(null, 5)).toBeNull();
+
+    calc.calculateETAInterval(approaching(), 10, { nowMs: NOW });
+    expect(calc._speedBuffers.has('265000300')).toBe(false);
+    expect(calc._etaHistory.has('265000300')).toBe(false);
+  });
+});
+
+describe('intervallklausulen', () => {
+  test('"om 4–7 minuter" i stället för siffran; strax och okänd orörda', () => {
+    const range = { p10: 3.6, p90: 7.4 };
+    expect(formatETABroOpeningClause(5, { range })).toBe('beräknad broöppning om 4–7 minuter');
+    expect(formatETABroOpeningClause(5, { range, extrapolated: true })).toBe('beräknad broöppning om 4–7 minuter');
+    expect(formatETABroOpeningClause(5, { range, deferred: true }))
+      .toBe('beräknad broöppning om 4–7 minuter (uppskjuten av öppningsrestriktion)');
+    expect(formatETABroOpeningClause(2, { range })).toBe('beräknad broöppning strax');
+    expect(formatETABroOpeningClause(null, { range })).toBe('ETA okänd');
+    // Ett intervall som avrundas till en siffra visas som vanligt.
+    expect(formatETABroOpeningClause(5, { range: { p10: 4.8, p90: 5.3 } })).toBe('beräknad broöppning om 5 minuter');
+    // Nedre gränsen är minst 1 minut.
+    expect(formatETABroOpeningClause(3.2, { range: { p10: 0.2, p90: 6 } })).toBe('beräknad broöppning om 1–6 minuter');
+  });
+
+  test('översättningen känner intervallet', () => {
+    const service = new BridgeTextService(new BridgeRegistry(), mockLogger());
+    const vessels = [{
+      mmsi: '1', targetBridge: 'Klaffbron', etaMinutes: 5, _etaInterval: { p10: 3.6, p90: 7.4 },
+    }];
+    const sv = service.generateBridgeText(vessels, { etaRange: true });
+    expect(sv).toBe('En båt på väg mot Klaffbron, beräknad broöppning om 4–7 minuter');
+    expect(translateBridgeText(sv, 'en')).toBe(service.generateBridgeText(vessels, { etaRange: true, locale: 'en' }));
+    expect(translateBridgeText(sv, 'en')).toBe('One boat heading for Klaffbron, bridge opening expected in 4–7 minutes');
+  });
+
+  test('intervalläget läser ledbåtens intervall; av som standard', () => {
+    const service = new BridgeTextService(new BridgeRegistry(), mockLogger());
+    const vessels = [
+      {
+        mmsi: '1', targetBridge: 'Stridsbergsbron', etaMinutes: 9, _etaInterval: { p10: 6, p90: 14 },
+      },
+      {
+        mmsi: '2', targetBridge: 'Stridsbergsbron', etaMinutes: 6, _etaInterval: { p10: 4.4, p90: 8.6 },
+      },
+    ];
+    expect(service.generateBridgeText(vessels)).toBe('Två båtar på väg mot Stridsbergsbron, beräknad broöppning om 6 minuter');
+    expect(service.generateBridgeText(vessels, { etaRange: true }))
+      .toBe('Två båtar på väg mot Stridsbergsbron, beräknad broöppning om 4–9 minuter');
+  });
+});
+
+describe('notistokens', () => {
+  const makeApp = (interval) => {
+    const app = new AISBridgeApp();
+    app.log = jest.fn();
+    app.debug = jest.fn();
+    app.error = jest.fn();
+    app._triggeredBoatNearKeys = new Set();
+    app._persistentRecentTriggers = new Map();
+    app._getDirectionString = jest.fn(() => 'northbound');
+    app._triggerBoatNearFlowBest = jest.fn().mockResolvedValue(undefined);
+    app.statusService = { calculateETAInterval: jest.fn(() => interval) };
+    return app;
+  };
+  const candidate = {
+    name: 'Klaffbron', id: 'klaffbron', distance: 900, source: 'target',
+  };
+
+  test('boat_near: p10/p90 avrundade runt eta_minutes', async () => {
+    const app = makeApp({ p10: 2.6, p50: 4, p90: 6.4 });
+    await app._triggerBoatNearFlowForBridge({
+      mmsi: '555', name: 'TESTBÅT', sog: 5, etaMinutes: 4,
+    }, candidate);
+    const tokens = app._triggerBoatNearFlowBest.mock.calls[0][0];
+    expect(tokens).toMatchObject({ eta_minutes: 4, eta_min_minutes: 3, eta_max_minutes: 6 });
+    expect(app.statusService.calculateETAInterval).toHaveBeenCalledWith(
+      expect.objectContaining({ mmsi: '555' }), 4, { distanceM: 900 },
+    );
+  });
+
+  test('boat_near: okänd ETA ⇒ -1/-1; utan intervall ⇒ båda = eta_minutes', async () => {
+    const unknown = makeApp(null);
+    await unknown._triggerBoatNearFlowForBridge({
+      mmsi: '556', name: 'OKÄND', sog: 0, etaMinutes: null,
+    }, candidate);
+    expect(unknown._triggerBoatNearFlowBest.mock.calls[0][0])
+      .toMatchObject({ eta_minutes: -1, eta_min_minutes: -1, eta_max_minutes: -1 });
+
+    const flat = makeApp(null);
+    await flat._triggerBoatNearFlowForBridge({
+      mmsi: '557', name: 'PLATT', sog: 5, etaMinutes: 4,
+    }, candidate);
+    expect(flat._triggerBoatNearFlowBest.mock.calls[0][0])
+      .toMatchObject({ eta_minutes: 4, eta_min_minutes: 4, eta_max_minutes: 4 });
+  });
+
+  test('ett trasigt intervall spärrar aldrig notisen', async () => {
+    const app = makeApp(null);
+    app.statusService.calculateETAInterval.mockImplementation(() => {
+      throw new Error('boom');
+    });
+    await app._triggerBoatNearFlowForBridge({
+      mmsi: '558', name: 'TRASIG', sog: 5, etaMinutes: 4,
+    }, candidate);
+    expect(app._triggerBoatNearFlowBest.mock.calls[0][0])
+      .toMatchObject({ eta_min_minutes: 4, eta_max_minutes: 4 });
+    expect(app.error).toHaveBeenCalledWith('[ETA_INTERVAL] Failed to calculate ETA interval:', 'boom');
+  });
+});
+
+describe('inställningen bridge_text_eta_range', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('läses vid start, följer ändringar och styr projektionens intervall', async () => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, bridge_text_eta_range: true };
+    mockHomey.settings = {
+      get: (key) => (key in mockHomey.app.settings ? mockHomey.app.settings[key] : null),
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    expect(app._bridgeTextEtaRange).toBe(true);
+
+    const vessel = approaching({ timestamp: Date.now(), lastPositionUpdate: Date.now(), etaMinutes: 8 });
+    const interval = app._bridgeTextETAInterval(vessel);
+    expect(interval.p10).toBeLessThan(8);
+    expect(interval.p90).toBeGreaterThan(8);
+
+    mockHomey.app.settings.bridge_text_eta_range = false;
+    app._onSettingsChanged('bridge_text_eta_range');
+    expect(app._bridgeTextEtaRange).toBe(false);
+    expect(app._lastBridgeTextHash).toBeNull();
+  });
+});
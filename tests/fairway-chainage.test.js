@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Farledsmodellen (lib/utils/fairway): chainage längs FAIRWAY_CENTERLINE,
+ * sidledsavstånd och seglat avstånd — och att ETA/närhet räknar i farleden
+ * medan öppningslagrets pessimistiska deadline stannar på fågelvägen.
+ */
+
+const fairway = require('../lib/utils/fairway');
+const { calculateDistance } = require('../lib/utils/geometry');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const ProximityService = require('../lib/services/ProximityService');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const {
+  BRIDGES, BRIDGE_GAPS, FAIRWAY, FAIRWAY_CENTERLINE, TRIGGER_POINTS,
+} = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const M_PER_DEG_LAT = 111320;
+// Punkt på centerlinjen mitt emellan två stödpunkter, förskjuten österut.
+const onLine = (i, eastM = 0) => {
+  const [aLat, aLon] = FAIRWAY_CENTERLINE[i];
+  const [bLat, bLon] = FAIRWAY_CENTERLINE[i + 1];
+  const lat = (aLat + bLat) / 2;
+  return { lat, lon: (aLon + bLon) / 2 + eastM / (M_PER_DEG_LAT * Math.cos(lat * (Math.PI / 180))) };
+};
+
+describe('projectToFairway', () => {
+  test('Kanalinfarten är origo; chainage växer norrut genom broarna', () => {
+    expect(fairway.projectToFairway(TRIGGER_POINTS.kanalinfarten.lat, TRIGGER_POINTS.kanalinfarten.lon).chainageM)
+      .toBeCloseTo(0, 0);
+    const order = ['olidebron', 'klaffbron', 'jarnvagsbron', 'stridsbergsbron', 'stallbackabron']
+      .map((id) => fairway.bridgeChainageM(id));
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+    expect(fairway.bridgeChainageM('Klaffbron')).toBe(fairway.bridgeChainageM('klaffbron'));
+  });
+
+  test('sidledsavstånd, sida och korridor', () => {
+    const center = fairway.projectToFairway(onLine(10).lat, onLine(10).lon);
+    expect(center.crossTrackM).toBeLessThan(1);
+    expect(center.onBank).toBe(false);
+
+    const east = fairway.projectToFairway(onLine(10, 60).lat, onLine(10, 60).lon);
+    expect(east.side).toBe(1);
+    expect(east.onBank).toBe(true);
+    expect(east.inCorridor).toBe(true);
+
+    const west = fairway.projectToFairway(onLine(10, -400).lat, onLine(10, -400).lon);
+    expect(west.side).toBe(-1);
+    expect(west.inCorridor).toBe(false);
+    expect(west.crossTrackM).toBeGreaterThan(FAIRWAY.CORRIDOR_M);
+  });
+
+  test('ogiltiga koordinater ger null', () => {
+    expect(fairway.projectToFairway(NaN, 12.28)).toBeNull();
+    expect(fairway.projectToFairway(91, 12.28)).toBeNull();
+  });
+});
+
+describe('seglat avstånd', () => {
+  test('brogapen längs farleden ligger nära fågelvägen men är egna', () => {
+    const pairs = [
+      ['olidebron', 'klaffbron', 1379],
+      ['klaffbron', 'jarnvagsbron', 970],
+      ['jarnvagsbron', 'stridsbergsbron', 256],
+      ['stridsbergsbron', 'stallbackabron', 2308],
+    ];
+    for (const [a, b, sailed] of pairs) {
+      expect(Math.abs(fairway.bridgeGapM(a, b) - sailed)).toBeLessThanOrEqual(2);
+      expect(fairway.bridgeGapM(b, a)).toBeCloseTo(fairway.bridgeGapM(a, b), 6);
+      // ≤ 1,2 % från fågelvägen — linjen har ingen brusvandring.
+      expect(Math.abs(fairway.bridgeGapM(a, b) - BRIDGE_GAPS[`${a}-${b}`]) / BRIDGE_GAPS[`${a}-${b}`])
+        .toBeLessThan(0.012);
+    }
+    expect(fairway.bridgeGapM('klaffbron', 'nowhere')).toBeNull();
+  });
+
+  test('aldrig kortare än fågelvägen, längre genom svängen söder om Stallbackabron', () => {
+    const bridge = BRIDGES.stridsbergsbron;
+    // Synteten "450 m norr om Stallbackabron" ligger 135 m väster om farleden.
+    const lat = 58.315104143695265;
+    const lon = 12.317825442724084;
+    const direct = calculateDistance(lat, lon, bridge.lat, bridge.lon);
+    const sailed = fairway.sailedDistanceM(lat, lon, bridge);
+    expect(sailed).toBeGreaterThan(direct + 40);
+
+    for (let i = 0; i < FAIRWAY_CENTERLINE.length - 1; i++) {
+      const p = onLine(i, 30);
+      expect(fairway.sailedDistanceM(p.lat, p.lon, bridge))
+        .toBeGreaterThanOrEqual(calculateDistance(p.lat, p.lon, bridge.lat, bridge.lon));
+    }
+  });
+
+  test('fågelvägen oförändrad nära bron, utanför korridoren och för okända broar', () => {
+    const klaff = BRIDGES.klaffbron;
+    const near = { lat: klaff.lat - 300 / M_PER_DEG_LAT, lon: klaff.lon };
+    expect(fairway.sailedDistanceM(near.lat, near.lon, klaff))
+      .toBe(calculateDistance(near.lat, near.lon, klaff.lat, klaff.lon));
+
+    const far = onLine(3, -600);
+    expect(fairway.sailedDistanceM(far.lat, far.lon, klaff))
+      .toBe(calculateDistance(far.lat, far.lon, klaff.lat, klaff.lon));
+
+    // Testregister med en påhittad Klaffbron: koordinaten avgör, inte namnet.
+    const fake = { name: 'Klaffbron', lat: klaff.lat + 0.01, lon: klaff.lon };
+    const p = onLine(2);
+    expect(fairway.sailedDistanceM(p.lat, p.lon, fake)).toBe(calculateDistance(p.lat, p.lon, fake.lat, fake.lon));
+    expect(fairway.sailedDistanceM(NaN, p.lon, klaff)).toBeNull();
+  });
+});
+
+describe('konsumenterna', () => {
+  const vessel = (extra = {}) => ({
+    mmsi: '265000040', lat: 58.315104143695265, lon: 12.317825442724084, sog: 5, cog: 205, ...extra,
+  });
+
+  test('BridgeRegistry: brogapen ur farledsmodellen, BRIDGE_GAPS som reserv', () => {
+    const registry = new BridgeRegistry();
+    expect(registry.getDistanceBetweenBridges('stridsbergsbron', 'stallbackabron'))
+      .toBe(fairway.bridgeGapM('stridsbergsbron', 'stallbackabron'));
+    expect(registry.getDistanceBetweenBridges('klaffbron', 'nowhere')).toBe(800);
+  });
+
+  test('ProximityService: seglade avstånd och läget i farleden', () => {
+    const proximity = new ProximityService(new BridgeRegistry(), mockLogger());
+    const v = vessel();
+    const result = proximity.analyzeVesselProximity(v);
+    expect(result.bridgeDistances.stridsbergsbron)
+      .toBe(fairway.sailedDistanceM(v.lat, v.lon, BRIDGES.stridsbergsbron));
+    expect(proximity.getDistanceToBridge(v, 'Stridsbergsbron')).toBe(result.bridgeDistances.stridsbergsbron);
+    expect(result.fairway).toEqual(expect.objectContaining({ inCorridor: true, onBank: true, side: -1 }));
+    expect(proximity.analyzeVesselProximity(vessel({ lat: NaN })).fairway).toBeNull();
+  });
+
+  test('ProgressiveETACalculator: ETA till bron räknas på seglat avstånd', () => {
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    const v = vessel();
+    const sailed = fairway.sailedDistanceM(v.lat, v.lon, BRIDGES.stridsbergsbron);
+    const expected = sailed / ((5 * 1852) / 3600) / 60;
+    expect(calc._calculateETAToBridge(v, 'Stridsbergsbron')).toBeCloseTo(expected, 6);
+  });
+});
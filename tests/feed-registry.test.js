@@ -0,0 +1,233 @@
+'use strict';
+
+const AISSourceMultiplexer = require('../lib/connection/AISSourceMultiplexer');
+const FeedRegistry = require('../lib/connection/FeedRegistry');
+const FixFusionPolicy = require('../lib/connection/FixFusionPolicy');
+const NmeaClient = require('../lib/connection/NmeaClient');
+const { AIS_CONFIG } = require('../lib/constants');
+
+/**
+ * Feedregistret: muxens källor som DEKLARATIONER (prioritet, tidskvalitet,
+ * kadens, förtroende) i stället för hårdkodat aisstream mot AISHub. De fyra
+ * lägena är konfigurationer av registret och måste ge exakt de gamla
+ * besluten (vilka feeds matar pipelinen, när fusionen gäller, vilka regler
+ * F1-F6 tillämpar); skuggpar kan sedan läggas mellan godtyckliga feeds.
+ */
+
+const { FUSION } = AIS_CONFIG;
+
+function makeLogger() {
+  return { log: jest.fn(), debug: jest.fn(), error: jest.fn() };
+}
+
+function msg(overrides = {}) {
+  return {
+    mmsi: '265001111',
+    msgType: 'PositionReport',
+    lat: 58.29,
+    lon: 12.29,
+    sog: 5,
+    cog: 25,
+    navStatus: null,
+    shipName: 'TESTBAT',
+    timestamp: Date.now(),
+    fixTs: Date.now(),
+    fixTsQuality: 'receipt',
+    ...overrides,
+  };
+}
+
+const trustOf = (registry) => registry.feeds.map((f) => `${f.id}:${f.trust}`);
+
+describe('FeedRegistry.resolveFeeds: lägena som konfigurationer', () => {
+  test('de fyra lägena deklarerar samma feeds och förtroende som förut', () => {
+    const resolve = (source) => FeedRegistry.resolveFeeds({ source, apiKey: 'KEY' });
+    expect(trustOf(resolve('aisstream'))).toEqual(['aisstream:primary']);
+    expect(trustOf(resolve('shadow'))).toEqual(['aisstream:primary', 'aishub:shadow']);
+    expect(trustOf(resolve('both'))).toEqual(['aisstream:primary', 'aishub:secondary']);
+    expect(trustOf(resolve('aishub'))).toEqual(['aishub:secondary']);
+    expect(resolve('shadow').shadowPairs).toEqual([['aisstream', 'aishub']]);
+    expect(resolve('aisstream').shadowPairs).toEqual([]);
+  });
+
+  test('fusionsbeslutet följer de historiska reglerna', () => {
+    const fusion = (config) => FeedRegistry.resolveFeeds(config).fusion;
+    // Ensam källa ⇒ pass-through; skuggan räknas aldrig.
+    expect(fusion({ source: 'aisstream', apiKey: 'KEY' })).toBe(false);
+    expect(fusion({ source: 'shadow', apiKey: 'KEY' })).toBe(false);
+    expect(fusion({ source: 'aishub' })).toBe(false);
+    // 'both' fusionerar även utan aisstream-nyckel (solo-AISHub bakom F6).
+    expect(fusion({ source: 'both', apiKey: null })).toBe(true);
+    // En lokal mottagare bredvid en LEVANDE molnkälla ⇒ fusion.
+    expect(fusion({ source: 'aisstream', apiKey: 'KEY', nmeaEndpoint: 'udp://:10110' })).toBe(true);
+    expect(fusion({ source: 'aisstream', apiKey: null, nmeaEndpoint: 'udp://:10110' })).toBe(false);
+    expect(fusion({
+      source: 'aisstream',
+      apiKey: null,
+      nmeaEndpoint: 'udp://:10110',
+      jsonFeed: { intervalMs: 10000, timeQuality: 'receipt' },
+    })).toBe(true);
+    expect(fusion({ source: 'simulation', simulation: { feeds: ['aisstream'] } })).toBe(false);
+    expect(fusion({ source: 'simulation', simulation: { feeds: ['aisstream', 'aishub'] } })).toBe(true);
+  });
+
+  test('lokala mottagare läggs ovanpå läget i prioritetsordning; json bär sin deklaration', () => {
+    const registry = FeedRegistry.resolveFeeds({
+      source: 'aishub',
+      nmeaEndpoint: 'tcp://receiver:10110',
+      jsonFeed: { intervalMs: 120000, timeQuality: 'true-fix' },
+    });
+    expect(trustOf(registry)).toEqual(['nmea:primary', 'json:secondary', 'aishub:secondary']);
+    expect(registry.feeds.find((f) => f.id === 'json')).toMatchObject({
+      timestampQuality: 'true-fix', cadenceMs: 120000,
+    });
+  });
+
+  test('simulering deklarerar korpusens feeds; skuggpar kräver båda feeds', () => {
+    const registry = FeedRegistry.resolveFeeds({
+      source: 'simulation',
+      simulation: { feeds: ['aishub', 'nmea'] },
+      shadowPairs: [['nmea', 'aishub'], ['nmea', 'aisstream']],
+    });
+    expect(trustOf(registry)).toEqual(['nmea:primary', 'aishub:secondary']);
+    expect(registry.shadowPairs).toEqual([['nmea', 'aishub']]);
+  });
+
+  test('AISHub-kadensen är pollintervallet', () => {
+    expect(AIS_CONFIG.FEEDS.KINDS.aishub.cadenceMs).toBe(AIS_CONFIG.AISHUB.POLL_INTERVAL_MS);
+  });
+});
+
+describe('FeedRegistry.parseShadowPairs', () => {
+  test('text och listor; tomt ⇒ []; dubbletter slås ihop', () => {
+    expect(FeedRegistry.parseShadowPairs('nmea:aisstream, json:aishub')).toEqual([
+      ['nmea', 'aisstream'], ['json', 'aishub'],
+    ]);
+    expect(FeedRegistry.parseShadowPairs('NMEA:aisstream;nmea:aisstream')).toEqual([['nmea', 'aisstream']]);
+    expect(FeedRegistry.parseShadowPairs([['json', 'nmea']])).toEqual([['json', 'nmea']]);
+    expect(FeedRegistry.parseShadowPairs('  ')).toEqual([]);
+    expect(FeedRegistry.parseShadowPairs(null)).toEqual([]);
+  });
+
+  test('ogiltigt ⇒ null (hellre avvisat än halvt tolkat)', () => {
+    expect(FeedRegistry.parseShadowPairs('nmea')).toBeNull();
+    expect(FeedRegistry.parseShadowPairs('nmea:nmea')).toBeNull();
+    expect(FeedRegistry.parseShadowPairs('nmea:aisstream, radar:aishub')).toBeNull();
+    expect(FeedRegistry.parseShadowPairs({ nmea: 'aisstream' })).toBeNull();
+  });
+});
+
+describe('FixFusionPolicy.derivePairPolicy', () => {
+  const registry = FeedRegistry.resolveFeeds({ source: 'both', apiKey: 'KEY' });
+  const decl = (id) => registry.feeds.find((f) => f.id === id);
+
+  test('aisstream ↔ AISHub ger exakt de namnbaserade reglerna', () => {
+    expect(FixFusionPolicy.derivePairPolicy(decl('aishub'), decl('aisstream'), FUSION)).toEqual({
+      monotonic: true,
+      crossFeedDedup: true,
+      staleGate: true,
+      foreignClock: true,
+      clockEvidence: true,
+      feedSwitchWindowMs: FUSION.FEED_SWITCH_WINDOW_MS,
+    });
+    expect(FixFusionPolicy.derivePairPolicy(decl('aisstream'), decl('aishub'), FUSION)).toMatchObject({
+      monotonic: false,
+      crossFeedDedup: true,
+      staleGate: false,
+      foreignClock: false,
+      clockEvidence: false,
+    });
+    // Samma källa igen: ingen korskällededup, inget bevis B.
+    expect(FixFusionPolicy.derivePairPolicy(decl('aishub'), decl('aishub'), FUSION)).toMatchObject({
+      crossFeedDedup: false, clockEvidence: false,
+    });
+  });
+
+  test('en true-fix-json är sekundär med egen klocka; F5 spänner över dess kadens', () => {
+    const json = FeedRegistry.declare('json', { timestampQuality: 'true-fix', cadenceMs: 120000 });
+    expect(json.trust).toBe('secondary');
+    const policy = FixFusionPolicy.derivePairPolicy(json, decl('aisstream'), FUSION);
+    expect(policy).toMatchObject({
+      monotonic: true, staleGate: true, foreignClock: true, clockEvidence: true,
+    });
+    expect(policy.feedSwitchWindowMs).toBe(120000 + FUSION.FEED_SWITCH_CADENCE_MARGIN_MS);
+    // Två receipt-källor: bara korskällededupen.
+    expect(FixFusionPolicy.derivePairPolicy(FeedRegistry.declare('nmea'), decl('aisstream'), FUSION)).toEqual({
+      monotonic: false,
+      crossFeedDedup: true,
+      staleGate: false,
+      foreignClock: false,
+      clockEvidence: false,
+      feedSwitchWindowMs: FUSION.FEED_SWITCH_WINDOW_MS,
+    });
+  });
+});
+
+describe('AISSourceMultiplexer: skuggpar mellan godtyckliga feeds', () => {
+  let mux;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-10-19T12:00:00.000Z'));
+    jest.spyOn(NmeaClient.prototype, 'connect').mockResolvedValue(undefined);
+    logger = makeLogger();
+    mux = new AISSourceMultiplexer(logger);
+    jest.spyOn(mux._streamClient, 'connect').mockResolvedValue(undefined);
+    jest.spyOn(mux._streamClient, 'disconnect').mockReturnValue(undefined);
+  });
+
+  // _reconcile är async: skuggtimern startas efter barnens connect().
+  const apply = async (cfg) => {
+    mux.applySourceConfig(cfg);
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  };
+
+  afterEach(() => {
+    mux.disconnect();
+    mux = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('nmea:aisstream mäts i en egen SHADOW_COMPARE-rad utan att routingen ändras', async () => {
+    await apply({
+      source: 'aisstream', apiKey: 'KEY', nmeaEndpoint: 'udp://:10110', shadowPairs: 'nmea:aisstream',
+    });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    const now = Date.now();
+    mux._ingestFromFeed('nmea', msg({ timestamp: now, fixTs: now }));
+    mux._ingestFromFeed('aisstream', msg({ timestamp: now + 1500, fixTs: now + 1500 }));
+    mux._ingestFromFeed('nmea', msg({ mmsi: '265999999', lat: 58.30 }));
+
+    // Båda feeds är fortfarande pipelinefeeds — skuggparet är bara ett instrument.
+    expect(received.map((e) => e.fixFeed)).toEqual(['nmea', 'nmea']);
+    expect(mux.getConnectionStats().fusion.byReason.cross_feed_duplicate).toBe(1);
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    const report = logger.log.mock.calls
+      .map((c) => c.join(' '))
+      .find((l) => l.includes('[SHADOW_COMPARE]') && l.includes('pair=nmea/aisstream'));
+    expect(report).toBeDefined();
+    expect(report).toContain('onlyNmea=1');
+    expect(report).toContain('both=1');
+    expect(report).toContain('fixLagMedianMs=-1500');
+    expect(mux.getConnectionStats().shadow.pairs.map((p) => p.pair)).toEqual(['nmea/aisstream']);
+  });
+
+  test('ogiltiga skuggpar loggas och ignoreras; tom nyckel tar bort paren', async () => {
+    await apply({ source: 'aisstream', apiKey: null, shadowPairs: 'nmea:radar' });
+    expect(logger.log.mock.calls.some((c) => String(c[0]).includes('ais_shadow_pairs'))).toBe(true);
+    expect(mux._shadowTimer).toBeNull();
+
+    await apply({
+      source: 'aisstream', apiKey: null, nmeaEndpoint: 'udp://:10110', shadowPairs: 'nmea:aisstream',
+    });
+    expect(mux._shadowTimer).not.toBeNull();
+    await apply({
+      source: 'aisstream', apiKey: null, nmeaEndpoint: 'udp://:10110', shadowPairs: undefined,
+    });
+    expect(mux._shadowTimer).toBeNull();
+  });
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+jest.mock('homey');
+
 /**
  * =============================================================================
  * FLOW-KORTENS KONSISTENS: .homeycompose ↔ app.json (etapp 6, 2026-08-03)
@@ -28,11 +30,16 @@
 const fs = require('fs');
 const path = require('path');
 
-const { BRIDGE_NAME_TO_ID, TARGET_BRIDGES } = require('../lib/constants');
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const { promoteTargetBridges } = require('../lib/utils/waterwayActivation');
+const { BRIDGE_NAME_TO_ID, TARGET_BRIDGES, WATCHLIST } = require('../lib/constants');
 
 const ROOT = path.join(__dirname, '..');
 const COMPOSE_TRIGGERS = path.join(ROOT, '.homeycompose', 'flow', 'triggers');
 const COMPOSE_CONDITIONS = path.join(ROOT, '.homeycompose', 'flow', 'conditions');
+const COMPOSE_ACTIONS = path.join(ROOT, '.homeycompose', 'flow', 'actions');
 
 const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
 const appJson = readJson(path.join(ROOT, 'app.json'));
@@ -60,8 +67,11 @@ describe('Flow-kort: .homeycompose ↔ app.json', () => {
     const mirrored = appJson.flow.triggers;
 
     expect(compose.map((c) => c.card.id)).toEqual(mirrored.map((t) => t.id));
-    // Regressionslås: båda korten SKA finnas (etapp 6 lade till det andra).
-    expect(mirrored.map((t) => t.id)).toEqual(['boat_near', 'bridge_opening_soon']);
+    // Regressionslås: korten SKA finnas (etapp 6 lade till det andra).
+    expect(mirrored.map((t) => t.id)).toEqual([
+      'boat_near', 'bridge_opening_over', 'bridge_opening_soon', 'quiet_hours_digest', 'vessel_passed_bridge',
+      'watched_vessel_event',
+    ]);
 
     compose.forEach(({ file, card }, i) => {
       // Djupjämförelse: app.json ska vara en exakt spegel, inte en variant.
@@ -79,6 +89,17 @@ describe('Flow-kort: .homeycompose ↔ app.json', () => {
     });
   });
 
+  test('actions: samma id, samma ordning, IDENTISKT innehåll', () => {
+    const compose = composeCards(COMPOSE_ACTIONS);
+    const mirrored = appJson.flow.actions;
+
+    expect(compose.map((c) => c.card.id)).toEqual(mirrored.map((t) => t.id));
+    expect(mirrored.map((t) => t.id)).toEqual(['snooze_bridge']);
+    compose.forEach(({ file, card }, i) => {
+      expect({ file, card: mirrored[i] }).toEqual({ file, card });
+    });
+  });
+
   test('varje trigger-fil heter som sitt id (annars bryts byggordningen)', () => {
     composeCards(COMPOSE_TRIGGERS).forEach(({ file, card }) => {
       expect(file).toBe(`${card.id}.json`);
@@ -87,7 +108,7 @@ describe('Flow-kort: .homeycompose ↔ app.json', () => {
 });
 
 describe('Flow-kort: publiceringsrena texter (sv + en)', () => {
-  const allCards = [...appJson.flow.triggers, ...appJson.flow.conditions];
+  const allCards = [...appJson.flow.triggers, ...appJson.flow.conditions, ...appJson.flow.actions];
 
   test.each(allCards.map((c) => [c.id, c]))('%s har sv+en överallt', (id, card) => {
     expectBilingual(card.title, `${id}.title`);
@@ -132,23 +153,103 @@ describe('Flow-kort: tokenkontraktet (låst mot app.js)', () => {
     return card.tokens.map((t) => `${t.name}:${t.type}`).sort();
   };
 
-  test('boat_near-tokens är OFÖRÄNDRADE (heligt kontrakt)', () => {
+  // Statiska AIS-uppgifter — additiva på båda korten, -1/'' = okänt.
+  const STATIC_TOKENS = [
+    'call_sign:string',
+    'destination:string',
+    'imo:string',
+    'ship_beam:number',
+    'ship_draught:number',
+    'ship_length:number',
+    'ship_type:number',
+  ];
+
+  // ETA-intervallet (p10/p90 kring eta_minutes) — additivt, -1 = okänt.
+  const ETA_RANGE_TOKENS = [
+    'eta_max_minutes:number',
+    'eta_min_minutes:number',
+  ];
+
+  // Simuleringskällan (ais_source='simulation') — på ALLA triggerkort.
+  const SIMULATED_TOKEN = 'simulated:boolean';
+
+  test('boat_near-tokens är OFÖRÄNDRADE (heligt kontrakt) — plus de additiva statiska och ETA-intervallet', () => {
     expect(tokensOf('boat_near')).toEqual([
       'bridge_name:string',
       'direction:string',
       'eta_available:boolean',
       'eta_minutes:number',
       'vessel_name:string',
-    ]);
+      ...ETA_RANGE_TOKENS,
+      ...STATIC_TOKENS,
+      SIMULATED_TOKEN,
+    ].sort());
   });
 
-  test('bridge_opening_soon har exakt de fem avtalade tokens', () => {
+  test('bridge_opening_soon har exakt de fem avtalade tokens plus de statiska, ETA-intervallet och vägavstängningen', () => {
     expect(tokensOf('bridge_opening_soon')).toEqual([
       'bridge_name:string',
       'direction:string',
       'eta_minutes:number',
+      'road_closes_minutes:number',
+      'road_reopens_minutes:number',
       'vessel_count:number',
       'vessel_name:string',
+      ...ETA_RANGE_TOKENS,
+      ...STATIC_TOKENS,
+      SIMULATED_TOKEN,
+    ].sort());
+  });
+
+  test('bridge_opening_over: antal, första/sista passage och vägavstängning', () => {
+    expect(tokensOf('bridge_opening_over')).toEqual([
+      'bridge_name:string',
+      'first_passage_time:string',
+      'last_passage_time:string',
+      'road_closure_minutes:number',
+      'vessel_count:number',
+      SIMULATED_TOKEN,
+    ].sort());
+  });
+
+  test('vessel_passed_bridge: båt, bro, riktning, passagetid och bekräftad/härledd plus de statiska', () => {
+    expect(tokensOf('vessel_passed_bridge')).toEqual([
+      'bridge_name:string',
+      'confirmed:boolean',
+      'direction:string',
+      'mmsi:string',
+      'passage_time:string',
+      'vessel_name:string',
+      ...STATIC_TOKENS,
+      SIMULATED_TOKEN,
+    ].sort());
+  });
+
+  test('watched_vessel_event: båt, händelse och bro plus de statiska', () => {
+    expect(tokensOf('watched_vessel_event')).toEqual([
+      'bridge_name:string',
+      'event:string',
+      'mmsi:string',
+      'vessel_name:string',
+      ...STATIC_TOKENS,
+      SIMULATED_TOKEN,
+    ].sort());
+  });
+
+  test('watched_vessel_event: händelse-id:na är WATCHLIST.EVENTS', () => {
+    const card = appJson.flow.triggers.find((t) => t.id === 'watched_vessel_event');
+    const event = card.args.find((a) => a.name === 'event');
+    // Id:na jämförs mot state.event — samma värden som event-token.
+    expect(event.values.map((v) => v.id)).toEqual(['any', ...WATCHLIST.EVENTS]);
+  });
+
+  test('quiet_hours_digest: antal per korttyp och en sammanfattningstext', () => {
+    expect(tokensOf('quiet_hours_digest')).toEqual([
+      'boat_near_count:number',
+      'event_count:number',
+      'opening_count:number',
+      SIMULATED_TOKEN,
+      'summary:string',
     ]);
   });
 
@@ -163,7 +264,8 @@ describe('Flow-kort: tokenkontraktet (låst mot app.js)', () => {
 describe('Flow-kort: dropdown-id ↔ BRIDGE_NAME_TO_ID', () => {
   const dropdownIds = (cardId) => {
     const card = appJson.flow.triggers.find((t) => t.id === cardId)
-      || appJson.flow.conditions.find((t) => t.id === cardId);
+      || appJson.flow.conditions.find((t) => t.id === cardId)
+      || appJson.flow.actions.find((t) => t.id === cardId);
     const arg = card.args.find((a) => a.name === 'bridge');
     return arg.values.map((v) => v.id);
   };
@@ -171,17 +273,59 @@ describe('Flow-kort: dropdown-id ↔ BRIDGE_NAME_TO_ID', () => {
   test('bridge_opening_soon listar BARA de öppningsbara broarna', () => {
     // Stallbackabron öppnar ALDRIG och får inte gå att välja — dess närvaro i
     // dropdownen hade lovat en varning som per konstruktion aldrig kommer.
+    // Mellanbroarna finns med: de kan befordras till målbro i inställningarna.
     const ids = dropdownIds('bridge_opening_soon');
     expect(ids[0]).toBe('any');
-    expect(ids.slice(1).sort()).toEqual(
-      TARGET_BRIDGES.map((name) => BRIDGE_NAME_TO_ID[name]).sort(),
-    );
+    expect(ids.slice(1)).toEqual(['olidebron', 'klaffbron', 'jarnvagsbron', 'stridsbergsbron']);
+    expect(ids).toEqual(expect.arrayContaining(TARGET_BRIDGES.map((name) => BRIDGE_NAME_TO_ID[name])));
     expect(ids).not.toContain('stallbackabron');
   });
 
+  test('bridge_opening_over har samma dropdown som bridge_opening_soon', () => {
+    expect(dropdownIds('bridge_opening_over')).toEqual(dropdownIds('bridge_opening_soon'));
+  });
+
+  test('opening_expected_within: öppningsbara broar och ett minutargument', () => {
+    expect(dropdownIds('opening_expected_within')).toEqual(dropdownIds('bridge_opening_soon'));
+    const card = appJson.flow.conditions.find((c) => c.id === 'opening_expected_within');
+    expect(card.args.find((a) => a.name === 'minutes')).toMatchObject({ type: 'number', min: 1 });
+  });
+
+  test('snooze_bridge har boat_near:s dropdown och ett minutargument där 0 häver', () => {
+    expect(dropdownIds('snooze_bridge')).toEqual(dropdownIds('boat_near'));
+    const card = appJson.flow.actions.find((c) => c.id === 'snooze_bridge');
+    expect(card.args.find((a) => a.name === 'minutes')).toMatchObject({ type: 'number', min: 0 });
+  });
+
+  test('vessel_passed_bridge listar ALLA broar (även mellanbroarna) men ingen trigger-punkt', () => {
+    const ids = dropdownIds('vessel_passed_bridge');
+    expect(ids[0]).toBe('any');
+    expect(ids).toEqual(expect.arrayContaining(['olidebron', 'jarnvagsbron', 'stallbackabron']));
+    expect(ids).not.toContain('kanalinfarten');
+    const card = appJson.flow.triggers.find((t) => t.id === 'vessel_passed_bridge');
+    const direction = card.args.find((a) => a.name === 'direction');
+    // Id:na jämförs mot _getDirectionString — samma värden som direction-token.
+    expect(direction.values.map((v) => v.id)).toEqual(['any', 'northbound', 'southbound']);
+  });
+
+  test('dropdownerna speglar standardprofilen (lib/waterways/trollhattekanalen.json)', () => {
+    // Flow-korten i app.json är statiska — en ny vattenvägsprofil får nya
+    // broar i appen men inga nya dropdown-val. Standardprofilen och korten
+    // ska därför alltid säga samma sak.
+    const profile = readJson(path.join(ROOT, 'lib', 'waterways', 'trollhattekanalen.json'));
+    expect(dropdownIds('vessel_passed_bridge').slice(1)).toEqual(profile.sequence);
+    expect(dropdownIds('boat_near').slice(1)).toEqual([...Object.keys(profile.triggerPoints), ...profile.sequence]);
+    expect(dropdownIds('bridge_opening_soon').slice(1)).toEqual(
+      profile.sequence.filter((id) => id !== profile.highBridge),
+    );
+  });
+
   test('alla bro-id:n i alla kort är kända i BRIDGE_NAME_TO_ID', () => {
     const known = new Set(Object.values(BRIDGE_NAME_TO_ID));
-    for (const cardId of ['boat_near', 'bridge_opening_soon', 'boat_at_bridge']) {
+    for (const cardId of [
+      'boat_near', 'bridge_opening_over', 'bridge_opening_soon', 'vessel_passed_bridge',
+      'boat_at_bridge', 'opening_expected_within', 'snooze_bridge',
+    ]) {
       for (const id of dropdownIds(cardId)) {
         if (id === 'any') continue;
         expect({ cardId, id, known: known.has(id) }).toEqual({ cardId, id, known: true });
@@ -189,3 +333,52 @@ describe('Flow-kort: dropdown-id ↔ BRIDGE_NAME_TO_ID', () => {
     }
   });
 });
+
+describe('Flow-kort: befordringsbara broar går att välja', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    promoteTargetBridges([]);
+    delete global.__TEST_MODE__;
+  });
+
+  const OPENING_CARDS = [
+    ['bridge_opening_soon', appJson.flow.triggers],
+    ['bridge_opening_over', appJson.flow.triggers],
+    ['opening_expected_within', appJson.flow.conditions],
+  ];
+
+  test('varje bro i available_opening_target_bridges finns i öppningskortens dropdowner', async () => {
+    // Kryssrutorna på inställningssidan kommer ur det appen publicerar; en
+    // befordrad bro som inte går att välja i korten hade bara fått den
+    // samlade "Alla broar"-varningen.
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+
+    const candidates = mockHomey.app.settings.available_opening_target_bridges;
+    expect(candidates.length).toBeGreaterThan(0);
+    for (const { id } of candidates) {
+      // Befordrad blir bron en målbro, och målbroarna ska alla gå att välja.
+      promoteTargetBridges([id]);
+      const wanted = TARGET_BRIDGES.map((name) => BRIDGE_NAME_TO_ID[name]);
+      expect(wanted).toContain(id);
+      for (const [cardId, cards] of OPENING_CARDS) {
+        const ids = cards.find((c) => c.id === cardId).args.find((a) => a.name === 'bridge').values.map((v) => v.id);
+        expect({ cardId, missing: wanted.filter((w) => !ids.includes(w)) }).toEqual({ cardId, missing: [] });
+      }
+    }
+  });
+});
@@ -472,6 +472,12 @@ describe('T3: projektions-fältlistvakten (t-bridge-text#R2-2 — fältlist-fäl
     // FP9 (2026-07-18, FIX I1): under-målbron-dominansens färskhetsgate
     // läser positionstiderna (FREE WILLY-strax-spöket).
     'timestamp', 'lastPositionUpdate',
+    // Öppningsrestriktionen: ledbåtens spärrfönster ger "uppskjuten".
+    '_openingRestrictedUntilMs',
+    // Dödräkningen: ledarvalet på avstånd läser en tyst båts prognos.
+    '_predictedPosition',
+    // Intervalläget: ledbåtens p10/p90 ger "om 4–7 minuter".
+    '_etaInterval',
   ];
 
   function makeProjectionApp() {
@@ -500,6 +506,8 @@ describe('T3: projektions-fältlistvakten (t-bridge-text#R2-2 — fältlist-fäl
         _bridgeOpeningUntil: null,
         _etaIsExtrapolated: false,
         _isImminentAtTargetBridge: false,
+        _openingRestrictedUntilMs: null,
+        _predictedPosition: null,
         lat: 58.28,
         lon: 12.28,
         timestamp: Date.now(),
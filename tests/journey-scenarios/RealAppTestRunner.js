@@ -52,12 +52,18 @@ Module.prototype.require = function requireOverride(id) {
 
 const mockHomey = require('../__mocks__/homey').__mockHomey;
 const AISBridgeApp = require('../../app');
+const { getStrings } = require('../../lib/utils/bridgeTextLocale');
 
 class RealAppTestRunner {
-  constructor() {
+  /**
+   * @param {{locale?: string}} [options] - Textspråk för getCurrentBridgeText
+   *   ('sv' default; 'en' för de engelska golden-snapshotsen)
+   */
+  constructor(options = {}) {
     this.app = null;
+    this.bridgeTextLocale = options.locale || 'sv';
     this.bridgeTextHistory = [];
-    this.lastBridgeText = 'Inga båtar är i närheten av Klaffbron eller Stridsbergsbron';
+    this.lastBridgeText = getStrings(this.bridgeTextLocale).defaultMessage;
     this.stepNumber = 0;
     this._waitMultiplier = 1; // Allow acceleration during automated tests
     this.logLevel = process.env.BRIDGE_TEXT_LOG_LEVEL || 'summary';
@@ -410,7 +416,7 @@ class RealAppTestRunner {
    */
   getCurrentBridgeText() {
     if (!this.app || !this.app.bridgeTextService) {
-      return 'Inga båtar är i närheten av Klaffbron eller Stridsbergsbron';
+      return getStrings(this.bridgeTextLocale).defaultMessage;
     }
 
     // Returnera cacheat resultat om det finns (undviker dubbel-anrop som
@@ -430,7 +436,9 @@ class RealAppTestRunner {
       this.app._reevaluateVesselStatuses();
     }
     const relevantVessels = this.app._findRelevantBoatsForBridgeText();
-    const result = this.app.bridgeTextService.generateBridgeText(relevantVessels);
+    const result = this.app.bridgeTextService.generateBridgeText(relevantVessels, {
+      locale: this.bridgeTextLocale,
+    });
     this._bridgeTextCache = result;
     return result;
   }
@@ -0,0 +1,441 @@
+'use strict';
+
+const http = require('http');
+const JsonFeedClient = require('../lib/connection/JsonFeedClient');
+const AISSourceMultiplexer = require('../lib/connection/AISSourceMultiplexer');
+const { resolveMapping, parseFixTime, parseBody } = require('../lib/utils/jsonFeedParser');
+const { AIS_CONFIG, BRIDGES } = require('../lib/constants');
+
+/**
+ * JSON-mottagaren (json_feed_url): en lokal mottagares fartygslista över
+ * HTTP, AIS-catchers /api/ships.json som förinställning. Parsern delar
+ * sentinelreglerna med AISHub; klienten pollar, dedupar re-serverade poster
+ * och stämplar fixTs enligt den DEKLARERADE tidskvaliteten; muxen fusionerar
+ * den som en fjärde källa.
+ */
+
+const CFG = AIS_CONFIG.JSON_FEED;
+const KLAFF = BRIDGES.klaffbron;
+const DEFAULT = resolveMapping(null);
+
+function makeLogger() {
+  return { log: jest.fn(), debug: jest.fn(), error: jest.fn() };
+}
+
+// En AIS-catcher-post (fälten i DEFAULT_MAPPING).
+function ship(overrides = {}) {
+  return {
+    mmsi: 265001234,
+    lat: KLAFF.lat - 0.004,
+    lon: KLAFF.lon - 0.002,
+    speed: 5.2,
+    cog: 30,
+    status: 0,
+    shipname: 'JSONBAT',
+    shiptype: 70,
+    to_bow: 60,
+    to_stern: 20,
+    to_port: 6,
+    to_starboard: 6,
+    last_signal: 3,
+    ...overrides,
+  };
+}
+
+const shipsBody = (ships) => JSON.stringify({ count: ships.length, ships });
+
+describe('jsonFeedParser.resolveMapping', () => {
+  test('tom mappning ⇒ AIS-catcher-presetet (kopia, inte referens)', () => {
+    expect(resolveMapping('')).toEqual(CFG.DEFAULT_MAPPING);
+    expect(resolveMapping(null)).not.toBe(CFG.DEFAULT_MAPPING);
+  });
+
+  test('egen mappning ersätter presetet helt; JSON-sträng accepteras', () => {
+    const m = resolveMapping('{"records": "", "mmsi": "id", "lat": "pos.lat", "lon": "pos.lon", "time": "ts"}');
+    expect(m).toMatchObject({
+      records: '', mmsi: 'id', lat: 'pos.lat', lon: 'pos.lon', time: 'ts', age: null, sog: null,
+    });
+  });
+
+  test('okänd nyckel, fel värdetyp, saknat obligatoriskt fält eller både time och age ⇒ null', () => {
+    expect(resolveMapping({ mmsi: 'm', lat: 'a', lng: 'b' })).toBeNull();
+    expect(resolveMapping({ mmsi: 'm', lat: 'a', lon: 3 })).toBeNull();
+    expect(resolveMapping({ mmsi: 'm', lat: 'a' })).toBeNull();
+    expect(resolveMapping({
+      mmsi: 'm', lat: 'a', lon: 'b', time: 't', age: 'g',
+    })).toBeNull();
+    expect(resolveMapping('{trasig')).toBeNull();
+    expect(resolveMapping('[1]')).toBeNull();
+  });
+});
+
+describe('jsonFeedParser.parseFixTime', () => {
+  test('ms, unix-sekunder, AISHub-formatet och ISO 8601 med offset', () => {
+    const ms = Date.UTC(2026, 9, 19, 20, 0, 0);
+    expect(parseFixTime(ms)).toBe(ms);
+    expect(parseFixTime(ms / 1000)).toBe(ms);
+    expect(parseFixTime('2026-10-19 20:00:00 GMT')).toBe(ms);
+    expect(parseFixTime('2026-10-19T20:00:00Z')).toBe(ms);
+    expect(parseFixTime('2026-10-19T22:00:00.250+02:00')).toBe(ms + 250);
+  });
+
+  test('allt annat ⇒ null (aldrig new Date(str))', () => {
+    expect(parseFixTime('Mon Oct 19 2026')).toBeNull();
+    expect(parseFixTime('19/10/2026 20:00')).toBeNull();
+    expect(parseFixTime(null)).toBeNull();
+  });
+});
+
+describe('jsonFeedParser.parseBody', () => {
+  const NOW = Date.UTC(2026, 9, 19, 20, 0, 0);
+
+  test('svarsformen klassas: tomt, icke-JSON, ingen postlista, data', () => {
+    expect(parseBody('', DEFAULT, NOW).kind).toBe('empty-body');
+    expect(parseBody('<html>', DEFAULT, NOW).kind).toBe('parse-error');
+    expect(parseBody('{"vessels": []}', DEFAULT, NOW).kind).toBe('shape-error');
+    const ok = parseBody(shipsBody([]), DEFAULT, NOW);
+    expect(ok).toMatchObject({ kind: 'data', ok: true, records: [] });
+  });
+
+  test('samma sentineler som AISHub; age ger fixTs; statiska fält normaliseras', () => {
+    const parsed = parseBody(shipsBody([
+      ship(),
+      ship({ mmsi: 265000002, lat: 91, lon: 181 }),
+      ship({ mmsi: 265000003, lat: 0, lon: 0 }),
+      ship({ mmsi: 0 }),
+      ship({ mmsi: 265000005, last_signal: 'nyss' }),
+      ship({ mmsi: 265000006, speed: 102.3, cog: 360 }),
+      'inte en post',
+    ]), DEFAULT, NOW);
+
+    expect(parsed.stats).toMatchObject({
+      records: 7, accepted: 2, invalidPosition: 1, sentinelPos: 1, invalidMmsi: 1, timeParseFail: 1, invalidRecord: 1,
+    });
+    expect(parsed.records[0]).toMatchObject({
+      mmsi: '265001234', sog: 5.2, cog: 30, navStatus: 0, shipName: 'JSONBAT', fixTs: NOW - 3000,
+    });
+    // SOG 102.3 och COG 360 = "ej tillgänglig" ⇒ null, positionen behålls.
+    expect(parsed.records[1]).toMatchObject({ mmsi: '265000006', sog: null, cog: null });
+    expect(parsed.staticByMmsi['265001234']).toBeTruthy();
+  });
+
+  test('historik över maxRecordAgeMs sållas bort (AIS-catcher listar gamla fartyg)', () => {
+    const parsed = parseBody(shipsBody([
+      ship(),
+      ship({ mmsi: 265000002, last_signal: 3600 }),
+    ]), DEFAULT, NOW, { maxRecordAgeMs: CFG.MAX_RECORD_AGE_MS });
+    expect(parsed.stats).toMatchObject({ accepted: 1, tooOld: 1 });
+  });
+
+  test('utan time/age-mappning ⇒ fixTs = receivedAt', () => {
+    const mapping = resolveMapping({
+      records: 'list', mmsi: 'id', lat: 'p.la', lon: 'p.lo',
+    });
+    const parsed = parseBody(JSON.stringify({ list: [{ id: '265001234', p: { la: 58.28, lo: 12.28 } }] }), mapping, NOW);
+    expect(parsed.records).toEqual([expect.objectContaining({ mmsi: '265001234', fixTs: NOW })]);
+  });
+});
+
+describe('JsonFeedClient.parseConfig', () => {
+  test('standardvärden: receipt, standardintervall, presetmappning', () => {
+    expect(JsonFeedClient.parseConfig({ url: 'http://192.168.1.60:8100/api/ships.json' })).toEqual({
+      url: 'http://192.168.1.60:8100/api/ships.json',
+      intervalMs: CFG.DEFAULT_INTERVAL_MS,
+      mapping: CFG.DEFAULT_MAPPING,
+      timeQuality: 'receipt',
+    });
+  });
+
+  test('intervallet klampas till [MIN, MAX]', () => {
+    const url = 'http://receiver/api/ships.json';
+    expect(JsonFeedClient.parseConfig({ url, intervalMs: 100 }).intervalMs).toBe(CFG.MIN_INTERVAL_MS);
+    expect(JsonFeedClient.parseConfig({ url, intervalMs: 1e9 }).intervalMs).toBe(CFG.MAX_INTERVAL_MS);
+  });
+
+  test('fel protokoll, okänd tidskvalitet eller true-fix utan tidsfält ⇒ null', () => {
+    expect(JsonFeedClient.parseConfig({ url: 'tcp://receiver:10110' })).toBeNull();
+    expect(JsonFeedClient.parseConfig({ url: 'inte en url' })).toBeNull();
+    expect(JsonFeedClient.parseConfig({ url: 'http://r/', timeQuality: 'gps' })).toBeNull();
+    expect(JsonFeedClient.parseConfig({
+      url: 'http://r/', timeQuality: 'true-fix', mapping: { mmsi: 'm', lat: 'a', lon: 'b' },
+    })).toBeNull();
+    // Presetet har age-fältet ⇒ true-fix är giltigt.
+    expect(JsonFeedClient.parseConfig({ url: 'http://r/', timeQuality: 'true-fix' }).timeQuality).toBe('true-fix');
+  });
+});
+
+describe('JsonFeedClient: pollning (fake timers, _httpGet mockad)', () => {
+  let client;
+  let ev;
+
+  const attach = (c) => {
+    ev = {
+      messages: [], names: [], statics: [], connected: 0, disconnected: [], serverErrors: 0,
+    };
+    c.on('ais-message', (m) => ev.messages.push(m));
+    c.on('static-name', (m) => ev.names.push(m));
+    c.on('static-data', (m) => ev.statics.push(m));
+    c.on('connected', () => ev.connected++);
+    c.on('disconnected', (info) => ev.disconnected.push(info));
+    c.on('server-error', () => ev.serverErrors++);
+    c.on('error', () => {});
+  };
+
+  // +1 ms: utspridningstimern för första posten (0 ms) bokas först när
+  // pollen resolverat, efter att klockan stod still.
+  const flush = async (ms = 0) => {
+    await jest.advanceTimersByTimeAsync(ms + 1);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.UTC(2026, 9, 19, 20, 0, 0));
+    client = new JsonFeedClient(makeLogger());
+    attach(client);
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    jest.useRealTimers();
+  });
+
+  test('receipt: fixTs = emissionstid; statiskt FÖRE positionen; re-servering dedupas', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: shipsBody([ship()]) }));
+    await client.connect({ url: 'http://receiver/api/ships.json', intervalMs: 5000 });
+    await flush(0);
+
+    expect(ev.connected).toBe(1);
+    expect(ev.messages).toHaveLength(1);
+    expect(ev.messages[0]).toMatchObject({
+      mmsi: '265001234',
+      msgType: 'JsonFeedPosition',
+      fixTs: Date.now(),
+      timestamp: Date.now(),
+      fixFeed: 'json',
+      fixTsQuality: 'receipt',
+    });
+    expect(ev.names).toEqual([{ mmsi: '265001234', shipName: 'JSONBAT' }]);
+    expect(ev.statics).toHaveLength(1);
+
+    // Samma post 5 s senare med last_signal +5 — samma fix, inte en ny.
+    client._httpGet.mockImplementation(async () => ({ statusCode: 200, body: shipsBody([ship({ last_signal: 8 })]) }));
+    await flush(5000);
+    expect(client._httpGet).toHaveBeenCalledTimes(2);
+    expect(ev.messages).toHaveLength(1);
+    expect(client.getConnectionStats().counters.dupes).toBe(1);
+
+    // Ny rapport (last_signal 1) ⇒ släpps.
+    client._httpGet.mockImplementation(async () => ({ statusCode: 200, body: shipsBody([ship({ last_signal: 1 })]) }));
+    await flush(5000);
+    expect(ev.messages).toHaveLength(2);
+  });
+
+  test('true-fix: fixTs = mottagarens tid (receivedAt − last_signal)', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: shipsBody([ship({ last_signal: 4 })]) }));
+    const t0 = Date.now();
+    await client.connect({ url: 'http://receiver/api/ships.json', timeQuality: 'true-fix' });
+    await flush(0);
+    expect(ev.messages[0]).toMatchObject({ fixTs: t0 - 4000, fixTsQuality: 'true-fix' });
+  });
+
+  test('utan tidsfält dedupas på oförändrat innehåll', async () => {
+    const mapping = { mmsi: 'mmsi', lat: 'lat', lon: 'lon' };
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: JSON.stringify([ship()]) }));
+    await client.connect({ url: 'http://receiver/', intervalMs: 2000, mapping });
+    await flush(0);
+    await flush(2000);
+    expect(ev.messages).toHaveLength(1);
+    client._httpGet.mockImplementation(async () => ({ statusCode: 200, body: JSON.stringify([ship({ lat: KLAFF.lat })]) }));
+    await flush(2000);
+    expect(ev.messages).toHaveLength(2);
+  });
+
+  test('fartyg utanför kanalboxen släpps aldrig', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: shipsBody([ship({ lat: 57.7, lon: 11.9 })]) }));
+    await client.connect({ url: 'http://receiver/api/ships.json' });
+    await flush(0);
+    expect(ev.messages).toHaveLength(0);
+    expect(client.getConnectionStats().counters.outOfBox).toBe(1);
+  });
+
+  test('raka fel: en server-error och flanken ned på streaken; backoff fördubblas och återställs', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: shipsBody([]) }));
+    await client.connect({ url: 'http://receiver/api/ships.json', intervalMs: 10000 });
+    await flush(0);
+    expect(ev.connected).toBe(1);
+
+    client._httpGet.mockImplementation(async () => ({ statusCode: 503, body: '' }));
+    await flush(10000);
+    expect(client.getConnectionStats().backoffMs).toBe(20000);
+    await flush(20000);
+    expect(client.getConnectionStats().backoffMs).toBe(40000);
+    expect(ev.disconnected).toHaveLength(0);
+    await flush(40000);
+    expect(ev.serverErrors).toBe(1);
+    expect(ev.disconnected).toEqual([{ code: 1006, reason: 'json httpError' }]);
+    expect(client.getConnectionStats().counters.httpErrors).toBe(3);
+
+    client._httpGet.mockImplementation(async () => ({ statusCode: 200, body: shipsBody([]) }));
+    await flush(80000);
+    expect(ev.connected).toBe(2);
+    expect(client.getConnectionStats().backoffMs).toBe(0);
+  });
+
+  test('fel URL (ingen postlista) räknas som formfel, inte som kontakt', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: '{"status": "ok"}' }));
+    await client.connect({ url: 'http://receiver/api/stat.json' });
+    await flush(0);
+    expect(ev.connected).toBe(0);
+    expect(client.getConnectionStats().counters.shapeErrors).toBe(1);
+  });
+
+  test('query-strängen hålls utanför statistiken', async () => {
+    client._httpGet = jest.fn(async () => ({ statusCode: 200, body: shipsBody([]) }));
+    await client.connect({ url: 'http://receiver/api/ships.json?token=hemligt' });
+    expect(client.getConnectionStats().url).toBe('http://receiver/api/ships.json');
+  });
+});
+
+describe('JsonFeedClient: äkta HTTP mot en lokal stand-in', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    if (client) client.disconnect();
+    client = null;
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  test('hämtar och levererar en AIS-catcher-lista', async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(shipsBody([ship()]));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    client = new JsonFeedClient(makeLogger());
+    const received = new Promise((resolve) => client.once('ais-message', resolve));
+    await client.connect({ url: `http://127.0.0.1:${port}/api/ships.json` });
+    const msg = await received;
+    expect(msg).toMatchObject({ mmsi: '265001234', fixFeed: 'json' });
+    expect(client.isConnected).toBe(true);
+  });
+});
+
+describe('AISSourceMultiplexer: json som källa', () => {
+  let mux;
+
+  function msg(overrides = {}) {
+    return {
+      mmsi: '265001234',
+      msgType: 'JsonFeedPosition',
+      lat: 58.281,
+      lon: 12.281,
+      sog: 5,
+      cog: 37,
+      navStatus: 0,
+      shipName: 'JSONBAT',
+      timestamp: Date.now(),
+      fixTs: Date.now(),
+      fixTsQuality: 'receipt',
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(JsonFeedClient.prototype, 'connect').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    if (mux) mux.disconnect();
+    mux = null;
+    jest.restoreAllMocks();
+  });
+
+  const withStream = (jsonFeed) => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    jest.spyOn(mux._streamClient, 'connect').mockResolvedValue(undefined);
+    jest.spyOn(mux._streamClient, 'disconnect').mockReturnValue(undefined);
+    mux.applySourceConfig({ source: 'aisstream', apiKey: 'KEY', jsonFeed });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    return received;
+  };
+
+  test('perFeed.json speglar barnet; ogiltig config ger inget barn; tömd config river det', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    expect(mux.getConnectionStats().perFeed.json.configured).toBe(false);
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: { url: 'ftp://receiver/' } });
+    expect(mux._jsonClient).toBeNull();
+
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: { url: 'http://receiver/api/ships.json' } });
+    const child = mux._jsonClient;
+    expect(child).toBeInstanceOf(JsonFeedClient);
+    expect(mux.getConnectionStats().perFeed.json).toMatchObject({ configured: true });
+    child.isConnected = true;
+    expect(mux.isConnected).toBe(true);
+
+    const spy = jest.spyOn(child, 'disconnect');
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: undefined });
+    expect(spy).toHaveBeenCalled();
+    expect(mux._jsonClient).toBeNull();
+  });
+
+  test('ändrad tidskvalitet startar om barnet; oförändrad config gör det inte', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    const url = 'http://receiver/api/ships.json';
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: { url } });
+    const first = mux._jsonClient;
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: { url } });
+    expect(mux._jsonClient).toBe(first);
+    mux.applySourceConfig({ source: 'aisstream', jsonFeed: { url, timeQuality: 'true-fix' } });
+    expect(mux._jsonClient).not.toBe(first);
+  });
+
+  test('ensam källa ⇒ pass-through med källstämpeln json', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    mux.applySourceConfig({ source: 'aisstream', apiKey: null, jsonFeed: { url: 'http://receiver/' } });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    mux._ingestFromFeed('json', msg({ fixFeed: 'aisstream' }));
+    expect(received).toHaveLength(1);
+    expect(received[0].fixFeed).toBe('json');
+    expect(mux._fusionStates.size).toBe(0);
+  });
+
+  test('receipt + aisstream ⇒ fusion utan stale-grind (som NMEA)', () => {
+    const received = withStream({ url: 'http://receiver/' });
+    mux._ingestFromFeed('aisstream', msg({ fixTs: Date.now() }));
+    // En receipt-fix med äldre stämpel men ny position: ingen F6 ⇒ släpps.
+    mux._ingestFromFeed('json', msg({ lat: 58.2815, fixTs: Date.now() - 5000 }));
+    expect(received.map((e) => e.fixFeed)).toEqual(['aisstream', 'json']);
+    expect(mux.getConnectionStats().fusion.byReason.stale_cross_fix).toBeUndefined();
+  });
+
+  test('true-fix + aisstream ⇒ F6: en släpande json-fix avvisas; egen F6b-klocka', () => {
+    const received = withStream({ url: 'http://receiver/', timeQuality: 'true-fix' });
+    mux._ingestFromFeed('aisstream', msg({ fixTs: Date.now() }));
+    mux._ingestFromFeed('json', msg({ lat: 58.2815, fixTs: Date.now() - 5000, fixTsQuality: 'true-fix' }));
+    expect(received.map((e) => e.fixFeed)).toEqual(['aisstream']);
+    expect(mux.getConnectionStats().fusion.byReason.stale_cross_fix).toBe(1);
+    expect(mux.getConnectionStats().fusion).toHaveProperty('jsonClockOffsetMs');
+    // Klockstatet är per källa: json fick sitt eget, AISHub:s finns inte ens.
+    expect([...mux._clocks.keys()]).toEqual(['json']);
+  });
+
+  test('json + nmea utan molnkälla ⇒ fusion mellan de lokala källorna', () => {
+    jest.spyOn(require('../lib/connection/NmeaClient').prototype, 'connect').mockResolvedValue(undefined);
+    mux = new AISSourceMultiplexer(makeLogger());
+    mux.applySourceConfig({
+      source: 'aisstream', apiKey: null, nmeaEndpoint: 'udp://:10110', jsonFeed: { url: 'http://receiver/' },
+    });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    mux._ingestFromFeed('nmea', msg());
+    mux._ingestFromFeed('json', msg());
+    expect(received).toHaveLength(1);
+    expect(mux.getConnectionStats().fusion.byReason.cross_feed_duplicate).toBe(1);
+  });
+});
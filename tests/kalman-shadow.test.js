@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Kalman-skuggan (TrackKalmanService): ett konstant-hastighetsfilter per
+ * fartyg med fixtids-dt, utjämnad position/hastighet och en χ²-grind på
+ * innovationen. Skuggläge — besluten jämförs med jumpgrinden och räknas,
+ * men positionen som VesselDataService lagrar rörs aldrig.
+ */
+
+const TrackKalmanService = require('../lib/services/TrackKalmanService');
+const VesselDataService = require('../lib/services/VesselDataService');
+const SystemCoordinator = require('../lib/services/SystemCoordinator');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const { KALMAN_SHADOW } = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const KNOTS_TO_MS = 0.514444;
+const DEG_PER_M = 180 / (Math.PI * 6371000);
+const T0 = Date.parse('2026-08-10T08:00:00Z');
+const ORIGIN = { lat: 58.27, lon: 12.27 };
+
+/** Fix `northM` meter norr om ORIGIN. */
+const at = (northM) => ({ lat: ORIGIN.lat + northM * DEG_PER_M, lon: ORIGIN.lon });
+
+/** En båt på 5 kn rakt norrut, ett fix var 30:e sekund (mottagning = fix). */
+const cruise = (svc, mmsi, fixes, extra = {}) => {
+  const speed = 5 * KNOTS_TO_MS;
+  let last = null;
+  for (let i = 0; i < fixes; i++) {
+    const ms = T0 + i * 30000;
+    last = svc.observe(mmsi, at(speed * 30 * i), {
+      sog: 5, cog: 0, timestamp: ms, fixTs: ms, fixFeed: 'aisstream', ...extra,
+    }, { action: 'accept', movementDistance: speed * 30 });
+  }
+  return last;
+};
+
+describe('TrackKalmanService', () => {
+  test('rak kurs: spåret följer båten och osäkerheten krymper', () => {
+    const svc = new TrackKalmanService();
+    const first = svc.observe('1', at(0), { sog: 5, cog: 0, timestamp: T0 });
+    expect(first).toMatchObject({ action: null, reset: true });
+
+    const last = cruise(svc, '1', 10);
+    expect(last.action).toBe('accept');
+    expect(last.d2).toBeLessThan(1);
+    const track = svc.getTrack('1');
+    expect(track.speedKn).toBeCloseTo(5, 1);
+    expect(Math.min(track.courseDeg, 360 - track.courseDeg)).toBeLessThan(1);
+    expect(track.lat).toBeCloseTo(at(5 * KNOTS_TO_MS * 270).lat, 5);
+    expect(track.positionSigmaM).toBeLessThan(KALMAN_SHADOW.POSITION_SIGMA_M);
+  });
+
+  test('hopp: förkastas utan att matas in, spåret startar om efter upprepade hopp', () => {
+    const svc = new TrackKalmanService();
+    cruise(svc, '2', 6);
+    const before = svc.getTrack('2');
+    const jumpAt = (i) => ({ timestamp: T0 + i * 30000, fixTs: T0 + i * 30000, fixFeed: 'aisstream' });
+
+    const jump = svc.observe('2', at(2000), { sog: 5, cog: 0, ...jumpAt(6) });
+    expect(jump.action).toBe('gps_jump_detected');
+    // Spåret rullade vidare på prognosen (30 s à 5 kn), inte mot hoppet.
+    expect((jump.track.lat - before.lat) / DEG_PER_M).toBeCloseTo(5 * KNOTS_TO_MS * 30, 0);
+
+    // Nästa fix på kursen är vardag igen.
+    expect(svc.observe('2', at(5 * KNOTS_TO_MS * 30 * 7), { sog: 5, cog: 0, ...jumpAt(7) }).action).toBe('accept');
+
+    // Tre hopp i rad ⇒ båten ÄR där — nytt spår på det sista.
+    for (let i = 8; i < 8 + KALMAN_SHADOW.MAX_CONSECUTIVE_REJECTS; i++) {
+      svc.observe('2', at(3000), { sog: 5, cog: 0, ...jumpAt(i) });
+    }
+    const restarted = svc.observe('2', at(3000), { sog: 5, cog: 0, ...jumpAt(10) });
+    expect(restarted.action).toBe('gps_jump_detected');
+    expect(svc.getTrack('2').lat).toBeCloseTo(at(3000).lat, 9);
+    expect(svc.getSummary().resets).toBe(2);
+  });
+
+  test('dt ur fixtiden: en fördröjd leverans är ingen hopp', () => {
+    // Mottagen 10 s efter förra fixet men fixad 60 s efter ⇒ 154 m är rimligt.
+    const delayed = (feed) => {
+      const svc = new TrackKalmanService();
+      cruise(svc, '3', 6, { fixFeed: feed });
+      const lastFix = T0 + 5 * 30000;
+      return svc.observe('3', at(5 * KNOTS_TO_MS * (150 + 60)), {
+        sog: 5, cog: 0, timestamp: lastFix + 10000, fixTs: lastFix + 60000, fixFeed: feed,
+      });
+    };
+    expect(delayed('aisstream').action).toBe('accept');
+    // Utan källa finns ingen fixtids-dt — mottagningstiden dömer hoppet.
+    expect(delayed(null).action).toBe('gps_jump_detected');
+  });
+
+  test('långt glapp startar ett nytt spår', () => {
+    const svc = new TrackKalmanService();
+    cruise(svc, '4', 3);
+    const later = T0 + 60000 + KALMAN_SHADOW.MAX_GAP_MS + 1;
+    expect(svc.observe('4', at(5000), { timestamp: later })).toMatchObject({ action: null, reset: true });
+  });
+
+  test('sammanställningen räknar grind→kalman och loggar oenigheten', () => {
+    const logger = mockLogger();
+    const svc = new TrackKalmanService({ logger });
+    cruise(svc, '5', 4);
+    svc.observe('5', at(1500), {
+      sog: 5, cog: 0, timestamp: T0 + 120000, fixTs: T0 + 120000, fixFeed: 'aisstream',
+    }, { action: 'accept_with_caution', movementDistance: 1423, reason: 'physics_gate' });
+    const summary = svc.getSummary();
+    expect(summary).toMatchObject({
+      compared: 4, agreed: 3, resets: 1, tracks: 1,
+    });
+    expect(summary.matrix).toEqual({ 'accept→accept': 3, 'accept_with_caution→gps_jump_detected': 1 });
+    expect(summary.examples[0]).toMatchObject({
+      mmsi: '5', gate: 'accept_with_caution', kalman: 'gps_jump_detected', movementM: 1423, reason: 'physics_gate',
+    });
+    expect(logger.debug).toHaveBeenCalledWith(expect.stringContaining('🧮 [KALMAN_SHADOW] 5: grind=accept_with_caution kalman=gps_jump_detected'));
+
+    svc.forget('5');
+    expect(svc.getTrack('5')).toBeNull();
+    svc.resetSummary();
+    expect(svc.getSummary()).toMatchObject({ compared: 0, matrix: {}, examples: [] });
+  });
+});
+
+describe('VesselDataService', () => {
+  test('skuggan ser varje fix som jumpgrinden dömer och släpps med fartyget', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    const logger = mockLogger();
+    const service = new VesselDataService(logger, new BridgeRegistry(), new SystemCoordinator(logger));
+    const observe = jest.spyOn(service.trackKalmanService, 'observe');
+    const report = (northM) => service.updateVessel('265000020', {
+      ...at(northM), sog: 5, cog: 0, name: 'SKUGGAN', fixTs: Date.now(), fixFeed: 'aisstream',
+    });
+    report(0);
+    jest.advanceTimersByTime(30000);
+    report(77);
+    jest.advanceTimersByTime(30000);
+    report(154);
+
+    expect(observe).toHaveBeenCalledTimes(2);
+    const [, position, sample, analysis] = observe.mock.calls[1];
+    expect(position.lat).toBeCloseTo(at(154).lat, 9);
+    expect(sample).toMatchObject({ fixFeed: 'aisstream', fixTs: T0 + 60000 });
+    expect(analysis.action).toBe('accept');
+    expect(service.getVessel('265000020').lat).toBeCloseTo(at(154).lat, 9);
+    expect(service.trackKalmanService.getTrack('265000020')).not.toBeNull();
+
+    service.removeVessel('265000020', 'test');
+    expect(service.trackKalmanService.getTrack('265000020')).toBeNull();
+    service.clearAllTimers();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,231 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Slusstrappan (profilens locks, LockComplexService): slussen som egen
+ * waypoint-typ i BridgeRegistry, tillstånden kö → kammare → utträde,
+ * cykeltiden ur observerade genomgångar och slussväntan i den nordgående
+ * ETA:n mot Klaffbron.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const LockComplexService = require('../lib/services/LockComplexService');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const fairway = require('../lib/utils/fairway');
+const waterwayProfile = require('../lib/utils/waterwayProfile');
+const { LOCKS, LOCK_COMPLEX, BRIDGES } = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const LOCK = LOCKS.trollhatteslussar;
+const T0 = Date.parse('2026-08-10T08:00:00Z');
+const minutes = (m) => T0 + m * 60000;
+
+// Positioner kring Trollhätte slussar (övre port NO, nedre port VSV).
+const BELOW = { lat: 58.2610, lon: 12.2487 }; // nedre kön
+const CHAMBER = { lat: 58.26295, lon: 12.2532 }; // mitt i kammaren
+const ABOVE = { lat: 58.2648, lon: 12.2575 }; // övre kön, 85 m från porten
+const INFARTSKAJ = { lat: 58.2661, lon: 12.26471 }; // S/Y ENYA:s kajplats
+
+const makeService = (clock) => new LockComplexService({
+  logger: mockLogger(), bridgeRegistry: new BridgeRegistry(), now: () => clock.now,
+});
+
+const boat = (mmsi, pos, extra = {}) => ({
+  mmsi, sog: 0, cog: null, ...pos, ...extra,
+});
+
+/** En hel genomgång uppåt: kö nedanför → kammaren → ut ovanför. */
+const transitUp = (svc, clock, mmsi, startMin, durationMin) => {
+  clock.now = minutes(startMin);
+  svc.observeVessel(boat(mmsi, BELOW));
+  clock.now = minutes(startMin + durationMin / 2);
+  svc.observeVessel(boat(mmsi, CHAMBER));
+  clock.now = minutes(startMin + durationMin);
+  return svc.observeVessel(boat(mmsi, ABOVE, { sog: 3, cog: 45 }));
+};
+
+describe('profilen och registret', () => {
+  test('slussen är en egen waypoint-typ', () => {
+    const registry = new BridgeRegistry();
+    expect(registry.getLock('trollhatteslussar')).toMatchObject({ name: 'Trollhätte slussar', defaultCycleMinutes: 45 });
+    expect(registry.getLocks().map((l) => l.id)).toEqual(['trollhatteslussar']);
+    expect(registry.getWaypointType('trollhatteslussar')).toBe('lock');
+    expect(registry.getWaypointType('klaffbron')).toBe('bridge');
+    expect(registry.getWaypointType('kanalinfarten')).toBeNull();
+    // Slussen ingår inte i bro-ordningen.
+    expect(registry.getAllBridgeIds()).not.toContain('trollhatteslussar');
+  });
+
+  test('validateProfile prövar slussarna', () => {
+    const profile = waterwayProfile.loadProfile('trollhattekanalen');
+    profile.locks.trollhatteslussar.lowerGate = null;
+    profile.locks.klaffbron = { ...LOCK, name: 'Klaffbron' };
+    expect(waterwayProfile.validateProfile(profile).errors).toEqual(expect.arrayContaining([
+      "Lock 'trollhatteslussar' needs name, upperGate, lowerGate, a positive queueRadiusM and defaultCycleMinutes",
+      "Lock 'klaffbron' collides with a bridge or trigger point id",
+      "Lock 'klaffbron' reuses the bridge name 'Klaffbron'",
+    ]));
+  });
+});
+
+describe('LockComplexService', () => {
+  test('uppåt: kö → kammare → utträde', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    expect(svc.observeVessel(boat('1', BELOW))).toMatchObject({ state: 'queued', direction: 'up', lockId: 'trollhatteslussar' });
+    clock.now = minutes(20);
+    expect(svc.observeVessel(boat('1', CHAMBER))).toMatchObject({ state: 'in_chamber', enteredAt: minutes(0) });
+    clock.now = minutes(40);
+    expect(svc.observeVessel(boat('1', ABOVE, { sog: 3, cog: 45 }))).toMatchObject({ state: 'exited' });
+    // Utträdd båt startar ingen ny genomgång i övre kön.
+    clock.now = minutes(41);
+    expect(svc.observeVessel(boat('1', ABOVE, { sog: 3, cog: 45 })).state).toBe('exited');
+    clock.now = minutes(41) + LOCK_COMPLEX.EXITED_HOLD_MS;
+    expect(svc.observeVessel(boat('1', { lat: 58.2660, lon: 12.2620 }))).toBeNull();
+  });
+
+  test('nedåt: kajliggare är ingen slusskund, en båt på väg mot porten är det', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    expect(svc.observeVessel(boat('2', INFARTSKAJ))).toBeNull();
+    expect(svc.observeVessel(boat('2', ABOVE))).toBeNull(); // stilla vid porten
+    expect(svc.observeVessel(boat('2', ABOVE, { sog: 2, cog: 230 }))).toMatchObject({ state: 'queued', direction: 'down' });
+    clock.now = minutes(5);
+    expect(svc.observeVessel(boat('2', CHAMBER)).state).toBe('in_chamber');
+    clock.now = minutes(35);
+    expect(svc.observeVessel(boat('2', BELOW)).state).toBe('exited');
+  });
+
+  test('en båt som lämnar kön bakåt glöms', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    svc.observeVessel(boat('3', ABOVE, { sog: 2, cog: 230 }));
+    expect(svc.observeVessel(boat('3', INFARTSKAJ))).toBeNull();
+    expect(svc.getState('3')).toBeNull();
+  });
+
+  test('cykeltiden: profilens standard, sedan medianen av hela genomgångar', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    expect(svc.estimateCycleMinutes('trollhatteslussar')).toBe(45);
+    expect(svc.estimateCycleMinutes('nowhere')).toBeNull();
+
+    transitUp(svc, clock, '10', 0, 30);
+    transitUp(svc, clock, '11', 60, 40);
+    expect(svc.estimateCycleMinutes('trollhatteslussar')).toBe(45); // < MIN_SAMPLES
+
+    // Sedd först i kammaren — halv genomgång, inget prov.
+    clock.now = minutes(100);
+    svc.observeVessel(boat('12', CHAMBER));
+    clock.now = minutes(105);
+    svc.observeVessel(boat('12', ABOVE, { sog: 3, cog: 45 }));
+    // Längre än MAX_CYCLE_MINUTES — ett glapp, inte en cykel.
+    transitUp(svc, clock, '13', 120, LOCK_COMPLEX.MAX_CYCLE_MINUTES + 10);
+    expect(svc.getSnapshot().cycles.trollhatteslussar.samples).toBe(2);
+
+    transitUp(svc, clock, '14', 300, 20);
+    expect(svc.estimateCycleMinutes('trollhatteslussar')).toBe(30);
+    transitUp(svc, clock, '15', 400, 50);
+    expect(svc.estimateCycleMinutes('trollhatteslussar')).toBe(35);
+  });
+
+  test('getPassage: kvarvarande cykeltid för båtar på väg upp', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    svc.observeVessel(boat('20', BELOW));
+    expect(svc.getPassage({ mmsi: '20' })).toMatchObject({
+      state: 'queued', delayMinutes: 45, exitGate: LOCK.upperGate, lockName: 'Trollhätte slussar',
+    });
+    clock.now = minutes(30);
+    svc.observeVessel(boat('20', CHAMBER));
+    expect(svc.getPassage({ mmsi: '20' }).delayMinutes).toBeCloseTo(15, 6);
+    clock.now = minutes(60);
+    expect(svc.getPassage({ mmsi: '20' }).delayMinutes).toBe(0);
+
+    svc.observeVessel(boat('21', ABOVE, { sog: 2, cog: 230 }));
+    expect(svc.getPassage({ mmsi: '21' })).toBeNull(); // på väg ned
+    expect(svc.getPassage({ mmsi: 'okänd' })).toBeNull();
+  });
+});
+
+describe('nordgående ETA mot Klaffbron', () => {
+  const queued = {
+    mmsi: '30', ...BELOW, sog: 0, cog: 40, targetBridge: 'Klaffbron',
+  };
+
+  test('kö för slussen: slussväntan plus restiden från övre porten', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    svc.observeVessel(queued);
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    calc.setLockPassageProvider((vessel) => svc.getPassage(vessel));
+
+    const gateToKlaff = fairway.sailedDistanceM(LOCK.upperGate.lat, LOCK.upperGate.lon, BRIDGES.klaffbron);
+    const travel = gateToKlaff / ((LOCK_COMPLEX.EXIT_SPEED_KN * 1852) / 3600) / 60;
+    expect(calc.calculateProgressiveETA(queued, null)).toBeCloseTo(45 + travel, 6);
+    calc.destroy();
+  });
+
+  test('utan slussmodellen: fågelvägen i kryphastighet (dagens vilseledande ETA)', () => {
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    expect(calc.calculateProgressiveETA(queued, null)).toBe(120);
+    calc.destroy();
+  });
+
+  test('ute ur slussen: vanlig ETA igen', () => {
+    const clock = { now: minutes(0) };
+    const svc = makeService(clock);
+    transitUp(svc, clock, '30', 0, 40);
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    const provider = jest.fn((vessel) => svc.getPassage(vessel));
+    calc.setLockPassageProvider(provider);
+    const out = {
+      ...queued, ...ABOVE, sog: 3, cog: 45,
+    };
+    const plain = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    expect(calc.calculateProgressiveETA(out, null)).toBeCloseTo(plain.calculateProgressiveETA(out, null), 6);
+    expect(provider).toHaveBeenCalled();
+    calc.destroy();
+    plain.destroy();
+  });
+});
+
+describe('appen', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('positionsanalysen matar slussmodellen och ETA:n frågar den', async () => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+
+    const vessel = {
+      ...BELOW, mmsi: '40', sog: 0, cog: 40, targetBridge: 'Klaffbron',
+    };
+    app._observeLockComplex(vessel);
+    expect(app.lockComplexService.getState('40')).toMatchObject({ state: 'queued', direction: 'up' });
+    expect(app.statusService.calculateETA(vessel, null)).toBeGreaterThan(45);
+  });
+});
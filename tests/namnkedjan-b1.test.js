@@ -41,6 +41,8 @@ const SNAPSHOT_CONSUMED_FIELDS = [
   // Helgranskning 2026-07-06 (app-6#R2-2): exit-fallbackens nya gates.
   '_moored',
   '_hasMovementProof',
+  // Statiska AIS-uppgifter: fallbacknotisens ship_*/destination-tokens.
+  'staticData',
 ];
 
 describe('B1: snapshot-fullständighet (fältlist-vakten)', () => {
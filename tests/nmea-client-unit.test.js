@@ -0,0 +1,314 @@
+'use strict';
+
+const path = require('path');
+const dgram = require('dgram');
+const NmeaClient = require('../lib/connection/NmeaClient');
+const AISSourceMultiplexer = require('../lib/connection/AISSourceMultiplexer');
+const aivdmDecoder = require('../lib/utils/aivdmDecoder');
+const { AIS_CONFIG } = require('../lib/constants');
+const { startNmeaStandIn } = require('./replay-validation/nmeaStandIn');
+
+/**
+ * Lokal NMEA-mottagare (dAISy/RTL-SDR): 6-bitarsavkodningen mot kända
+ * referensmeningar, fragmentsammansättningen av typ 5, checksumgrinden och
+ * en hel uppspelning via en lokal TCP-ersättare. Muxdelen verifierar att
+ * 'nmea' blir en tredje källa som passerar rakt igenom när den är ensam och
+ * fusioneras (F2 håller dubbletterna ute) när molnet också matar.
+ */
+
+const SAMPLE_FILE = path.join(__dirname, 'replay-validation', 'nmea-sample.nmea');
+
+// Referensmeningar ur den publika AIVDM-protokollbeskrivningen.
+const REF_TYPE1 = '!AIVDM,1,1,,A,15RTgt0PAso;90TKcjM8h6g208CQ,0*4A';
+const REF_TYPE5 = [
+  '!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C',
+  '!AIVDM,2,2,1,A,88888888880,2*25',
+];
+
+function makeLogger() {
+  return { log: jest.fn(), debug: jest.fn(), error: jest.fn() };
+}
+
+function collect(client) {
+  const out = {
+    messages: [], names: [], connected: 0, disconnected: [], serverErrors: [], errors: [],
+  };
+  client.on('ais-message', (m) => out.messages.push(m));
+  client.on('static-name', (n) => out.names.push(n));
+  client.on('connected', () => out.connected++);
+  client.on('disconnected', (info) => out.disconnected.push(info));
+  client.on('server-error', (d) => out.serverErrors.push(d));
+  client.on('error', (e) => out.errors.push(e));
+  return out;
+}
+
+function waitFor(predicate, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('waitFor: timeout'));
+      return setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+describe('aivdmDecoder: referensmeningar och sentinelparitet', () => {
+  test('typ 1 avkodas till kända värden', () => {
+    const parsed = aivdmDecoder.parseSentence(REF_TYPE1);
+    expect(parsed.ok).toBe(true);
+    const { report } = aivdmDecoder.decodePayload(parsed.sentence.payload, parsed.sentence.fillBits);
+    expect(report).toMatchObject({
+      kind: 'position', mmsi: '371798000', msgType: 'PositionReport', sog: 12.3, cog: 224, navStatus: 0, heading: 215,
+    });
+    expect(report.lat).toBeCloseTo(48.381633, 5);
+    expect(report.lon).toBeCloseTo(-123.395383, 5);
+  });
+
+  test('typ 5 (två fragment) avkodas till namn, anropssignal, mått och djupgående', () => {
+    const parts = REF_TYPE5.map((s) => aivdmDecoder.parseSentence(s).sentence);
+    const { report } = aivdmDecoder.decodePayload(parts.map((p) => p.payload).join(''), parts[1].fillBits);
+    expect(report).toMatchObject({
+      kind: 'static',
+      mmsi: '351759000',
+      imo: 9134270,
+      callSign: '3FOF8',
+      shipName: 'EVER DIADEM',
+      shipType: 70,
+      dimensions: {
+        toBow: 225, toStern: 70, toPort: 1, toStarboard: 31,
+      },
+      draught: 12.2,
+      destination: 'NEW YORK',
+    });
+  });
+
+  test('fel checksumma, icke-VDM och TAG-block', () => {
+    expect(aivdmDecoder.parseSentence(`${REF_TYPE1.slice(0, -2)}4B`)).toEqual({ ok: false, reason: 'checksum' });
+    expect(aivdmDecoder.parseSentence('$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47').reason).toBe('not_vdm');
+    const tagged = aivdmDecoder.parseSentence(`\\s:dAISy,c:1792400000*00\\${REF_TYPE1}`);
+    expect(tagged.ok).toBe(true);
+  });
+
+  test('positionssentinelen (lon 181/lat 91) släpper hela rapporten', () => {
+    // Typ 1 med lon=181° och lat=91° (ITU "ej tillgänglig").
+    const bits = [
+      '000001', '00', (265000001).toString(2).padStart(30, '0'), '1111',
+      '10000000', '0000000000', '0',
+      (181 * 600000).toString(2).padStart(28, '0'),
+      (91 * 600000).toString(2).padStart(27, '0'),
+      '0'.repeat(12 + 9 + 6 + 2 + 3 + 1 + 19),
+    ].join('');
+    let payload = '';
+    for (let i = 0; i < bits.length; i += 6) {
+      let v = parseInt(bits.substr(i, 6), 2);
+      v += v > 39 ? 56 : 48;
+      payload += String.fromCharCode(v);
+    }
+    expect(aivdmDecoder.decodePayload(payload, 0)).toEqual({ ok: false, reason: 'sentinel_position' });
+  });
+});
+
+describe('NmeaClient: radhantering och fragment', () => {
+  let client;
+
+  afterEach(() => {
+    if (client) client.disconnect();
+    client = null;
+  });
+
+  test('typ 5 i två fragment ⇒ EN static-name, ingen position', () => {
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    client._handleLine(REF_TYPE5[0]);
+    expect(ev.names).toHaveLength(0);
+    client._handleLine(REF_TYPE5[1]);
+    expect(ev.names).toEqual([{ mmsi: '351759000', shipName: 'EVER DIADEM' }]);
+    expect(ev.messages).toHaveLength(0);
+    expect(client.getConnectionStats().counters.staticReports).toBe(1);
+  });
+
+  test('nytt fragment 1 på samma seqId kastar det ofullständiga setet', () => {
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    client._handleLine(REF_TYPE5[0]);
+    client._handleLine(REF_TYPE5[0]); // omsändning — första setet blev aldrig klart
+    client._handleLine(REF_TYPE5[1]);
+    expect(ev.names).toHaveLength(1);
+    expect(client.getConnectionStats().counters.fragmentsDropped).toBe(1);
+  });
+
+  test('position utanför bevakningsboxen emitteras inte', () => {
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    client._handleLine(REF_TYPE1); // Juan de Fuca-sundet
+    expect(ev.messages).toHaveLength(0);
+    expect(client.getConnectionStats().counters.outOfBox).toBe(1);
+  });
+
+  test('en lång följd checksumfel ⇒ EN server-error per episod', () => {
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    const bad = `${REF_TYPE1.slice(0, -2)}00`;
+    for (let i = 0; i < AIS_CONFIG.NMEA.CHECKSUM_FAIL_ALARM * 2; i++) client._handleLine(bad);
+    expect(ev.serverErrors).toHaveLength(1);
+    client._handleLine(REF_TYPE1); // giltig mening avslutar episoden
+    for (let i = 0; i < AIS_CONFIG.NMEA.CHECKSUM_FAIL_ALARM; i++) client._handleLine(bad);
+    expect(ev.serverErrors).toHaveLength(2);
+  });
+
+  test('parseEndpoint: tcp kräver värd, udp räcker med port', () => {
+    expect(NmeaClient.parseEndpoint('tcp://192.168.1.50:10110')).toEqual({ protocol: 'tcp', host: '192.168.1.50', port: 10110 });
+    expect(NmeaClient.parseEndpoint('udp://:10110')).toEqual({ protocol: 'udp', host: null, port: 10110 });
+    expect(NmeaClient.parseEndpoint('tcp://:10110')).toBeNull();
+    expect(NmeaClient.parseEndpoint('udp://:70000')).toBeNull();
+    expect(NmeaClient.parseEndpoint('192.168.1.50:10110')).toBeNull();
+  });
+});
+
+describe('NmeaClient: uppspelning via lokal TCP-ersättare', () => {
+  let client;
+  let standIn;
+
+  afterEach(async () => {
+    if (client) client.disconnect();
+    client = null;
+    if (standIn) await standIn.close();
+    standIn = null;
+  });
+
+  test('inspelad meningsfil ⇒ samma nio-eventyta som molnkällorna, fixFeed nmea', async () => {
+    // chunkBytes 7: strömmen delas mitt i meningarna — radramningen prövas.
+    standIn = await startNmeaStandIn({ file: SAMPLE_FILE, chunkBytes: 7 });
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    await client.connect(`tcp://127.0.0.1:${standIn.port}`);
+    await waitFor(() => ev.messages.length >= 5);
+
+    expect(ev.connected).toBe(1);
+    expect(client.isConnected).toBe(true);
+    expect(ev.names.map((n) => n.shipName)).toEqual(['ALPHA TROLLHATTAN', 'SMAKLANDSKAP']);
+    expect(ev.messages.map((m) => m.mmsi)).toEqual(['265573130', '265573130', '265001234', '265573130', '265001234']);
+    for (const m of ev.messages) {
+      expect(m).toMatchObject({ fixFeed: 'nmea', fixTsQuality: 'receipt' });
+      expect(m.fixTs).toBe(m.timestamp);
+    }
+    expect(ev.messages[2]).toMatchObject({ msgType: 'StandardClassBPositionReport', navStatus: null, sog: 3.1 });
+
+    const { counters } = client.getConnectionStats();
+    expect(counters.checksumFail).toBe(1);
+    expect(counters.notVdm).toBe(1);
+    expect(counters.outOfBox).toBe(1);
+    expect(counters.accepted).toBe(5);
+  });
+
+  test('ersättaren stänger ⇒ disconnected-flank och bokad återanslutning', async () => {
+    standIn = await startNmeaStandIn({ lines: [REF_TYPE1] });
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    await client.connect(`tcp://127.0.0.1:${standIn.port}`);
+    await waitFor(() => ev.connected === 1);
+    await standIn.close();
+    standIn = null;
+    await waitFor(() => ev.disconnected.length === 1);
+    expect(ev.disconnected[0].reason).toBe('nmea socket closed');
+    expect(client._reconnectTimer).not.toBeNull();
+  });
+
+  test('UDP: kontakt först på första giltiga meningen', async () => {
+    const port = 40000 + Math.floor(Math.random() * 20000);
+    client = new NmeaClient(makeLogger());
+    const ev = collect(client);
+    await client.connect(`udp://127.0.0.1:${port}`);
+    await new Promise((resolve) => client._socket.once('listening', resolve));
+    expect(ev.connected).toBe(0);
+    const sender = dgram.createSocket('udp4');
+    await new Promise((resolve) => sender.send(`${REF_TYPE5[0]}\r\n${REF_TYPE5[1]}\r\n`, port, '127.0.0.1', resolve));
+    await waitFor(() => ev.names.length === 1);
+    sender.close();
+    expect(ev.connected).toBe(1);
+    expect(ev.names[0].shipName).toBe('EVER DIADEM');
+  });
+});
+
+describe('AISSourceMultiplexer: nmea som tredje källa', () => {
+  let mux;
+
+  function msg(overrides = {}) {
+    return {
+      mmsi: '265573130',
+      msgType: 'PositionReport',
+      lat: 58.281,
+      lon: 12.281,
+      sog: 5,
+      cog: 37,
+      navStatus: 0,
+      shipName: 'ALPHA TROLLHATTAN',
+      timestamp: Date.now(),
+      fixTs: Date.now(),
+      fixTsQuality: 'receipt',
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(NmeaClient.prototype, 'connect').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    if (mux) mux.disconnect();
+    mux = null;
+    jest.restoreAllMocks();
+  });
+
+  test('ensam källa ⇒ pass-through utan fusionsstate, källstämpeln nmea', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    mux.applySourceConfig({ source: 'aisstream', apiKey: null, nmeaEndpoint: 'udp://:10110' });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    mux._ingestFromFeed('nmea', msg({ fixFeed: 'aisstream' }));
+    expect(received).toHaveLength(1);
+    expect(received[0].fixFeed).toBe('nmea');
+    expect(mux._fusionStates.size).toBe(0);
+  });
+
+  test('med aisstream ⇒ fusion: samma rapport via molnet trycks undan (F2)', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    jest.spyOn(mux._streamClient, 'connect').mockResolvedValue(undefined);
+    jest.spyOn(mux._streamClient, 'disconnect').mockReturnValue(undefined);
+    mux.applySourceConfig({ source: 'aisstream', apiKey: 'KEY', nmeaEndpoint: 'tcp://192.168.1.50:10110' });
+    const received = [];
+    mux.on('ais-message', (e) => received.push(e));
+    mux._ingestFromFeed('nmea', msg());
+    mux._ingestFromFeed('aisstream', msg());
+    expect(received).toHaveLength(1);
+    expect(received[0].fixFeed).toBe('nmea');
+    expect(mux.getConnectionStats().fusion.byReason.cross_feed_duplicate).toBe(1);
+    // Ny rapport från molnet (annan position) släpps igenom.
+    mux._ingestFromFeed('aisstream', msg({ lat: 58.2815 }));
+    expect(received).toHaveLength(2);
+  });
+
+  test('perFeed.nmea speglar barnet; tömd endpoint river det', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    expect(mux.getConnectionStats().perFeed.nmea.configured).toBe(false);
+    mux.applySourceConfig({ source: 'aisstream', nmeaEndpoint: 'udp://:10110' });
+    const child = mux._nmeaClient;
+    expect(child).toBeInstanceOf(NmeaClient);
+    expect(mux.getConnectionStats().perFeed.nmea.configured).toBe(true);
+    child.isConnected = true;
+    expect(mux.isConnected).toBe(true);
+    const spy = jest.spyOn(child, 'disconnect');
+    mux.applySourceConfig({ source: 'aisstream', nmeaEndpoint: undefined });
+    expect(spy).toHaveBeenCalled();
+    expect(mux._nmeaClient).toBeNull();
+  });
+
+  test('ogiltig endpoint ignoreras — inget barn som aldrig kan ansluta', () => {
+    mux = new AISSourceMultiplexer(makeLogger());
+    mux.applySourceConfig({ source: 'aisstream', nmeaEndpoint: 'http://receiver:10110' });
+    expect(mux._config.nmeaEndpoint).toBeNull();
+    expect(mux._nmeaClient).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Villkoret opening_expected_within: BridgeOpeningService.getExpectedOpenings
+ * (pessimistisk ELLER förväntad ankomst inom fönstret) och kortets
+ * run-listener i appen.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const { BRIDGES } = require('../lib/constants');
+
+const T0 = 1_700_000_000_000;
+const KLAFF = BRIDGES.klaffbron;
+const STRIDS = BRIDGES.stridsbergsbron;
+
+/** Position `distanceM` söder om bron i farleden (se bridge-opening-service.test.js). */
+function posAtDistance(bridge, distanceM, bearingDeg = 220) {
+  const rad = (bearingDeg * Math.PI) / 180;
+  const dLat = (distanceM * Math.cos(rad)) / 111320;
+  const dLon = (distanceM * Math.sin(rad)) / (111320 * Math.cos((bridge.lat * Math.PI) / 180));
+  return { lat: bridge.lat + dLat, lon: bridge.lon + dLon };
+}
+
+function makeVessel(overrides = {}) {
+  const bridge = overrides.bridge || KLAFF;
+  const pos = posAtDistance(bridge, overrides.distanceM ?? 1000);
+  const now = Date.now();
+  return {
+    mmsi: overrides.mmsi || '265999001',
+    name: 'TESTBÅT',
+    lat: pos.lat,
+    lon: pos.lon,
+    sog: overrides.sog === undefined ? 5 : overrides.sog,
+    cog: 40,
+    timestamp: now,
+    fixTs: now,
+    targetBridge: bridge.name,
+    _routeDirection: 'north',
+    _finalTargetDirection: null,
+    _hasMovementProof: true,
+    _moored: false,
+    etaMinutes: overrides.etaMinutes ?? null,
+    passedAt: {},
+    passedBridges: [],
+  };
+}
+
+describe('BridgeOpeningService.getExpectedOpenings', () => {
+  let svc;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    svc = new BridgeOpeningService({});
+  });
+
+  afterEach(() => {
+    svc.destroy();
+    jest.useRealTimers();
+  });
+
+  test('pessimistisk ankomst inom fönstret räcker även när ETA ligger utanför', () => {
+    // 2400 m i 2 kn: förväntad ankomst ~39 min, tidigast möjliga (10 kn) ~8 min.
+    svc.observeVessel(makeVessel({ distanceM: 2400, sog: 2 }));
+    const [hit] = svc.getExpectedOpenings('Klaffbron', 10);
+    expect(hit).toMatchObject({ mmsi: '265999001', bridge: 'Klaffbron', earliestMinutes: 8 });
+    expect(hit.etaMinutes).toBeGreaterThan(30);
+    expect(svc.getExpectedOpenings('Klaffbron', 5)).toEqual([]);
+  });
+
+  test('förväntad ETA inom fönstret räcker', () => {
+    svc.observeVessel(makeVessel({ distanceM: 1500, sog: 5, etaMinutes: 4 }));
+    expect(svc.getExpectedOpenings('Klaffbron', 4)).toHaveLength(1);
+  });
+
+  test('brofilter, alla broar och tidigast först', () => {
+    svc.observeVessel(makeVessel({
+      mmsi: '1', bridge: STRIDS, distanceM: 2400, sog: 2,
+    }));
+    svc.observeVessel(makeVessel({ mmsi: '2', distanceM: 900, sog: 5 }));
+    expect(svc.getExpectedOpenings(null, 30).map((o) => o.mmsi)).toEqual(['2', '2', '1']);
+    expect(svc.getExpectedOpenings('Stridsbergsbron', 30).map((o) => o.mmsi)).toEqual(['2', '1']);
+    expect(svc.getExpectedOpenings('Klaffbron', 30).map((o) => o.mmsi)).toEqual(['2']);
+  });
+
+  test('passerad båt räknas inte längre; ogiltigt fönster ger tom lista', () => {
+    svc.observeVessel(makeVessel({ distanceM: 700, sog: 6 }));
+    expect(svc.getExpectedOpenings('Klaffbron', 10)).toHaveLength(1);
+    svc.notePassage('265999001', 'Klaffbron');
+    expect(svc.getExpectedOpenings('Klaffbron', 10)).toEqual([]);
+    expect(svc.getExpectedOpenings(null, NaN)).toEqual([]);
+  });
+});
+
+describe('opening_expected_within: villkoret i appen', () => {
+  let app = null;
+
+  const bootApp = async () => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('run-listenern frågar servicen i stunden', async () => {
+    await bootApp();
+    const listener = app._openingExpectedCondition.runListeners[0];
+    await expect(listener({ bridge: 'klaffbron', minutes: 10 })).resolves.toBe(false);
+
+    app.bridgeOpeningService.observeVessel(makeVessel({ distanceM: 900, sog: 5 }));
+    await expect(listener({ bridge: 'klaffbron', minutes: 10 })).resolves.toBe(true);
+    await expect(listener({ bridge: { id: 'any' }, minutes: 10 })).resolves.toBe(true);
+    await expect(listener({ bridge: 'klaffbron', minutes: 1 })).resolves.toBe(false);
+  });
+
+  test('ogiltiga argument och broar som inte öppnar ger false', async () => {
+    await bootApp();
+    app.bridgeOpeningService.observeVessel(makeVessel({ distanceM: 900, sog: 5 }));
+    const listener = app._openingExpectedCondition.runListeners[0];
+    await expect(listener({ bridge: 'stallbackabron', minutes: 60 })).resolves.toBe(false);
+    await expect(listener({ bridge: 'klaffbron' })).resolves.toBe(false);
+    await expect(listener({ minutes: 10 })).resolves.toBe(false);
+  });
+});
@@ -12,16 +12,20 @@
  * Sampelformatet speglar korpusarnas jsonl: {mmsi, lat, lon, sog, aisTimestamp}.
  */
 
+const fs = require('fs');
+const path = require('path');
+
 const {
   classifyMiss,
   classifyPhantom,
   analyseCoverage,
   analysePhantoms,
+  compareFieldTexts,
   MIN_WARNABLE_MS,
   PHANTOM_WINDOW_MS,
   UNDERWAY_SOG_KN,
 } = require('./replay-validation/runOpeningGates');
-const { BRIDGES } = require('../lib/constants');
+const { BRIDGES, BRIDGE_OPENING } = require('../lib/constants');
 
 const KLAFF = BRIDGES.klaffbron;
 const T0 = Date.UTC(2026, 7, 3, 10, 0, 0);
@@ -77,7 +81,7 @@ describe('O1 classifyMiss: en OKLASSAD miss är den enda röda utgången', () =>
     const r = classifyMiss(passage(T0), s, null);
     expect(r.klass).toBe('TYST_I_HORISONTEN');
     expect(r.accepted).toBe(true);
-    expect(r.bevis).toMatch(/0 sampel inom 2500 m/);
+    expect(r.bevis).toContain(`0 sampel inom ${BRIDGE_OPENING.ARM_MAX_DISTANCE_M} m`);
   });
 
   test('FÖRST_SEDD_FÖR_NÄRA — första fixet inne i horisonten ligger inom garantifönstret', () => {
@@ -325,3 +329,45 @@ describe('O2 analysePhantoms: tre hinkar — bekräftad, sen passage, fantom', (
     expect(PHANTOM_WINDOW_MS).toBe(20 * 60 * 1000);
   });
 });
+
+describe('O3 compareFieldTexts: fälttexterna ordagrant, ETA-minuten ±1', () => {
+  const T = (n) => `En båt på väg mot Klaffbron, beräknad broöppning om ${n} minuter`;
+  const NONE = 'Inga båtar är i närheten av Klaffbron eller Stridsbergsbron';
+
+  test('ordagrant facit och ±1 min godtas — även som extra avrundningsövergång', () => {
+    expect(compareFieldTexts([NONE, T(17), T(12)], [NONE, T(17), T(12)]))
+      .toEqual({ mismatch: null, tolerated: [] });
+    expect(compareFieldTexts([NONE, T(21), T(12)], [NONE, T(20), T(12)]).tolerated).toEqual([T(21)]);
+    const extra = compareFieldTexts([NONE, T(18), T(17), T(12)], [NONE, T(17), T(12)]);
+    expect(extra).toEqual({ mismatch: null, tolerated: [T(18)] });
+  });
+
+  test('2 min isär, annan bro, ny text eller saknad övergång är rött', () => {
+    expect(compareFieldTexts([NONE, T(19), T(12)], [NONE, T(17), T(12)]).mismatch).toMatchObject({ index: 1 });
+    expect(compareFieldTexts([NONE, T(17).replace('Klaffbron', 'Stridsbergsbron')], [NONE, T(17)]).mismatch)
+      .not.toBeNull();
+    expect(compareFieldTexts([NONE, 'Broöppning pågår vid Klaffbron', T(17)], [NONE, T(17)]).mismatch)
+      .toMatchObject({ index: 1 });
+    expect(compareFieldTexts([NONE, T(17)], [NONE, T(17), T(12)]).mismatch)
+      .toMatchObject({ actual: '(slut)', expected: T(12) });
+  });
+
+  test('högst EN extra avrundningsövergång per facitrad', () => {
+    // En extra före och en efter raden är två olika rader (17 resp. 12)…
+    expect(compareFieldTexts([NONE, T(18), T(17), T(13), T(12)], [NONE, T(17), T(12)]))
+      .toEqual({ mismatch: null, tolerated: [T(18), T(13)] });
+    // …men en text som pendlar kring samma avrundningsgräns är rött.
+    expect(compareFieldTexts([NONE, T(18), T(17), T(18), T(12)], [NONE, T(17), T(12)]).mismatch)
+      .toMatchObject({ index: 3, actual: T(18), expected: T(12) });
+    expect(compareFieldTexts([NONE, T(17), T(16), T(18), T(12)], [NONE, T(17), T(12)]).mismatch)
+      .toMatchObject({ index: 3 });
+  });
+
+  test('det låsta farledsfacit ligger inom fälttoleransen', () => {
+    // runOpeningGates jämför A-armen ordagrant mot fairway-texts.txt; den här
+    // raden ser till att en REGEN aldrig kan låsa något fältet inte godtar.
+    const read = (name) => fs.readFileSync(path.join(__dirname, 'replay-validation', 'night-facit', name), 'utf8')
+      .trim().split('\n');
+    expect(compareFieldTexts(read('fairway-texts.txt'), read('field-texts.txt')).mismatch).toBeNull();
+  });
+});
@@ -0,0 +1,386 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Befordrade målbroar (opening_target_bridges): Järnvägsbron som tredje
+ * målbro. Tilldelningen, nästa-målbro-kedjan, brotexten och beväpningen
+ * följer TARGET_BRIDGES i farledens ordning, och det nära broparet
+ * Järnvägsbron ↔ Stridsbergsbron (257 m) byter målbro utan skyddszonens
+ * uppskjutning. Utan inställningen är allt som förut.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const { promoteTargetBridges } = require('../lib/utils/waterwayActivation');
+const VesselDataService = require('../lib/services/VesselDataService');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const BridgeTextService = require('../lib/services/BridgeTextService');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const SystemCoordinator = require('../lib/services/SystemCoordinator');
+const { translateBridgeText } = require('../lib/utils/bridgeTextLocale');
+const constants = require('../lib/constants');
+
+const { BRIDGES } = constants;
+const mockLogger = () => ({
+  log: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+/** Latitud mitt emellan två broar, på den sydligas longitud. */
+const between = (southId, northId) => ({
+  lat: (BRIDGES[southId].lat + BRIDGES[northId].lat) / 2,
+  lon: (BRIDGES[southId].lon + BRIDGES[northId].lon) / 2,
+});
+
+const makeVesselService = () => {
+  const svc = Object.create(VesselDataService.prototype);
+  svc.logger = mockLogger();
+  svc.bridgeRegistry = new BridgeRegistry();
+  return svc;
+};
+
+afterEach(() => {
+  promoteTargetBridges([]);
+});
+
+describe('promoteTargetBridges', () => {
+  test('Järnvägsbron hamnar på sin plats i farleden; okända id:n och egna målbroar räknas inte', () => {
+    const { TARGET_BRIDGES, INTERMEDIATE_BRIDGES } = constants;
+    expect(promoteTargetBridges(['jarnvagsbron', 'klaffbron', 'nowhere', 'jarnvagsbron']))
+      .toEqual(['Järnvägsbron']);
+    // Samma array-objekt som modulerna destrukturerade vid laddning.
+    expect(TARGET_BRIDGES).toEqual(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']);
+    expect(INTERMEDIATE_BRIDGES).toEqual(['Olidebron', 'Stallbackabron']);
+    expect(new BridgeRegistry().validateConfiguration().valid).toBe(true);
+  });
+
+  test('en tom lista återställer profilens målbroar', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    expect(promoteTargetBridges(null)).toEqual([]);
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    expect(constants.INTERMEDIATE_BRIDGES).toEqual(['Olidebron', 'Järnvägsbron', 'Stallbackabron']);
+  });
+
+  test('den höga bron öppnar aldrig och kan inte befordras', () => {
+    expect(promoteTargetBridges(['stallbackabron'])).toEqual([]);
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Stridsbergsbron']);
+  });
+
+  test('nära bropar härleds ur brogapen', () => {
+    expect(constants.CLOSE_BRIDGE_PAIRS).toEqual({
+      Järnvägsbron: 'Stridsbergsbron',
+      Stridsbergsbron: 'Järnvägsbron',
+    });
+  });
+});
+
+describe('målbrotilldelningen med tre målbroar', () => {
+  const assign = (position, cog, passedBridges = []) => makeVesselService()._calculateTargetBridge({
+    mmsi: '265000050', ...position, cog, sog: 5, passedBridges,
+  });
+
+  test('standardprofilen: Järnvägsbron blir aldrig målbro', () => {
+    expect(assign(between('klaffbron', 'jarnvagsbron'), 20)).toBe('Stridsbergsbron');
+    expect(assign(between('jarnvagsbron', 'stridsbergsbron'), 200)).toBe('Klaffbron');
+  });
+
+  test('norrut och söderut tilldelas närmaste målbro framför, passerade hoppas över', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    expect(assign(between('olidebron', 'klaffbron'), 20)).toBe('Klaffbron');
+    expect(assign(between('klaffbron', 'jarnvagsbron'), 20)).toBe('Järnvägsbron');
+    expect(assign(between('klaffbron', 'jarnvagsbron'), 20, ['Järnvägsbron'])).toBe('Stridsbergsbron');
+    expect(assign(between('jarnvagsbron', 'stridsbergsbron'), 20)).toBe('Stridsbergsbron');
+    expect(assign(between('stridsbergsbron', 'stallbackabron'), 200)).toBe('Stridsbergsbron');
+    expect(assign(between('jarnvagsbron', 'stridsbergsbron'), 200)).toBe('Järnvägsbron');
+    expect(assign(between('klaffbron', 'jarnvagsbron'), 200)).toBe('Klaffbron');
+    expect(assign(between('olidebron', 'klaffbron'), 200)).toBeNull();
+  });
+
+  test('nästa målbro följer kedjan i färdriktningen', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    const svc = makeVesselService();
+    const next = (targetBridge, dir) => svc._calculateNextTargetBridge({
+      mmsi: '265000050', targetBridge, cog: dir === 'north' ? 20 : 200, _routeDirection: dir,
+    });
+    expect(next('Klaffbron', 'north')).toBe('Järnvägsbron');
+    expect(next('Järnvägsbron', 'north')).toBe('Stridsbergsbron');
+    expect(next('Stridsbergsbron', 'north')).toBeNull();
+    expect(next('Stridsbergsbron', 'south')).toBe('Järnvägsbron');
+    expect(next('Järnvägsbron', 'south')).toBe('Klaffbron');
+    expect(next('Klaffbron', 'south')).toBeNull();
+  });
+});
+
+describe('nära bropar med båda som målbroar', () => {
+  const makeTransitionService = () => {
+    const svc = makeVesselService();
+    // Passagen är redan registrerad; övergången väntar på skyddszonen.
+    svc._hasPassedTargetBridge = jest.fn().mockReturnValue(false);
+    svc._applyTargetTransition = jest.fn();
+    svc._handleIntermediateBridgePassage = jest.fn();
+    svc._setForceWaitingForCloseBridgePair = jest.fn();
+    svc.passageWindowManager = { getInternalGracePeriod: jest.fn().mockReturnValue(180000) };
+    return svc;
+  };
+  // Söderut, 60 m söder om Stridsbergsbron — inom skyddszonen (300 m).
+  const justPastStrids = (next) => ({
+    mmsi: '265000051',
+    lat: BRIDGES.stridsbergsbron.lat - 60 / 111320,
+    lon: BRIDGES.stridsbergsbron.lon,
+    cog: 200,
+    _routeDirection: 'south',
+    targetBridge: 'Stridsbergsbron',
+    _pendingTarget: { source: 'Stridsbergsbron', next, since: Date.now() },
+  });
+
+  test('Stridsbergsbron → Järnvägsbron byts direkt, inte efter skyddszonen', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    const svc = makeTransitionService();
+    const vessel = justPastStrids('Järnvägsbron');
+    svc._handleTargetBridgeTransition(vessel, { ...vessel });
+    expect(svc._applyTargetTransition).toHaveBeenCalledWith(vessel, expect.anything(), 'Järnvägsbron');
+    expect(vessel._pendingTarget).toBeNull();
+    expect(svc._setForceWaitingForCloseBridgePair).not.toHaveBeenCalled();
+  });
+
+  test('standardprofilen: övergången till Klaffbron skjuts upp som förut', () => {
+    const svc = makeTransitionService();
+    const vessel = justPastStrids('Klaffbron');
+    svc._handleTargetBridgeTransition(vessel, { ...vessel });
+    expect(svc._applyTargetTransition).not.toHaveBeenCalled();
+    expect(vessel._pendingTarget).toMatchObject({ source: 'Stridsbergsbron', next: 'Klaffbron' });
+  });
+
+  test('force-waiting mot Stridsbergsbron efter den befordrade Järnvägsbron', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    const svc = makeVesselService();
+    const vessel = { mmsi: '265000052', _routeDirection: 'north', passedBridges: ['Klaffbron', 'Järnvägsbron'] };
+    svc._setForceWaitingForCloseBridgePair(vessel, 'Järnvägsbron');
+    expect(vessel._forceWaitingAtBridge).toMatchObject({ bridge: 'Stridsbergsbron', triggeredBy: 'Järnvägsbron' });
+  });
+});
+
+describe('brotexten och öppningsvarningarna', () => {
+  test('Järnvägsbron får en egen fras, i farledens ordning', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    const text = new BridgeTextService(new BridgeRegistry(), mockLogger()).generateBridgeText([
+      { mmsi: '1', targetBridge: 'Stridsbergsbron', etaMinutes: 8 },
+      { mmsi: '2', targetBridge: 'Järnvägsbron', etaMinutes: 5 },
+      { mmsi: '3', targetBridge: 'Klaffbron', etaMinutes: 12 },
+    ]);
+    expect(text.split('; ').map((phrase) => phrase.match(/på väg mot (\S+),/)[1]))
+      .toEqual(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']);
+  });
+
+  test('standardtexten nämner de aktiva målbroarna i båda språken', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    const service = new BridgeTextService(new BridgeRegistry(), mockLogger());
+    expect(service.generateBridgeText([])).toBe(
+      'Inga båtar är i närheten av Klaffbron, Järnvägsbron eller Stridsbergsbron',
+    );
+    expect(constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE).toBe(service.generateBridgeText([]));
+    expect(translateBridgeText(constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE, 'en'))
+      .toBe('No boats near Klaffbron, Järnvägsbron or Stridsbergsbron');
+
+    promoteTargetBridges([]);
+    expect(constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE)
+      .toBe('Inga båtar är i närheten av Klaffbron eller Stridsbergsbron');
+  });
+
+  test('beväpningen når alla målbroar framför, standarden är oförändrad', () => {
+    const north = { mmsi: '3', targetBridge: 'Klaffbron', _routeDirection: 'north' };
+    const south = { mmsi: '4', targetBridge: 'Stridsbergsbron', _routeDirection: 'south' };
+    const standard = new BridgeOpeningService();
+    expect(standard._bridgesToArm(north)).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    expect(standard._bridgesToArm(south)).toEqual(['Stridsbergsbron', 'Klaffbron']);
+    expect(standard._bridgesToArm({ ...north, targetBridge: 'Järnvägsbron' })).toEqual([]);
+    standard.destroy();
+
+    promoteTargetBridges(['jarnvagsbron']);
+    const promoted = new BridgeOpeningService();
+    expect(promoted._bridgesToArm(north)).toEqual(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']);
+    expect(promoted._bridgesToArm(south)).toEqual(['Stridsbergsbron', 'Järnvägsbron', 'Klaffbron']);
+    expect(promoted._bridgesToArm({ ...south, targetBridge: 'Järnvägsbron' })).toEqual(['Järnvägsbron', 'Klaffbron']);
+    promoted.destroy();
+  });
+
+  test('setTargetBridges byter listan under drift och släpper den borttagna brons armar', () => {
+    const svc = new BridgeOpeningService({ logger: mockLogger() });
+    const vessel = {
+      mmsi: '265000056',
+      lat: BRIDGES.jarnvagsbron.lat - 600 / 111320,
+      lon: BRIDGES.jarnvagsbron.lon,
+      sog: 5,
+      cog: 20,
+      targetBridge: 'Järnvägsbron',
+      _routeDirection: 'north',
+      _hasMovementProof: true,
+    };
+    svc.observeVessel(vessel);
+    expect(svc.getStats().armedByBridge).not.toHaveProperty('Järnvägsbron');
+
+    expect(svc.setTargetBridges(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron'])).toEqual([]);
+    svc.observeVessel(vessel);
+    expect(svc.getStats().armedByBridge['Järnvägsbron']).toBe(1);
+
+    expect(svc.setTargetBridges(['Klaffbron', 'Stridsbergsbron'])).toEqual(['Järnvägsbron']);
+    expect(svc._targetBridges.has('Järnvägsbron')).toBe(false);
+    expect([...svc._arms.values()].filter((a) => a.bridge === 'Järnvägsbron')).toEqual([]);
+    svc.destroy();
+  });
+});
+
+describe('passageinferensen följer målbrokedjan', () => {
+  const liveServices = [];
+
+  afterEach(() => {
+    for (const svc of liveServices.splice(0)) svc.clearAllTimers();
+  });
+
+  const makeRecordingService = () => {
+    const logger = mockLogger();
+    const svc = new VesselDataService(logger, new BridgeRegistry(), new SystemCoordinator(logger));
+    svc.app = {
+      gpsJumpGateService: null, passageLatchService: null, routeOrderValidator: null,
+    };
+    liveServices.push(svc);
+    return svc;
+  };
+  // Norrgående, just förbi Stridsbergsbron med resan startad söder om Klaffbron.
+  const northboundEnd = (passedBridges) => ({
+    mmsi: '265000053',
+    lat: BRIDGES.stridsbergsbron.lat + 0.001,
+    lon: BRIDGES.stridsbergsbron.lon,
+    sog: 4,
+    cog: 25,
+    targetBridge: 'Stridsbergsbron',
+    passedBridges,
+    _routeDirection: 'north',
+    _firstSeenLat: BRIDGES.klaffbron.lat - 0.01,
+  });
+
+  test('standardprofilen: TARGET_END vid Stridsbergsbron infererar Järnvägsbron', () => {
+    const vessel = northboundEnd(['Klaffbron']);
+    makeRecordingService()._applyTargetTransition(vessel, { ...vessel }, null);
+    expect(vessel.passedBridges).toEqual(['Klaffbron', 'Stridsbergsbron', 'Järnvägsbron']);
+    expect(vessel._passageBackfills).toEqual(['Järnvägsbron']);
+  });
+
+  test('befordrad Järnvägsbron är målbro: ingen inferred passage eller backfill', () => {
+    promoteTargetBridges(['jarnvagsbron']);
+    // Järnvägsbron missad (AIS-glapp) — målbrons egen detektering äger den.
+    const vessel = northboundEnd(['Klaffbron']);
+    makeRecordingService()._applyTargetTransition(vessel, { ...vessel }, null);
+    expect(vessel.passedBridges).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    expect(vessel._passageBackfills || []).toEqual([]);
+  });
+
+  test('terminalbron är kedjans ände: Klaffbron är inte sista bron söderut när Olidebron befordrats', async () => {
+    const app = new AISBridgeApp();
+    app.debug = jest.fn();
+    app.log = jest.fn();
+    app.error = jest.fn();
+    app.statusService = { clearVesselETAHistory: jest.fn() };
+    app.vesselDataService = { removeVessel: jest.fn() };
+    app._updateUI = jest.fn();
+    app._hasPassedFinalTargetBridge = jest.fn().mockReturnValue(false);
+    app._triggerBoatNearFlow = jest.fn();
+    app._clearBoatNearTriggers = jest.fn();
+    app._vesselRemovalTimers = new Map();
+    app._processingRemoval = new Set();
+    app._analyzeVesselPosition = jest.fn();
+    const passKlaffbron = (mmsi) => app._onVesselStatusChanged({
+      vessel: {
+        mmsi, targetBridge: 'Klaffbron', passedBridges: ['Stridsbergsbron', 'Klaffbron'], cog: 200, _routeDirection: 'south',
+      },
+      oldStatus: 'under-bridge',
+      newStatus: 'passed',
+      reason: 'test',
+    });
+
+    try {
+      await passKlaffbron('265000054');
+      expect(app._vesselRemovalTimers.has('265000054')).toBe(true);
+
+      promoteTargetBridges(['olidebron']);
+      await passKlaffbron('265000055');
+      expect(app._vesselRemovalTimers.has('265000055')).toBe(false);
+    } finally {
+      for (const timerId of app._vesselRemovalTimers.values()) clearTimeout(timerId);
+    }
+  });
+});
+
+describe('appen: opening_target_bridges', () => {
+  let app = null;
+  let settingsListener = null;
+
+  const bootApp = async (settings = {}) => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: (event, fn) => {
+        if (event === 'set') settingsListener = fn;
+      },
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('befordrar vid start och publicerar kandidaterna', async () => {
+    await bootApp({ opening_target_bridges: ['jarnvagsbron'] });
+    expect(mockHomey.app.settings.available_opening_target_bridges).toEqual([
+      { id: 'olidebron', name: 'Olidebron' },
+      { id: 'jarnvagsbron', name: 'Järnvägsbron' },
+    ]);
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']);
+    expect(app.bridgeOpeningService._targetBridges.has('Järnvägsbron')).toBe(true);
+  });
+
+  test('ändringen gäller direkt: listorna, målbroarna och öppningstjänsten följer med', async () => {
+    await bootApp();
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    // Norrgående mellan Klaffbron och Järnvägsbron, på väg mot Stridsbergsbron.
+    const vessel = {
+      mmsi: '265000057',
+      ...between('klaffbron', 'jarnvagsbron'),
+      sog: 5,
+      cog: 20,
+      status: 'en-route',
+      targetBridge: 'Stridsbergsbron',
+      passedBridges: ['Klaffbron'],
+      _routeDirection: 'north',
+    };
+    app.vesselDataService.vessels.set(vessel.mmsi, vessel);
+
+    mockHomey.app.settings.opening_target_bridges = ['jarnvagsbron'];
+    settingsListener('opening_target_bridges');
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Järnvägsbron', 'Stridsbergsbron']);
+    expect(constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE)
+      .toBe('Inga båtar är i närheten av Klaffbron, Järnvägsbron eller Stridsbergsbron');
+    expect(app.bridgeOpeningService._targetBridges.has('Järnvägsbron')).toBe(true);
+    expect(vessel.targetBridge).toBe('Järnvägsbron');
+
+    // Avbefordran: tillbaka till profilens målbroar, utan omstart.
+    mockHomey.app.settings.opening_target_bridges = [];
+    settingsListener('opening_target_bridges');
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    expect(app.bridgeOpeningService._targetBridges.has('Järnvägsbron')).toBe(false);
+    expect(vessel.targetBridge).toBe('Stridsbergsbron');
+  });
+});
@@ -35,7 +35,7 @@ describe('P6: bekräftad GPS-gate-passage om-gatas inte', () => {
 
     svc._handleTargetBridgeTransition(vessel, oldVessel, { confirmedPassage: true });
 
-    expect(svc._applyTargetTransition).toHaveBeenCalledWith(vessel, oldVessel, 'Stridsbergsbron');
+    expect(svc._applyTargetTransition).toHaveBeenCalledWith(vessel, oldVessel, 'Stridsbergsbron', { inferredPassage: false });
     // P6-kärnan: den BEKRÄFTADE transitionen får inte om-gatas — transitionen
     // ska ha applicerats FÖRE varje ev. detekteringsanrop. S-F3-kedjan
     // (2026-07-01) får därefter konsultera detekteringen för det NYA målet
@@ -0,0 +1,273 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Tysta timmar och snooze: QuietHoursService (scheman över midnatt, snooze
+ * per bro, sammanfattningen) och placeringen i appen — EFTER dedup-
+ * bokföringen, så en undertryckt notis räknas som levererad och inte
+ * avfyras som "ny" när tystnaden släpper.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const QuietHoursService = require('../lib/services/QuietHoursService');
+const { QUIET_HOURS } = require('../lib/constants');
+
+// 2026-01-15 är vintertid: UTC-tid = schemats klockslag när tidszonen är UTC.
+const at = (hhmm) => Date.parse(`2026-01-15T${hhmm}:00Z`);
+
+const makeService = (clock) => new QuietHoursService({
+  now: () => clock.now,
+  getTimeZone: () => 'UTC',
+});
+
+describe('QuietHoursService', () => {
+  test('scheman: giltiga klockslag, start === slut hoppas över', () => {
+    expect(QuietHoursService.parseSchedules([
+      { start: '22:00', end: '06:00' },
+      { start: '12:00', end: '12:00' },
+      { start: '25:00', end: '06:00' },
+      null,
+    ])).toEqual([{ start: 22 * 60, end: 6 * 60 }]);
+    expect(QuietHoursService.parseSchedules('22-06')).toEqual([]);
+  });
+
+  test('schema över midnatt i Homeys tidszon', () => {
+    const clock = { now: at('21:59') };
+    const svc = makeService(clock);
+    svc.setSchedules([{ start: '22:00', end: '06:00' }]);
+    expect(svc.suppressionReason('Klaffbron')).toBeNull();
+    clock.now = at('22:00');
+    expect(svc.suppressionReason('Klaffbron')).toBe('quiet-hours');
+    clock.now = at('05:59');
+    expect(svc.isQuietNow()).toBe(true);
+    clock.now = at('06:00');
+    expect(svc.isQuietNow()).toBe(false);
+  });
+
+  test('snooze per bro, för alla broar, hävning och utgång', () => {
+    const clock = { now: at('12:00') };
+    const svc = makeService(clock);
+    svc.snooze('Klaffbron', 30);
+    expect(svc.suppressionReason('Klaffbron')).toBe('snooze');
+    expect(svc.suppressionReason('Stridsbergsbron')).toBeNull();
+
+    svc.snooze(null, 10);
+    expect(svc.suppressionReason('Stridsbergsbron')).toBe('snooze');
+    svc.snooze(null, 0);
+    expect(svc.suppressionReason('Stridsbergsbron')).toBeNull();
+
+    clock.now += 30 * 60000;
+    expect(svc.suppressionReason('Klaffbron')).toBeNull();
+    expect(svc.snooze('Klaffbron', -5)).toBeNull();
+    expect(svc.snooze('Klaffbron', 10000)).toBe(clock.now + QUIET_HOURS.MAX_SNOOZE_MINUTES * 60000);
+  });
+
+  test('sammanfattningen lämnas ut en gång, först när tystnaden släppt', () => {
+    const clock = { now: at('05:58') };
+    const svc = makeService(clock);
+    svc.setSchedules([{ start: '22:00', end: '06:00' }]);
+    svc.record({
+      kind: 'boat_near', bridge: 'Klaffbron', vesselName: 'A', mmsi: '1', reason: 'quiet-hours',
+    });
+    expect(svc.takeDigest()).toBeNull();
+
+    clock.now = at('06:00');
+    expect(svc.takeDigest()).toEqual([expect.objectContaining({ t: at('05:58'), bridge: 'Klaffbron' })]);
+    expect(svc.takeDigest()).toBeNull();
+  });
+
+  test('sammanfattningen kapas och tillståndet överlever toJSON/load', () => {
+    const clock = { now: at('12:00') };
+    const svc = makeService(clock);
+    for (let i = 0; i < QUIET_HOURS.MAX_DIGEST_ENTRIES + 3; i++) {
+      svc.record({
+        kind: 'boat_near', bridge: 'Klaffbron', vesselName: `B${i}`, mmsi: null, reason: 'snooze',
+      });
+    }
+    svc.snooze('Klaffbron', 5);
+    svc.snooze('Olidebron', 60);
+
+    const restored = makeService(clock);
+    clock.now += 10 * 60000; // Klaffbrons snooze har gått ut vid inläsningen
+    restored.load(JSON.parse(JSON.stringify(svc.toJSON())));
+    expect(restored.toJSON().snoozes).toEqual({ Olidebron: at('12:00') + 60 * 60000 });
+    expect(restored.toJSON().digest).toHaveLength(QUIET_HOURS.MAX_DIGEST_ENTRIES);
+    expect(restored.toJSON().digest[0].vesselName).toBe('B3');
+  });
+});
+
+describe('tysta timmar: boat_near-vägen', () => {
+  const makeApp = () => {
+    const app = new AISBridgeApp();
+    app.log = jest.fn();
+    app.debug = jest.fn();
+    app.error = jest.fn();
+    app._triggeredBoatNearKeys = new Set();
+    app._persistentRecentTriggers = new Map();
+    app._getDirectionString = jest.fn(() => 'northbound');
+    app._triggerBoatNearFlowBest = jest.fn().mockResolvedValue(undefined);
+    app.quietHoursService = new QuietHoursService();
+    return app;
+  };
+  const candidate = {
+    name: 'Klaffbron', id: 'klaffbron', distance: 250, source: 'target',
+  };
+  const vessel = {
+    mmsi: '555', name: 'TestBåt', sog: 5, etaMinutes: 4,
+  };
+
+  test('snoozad bro: nycklarna sätts men kortet anropas inte; ingen omavfyrning efteråt', async () => {
+    const app = makeApp();
+    app.quietHoursService.snooze('Klaffbron', 30);
+    await app._triggerBoatNearFlowForBridge(vessel, candidate);
+
+    expect(app._triggerBoatNearFlowBest).not.toHaveBeenCalled();
+    expect(app._triggeredBoatNearKeys.has('555:Klaffbron')).toBe(true);
+    expect(app._persistentRecentTriggers.has('555:Klaffbron')).toBe(true);
+    expect(app.quietHoursService.toJSON().digest).toEqual([
+      expect.objectContaining({
+        kind: 'boat_near', bridge: 'Klaffbron', vesselName: 'TestBåt', mmsi: '555', reason: 'snooze',
+      }),
+    ]);
+
+    app.quietHoursService.snooze('Klaffbron', 0);
+    await app._triggerBoatNearFlowForBridge(vessel, candidate);
+    expect(app._triggerBoatNearFlowBest).not.toHaveBeenCalled();
+  });
+
+  test('annan bro påverkas inte', async () => {
+    const app = makeApp();
+    app.quietHoursService.snooze('Stridsbergsbron', 30);
+    await app._triggerBoatNearFlowForBridge(vessel, candidate);
+    expect(app._triggerBoatNearFlowBest).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('tysta timmar: appen', () => {
+  let app = null;
+  let settingsListener = null;
+
+  const bootApp = async (settings = {}) => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: (event, fn) => {
+        if (event === 'set') settingsListener = fn;
+      },
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  /** Kör produktionens väg förbi testgrinden (se bridge-opening-app-integration.test.js). */
+  const withRealFlowGate = async (fn) => {
+    const savedEnv = process.env.NODE_ENV;
+    const savedMode = global.__TEST_MODE__;
+    process.env.NODE_ENV = 'production';
+    global.__TEST_MODE__ = undefined;
+    try {
+      return await fn();
+    } finally {
+      process.env.NODE_ENV = savedEnv;
+      global.__TEST_MODE__ = savedMode;
+    }
+  };
+
+  const warning = (overrides = {}) => ({
+    t: Date.now(),
+    eventId: 'Klaffbron#1',
+    bridge: 'Klaffbron',
+    direction: 'northbound',
+    etaMinutes: 4,
+    vesselCount: 1,
+    leadVessel: 'NORDAN',
+    leadMmsi: '265000030',
+    firedBy: 'fix',
+    mmsis: ['265000030'],
+    distanceM: 900,
+    ...overrides,
+  });
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('öppningsvarning snoozad 05:58 avfyras inte som "ny" när snoozen släpper', async () => {
+    await bootApp();
+    await withRealFlowGate(async () => {
+      await app._snoozeAction.runListeners[0]({ bridge: 'klaffbron', minutes: 2 });
+      app._onBridgeOpeningWarning(warning());
+      expect(app._bridgeOpeningTrigger.triggerCalls).toHaveLength(0);
+      expect(app._firedOpeningEvents.has('Klaffbron#1')).toBe(true);
+
+      await app._snoozeAction.runListeners[0]({ bridge: 'klaffbron', minutes: 0 });
+      app._onBridgeOpeningWarning(warning());
+      // Samma öppning efter en omstart (nytt eventId) spärras av den persistenta dedupen.
+      app._onBridgeOpeningWarning(warning({ eventId: 'Klaffbron#7' }));
+    });
+    expect(app._bridgeOpeningTrigger.triggerCalls).toHaveLength(0);
+    expect(mockHomey.app.settings.flow_suppression_state.digest).toEqual([
+      expect.objectContaining({ kind: 'bridge_opening_soon', bridge: 'Klaffbron', vesselName: 'NORDAN' }),
+    ]);
+  });
+
+  test('sammanfattningen levereras när tystnaden släppt, med tokens', async () => {
+    await bootApp();
+    const spy = jest.spyOn(app._quietDigestTrigger, 'trigger').mockResolvedValue(undefined);
+    await withRealFlowGate(async () => {
+      app._snoozeBridge({ bridge: 'any', minutes: 30 });
+      app._onBridgeOpeningWarning(warning());
+      app._suppressFlowTrigger('boat_near', 'Olidebron', 'SÖDRA', '265000031');
+      app._deliverQuietDigest();
+      expect(spy).not.toHaveBeenCalled();
+
+      app._snoozeBridge({ bridge: 'any', minutes: 0 });
+      app._deliverQuietDigest();
+      app._deliverQuietDigest();
+    });
+    expect(spy).toHaveBeenCalledTimes(1);
+    const [tokens] = spy.mock.calls[0];
+    expect(tokens).toMatchObject({ event_count: 2, boat_near_count: 1, opening_count: 1 });
+    expect(tokens.summary.split('\n')).toEqual([
+      expect.stringMatching(/^\d\d:\d\d Klaffbron: NORDAN \(broöppning\)$/),
+      expect.stringMatching(/^\d\d:\d\d Olidebron: SÖDRA$/),
+    ]);
+    expect(mockHomey.app.settings.flow_suppression_state.digest).toEqual([]);
+  });
+
+  test('snooze-kortet: ogiltiga argument kastar; schemat läses om vid ändring', async () => {
+    await bootApp();
+    const run = app._snoozeAction.runListeners[0];
+    await expect(run({ bridge: 'klaffbron' })).rejects.toThrow();
+    await expect(run({ bridge: 'nowhere', minutes: 5 })).rejects.toThrow();
+
+    mockHomey.app.settings.quiet_hours = [{ start: '00:00', end: '23:59' }, { start: '23:59', end: '00:00' }];
+    settingsListener('quiet_hours');
+    expect(app.quietHoursService.isQuietNow()).toBe(true);
+  });
+
+  test('persisterad snooze och sammanfattning överlever omstart', async () => {
+    await bootApp();
+    app._snoozeBridge({ bridge: 'stridsbergsbron', minutes: 60 });
+    app._suppressFlowTrigger('boat_near', 'Stridsbergsbron', 'X', null);
+    const stored = mockHomey.app.settings.flow_suppression_state;
+    await app.onUninit();
+
+    await bootApp({ flow_suppression_state: stored });
+    expect(app.quietHoursService.suppressionReason('Stridsbergsbron')).toBe('snooze');
+    expect(app.quietHoursService.toJSON().digest).toHaveLength(1);
+  });
+});
@@ -165,7 +165,7 @@ module.exports = [
     appLog: path.join(LOGS_DIR, 'app-20260702-010825.log'),
     hours: 11,
     locked: true,
-    expectedNotifications: 32,
+    expectedNotifications: 33,
     note: '11h-valideringskörningen efter helkodsgranskningen (f0cf7c7). LÅST 24 '
       + '(2026-07-02): prod gav 23; +1 är RÄTTAD miss MOSHE/211471090@Olidebron — '
       + 'stale-raderad i 44-min-gap, återfödd målbrolös söder om Klaffbron, '
@@ -254,7 +254,12 @@ module.exports = [
       + 'OMLÅST 54→55 (2026-07-10, fältprov 5 F5-B — IN-AXXI-klassen): '
       + '+265741640@Kanalinfarten — rådataverifierad: kontinuerlig sydresa '
       + '(alla fem broar redan i fördelningen), sista sample 17:10:51 @477 m '
-      + 'i 5,0 kn/cog 214; gamla 400 m-exitgaten strök den äkta exiten.',
+      + 'i 5,0 kn/cog 214; gamla 400 m-exitgaten strök den äkta exiten. '
+      + 'OMLÅST 32→33 (2026-10-19, boat_near på dödräkningens prognos): '
+      + '+265661830@Stridsbergsbron — sydgående i 5,3 kn, sista sample '
+      + '08:37:20 371 m norr om bron (cog 212, ingen förtöjningsplats kvar på '
+      + 'sträckan); tystnade och prognosen bar henne in i 300 m-zonen efter '
+      + '≥3 min tystnad. Fältet kunde aldrig notifiera (inget fix <300 m).',
   },
   {
     id: '20260707-14h',
@@ -262,7 +267,7 @@ module.exports = [
     appLog: path.join(LOGS_DIR, 'app-20260707-092154.log'),
     hours: 14,
     locked: true,
-    expectedNotifications: 74,
+    expectedNotifications: 75,
     note: '14h-fältprovet 2026-07-07 (femton fartyg, dagtrafik, gles Class B — '
       + 'radgranskat av 47 Opus-agenter + dirigent, se '
       + 'docs/helgranskning-2026-07-06.md §fältprov). LÅST 72 (2026-07-08): '
@@ -303,7 +308,11 @@ module.exports = [
       + '(546 m) och 265083240 (409 m). Fältprov 2-notens "LYS@Kanalinfarten '
       + 'INTE facit" beskrev dåvarande gate-beteende (mållösa nådde aldrig '
       + 'exit-vägen), inte en dom över den fysiska händelsen — HÄVD med '
-      + 'detta rådatabelägg.',
+      + 'detta rådatabelägg. '
+      + 'OMLÅST 74→75 (2026-10-19, boat_near på dödräkningens prognos): '
+      + '+257699280@Klaffbron — nordgående från Olidebron, sista sample '
+      + '08:10:50 697 m söder om bron (cog 14, ingen förtöjningsplats på '
+      + 'sträckan); prognosen nådde 300 m-zonen i tystnaden.',
   },
   {
     id: '20260708-21h',
@@ -419,7 +428,7 @@ module.exports = [
     appLog: path.join(LOGS_DIR, 'app-20260712-174434.log'),
     hours: 25,
     locked: true,
-    expectedNotifications: 86,
+    expectedNotifications: 89,
     note: '25h-körningen 2026-07-12/13 (27 fartyg, 821 samples — fältprov 8: '
       + '90 Opus max-läsare radläste 214 250 rader, 287 fynd/0 critical, se '
       + 'docs/faltprov8-2026-07-13.md). Projektets renaste fältprov: 0 '
@@ -436,7 +445,13 @@ module.exports = [
       + 'sannolikt på väg IN). Golden-text bär FP8-3 (IDUN-inräkningen: '
       + '"Fem båtar på väg mot Stridsbergsbron" 08:21 — alla fem rådata-'
       + 'verifierade Strids-passager). SENTA-exiten (timeout-reborn med '
-      + 'lastKnown norr om punkten) är facit-vakt för fönsterkriteriet.',
+      + 'lastKnown norr om punkten) är facit-vakt för fönsterkriteriet. '
+      + 'OMLÅST 86→89 (2026-10-19, boat_near på dödräkningens prognos): '
+      + 'tre båtar som tystnade på inlopp utan förtöjningsplats på sträckan '
+      + '— +219031624@Klaffbron (N, 5,6 kn, sista sample 07:38:45 720 m '
+      + 'söder om bron), +219020738@Stridsbergsbron (S, 5,6 kn, 13:45:01 '
+      + '664 m norr om bron) och +211335800@Klaffbron (N, 6,7 kn efter '
+      + 'Olidebron, 15:05:33 1166 m söder om bron). Ingen av dem hördes igen.',
   },
   {
     id: '20260713-41h',
@@ -41,7 +41,7 @@ const os = require('os');
 const path = require('path');
 const { calculateDistance, distancePointToSegmentM } = require('../../lib/utils/geometry');
 const {
-  BRIDGES, TRIGGER_POINTS, MOORING_ZONES, TARGET_BRIDGES,
+  BRIDGES, TRIGGER_POINTS, MOORING_ZONES, TARGET_BRIDGES, FAIRWAY_CENTERLINE,
 } = require('../../lib/constants');
 const corpora = require('./corpora');
 
@@ -49,8 +49,9 @@ const corpora = require('./corpora');
 // KONSTANTER — HÄRLEDDA UR KORPUSDATAN (16 korpusar, 7 113 fixar, ~250 h)
 // =============================================================================
 
-/**
- * FARLEDENS CENTERLINJE.
+/*
+ * FARLEDENS CENTERLINJE (lib/constants.js FAIRWAY_CENTERLINE, sedan
+ * 2026-10 även appens farledsmodell — lib/utils/fairway).
  *
  * Härledd (2026-08-03) ur korpusarna själva och sedan HÅRDKODAD, så att kartan
  * blir identisk oavsett vilken delmängd korpusar man kör: metoden var
@@ -69,44 +70,6 @@ const corpora = require('./corpora');
  * blir gapen 1 379 / 970 / 256 / 2 308 m mot fågelvägens 1 363 / 960 / 257 /
  * 2 310 — ≤ 1,2 % skillnad, dvs. linjen är inte "för lång" (ingen brusvandring).
  */
-const FAIRWAY_CENTERLINE = [
-  [58.266182, 12.265678], // syd om Kanalinfarten (linjen får sticka ut så
-  [58.266974, 12.267364], // projektionen inte klampas vid kartkanten)
-  [58.268148, 12.269487],
-  [58.269666, 12.271336],
-  [58.271115, 12.273089],
-  [58.272623, 12.275187],
-  [58.274023, 12.277223],
-  [58.275511, 12.278996],
-  [58.277131, 12.280357],
-  [58.278880, 12.281455],
-  [58.280634, 12.282491],
-  [58.282358, 12.283304],
-  [58.284121, 12.284090],
-  [58.285744, 12.285113],
-  [58.287316, 12.286620],
-  [58.288811, 12.288494],
-  [58.290304, 12.290368],
-  [58.291837, 12.292365],
-  [58.293306, 12.294437],
-  [58.294803, 12.296596],
-  [58.296245, 12.298479],
-  [58.297762, 12.300141],
-  [58.299319, 12.301741],
-  [58.300919, 12.303555],
-  [58.302434, 12.305403],
-  [58.303832, 12.307336],
-  [58.305248, 12.309438],
-  [58.306606, 12.311662],
-  [58.308003, 12.313981],
-  [58.309444, 12.316087],
-  [58.311078, 12.317832],
-  [58.312816, 12.319032],
-  [58.314505, 12.319908],
-  [58.316219, 12.320817],
-  [58.317834, 12.321855],
-  [58.318914, 12.322573], // norr om Stallbackabron
-];
 
 /** Segmentlängd (m). 100 m ≈ 30 s färd i 6,5 kn (p95-farten i korpusarna). */
 const SEGMENT_M = 100;
@@ -27,8 +27,9 @@
  *        registreringen — "klockan får inte ringa efter att tåget gått".
  * INV-8  Namnkvalitet (skärpt 2026-07-03): notis med platshållarnamn trots
  *        att riktigt namn förekommit i strömmen före notisögonblicket.
- * INV-9  Klausulstruktur: max EN klausul per målbro i samma text; Klaffbron
- *        före Stridsbergsbron; rimlighetstak på antal (≤15).
+ * INV-9  Klausulstruktur: max EN klausul per målbro i samma text; målbroarna
+ *        i profilens ordning (Klaffbron före Stridsbergsbron); rimlighetstak
+ *        på antal (≤15).
  * INV-10 Strax-zombie: en "strax"-text som står orörd >35 min utan att någon
  *        målbropassage sker för bron är en fastfrusen lögn.
  * INV-11 Distansrimlighet (skärpt 2026-07-03): proximity-notiser ≤400 m;
@@ -51,25 +52,33 @@
 // den som fönster — en öppningsvarning kan aldrig vila på en observation
 // äldre än så, och en passage längre bakåt tillhör därför en ANNAN resa.
 const { BRIDGE_OPENING } = require('../../lib/constants');
+// Bronamnen kommer ur den aktiva vattenvägsprofilen (constants) — invarianterna
+// ska gälla för vilken profil replayen än kör, inte bara Trollhättan.
+const {
+  BRIDGES, TRIGGER_POINTS, TARGET_BRIDGES, BRIDGE_TEXT_CONSTANTS,
+} = require('../../lib/constants');
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const ALL_BRIDGES = [...Object.values(BRIDGES), ...Object.values(TRIGGER_POINTS)].map((b) => b.name);
+const { DEFAULT_MESSAGE } = BRIDGE_TEXT_CONSTANTS;
 
 const COUNT_WORDS = '(En|Två|Tre|Fyra|Fem|Sex|Sju|Åtta|Nio|Tio|[2-9]\\d?)';
-const TARGET = '(Klaffbron|Stridsbergsbron)';
-const ETA_CLAUSE = '(beräknad broöppning (strax|om (cirka )?([1-9]\\d{0,2}) minuter)|ETA okänd|inväntar broöppning)';
+const TARGET = `(${TARGET_BRIDGES.map(escapeRe).join('|')})`;
+// Öppningsrestriktionens suffix (BridgeRestrictionService) är valfritt —
+// korpusarna kör utan kalender och visar det aldrig.
+const ETA_CLAUSE = '(beräknad broöppning (strax|om (cirka )?([1-9]\\d{0,2}) minuter)( \\(uppskjuten av öppningsrestriktion\\))?|ETA okänd|inväntar broöppning)';
 const CLAUSE_RES = [
-  new RegExp('^Inga båtar är i närheten av Klaffbron eller Stridsbergsbron$'),
+  new RegExp(`^${escapeRe(DEFAULT_MESSAGE)}$`),
   new RegExp(`^En båt på väg mot ${TARGET}, ${ETA_CLAUSE}$`),
   new RegExp(`^${COUNT_WORDS} båtar på väg mot ${TARGET}, ${ETA_CLAUSE}$`),
   new RegExp(`^${COUNT_WORDS} båtar? är i närheten av (broarna|${TARGET})$`),
   // INV-1-skärpning (2026-07-01): nödfallbacken måste peka på en KÄND bro —
   // "En båt 250m från null" passerade tidigare.
-  new RegExp('^En båt \\d+m från (Klaffbron|Stridsbergsbron|Järnvägsbron|Olidebron|Stallbackabron|Kanalinfarten)$'),
+  new RegExp(`^En båt \\d+m från (${ALL_BRIDGES.map(escapeRe).join('|')})$`),
   // Bug#12-guardens override vid >2 min AIS-avbrott (legitim under
   // disconnect-ctrl-scenarier).
   new RegExp('^AIS-anslutning saknas — data kan vara inaktuell$'),
 ];
-const ALL_BRIDGES = ['Klaffbron', 'Stridsbergsbron', 'Järnvägsbron', 'Olidebron', 'Stallbackabron', 'Kanalinfarten'];
-const DEFAULT_MESSAGE = 'Inga båtar är i närheten av Klaffbron eller Stridsbergsbron';
-const TARGET_BRIDGES = ['Klaffbron', 'Stridsbergsbron'];
 
 /** Extrahera {bridge, eta, approx} ur en klausul ("strax" → 0.5, "okänd" → null). */
 function parseClause(clause) {
@@ -319,7 +328,7 @@ function validateInvariants(result) {
   // INV-4: count-degradering — generisk "är i närheten av"-text inklämd
   // mellan två detaljerade texter inom 90 s = transient valideringsmiss.
   for (let i = 1; i < transitions.length - 1; i++) {
-    const isGeneric = /båtar? är i närheten av (broarna|Klaffbron|Stridsbergsbron)$/.test(transitions[i].text)
+    const isGeneric = new RegExp(`båtar? är i närheten av (broarna|${TARGET})$`).test(transitions[i].text)
       && !/^Inga/.test(transitions[i].text);
     if (!isGeneric) continue;
     const prevDetailed = /på väg mot/.test(transitions[i - 1].text);
@@ -392,9 +401,9 @@ function validateInvariants(result) {
     if (dupBridge) {
       violations.push(`DUBBEL MÅLBRO-KLAUSUL: ${t.iso} "${t.text}"`);
     }
-    if (bridgesSeen.length === 2
-        && bridgesSeen[0] === 'Stridsbergsbron' && bridgesSeen[1] === 'Klaffbron') {
-      violations.push(`FEL KLAUSULORDNING: ${t.iso} "${t.text}" (Klaffbron ska stå först)`);
+    const rank = (b) => TARGET_BRIDGES.indexOf(b);
+    if (!dupBridge && bridgesSeen.some((b, i) => i > 0 && rank(b) < rank(bridgesSeen[i - 1]))) {
+      violations.push(`FEL KLAUSULORDNING: ${t.iso} "${t.text}" (${TARGET_BRIDGES[0]} ska stå först)`);
     }
     const mentioned = countMentioned(t.text);
     if (mentioned > 15) {
@@ -446,7 +455,7 @@ function validateInvariants(result) {
   // en äkta närzons-källa som tidigare undgick både INV-11:s 400 m-gräns
   // och INV-16:s fartfysik. Empiriskt verifierad ren över 8/8 korpusar +
   // 38 syntetiska scenarier vid tillägget.
-  const PROXIMITY_SOURCES = new Set(['target', 'current', 'nearest', 'trigger-point', 'just-passed']);
+  const PROXIMITY_SOURCES = new Set(['target', 'current', 'nearest', 'trigger-point', 'just-passed', 'predicted']);
   const PLACEHOLDER_NAMES = new Set(['Unknown', 'Okänd båt']);
   const firstNameSeen = result.firstNameSeen || {};
   for (const n of notifications) {
@@ -662,7 +671,7 @@ function validateWarnInvariants(result) {
     for (const t of transitions) {
       const bridges = new Set();
       for (const clause of t.text.split('; ')) {
-        const m = clause.match(/på väg mot (Klaffbron|Stridsbergsbron)/);
+        const m = clause.match(new RegExp(`på väg mot ${TARGET}`));
         if (m) bridges.add(m[1]);
       }
       bridgeAppearances.push({ t: t.t, iso: t.iso, bridges });
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * nmeaStandIn — lokal TCP-ersättare för en dAISy/RTL-SDR-mottagare. Spelar
+ * upp en inspelad meningsfil (en !AIVDM-rad per rad, som mottagaren skriver
+ * dem) för varje klient som ansluter. Används av NmeaClient-testerna och för
+ * manuell provkörning av appen mot tcp://127.0.0.1:<port> utan antenn.
+ *
+ * Filen spelas upp ORÖRD — även trasiga rader (fel checksumma, GPS-meningar,
+ * TAG-block) ska nå klienten precis som i drift. Meningarna skrivs i bitar
+ * som inte följer radgränserna (chunkBytes) så klientens radramning prövas.
+ *
+ * Användning:
+ *   node tests/replay-validation/nmeaStandIn.js <fil.nmea> [port=10110] [intervalMs=250]
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.file] - Meningsfil att spela upp
+ * @param {string[]} [opts.lines] - Alternativt: raderna direkt
+ * @param {number} [opts.port=0] - 0 ⇒ valfri ledig port (testerna)
+ * @param {string} [opts.host='127.0.0.1']
+ * @param {number} [opts.intervalMs=0] - Paus mellan rader (0 ⇒ allt i ett svep)
+ * @param {number} [opts.chunkBytes=0] - >0 ⇒ dela strömmen i bitar av den storleken
+ * @returns {Promise<{port: number, close: function(): Promise<void>}>}
+ */
+function startNmeaStandIn(opts = {}) {
+  const lines = opts.lines
+    || fs.readFileSync(opts.file, 'ascii').split(/\r?\n/).filter((l) => l.trim());
+  const intervalMs = opts.intervalMs || 0;
+  const chunkBytes = opts.chunkBytes || 0;
+  const sockets = new Set();
+  const timers = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {}); // klienten får koppla ner mitt i uppspelningen
+
+    const write = (text) => {
+      if (socket.destroyed) return;
+      if (chunkBytes > 0) {
+        for (let i = 0; i < text.length; i += chunkBytes) socket.write(text.slice(i, i + chunkBytes));
+      } else {
+        socket.write(text);
+      }
+    };
+
+    if (intervalMs <= 0) {
+      write(`${lines.join('\r\n')}\r\n`);
+      return;
+    }
+    lines.forEach((line, i) => {
+      const t = setTimeout(() => {
+        timers.delete(t);
+        write(`${line}\r\n`);
+      }, i * intervalMs);
+      timers.add(t);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port || 0, opts.host || '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => {
+          for (const t of timers) clearTimeout(t);
+          timers.clear();
+          for (const s of sockets) s.destroy();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startNmeaStandIn };
+
+if (require.main === module) {
+  const [, , file, portArg, intervalArg] = process.argv;
+  if (!file) {
+    process.stderr.write('Usage: node nmeaStandIn.js <fil.nmea> [port=10110] [intervalMs=250]\n');
+    process.exit(1);
+  }
+  startNmeaStandIn({
+    file,
+    port: Number(portArg) || 10110,
+    intervalMs: intervalArg !== undefined ? Number(intervalArg) : 250,
+  }).then(({ port }) => {
+    process.stdout.write(`NMEA-ersättare lyssnar på tcp://127.0.0.1:${port} (${file})\n`);
+  });
+}
@@ -187,6 +187,8 @@ async function main() {
   // broar framför loggar ingen JOURNEY_RESET-rad — TARGET_RECALC loggas alltid.
   const journeyResetRe = /\[(?:JOURNEY_RESET|NEW_JOURNEY|REENTRY_NEW_JOURNEY|TARGET_RECALC)\] (\d+):/;
   const intermediatePassages = [];
+  // ctrl:'restart' — en post per omstart med varmstartens återställning.
+  const restarts = [];
   const intermediateRe = /\[INTERMEDIATE_PASSAGE_RECORDED\] (\d+): Recorded passage of intermediate bridge (\S+)/;
 
   // ---- Instrumentera en app-instans (körs igen efter ctrl:'restart') ----
@@ -365,6 +367,15 @@ async function main() {
       await app.onInit();
       // eslint-disable-next-line no-await-in-loop
       await drain();
+      // Varmstarten: vad den nya instansen återställde ur tracking_snapshot
+      // (0/0 = kallstart). Läses före instrumenteringen — återställningen
+      // sker i onInit, innan loggfångsten hinner hänga på.
+      restarts.push({
+        t: Date.now(),
+        iso: new Date(Date.now()).toISOString(),
+        vessels: app.vesselDataService ? app.vesselDataService.getVesselCount() : 0,
+        openingArms: app.bridgeOpeningService ? app.bridgeOpeningService.getStats().armed : 0,
+      });
       instrumentApp(app);
       enableFusionRouting(app); // fusion-läget överlever ctrl:'restart'
       global.__TEST_MODE__ = undefined;
@@ -595,6 +606,8 @@ async function main() {
       ? (app.bridgeOpeningService.getStats().armed ?? 0) : 0,
     openingEvents: app.bridgeOpeningService && typeof app.bridgeOpeningService.getStats === 'function'
       ? (app.bridgeOpeningService.getStats().openEvents ?? 0) : 0,
+    // Kalman-skuggans spår släpps med fartyget (TrackKalmanService.forget).
+    kalmanTracks: vds.trackKalmanService ? sizeOf(vds.trackKalmanService._tracks) ?? 0 : 0,
     heapUsedMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
   };
 
@@ -625,11 +638,16 @@ async function main() {
     openingStats: (app.bridgeOpeningService
       && typeof app.bridgeOpeningService.getStats === 'function')
       ? app.bridgeOpeningService.getStats() : null,
+    // Kalman-skuggan (TrackKalmanService): oenigheterna mot jumpgrinden.
+    // Informativt — runKalmanShadow.js sammanställer, ingen gate läser fältet.
+    kalmanShadow: vds.trackKalmanService && typeof vds.trackKalmanService.getSummary === 'function'
+      ? vds.trackKalmanService.getSummary() : null,
     firstNameSeen,
     firstSampleMs: samples.length > 0 ? samples[0].aisTimestamp : null,
     targetPassages,
     journeyResets,
     intermediatePassages,
+    restarts,
     leakDiagnostics,
   };
 
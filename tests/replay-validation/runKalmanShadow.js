@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Kalman-skuggan över alla korpusar: kör replayRunner mot varje korpus i
+ * corpora.js och sammanställer hur TrackKalmanService:s innovationsgrind
+ * skiljer sig från jumpgrindens (GPSJumpAnalyzer) beslut på samma fix.
+ *
+ * Användning:  node tests/replay-validation/runKalmanShadow.js   (från io.ais.tracker/)
+ *              KALMAN_EXAMPLES=20 visar fler oenigheter per korpus (default 5).
+ * Exit-kod:    0 om alla korpusar kördes utan processfel, 1 annars.
+ *
+ * INFORMATIV: skuggan styr ingenting och har inget facit. Matrisen
+ * "grind→kalman" är underlaget för att avgöra om filtret ska få grinda
+ * jumpdetekteringen — en sådan omkoppling låser om korpusarnas facit och
+ * kräver den vanliga motiveringen.
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const corpora = require('./corpora');
+
+const RUNNER = path.join(__dirname, 'replayRunner.js');
+const EXAMPLES = Number(process.env.KALMAN_EXAMPLES) || 5;
+
+function runCorpus(corpus) {
+  const stdout = execFileSync('node', [RUNNER, corpus.jsonl], {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: 10 * 60 * 1000,
+  });
+  const m = stdout.match(/__REPLAY_JSON__([\s\S]*?)__END__/);
+  if (!m) throw new Error(`Ingen JSON-markör i replay-output för ${corpus.id}`);
+  return JSON.parse(m[1]);
+}
+
+const pct = (n, d) => (d > 0 ? `${((100 * n) / d).toFixed(1)} %` : '–');
+
+let failed = false;
+const total = {
+  compared: 0, agreed: 0, resets: 0, matrix: {},
+};
+
+for (const corpus of corpora) {
+  let result;
+  try {
+    result = runCorpus(corpus);
+  } catch (err) {
+    failed = true;
+    console.log(`💥 ${corpus.id}: ${err.message.slice(0, 120)}`);
+    continue;
+  }
+  if ((result.processErrors || 0) > 0) failed = true;
+  const shadow = result.kalmanShadow;
+  if (!shadow) {
+    failed = true;
+    console.log(`💥 ${corpus.id}: kalmanShadow saknas i replay-JSON`);
+    continue;
+  }
+
+  total.compared += shadow.compared;
+  total.agreed += shadow.agreed;
+  total.resets += shadow.resets;
+  for (const [cell, n] of Object.entries(shadow.matrix)) {
+    total.matrix[cell] = (total.matrix[cell] || 0) + n;
+  }
+
+  const disagreed = shadow.compared - shadow.agreed;
+  console.log(`${corpus.id}: ${shadow.compared} jämförda, ${disagreed} oeniga (${pct(disagreed, shadow.compared)}), `
+    + `${shadow.resets} spårstarter${result.processErrors ? `, ${result.processErrors} processfel` : ''}`);
+  for (const ex of shadow.examples.slice(0, EXAMPLES)) {
+    const at = Number.isFinite(ex.atMs) ? new Date(ex.atMs).toISOString().slice(11, 19) : '?';
+    const moved = Number.isFinite(ex.movementM) ? `${ex.movementM.toFixed(0)} m` : '?';
+    console.log(`   ${at} ${ex.mmsi}: grind=${ex.gate} kalman=${ex.kalman} d²=${ex.d2.toFixed(1)} ${moved} (${ex.reason || '–'})`);
+  }
+}
+
+console.log('\n=== Grind → Kalman (alla korpusar) ===');
+for (const cell of Object.keys(total.matrix).sort((a, b) => a.localeCompare(b))) {
+  console.log(`  ${cell.padEnd(48)} ${String(total.matrix[cell]).padStart(6)}`);
+}
+const disagreed = total.compared - total.agreed;
+console.log(`Totalt: ${total.compared} jämförda, ${disagreed} oeniga (${pct(disagreed, total.compared)}), ${total.resets} spårstarter`);
+
+process.exit(failed ? 1 : 0);
@@ -41,6 +41,7 @@ const {
   BRIDGES, TARGET_BRIDGES, BRIDGE_OPENING, MOORING_DETECTION, QUAY_DEPARTURE_GATE,
 } = require('../../lib/constants');
 const geometry = require('../../lib/utils/geometry');
+const fairway = require('../../lib/utils/fairway');
 
 const RUNNER = path.join(__dirname, 'replayRunner.js');
 
@@ -60,6 +61,10 @@ const NIGHT_AISSTREAM = pick('night-aisstream.jsonl', path.join(CORPORA_DATA, 'a
 const FIELD_NOTIF = pick('field-notif.txt', path.join(NIGHT_DIR, 'field-notif.txt'));
 const FIELD_TEXTS = pick('field-texts.txt', path.join(NIGHT_DIR, 'field-texts.txt'));
 const GT_PASSAGES = pick('gt-passages.json', path.join(NIGHT_DIR, 'gt-passages.json'));
+// Farledsmodellens EGNA texter för A-armen, ordagrant (se O3 nedan). Ingen
+// A/B-kopia: filen är kodens facit, inte fältets.
+const FAIRWAY_TEXTS = path.join(NIGHT_DIR, 'fairway-texts.txt');
+const REGEN_FAIRWAY_TEXTS = process.env.REGEN_FAIRWAY_TEXTS === '1';
 
 // Parallellitet: varje korpus är en egen nodprocess. 4 samtidiga håller
 // väggtiden nere utan att svälta maskinen (samma storleksordning som jest
@@ -153,7 +158,7 @@ function median(arr) {
 function distTo(sample, bridgeName) {
   const b = TARGET_BRIDGE_POS.get(bridgeName);
   if (!b || !Number.isFinite(sample.lat) || !Number.isFinite(sample.lon)) return null;
-  const d = geometry.calculateDistance(sample.lat, sample.lon, b.lat, b.lon);
+  const d = fairway.sailedDistanceM(sample.lat, sample.lon, b);
   return Number.isFinite(d) ? d : null;
 }
 
@@ -678,7 +683,8 @@ const JOB_LIST = [
 ];
 
 async function main() {
-  const missingNight = [NIGHT_FUSION, NIGHT_AISSTREAM, FIELD_NOTIF, FIELD_TEXTS, GT_PASSAGES]
+  const missingNight = [NIGHT_FUSION, NIGHT_AISSTREAM, FIELD_NOTIF, FIELD_TEXTS, GT_PASSAGES,
+    ...(REGEN_FAIRWAY_TEXTS ? [] : [FAIRWAY_TEXTS])]
     .filter((p) => !fs.existsSync(p));
   const jobs = JOB_LIST.filter((j) => fs.existsSync(j.jsonl));
 
@@ -899,7 +905,7 @@ async function main() {
       for (const p of problems) console.log(`  ❌ ${p}`);
     } else {
       console.log('  ✅ Nattkontrakten hålls: 6/6 öppningar varnade före, konvojen som EN varning, '
-        + '0 varningar ur kajliggarna, boat_near oförändrad, A-armen identisk med facit.');
+        + '0 varningar ur kajliggarna, boat_near oförändrad, A-armen enligt facit (ETA ±1 min).');
     }
     console.log('');
   }
@@ -1004,7 +1010,7 @@ async function checkNight(runs) {
   if (phantomNotifs.length) problems.push(`B-ARMENS FANTOMNOTISER: ${phantomNotifs.join(', ')}`);
   if ((b.processErrors || 0) > 0) problems.push(`B-armen: ${b.processErrors} processfel`);
 
-  // ---- A-armen (enbart aisstream) — byte-identisk med nattens facit -------
+  // ---- A-armen (enbart aisstream) — nattens facit (ETA-tolerans ±1 min) --
   let a;
   try {
     a = await runReplay(NIGHT_AISSTREAM, { fusion: false });
@@ -1012,8 +1018,17 @@ async function checkNight(runs) {
     problems.push(`A-armen kunde inte köras: ${String(err.message || err).slice(0, 160)}`);
     return problems;
   }
-  const expectedNotif = fs.readFileSync(FIELD_NOTIF, 'utf8').trim().split('\n').filter(Boolean);
-  const actualNotif = (a.notifications || []).map((n) => `${n.mmsi}|${n.bridge}|${n.distance}`);
+  // PROGNOSNOTISER (source=predicted): dödräkningen når 300 m-zonen före
+  // nästa fix, så notisen för SAMMA båt och bro går ut tidigare och på
+  // prognosens avstånd — fältnattens avstånd är fixets (JUNO @ Klaffbron var
+  // en passage-fallback på 2200 m efter öppningen). De jämförs på båt|bro.
+  const keyOf = (line) => line.split('|').slice(0, 2).join('|');
+  const predictedKeys = new Set((a.notifications || [])
+    .filter((n) => n.source === 'predicted').map((n) => `${n.mmsi}|${n.bridge}`));
+  const expectedNotif = fs.readFileSync(FIELD_NOTIF, 'utf8').trim().split('\n').filter(Boolean)
+    .map((line) => (predictedKeys.has(keyOf(line)) ? `${keyOf(line)}|predicted` : line));
+  const actualNotif = (a.notifications || []).map((n) => (n.source === 'predicted'
+    ? `${n.mmsi}|${n.bridge}|predicted` : `${n.mmsi}|${n.bridge}|${n.distance}`));
   // MULTISET, inte ordning: två notiser som avfyras i SAMMA fake-millisekund
   // (t.ex. current + passage-fallback för samma båt) har ingen kanonisk
   // inbördes ordning — nattens facitfil ordnar dem olika för olika fartyg.
@@ -1027,23 +1042,110 @@ async function checkNight(runs) {
   }
   const expectedTexts = fs.readFileSync(FIELD_TEXTS, 'utf8').trim().split('\n');
   const actualTexts = (a.bridgeTextTransitions || []).map((t) => t.text);
-  if (actualTexts.length !== expectedTexts.length) {
-    problems.push(`A-ARMENS TEXTFACIT: ${actualTexts.length} övergångar ≠ ${expectedTexts.length}`);
-  } else {
-    const diff = actualTexts.findIndex((t, i) => t !== expectedTexts[i]);
-    if (diff !== -1) {
-      problems.push(`A-ARMENS TEXTFACIT AVVIKER vid index ${diff}: fick "${actualTexts[diff]}" `
-        + `väntade "${expectedTexts[diff]}"`);
+  const textCheck = compareFieldTexts(actualTexts, expectedTexts);
+  if (textCheck.mismatch) {
+    problems.push(`A-ARMENS TEXTFACIT AVVIKER vid index ${textCheck.mismatch.index}: `
+      + `fick "${textCheck.mismatch.actual}" väntade "${textCheck.mismatch.expected}"`);
+  }
+  // Toleransen ovan gäller fältet; mot farledsmodellens eget facit är
+  // texterna ordagranna — varje ny avvikelse syns och måste låsas medvetet.
+  if (!REGEN_FAIRWAY_TEXTS && fs.existsSync(FAIRWAY_TEXTS)) {
+    const lockedTexts = fs.readFileSync(FAIRWAY_TEXTS, 'utf8').trim().split('\n');
+    const index = actualTexts.findIndex((text, i) => text !== lockedTexts[i]);
+    if (index !== -1 || actualTexts.length !== lockedTexts.length) {
+      const at = index !== -1 ? index : Math.min(actualTexts.length, lockedTexts.length);
+      problems.push(`A-ARMENS FARLEDSFACIT AVVIKER vid index ${at}: `
+        + `fick "${actualTexts[at] || '(slut)'}" väntade "${lockedTexts[at] || '(slut)'}"`);
     }
   }
   if ((a.processErrors || 0) > 0) problems.push(`A-armen: ${a.processErrors} processfel`);
+  if (problems.length === 0 && REGEN_FAIRWAY_TEXTS) {
+    // Samma villkor som övriga facit: skrivs bara från en helt grön körning.
+    fs.writeFileSync(FAIRWAY_TEXTS, `${actualTexts.join('\n')}\n`);
+    console.log(`  📝 REGEN: farledsfacit skrivet till ${path.basename(FAIRWAY_TEXTS)} (${actualTexts.length} texter)`);
+  }
   if (problems.length === 0) {
-    console.log(`  ✅ A-armen: ${actualNotif.length} notiser + ${actualTexts.length} texter ordagrant enligt nattens facit`);
+    console.log(`  ✅ A-armen: ${actualNotif.length} notiser + ${actualTexts.length} texter enligt nattens facit`
+      + ` (${textCheck.tolerated.length} ETA-minuter inom ±${FIELD_ETA_TOLERANCE_MIN}) och ordagrant enligt farledsfacit`);
     console.log(`  ✅ B-armen: ${keys.length} notiser, 0 dubbletter, 0 fantomer — boat_near helt oförändrad`);
   }
   return problems;
 }
 
+// ---------------------------------------------------------------------------
+// O3 — TEXTFACIT MED ETA-TOLERANS
+// ---------------------------------------------------------------------------
+
+/**
+ * field-texts.txt är FÄLTOBSERVERAD och skrivs aldrig om för att passa koden.
+ * Enda toleransen gäller minuttalet i ETA-satsen ("om N minuter"): sedan
+ * farledsmodellen (seglat avstånd längs centrumlinjen i stället för
+ * fågelvägen) kan ett avrundat minuttal hamna en minut annorlunda — svängen
+ * vid Olidebron ger 17→18 och 20→21 min på natten. Allt annat (bro, antal
+ * båtar, "strax", "Inga båtar …") måste vara ordagrant. Toleransen avgör bara
+ * om modellen fortfarande beskriver fältet; exakt VAD modellen säger låses i
+ * fairway-texts.txt (REGEN_FAIRWAY_TEXTS=1 från en grön körning).
+ */
+const FIELD_ETA_TOLERANCE_MIN = 1;
+const FIELD_EXTRA_TRANSITIONS_PER_ROW = 1;
+const ETA_CLAUSE_RE = /om (\d+) minuter?/;
+
+/** Samma text, eller samma text med ETA-minuter högst ±toleransen isär. */
+function fieldTextMatches(actual, expected) {
+  if (actual === expected) return true;
+  const am = ETA_CLAUSE_RE.exec(actual);
+  const em = ETA_CLAUSE_RE.exec(expected);
+  if (!am || !em) return false;
+  if (actual.replace(ETA_CLAUSE_RE, '#') !== expected.replace(ETA_CLAUSE_RE, '#')) return false;
+  return Math.abs(Number(am[1]) - Number(em[1])) <= FIELD_ETA_TOLERANCE_MIN;
+}
+
+/**
+ * Jämför övergångarna mot facit i ordning. En avrundningsgräns som passeras
+ * åt andra hållet ger en EXTRA övergång (18 före 17): den godtas bara när
+ * den ligger inom toleransen från en granne i facit, och högst EN gång per
+ * facitrad — en avrundning passeras en gång, en text som pendlar kring den
+ * är en ny beteendeändring. En ny text eller en saknad övergång är rött.
+ * @returns {{mismatch: {index, actual, expected}|null, tolerated: string[]}}
+ */
+function compareFieldTexts(actualTexts, expectedTexts) {
+  const tolerated = [];
+  const extrasPerRow = new Map();
+  let j = 0;
+  for (let i = 0; i < actualTexts.length; i++) {
+    const text = actualTexts[i];
+    const want = expectedTexts[j];
+    if (text === want) {
+      j++;
+      continue;
+    }
+    // Inom toleransen — men är NÄSTA övergång facitraden ordagrant, är den
+    // här den extra avrundningsövergången och inte facitradens ersättare.
+    if (want !== undefined && fieldTextMatches(text, want) && actualTexts[i + 1] !== want) {
+      tolerated.push(text);
+      j++;
+      continue;
+    }
+    const row = [j - 1, j].find((k) => expectedTexts[k] !== undefined && fieldTextMatches(text, expectedTexts[k]));
+    if (row !== undefined && (extrasPerRow.get(row) || 0) < FIELD_EXTRA_TRANSITIONS_PER_ROW) {
+      extrasPerRow.set(row, (extrasPerRow.get(row) || 0) + 1);
+      tolerated.push(text);
+      continue;
+    }
+    return {
+      mismatch: { index: i, actual: text, expected: want === undefined ? '(slut)' : want },
+      tolerated,
+    };
+  }
+  if (j < expectedTexts.length) {
+    return {
+      mismatch: { index: actualTexts.length, actual: '(slut)', expected: expectedTexts[j] },
+      tolerated,
+    };
+  }
+  return { mismatch: null, tolerated };
+}
+
 // KÖRS SOM SKRIPT — men KLASSIFICERARNA exporteras också, så domarlogiken kan
 // enhetstestas direkt (samma princip som replay-invariants-unit.test.js: en
 // tyst trasig domare ser ut som "allt grönt"). Utan require.main-vakten hade
@@ -1063,6 +1165,7 @@ module.exports = {
   analyseCoverage,
   analysePhantoms,
   analyseFireWindow,
+  compareFieldTexts,
   loadSamples,
   MIN_WARNABLE_MS,
   PHANTOM_WINDOW_MS,
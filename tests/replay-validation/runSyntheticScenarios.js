@@ -20,7 +20,7 @@ const {
   generateScenario, buildPath, pathMetrics, pointAt, BASE_TIME_MS,
 } = require('./scenarioGenerator');
 const { validateInvariants, validateWarnInvariants } = require('./invariants');
-const { MOORING_ZONES, TRIGGER_POINTS } = require('../../lib/constants');
+const { MOORING_ZONES, TRIGGER_POINTS, BRIDGE_TEXT_CONSTANTS } = require('../../lib/constants');
 
 const RUNNER = path.join(__dirname, 'replayRunner.js');
 const QUAY = {
@@ -57,6 +57,12 @@ const northSecondsToFraction = (frac, speedKn) => Math.round((frac * METRICS.tot
  *  - deadlineFiredOpenings: dessa broars varning MÅSTE ha kommit ur tick-
  *    motorn (firedBy='deadline'), inte ur ett inkommande fix — beviset för
  *    att äggklockan fungerar i radiotystnad.
+ *
+ * VARMSTART (tracking_snapshot) — ctrl:'restart'-scenarier:
+ *  - warmRestoredVessels: varje omstart ska ha återställt minst N fartyg
+ *    (0 = kallstart, dvs. snapshoten skrevs inte eller kastades).
+ *  - keepsVesselTextAcrossRestart: från omstarten till nästa målbropassage
+ *    får texten aldrig falla till standardtexten ("Inga båtar ...").
  */
 const SCENARIOS = [
   {
@@ -642,6 +648,37 @@ const SCENARIOS = [
       maxOpeningsPerBridge: { Klaffbron: 1, Stridsbergsbron: 1 },
     },
   },
+  {
+    // VARMSTART (tracking_snapshot): omstart ~600 m SÖDER om Klaffbron, mitt
+    // i anflygningen — det fall användaren rapporterade ("båten 600 m från
+    // Klaffbron tappar text och varning i flera fix efter en appuppdatering").
+    // Den nya instansen ska återställa fartyget ur snapshoten (målbro, rutt,
+    // ETA-historik och öppningsarmen) i stället för att bygga om från noll:
+    // texten får aldrig falla till "Inga båtar", och den redan avfyrade
+    // Klaffbron-varningen får inte gå ut en gång till.
+    name: 'varmstart-600m-före-Klaffbron',
+    seed: 57,
+    vessels: [{
+      mmsi: '901000057',
+      name: 'SYNT-VARMSTART',
+      direction: 'north',
+      speedKn: 5.0,
+    }],
+    events: [{
+      ctrl: 'restart',
+      atOffsetS: Math.round((METRICS.cum[2] - 600) / (5.0 * 0.5144)),
+    }],
+    expect: {
+      minTargetPassages: 2,
+      noUnknownTokens: true,
+      minNotifiedBridges: ['Klaffbron', 'Stridsbergsbron'],
+      maxNotifiedPerBridge: { Klaffbron: 1, Stridsbergsbron: 1 },
+      expectedOpenings: ['Klaffbron', 'Stridsbergsbron'],
+      maxOpeningsPerBridge: { Klaffbron: 1, Stridsbergsbron: 1 },
+      warmRestoredVessels: 1,
+      keepsVesselTextAcrossRestart: true,
+    },
+  },
   // === Utökning 2026-07-06 (helgranskningens teststärkning) ===
   {
     // sog=null-klassen (helgranskningen 2026-07-06, F1): Class B-transponder
@@ -1140,6 +1177,30 @@ function checkExpectations(scenario, result) {
     }
   }
 
+  // ---------------------------------------------------------------------
+  // VARMSTART (tracking_snapshot) — additiv dimension
+  // ---------------------------------------------------------------------
+  const restarts = result.restarts || [];
+  if (e.warmRestoredVessels != null) {
+    if (restarts.length === 0) problems.push('VARMSTART: ingen omstart kördes');
+    for (const r of restarts) {
+      if (r.vessels < e.warmRestoredVessels) {
+        problems.push(`KALLSTART vid ${r.iso}: ${r.vessels} fartyg återställda (förväntat ≥ ${e.warmRestoredVessels})`);
+      }
+    }
+  }
+  if (e.keepsVesselTextAcrossRestart) {
+    for (const r of restarts) {
+      const nextPassage = passages
+        .filter((p) => p.t >= r.t)
+        .reduce((min, p) => (min === null || p.t < min ? p.t : min), null);
+      const dropped = (result.bridgeTextTransitions || []).find((tr) => tr.t >= r.t
+        && (nextPassage === null || tr.t <= nextPassage)
+        && tr.text === BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE);
+      if (dropped) problems.push(`TEXTEN FÖLL efter omstarten ${r.iso}: "${dropped.text}" ${dropped.iso}`);
+    }
+  }
+
   // B1-kontrakt (2026-07-03): token-fallbacken är "Okänd båt" — den råa
   // aisstream-platshållaren "Unknown" får ALDRIG nå en notis.
   if (e.noUnknownTokens) {
@@ -0,0 +1,246 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Vägavstängningsprognosen: varje öppning bär förväntad stängning (före
+ * ledbåtens ankomst) och återöppning (efter den sista medlemmens passage),
+ * med passageavståndet kalibrerat ur uppmätta passager och prognosen bedömd
+ * i efterhand mot de bokförda passagetiderna.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const { BRIDGES, BRIDGE_OPENING } = require('../lib/constants');
+
+const T0 = 1_700_000_000_000;
+const KLAFF = BRIDGES.klaffbron;
+const LEAD_MS = BRIDGE_OPENING.CLEAR_CLOSURE_LEAD_MS;
+const TAIL_MS = BRIDGE_OPENING.CLEAR_CLOSURE_TAIL_MS;
+const SPACING_MS = BRIDGE_OPENING.ROAD_CLOSURE_DEFAULT_SPACING_MS;
+
+/** Position `distanceM` söder om bron i farleden (se bridge-opening-service.test.js). */
+function posAtDistance(bridge, distanceM, bearingDeg = 220) {
+  const rad = (bearingDeg * Math.PI) / 180;
+  const dLat = (distanceM * Math.cos(rad)) / 111320;
+  const dLon = (distanceM * Math.sin(rad)) / (111320 * Math.cos((bridge.lat * Math.PI) / 180));
+  return { lat: bridge.lat + dLat, lon: bridge.lon + dLon };
+}
+
+function makeVessel({ mmsi, distanceM, sog = 6 }) {
+  const pos = posAtDistance(KLAFF, distanceM);
+  const now = Date.now();
+  return {
+    mmsi,
+    name: `BÅT ${mmsi}`,
+    lat: pos.lat,
+    lon: pos.lon,
+    sog,
+    cog: 40,
+    timestamp: now,
+    fixTs: now,
+    targetBridge: KLAFF.name,
+    _routeDirection: 'north',
+    _finalTargetDirection: null,
+    _hasMovementProof: true,
+    _moored: false,
+    etaMinutes: null,
+    passedAt: {},
+    passedBridges: [],
+  };
+}
+
+describe('BridgeOpeningService: vägavstängningsprognosen', () => {
+  let svc;
+  let warnings;
+  let clears;
+
+  const arrivalOf = (mmsi) => svc.getSnapshot().arms.find((a) => a.mmsi === mmsi).expectedArrivalMs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    warnings = [];
+    clears = [];
+    svc = new BridgeOpeningService({
+      onWarning: (payload) => warnings.push(payload),
+      onClear: (payload) => clears.push(payload),
+    });
+  });
+
+  afterEach(() => {
+    svc.destroy();
+    jest.useRealTimers();
+  });
+
+  test('en båt: stängning före ankomsten, återöppning efter den', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700 }));
+    expect(warnings).toHaveLength(1);
+    const arrival = arrivalOf('111');
+
+    expect(warnings[0]).toMatchObject({
+      roadClosesAtMs: arrival - LEAD_MS,
+      roadReopensAtMs: arrival + TAIL_MS,
+    });
+    expect(svc.getSnapshot().events[0].roadClosure).toMatchObject({
+      firstPassageMs: arrival, lastPassageMs: arrival, vesselCount: 1, spacingMs: SPACING_MS, spacingSamples: 0,
+    });
+    expect(svc.getRoadClosure('Klaffbron')).toMatchObject({
+      closesAtMs: arrival - LEAD_MS, reopensAtMs: arrival + TAIL_MS, vesselCount: 1, fired: true,
+    });
+    // Målbrokedjan beväpnar även Stridsbergsbron — en egen, senare öppning.
+    expect(svc.getRoadClosure('Stridsbergsbron')).toMatchObject({ fired: false });
+    expect(svc.getRoadClosure('Stridsbergsbron').closesAtMs).toBeGreaterThan(arrival);
+    expect(svc.getRoadClosure('Järnvägsbron')).toBeNull();
+  });
+
+  test('konvoj: medlemmarna köas med passageavståndet', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700 }));
+    svc.observeVessel(makeVessel({ mmsi: '222', distanceM: 710 }));
+    expect(warnings).toHaveLength(1);
+    const first = arrivalOf('111');
+    // B anländer sekunder efter A men passerar tidigast ett avstånd senare.
+    expect(arrivalOf('222') - first).toBeLessThan(SPACING_MS);
+
+    expect(svc.getRoadClosure('Klaffbron')).toMatchObject({
+      closesAtMs: first - LEAD_MS,
+      reopensAtMs: first + SPACING_MS + TAIL_MS,
+      vesselCount: 2,
+    });
+    // Den frysta prognosen förlängdes när B absorberades.
+    expect(svc.getSnapshot().events[0].roadClosure.lastPassageMs).toBe(first + SPACING_MS);
+  });
+
+  test('en försenad båt skjuter återöppningen framåt i stället för att hamna i det förflutna', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700 }));
+    jest.advanceTimersByTime(20 * 60 * 1000);
+    expect(svc.getRoadClosure('Klaffbron').reopensAtMs).toBe(Date.now() + TAIL_MS);
+  });
+
+  test('efterhandsbedömning mot passagerna och kalibrering av passageavståndet', () => {
+    svc.observeVessel(makeVessel({ mmsi: '111', distanceM: 700 }));
+    svc.observeVessel(makeVessel({ mmsi: '222', distanceM: 710 }));
+    const predicted = svc.getSnapshot().events[0].roadClosure;
+
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    svc.notePassage('111', 'Klaffbron');
+    const firstAt = Date.now();
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    svc.notePassage('222', 'Klaffbron');
+
+    expect(clears).toHaveLength(1);
+    expect(clears[0].closureScores).toEqual([{
+      eventId: 'Klaffbron#1',
+      bridge: 'Klaffbron',
+      t: Date.now(),
+      predictedVessels: 2,
+      passedVessels: 2,
+      closeErrorMs: predicted.firstPassageMs - firstAt,
+      reopenErrorMs: predicted.lastPassageMs - Date.now(),
+    }]);
+    expect(svc.getStats().roadClosure).toEqual({
+      spacingMs: SPACING_MS,
+      spacingSamples: 1,
+      scored: 1,
+      medianCloseErrorS: Math.round(Math.abs(predicted.firstPassageMs - firstAt) / 1000),
+      medianReopenErrorS: Math.round(Math.abs(predicted.lastPassageMs - Date.now()) / 1000),
+    });
+    // Klar öppning har ingen prognos längre.
+    expect(svc.getRoadClosure('Klaffbron')).toBeNull();
+
+    // Medianen tar över när underlaget räcker; prov utanför konvojfönstret kastas.
+    for (const gapS of [90, 100, 110, 120]) svc._recordClosureSpacing(gapS * 1000);
+    svc._recordClosureSpacing(BRIDGE_OPENING.CONVOY_WINDOW_MS + 1);
+    expect(svc.getStats().roadClosure).toMatchObject({ spacingMs: 110 * 1000, spacingSamples: 5 });
+  });
+
+  test('en öppning utan avfyrning bedöms inte', () => {
+    svc.observeVessel(makeVessel({ mmsi: '333', distanceM: 2400, sog: 3 }));
+    expect(warnings).toHaveLength(0);
+    expect(svc.getRoadClosure('Klaffbron')).toMatchObject({ fired: false, vesselCount: 1 });
+
+    svc.notePassage('333', 'Klaffbron');
+    expect(clears[0].closureScores).toEqual([]);
+    expect(svc.getStats().roadClosure.scored).toBe(0);
+  });
+});
+
+describe('appen: tokens och per-bro-enheten', () => {
+  let app = null;
+
+  const bootApp = async () => {
+    const instance = new AISBridgeApp();
+    instance.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await instance.onInit();
+    return instance;
+  };
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('bridge_opening_soon bär vägavstängningen i minuter från nu', async () => {
+    app = await bootApp();
+    const trigger = jest.spyOn(app, '_triggerBridgeOpeningFlow').mockResolvedValue(undefined);
+    const savedEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    global.__TEST_MODE__ = undefined;
+    try {
+      app._onBridgeOpeningWarning({
+        t: Date.now(),
+        eventId: 'Klaffbron#1',
+        bridge: 'Klaffbron',
+        direction: 'northbound',
+        etaMinutes: 6,
+        vesselCount: 1,
+        leadVessel: 'JUNO',
+        leadMmsi: '111',
+        firedBy: 'fix',
+        mmsis: ['111'],
+        distanceM: 900,
+        roadClosesAtMs: Date.now() + 3 * 60000,
+        roadReopensAtMs: Date.now() + 8 * 60000,
+      });
+    } finally {
+      process.env.NODE_ENV = savedEnv;
+      global.__TEST_MODE__ = true;
+    }
+    expect(trigger).toHaveBeenCalledTimes(1);
+    expect(trigger.mock.calls[0][0]).toMatchObject({ road_closes_minutes: 3, road_reopens_minutes: 8 });
+    expect(app._minutesUntil(Date.now() - 60000)).toBe(0);
+    expect(app._minutesUntil(null)).toBe(-1);
+  });
+
+  test('enheten visar stängning och återöppning som klockslag', async () => {
+    app = await bootApp();
+    app.addBridgeDevice({
+      getData: () => ({ id: 'bridge_klaffbron', bridge: 'klaffbron' }),
+      getName: () => 'klaffbron',
+      setCapabilityValue: jest.fn().mockResolvedValue(undefined),
+    });
+    app.bridgeOpeningService._arm({
+      mmsi: '265000003', name: 'ARMAD', sog: 5, cog: 30, lat: KLAFF.lat - 0.01, lon: KLAFF.lon - 0.01,
+    }, { name: 'Klaffbron', lat: KLAFF.lat, lon: KLAFF.lon }, 1200, Date.now());
+    app.bridgeOpeningService.tick();
+    const closure = app.bridgeOpeningService.getRoadClosure('Klaffbron');
+    expect(closure).not.toBeNull();
+
+    const state = app._computeBridgeDeviceStates([]).get('klaffbron');
+    expect(state.road_closes_at).toBe(app._formatClockTime(closure.closesAtMs));
+    expect(state.road_reopens_at).toBe(app._formatClockTime(closure.reopensAtMs));
+  });
+});
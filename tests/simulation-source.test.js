@@ -0,0 +1,376 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Simuleringskällan (ais_source='simulation'): en inspelad korpus spelas
+ * genom muxen på sin egen tidslinje (simulationClock), triggers bär
+ * `simulated` och driftens tillstånd i settings lämnas orört.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const ReplayFeedClient = require('../lib/connection/ReplayFeedClient');
+const AISSourceMultiplexer = require('../lib/connection/AISSourceMultiplexer');
+const simulationClock = require('../lib/utils/simulationClock');
+const { generateScenario } = require('./replay-validation/scenarioGenerator');
+const { BRIDGES } = require('../lib/constants');
+
+const KLAFF = BRIDGES.klaffbron;
+// En natt långt före testets väggtid — korpusens tidslinje.
+const T0 = Date.parse('2025-10-19T20:00:00.000Z');
+
+const quietLogger = () => ({ log: jest.fn(), debug: jest.fn(), error: jest.fn() });
+
+const sample = (i, overrides = {}) => ({
+  mmsi: '265000023',
+  msgType: 'PositionReport',
+  lat: KLAFF.lat - 0.008 + 0.001 * i,
+  lon: KLAFF.lon - 0.004,
+  sog: 5,
+  cog: 30,
+  navStatus: null,
+  shipName: 'SIMULERAD',
+  aisTimestamp: T0 + i * 10000,
+  fixTs: T0 + i * 10000 - 2000,
+  feed: 'aisstream',
+  ...overrides,
+});
+
+const toJsonl = (rows) => `${rows.map((r) => JSON.stringify(r)).join('\n')}\n`;
+
+describe('ReplayFeedClient.parseJsonl', () => {
+  test('trasiga rader och rader utan tid/mmsi hoppas över; stabil sortering på aisTimestamp', () => {
+    const text = [
+      JSON.stringify(sample(2)),
+      '{inte json',
+      JSON.stringify({ mmsi: '1', lat: 58 }),
+      JSON.stringify({ aisTimestamp: T0 }),
+      JSON.stringify({ ctrl: 'disconnect', aisTimestamp: T0 + 5000 }),
+      JSON.stringify(sample(0, { shipName: 'FÖRST' })),
+      JSON.stringify(sample(0, { shipName: 'SEDAN' })),
+      '',
+    ].join('\n');
+    const parsed = ReplayFeedClient.parseJsonl(text);
+    expect(parsed.map((s) => s.shipName || s.ctrl)).toEqual(['FÖRST', 'SEDAN', 'disconnect', 'SIMULERAD']);
+    expect(ReplayFeedClient.parseJsonl(null)).toEqual([]);
+  });
+});
+
+describe('ReplayFeedClient: uppspelning på korpusens klocka', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    client = new ReplayFeedClient(quietLogger());
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    jest.useRealTimers();
+  });
+
+  test('Date.now följer korpusen i vald hastighet; proven levereras i replayRunner-mappningen', async () => {
+    const messages = [];
+    client.on('ais-message', (msg, feed) => messages.push({ msg, feed }));
+    await client.connect({
+      samples: [sample(0), sample(1, { feed: 'aishub' }), sample(2)],
+      speed: 10,
+      label: 'test',
+    });
+
+    expect(simulationClock.isInstalled()).toBe(true);
+    expect(Date.now()).toBe(T0);
+    expect(client.isConnected).toBe(true);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].msg).toMatchObject({
+      mmsi: '265000023', timestamp: T0, fixTs: T0 - 2000, fixFeed: 'aisstream', fixTsQuality: 'receipt',
+    });
+
+    // 10 s korpustid = 1 s väggtid i 10×.
+    jest.advanceTimersByTime(999);
+    expect(messages).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(Date.now()).toBe(T0 + 10000);
+    expect(messages[1]).toMatchObject({ feed: 'aishub', msg: { fixFeed: 'aishub', fixTsQuality: 'true-fix' } });
+
+    jest.advanceTimersByTime(1000);
+    expect(messages).toHaveLength(3);
+    expect(client.getConnectionStats()).toMatchObject({
+      total: 3, position: 3, finished: true, speed: 10, label: 'test', counters: { delivered: 3 },
+    });
+    // Korpusens slut: källan förblir ansluten och klockan går vidare.
+    expect(client.isConnected).toBe(true);
+
+    client.disconnect();
+    expect(simulationClock.isInstalled()).toBe(false);
+    expect(Date.now()).toBeGreaterThan(T0 + 24 * 60 * 60 * 1000);
+  });
+
+  test('ctrl-rader ger anslutningsflanker; restart hoppas över', async () => {
+    const flanks = [];
+    client.on('connected', () => flanks.push('up'));
+    client.on('disconnected', (info) => flanks.push(info.code));
+    await client.connect({
+      samples: [
+        sample(0),
+        { ctrl: 'disconnect', aisTimestamp: T0 + 1000 },
+        { ctrl: 'restart', aisTimestamp: T0 + 2000 },
+        { ctrl: 'reconnect', aisTimestamp: T0 + 3000 },
+      ],
+    });
+    jest.advanceTimersByTime(3000);
+    expect(flanks).toEqual(['up', 1006, 'up']);
+    expect(client.getConnectionStats().counters).toEqual({ delivered: 1, ctrl: 3, skipped: 1 });
+    client.disconnect();
+    expect(flanks).toEqual(['up', 1006, 'up', 1000]);
+  });
+
+  test('tom korpus: ingen klocka, ingen anslutning', async () => {
+    await client.connect({ samples: [] });
+    expect(simulationClock.isInstalled()).toBe(false);
+    expect(client.isConnected).toBe(false);
+    expect(client.getConnectionStats().finished).toBe(true);
+  });
+});
+
+describe('simulationClock: trafiktimrarna i virtuell tid', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    simulationClock.uninstall();
+    jest.useRealTimers();
+  });
+
+  test('intervallen räknas om vid install/uninstall med första varvet från bytet', () => {
+    const ticks = [];
+    const handle = simulationClock.setInterval(() => ticks.push(Date.now()), 30000);
+    // Halvvägs in i ett väggtidsvarv — installationen börjar om varvet.
+    jest.advanceTimersByTime(10000);
+    simulationClock.install({ startMs: T0, speed: 60 });
+    jest.advanceTimersByTime(1500);
+    expect(ticks).toEqual([T0 + 30000, T0 + 60000, T0 + 90000]);
+
+    simulationClock.uninstall();
+    const wall = Date.now();
+    ticks.length = 0;
+    jest.advanceTimersByTime(60000);
+    expect(ticks).toEqual([wall + 30000, wall + 60000]);
+
+    simulationClock.clearInterval(handle);
+    jest.advanceTimersByTime(60000);
+    expect(ticks).toHaveLength(2);
+  });
+
+  test('timeouts bokas i virtuella ms; avinstallerad klocka är genomströmning', () => {
+    let fired = null;
+    simulationClock.install({ startMs: T0, speed: 10 });
+    simulationClock.setTimeout(() => {
+      fired = Date.now();
+    }, 150000);
+    jest.advanceTimersByTime(14999);
+    expect(fired).toBeNull();
+    jest.advanceTimersByTime(1);
+    expect(fired).toBe(T0 + 150000);
+
+    simulationClock.uninstall();
+    const wall = Date.now();
+    simulationClock.setTimeout(() => {
+      fired = Date.now();
+    }, 150000);
+    jest.advanceTimersByTime(150000);
+    expect(fired).toBe(wall + 150000);
+    expect(simulationClock.getSpeed()).toBe(1);
+  });
+});
+
+describe('AISSourceMultiplexer: simuleringsläget', () => {
+  let mux;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (mux) mux.disconnect();
+    mux = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('utan prov faller läget tillbaka till aisstream', () => {
+    mux = new AISSourceMultiplexer(quietLogger());
+    mux.applySourceConfig({ source: 'simulation', apiKey: null });
+    expect(mux.isSimulating()).toBe(false);
+    expect(mux._config.source).toBe('aisstream');
+    expect(mux.getConnectionStats().perFeed.simulation.configured).toBe(false);
+  });
+
+  test('korpusen ersätter molnkällorna och NMEA; flera feeds i korpusen ⇒ fusion', () => {
+    mux = new AISSourceMultiplexer(quietLogger());
+    const streamConnect = jest.spyOn(mux._streamClient, 'connect').mockResolvedValue(undefined);
+    const received = [];
+    mux.on('ais-message', (msg) => received.push(msg));
+    mux.applySourceConfig({
+      source: 'simulation',
+      apiKey: 'KEY',
+      aishubUsername: 'user',
+      nmeaEndpoint: 'udp://:10110',
+      simulation: { samples: [sample(0), sample(0, { feed: 'aishub' })], speed: 60, label: 'korpus' },
+    });
+
+    expect(mux.isSimulating()).toBe(true);
+    expect(streamConnect).not.toHaveBeenCalled();
+    expect(mux._hubClient).toBeNull();
+    expect(mux._nmeaClient).toBeNull();
+    expect(mux._simClient).toBeInstanceOf(ReplayFeedClient);
+    expect(mux.isConnected).toBe(true);
+    // Samma rapport via båda inspelade feeds — F2 håller dubbletten ute.
+    expect(received).toHaveLength(1);
+    expect(mux.getConnectionStats().fusion.byReason.cross_feed_duplicate).toBe(1);
+    expect(mux.getConnectionStats().perFeed.simulation).toMatchObject({
+      configured: true, isConnected: true, label: 'korpus', speed: 60, total: 2, position: 2,
+    });
+  });
+
+  test('byte tillbaka till en levande källa river uppspelningen och klockan synkront', () => {
+    mux = new AISSourceMultiplexer(quietLogger());
+    jest.spyOn(mux._streamClient, 'connect').mockResolvedValue(undefined);
+    mux.applySourceConfig({ source: 'simulation', simulation: { samples: [sample(0)], speed: 1 } });
+    expect(simulationClock.isInstalled()).toBe(true);
+    mux.applySourceConfig({ source: 'aisstream', apiKey: 'KEY' });
+    expect(simulationClock.isInstalled()).toBe(false);
+    expect(mux._simClient).toBeNull();
+    expect(mux.isSimulating()).toBe(false);
+  });
+});
+
+describe('appen: ais_source=simulation', () => {
+  let app = null;
+  let dir;
+
+  const bootApp = async (settings = {}) => {
+    const instance = new AISBridgeApp();
+    instance.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: jest.fn((key, value) => {
+        mockHomey.app.settings[key] = value;
+      }),
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await instance.onInit();
+    return instance;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ais-simulation-'));
+    process.env.AIS_CAPTURE_DIR = dir;
+    process.env.AIS_SIMULATION_FILE = path.join(dir, 'natt.jsonl');
+    fs.writeFileSync(process.env.AIS_SIMULATION_FILE, toJsonl([sample(0), sample(30)]));
+  });
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    simulationClock.uninstall();
+    delete global.__TEST_MODE__;
+    delete process.env.AIS_CAPTURE_DIR;
+    delete process.env.AIS_SIMULATION_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('korpusen spelas i en sandlåda; driftens dedup läses tillbaka vid avslut', async () => {
+    const realNow = Date.now();
+    app = await bootApp({
+      ais_source: 'simulation',
+      persistent_recent_triggers: { '265000999:klaffbron': { t: realNow - 60000, dir: null } },
+    });
+    expect(app._persistentRecentTriggers.size).toBe(1);
+
+    // Korpusen läses asynkront; löftet löses när simuleringen är applicerad.
+    await app._applyAisSourceConfig();
+
+    expect(app._isSimulationActive()).toBe(true);
+    expect(Math.abs(Date.now() - T0)).toBeLessThan(60000);
+    expect(app._persistentRecentTriggers.has('265000999:klaffbron')).toBe(false);
+    expect(app.vesselDataService.getVessel('265000023')).toBeTruthy();
+    expect(app._flowTokens({ bridge_name: 'Klaffbron' })).toEqual({ bridge_name: 'Klaffbron', simulated: true });
+
+    // Inget trafikhärlett skrivs till settings medan simuleringen pågår.
+    mockHomey.settings.set.mockClear();
+    app._persistRecentTriggers();
+    app._persistLastKnownPositions();
+    app._persistTrackingSnapshot(true);
+    expect(mockHomey.settings.set).not.toHaveBeenCalled();
+
+    mockHomey.app.settings.ais_source = 'aisstream';
+    app._applyAisSourceConfig();
+    expect(app._isSimulationActive()).toBe(false);
+    expect(simulationClock.isInstalled()).toBe(false);
+    expect(app.vesselDataService.getVessel('265000023')).toBeFalsy();
+    expect([...app._persistentRecentTriggers.keys()]).toEqual(['265000999:klaffbron']);
+    expect(app._flowTokens({})).toEqual({ simulated: false });
+  });
+
+  test('deadline-motorn avfyrar vid samma virtuella tider i 60× som i 1×', async () => {
+    // Norrgående båt som tystnar ~1,5 km före Klaffbron: bara watchdogens
+    // tick kan avfyra varningen (deadline-motorn), och på väggtid hade 60×
+    // tickat den var 30:e virtuella minut.
+    fs.writeFileSync(process.env.AIS_SIMULATION_FILE, toJsonl(generateScenario({
+      seed: 7,
+      vessels: [{
+        mmsi: '265000031',
+        name: 'TYSTNAD',
+        direction: 'north',
+        speedKn: 5,
+        reportIntervalS: 30,
+        gap: { atFraction: 0.184, durationS: 7200 },
+      }],
+    })));
+    const runAt = async (speed) => {
+      jest.useFakeTimers();
+      try {
+        app = await bootApp({ ais_source: 'simulation', simulation_speed: speed });
+        const warnings = [];
+        jest.spyOn(app, '_onBridgeOpeningWarning').mockImplementation((payload) => {
+          warnings.push({ bridge: payload.bridge, firedBy: payload.firedBy, t: Date.now() });
+        });
+        await app._applyAisSourceConfig();
+        const startMs = Date.now();
+        await jest.advanceTimersByTimeAsync((30 * 60 * 1000) / speed);
+        await app.onUninit();
+        app = null;
+        return warnings.map((w) => ({ ...w, t: w.t - startMs }));
+      } finally {
+        simulationClock.uninstall();
+        jest.useRealTimers();
+      }
+    };
+
+    const atOne = await runAt(1);
+    const atSixty = await runAt(60);
+    expect(atOne).toEqual([{ bridge: 'Klaffbron', firedBy: 'deadline', t: expect.any(Number) }]);
+    expect(atSixty).toEqual(atOne);
+  });
+
+  test('utan läsbar korpus: aisstream som vanligt och en anslutningsnotis', async () => {
+    delete process.env.AIS_SIMULATION_FILE;
+    app = await bootApp({ ais_source: 'simulation' });
+    const notify = jest.spyOn(app, '_notifyConnectionIssue').mockImplementation(() => {});
+    await app._applyAisSourceConfig();
+    expect(app._isSimulationActive()).toBe(false);
+    expect(simulationClock.isInstalled()).toBe(false);
+    expect(notify).toHaveBeenCalledWith(expect.any(String), 'config:simulation');
+  });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Inlärda fartprofiler (SpeedProfileService): effektiv fart per fartyg,
+ * broavsnitt och riktning ur bekräftade passager, inblandad i ETA:n med en
+ * andel som växer med underlaget. ETA-historiken bokför fartkällan.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const api = require('../api');
+const SpeedProfileService = require('../lib/services/SpeedProfileService');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const fairway = require('../lib/utils/fairway');
+const { SPEED_PROFILES } = require('../lib/constants');
+
+const mockLogger = () => ({
+  debug: jest.fn(), log: jest.fn(), error: jest.fn(), warn: jest.fn(),
+});
+
+const T0 = Date.parse('2026-08-10T08:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const KNOTS_TO_MS = 1852 / 3600;
+const OLIDE_TO_KLAFF_M = fairway.bridgeGapM('Olidebron', 'Klaffbron');
+
+/**
+ * En genomfart Olidebron → Klaffbron på `minutes` minuter med start `start`;
+ * klockan följer med passagerna som i drift.
+ */
+const journey = (svc, clock, mmsi, start, minutes, extra = {}) => {
+  clock.now = start;
+  svc.recordPassage({ mmsi, bridge: 'Olidebron', crossedAt: start });
+  clock.now = start + minutes * 60000;
+  return svc.recordPassage({
+    mmsi, bridge: 'Klaffbron', crossedAt: clock.now, ...extra,
+  });
+};
+
+/** Nordgående båt mitt mellan Olidebron och Klaffbron. */
+const between = (extra = {}) => {
+  const at = fairway.locateChainage(
+    (fairway.bridgeChainageM('Olidebron') + fairway.bridgeChainageM('Klaffbron')) / 2,
+  );
+  return {
+    mmsi: '265000100', lat: at.lat, lon: at.lon, sog: 3, cog: at.bearingDeg, targetBridge: 'Klaffbron', ...extra,
+  };
+};
+
+describe('SpeedProfileService', () => {
+  test('två passager i följd ger ett prov i färdordning', () => {
+    const clock = { now: T0 };
+    const svc = new SpeedProfileService({ now: () => clock.now });
+    const sample = journey(svc, clock, '1', T0, 8);
+    expect(sample).toMatchObject({ segment: 'Olidebron>Klaffbron', atMs: T0 + 8 * 60000 });
+    expect(sample.speedKn).toBeCloseTo(OLIDE_TO_KLAFF_M / 480 / KNOTS_TO_MS, 6);
+
+    // Härledd passage, samma bro igen, för kort avsnitt, uppehåll, för långt glapp.
+    expect(journey(svc, clock, '2', T0, 8, { inferred: true })).toBeNull();
+    expect(svc.recordPassage({ mmsi: '1', bridge: 'Klaffbron', crossedAt: T0 + 20 * 60000 })).toBeNull();
+    svc.recordPassage({ mmsi: '3', bridge: 'Järnvägsbron', crossedAt: T0 });
+    expect(svc.recordPassage({ mmsi: '3', bridge: 'Stridsbergsbron', crossedAt: T0 + 60000 })).toBeNull();
+    expect(journey(svc, clock, '4', T0, 60)).toBeNull(); // ~0,7 kn: förtöjd emellan
+    expect(journey(svc, clock, '5', T0, SPEED_PROFILES.MAX_SEGMENT_MS / 60000 + 1)).toBeNull();
+    expect(svc.getSnapshot().vessels.map((v) => v.mmsi)).toEqual(['1']);
+  });
+
+  test('profilfarten: medianen när underlaget räcker, bara i samma riktning', () => {
+    const clock = { now: T0 + 10 * DAY };
+    const svc = new SpeedProfileService({ now: () => clock.now });
+    journey(svc, clock, '265000100', T0, 8);
+    journey(svc, clock, '265000100', T0 + 7 * DAY, 7);
+    expect(svc.getProfileSpeed(between())).toBeNull(); // < MIN_SAMPLES
+    journey(svc, clock, '265000100', T0 + 14 * DAY, 10);
+    clock.now = T0 + 15 * DAY;
+
+    const profile = svc.getProfileSpeed(between());
+    expect(profile.speedKn).toBeCloseTo(OLIDE_TO_KLAFF_M / 480 / KNOTS_TO_MS, 6);
+    expect(profile).toMatchObject({ samples: 3, coverage: 1 });
+    // Söderut mot Olidebron: avsnittet är nordgående — ingen profil.
+    expect(svc.getProfileSpeed(between({ targetBridge: 'Olidebron' }))).toBeNull();
+    expect(svc.getProfileSpeed(between({ mmsi: 'okänd' }))).toBeNull();
+
+    const [row] = svc.getSnapshot().vessels[0].segments;
+    expect(row).toMatchObject({
+      from: 'Olidebron', to: 'Klaffbron', direction: 'north', samples: 3, usable: true,
+    });
+  });
+
+  test('storlek och åldrande: prov- och fartygstak, gamla prov faller bort', () => {
+    const clock = { now: T0 };
+    const svc = new SpeedProfileService({
+      now: () => clock.now, config: { MAX_SAMPLES_PER_SEGMENT: 3, MAX_VESSELS: 2 },
+    });
+    for (let day = 0; day < 5; day++) journey(svc, clock, '1', T0 + day * DAY, 8);
+    expect(svc.getSnapshot().vessels[0].segments[0].samples).toBe(3);
+    journey(svc, clock, '2', T0 + 5 * DAY, 8);
+    journey(svc, clock, '3', T0 + 6 * DAY, 8);
+    // Fartyg 1 uppdaterades längst sedan — det faller bort.
+    expect(svc.getSnapshot().vessels.map((v) => v.mmsi)).toEqual(['3', '2']);
+
+    clock.now = T0 + 5 * DAY + 8 * 60000 + SPEED_PROFILES.MAX_AGE_MS + 1;
+    expect(svc.getSnapshot().vessels.map((v) => v.mmsi)).toEqual(['3']);
+  });
+
+  test('toJSON/load: rundresa, trasiga och utgångna poster filtreras', () => {
+    const clock = { now: T0 + 20 * DAY };
+    const svc = new SpeedProfileService({ now: () => clock.now });
+    journey(svc, clock, '1', T0 + 19 * DAY, 8);
+    const copy = new SpeedProfileService({ now: () => clock.now });
+    expect(copy.load(JSON.parse(JSON.stringify(svc.toJSON())))).toBe(1);
+    expect(copy.getSnapshot()).toEqual(svc.getSnapshot());
+
+    expect(copy.load({
+      2: { updatedAt: T0, segments: { 'Olidebron>Klaffbron': [[5, T0 - SPEED_PROFILES.MAX_AGE_MS]], trasig: [[5, T0]] } },
+      3: { segments: { 'Olidebron>Klaffbron': [['fem', T0], [5.5, T0 + DAY]] } },
+      4: null,
+    })).toBe(1);
+    expect(copy.getSnapshot().vessels[0]).toMatchObject({ mmsi: '3', segments: [{ samples: 1, medianKn: 5.5 }] });
+    expect(copy.load('inte ett objekt')).toBe(0);
+  });
+});
+
+describe('ETA-kalkylatorn', () => {
+  let nowSpy;
+
+  beforeEach(() => {
+    nowSpy = jest.spyOn(Date, 'now').mockReturnValue(T0);
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  const profileOf = (speedKn, samples) => () => ({ speedKn, samples, coverage: 1 });
+
+  test('profilen blandas in och historiken bokför källan', () => {
+    const plain = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    const blended = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    blended.setSpeedProfileProvider(profileOf(6, SPEED_PROFILES.FULL_WEIGHT_SAMPLES));
+
+    const live = plain.calculateProgressiveETA(between(), null);
+    const eta = blended.calculateProgressiveETA(between(), null);
+    // Halva andelen vid fullt underlag: (3 + 6) / 2 = 4,5 kn ⇒ 3/4,5 av live-ETA:n.
+    expect(eta).toBeCloseTo(live * (3 / 4.5), 6);
+
+    const [entry] = blended._etaHistory.get('265000100');
+    expect(entry).toMatchObject({ speedSource: 'profile', profileSpeedKn: 6 });
+    expect(plain._etaHistory.get('265000100')[0]).toMatchObject({ speedSource: 'live', profileSpeedKn: null });
+    plain.destroy();
+    blended.destroy();
+  });
+
+  test('tunt underlag ger mindre andel; stilla båt blandas inte', () => {
+    const calc = new ProgressiveETACalculator(mockLogger(), new BridgeRegistry());
+    const provider = jest.fn(profileOf(6, SPEED_PROFILES.FULL_WEIGHT_SAMPLES / 2));
+    calc.setSpeedProfileProvider(provider);
+    // Kvarts andel: 0,75 × 3 + 0,25 × 6 = 3,75 kn.
+    expect(calc._getEffectiveSpeed(between())).toBeCloseTo(3.75, 6);
+
+    provider.mockClear();
+    expect(calc._getEffectiveSpeed(between({ mmsi: '265000101', sog: 0.5 }))).toBe(0.5);
+    expect(provider).not.toHaveBeenCalled();
+    calc.destroy();
+  });
+});
+
+describe('appen', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('bekräftade passager lär profilen, persisteras och syns i GET /speed-profiles', async () => {
+    const clock = { now: Date.now() };
+    const stored = new SpeedProfileService({ now: () => clock.now });
+    journey(stored, clock, '265000200', Date.now() - DAY, 8);
+
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, speed_profiles: stored.toJSON() };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    expect(app.speedProfileService.getSnapshot().vessels.map((v) => v.mmsi)).toEqual(['265000200']);
+
+    const now = Date.now();
+    const vessel = { mmsi: '265000201' };
+    app._queueBridgePassage({
+      mmsi: '265000201', vessel, bridge: 'Olidebron', crossedAt: now - 8 * 60000, inferred: false,
+    });
+    app._queueBridgePassage({
+      mmsi: '265000201', vessel, bridge: 'Klaffbron', crossedAt: now, inferred: false,
+    });
+    app._deliverBridgePassages();
+
+    expect(Object.keys(mockHomey.app.settings.speed_profiles).sort()).toEqual(['265000200', '265000201']);
+    const res = await api.getSpeedProfiles({ homey: { app }, query: {}, params: {} });
+    expect(res.vessels.find((v) => v.mmsi === '265000201').segments[0]).toMatchObject({
+      from: 'Olidebron', to: 'Klaffbron', direction: 'north', samples: 1, usable: false,
+    });
+  });
+});
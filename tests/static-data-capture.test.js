@@ -0,0 +1,408 @@
+'use strict';
+
+jest.mock('homey');
+
+const AISBridgeApp = require('../app');
+const AISStreamClient = require('../lib/connection/AISStreamClient');
+const AISSourceMultiplexer = require('../lib/connection/AISSourceMultiplexer');
+const NmeaClient = require('../lib/connection/NmeaClient');
+const VesselDataService = require('../lib/services/VesselDataService');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const SystemCoordinator = require('../lib/services/SystemCoordinator');
+const { parseEnvelope } = require('../lib/utils/aishubParser');
+const staticData = require('../lib/utils/staticData');
+
+/**
+ * Statiska AIS-uppgifter (fartygstyp, längd/bredd ur dimensionsblocket,
+ * djupgående, destination, anropssignal, IMO): alla tre källorna levererar
+ * samma normaliserade form via 'static-data', app-lagret cachar per mmsi
+ * (som known_vessel_names) och boat_near/bridge_opening_soon bär dem som
+ * tokens med -1/''-sentinelerna.
+ */
+
+const makeLogger = () => ({ log: jest.fn(), debug: jest.fn(), error: jest.fn() });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('staticData: normalisering och sentineler', () => {
+  test('dimensionsblocket blir längd/bredd; sentineler blir null', () => {
+    expect(staticData.normalizeStaticData({
+      shipType: 79,
+      dimensions: {
+        toBow: 60, toStern: 20, toPort: 5, toStarboard: 6,
+      },
+      draught: 4.8,
+      destination: 'VANERSBORG@@@',
+      callSign: ' SGHJ ',
+      imo: 9134270,
+    })).toEqual({
+      shipType: 79,
+      length: 80,
+      beam: 11,
+      draught: 4.8,
+      destination: 'VANERSBORG',
+      callSign: 'SGHJ',
+      imo: '9134270',
+    });
+
+    // Typ 0 / reserverad typ, djupgående 0, IMO 0 och tom text = okänt.
+    expect(staticData.normalizeStaticData({
+      shipType: 0,
+      draught: 0,
+      imo: 0,
+      destination: '@@@@',
+      callSign: '',
+      dimensions: {
+        toBow: 0, toStern: 0, toPort: 0, toStarboard: 0,
+      },
+    })).toBeNull();
+    expect(staticData.normalizeStaticData({ shipType: 150 })).toBeNull();
+    // Null-fällan: saknat fält är aldrig värdet 0 — och aldrig ett fel.
+    expect(staticData.normalizeStaticData({ shipType: null, draught: null })).toBeNull();
+    // Okänd referenspunkt: A=0/C=0 men B/D kända → längd = B, bredd = D.
+    expect(staticData.normalizeStaticData({
+      dimensions: {
+        toBow: 0, toStern: 12, toPort: 0, toStarboard: 4,
+      },
+    })).toMatchObject({ length: 12, beam: 4 });
+  });
+
+  test('fältvis sammanslagning: del B får inte radera typ 5:s destination', () => {
+    const fromType5 = staticData.normalizeStaticData({ shipType: 70, destination: 'GOTEBORG', draught: 5 });
+    const fromPartB = staticData.normalizeStaticData({ shipType: 71, callSign: 'SABC' });
+    const merged = staticData.mergeStaticData(fromType5, fromPartB);
+    expect(merged).toMatchObject({
+      shipType: 71, destination: 'GOTEBORG', draught: 5, callSign: 'SABC',
+    });
+    expect(staticData.sameStaticData(merged, { ...merged })).toBe(true);
+    expect(staticData.sameStaticData(merged, fromType5)).toBe(false);
+  });
+
+  test('flow-tokens: -1 och tom sträng för okänt, aldrig null', () => {
+    expect(staticData.toFlowTokens(null)).toEqual({
+      ship_type: -1,
+      ship_length: -1,
+      ship_beam: -1,
+      ship_draught: -1,
+      destination: '',
+      call_sign: '',
+      imo: '',
+    });
+    expect(staticData.toFlowTokens({
+      shipType: 37, length: 12, beam: null, draught: 1.8, destination: null, callSign: 'SGHJ', imo: null,
+    })).toEqual({
+      ship_type: 37,
+      ship_length: 12,
+      ship_beam: -1,
+      ship_draught: 1.8,
+      destination: '',
+      call_sign: 'SGHJ',
+      imo: '',
+    });
+  });
+});
+
+describe('källorna emit:ar static-data', () => {
+  test('AISStreamClient: ShipStaticData (typ 5) och StaticDataReport del B', () => {
+    const client = new AISStreamClient(makeLogger());
+    const emitted = [];
+    client.on('static-data', (d) => emitted.push(d));
+
+    client._onMessage(JSON.stringify({
+      MessageType: 'ShipStaticData',
+      MetaData: { MMSI: 219033807 },
+      Message: {
+        ShipStaticData: {
+          MMSI: 219033807,
+          Name: 'SOLUTION',
+          Type: 80,
+          Dimension: {
+            A: 70, B: 15, C: 6, D: 6,
+          },
+          MaximumStaticDraught: 5.2,
+          Destination: 'KRISTINEHAMN',
+          CallSign: 'OZAB2',
+          ImoNumber: 9301234,
+        },
+      },
+    }));
+    client._onMessage(JSON.stringify({
+      MessageType: 'StaticDataReport',
+      MetaData: { MMSI: 265741640 },
+      Message: {
+        StaticDataReport: {
+          MMSI: 265741640,
+          ReportA: { Valid: false, Name: '' },
+          ReportB: {
+            Valid: true,
+            ShipType: 37,
+            CallSign: 'SFGH',
+            Dimension: {
+              A: 8, B: 3, C: 2, D: 2,
+            },
+          },
+        },
+      },
+    }));
+    // Del A (bara namn) ger inga statiska uppgifter.
+    client._onMessage(JSON.stringify({
+      MessageType: 'StaticDataReport',
+      MetaData: { MMSI: 265741641 },
+      Message: { StaticDataReport: { MMSI: 265741641, ReportA: { Valid: true, Name: 'VALEN' } } },
+    }));
+
+    expect(emitted).toEqual([
+      {
+        mmsi: '219033807',
+        staticData: {
+          shipType: 80,
+          length: 85,
+          beam: 12,
+          draught: 5.2,
+          destination: 'KRISTINEHAMN',
+          callSign: 'OZAB2',
+          imo: '9301234',
+        },
+      },
+      {
+        mmsi: '265741640',
+        staticData: {
+          shipType: 37,
+          length: 11,
+          beam: 4,
+          draught: null,
+          destination: null,
+          callSign: 'SFGH',
+          imo: null,
+        },
+      },
+    ]);
+  });
+
+  test('aishubParser: staticByMmsi bredvid en oförändrad positionspost', () => {
+    const res = parseEnvelope(JSON.stringify([
+      {
+        ERROR: false, USERNAME: 'u', FORMAT: 'HUMAN', RECORDS: 2,
+      },
+      [
+        {
+          MMSI: 265001111,
+          TIME: '2026-08-02 12:00:00 GMT',
+          LATITUDE: 58.29,
+          LONGITUDE: 12.29,
+          SOG: 5.2,
+          COG: 25.5,
+          NAVSTAT: 0,
+          NAME: 'TESTBAT',
+          IMO: '0',
+          CALLSIGN: 'SA1234',
+          TYPE: '60',
+          A: 10,
+          B: 5,
+          C: 2,
+          D: 2,
+          DRAUGHT: 2.5,
+          DEST: 'TROLLHATTAN',
+        },
+        {
+          MMSI: 265002222,
+          TIME: '2026-08-02 12:00:00 GMT',
+          LATITUDE: 58.30,
+          LONGITUDE: 12.30,
+          TYPE: 0,
+          A: 0,
+          B: 0,
+          C: 0,
+          D: 0,
+        },
+      ],
+    ]));
+    expect(res.kind).toBe('data');
+    expect(res.records).toHaveLength(2);
+    expect(res.records[0]).not.toHaveProperty('staticData');
+    expect(res.staticByMmsi).toEqual({
+      265001111: {
+        shipType: 60,
+        length: 15,
+        beam: 4,
+        draught: 2.5,
+        destination: 'TROLLHATTAN',
+        callSign: 'SA1234',
+        imo: null,
+      },
+    });
+  });
+
+  test('NmeaClient: typ 5 (två fragment) ger static-data före allt annat', () => {
+    const client = new NmeaClient(makeLogger());
+    const emitted = [];
+    client.on('static-data', (d) => emitted.push(d));
+    client._handleLine('!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C');
+    client._handleLine('!AIVDM,2,2,1,A,88888888880,2*25');
+    client.disconnect();
+
+    expect(emitted).toEqual([{
+      mmsi: '351759000',
+      staticData: {
+        shipType: 70,
+        length: 295,
+        beam: 32,
+        draught: 12.2,
+        destination: 'NEW YORK',
+        callSign: '3FOF8',
+        imo: '9134270',
+      },
+    }]);
+  });
+
+  test('muxen: pass-through, men skuggläget släpper inga AISHub-uppgifter', () => {
+    const mux = new AISSourceMultiplexer(makeLogger());
+    const emitted = [];
+    mux.on('static-data', (d) => emitted.push(d));
+    const payload = { mmsi: '265001111', staticData: { shipType: 60 } };
+
+    mux._config.source = 'shadow';
+    mux._onChildStaticData('aishub', payload);
+    mux._onChildStaticData('aisstream', payload);
+    mux._config.source = 'both';
+    mux._onChildStaticData('aishub', payload);
+    mux._onChildStaticData('nmea', { mmsi: '1' }); // utan uppgifter → tyst
+
+    expect(emitted).toEqual([payload, payload]);
+  });
+});
+
+describe('app-lagret: known_vessel_static och vessel.staticData', () => {
+  let store;
+
+  function makeApp() {
+    const a = new AISBridgeApp();
+    a.log = jest.fn();
+    a.error = jest.fn();
+    a.debug = jest.fn();
+    a.homey = {
+      settings: {
+        get: (k) => store[k],
+        set: (k, v) => {
+          store[k] = v;
+        },
+        on: jest.fn(),
+      },
+    };
+    a._knownVesselStatic = new Map();
+    a._VESSEL_STATIC_TTL_MS = 30 * DAY_MS;
+    a._VESSEL_STATIC_MAX_ENTRIES = 200;
+    return a;
+  }
+
+  beforeEach(() => {
+    store = {};
+  });
+
+  test('_onStaticData slår samman, persisterar och speglar på levande vessel', () => {
+    const app = makeApp();
+    const liveVessel = { mmsi: '265573130', name: 'ALPHA' };
+    app.vesselDataService = { getVessel: (mmsi) => (mmsi === '265573130' ? liveVessel : null) };
+
+    app._onStaticData({ mmsi: '265573130', staticData: { shipType: 79, destination: 'VANERSBORG' } });
+    app._onStaticData({ mmsi: '265573130', staticData: { callSign: 'SGHJ', length: 80 } });
+
+    const expected = {
+      shipType: 79,
+      length: 80,
+      beam: null,
+      draught: null,
+      destination: 'VANERSBORG',
+      callSign: 'SGHJ',
+      imo: null,
+    };
+    expect(app._lookupVesselStatic('265573130')).toEqual(expected);
+    expect(liveVessel.staticData).toEqual(expected);
+    expect(store.known_vessel_static['265573130'].data).toEqual(expected);
+
+    // Oförändrat innehåll inom 24 h skriver inte om settings.
+    const setSpy = jest.spyOn(app.homey.settings, 'set');
+    app._onStaticData({ mmsi: '265573130', staticData: { shipType: 79 } });
+    expect(setSpy).not.toHaveBeenCalled();
+
+    // Skapar aldrig vessel och kraschar inte utan VDS.
+    app.vesselDataService = undefined;
+    expect(() => app._onStaticData({ mmsi: '1', staticData: { shipType: 60 } })).not.toThrow();
+  });
+
+  test('laddning över omstart filtrerar utgångna och tomma poster', () => {
+    const now = Date.now();
+    store.known_vessel_static = {
+      111: { data: { shipType: 60, length: 20 }, t: now - DAY_MS },
+      222: { data: { shipType: 60 }, t: now - 31 * DAY_MS },
+      333: { data: {}, t: now },
+      444: { t: now },
+    };
+    const app = makeApp();
+    app._loadVesselStatic();
+    expect([...app._knownVesselStatic.keys()]).toEqual(['111']);
+    expect(app._lookupVesselStatic('111')).toMatchObject({ shipType: 60, length: 20, destination: null });
+  });
+
+  test('taket evikterar äldst först', () => {
+    const app = makeApp();
+    app._VESSEL_STATIC_MAX_ENTRIES = 2;
+    const now = Date.now();
+    app._knownVesselStatic.set('old', { data: { shipType: 60 }, t: now - 3000 });
+    app._knownVesselStatic.set('mid', { data: { shipType: 60 }, t: now - 2000 });
+    app._rememberVesselStatic('new', staticData.normalizeStaticData({ shipType: 37 }));
+    expect(Object.keys(store.known_vessel_static).sort()).toEqual(['mid', 'new']);
+  });
+
+  test('VesselDataService bär staticData mellan positionsmeddelanden', () => {
+    global.__TEST_MODE__ = true;
+    const logger = makeLogger();
+    const svc = new VesselDataService(logger, new BridgeRegistry(), new SystemCoordinator(logger));
+    svc.app = {
+      gpsJumpGateService: null, passageLatchService: null, routeOrderValidator: null,
+    };
+    try {
+      const data = { shipType: 37, length: 11 };
+      svc.updateVessel('265000001', {
+        lat: 58.2790, lon: 12.2810, sog: 4.0, cog: 30, name: 'A', staticData: data,
+      });
+      const v = svc.updateVessel('265000001', {
+        lat: 58.2792, lon: 12.2812, sog: 4.0, cog: 30, name: 'A', staticData: null,
+      });
+      expect(v.staticData).toEqual(data);
+    } finally {
+      svc.clearAllTimers();
+      delete global.__TEST_MODE__;
+    }
+  });
+
+  test('boat_near och bridge_opening_soon bär de statiska tokens', async () => {
+    const app = makeApp();
+    app._knownVesselNames = new Map();
+    app._triggeredBoatNearKeys = new Set();
+    app._persistentRecentTriggers = new Map();
+    app._getDirectionString = () => 'northbound';
+    app._triggerBoatNearFlowBest = jest.fn().mockResolvedValue(undefined);
+
+    app._rememberVesselStatic('555', staticData.normalizeStaticData({
+      shipType: 70, draught: 3.4, destination: 'LIDKOPING', imo: 9123456,
+    }));
+    await app._triggerBoatNearFlowForBridge({
+      mmsi: '555', name: 'LASTBAT', sog: 5, etaMinutes: 4,
+    }, {
+      name: 'Klaffbron', id: 'klaffbron', distance: 250, source: 'target',
+    });
+
+    const tokens = app._triggerBoatNearFlowBest.mock.calls[0][0];
+    expect(tokens).toMatchObject({
+      vessel_name: 'LASTBAT',
+      ship_type: 70,
+      ship_length: -1,
+      ship_beam: -1,
+      ship_draught: 3.4,
+      destination: 'LIDKOPING',
+      call_sign: '',
+      imo: '9123456',
+    });
+  });
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * vessel_passed_bridge: VDS signalerar varje ankrad passage (bekräftad eller
+ * härledd), appen levererar efter analysen med boat_near-dedupens regler på
+ * en egen persistent karta, och run-listenern filtrerar på bro + riktning.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+
+const bootApp = async (settings = {}) => {
+  const app = new AISBridgeApp();
+  app.homey = mockHomey;
+  mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+  mockHomey.settings = {
+    get: (key) => mockHomey.app.settings[key] || null,
+    set: (key, value) => {
+      mockHomey.app.settings[key] = value;
+    },
+    on: () => {},
+    off: () => {},
+  };
+  global.__TEST_MODE__ = true;
+  await app.onInit();
+  return app;
+};
+
+/** Kör produktionens väg förbi testgrinden (se bridge-opening-app-integration.test.js). */
+const withRealFlowGate = async (fn) => {
+  const savedEnv = process.env.NODE_ENV;
+  const savedMode = global.__TEST_MODE__;
+  process.env.NODE_ENV = 'production';
+  global.__TEST_MODE__ = undefined;
+  try {
+    return await fn();
+  } finally {
+    process.env.NODE_ENV = savedEnv;
+    global.__TEST_MODE__ = savedMode;
+  }
+};
+
+const northbound = (extra = {}) => ({
+  mmsi: '265000010', name: 'NORDAN', sog: 5, cog: 20, _routeDirection: 'north', ...extra,
+});
+
+const southbound = (extra = {}) => ({
+  mmsi: '265000010', name: 'NORDAN', sog: 5, cog: 200, _routeDirection: 'south', ...extra,
+});
+
+const passage = (vessel, bridge, extra = {}) => ({
+  mmsi: vessel.mmsi, vessel, bridge, crossedAt: Date.now() - 60 * 1000, inferred: false, ...extra,
+});
+
+describe('vessel_passed_bridge: VDS-signalen', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('ankringen signalerar passagen en gång; studsvakten stoppar den andra', async () => {
+    app = await bootApp();
+    const vds = app.vesselDataService;
+    const events = [];
+    vds.on('vessel:passed-bridge', (e) => events.push(e));
+    const vessel = northbound();
+    const t0 = Date.now();
+
+    expect(vds.anchorPassageTimestamp(vessel, 'Klaffbron', t0)).toBe(true);
+    expect(vds.anchorPassageTimestamp(vessel, 'Klaffbron', t0 + 60 * 1000)).toBe(false);
+    vds.anchorPassageTimestamp(vessel, 'Järnvägsbron', t0 + 5 * 60 * 1000, { inferred: true });
+
+    expect(events.map((e) => [e.bridge, e.inferred])).toEqual([
+      ['Klaffbron', false],
+      ['Järnvägsbron', true],
+    ]);
+    expect(events[0]).toMatchObject({ mmsi: vessel.mmsi, vessel, crossedAt: t0 });
+  });
+
+  test('passagen köas och levereras först efter analysen', async () => {
+    app = await bootApp();
+    const spy = jest.spyOn(app, '_onVesselPassedBridge');
+    app.vesselDataService.anchorPassageTimestamp(northbound(), 'Olidebron', Date.now());
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(app._pendingBridgePassages).toHaveLength(1);
+    app._deliverBridgePassages();
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(app._pendingBridgePassages).toHaveLength(0);
+  });
+
+  test('en passage som ankras i timerpassets statusanalys levereras i samma pass', async () => {
+    app = await bootApp();
+    const spy = jest.spyOn(app, '_onVesselPassedBridge');
+    const vessel = northbound({ lat: 58.2935, lon: 12.2945, targetBridge: 'Stridsbergsbron' });
+    jest.spyOn(app.vesselDataService, 'getAllVessels').mockReturnValue([vessel]);
+    // Under-bridge-utträdet (StatusService) ankrar utan att någon fix kommer.
+    const analyze = app.statusService.analyzeVesselStatus.bind(app.statusService);
+    jest.spyOn(app.statusService, 'analyzeVesselStatus').mockImplementation((v, ...rest) => {
+      app.vesselDataService.anchorPassageTimestamp(v, 'Järnvägsbron', Date.now());
+      return analyze(v, ...rest);
+    });
+
+    app._reevaluateVesselStatuses();
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][0]).toMatchObject({ mmsi: vessel.mmsi, bridge: 'Järnvägsbron' });
+    expect(app._pendingBridgePassages).toHaveLength(0);
+  });
+});
+
+describe('vessel_passed_bridge: avfyrning och dedup', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('kortet är ett eget kort med run-listener', async () => {
+    app = await bootApp();
+    expect(app._vesselPassedTrigger).toBeTruthy();
+    expect(app._vesselPassedTrigger).not.toBe(app._boatNearTrigger);
+    expect(app._vesselPassedTrigger).not.toBe(app._bridgeOpeningTrigger);
+    expect(app._vesselPassedTrigger.runListeners.length).toBeGreaterThan(0);
+  });
+
+  test('tokens: strängar/boolean, förankrad passagetid och bekräftad vs härledd', async () => {
+    app = await bootApp();
+    const crossedAt = Date.now() - 4 * 60 * 1000;
+    await withRealFlowGate(async () => {
+      app._onVesselPassedBridge(passage(northbound(), 'Stridsbergsbron', { crossedAt }));
+      app._onVesselPassedBridge(passage(northbound({ mmsi: '265000011' }), 'Järnvägsbron', { inferred: true }));
+    });
+
+    const calls = app._vesselPassedTrigger.triggerCalls;
+    expect(calls).toHaveLength(2);
+    expect(calls[0].tokens).toMatchObject({
+      vessel_name: 'NORDAN',
+      mmsi: '265000010',
+      bridge_name: 'Stridsbergsbron',
+      direction: 'northbound',
+      passage_time: app._formatClockTime(crossedAt),
+      confirmed: true,
+    });
+    expect(calls[0].state).toEqual({ bridge: 'stridsbergsbron', direction: 'northbound', mmsi: '265000010' });
+    expect(calls[1].tokens.confirmed).toBe(false);
+    for (const value of Object.values(calls[0].tokens)) {
+      expect(['string', 'number', 'boolean']).toContain(typeof value);
+    }
+    // boat_near berörs inte.
+    expect(app._persistentRecentTriggers.size).toBe(0);
+  });
+
+  test('GPS-vobbel i samma riktning spärras; äkta retur i motsatt riktning släpps', async () => {
+    app = await bootApp();
+    await withRealFlowGate(async () => {
+      app._onVesselPassedBridge(passage(northbound(), 'Klaffbron'));
+      app._onVesselPassedBridge(passage(northbound(), 'Klaffbron'));
+      expect(app._vesselPassedTrigger.triggerCalls).toHaveLength(1);
+
+      app._onVesselPassedBridge(passage(southbound(), 'Klaffbron'));
+    });
+    const calls = app._vesselPassedTrigger.triggerCalls;
+    expect(calls).toHaveLength(2);
+    expect(calls[1].tokens.direction).toBe('southbound');
+  });
+
+  test('dedupen persisteras och överlever omstart', async () => {
+    app = await bootApp();
+    await withRealFlowGate(async () => {
+      app._onVesselPassedBridge(passage(northbound(), 'Olidebron'));
+    });
+    const stored = mockHomey.app.settings.persistent_passage_triggers;
+    expect(stored['265000010:Olidebron']).toMatchObject({ dir: 'north' });
+    await app.onUninit();
+
+    app = await bootApp({ persistent_passage_triggers: stored });
+    expect(app._persistentPassageTriggers.has('265000010:Olidebron')).toBe(true);
+    await withRealFlowGate(async () => {
+      app._onVesselPassedBridge(passage(northbound(), 'Olidebron'));
+    });
+    expect(app._vesselPassedTrigger.triggerCalls).toHaveLength(0);
+  });
+
+  test('testgrinden avfyrar inget och sätter ingen nyckel; okänd bro hoppas över', async () => {
+    app = await bootApp();
+    app._onVesselPassedBridge(passage(northbound(), 'Klaffbron'));
+    await withRealFlowGate(async () => {
+      app._onVesselPassedBridge(passage(northbound(), 'Kanalinfarten'));
+    });
+    expect(app._vesselPassedTrigger.triggerCalls).toHaveLength(0);
+    expect(app._persistentPassageTriggers.size).toBe(0);
+  });
+});
+
+describe('vessel_passed_bridge: run-listenern', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('bro- och riktningsfiltret; okänd riktning matchar bara "alla"', async () => {
+    app = await bootApp();
+    const listener = app._vesselPassedTrigger.runListeners[0];
+    const state = { bridge: 'klaffbron', direction: 'southbound', mmsi: '1' };
+
+    await expect(listener({ bridge: 'any', direction: 'any' }, state)).resolves.toBe(true);
+    await expect(listener({ bridge: { id: 'klaffbron' }, direction: 'southbound' }, state)).resolves.toBe(true);
+    await expect(listener({ bridge: 'klaffbron', direction: 'northbound' }, state)).resolves.toBe(false);
+    await expect(listener({ bridge: 'olidebron', direction: 'any' }, state)).resolves.toBe(false);
+
+    const unknown = { ...state, direction: 'unknown' };
+    await expect(listener({ bridge: 'klaffbron', direction: 'any' }, unknown)).resolves.toBe(true);
+    await expect(listener({ bridge: 'klaffbron', direction: 'northbound' }, unknown)).resolves.toBe(false);
+    await expect(listener({ bridge: 'klaffbron' }, state)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,270 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Varmstart (tracking_snapshot): hela spårningstillståndet — fartyg,
+ * passage-latchar, ruttordningens historik, ETA-historik och öppningslagrets
+ * armar/händelser — överlever en appomstart. Versionerad snapshot, skriven
+ * periodiskt (strypt) och i onUninit, återställd i onInit med ålders-TTL.
+ * Helkedjan med omstart mitt i en anflygning prövas i den syntetiska sviten
+ * (varmstart-600m-före-Klaffbron).
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const snapshotCodec = require('../lib/utils/snapshotCodec');
+const PassageLatchService = require('../lib/services/PassageLatchService');
+const RouteOrderValidator = require('../lib/services/RouteOrderValidator');
+const ProgressiveETACalculator = require('../lib/services/ProgressiveETACalculator');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const { BRIDGES, WARM_RESTART } = require('../lib/constants');
+
+const KLAFF = BRIDGES.klaffbron;
+const MMSI = '265000021';
+
+const quietLogger = () => ({ log: jest.fn(), debug: jest.fn(), error: jest.fn() });
+
+/** Position `distanceM` söder om bron i farleden (se bridge-opening-service.test.js). */
+function posAtDistance(bridge, distanceM, bearingDeg = 220) {
+  const rad = (bearingDeg * Math.PI) / 180;
+  const dLat = (distanceM * Math.cos(rad)) / 111320;
+  const dLon = (distanceM * Math.sin(rad)) / (111320 * Math.cos((bridge.lat * Math.PI) / 180));
+  return { lat: bridge.lat + dLat, lon: bridge.lon + dLon };
+}
+
+describe('snapshotCodec', () => {
+  test('Map, Set och icke-finita tal överlever JSON-rundan', () => {
+    const state = {
+      arms: new Map([['111::Klaffbron', { fireDueMs: Infinity, releasedFrom: new Set(['Klaffbron#1']) }]]),
+      drift: -Infinity,
+      broken: NaN,
+      list: [1, null, 'a'],
+    };
+    const roundTrip = snapshotCodec.decode(JSON.parse(JSON.stringify(snapshotCodec.encode(state))));
+
+    expect(roundTrip.arms).toBeInstanceOf(Map);
+    const arm = roundTrip.arms.get('111::Klaffbron');
+    expect(arm.fireDueMs).toBe(Infinity);
+    expect(arm.releasedFrom).toEqual(new Set(['Klaffbron#1']));
+    expect(roundTrip.drift).toBe(-Infinity);
+    expect(Number.isNaN(roundTrip.broken)).toBe(true);
+    expect(roundTrip.list).toEqual([1, null, 'a']);
+  });
+
+  test('funktioner, klassinstanser och cykler lagras aldrig', () => {
+    const vessel = { mmsi: '1', onTick: () => {}, timer: setTimeout(() => {}, 0) };
+    clearTimeout(vessel.timer);
+    vessel.self = vessel;
+    expect(snapshotCodec.encode(vessel)).toEqual({ mmsi: '1', self: null });
+  });
+});
+
+describe('tjänsternas toJSON/load', () => {
+  test('PassageLatchService: latcharna återställs, utgångna filtreras', () => {
+    const source = new PassageLatchService(quietLogger());
+    source.registerPassage(MMSI, 'Klaffbron', 'north');
+    source.registerPassage(MMSI, 'Järnvägsbron', 'north');
+    source._passageLatches.get(MMSI).get('Järnvägsbron').timestamp = Date.now() - 11 * 60 * 1000;
+
+    const target = new PassageLatchService(quietLogger());
+    expect(target.load(JSON.parse(JSON.stringify(source.toJSON())))).toBe(1);
+    expect(target.shouldBlockStatus(MMSI, 'Klaffbron', 'waiting')).toBe(true);
+    expect(target._passageLatches.get(MMSI).has('Järnvägsbron')).toBe(false);
+    source.destroy();
+    target.destroy();
+  });
+
+  test('RouteOrderValidator: historiken återställs och påverkar ordningsvalideringen', () => {
+    const registry = new BridgeRegistry(BRIDGES);
+    const source = new RouteOrderValidator(quietLogger(), registry);
+    source.registerPassage(MMSI, 'Klaffbron', {
+      cog: 30, lat: KLAFF.lat, lon: KLAFF.lon, sog: 5,
+    }, 'north');
+
+    const target = new RouteOrderValidator(quietLogger(), registry);
+    expect(target.load(JSON.parse(JSON.stringify(source.toJSON())))).toBe(1);
+    expect(target._getPassageHistory(MMSI)).toEqual(source._getPassageHistory(MMSI));
+    expect(target.load({ [MMSI]: [{ bridgeName: 'Klaffbron', timestamp: Date.now() - 3 * 60 * 60 * 1000 }] })).toBe(0);
+    source.destroy();
+    target.destroy();
+  });
+
+  test('ProgressiveETACalculator: historik, fartbuffert och stationär-hold', () => {
+    const registry = new BridgeRegistry(BRIDGES);
+    const source = new ProgressiveETACalculator(quietLogger(), registry);
+    source._recordETAHistory(MMSI, {
+      rawETA: 6, processedETA: 6, timestamp: Date.now(), targetBridge: 'Klaffbron',
+    });
+    source._speedBuffers.set(MMSI, [4.8, 5.0, 5.1]);
+    source.armStationaryHold('999');
+
+    const target = new ProgressiveETACalculator(quietLogger(), registry);
+    expect(target.load(JSON.parse(JSON.stringify(source.toJSON())))).toBe(1);
+    expect(target._etaHistory.get(MMSI)[0]).toMatchObject({ processedETA: 6, targetBridge: 'Klaffbron' });
+    expect(target._speedBuffers.get(MMSI)).toEqual([4.8, 5.0, 5.1]);
+    expect(target._postTransitionStationaryHold.has('999')).toBe(true);
+
+    // Äldre än städningens 30 min: ingen baslinje att återställa.
+    expect(target.load(source.toJSON(), { now: Date.now() + 31 * 60 * 1000 })).toBe(0);
+    expect(target._speedBuffers.size).toBe(0);
+    source.destroy();
+    target.destroy();
+  });
+
+  test('BridgeOpeningService: en avfyrad öppning varnar inte om, eventSeq fortsätter', () => {
+    const warnings = [];
+    const source = new BridgeOpeningService({ onWarning: (p) => warnings.push(p) });
+    const pos = posAtDistance(KLAFF, 700);
+    source.observeVessel({
+      mmsi: MMSI,
+      name: 'VARM',
+      lat: pos.lat,
+      lon: pos.lon,
+      sog: 6,
+      cog: 40,
+      timestamp: Date.now(),
+      fixTs: Date.now(),
+      targetBridge: KLAFF.name,
+      _routeDirection: 'north',
+      _hasMovementProof: true,
+      _moored: false,
+      passedAt: {},
+      passedBridges: [],
+    });
+    expect(warnings).toHaveLength(1);
+    // Kedjearmen mot Stridsbergsbron har ännu ingen varning.
+    const before = source.getSnapshot();
+
+    const restored = [];
+    const target = new BridgeOpeningService({ onWarning: (p) => restored.push(p) });
+    expect(target.load(JSON.parse(JSON.stringify(source.toJSON())))).toBe(before.arms.length);
+    expect(target.getSnapshot()).toEqual(before);
+    expect(target.getStats().warningsFired).toBe(1);
+
+    target.tick();
+    expect(restored.filter((w) => w.bridge === 'Klaffbron')).toHaveLength(0);
+    expect(target._openEvent('Klaffbron', Date.now()).id).toBe(`Klaffbron#${source._eventSeq + 1}`);
+    source.destroy();
+    target.destroy();
+  });
+});
+
+describe('appen: tracking_snapshot över omstart', () => {
+  let app = null;
+
+  const bootApp = async () => {
+    const instance = new AISBridgeApp();
+    instance.homey = mockHomey;
+    global.__TEST_MODE__ = true;
+    await instance.onInit();
+    return instance;
+  };
+
+  const feed = async (instance, distanceM) => {
+    const pos = posAtDistance(KLAFF, distanceM);
+    instance._processAISMessage({
+      mmsi: MMSI,
+      msgType: 'PositionReport',
+      lat: pos.lat,
+      lon: pos.lon,
+      sog: 5,
+      cog: 40,
+      shipName: 'VARMSTART',
+      timestamp: Date.now(),
+      fixTs: Date.now(),
+      fixFeed: 'aisstream',
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+  });
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('onUninit skriver och onInit återställer fartyget mitt i anflygningen', async () => {
+    app = await bootApp();
+    await feed(app, 900);
+    await feed(app, 800);
+    const vessel = app.vesselDataService.getVessel(MMSI);
+    expect(vessel).not.toBeNull();
+    expect(vessel.targetBridge).toBe('Klaffbron');
+    const arms = app.bridgeOpeningService.getStats().armed;
+
+    await app.onUninit();
+    const stored = mockHomey.app.settings.tracking_snapshot;
+    expect(stored).toMatchObject({ version: WARM_RESTART.VERSION, savedAt: expect.any(Number) });
+    expect(stored.vessels.vessels.map((v) => v.mmsi)).toEqual([MMSI]);
+
+    app = await bootApp();
+    const restored = app.vesselDataService.getVessel(MMSI);
+    expect(restored).toMatchObject({
+      mmsi: MMSI,
+      targetBridge: 'Klaffbron',
+      _routeDirection: vessel._routeDirection,
+      lat: vessel.lat,
+      lon: vessel.lon,
+    });
+    expect(app.vesselDataService.cleanupTimers.has(MMSI)).toBe(true);
+    expect(app.bridgeOpeningService.getStats().armed).toBe(arms);
+
+    // Nästa fix fortsätter samma resa — ingen ny 'vessel:entered'.
+    const entered = jest.fn();
+    app.vesselDataService.on('vessel:entered', entered);
+    await feed(app, 700);
+    expect(entered).not.toHaveBeenCalled();
+    expect(app.vesselDataService.getVessel(MMSI).targetBridge).toBe('Klaffbron');
+  });
+
+  test('för gammal eller annan version ger kallstart', async () => {
+    app = await bootApp();
+    await feed(app, 800);
+    await app.onUninit();
+    const stored = mockHomey.app.settings.tracking_snapshot;
+
+    mockHomey.app.settings.tracking_snapshot = { ...stored, savedAt: Date.now() - WARM_RESTART.MAX_SNAPSHOT_AGE_MS - 1000 };
+    app = await bootApp();
+    expect(app.vesselDataService.getVesselCount()).toBe(0);
+    await app.onUninit();
+
+    mockHomey.app.settings.tracking_snapshot = { ...stored, version: WARM_RESTART.VERSION + 1 };
+    app = await bootApp();
+    expect(app.vesselDataService.getVesselCount()).toBe(0);
+  });
+
+  test('den periodiska skrivningen är strypt och en tom kanal skriver en gång', async () => {
+    app = await bootApp();
+    const set = jest.spyOn(mockHomey.settings, 'set');
+    const snapshotWrites = () => set.mock.calls.filter(([key]) => key === 'tracking_snapshot').length;
+
+    app._persistTrackingSnapshot();
+    expect(snapshotWrites()).toBe(1);
+    app._persistTrackingSnapshot();
+    expect(snapshotWrites()).toBe(1); // strypt
+
+    app._trackingSnapshotPersistedAt = Date.now() - WARM_RESTART.PERSIST_INTERVAL_MS;
+    app._persistTrackingSnapshot();
+    expect(snapshotWrites()).toBe(1); // fortfarande tom kanal — ingen ny skrivning
+
+    await feed(app, 800);
+    app._trackingSnapshotPersistedAt = Date.now() - WARM_RESTART.PERSIST_INTERVAL_MS;
+    app._persistTrackingSnapshot();
+    expect(snapshotWrites()).toBe(2);
+  });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * watched_vessel_event: bevakningslistan (MMSI eller namn) tolkas ur
+ * settings, och kortet avfyras för bevakade båtar vid entered/target/armed/
+ * passed med en spärr per (båt, händelse, bro).
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const BridgeOpeningService = require('../lib/services/BridgeOpeningService');
+const { parseWatchlist, isWatched, normalizeName } = require('../lib/utils/vesselWatchlist');
+const { BRIDGES, WATCHLIST } = require('../lib/constants');
+
+let settingsListener = null;
+
+const bootApp = async (settings = {}) => {
+  const app = new AISBridgeApp();
+  app.homey = mockHomey;
+  mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+  mockHomey.settings = {
+    get: (key) => mockHomey.app.settings[key] || null,
+    set: (key, value) => {
+      mockHomey.app.settings[key] = value;
+    },
+    on: (event, fn) => {
+      if (event === 'set') settingsListener = fn;
+    },
+    off: () => {},
+  };
+  global.__TEST_MODE__ = true;
+  await app.onInit();
+  return app;
+};
+
+/** Kör produktionens väg förbi testgrinden (se bridge-opening-app-integration.test.js). */
+const withRealFlowGate = async (fn) => {
+  const savedEnv = process.env.NODE_ENV;
+  const savedMode = global.__TEST_MODE__;
+  process.env.NODE_ENV = 'production';
+  global.__TEST_MODE__ = undefined;
+  try {
+    return await fn();
+  } finally {
+    process.env.NODE_ENV = savedEnv;
+    global.__TEST_MODE__ = savedMode;
+  }
+};
+
+const WATCHED = '265000020';
+
+const vessel = (extra = {}) => ({
+  mmsi: WATCHED, name: 'SKÄRGÅRDSBÅTEN', sog: 5, cog: 20, _routeDirection: 'north', ...extra,
+});
+
+describe('vesselWatchlist', () => {
+  test('MMSI och namn, array eller handskriven sträng', () => {
+    const list = parseWatchlist([' 265000020 ', 'Sea  Princess', '', 'Unknown', 42]);
+    expect([...list.mmsis]).toEqual(['265000020']);
+    expect([...list.names]).toEqual(['SEA PRINCESS']);
+    expect(parseWatchlist('265000020, Sea Princess\nAlma').size).toBe(3);
+    expect(parseWatchlist(null).size).toBe(0);
+  });
+
+  test('namn matchas normaliserat, MMSI exakt', () => {
+    const list = parseWatchlist(['Sea Princess', '265000020']);
+    expect(isWatched(list, '111111111', 'SEA PRINCESS@@@')).toBe(true);
+    expect(isWatched(list, 265000020, null)).toBe(true);
+    expect(isWatched(list, '111111111', 'Sea Prince')).toBe(false);
+    expect(isWatched(parseWatchlist([]), WATCHED, 'X')).toBe(false);
+    expect(normalizeName('  alma @@ ')).toBe('ALMA');
+  });
+
+  test('listan kapas vid taket', () => {
+    const many = Array.from({ length: WATCHLIST.MAX_ENTRIES + 5 }, (_, i) => `BÅT ${i}`);
+    expect(parseWatchlist(many).size).toBe(WATCHLIST.MAX_ENTRIES);
+  });
+});
+
+describe('BridgeOpeningService: onArm', () => {
+  test('en signal per beväpning; en kastande callback loggas bara', () => {
+    const arms = [];
+    const svc = new BridgeOpeningService({ onArm: (info) => arms.push(info) });
+    const bridge = BRIDGES.klaffbron;
+    const now = Date.now();
+    const armVessel = {
+      mmsi: WATCHED, lat: bridge.lat - 0.006, lon: bridge.lon - 0.004, sog: 5, cog: 40, timestamp: now, fixTs: now,
+    };
+    svc._arm(armVessel, bridge, 700, now);
+    expect(arms).toEqual([expect.objectContaining({ mmsi: WATCHED, bridge: 'Klaffbron', t: now })]);
+    svc.destroy();
+
+    const logger = { log: jest.fn(), debug: jest.fn(), error: jest.fn() };
+    const throwing = new BridgeOpeningService({
+      logger,
+      onArm: () => {
+        throw new Error('boom');
+      },
+    });
+    expect(() => throwing._arm(armVessel, bridge, 700, now)).not.toThrow();
+    expect(logger.error).toHaveBeenCalled();
+    throwing.destroy();
+  });
+});
+
+describe('watched_vessel_event: appen', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('bevakad båt avfyrar med tokens; obevakad gör det inte', async () => {
+    app = await bootApp({ vessel_watchlist: [WATCHED] });
+    await withRealFlowGate(async () => {
+      app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+      app._onWatchedVesselEvent('entered', '265000099', vessel({ mmsi: '265000099', name: 'ANNAN' }), null);
+    });
+    const calls = app._watchedVesselTrigger.triggerCalls;
+    expect(calls).toHaveLength(1);
+    expect(calls[0].tokens).toMatchObject({
+      vessel_name: 'SKÄRGÅRDSBÅTEN', mmsi: WATCHED, event: 'entered', bridge_name: '', ship_type: -1,
+    });
+    expect(calls[0].state).toEqual({ event: 'entered', mmsi: WATCHED });
+  });
+
+  test('namnposter matchar, och spärren gäller per händelse och bro', async () => {
+    app = await bootApp({ vessel_watchlist: ['Skärgårdsbåten'] });
+    await withRealFlowGate(async () => {
+      app._onWatchedVesselEvent('passed', WATCHED, vessel(), 'Klaffbron');
+      app._onWatchedVesselEvent('passed', WATCHED, vessel(), 'Klaffbron');
+      app._onWatchedVesselEvent('passed', WATCHED, vessel(), 'Stridsbergsbron');
+      app._onWatchedVesselEvent('armed', WATCHED, vessel(), 'Stridsbergsbron');
+    });
+    expect(app._watchedVesselTrigger.triggerCalls.map((c) => [c.tokens.event, c.tokens.bridge_name])).toEqual([
+      ['passed', 'Klaffbron'],
+      ['passed', 'Stridsbergsbron'],
+      ['armed', 'Stridsbergsbron'],
+    ]);
+  });
+
+  test('spärren släpper efter cooldownen', async () => {
+    app = await bootApp({ vessel_watchlist: [WATCHED] });
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    try {
+      await withRealFlowGate(async () => {
+        app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+        now += WATCHLIST.EVENT_COOLDOWN_MS - 1000;
+        app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+        now += 2000;
+        app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+      });
+    } finally {
+      Date.now = realNow;
+    }
+    expect(app._watchedVesselTrigger.triggerCalls).toHaveLength(2);
+  });
+
+  test('target: bara när målbron byts', async () => {
+    app = await bootApp({ vessel_watchlist: [WATCHED] });
+    await withRealFlowGate(async () => {
+      app._noteWatchedTarget(vessel({ targetBridge: 'Klaffbron' }));
+      app._noteWatchedTarget(vessel({ targetBridge: 'Klaffbron' }));
+      app._noteWatchedTarget(vessel({ targetBridge: null }));
+      app._noteWatchedTarget(vessel({ targetBridge: 'Stridsbergsbron' }));
+    });
+    expect(app._watchedVesselTrigger.triggerCalls.map((c) => c.tokens.bridge_name))
+      .toEqual(['Klaffbron', 'Stridsbergsbron']);
+  });
+
+  test('källorna: servicens onArm och den deduplicerade passagevägen', async () => {
+    app = await bootApp({ vessel_watchlist: [WATCHED] });
+    await withRealFlowGate(async () => {
+      app.bridgeOpeningService._onArm({ mmsi: WATCHED, bridge: 'Klaffbron', t: Date.now() });
+      const passage = {
+        mmsi: WATCHED, vessel: vessel(), bridge: 'Olidebron', crossedAt: Date.now(), inferred: false,
+      };
+      app._onVesselPassedBridge(passage);
+      app._onVesselPassedBridge(passage);
+    });
+    expect(app._watchedVesselTrigger.triggerCalls.map((c) => [c.state.event, c.tokens.bridge_name])).toEqual([
+      ['armed', 'Klaffbron'],
+      ['passed', 'Olidebron'],
+    ]);
+  });
+
+  test('testgrinden avfyrar inget; listan läses om vid ändring', async () => {
+    app = await bootApp({});
+    app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+    expect(app._watchlist.size).toBe(0);
+
+    mockHomey.app.settings.vessel_watchlist = [WATCHED];
+    settingsListener('vessel_watchlist');
+    expect(app._watchlist.mmsis.has(WATCHED)).toBe(true);
+    app._onWatchedVesselEvent('entered', WATCHED, vessel(), null);
+    expect(app._watchedVesselTrigger.triggerCalls).toHaveLength(0);
+    expect(app._watchedEventFiredAt.size).toBe(0);
+  });
+
+  test('run-listenern: alla händelser eller exakt händelse', async () => {
+    app = await bootApp({});
+    const listener = app._watchedVesselTrigger.runListeners[0];
+    const state = { event: 'armed', mmsi: WATCHED };
+    await expect(listener({ event: 'any' }, state)).resolves.toBe(true);
+    await expect(listener({ event: { id: 'armed' } }, state)).resolves.toBe(true);
+    await expect(listener({ event: 'passed' }, state)).resolves.toBe(false);
+    await expect(listener({}, state)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,372 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Vattenvägsprofiler (lib/waterways/*.json, lib/utils/waterwayProfile,
+ * lib/utils/waterwayActivation): standardprofilen ger exakt dagens
+ * konstanter (replaykorpusarna bit för bit), valideringen fångar trasiga
+ * profiler, och en annan profil byter geografin på plats för varje modul
+ * som redan läst constants.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const waterwayProfile = require('../lib/utils/waterwayProfile');
+const { activateProfile } = require('../lib/utils/waterwayActivation');
+const fairway = require('../lib/utils/fairway');
+const simulationClock = require('../lib/utils/simulationClock');
+const BridgeRegistry = require('../lib/models/BridgeRegistry');
+const constants = require('../lib/constants');
+const { generateScenario } = require('./replay-validation/scenarioGenerator');
+
+const trollhattan = () => waterwayProfile.loadProfile('trollhattekanalen');
+
+/** Två broar ur Trollhättekanalen, Olidebron som enda öppningsbara bro. */
+const twoBridgeProfile = () => {
+  const base = trollhattan();
+  return {
+    ...base,
+    id: 'testkanalen',
+    name: 'Testkanalen',
+    bridges: { olidebron: base.bridges.olidebron, klaffbron: base.bridges.klaffbron },
+    sequence: ['olidebron', 'klaffbron'],
+    targetBridges: ['Olidebron'],
+    highBridge: undefined,
+    gaps: { 'olidebron-klaffbron': base.gaps['olidebron-klaffbron'] },
+    mooringZones: [],
+    locks: {},
+  };
+};
+
+// Trollhättekanalens geometri med varje id och namn utbytt: en andra
+// vattenväg där varje kvarglömd Trollhätte-literal syns direkt.
+const RENAMED = {
+  olidebron: ['sydbron', 'Sydbron'],
+  klaffbron: ['lyftbron', 'Lyftbron'],
+  jarnvagsbron: ['banbron', 'Banbron'],
+  stridsbergsbron: ['svangbron', 'Svängbron'],
+  stallbackabron: ['hogbron', 'Högbron'],
+  kanalinfarten: ['infarten', 'Infarten'],
+};
+const TROLLHATTAN_NAMES = /Olidebron|Klaffbron|Järnvägsbron|Stridsbergsbron|Stallbackabron|Kanalinfarten/;
+
+const renamedProfile = () => {
+  const base = trollhattan();
+  const id = (old) => RENAMED[old][0];
+  const renameAll = (entries) => Object.entries(entries).reduce((acc, [old, entry]) => ({
+    ...acc, [id(old)]: { ...entry, name: RENAMED[old][1] },
+  }), {});
+  const gaps = Object.entries(base.gaps).reduce((acc, [key, m]) => ({
+    ...acc, [key.split('-').map(id).join('-')]: m,
+  }), {});
+  return {
+    ...base,
+    id: 'omdopta',
+    name: 'Omdöpta kanalen',
+    bridges: renameAll(base.bridges),
+    sequence: base.sequence.map(id),
+    targetBridges: ['Lyftbron', 'Svängbron'],
+    highBridge: id(base.highBridge),
+    gaps,
+    triggerPoints: renameAll(base.triggerPoints),
+    mooringZones: base.mooringZones.map((zone, i) => ({ ...zone, name: `Kaj ${i + 1}` })),
+    locks: { slussen: { ...base.locks.trollhatteslussar, name: 'Slussen' } },
+  };
+};
+
+describe('standardprofilen', () => {
+  test('listas och läses; okända id:n och sökvägar ger null', () => {
+    expect(waterwayProfile.listProfiles()).toContain(waterwayProfile.DEFAULT_PROFILE_ID);
+    expect(trollhattan()).toMatchObject({ id: 'trollhattekanalen', name: 'Trollhättekanalen' });
+    expect(waterwayProfile.loadProfile('nowhere')).toBeNull();
+    expect(waterwayProfile.loadProfile('../../package')).toBeNull();
+    expect(waterwayProfile.loadProfile(null)).toBeNull();
+  });
+
+  test('constants byggs ur profilen utan avvikelse', () => {
+    const profile = trollhattan();
+    expect(constants.BRIDGES).toEqual(profile.bridges);
+    expect(constants.BRIDGE_SEQUENCE).toEqual(profile.sequence);
+    expect(constants.TARGET_BRIDGES).toEqual(['Klaffbron', 'Stridsbergsbron']);
+    expect(constants.INTERMEDIATE_BRIDGES).toEqual(['Olidebron', 'Järnvägsbron', 'Stallbackabron']);
+    expect(constants.BRIDGE_GAPS).toEqual(profile.gaps);
+    expect(constants.TRIGGER_POINTS).toEqual(profile.triggerPoints);
+    expect(constants.MOORING_ZONES).toEqual(profile.mooringZones);
+    expect(constants.LOCKS).toEqual(profile.locks);
+    expect(constants.FAIRWAY_CENTERLINE).toEqual(profile.fairwayCenterline);
+    expect(constants.BRIDGE_ID_TO_NAME.kanalinfarten).toBe('Kanalinfarten');
+    expect(constants.BRIDGE_NAME_TO_ID['Järnvägsbron']).toBe('jarnvagsbron');
+    expect(constants.WATERWAY.id).toBe('trollhattekanalen');
+  });
+
+  test('rollerna härleds ur profilen: höga bron, ändarna och brodevicen', () => {
+    expect(constants.STALLBACKABRON_SPECIAL.BRIDGE_NAME).toBe('Stallbackabron');
+    // Samma utträdesgränser som VesselLifecycleManager hade handskrivna.
+    expect(constants.WATERWAY_ENDS).toEqual({
+      north: { bridge: 'Stallbackabron', triggerPoint: null, exitLat: 58.3141 },
+      south: { bridge: 'Olidebron', triggerPoint: 'kanalinfarten', exitLat: 58.2653 },
+    });
+    expect(constants.BRIDGE_DEVICE.BRIDGE_IDS).toEqual(['olidebron', 'klaffbron', 'jarnvagsbron', 'stridsbergsbron']);
+    expect(waterwayProfile.highBridgeName({ ...trollhattan(), highBridge: undefined })).toBeNull();
+  });
+
+  test('den härledda boxen är den tidigare handskrivna, västerut utökad för slussen', () => {
+    // Slussportarnas köcirklar drar WEST från 12.26 till 12.24.
+    expect(constants.AIS_CONFIG.BOUNDING_BOX).toEqual({
+      NORTH: 58.32, SOUTH: 58.26, EAST: 12.32, WEST: 12.24,
+    });
+    expect(waterwayProfile.deriveBoundingBox({ ...trollhattan(), locks: {} }).WEST).toBe(12.26);
+    const explicit = {
+      NORTH: 59.2, SOUTH: 59.18, EAST: 17.65, WEST: 17.62,
+    };
+    expect(waterwayProfile.deriveBoundingBox({ boundingBox: explicit })).toEqual(explicit);
+  });
+
+  test('profilen och registret validerar utan fel eller varningar', () => {
+    expect(waterwayProfile.validateProfile(trollhattan())).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(new BridgeRegistry().validateConfiguration()).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+});
+
+describe('validateProfile', () => {
+  const errorsOf = (mutate) => {
+    const profile = trollhattan();
+    mutate(profile);
+    return waterwayProfile.validateProfile(profile).errors;
+  };
+
+  test('okänd målbro, saknat gap och bro utanför ordningen', () => {
+    expect(errorsOf((p) => p.targetBridges.push('Göta älvbron')))
+      .toEqual(["Target bridge 'Göta älvbron' is not a bridge in the profile"]);
+    expect(errorsOf((p) => delete p.gaps['klaffbron-jarnvagsbron']))
+      .toEqual(["Gap 'klaffbron-jarnvagsbron' must be a positive number of metres"]);
+    expect(errorsOf((p) => p.sequence.pop()))
+      .toEqual(expect.arrayContaining(["Bridge 'stallbackabron' is missing from the sequence"]));
+  });
+
+  test('trigger-punkter, zoner och centerlinje', () => {
+    expect(errorsOf((p) => {
+      p.triggerPoints.klaffbron = p.triggerPoints.kanalinfarten;
+    })).toEqual(["Trigger point 'klaffbron' collides with a bridge id"]);
+    expect(errorsOf((p) => {
+      p.mooringZones[0].radiusM = 0;
+    })).toEqual(['Mooring zone #0 needs name, start, end and a positive radiusM']);
+    expect(errorsOf((p) => {
+      p.fairwayCenterline = [[58.27, 12.27]];
+    })).toEqual(['fairwayCenterline must be at least two [lat, lon] points']);
+  });
+
+  test('höga bron måste finnas och kan inte vara målbro', () => {
+    expect(errorsOf((p) => {
+      p.highBridge = 'hisingsbron';
+    })).toEqual(["High bridge 'hisingsbron' is not a bridge id in the profile"]);
+    expect(errorsOf((p) => {
+      p.highBridge = 'klaffbron';
+    })).toEqual(["High bridge 'klaffbron' never opens and cannot be a target bridge"]);
+  });
+
+  test('gap som motsäger koordinaterna varnar', () => {
+    const profile = trollhattan();
+    profile.gaps['jarnvagsbron-stridsbergsbron'] = 420;
+    const result = waterwayProfile.validateProfile(profile);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual(["Gap 'jarnvagsbron-stridsbergsbron' is 420 m but the coordinates are 257 m apart"]);
+  });
+
+  test('registret prövar ordningen längs farleden', () => {
+    const registry = new BridgeRegistry();
+    registry.bridgeSequence = ['klaffbron', 'olidebron'];
+    expect(registry.validateConfiguration().errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Bridge ordering error: 'olidebron' \(chainage: 623m\) should come after 'klaffbron'/),
+    ]));
+  });
+});
+
+describe('activateProfile', () => {
+  afterEach(() => {
+    activateProfile(trollhattan());
+  });
+
+  test('byter geografin på plats och bygger om farledsmodellen', () => {
+    const { BRIDGES, BRIDGE_SEQUENCE, TARGET_BRIDGES } = constants;
+    expect(fairway.bridgeChainageM('stallbackabron')).not.toBeNull();
+
+    activateProfile(twoBridgeProfile());
+
+    // Samma objekt som modulerna destrukturerade vid laddning.
+    expect(Object.keys(BRIDGES)).toEqual(['olidebron', 'klaffbron']);
+    expect(BRIDGE_SEQUENCE).toEqual(['olidebron', 'klaffbron']);
+    expect(TARGET_BRIDGES).toEqual(['Olidebron']);
+    expect(constants.INTERMEDIATE_BRIDGES).toEqual(['Klaffbron']);
+    expect(constants.BRIDGE_NAME_TO_ID.Stallbackabron).toBeUndefined();
+    expect(constants.MOORING_ZONES).toEqual([]);
+    expect(constants.LOCKS).toEqual({});
+    expect(constants.WATERWAY).toMatchObject({ id: 'testkanalen', name: 'Testkanalen' });
+    expect(constants.AIS_CONFIG.BOUNDING_BOX).toEqual({
+      NORTH: 58.29, SOUTH: 58.26, EAST: 12.29, WEST: 12.26,
+    });
+    expect(fairway.bridgeChainageM('stallbackabron')).toBeNull();
+    expect(fairway.bridgeChainageM('klaffbron')).toBeCloseTo(2003, 0);
+    expect(constants.STALLBACKABRON_SPECIAL.BRIDGE_NAME).toBeNull();
+    expect(constants.WATERWAY_ENDS.north).toEqual({ bridge: 'Klaffbron', triggerPoint: null, exitLat: 58.2868 });
+    expect(constants.BRIDGE_DEVICE.BRIDGE_IDS).toEqual(['olidebron', 'klaffbron']);
+
+    const validation = new BridgeRegistry().validateConfiguration();
+    expect(validation).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('en omdöpt vattenväg: varje roll följer profilens namn', () => {
+    expect(waterwayProfile.validateProfile(renamedProfile()).errors).toEqual([]);
+    activateProfile(renamedProfile());
+    expect(constants.TARGET_BRIDGES).toEqual(['Lyftbron', 'Svängbron']);
+    expect(constants.STALLBACKABRON_SPECIAL.BRIDGE_NAME).toBe('Högbron');
+    expect(constants.WATERWAY_ENDS).toEqual({
+      north: { bridge: 'Högbron', triggerPoint: null, exitLat: 58.3141 },
+      south: { bridge: 'Sydbron', triggerPoint: 'infarten', exitLat: 58.2653 },
+    });
+    expect(constants.BRIDGE_DEVICE.BRIDGE_IDS).toEqual(['sydbron', 'lyftbron', 'banbron', 'svangbron']);
+    expect(constants.BRIDGE_TEXT_CONSTANTS.DEFAULT_MESSAGE).toBe('Inga båtar är i närheten av Lyftbron eller Svängbron');
+    expect(fairway.bridgeChainageM('hogbron')).toBeCloseTo(5537, 0);
+    expect(new BridgeRegistry().validateConfiguration()).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('återställningen ger standardprofilen igen', () => {
+    activateProfile(twoBridgeProfile());
+    activateProfile(trollhattan());
+    expect(constants.BRIDGE_SEQUENCE).toHaveLength(5);
+    expect(constants.AIS_CONFIG.BOUNDING_BOX.NORTH).toBe(58.32);
+    expect(fairway.bridgeChainageM('stallbackabron')).toBeCloseTo(5537, 0);
+    expect(constants.STALLBACKABRON_SPECIAL.BRIDGE_NAME).toBe('Stallbackabron');
+    expect(constants.WATERWAY_ENDS.south.triggerPoint).toBe('kanalinfarten');
+  });
+});
+
+describe('appen: waterway_profile', () => {
+  let app = null;
+  let settingsListener = null;
+
+  const bootApp = async (settings = {}) => {
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = { debug_level: 'off', ais_api_key: null, ...settings };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: (event, fn) => {
+        if (event === 'set') settingsListener = fn;
+      },
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    return app;
+  };
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    settingsListener = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('publicerar profillistan; okänd profil loggas och standarden behålls', async () => {
+    await bootApp({ waterway_profile: 'sodertalje' });
+    expect(mockHomey.app.settings.available_waterway_profiles)
+      .toEqual(expect.arrayContaining([{ id: 'trollhattekanalen', name: 'Trollhättekanalen' }]));
+    expect(constants.WATERWAY.id).toBe('trollhattekanalen');
+    expect(app.bridgeRegistry.bridgeSequence).toHaveLength(5);
+  });
+
+  test('bytet i inställningarna gäller först efter omstart', async () => {
+    await bootApp();
+    const log = jest.spyOn(app, 'log');
+    mockHomey.app.settings.waterway_profile = 'sodertalje';
+    settingsListener('waterway_profile');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('gäller efter omstart'));
+    expect(constants.WATERWAY.id).toBe('trollhattekanalen');
+  });
+});
+
+describe('appen: en omdöpt vattenväg hela vägen', () => {
+  let app = null;
+  let dir = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    simulationClock.uninstall();
+    jest.useRealTimers();
+    activateProfile(trollhattan());
+    delete global.__TEST_MODE__;
+    delete process.env.AIS_CAPTURE_DIR;
+    delete process.env.AIS_SIMULATION_FILE;
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  test('en norrgående resa: texter och notiser bär bara profilens namn', async () => {
+    // Scenariot byggs på standardprofilens id:n — geometrin är densamma.
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ais-omdopta-'));
+    process.env.AIS_CAPTURE_DIR = dir;
+    process.env.AIS_SIMULATION_FILE = path.join(dir, 'resa.jsonl');
+    const samples = generateScenario({
+      seed: 11,
+      vessels: [{
+        mmsi: '265000041', name: 'OMDÖPT', direction: 'north', speedKn: 6, reportIntervalS: 30,
+      }],
+    });
+    fs.writeFileSync(process.env.AIS_SIMULATION_FILE, `${samples.map((r) => JSON.stringify(r)).join('\n')}\n`);
+    activateProfile(renamedProfile());
+
+    jest.useFakeTimers();
+    app = new AISBridgeApp();
+    app.homey = mockHomey;
+    mockHomey.app.settings = {
+      debug_level: 'off', ais_api_key: null, ais_source: 'simulation', simulation_speed: 60,
+    };
+    mockHomey.settings = {
+      get: (key) => mockHomey.app.settings[key] || null,
+      set: (key, value) => {
+        mockHomey.app.settings[key] = value;
+      },
+      on: () => {},
+      off: () => {},
+    };
+    global.__TEST_MODE__ = true;
+    await app.onInit();
+    const texts = [];
+    const updateCapability = app._updateDeviceCapability.bind(app);
+    app._updateDeviceCapability = (capability, value) => {
+      if (capability === 'bridge_text' && value !== texts[texts.length - 1]) texts.push(value);
+      return updateCapability(capability, value);
+    };
+
+    // Produktionens notisväg (samma grindkringgång som replayRunner).
+    const savedEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    global.__TEST_MODE__ = undefined;
+    try {
+      await app._applyAisSourceConfig();
+      await jest.advanceTimersByTimeAsync((90 * 60 * 1000) / 60);
+    } finally {
+      process.env.NODE_ENV = savedEnv;
+      global.__TEST_MODE__ = true;
+    }
+
+    const notified = app._boatNearTrigger.triggerCalls.map((call) => call.tokens.bridge_name);
+    expect(notified).toEqual(expect.arrayContaining(['Lyftbron', 'Svängbron']));
+    expect(texts).toEqual(expect.arrayContaining([expect.stringMatching(/på väg mot Lyftbron/)]));
+    expect([...texts, ...notified].filter((text) => TROLLHATTAN_NAMES.test(text))).toEqual([]);
+    // Norra änden (Högbron + marginalen) avslutar resan.
+    expect(app.vesselDataService.getVessel('265000041')).toBeFalsy();
+    expect(texts[texts.length - 1]).toBe('Inga båtar är i närheten av Lyftbron eller Svängbron');
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+jest.mock('homey');
+
+/**
+ * Homey Web API (api.js): rutterna i app.json ↔ api.js-exporterna, och att
+ * varje rutt levererar verkligt tillstånd ur tjänsterna — som KOPIOR, så ett
+ * API-anrop aldrig kan bli en skrivväg in i pipelinen.
+ */
+
+// 'homey' FÖRE '../app' (se bridge-opening-app-integration.test.js).
+const { __mockHomey: mockHomey } = require('homey');
+const AISBridgeApp = require('../app');
+const api = require('../api');
+const appJson = require('../app.json');
+const composeAppJson = require('../.homeycompose/app.json');
+const { BRIDGES, BRIDGE_SEQUENCE } = require('../lib/constants');
+
+const KLAFF = BRIDGES.klaffbron;
+
+const bootApp = async () => {
+  const app = new AISBridgeApp();
+  app.homey = mockHomey;
+  mockHomey.app.settings = { debug_level: 'off', ais_api_key: null };
+  mockHomey.settings = {
+    get: (key) => mockHomey.app.settings[key] || null,
+    set: (key, value) => {
+      mockHomey.app.settings[key] = value;
+    },
+    on: () => {},
+    off: () => {},
+  };
+  global.__TEST_MODE__ = true;
+  await app.onInit();
+  return app;
+};
+
+const call = (route, app) => api[route]({ homey: { app }, query: {}, params: {} });
+
+describe('Web API: manifestet', () => {
+  test('app.json och .homeycompose deklarerar samma rutter som api.js exporterar', () => {
+    expect(appJson.api).toEqual(composeAppJson.api);
+    expect(Object.keys(appJson.api).sort()).toEqual(Object.keys(api).sort());
+    expect(Object.values(appJson.api).map((r) => `${r.method} ${r.path}`).sort()).toEqual([
+      'GET /bridges',
+      'GET /captures',
+      'GET /captures/:id',
+      'GET /health',
+      'GET /openings',
+      'GET /speed-profiles',
+      'GET /vessels',
+    ]);
+  });
+
+  test('ingen rutt är publik (autentisering krävs)', () => {
+    for (const route of Object.values(appJson.api)) {
+      expect(route.public).not.toBe(true);
+    }
+  });
+});
+
+describe('Web API: rutterna', () => {
+  let app = null;
+
+  afterEach(async () => {
+    if (app) await app.onUninit();
+    app = null;
+    delete global.__TEST_MODE__;
+  });
+
+  test('GET /vessels: status, målbro, ETA och källa — som kopior', async () => {
+    app = await bootApp();
+    const vessel = app.vesselDataService.updateVessel('265000001', {
+      lat: KLAFF.lat - 0.004,
+      lon: KLAFF.lon - 0.003,
+      sog: 4.5,
+      cog: 30,
+      name: 'TESTBÅT',
+      fixFeed: 'aishub',
+      staticData: { shipType: 37, length: 12 },
+    });
+    vessel.status = 'approaching';
+    vessel.targetBridge = 'Klaffbron';
+    vessel.etaMinutes = 6.5;
+
+    const res = await call('getVessels', app);
+    expect(res.count).toBe(1);
+    expect(res.vessels[0]).toMatchObject({
+      mmsi: '265000001',
+      name: 'TESTBÅT',
+      status: 'approaching',
+      targetBridge: 'Klaffbron',
+      etaMinutes: 6.5,
+      fixFeed: 'aishub',
+      staticData: { shipType: 37, length: 12 },
+    });
+    expect(Number.isFinite(res.generatedAt)).toBe(true);
+
+    // Mutation av svaret får aldrig nå det levande objektet.
+    res.vessels[0].staticData.shipType = 99;
+    expect(vessel.staticData.shipType).toBe(37);
+  });
+
+  test('GET /bridges: alla broar i kanalordning med räknare', async () => {
+    app = await bootApp();
+    const vessel = app.vesselDataService.updateVessel('265000002', {
+      lat: KLAFF.lat, lon: KLAFF.lon, sog: 0.2, cog: 30, name: 'VÄNTARE',
+    });
+    vessel.status = 'waiting';
+    vessel.targetBridge = 'Klaffbron';
+    vessel.currentBridge = 'Klaffbron';
+
+    const res = await call('getBridges', app);
+    expect(res.bridges.map((b) => b.id)).toEqual(BRIDGE_SEQUENCE);
+    const klaff = res.bridges.find((b) => b.name === 'Klaffbron');
+    expect(klaff).toMatchObject({
+      isTarget: true, targeting: 1, atBridge: 1, waiting: 1, underBridge: 0,
+    });
+    expect(res.bridges.find((b) => b.name === 'Stallbackabron').isTarget).toBe(false);
+    expect(typeof res.bridgeText).toBe('string');
+  });
+
+  test('GET /openings: armar, händelser och getStats()', async () => {
+    app = await bootApp();
+    const svc = app.bridgeOpeningService;
+    svc._arm({
+      mmsi: '265000003', name: 'ARMAD', sog: 5, cog: 30, lat: KLAFF.lat - 0.01, lon: KLAFF.lon - 0.01,
+    }, { name: 'Klaffbron', lat: KLAFF.lat, lon: KLAFF.lon }, 1200, Date.now());
+
+    const res = await call('getOpenings', app);
+    expect(res.stats).toEqual(svc.getStats());
+    expect(res.stats.armed).toBe(1);
+    expect(res.arms).toHaveLength(1);
+    expect(res.arms[0]).toMatchObject({ mmsi: '265000003', bridge: 'Klaffbron', distanceM: 1200 });
+    expect(Array.isArray(res.events)).toBe(true);
+    // JSON-säkert: inga Set/Infinity i svaret.
+    expect(JSON.parse(JSON.stringify(res))).toEqual(res);
+  });
+
+  test('GET /health: muxens getConnectionStats med perFeed, fusion och skugga', async () => {
+    app = await bootApp();
+    const res = await call('getHealth', app);
+    expect(res.connection).toBeTruthy();
+    expect(Object.keys(res.connection.perFeed).sort()).toEqual(['aishub', 'aisstream', 'json', 'nmea', 'simulation']);
+    expect(res.connection.fusion).toHaveProperty('accepted');
+    expect(res.connection).toHaveProperty('shadow', null);
+    expect(res.aisSource).toBe('aisstream');
+    expect(res.isConnected).toBe(false);
+    expect(res.vesselCount).toBe(0);
+  });
+
+  test('tål halvinitierad app (inga tjänster ännu)', async () => {
+    const bare = new AISBridgeApp();
+    bare.error = jest.fn();
+    await expect(call('getVessels', bare)).resolves.toMatchObject({ count: 0, vessels: [] });
+    await expect(call('getBridges', bare)).resolves.toMatchObject({ bridges: [] });
+    await expect(call('getOpenings', bare)).resolves.toMatchObject({ stats: null, arms: [] });
+    await expect(call('getHealth', bare)).resolves.toMatchObject({ connection: null, vesselCount: 0 });
+    await expect(call('getSpeedProfiles', bare)).resolves.toMatchObject({ vessels: [] });
+  });
+});